@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+import dotenvFlow from 'dotenv-flow';
+import { checkInService } from '../src/services/check-in-service.js';
+
+// Load environment variables
+dotenvFlow.config();
+
+/**
+ * Run venue check-in maintenance tasks
+ */
+async function runCheckInTasks() {
+  try {
+    console.log('Starting check-in maintenance tasks...');
+    
+    // End check-ins that were not refreshed before their expiry time
+    console.log('Expiring stale check-ins...');
+    const checkInsExpired = await checkInService.expireCheckIns();
+    console.log(`Expired ${checkInsExpired} check-ins.`);
+    
+    console.log('Check-in maintenance tasks completed successfully.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error running check-in tasks:', error);
+    process.exit(1);
+  }
+}
+
+// Run the tasks
+runCheckInTasks();
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+
+/**
+ * Venue Import Script
+ *
+ * Imports venues from a local JSON, CSV or GeoJSON file (or from the
+ * `places` table filled by generate-venues.js) into the canonical venues
+ * table. Addresses are normalized, records are matched against existing
+ * venues by source ID or by fuzzy name within a short distance, and matches
+ * only fill in fields that are still empty.
+ *
+ * Nothing is written unless --commit is given; every run writes a diff
+ * report of what would change (or did change).
+ *
+ * Usage:
+ *   node bin/import-venues.js <file> [options]
+ *   node bin/import-venues.js --from-places [options]
+ *
+ * Options:
+ *   --format <type>         json, csv or geojson (default: from the file extension)
+ *   --source <name>         Source recorded on new venues (default: file name)
+ *   --report <path>         Where to write the diff report (default: <file>.report.md)
+ *   --max-distance <m>      Max distance in meters for duplicates (default: 100)
+ *   --min-similarity <n>    Min name similarity 0-1 for duplicates (default: 0.75)
+ *   --from-places           Import rows from the places table instead of a file
+ *   --existing <file>       Compare against a JSON export of venues instead of the
+ *                           database, for a fully offline dry run
+ *   --commit                Apply the changes (default: dry run)
+ *   --help                  Show this help message
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenvFlow from 'dotenv-flow';
+import {
+  DUPLICATE_DISTANCE_METERS,
+  DUPLICATE_NAME_SIMILARITY,
+  IMPORT_FIELDS,
+  IMPORT_FORMATS,
+  detectFormat,
+  formatImportReport,
+  parseVenueFile,
+  planVenueImport
+} from '../src/utils/venue-import.js';
+
+// Load environment variables
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.resolve(__dirname, '..');
+dotenvFlow.config({ path: rootDir });
+
+const PAGE_SIZE = 1000;
+const INSERT_BATCH_SIZE = 100;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  file: null,
+  format: null,
+  source: null,
+  report: null,
+  maxDistance: DUPLICATE_DISTANCE_METERS,
+  minSimilarity: DUPLICATE_NAME_SIMILARITY,
+  fromPlaces: false,
+  existing: null,
+  commit: false,
+  help: false
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  switch (arg) {
+    case '--format':
+      options.format = args[++i];
+      break;
+    case '--source':
+      options.source = args[++i];
+      break;
+    case '--report':
+      options.report = args[++i];
+      break;
+    case '--max-distance':
+      options.maxDistance = parseFloat(args[++i]);
+      break;
+    case '--min-similarity':
+      options.minSimilarity = parseFloat(args[++i]);
+      break;
+    case '--from-places':
+      options.fromPlaces = true;
+      break;
+    case '--existing':
+      options.existing = args[++i];
+      break;
+    case '--commit':
+      options.commit = true;
+      break;
+    case '--help':
+      options.help = true;
+      break;
+    default:
+      if (arg.startsWith('--') || options.file) {
+        console.error(`Unknown option: ${arg}`);
+        process.exit(1);
+      }
+      options.file = arg;
+  }
+}
+
+if (options.help || (!options.file && !options.fromPlaces)) {
+  console.log(`
+Venue Import Script
+
+Imports venues from a local file or the places table into the venues table,
+merging duplicates. Runs as a dry run unless --commit is given.
+
+Usage:
+  node bin/import-venues.js <file> [options]
+  node bin/import-venues.js --from-places [options]
+
+Options:
+  --format <type>         ${IMPORT_FORMATS.join(', ')} (default: from the file extension)
+  --source <name>         Source recorded on new venues (default: file name)
+  --report <path>         Where to write the diff report (default: <file>.report.md)
+  --max-distance <m>      Max distance in meters for duplicates (default: ${DUPLICATE_DISTANCE_METERS})
+  --min-similarity <n>    Min name similarity 0-1 for duplicates (default: ${DUPLICATE_NAME_SIMILARITY})
+  --from-places           Import rows from the places table instead of a file
+  --existing <file>       Compare against a JSON export of venues instead of the database
+  --commit                Apply the changes (default: dry run)
+  --help                  Show this help message
+
+Examples:
+  node bin/import-venues.js data/lagos-bars.csv              # Dry run, writes data/lagos-bars.csv.report.md
+  node bin/import-venues.js data/osm-bars.geojson --existing venues.json  # Offline dry run
+  node bin/import-venues.js data/osm-bars.geojson --commit   # Import for real
+  node bin/import-venues.js --from-places --commit           # Promote generated places to venues
+  `);
+  process.exit(options.help ? 0 : 1);
+}
+
+if (options.existing && options.commit) {
+  console.error('❌ --existing is for dry runs; --commit needs the live venues table');
+  process.exit(1);
+}
+
+/**
+ * Read raw records from the import file
+ * @returns {Promise<Array>} Raw records
+ */
+async function loadFileRecords() {
+  const format = options.format || detectFormat(options.file);
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    console.error(`❌ Unknown format for ${options.file}. Use --format ${IMPORT_FORMATS.join('|')}`);
+    process.exit(1);
+  }
+
+  const content = await fs.readFile(path.resolve(options.file), 'utf8');
+  const records = parseVenueFile(content, format);
+  console.log(`✅ Read ${records.length} ${format.toUpperCase()} records from ${options.file}`);
+
+  return records;
+}
+
+/**
+ * Get the Supabase client. Loaded on first use so offline dry runs
+ * (a file plus --existing) work without database credentials.
+ * @returns {Promise<Object>} Supabase client
+ */
+async function getSupabase() {
+  const { supabase } = await import('../src/utils/supabase.js');
+  return supabase;
+}
+
+/**
+ * Read every row of a table in pages
+ * @param {string} table - Table name
+ * @param {string} columns - Columns to select
+ * @returns {Promise<Array>} Rows
+ */
+async function loadAllRows(table, columns) {
+  const supabase = await getSupabase();
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Apply an import plan
+ * @param {Object} plan - Plan from planVenueImport
+ * @returns {Promise<Object>} Counts and failures
+ */
+async function applyPlan(plan) {
+  const supabase = await getSupabase();
+  const result = { inserted: 0, updated: 0, failed: [] };
+
+  for (let i = 0; i < plan.inserts.length; i += INSERT_BATCH_SIZE) {
+    const batch = plan.inserts.slice(i, i + INSERT_BATCH_SIZE);
+    const { error } = await supabase
+      .from('venues')
+      .insert(batch.map(({ venue }) => ({ ...venue, is_active: true })));
+
+    if (error) {
+      console.warn(`   Warning: Could not insert rows ${batch[0].row}-${batch[batch.length - 1].row}:`, error.message);
+      result.failed.push(...batch.map(({ row, venue }) => ({ row, name: venue.name, reason: error.message })));
+    } else {
+      result.inserted += batch.length;
+    }
+  }
+
+  for (const update of plan.updates) {
+    const { error } = await supabase
+      .from('venues')
+      .update(update.changes)
+      .eq('id', update.id);
+
+    if (error) {
+      console.warn(`   Warning: Could not update ${update.name}:`, error.message);
+      result.failed.push({ row: update.row, name: update.name, reason: error.message });
+    } else {
+      result.updated++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run the import
+ */
+async function main() {
+  try {
+    console.log(`🚀 Venue import (${options.commit ? 'COMMIT' : 'dry run'})`);
+
+    const records = options.fromPlaces
+      ? await loadAllRows('places', '*')
+      : await loadFileRecords();
+
+    const source = options.source ||
+      (options.fromPlaces ? 'places' : path.basename(options.file).replace(/\.[^.]+$/, ''));
+
+    const existing = options.existing
+      ? JSON.parse(await fs.readFile(path.resolve(options.existing), 'utf8'))
+      : await loadAllRows('venues', ['id', ...IMPORT_FIELDS].join(', '));
+    console.log(`✅ Loaded ${existing.length} existing venues`);
+
+    const plan = planVenueImport(records, existing, {
+      source,
+      maxDistanceMeters: options.maxDistance,
+      minSimilarity: options.minSimilarity
+    });
+
+    console.log(`📋 ${plan.inserts.length} new, ${plan.updates.length} updated, ` +
+      `${plan.unchanged.length} unchanged, ${plan.skipped.length} skipped`);
+
+    let report = formatImportReport(plan, {
+      file: options.fromPlaces ? 'places table' : options.file,
+      dryRun: !options.commit
+    });
+
+    if (options.commit) {
+      const result = await applyPlan(plan);
+      console.log(`✅ Inserted ${result.inserted} and updated ${result.updated} venues`);
+
+      if (result.failed.length > 0) {
+        report += ['', '## Failed', '', ...result.failed.map(({ row, name, reason }) => `- [row ${row}] ${name}: ${reason}`), ''].join('\n');
+      }
+    }
+
+    const reportPath = options.report ||
+      (options.fromPlaces ? path.join(rootDir, 'places-import.report.md') : `${options.file}.report.md`);
+    await fs.writeFile(reportPath, report);
+    console.log(`📝 Report written to ${reportPath}`);
+
+    if (!options.commit) {
+      console.log('ℹ️  Dry run only. Re-run with --commit to apply these changes.');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Venue import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+import dotenvFlow from 'dotenv-flow';
+import { matchExpiryService } from '../src/services/match-expiry-service.js';
+
+// Load environment variables
+dotenvFlow.config();
+
+/**
+ * Run match maintenance tasks
+ */
+async function runMatchTasks() {
+  try {
+    console.log('Starting match maintenance tasks...');
+    
+    // Remind people whose match is about to expire without a first message
+    console.log('Sending match expiry reminders...');
+    const remindersSent = await matchExpiryService.sendExpiryReminders();
+    console.log(`Sent reminders for ${remindersSent} matches.`);
+    
+    // Expire matches nobody said hello on in time
+    console.log('Expiring stale matches...');
+    const matchesExpired = await matchExpiryService.expireMatches();
+    console.log(`Expired ${matchesExpired} matches.`);
+    
+    console.log('Match maintenance tasks completed successfully.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error running match tasks:', error);
+    process.exit(1);
+  }
+}
+
+// Run the tasks
+runMatchTasks();
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+import dotenvFlow from 'dotenv-flow';
+import { chatService } from '../src/services/chat-service.js';
+
+// Load environment variables
+dotenvFlow.config();
+
+/**
+ * Run message maintenance tasks
+ */
+async function runMessageTasks() {
+  try {
+    console.log('Starting message maintenance tasks...');
+    
+    // Delete disappearing messages whose time is up
+    console.log('Purging expired messages...');
+    const messagesPurged = await chatService.purgeExpiredMessages();
+    console.log(`Purged ${messagesPurged} messages.`);
+    
+    console.log('Message maintenance tasks completed successfully.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error running message tasks:', error);
+    process.exit(1);
+  }
+}
+
+// Run the tasks
+runMessageTasks();
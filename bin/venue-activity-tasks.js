@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+import dotenvFlow from 'dotenv-flow';
+import { venueActivityService } from '../src/services/venue-activity-service.js';
+
+// Load environment variables
+dotenvFlow.config();
+
+// The live heatmap should run every few minutes; busy hours only need a
+// nightly rebuild, so they can be run on their own schedule with --busy-hours
+const args = process.argv.slice(2);
+const runLive = !args.includes('--busy-hours');
+const runBusyHours = !args.includes('--live');
+
+/**
+ * Run venue crowd analytics tasks
+ */
+async function runVenueActivityTasks() {
+  try {
+    console.log('Starting venue activity tasks...');
+    
+    if (runLive) {
+      // Snapshot who is out right now for the discover heatmap
+      console.log('Refreshing live venue activity...');
+      const activeVenues = await venueActivityService.refreshLiveActivity();
+      console.log(`Found activity at ${activeVenues} venues.`);
+    }
+    
+    if (runBusyHours) {
+      // Rebuild the weekly busy-hours histograms from recent check-ins and matches
+      console.log('Rebuilding venue busy hours...');
+      const slots = await venueActivityService.refreshBusyHours();
+      console.log(`Wrote ${slots} venue hour slots.`);
+    }
+    
+    console.log('Venue activity tasks completed successfully.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error running venue activity tasks:', error);
+    process.exit(1);
+  }
+}
+
+// Run the tasks
+runVenueActivityTasks();
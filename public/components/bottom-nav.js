@@ -5,6 +5,8 @@
  * 2. Add the component where needed: <bottom-navigation current-page="discover"></bottom-navigation>
  */
 
+import { getLikesReceivedCount } from '../js/api/matches.js';
+
 class BottomNavigation extends HTMLElement {
   constructor() {
     super();
@@ -124,6 +126,7 @@ class BottomNavigation extends HTMLElement {
             <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
             <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
           </svg>
+          <span class="unread-badge hidden" id="likes-badge">0</span>
         </a>
         <a href="/chat" class="nav-item ${currentPage === 'chat' ? 'active' : ''}" title="Chat" aria-label="Chat" data-i18n-title="nav.chat" data-i18n-aria-label="nav.chat">
           <svg width="24" height="24" viewBox="0 0 24 24" stroke-width="2">
@@ -133,6 +136,27 @@ class BottomNavigation extends HTMLElement {
         </a>
       </nav>
     `;
+    
+    this.updateLikesBadge();
+  }
+  
+  /**
+   * Show how many people liked the user and are waiting for an answer
+   * on the Matching item. Hidden when there are none or the count can't be loaded.
+   */
+  async updateLikesBadge() {
+    const badge = this.shadowRoot.querySelector('#likes-badge');
+    if (!badge) return;
+    
+    let count = 0;
+    try {
+      count = await getLikesReceivedCount();
+    } catch (error) {
+      count = 0;
+    }
+    
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.classList.toggle('hidden', count === 0);
   }
 }
 
@@ -0,0 +1,189 @@
+// public/js/admin-reports.js
+// Admin Reports Page Controller
+// Lets admins work through the moderation queue: read each report and the
+// messages attached to it, then mark it actioned or dismissed.
+
+import { REPORT_REASON_LABELS, getReport, getReports, reviewReport } from './api/moderation.js';
+
+/**
+ * Initialize the admin reports page.
+ */
+export function initAdminReportsPage() {
+  console.log('🛠️ Admin Reports Page init');
+
+  const statusFilter = document.getElementById('report-status-filter');
+  const queue = document.getElementById('report-queue');
+  const detail = document.getElementById('report-detail');
+
+  if (!queue) return;
+
+  loadReports();
+
+  if (statusFilter) {
+    statusFilter.addEventListener('change', () => {
+      detail.hidden = true;
+      loadReports();
+    });
+  }
+
+  /**
+   * Fetch reports with the selected status and render the queue.
+   */
+  async function loadReports() {
+    try {
+      queue.innerHTML = 'Loading reports...';
+      const reports = await getReports(statusFilter ? statusFilter.value : 'open');
+      renderReports(reports);
+    } catch (err) {
+      console.error(err);
+      queue.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+    }
+  }
+
+  function renderReports(reports = []) {
+    if (!reports.length) {
+      queue.innerHTML = '<p>No reports here.</p>';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Reported</th>
+          <th>Reason</th>
+          <th>Reported by</th>
+          <th>Times reported</th>
+          <th>Submitted</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    `;
+
+    const tbody = table.querySelector('tbody');
+    reports.forEach(report => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${escapeHtml(personName(report.reported, report.reported_id))}</td>
+        <td>${escapeHtml(REPORT_REASON_LABELS[report.reason] || report.reason)}</td>
+        <td>${escapeHtml(reporterName(report))}</td>
+        <td>${report.reported_count}</td>
+        <td>${new Date(report.created_at).toLocaleString()}</td>
+        <td><button type="button">Review</button></td>
+      `;
+      tr.querySelector('button').addEventListener('click', () => showReport(report.id));
+      tbody.appendChild(tr);
+    });
+
+    queue.innerHTML = '';
+    queue.appendChild(table);
+  }
+
+  /**
+   * Show one report with its evidence and review actions.
+   * @param {string} reportId - Report ID
+   */
+  async function showReport(reportId) {
+    detail.hidden = false;
+    detail.innerHTML = 'Loading report...';
+
+    try {
+      const report = await getReport(reportId);
+      const closed = ['actioned', 'dismissed'].includes(report.status);
+
+      detail.innerHTML = `
+        <h2>${escapeHtml(personName(report.reported, report.reported_id))}
+          – ${escapeHtml(REPORT_REASON_LABELS[report.reason] || report.reason)}</h2>
+        <p class="report-meta">
+          Reported by ${escapeHtml(reporterName(report))}
+          on ${new Date(report.created_at).toLocaleString()} · Status: ${escapeHtml(report.status)}
+        </p>
+        ${report.details ? `<blockquote>${escapeHtml(report.details)}</blockquote>` : ''}
+        <h3>Messages (${report.evidence.length})</h3>
+        <div class="report-evidence">
+          ${report.evidence.length
+            ? report.evidence.map(message => `
+              <div class="evidence-message ${message.sender_id === report.reported_id ? 'from-reported' : ''}">
+                <span class="evidence-meta">
+                  ${message.sender_id === report.reported_id ? 'Reported user' : 'Reporter'}
+                  · ${new Date(message.created_at).toLocaleString()}
+                </span>
+                <p>${escapeHtml(message.content)}</p>
+              </div>
+            `).join('')
+            : '<p>No messages attached.</p>'}
+        </div>
+        ${report.message_history.length ? `
+          <h3>Edited and unsent messages (${report.message_history.length})</h3>
+          <div class="report-evidence">
+            ${report.message_history.map(entry => `
+              <div class="evidence-message from-reported">
+                <span class="evidence-meta">
+                  ${entry.action === 'unsend' ? 'Unsent' : 'Before edit'}
+                  · ${new Date(entry.created_at).toLocaleString()}
+                </span>
+                <p>${escapeHtml(entry.previous_content)}</p>
+                ${entry.previous_attachment_url ? '<span class="evidence-meta">Had a photo or voice note, removed when unsent</span>' : ''}
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        <h3>Other reports about this user (${report.previous_reports.length})</h3>
+        <ul class="report-history">
+          ${report.previous_reports.map(previous => `
+            <li>${new Date(previous.created_at).toLocaleDateString()} –
+              ${escapeHtml(REPORT_REASON_LABELS[previous.reason] || previous.reason)} (${escapeHtml(previous.status)})</li>
+          `).join('')}
+        </ul>
+        ${report.resolution_note ? `<p class="report-meta">Moderator note: ${escapeHtml(report.resolution_note)}</p>` : ''}
+        <div class="report-actions" ${closed ? 'hidden' : ''}>
+          ${report.status === 'open' ? '<button type="button" data-status="reviewing">Start review</button>' : ''}
+          <button type="button" data-status="actioned">Mark actioned</button>
+          <button type="button" data-status="dismissed">Dismiss</button>
+        </div>
+      `;
+
+      detail.querySelectorAll('[data-status]').forEach(button => {
+        button.addEventListener('click', async () => {
+          const status = button.dataset.status;
+          let note = '';
+
+          if (status !== 'reviewing') {
+            note = prompt('Note for the moderation log (not shown to either user):', '');
+            if (note === null) return;
+          }
+
+          try {
+            await reviewReport(report.id, status, note.trim());
+            await loadReports();
+            await showReport(report.id);
+          } catch (err) {
+            alert(err.message || 'Failed to update report');
+          }
+        });
+      });
+    } catch (err) {
+      console.error('Failed to load report:', err);
+      detail.innerHTML = `<p class="error">${escapeHtml(err.message)}</p>`;
+    }
+  }
+}
+
+function reporterName(report) {
+  return report.reporter_id ? personName(report.reporter, report.reporter_id) : 'Automatic check';
+}
+
+function personName(profile, fallbackId) {
+  return profile ? profile.display_name || profile.full_name || fallbackId : fallbackId;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
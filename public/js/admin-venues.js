@@ -1,8 +1,15 @@
 // public/js/admin-venues.js
 // Admin Venues Page Controller
-// Provides UI handlers for listing and creating venues.
+// Provides UI handlers for listing and creating venues, their check-in QR codes,
+// and reviewing changes submitted by venue owners.
 
-import { createVenue } from './api/venues.js';
+import { createVenue, createVenueQrToken } from './api/venues.js';
+import {
+  approveVenueChangeRequest,
+  getVenueChangeRequests,
+  rejectVenueChangeRequest
+} from './api/venue-owners.js';
+import { generateQRCode } from './utils/qrcode-generator.js';
 
 /**
  * Initialize the admin venues page.
@@ -12,9 +19,13 @@ export function initAdminVenuesPage() {
 
   const form = document.getElementById('venue-form');
   const listContainer = document.getElementById('venue-list');
+  const qrPanel = document.getElementById('venue-qr-panel');
+  const changeQueue = document.getElementById('venue-change-queue');
+  let qrRotationTimer = null;
 
-  // Load venues initially
+  // Load venues and the owner change queue initially
   loadVenues();
+  loadChangeRequests();
 
   if (form) {
     form.addEventListener('submit', async (e) => {
@@ -95,6 +106,7 @@ export function initAdminVenuesPage() {
           <th>Category</th>
           <th>Lat</th>
           <th>Lng</th>
+          <th>Check-in QR</th>
         </tr>
       </thead>
       <tbody></tbody>
@@ -110,11 +122,157 @@ export function initAdminVenuesPage() {
         <td>${v.category || ''}</td>
         <td>${v.location_lat || v.lat || ''}</td>
         <td>${v.location_lng || v.lng || ''}</td>
+        <td>
+          <button type="button" data-qr-mode="print">Print</button>
+          <button type="button" data-qr-mode="screen">Display</button>
+        </td>
       `;
+      tr.querySelectorAll('[data-qr-mode]').forEach(button => {
+        button.addEventListener('click', () => showVenueQrCode(v, button.dataset.qrMode));
+      });
       tbody.appendChild(tr);
     });
 
     listContainer.innerHTML = '';
     listContainer.appendChild(table);
   }
+
+  /**
+   * Show a check-in QR code for a venue.
+   * Printed codes are long-lived; displayed codes rotate before they expire.
+   * @param {Object} venue - Venue to show the code for
+   * @param {string} mode - 'print' or 'screen'
+   */
+  async function showVenueQrCode(venue, mode) {
+    if (!qrPanel) return;
+
+    clearTimeout(qrRotationTimer);
+    qrPanel.hidden = false;
+    qrPanel.innerHTML = 'Generating QR code...';
+
+    try {
+      const { token, expires_at } = await createVenueQrToken(venue.id, mode);
+      const params = new URLSearchParams({ venue: venue.id, token });
+      const checkInUrl = `${window.location.origin}/venue-check-in?${params}`;
+      const qrDataUrl = await generateQRCode(checkInUrl, { width: 320, height: 320 });
+
+      qrPanel.innerHTML = `
+        <h2>${venue.name}</h2>
+        <p>Scan to check in</p>
+        <img src="${qrDataUrl}" alt="Check-in QR code for ${venue.name}" />
+        <p class="qr-expiry">Valid until ${new Date(expires_at).toLocaleString()}</p>
+        <div class="qr-actions">
+          ${mode === 'print' ? '<button type="button" data-action="print">Print</button>' : ''}
+          <button type="button" data-action="close">Close</button>
+        </div>
+      `;
+
+      const printButton = qrPanel.querySelector('[data-action="print"]');
+      if (printButton) {
+        printButton.addEventListener('click', () => window.print());
+      }
+      qrPanel.querySelector('[data-action="close"]').addEventListener('click', () => {
+        clearTimeout(qrRotationTimer);
+        qrPanel.hidden = true;
+        qrPanel.innerHTML = '';
+      });
+
+      if (mode === 'screen') {
+        // Swap in a fresh code shortly before the current one expires
+        const refreshIn = Math.max(new Date(expires_at).getTime() - Date.now() - 30000, 10000);
+        qrRotationTimer = setTimeout(() => showVenueQrCode(venue, mode), refreshIn);
+      }
+    } catch (err) {
+      console.error('Failed to create venue QR code:', err);
+      qrPanel.innerHTML = `<p class="error">${err.message}</p>`;
+    }
+  }
+
+  /**
+   * Fetch pending owner change requests and render them for review.
+   */
+  async function loadChangeRequests() {
+    if (!changeQueue) return;
+
+    try {
+      changeQueue.innerHTML = 'Loading change requests...';
+      const requests = await getVenueChangeRequests('pending');
+      renderChangeRequests(requests);
+    } catch (err) {
+      console.error(err);
+      changeQueue.innerHTML = `<p class="error">${err.message}</p>`;
+    }
+  }
+
+  function renderChangeRequests(requests = []) {
+    if (!requests.length) {
+      changeQueue.innerHTML = '<p>No changes waiting for review.</p>';
+      return;
+    }
+
+    changeQueue.innerHTML = '';
+    requests.forEach(request => {
+      const item = document.createElement('div');
+      item.className = 'change-request';
+      item.innerHTML = `
+        <h3>${request.venue ? request.venue.name : request.venue_id}
+          – ${request.change_type === 'event' ? (request.event_id ? 'Event change' : 'New event') : 'Venue details'}</h3>
+        <p class="change-meta">
+          Submitted by ${request.submitter ? request.submitter.display_name : request.submitted_by}
+          on ${new Date(request.created_at).toLocaleString()}
+        </p>
+        <table class="venue-table">
+          <thead><tr><th>Field</th><th>Current</th><th>Proposed</th></tr></thead>
+          <tbody></tbody>
+        </table>
+        <div class="change-actions">
+          <button type="button" data-action="approve">Approve</button>
+          <button type="button" data-action="reject">Reject</button>
+        </div>
+      `;
+
+      const tbody = item.querySelector('tbody');
+      Object.entries(request.payload).forEach(([field, value]) => {
+        const current = request.change_type === 'venue_details' && request.venue ? request.venue[field] : '';
+        const tr = document.createElement('tr');
+        [field, formatValue(current), formatValue(value)].forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+
+      item.querySelector('[data-action="approve"]').addEventListener('click', async () => {
+        try {
+          const reviewed = await approveVenueChangeRequest(request.id);
+          if (reviewed.status === 'rejected') {
+            alert(reviewed.review_note);
+          }
+          await loadChangeRequests();
+        } catch (err) {
+          alert(err.message || 'Failed to approve change');
+        }
+      });
+
+      item.querySelector('[data-action="reject"]').addEventListener('click', async () => {
+        const note = prompt('Reason for rejecting (shown to the owner):', '');
+        if (note === null) return;
+
+        try {
+          await rejectVenueChangeRequest(request.id, note.trim());
+          await loadChangeRequests();
+        } catch (err) {
+          alert(err.message || 'Failed to reject change');
+        }
+      });
+
+      changeQueue.appendChild(item);
+    });
+  }
+
+  function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value, null, 1) : String(value);
+  }
 }
@@ -6,6 +6,7 @@
 
 import { supabaseClientPromise } from '../supabase-client.js';
 import { getCurrentUser } from '../supabase-client.js';
+import { serverRequest } from './server.js';
 
 /**
  * Get all conversations for the current user
@@ -31,6 +32,7 @@ export async function getUserConversations(options = { limit: 20, offset: 0 }) {
         user_1_unread_count,
         user_2_unread_count,
         is_active,
+        match:match_id (id, status, expires_at, extended_at),
         profile1:user_id_1 (id, display_name, avatar_url),
         profile2:user_id_2 (id, display_name, avatar_url)
       `)
@@ -83,6 +85,8 @@ export async function getConversationById(conversationId) {
         user_1_unread_count,
         user_2_unread_count,
         is_active,
+        match_id,
+        disappearing_after_seconds,
         profile1:user_id_1 (id, display_name, avatar_url),
         profile2:user_id_2 (id, display_name, avatar_url)
       `)
@@ -251,3 +255,50 @@ export async function deactivateConversation(conversationId) {
     throw error;
   }
 }
+
+/**
+ * Turn disappearing messages on or off for a conversation
+ * @param {string} conversationId - ID of the conversation
+ * @param {number|null} seconds - 3600, 86400 or 604800, or null to turn it off
+ * @returns {Promise<Object>} { conversation_id, disappearing_after_seconds }
+ */
+export async function setDisappearingTimer(conversationId, seconds) {
+  return serverRequest(`/api/conversations/${conversationId}/disappearing`, {
+    method: 'PUT',
+    body: { seconds }
+  });
+}
+
+/**
+ * Download a transcript of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} format - pdf, epub, md or json
+ * @returns {Promise<void>}
+ */
+export async function exportConversation(conversationId, format = 'pdf') {
+  const user = await getCurrentUser();
+  if (!user) throw new Error('Not authenticated');
+  
+  const params = new URLSearchParams({ format, tz: Intl.DateTimeFormat().resolvedOptions().timeZone });
+  const response = await fetch(`/api/conversations/${conversationId}/export?${params}`, {
+    headers: { 'X-User-Id': user.id, 'X-User-Phone': user.phone }
+  });
+  
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Export failed with status ${response.status}`);
+  }
+  
+  // Save the file under the name the server picked
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `chat.${format}`;
+  const url = URL.createObjectURL(await response.blob());
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
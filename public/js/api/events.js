@@ -0,0 +1,76 @@
+/**
+ * BarCrush Venue Events API
+ *
+ * Handles venue events (theme nights, singles mixers, happy hours) and RSVPs
+ */
+
+import { serverRequest } from './server.js';
+
+/**
+ * Readable names for event types
+ */
+export const EVENT_TYPE_LABELS = {
+  theme_night: 'Theme night',
+  singles_mixer: 'Singles mixer',
+  happy_hour: 'Happy hour',
+  live_music: 'Live music',
+  other: 'Event'
+};
+
+/**
+ * Get a venue's upcoming events
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<Array>} Events with RSVP counts and the user's own RSVP
+ */
+export async function getVenueEvents(venueId) {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/events`, { method: 'GET' });
+  } catch (error) {
+    console.error('Error getting venue events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create an event at a venue (admin only)
+ * @param {string} venueId - Venue ID
+ * @param {Object} event - title, description, event_type, starts_at, ends_at, capacity
+ * @returns {Promise<Object>} The new event
+ */
+export async function createVenueEvent(venueId, event) {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/events`, { body: event });
+  } catch (error) {
+    console.error('Error creating venue event:', error);
+    throw error;
+  }
+}
+
+/**
+ * RSVP to an event
+ * @param {string} eventId - Event ID
+ * @param {string} status - 'going' or 'interested'
+ * @returns {Promise<Object>} The RSVP
+ */
+export async function rsvpToEvent(eventId, status = 'going') {
+  try {
+    return await serverRequest(`/api/events/${eventId}/rsvp`, { body: { status } });
+  } catch (error) {
+    console.error('Error RSVPing to event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the user's RSVP to an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} The removed RSVP
+ */
+export async function cancelEventRsvp(eventId) {
+  try {
+    return await serverRequest(`/api/events/${eventId}/rsvp`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error cancelling event RSVP:', error);
+    throw error;
+  }
+}
@@ -9,8 +9,8 @@
 
 import { supabaseClientPromise } from '../supabase-client.js';
 import { getCurrentUser } from '../supabase-client.js';
-import { createConversation } from './conversations.js';
 import { getProfile } from './profiles.js';
+import { serverRequest } from './server.js';
 
 /**
  * Calculate distance between two points using Haversine formula
@@ -84,278 +84,287 @@ export async function getUserMatches(options = { limit: 20, offset: 0 }) {
 }
 
 /**
- * Create a like/interest in another user
+ * Like another user. The server decides whether it's a match and, if so,
+ * creates the match and its conversation.
  * @param {string} likedUserId - ID of the user being liked
  * @param {string} venueId - ID of the venue where the like occurred (optional)
- * @returns {Promise<Object>} Match data if mutual, otherwise like data
+ * @returns {Promise<Object>} { isMatch, match, conversationId } where match is
+ *   { id, conversation_id, venue_id } or null
  */
 export async function likeUser(likedUserId, venueId = null) {
   try {
-    const user = await getCurrentUser();
-    if (!user) throw new Error('Not authenticated');
+    const result = await serverRequest('/api/swipes', {
+      body: { target_user_id: likedUserId, direction: 'like', venue_id: venueId }
+    });
     
-    if (user.id === likedUserId) {
-      throw new Error('Cannot like yourself');
-    }
+    return {
+      ...result,
+      isMatch: result.is_match,
+      conversationId: result.match ? result.match.conversation_id : null
+    };
+  } catch (error) {
+    console.error('Error liking user:', error);
+    throw error;
+  }
+}
 
-    // Check if there's an existing match where the liked user has already liked the current user
-    const { data: existingLike, error: likeError } = await supabase
-      .from('matches')
-      .select('*')
-      .eq('user1_id', likedUserId)
-      .eq('user2_id', user.id)
-      .eq('status', 'pending')
-      .maybeSingle();
+/**
+ * Dislike/pass on a user
+ * @param {string} dislikedUserId - ID of the user being disliked/passed
+ * @param {string} venueId - ID of the venue where the pass occurred (optional)
+ * @returns {Promise<Object>} Swipe result
+ */
+export async function dislikeUser(dislikedUserId, venueId = null) {
+  try {
+    return await serverRequest('/api/swipes', {
+      body: { target_user_id: dislikedUserId, direction: 'dislike', venue_id: venueId }
+    });
+  } catch (error) {
+    console.error('Error disliking user:', error);
+    throw error;
+  }
+}
 
-    if (likeError) {
-      console.error('Error checking for existing like:', likeError);
-      throw likeError;
-    }
+/**
+ * Super like another user. Uses one of today's super likes, or a purchased
+ * one once those are gone, and tells the other person straight away. Fails
+ * with status 402 when none are left.
+ * @param {string} superLikedUserId - ID of the user being super liked
+ * @param {string} venueId - ID of the venue where it happened (optional)
+ * @returns {Promise<Object>} { isMatch, match, conversationId, super_like }
+ */
+export async function superLikeUser(superLikedUserId, venueId = null) {
+  try {
+    const result = await serverRequest('/api/swipes', {
+      body: { target_user_id: superLikedUserId, direction: 'super_like', venue_id: venueId }
+    });
+    
+    return {
+      ...result,
+      isMatch: result.is_match,
+      conversationId: result.match ? result.match.conversation_id : null
+    };
+  } catch (error) {
+    console.error('Error super liking user:', error);
+    throw error;
+  }
+}
 
-    // If there's an existing like, it's a match!
-    if (existingLike) {
-      // Update the existing like to a match
-      const { data: match, error: matchError } = await supabase
-        .from('matches')
-        .update({ 
-          status: 'matched',
-          updated_at: new Date()
-        })
-        .eq('id', existingLike.id)
-        .select()
-        .single();
+/**
+ * Get how many super likes the current user has left today, purchased
+ * credits and the packs on sale
+ * @returns {Promise<Object>} { tier, remaining_today, credits, remaining, resets_at, packs, ... }
+ */
+export async function getSuperLikeStatus() {
+  try {
+    return await serverRequest('/api/swipes/super-likes', {
+      method: 'GET',
+      query: { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+    });
+  } catch (error) {
+    console.error('Error getting super like status:', error);
+    throw error;
+  }
+}
 
-      if (matchError) throw matchError;
-      
-      // Create a conversation for the match
-      await createConversation(user.id, likedUserId, match.id);
-      
-      return { match, isMatch: true };
-    }
-    
-    // Otherwise, create a new pending match (like)
-    const { data: newLike, error: newLikeError } = await supabase
-      .from('matches')
-      .insert({
-        user1_id: user.id,
-        user2_id: likedUserId,
-        status: 'pending'
-      })
-      .select()
-      .single();
+/**
+ * Buy a pack of super likes. Retrying with the same purchaseId never charges
+ * twice, and finishes a purchase that was charged but not credited.
+ * @param {string} pack - Pack ID from getSuperLikeStatus().packs
+ * @param {string} token - Square card token
+ * @param {string} purchaseId - ID for this purchase, e.g. crypto.randomUUID()
+ * @returns {Promise<Object>} { purchase_id, pack, quantity, credits, payment_id }
+ */
+export async function purchaseSuperLikes(pack, token, purchaseId) {
+  try {
+    return await serverRequest('/api/swipes/super-likes/purchase', {
+      body: { pack, token, purchase_id: purchaseId }
+    });
+  } catch (error) {
+    console.error('Error buying super likes:', error);
+    throw error;
+  }
+}
 
-    if (newLikeError) {
-      // Gracefully handle duplicate like (unique constraint violation)
-      if (newLikeError.code === '23505' || (newLikeError.message && newLikeError.message.includes('duplicate key value'))) {
-        // Treat as success: return a friendly message and indicate no new like was created
-        return { like: null, isMatch: false, duplicate: true };
-      }
-      throw newLikeError;
-    }
-    
-    return { like: newLike, isMatch: false };
+/**
+ * Get how many likes the current user has left today. Swipes over the quota,
+ * or while swiping is paused for going too fast, fail with status 429 and
+ * error.data = { code, retry_after, resets_at } where code is
+ * daily_swipe_limit or swipe_throttled.
+ * @returns {Promise<Object>} { tier, daily_quota, used_today, remaining_today,
+ *   resets_at, throttled_until }
+ */
+export async function getSwipeLimits() {
+  try {
+    return await serverRequest('/api/swipes/limits', { method: 'GET' });
   } catch (error) {
-    console.error('Error liking user:', error);
+    console.error('Error getting swipe limits:', error);
     throw error;
   }
 }
 
 /**
- * Dislike/pass on a user
- * @param {string} dislikedUserId - ID of the user being disliked/passed
- * @returns {Promise<Object>} Dislike data
+ * Take back the most recent swipe. Only works for a short time after it was
+ * made (see undo_expires_at on the swipe result), and never for a like that
+ * already matched.
+ * @returns {Promise<Object>} { target_user_id, direction, profile }
  */
+export async function undoLastSwipe() {
+  try {
+    return await serverRequest('/api/swipes/undo');
+  } catch (error) {
+    console.error('Error undoing swipe:', error);
+    throw error;
+  }
+}
+
 // Aliases for backward compatibility
 export const likeProfile = likeUser;
 export const dislikeProfile = dislikeUser;
 export const getMatches = getUserMatches;
 
 /**
- * Get potential matches for the current user to swipe on
- * @param {Object} options - Options for filtering and pagination
- * @returns {Promise<Array>} Array of potential match profiles
+ * Get a page of the current user's matching deck. The server applies the
+ * user's saved filters (interested_in, age range, distance_km), computes real
+ * distances and ranks candidates, with people at the same venue or event first.
+ * With venueId, only people at that venue now or in the last few hours are
+ * included; the user has to be checked in there.
+ * @param {Object} options - { limit, cursor, venueId } where cursor is next_cursor from the previous page
+ * @returns {Promise<Object>} { results, next_cursor, venue }
  */
-export async function getPotentialMatches(options = { limit: 20, offset: 0, distance: 50 }) {
-  // Filter out users already liked or disliked by the current user
-  const user = await getCurrentUser();
-  if (!user) return [];
-
-  const supabase = await supabaseClientPromise;
-  
-  // Get all match records where the current user is user1_id (initiator)
-  const { data: myMatches, error: myMatchesError } = await supabase
-    .from('matches')
-    .select('user2_id, status')
-    .eq('user1_id', user.id);
-
-  const excludedIds = myMatches && myMatches.length > 0
-    ? myMatches.filter(m => m.status === 'pending' || m.status === 'matched' || m.status === 'disliked').map(m => m.user2_id)
-    : [];
+export async function getCandidateDeck(options = {}) {
+  try {
+    return await serverRequest('/api/matches/candidates', {
+      method: 'GET',
+      query: { limit: options.limit, cursor: options.cursor, venue_id: options.venueId }
+    });
+  } catch (error) {
+    console.error('Error getting candidate deck:', error);
+    throw error;
+  }
+}
 
-  // Also exclude self
-  excludedIds.push(user.id);
-  console.log('🔍 MATCHES DEBUG: Getting potential matches...');
-  
+/**
+ * Get the venue the current user can match at right now
+ * @returns {Promise<Object>} { venue, present_count } where venue is { id, name },
+ *   or null when the user isn't checked in anywhere
+ */
+export async function getVenueMatchMode() {
   try {
-    // For testing, try multiple queries to ensure we get data for real testing
-    console.log('🔧 MATCHES DEBUG: Using direct profile query with multiple fallbacks...');
-    
-    // Try the first query with is_verified filter
-    const { data: verifiedProfiles, error: verifiedError } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('is_verified', true) // Only verified profiles
-      .not('id', 'in', `(${excludedIds.join(',')})`)
-      .limit(options.limit || 20);
-    
-    if (verifiedProfiles && verifiedProfiles.length > 0) {
-      console.log(`✅ MATCHES DEBUG: Found ${verifiedProfiles.length} verified profiles`);
-      return transformProfiles(verifiedProfiles);
-    }
-    
-    if (verifiedError) {
-      console.error('❌ MATCHES DEBUG: Error fetching verified profiles:', verifiedError);
-    } else {
-      console.log('😭 MATCHES DEBUG: No verified profiles found, trying all profiles...');
-    }
-    
-    // If no verified profiles, try without the is_verified filter
-    const { data: allProfiles, error: allProfilesError } = await supabase
-      .from('profiles')
-      .select('*')
-      .not('id', 'in', `(${excludedIds.join(',')})`)
-      .limit(options.limit || 20);
-    
-    if (allProfiles && allProfiles.length > 0) {
-      console.log(`✅ MATCHES DEBUG: Found ${allProfiles.length} profiles (including unverified)`);
-      return transformProfiles(allProfiles);
-    }
-    
-    if (allProfilesError) {
-      console.error('❌ MATCHES DEBUG: Error fetching all profiles:', allProfilesError);
-    } else {
-      console.log('😭 MATCHES DEBUG: No profiles found in profiles table');
-    }
-    
-    // No more fallbacks - if we reach here, there are truly no profiles
-    
-    // If we've reached here, we truly have no data
-    console.log('😢 MATCHES DEBUG: Could not find any profiles or users');
-    return [];
+    return await serverRequest('/api/matches/venue-mode', { method: 'GET' });
   } catch (error) {
-    console.error('❌ MATCHES DEBUG: Error in getPotentialMatches:', error);
-    return [];
+    console.error('Error getting venue match mode:', error);
+    throw error;
   }
 }
 
-// Helper function to transform profiles to the expected format
-function transformProfiles(profiles) {
-  if (!profiles || profiles.length === 0) return [];
-  
-  // Transform profiles to match expected format
-  const transformedProfiles = profiles.map(profile => ({
-    id: profile.id,
-    full_name: profile.full_name || profile.name || profile.display_name || profile.email?.split('@')[0] || 'User',
-    age: profile.age || profile.birth_date ? calculateAge(profile.birth_date) : 25,
-    bio: profile.bio || 'No bio available',
-    avatar_url: profile.avatar_url || '/images/default-avatar.jpg',
-    images: profile.photos ? 
-      (typeof profile.photos === 'string' ? JSON.parse(profile.photos) : profile.photos) : 
-      [profile.avatar_url || '/images/default-avatar.jpg'],
-    location: profile.location || 'San Francisco, CA',
-    distance: profile.distance || Math.floor(Math.random() * 10) + 1, // Distance in km
-    interests: profile.interests ? 
-      (typeof profile.interests === 'string' ? JSON.parse(profile.interests) : profile.interests) : 
-      ['Music', 'Travel'],
-    is_verified: profile.is_verified || true
-  }));
-  
-  console.log('🎉 MATCHES DEBUG: Transformed profiles:', transformedProfiles);
-  return transformedProfiles;
+/**
+ * Get potential matches for the current user to swipe on
+ * @param {Object} options - { limit, cursor, venueId }
+ * @returns {Promise<Array>} Ranked candidate profiles
+ */
+export async function getPotentialMatches(options = { limit: 20 }) {
+  const { results } = await getCandidateDeck(options);
+  return results;
 }
 
-// Helper function to calculate age from birth_date
-function calculateAge(birthDate) {
-  if (!birthDate) return 25;
-  
+/**
+ * Get people the current user passed on a while ago, to show once more
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Profiles with second_look and passed_at set
+ */
+export async function getSecondLookMatches(options = {}) {
   try {
-    const today = new Date();
-    const birth = new Date(birthDate);
-    let age = today.getFullYear() - birth.getFullYear();
-    const m = today.getMonth() - birth.getMonth();
-    
-    if (m < 0 || (m === 0 && today.getDate() < birth.getDate())) {
-      age--;
-    }
-    
-    return age;
-  } catch (e) {
-    return 25;
+    const { results } = await serverRequest('/api/matches/second-look', {
+      method: 'GET',
+      query: { limit: options.limit }
+    });
+    return results;
+  } catch (error) {
+    console.error('Error getting second look profiles:', error);
+    throw error;
   }
 }
 
-export async function dislikeUser(dislikedUserId) {
+/**
+ * Give a match that is waiting for a first message more time. Paid users
+ * only (402 otherwise), and only once per match.
+ * @param {string} matchId - ID of the match to extend
+ * @returns {Promise<Object>} { id, expires_at, extended_at }
+ */
+export async function extendMatch(matchId) {
   try {
-    const user = await getCurrentUser();
-    if (!user) throw new Error('Not authenticated');
-    
-    // Create a dislike record
-    const supabase = await supabaseClientPromise;
-    const { data, error } = await supabase
-      .from('matches')
-      .insert({
-        user1_id: user.id,
-        user2_id: dislikedUserId,
-        status: 'disliked'
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-    return data;
+    return await serverRequest(`/api/matches/${matchId}/extend`);
   } catch (error) {
-    console.error('Error disliking user:', error);
+    console.error('Error extending match:', error);
     throw error;
   }
 }
 
 /**
- * Unmatch from a user
+ * Unmatch from a user. The server closes the conversation and keeps the two
+ * from matching again for a while.
  * @param {string} matchId - ID of the match to unmatch from
- * @returns {Promise<boolean>} True if successful
+ * @param {Object} options - { reason, details } where reason is one of
+ *   no_chemistry, no_reply, met_someone, inappropriate or other
+ * @returns {Promise<Object>} { id, status, unmatched_at, rematch_after }
  */
-export async function unmatchUser(matchId) {
+export async function unmatchUser(matchId, { reason = 'other', details = '' } = {}) {
   try {
-    const user = await getCurrentUser();
-    if (!user) throw new Error('Not authenticated');
-
-    // First get the match to verify ownership
-    const { data: match, error: matchError } = await supabase
-      .from('matches')
-      .select('*')
-      .eq('id', matchId)
-      .single();
-
-    if (matchError) throw matchError;
+    return await serverRequest(`/api/matches/${matchId}`, {
+      method: 'DELETE',
+      body: { reason, details }
+    });
+  } catch (error) {
+    console.error('Error unmatching user:', error);
+    throw error;
+  }
+}
 
-    // Verify the current user is part of the match
-    if (match.user1_id !== user.id && match.user2_id !== user.id) {
-      throw new Error('Not authorized to unmatch');
-    }
+/**
+ * Get people who liked the current user and are waiting for them to swipe.
+ * Without a subscription the entries come back blurred: only liked_at and
+ * super_like are set, and subscription_url points to the upgrade page.
+ * @param {Object} options - { limit, cursor } where cursor is next_cursor from the previous page
+ * @returns {Promise<Object>} { results, next_cursor, total, revealed, subscription_url }
+ */
+export async function getLikesReceived(options = {}) {
+  try {
+    return await serverRequest('/api/matches/likes', {
+      method: 'GET',
+      query: { limit: options.limit, cursor: options.cursor }
+    });
+  } catch (error) {
+    console.error('Error getting likes received:', error);
+    throw error;
+  }
+}
 
-    // Update match status to unmatched
-    const { error } = await supabase
-      .from('matches')
-      .update({ 
-        status: 'unmatched',
-        updated_at: new Date()
-      })
-      .eq('id', matchId);
+/**
+ * Count people who liked the current user and are waiting for an answer
+ * @returns {Promise<number>} Number of likes waiting
+ */
+export async function getLikesReceivedCount() {
+  try {
+    const { count } = await serverRequest('/api/matches/likes/count', { method: 'GET' });
+    return count;
+  } catch (error) {
+    console.error('Error getting likes count:', error);
+    throw error;
+  }
+}
 
-    if (error) throw error;
-    return true;
+/**
+ * Like back someone who liked the current user. Subscribers only (402
+ * otherwise). Since they already liked the user, this makes a match.
+ * @param {string} userId - ID of the user who sent the like
+ * @returns {Promise<Object>} Swipe result with is_match and match
+ */
+export async function likeBack(userId) {
+  try {
+    return await serverRequest(`/api/matches/likes/${userId}/like-back`);
   } catch (error) {
-    console.error('Error unmatching user:', error);
+    console.error('Error liking back:', error);
     throw error;
   }
 }
@@ -7,6 +7,7 @@
 import supabase from './supabase-client.js';
 import { getCurrentUser } from './supabase-client.js';
 import { getConversationById } from './conversations.js';
+import { serverRequest, serverUpload } from './server.js';
 
 /**
  * Get messages for a conversation
@@ -130,60 +131,28 @@ export async function sendLocationMessage(conversationId, lat, lng, locationName
 }
 
 /**
- * Upload and send a media message (image, audio)
+ * Upload and send a media message (image, audio). The server checks the
+ * file, strips photo metadata and makes a thumbnail before storing it.
  * @param {string} conversationId - ID of the conversation
- * @param {File} file - File to upload
+ * @param {File|Blob} file - File to upload
  * @param {string} messageType - Type of message ('image' or 'audio')
+ * @param {Object} options - { caption }
  * @returns {Promise<Object>} Created message
  */
-export async function sendMediaMessage(conversationId, file, messageType) {
+export async function sendMediaMessage(conversationId, file, messageType, { caption = '' } = {}) {
   try {
     if (!['image', 'audio'].includes(messageType)) {
       throw new Error('Invalid message type. Must be "image" or "audio"');
     }
     
-    const user = await getCurrentUser();
-    if (!user) throw new Error('Not authenticated');
-
-    // First verify the user has access to this conversation
-    const conversation = await getConversationById(conversationId);
+    const formData = new FormData();
+    formData.append('file', file, file.name || `${messageType}-${Date.now()}`);
+    formData.append('message_type', messageType);
+    // Lets a retried upload be recognised instead of sent twice
+    formData.append('client_id', crypto.randomUUID());
+    if (caption) formData.append('caption', caption);
     
-    // Generate a unique file path
-    const fileExt = file.name.split('.').pop();
-    const fileName = `${conversationId}/${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExt}`;
-    const filePath = `messages/${fileName}`;
-
-    // Upload the file to Supabase Storage
-    const { error: uploadError } = await supabase.storage
-      .from('message-content')
-      .upload(filePath, file);
-
-    if (uploadError) throw uploadError;
-
-    // Get the public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('message-content')
-      .getPublicUrl(filePath);
-    
-    // Create content text based on message type
-    const content = messageType === 'image' 
-      ? 'Sent an image' 
-      : 'Sent an audio message';
-    
-    // Create the message
-    const { data, error } = await supabase
-      .from('messages')
-      .insert({
-        conversation_id: conversationId,
-        sender_id: user.id,
-        message_type: messageType,
-        content,
-        attachment_url: publicUrl
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await serverUpload(`/api/conversations/${conversationId}/media`, formData);
     
     return {
       ...data,
@@ -242,64 +211,42 @@ export async function markMessagesAsRead(conversationId) {
 }
 
 /**
- * Delete a message (for sender only)
+ * Edit a text message (for sender only, shortly after sending)
+ * @param {string} messageId - ID of the message to edit
+ * @param {string} content - New text
+ * @returns {Promise<Object>} Updated message
+ */
+export async function editMessage(messageId, content) {
+  try {
+    const data = await serverRequest(`/api/messages/${messageId}`, {
+      method: 'PATCH',
+      body: { content }
+    });
+    
+    return {
+      ...data,
+      fromCurrentUser: true
+    };
+  } catch (error) {
+    console.error('Error editing message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Unsend a message for everyone (for sender only). The server keeps a
+ * tombstone in its place.
  * @param {string} messageId - ID of the message to delete
- * @returns {Promise<boolean>} True if successful
+ * @returns {Promise<Object>} The tombstone
  */
 export async function deleteMessage(messageId) {
   try {
-    const user = await getCurrentUser();
-    if (!user) throw new Error('Not authenticated');
-
-    // First verify the user is the sender
-    const { data: message, error: messageError } = await supabase
-      .from('messages')
-      .select('sender_id, conversation_id')
-      .eq('id', messageId)
-      .single();
-    
-    if (messageError) throw messageError;
-    
-    if (message.sender_id !== user.id) {
-      throw new Error('Not authorized to delete this message');
-    }
-    
-    // Delete the message
-    const { error } = await supabase
-      .from('messages')
-      .delete()
-      .eq('id', messageId);
-    
-    if (error) throw error;
-    
-    // If this was the last message in the conversation, update the conversation's last_message
-    const { data: latestMessage, error: latestError } = await supabase
-      .from('messages')
-      .select('content, created_at')
-      .eq('conversation_id', message.conversation_id)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-    
-    if (latestError && latestError.code !== 'PGRST116') { // PGRST116 is "No rows returned"
-      throw latestError;
-    }
+    const data = await serverRequest(`/api/messages/${messageId}`, { method: 'DELETE' });
     
-    if (latestMessage) {
-      // Update the conversation with the new latest message
-      const { error: updateError } = await supabase
-        .from('conversations')
-        .update({ 
-          last_message_text: latestMessage.content,
-          last_message_at: latestMessage.created_at,
-          updated_at: new Date()
-        })
-        .eq('id', message.conversation_id);
-      
-      if (updateError) throw updateError;
-    }
-    
-    return true;
+    return {
+      ...data,
+      fromCurrentUser: true
+    };
   } catch (error) {
     console.error('Error deleting message:', error);
     throw error;
@@ -0,0 +1,121 @@
+/**
+ * BarCrush Moderation API
+ *
+ * Blocking and reporting users, and the moderation queue for admins.
+ * Blocking someone hides both people from each other everywhere.
+ */
+
+import { serverRequest } from './server.js';
+
+/**
+ * Readable names for report reasons
+ */
+export const REPORT_REASON_LABELS = {
+  spam: 'Spam',
+  harassment: 'Harassment or threats',
+  inappropriate_content: 'Inappropriate messages or photos',
+  fake_profile: 'Fake profile',
+  underage: 'Under 18',
+  scam: 'Scam or asking for money',
+  other: 'Something else'
+};
+
+/**
+ * Get the people the current user has blocked
+ * @returns {Promise<Array>} { id, display_name, avatar_url, blocked_at }
+ */
+export async function getBlockedUsers() {
+  try {
+    return await serverRequest('/api/blocks', { method: 'GET' });
+  } catch (error) {
+    console.error('Error getting blocked users:', error);
+    throw error;
+  }
+}
+
+/**
+ * Block a user
+ * @param {string} userId - User to block
+ * @returns {Promise<Object>} { blocked_user_id, created_at }
+ */
+export async function blockUser(userId) {
+  try {
+    return await serverRequest(`/api/users/${userId}/block`);
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Unblock a user
+ * @param {string} userId - User to unblock
+ * @returns {Promise<Object>} { unblocked_user_id }
+ */
+export async function unblockUser(userId) {
+  try {
+    return await serverRequest(`/api/users/${userId}/block`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Report a user. They are blocked too unless block is false.
+ * @param {string} userId - User to report
+ * @param {Object} report - { reason, details, message_ids, block }
+ * @returns {Promise<Object>} { id, reason, status, created_at, blocked }
+ */
+export async function reportUser(userId, report) {
+  try {
+    return await serverRequest(`/api/users/${userId}/report`, { body: report });
+  } catch (error) {
+    console.error('Error reporting user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get reports in the moderation queue (admin only)
+ * @param {string} status - open, reviewing, actioned or dismissed
+ * @returns {Promise<Array>} Reports with reporter and reported profiles
+ */
+export async function getReports(status = 'open') {
+  try {
+    return await serverRequest('/api/admin/reports', { method: 'GET', query: { status } });
+  } catch (error) {
+    console.error('Error getting reports:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a report with its evidence (admin only)
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Report with evidence and previous_reports
+ */
+export async function getReport(reportId) {
+  try {
+    return await serverRequest(`/api/admin/reports/${reportId}`, { method: 'GET' });
+  } catch (error) {
+    console.error('Error getting report:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a report's status (admin only)
+ * @param {string} reportId - Report ID
+ * @param {string} status - reviewing, actioned or dismissed
+ * @param {string} note - Moderator's note
+ * @returns {Promise<Object>} Updated report
+ */
+export async function reviewReport(reportId, status, note = '') {
+  try {
+    return await serverRequest(`/api/admin/reports/${reportId}`, { method: 'PUT', body: { status, note } });
+  } catch (error) {
+    console.error('Error reviewing report:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * BarCrush Venue Reviews API
+ *
+ * Handles venue ratings and vibe tags. Users can review a venue after
+ * checking in there, once per venue per review period.
+ */
+
+import { serverRequest } from './server.js';
+
+/**
+ * Readable names for vibe tags
+ */
+export const VIBE_TAG_LABELS = {
+  good_for_meeting_people: 'Good for meeting people',
+  loud: 'Loud',
+  lgbtq_friendly: 'LGBTQ+ friendly',
+  dress_code: 'Dress code',
+  chill: 'Chill',
+  dancing: 'Dancing',
+  date_spot: 'Date spot',
+  outdoor_space: 'Outdoor space'
+};
+
+/**
+ * Get a venue's reviews, newest first
+ * @param {string} venueId - Venue ID
+ * @param {Object} options - { limit, before } where before is the created_at of the last review shown
+ * @returns {Promise<Array>} Reviews with reviewer profiles
+ */
+export async function getVenueReviews(venueId, options = {}) {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/reviews`, {
+      method: 'GET',
+      query: { limit: options.limit, before: options.before }
+    });
+  } catch (error) {
+    console.error('Error getting venue reviews:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rate and review a venue the user has checked in at
+ * @param {string} venueId - Venue ID
+ * @param {Object} review - { rating (1-5), vibe_tags, body }
+ * @returns {Promise<Object>} The new review
+ */
+export async function createVenueReview(venueId, review) {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/reviews`, { body: review });
+  } catch (error) {
+    console.error('Error creating venue review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Edit one of the user's reviews
+ * @param {string} reviewId - Review ID
+ * @param {Object} changes - Any of rating, vibe_tags and body
+ * @returns {Promise<Object>} The updated review
+ */
+export async function updateVenueReview(reviewId, changes) {
+  try {
+    return await serverRequest(`/api/reviews/${reviewId}`, { method: 'PUT', body: changes });
+  } catch (error) {
+    console.error('Error updating venue review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete one of the user's reviews
+ * @param {string} reviewId - Review ID
+ * @returns {Promise<Object>} The deleted review
+ */
+export async function deleteVenueReview(reviewId) {
+  try {
+    return await serverRequest(`/api/reviews/${reviewId}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error deleting venue review:', error);
+    throw error;
+  }
+}
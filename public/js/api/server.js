@@ -0,0 +1,87 @@
+/**
+ * BarCrush Server API
+ *
+ * Calls the app's own /api routes, which identify the caller by the
+ * user ID and phone number sent with each request
+ */
+
+import { getCurrentUser } from '../supabase-client.js';
+
+/**
+ * Send an authenticated request to the BarCrush server
+ * @param {string} path - API path, e.g. /api/venues/123/check-in
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default: POST)
+ * @param {Object} options.body - JSON body; userId and phone are added automatically
+ * @param {Object} options.query - Query parameters; empty values are skipped
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function serverRequest(path, { method = 'POST', body = {}, query = null } = {}) {
+  const user = await getCurrentUser();
+  if (!user) throw new Error('Not authenticated');
+
+  let url = path;
+  if (query) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, Array.isArray(value) ? value.join(',') : value);
+      }
+    });
+    if (params.toString()) url += `?${params}`;
+  }
+
+  // GET requests can't carry a body, so they identify the user by header
+  const request = method === 'GET'
+    ? {
+      method,
+      headers: { 'X-User-Id': user.id, 'X-User-Phone': user.phone }
+    }
+    : {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, userId: user.id, phone: user.phone })
+    };
+
+  const response = await fetch(url, request);
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Upload files to the BarCrush server as multipart form data
+ * @param {string} path - API path, e.g. /api/conversations/123/media
+ * @param {FormData} formData - Files and fields to send
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function serverUpload(path, formData) {
+  const user = await getCurrentUser();
+  if (!user) throw new Error('Not authenticated');
+
+  // The browser sets the multipart Content-Type, so the user goes in headers
+  const response = await fetch(path, {
+    method: 'POST',
+    headers: { 'X-User-Id': user.id, 'X-User-Phone': user.phone },
+    body: formData
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Upload failed with status ${response.status}`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+}
@@ -0,0 +1,156 @@
+/**
+ * BarCrush Venue Owners API
+ *
+ * Lets venue owners claim their venue and submit changes, which go live
+ * once an admin approves them
+ */
+
+import { supabaseClientPromise } from '../supabase-client.js';
+import { serverRequest } from './server.js';
+
+/**
+ * Call the venue's listed phone number with a claim code
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<Object>} { claim_id, phone_hint, expires_at }
+ */
+export async function startVenueClaim(venueId) {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/claim`);
+  } catch (error) {
+    console.error('Error starting venue claim:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verify the claim code received at the venue
+ * @param {string} venueId - Venue ID
+ * @param {string} code - Code read out on the call
+ * @returns {Promise<Object>} Ownership record
+ */
+export async function verifyVenueClaim(venueId, code) {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/claim/verify`, { body: { code } });
+  } catch (error) {
+    console.error('Error verifying venue claim:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the venues the current user manages
+ * @returns {Promise<Array>} Venues with upcoming_events and change_requests
+ */
+export async function getOwnedVenues() {
+  try {
+    return await serverRequest('/api/owner/venues', { method: 'GET' });
+  } catch (error) {
+    console.error('Error getting owned venues:', error);
+    throw error;
+  }
+}
+
+/**
+ * Submit venue detail changes for review
+ * @param {string} venueId - Venue ID
+ * @param {Object} changes - Any of description, images, opening_hours,
+ *   hours_exceptions, timezone, website
+ * @returns {Promise<Object>} Change request
+ */
+export async function submitVenueChanges(venueId, changes) {
+  try {
+    return await serverRequest(`/api/owner/venues/${venueId}/changes`, { body: { changes } });
+  } catch (error) {
+    console.error('Error submitting venue changes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Upload a venue photo to storage without touching the venue itself;
+ * the returned URL is then submitted for review with the venue's images
+ * @param {string} venueId - Venue ID
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Public URL of the uploaded photo
+ */
+export async function uploadVenuePhoto(venueId, file) {
+  try {
+    const supabase = await supabaseClientPromise;
+    const fileExt = file.name.split('.').pop();
+    const filePath = `venues/${venueId}-${Math.random().toString(36).substring(2)}.${fileExt}`;
+
+    const { error } = await supabase.storage
+      .from('venue-content')
+      .upload(filePath, file);
+
+    if (error) throw error;
+
+    const { data: { publicUrl } } = supabase.storage
+      .from('venue-content')
+      .getPublicUrl(filePath);
+
+    return publicUrl;
+  } catch (error) {
+    console.error('Error uploading venue photo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Submit a new event, an event edit (with event_id) or a cancellation
+ * (with event_id and is_cancelled: true) for review
+ * @param {string} venueId - Venue ID
+ * @param {Object} event - Event fields
+ * @returns {Promise<Object>} Change request
+ */
+export async function submitEventChange(venueId, event) {
+  try {
+    return await serverRequest(`/api/owner/venues/${venueId}/events`, { body: event });
+  } catch (error) {
+    console.error('Error submitting event change:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get owner change requests for review (admin only)
+ * @param {string} status - pending, approved or rejected
+ * @returns {Promise<Array>} Change requests with venue and submitter
+ */
+export async function getVenueChangeRequests(status = 'pending') {
+  try {
+    return await serverRequest('/api/admin/venue-changes', { method: 'GET', query: { status } });
+  } catch (error) {
+    console.error('Error getting venue change requests:', error);
+    throw error;
+  }
+}
+
+/**
+ * Approve and apply a change request (admin only)
+ * @param {string} requestId - Change request ID
+ * @returns {Promise<Object>} Updated change request
+ */
+export async function approveVenueChangeRequest(requestId) {
+  try {
+    return await serverRequest(`/api/admin/venue-changes/${requestId}/approve`);
+  } catch (error) {
+    console.error('Error approving venue change request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reject a change request (admin only)
+ * @param {string} requestId - Change request ID
+ * @param {string} note - Reason shown to the owner
+ * @returns {Promise<Object>} Updated change request
+ */
+export async function rejectVenueChangeRequest(requestId, note = '') {
+  try {
+    return await serverRequest(`/api/admin/venue-changes/${requestId}/reject`, { body: { note } });
+  } catch (error) {
+    console.error('Error rejecting venue change request:', error);
+    throw error;
+  }
+}
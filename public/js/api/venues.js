@@ -5,16 +5,41 @@
  */
 
 import { supabaseClientPromise } from '../supabase-client.js';
+import { serverRequest } from './server.js';
 
 /**
- * Get venues within a specific radius from coordinates
+ * Get venues within a specific radius from coordinates.
+ * Venues come back with open_now, closing_soon, closes_at and opens_at
+ * worked out by the server in each venue's own time zone.
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @param {number} radiusKm - Radius in kilometers (default: 5)
- * @param {Object} filters - Optional filters (gender, minAge, maxAge)
+ * @param {Object} filters - Optional filters (gender, minAge, maxAge), plus sort
+ *   (distance, rating, reviews or vibe) and the vibe tag to rank by
  * @returns {Promise<Array>} Array of venues within the radius
  */
 export async function getNearbyVenues(lat, lng, radiusKm = 5, filters = {}) {
+  try {
+    const venues = await serverRequest('/api/venues/nearby', {
+      body: { lat, lng, radius: radiusKm, sort: filters.sort, vibe: filters.vibe }
+    });
+    return applyFiltersToVenues(venues, filters);
+  } catch (error) {
+    console.error('Error getting nearby venues from server, querying directly:', error);
+    return getNearbyVenuesDirect(lat, lng, radiusKm, filters);
+  }
+}
+
+/**
+ * Get venues within a radius straight from Supabase.
+ * Used when the server is unreachable; venues have no open status.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radiusKm - Radius in kilometers
+ * @param {Object} filters - Optional filters (gender, minAge, maxAge)
+ * @returns {Promise<Array>} Array of venues within the radius
+ */
+async function getNearbyVenuesDirect(lat, lng, radiusKm, filters = {}) {
   try {
     const supabase = await supabaseClientPromise;
     
@@ -209,21 +234,14 @@ function deg2rad(deg) {
 
 
 /**
- * Get venue details by ID
+ * Get venue details by ID, including open status, rating, review_rating, review_count
+ * and top_vibe_tags
  * @param {string} venueId - Venue ID
  * @returns {Promise<Object>} Venue details
  */
 export async function getVenueById(venueId) {
   try {
-    const supabase = await supabaseClientPromise;
-    const { data, error } = await supabase
-      .from('venues')
-      .select('*')
-      .eq('id', venueId)
-      .single();
-
-    if (error) throw error;
-    return data;
+    return await serverRequest(`/api/venues/${venueId}`, { method: 'GET' });
   } catch (error) {
     console.error('Error getting venue by ID:', error);
     throw error;
@@ -323,24 +341,139 @@ export async function uploadVenueImage(venueId, file) {
 }
 
 /**
- * Search venues by name or description
- * @param {string} query - Search query
- * @param {Object} options - Search options (limit, offset)
- * @returns {Promise<Array>} Array of matching venues
+ * Search venues with ranked text matching, facets and cursor pagination
+ * @param {string} query - Search text (matches name, tags, address and description)
+ * @param {Object} options - Filters and paging
+ * @param {string|Array} options.category - Category filter
+ * @param {string|Array} options.city - City filter
+ * @param {number|Array} options.priceLevel - Price level filter (1-4)
+ * @param {boolean} options.openNow - Only venues open (true) or closed (false) now
+ * @param {number} options.lat - Latitude for distance sorting
+ * @param {number} options.lng - Longitude for distance sorting
+ * @param {number} options.radius - Radius in kilometers around lat/lng
+ * @param {string} options.sort - relevance, distance or rating
+ * @param {number} options.limit - Page size (max 50)
+ * @param {string} options.cursor - next_cursor from the previous page
+ * @returns {Promise<Object>} { results, facets, total, next_cursor }
  */
-export async function searchVenues(query, options = { limit: 20, offset: 0 }) {
+export async function searchVenues(query, options = {}) {
   try {
-    const supabase = await supabaseClientPromise;
-    const { data, error } = await supabase
-      .from('venues')
-      .select('*')
-      .or(`name.ilike.%${query}%, description.ilike.%${query}%`)
-      .range(options.offset, options.offset + options.limit - 1);
-
-    if (error) throw error;
-    return data;
+    return await serverRequest('/api/venues/search', {
+      method: 'GET',
+      query: {
+        q: query,
+        category: options.category,
+        city: options.city,
+        price_level: options.priceLevel,
+        open_now: options.openNow,
+        lat: options.lat,
+        lng: options.lng,
+        radius: options.radius,
+        sort: options.sort,
+        limit: options.limit,
+        cursor: options.cursor
+      }
+    });
   } catch (error) {
     console.error('Error searching venues:', error);
     throw error;
   }
 }
+
+/**
+ * Get the venues inside a map viewport, grouped into clusters for the zoom level.
+ * Each cluster has a count, center, bounds ([[south, west], [north, east]]) and
+ * a representative venue; at high zoom levels every cluster is a single venue.
+ * @param {Object} bounds - { south, west, north, east }
+ * @param {number} zoom - Map zoom level
+ * @returns {Promise<Object>} { zoom, clustered, clusters }
+ */
+export async function getVenueClusters(bounds, zoom) {
+  try {
+    return await serverRequest('/api/venues/clusters', {
+      method: 'GET',
+      query: {
+        min_lat: bounds.south,
+        min_lng: bounds.west,
+        max_lat: bounds.north,
+        max_lng: bounds.east,
+        zoom
+      }
+    });
+  } catch (error) {
+    console.error('Error getting venue clusters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a venue's typical busyness for each hour of the week, in the venue's local time
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<Object>} { timezone, days, peak, now } where each day has 24 hours of
+ *   { hour, busyness (0-100, or null without data), level } and now is the current hour
+ */
+export async function getVenueBusyHours(venueId) {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/busy-hours`, { method: 'GET' });
+  } catch (error) {
+    console.error('Error getting venue busy hours:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the live crowd heatmap for a map viewport
+ * @param {Object} bounds - { south, west, north, east }
+ * @param {number} zoom - Map zoom level
+ * @returns {Promise<Object>} { computed_at, max_weight, cells } where each cell has
+ *   lat, lng, weight, people_count and recent_matches
+ */
+export async function getVenueHeatmap(bounds, zoom) {
+  try {
+    return await serverRequest('/api/venues/heatmap', {
+      method: 'GET',
+      query: {
+        min_lat: bounds.south,
+        min_lng: bounds.west,
+        max_lat: bounds.north,
+        max_lng: bounds.east,
+        zoom
+      }
+    });
+  } catch (error) {
+    console.error('Error getting venue heatmap:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check in at a venue with a scanned QR code token
+ * @param {string} venueId - Venue ID
+ * @param {string} token - Token from the venue's QR code
+ * @returns {Promise<Object>} The new check-in
+ */
+export async function checkInWithQrCode(venueId, token) {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/qr-check-in`, {
+      body: { token }
+    });
+  } catch (error) {
+    console.error('Error checking in with QR code:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a signed QR check-in token for a venue (admin only)
+ * @param {string} venueId - Venue ID
+ * @param {string} mode - 'screen' for a rotating display, 'print' for a printed code
+ * @returns {Promise<Object>} Token details ({ token, expires_at, mode })
+ */
+export async function createVenueQrToken(venueId, mode = 'print') {
+  try {
+    return await serverRequest(`/api/venues/${venueId}/qr-code`, { body: { mode } });
+  } catch (error) {
+    console.error('Error creating venue QR code:', error);
+    throw error;
+  }
+}
@@ -10,6 +10,7 @@
 import { getConversations, createConversation, markAsRead } from './api/conversations.js';
 import { getCurrentUser } from './supabase-client.js';
 import { formatRelativeTime } from './utils/date-utils.js';
+import { extendMatch } from './api/matches.js';
 import { 
   initializeUnreadTracking, 
   markConversationAsRead, 
@@ -597,6 +598,12 @@ function createConversationElement(conversation, unreadCount = 0) {
   // Format time
   const timeDisplay = formatMessageTime(last_message_at);
   
+  // Matches without a first message expire
+  const match = conversation.match;
+  const expiresIn = !last_message_text && match && match.status === 'matched' && match.expires_at
+    ? formatExpiresIn(match.expires_at)
+    : null;
+  
   // Create HTML
   link.innerHTML = `
     <div class="message-item">
@@ -608,12 +615,35 @@ function createConversationElement(conversation, unreadCount = 0) {
           <span class="contact-name">${otherUser.display_name}</span>
           <span class="message-time">${timeDisplay}</span>
         </div>
-        <div class="message-preview">${last_message_text || 'New match!'}</div>
+        <div class="message-preview">${last_message_text || 'New match!'}${expiresIn ? ` <span class="match-expiry">Expires in ${expiresIn}</span>` : ''}</div>
       </div>
+      ${expiresIn && !match.extended_at ? '<button class="extend-match-button" type="button">Extend</button>' : ''}
       ${unreadCount > 0 ? `<div class="unread-badge">${unreadCount}</div>` : ''}
     </div>
   `;
   
+  // Extend a match that is about to expire
+  const extendButton = link.querySelector('.extend-match-button');
+  if (extendButton) {
+    extendButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      
+      try {
+        extendButton.disabled = true;
+        const extended = await extendMatch(match.id);
+        conversation.match = { ...match, ...extended };
+        showSuccessMessage('Match extended');
+        await renderConversations(filteredConversations);
+      } catch (error) {
+        extendButton.disabled = false;
+        showMessageError(error.status === 402
+          ? 'Upgrade to Premium to extend matches'
+          : error.message || 'Could not extend this match');
+      }
+    });
+  }
+  
   // Add event listener
   link.addEventListener('click', function(e) {
     e.preventDefault();
@@ -663,6 +693,16 @@ function formatMessageTime(timestamp) {
   return `${date.getDate()}/${date.getMonth() + 1}`;
 }
 
+/**
+ * Format the time left before a match expires, e.g. "5h" or "40 min"
+ */
+function formatExpiresIn(expiresAt) {
+  const diffMins = Math.max(Math.round((new Date(expiresAt) - new Date()) / 60000), 0);
+  
+  if (diffMins < 60) return `${diffMins} min`;
+  return `${Math.floor(diffMins / 60)}h`;
+}
+
 /**
  * Set up event listeners for UI elements
  */
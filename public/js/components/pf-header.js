@@ -327,6 +327,13 @@ class PfHeader extends HTMLElement {
       adminLink.href = '/admin/venues';
       adminLink.textContent = 'Admin';
       navLinks.appendChild(adminLink);
+
+      const reportsLink = document.createElement('a');
+      reportsLink.className = 'nav-link';
+      reportsLink.setAttribute('data-admin-link', 'true');
+      reportsLink.href = '/admin/reports';
+      reportsLink.textContent = 'Reports';
+      navLinks.appendChild(reportsLink);
     } catch (err) {
       console.error('Failed to add admin link:', err);
     }
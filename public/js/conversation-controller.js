@@ -4,19 +4,36 @@
  * Handles the individual conversation functionality including:
  * - Loading and displaying messages
  * - Sending new messages
- * - Real-time updates using Supabase subscriptions
+ * - Real-time messages, typing and read receipts over the chat WebSocket
+ * - Unmatching, blocking and reporting the other person
  */
 
-import { getConversationById, markConversationAsRead } from './api/conversations.js';
-import { getConversationMessages, sendTextMessage, markMessagesAsRead, sendMediaMessage, sendLocationMessage } from './api/messages.js';
+import { exportConversation, getConversationById, markConversationAsRead, setDisappearingTimer } from './api/conversations.js';
+import { getConversationMessages, markMessagesAsRead, sendMediaMessage, sendLocationMessage, editMessage, deleteMessage } from './api/messages.js';
 import { getCurrentUser } from './supabase-client.js';
-import { supabaseClientPromise } from './supabase-client.js';
+import {
+  subscribeToMessages as subscribeToChat,
+  sendChatMessage,
+  sendTypingIndicator,
+  markConversationRead,
+  isAnyoneTyping
+} from './utils/realtime-chat.js';
+import { REPORT_REASON_LABELS, blockUser, reportUser } from './api/moderation.js';
+import { unmatchUser } from './api/matches.js';
 
 // Store for conversation data
 let currentConversation = null;
 let currentUser = null;
 let messages = [];
-let messagesSubscription = null;
+let expiryTimer = null;
+
+// Disappearing-message timers, in the order the menu cycles through them
+const DISAPPEARING_TIMERS = [
+  { seconds: null, label: 'Off' },
+  { seconds: 3600, label: '1 hour' },
+  { seconds: 86400, label: '1 day' },
+  { seconds: 604800, label: '1 week' }
+];
 
 /**
  * Initialize the conversation page
@@ -115,6 +132,9 @@ function renderMessages() {
   const messagesContainer = document.querySelector('.messages-container');
   if (!messagesContainer) return;
   
+  // Disappearing messages go as soon as they expire
+  messages = messages.filter(message => !message.expires_at || new Date(message.expires_at) > new Date());
+  
   // Group messages by date
   const messagesByDate = groupMessagesByDate(messages);
   
@@ -135,6 +155,49 @@ function renderMessages() {
       messagesContainer.appendChild(messageElement);
     });
   });
+  
+  renderTypingIndicator();
+  scheduleExpiry();
+}
+
+/**
+ * Re-render when the next disappearing message expires
+ */
+function scheduleExpiry() {
+  clearTimeout(expiryTimer);
+  
+  const nextExpiry = Math.min(...messages
+    .filter(message => message.expires_at)
+    .map(message => new Date(message.expires_at).getTime()));
+  
+  if (Number.isFinite(nextExpiry)) {
+    // setTimeout can't wait longer than about 24 days
+    expiryTimer = setTimeout(renderMessages, Math.min(Math.max(nextExpiry - Date.now(), 0), 2147483647));
+  }
+}
+
+/**
+ * Show the typing indicator at the end of the messages while the other person is typing
+ */
+function renderTypingIndicator() {
+  const messagesContainer = document.querySelector('.messages-container');
+  if (!messagesContainer || !currentConversation) return;
+  
+  let indicator = messagesContainer.querySelector('.typing-indicator');
+  
+  if (!isAnyoneTyping(currentConversation.id)) {
+    if (indicator) indicator.remove();
+    return;
+  }
+  
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.className = 'typing-indicator';
+    indicator.innerHTML = '<div class="dot"></div><div class="dot"></div><div class="dot"></div>';
+  }
+  
+  // Keep it after the newest message
+  messagesContainer.appendChild(indicator);
 }
 
 /**
@@ -163,21 +226,29 @@ function createMessageElement(message) {
   
   const messageDiv = document.createElement('div');
   messageDiv.className = messageClass;
+  messageDiv.dataset.messageId = message.id;
   
   // Handle different message types
   let messageContent;
   
-  switch (message.message_type) {
+  switch (message.deleted_at ? 'unsent' : message.message_type) {
+    case 'unsent':
+      messageContent = '<em class="message-unsent">This message was unsent</em>';
+      break;
     case 'text':
       messageContent = message.content;
       break;
     case 'image':
-      messageContent = `<img src="${message.attachment_url}" class="message-image" alt="Shared image">`;
+      messageContent = `
+        <a href="${message.attachment_url}" target="_blank" rel="noopener">
+          <img src="${message.metadata?.thumbnail_url || message.attachment_url}" class="message-image" alt="Shared photo" loading="lazy">
+        </a>
+      `;
       break;
     case 'audio':
       messageContent = `
-        <audio controls class="message-audio">
-          <source src="${message.attachment_url}" type="audio/mpeg">
+        <audio controls preload="metadata" class="message-audio">
+          <source src="${message.attachment_url}" type="${message.metadata?.mime_type || 'audio/mpeg'}">
           Your browser does not support the audio element.
         </audio>
       `;
@@ -202,10 +273,24 @@ function createMessageElement(message) {
   // Format time
   const messageTime = formatMessageTime(message.created_at);
   
+  const edited = message.edited_at && !message.deleted_at ? ' · edited' : '';
+  
+  // Senders can edit their text messages and unsend anything they sent
+  let actions = '';
+  if (isCurrentUser && !message.deleted_at) {
+    actions = `
+      <span class="message-actions">
+        ${message.message_type === 'text' ? '<button type="button" data-message-action="edit">Edit</button>' : ''}
+        <button type="button" data-message-action="unsend">Unsend</button>
+      </span>
+    `;
+  }
+  
   messageDiv.innerHTML = `
     <div class="message-bubble">
       ${messageContent}
-      <span class="message-time">${messageTime}</span>
+      <span class="message-time">${messageTime}${edited}</span>
+      ${actions}
     </div>
   `;
   
@@ -246,32 +331,39 @@ function formatMessageTime(timestamp) {
 /**
  * Subscribe to real-time message updates
  */
-function subscribeToMessages() {
+async function subscribeToMessages() {
   if (!currentConversation) return;
   
-  // Unsubscribe from previous subscription if exists
-  if (messagesSubscription) {
-    supabase.removeSubscription(messagesSubscription);
+  try {
+    await subscribeToChat(currentConversation.id, handleNewMessage, handleMessageChanged, (messageId, tombstone) => {
+      handleMessageChanged(tombstone);
+    });
+  } catch (error) {
+    console.error('Error subscribing to messages:', error);
   }
   
-  // Subscribe to new messages in this conversation
-  messagesSubscription = supabase
-    .channel(`messages:${currentConversation.id}`)
-    .on('postgres_changes', { 
-      event: 'INSERT', 
-      schema: 'public', 
-      table: 'messages',
-      filter: `conversation_id=eq.${currentConversation.id}`
-    }, (payload) => {
-      handleNewMessage(payload.new);
-    })
-    .subscribe();
+  document.addEventListener('conversation-settings-updated', (event) => {
+    if (event.detail.conversationId === currentConversation.id) {
+      currentConversation.disappearing_after_seconds = event.detail.disappearingAfterSeconds;
+      updateDisappearingLabel();
+    }
+  });
+  
+  document.addEventListener('typing-indicator-update', (event) => {
+    if (event.detail.conversationId === currentConversation.id) {
+      renderTypingIndicator();
+      scrollToBottom();
+    }
+  });
 }
 
 /**
  * Handle a new incoming message
  */
 async function handleNewMessage(newMessage) {
+  // Our own messages arrive here too, from this device and our others
+  if (messages.some(message => message.id === newMessage.id)) return;
+  
   // Add fromCurrentUser flag
   newMessage.fromCurrentUser = newMessage.sender_id === currentUser.id;
   
@@ -286,10 +378,55 @@ async function handleNewMessage(newMessage) {
   
   // If message is not from current user, mark as read
   if (!newMessage.fromCurrentUser) {
-    await markMessagesAsRead(currentConversation.id);
+    await markConversationRead(currentConversation.id);
+  }
+}
+
+/**
+ * Replace a message after it was edited or unsent
+ */
+function handleMessageChanged(changedMessage) {
+  const index = messages.findIndex(message => message.id === changedMessage.id);
+  if (index === -1) return;
+  
+  messages[index] = { ...changedMessage, fromCurrentUser: changedMessage.sender_id === currentUser.id };
+  renderMessages();
+}
+
+/**
+ * Edit or unsend one of the current user's messages
+ */
+async function handleMessageAction(action, messageId) {
+  const message = messages.find(item => item.id === messageId);
+  if (!message) return;
+  
+  try {
+    if (action === 'edit') {
+      const content = prompt('Edit message', message.content);
+      if (content === null || content.trim() === '' || content.trim() === message.content) return;
+      
+      handleMessageChanged(await editMessage(messageId, content.trim()));
+    } else if (action === 'unsend') {
+      if (!confirm('Unsend this message for everyone?')) return;
+      
+      handleMessageChanged(await deleteMessage(messageId));
+    }
+  } catch (error) {
+    alert(error.message || 'Could not change this message');
   }
 }
 
+/**
+ * Show the current disappearing-message timer in the menu
+ */
+function updateDisappearingLabel() {
+  const button = document.querySelector('#conversation-menu [data-action="disappearing"]');
+  if (!button) return;
+  
+  const timer = DISAPPEARING_TIMERS.find(option => option.seconds === (currentConversation.disappearing_after_seconds || null));
+  button.textContent = `Disappearing messages: ${timer ? timer.label : 'On'}`;
+}
+
 /**
  * Scroll the messages container to the bottom
  */
@@ -327,6 +464,10 @@ function setupEventListeners() {
         sendMessage();
       }
     });
+    
+    messageInput.addEventListener('input', () => {
+      sendTypingIndicator(currentConversation.id, messageInput.value.trim() !== '');
+    });
   }
   
   // Attachment button
@@ -347,16 +488,30 @@ function setupEventListeners() {
         const messageType = file.type.startsWith('image/') ? 'image' : 'audio';
         
         // Send media message
-        await sendMediaMessage(currentConversation.id, file, messageType);
-        
-        // Reset file input
-        fileInput.value = '';
+        const message = await sendMediaMessage(currentConversation.id, file, messageType);
+        await handleNewMessage(message);
       } catch (error) {
         console.error('Error sending media message:', error);
+        alert(error.message || 'Could not send the file');
+      } finally {
+        // Reset file input
+        fileInput.value = '';
       }
     });
   }
   
+  const messagesContainer = document.querySelector('.messages-container');
+  if (messagesContainer) {
+    messagesContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-message-action]');
+      if (!button) return;
+      
+      handleMessageAction(button.dataset.messageAction, button.closest('.message').dataset.messageId);
+    });
+  }
+  
+  setupModerationMenu();
+  
   // Location button
   const locationButton = document.querySelector('.location-button');
   
@@ -379,6 +534,209 @@ function setupEventListeners() {
   }
 }
 
+/**
+ * Set up the unmatch, block and report options in the header menu
+ */
+function setupModerationMenu() {
+  const menuButton = document.getElementById('conversation-menu-button');
+  const menu = document.getElementById('conversation-menu');
+  const dialog = document.getElementById('report-dialog');
+  const form = document.getElementById('report-form');
+  
+  if (!menuButton || !menu || !dialog || !form) return;
+  
+  const { otherUser } = currentConversation;
+  const errorElement = form.querySelector('.report-error');
+  
+  form.querySelector('.report-name').textContent = otherUser.display_name || '';
+  form.reason.innerHTML = '<option value="">Choose a reason</option>' + Object.entries(REPORT_REASON_LABELS)
+    .map(([reason, label]) => `<option value="${reason}">${label}</option>`)
+    .join('');
+  
+  menuButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    menu.hidden = !menu.hidden;
+  });
+  
+  document.addEventListener('click', () => {
+    menu.hidden = true;
+  });
+  
+  menu.querySelector('[data-action="block"]').addEventListener('click', async () => {
+    if (!confirm(`Block ${otherUser.display_name}? You won't see each other anywhere on BarCrush.`)) return;
+    
+    try {
+      await blockUser(otherUser.id);
+      window.location.href = '/views/chat.html';
+    } catch (error) {
+      alert(error.message || 'Could not block this person');
+    }
+  });
+  
+  setupUnmatchForm(menu, otherUser);
+  setupExportForm(menu);
+  
+  // Cycle through the timers; new messages from either person follow it
+  const disappearingButton = menu.querySelector('[data-action="disappearing"]');
+  updateDisappearingLabel();
+  disappearingButton.addEventListener('click', async () => {
+    const current = DISAPPEARING_TIMERS.findIndex(option => option.seconds === (currentConversation.disappearing_after_seconds || null));
+    const next = DISAPPEARING_TIMERS[(current + 1) % DISAPPEARING_TIMERS.length];
+    
+    try {
+      const result = await setDisappearingTimer(currentConversation.id, next.seconds);
+      currentConversation.disappearing_after_seconds = result.disappearing_after_seconds;
+      updateDisappearingLabel();
+    } catch (error) {
+      alert(error.message || 'Could not change disappearing messages');
+    }
+  });
+  
+  menu.querySelector('[data-action="report"]').addEventListener('click', () => {
+    errorElement.hidden = true;
+    dialog.hidden = false;
+  });
+  
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+    dialog.hidden = true;
+    form.reset();
+  });
+  
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const submitButton = form.querySelector('[type="submit"]');
+    const block = form.block.checked;
+    
+    // The other person's latest messages go along as evidence
+    const messageIds = form.include_messages.checked
+      ? messages.filter(message => !message.fromCurrentUser).slice(-20).map(message => message.id)
+      : [];
+    
+    try {
+      submitButton.disabled = true;
+      errorElement.hidden = true;
+      
+      await reportUser(otherUser.id, {
+        reason: form.reason.value,
+        details: form.details.value.trim(),
+        message_ids: messageIds,
+        block
+      });
+      
+      if (block) {
+        window.location.href = '/views/chat.html';
+        return;
+      }
+      
+      dialog.hidden = true;
+      form.reset();
+      alert('Thanks for letting us know. Our team will review your report.');
+    } catch (error) {
+      errorElement.textContent = error.message || 'Could not send your report';
+      errorElement.hidden = false;
+    } finally {
+      submitButton.disabled = false;
+    }
+  });
+}
+
+/**
+ * Set up the export option for downloading a transcript of the chat
+ * @param {HTMLElement} menu - Header menu
+ */
+function setupExportForm(menu) {
+  const exportButton = menu.querySelector('[data-action="export"]');
+  const dialog = document.getElementById('export-dialog');
+  const form = document.getElementById('export-form');
+  
+  if (!exportButton || !dialog || !form) return;
+  
+  const errorElement = form.querySelector('.report-error');
+  
+  exportButton.addEventListener('click', () => {
+    errorElement.hidden = true;
+    dialog.hidden = false;
+  });
+  
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+    dialog.hidden = true;
+  });
+  
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const submitButton = form.querySelector('[type="submit"]');
+    
+    try {
+      submitButton.disabled = true;
+      errorElement.hidden = true;
+      
+      await exportConversation(currentConversation.id, form.format.value);
+      
+      dialog.hidden = true;
+    } catch (error) {
+      errorElement.textContent = error.message || 'Could not export this chat';
+      errorElement.hidden = false;
+    } finally {
+      submitButton.disabled = false;
+    }
+  });
+}
+
+/**
+ * Set up the unmatch option. Conversations without a match can't be unmatched.
+ * @param {HTMLElement} menu - Header menu
+ * @param {Object} otherUser - The other person
+ */
+function setupUnmatchForm(menu, otherUser) {
+  const unmatchButton = menu.querySelector('[data-action="unmatch"]');
+  const dialog = document.getElementById('unmatch-dialog');
+  const form = document.getElementById('unmatch-form');
+  
+  if (!unmatchButton || !dialog || !form) return;
+  
+  if (!currentConversation.match_id) {
+    unmatchButton.hidden = true;
+    return;
+  }
+  
+  const errorElement = form.querySelector('.report-error');
+  form.querySelector('.report-name').textContent = otherUser.display_name || '';
+  
+  unmatchButton.addEventListener('click', () => {
+    errorElement.hidden = true;
+    dialog.hidden = false;
+  });
+  
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+    dialog.hidden = true;
+    form.reset();
+  });
+  
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const submitButton = form.querySelector('[type="submit"]');
+    
+    try {
+      submitButton.disabled = true;
+      errorElement.hidden = true;
+      
+      await unmatchUser(currentConversation.match_id, {
+        reason: form.reason.value,
+        details: form.details.value.trim()
+      });
+      
+      window.location.href = '/views/chat.html';
+    } catch (error) {
+      errorElement.textContent = error.message || 'Could not unmatch';
+      errorElement.hidden = false;
+      submitButton.disabled = false;
+    }
+  });
+}
+
 /**
  * Send a text message
  */
@@ -393,8 +751,13 @@ async function sendMessage() {
     // Clear input
     messageInput.value = '';
     
+    sendTypingIndicator(currentConversation.id, false);
+    
     // Send message
-    await sendTextMessage(currentConversation.id, content);
+    const message = await sendChatMessage(currentConversation.id, content);
+    
+    // Show it even if the echo from the server hasn't arrived yet
+    await handleNewMessage(message);
   } catch (error) {
     console.error('Error sending message:', error);
   }
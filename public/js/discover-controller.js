@@ -7,7 +7,10 @@
  * - User location handling
  */
 
-import { getNearbyVenues, searchVenues } from './api/venues.js';
+import { getNearbyVenues, getVenueBusyHours, getVenueClusters, getVenueHeatmap, searchVenues } from './api/venues.js';
+import { renderVenueHoursBadge, withoutClosedVenues } from './utils/venue-hours.js';
+import { EVENT_TYPE_LABELS, rsvpToEvent, cancelEventRsvp } from './api/events.js';
+import { VIBE_TAG_LABELS, createVenueReview } from './api/reviews.js';
 import { getCurrentUser, updateUserLocation } from './supabase-client.js';
 import { getUserProfile } from './api/profiles.js';
 
@@ -17,6 +20,23 @@ let userMarker;
 let venueMarkers = [];
 let selectedVenueId = null;
 
+// Viewport loading: wait for panning to settle and ignore out-of-date responses
+const VIEWPORT_LOAD_DELAY_MS = 300;
+let viewportLoadTimer = null;
+let viewportRequestId = 0;
+
+// Live crowd heatmap, shown when the user turns it on
+let heatmapLayer = null;
+let heatmapEnabled = false;
+let heatmapRequestId = 0;
+
+const BUSYNESS_LABELS = {
+  quiet: 'Usually quiet',
+  moderate: 'Usually a little busy',
+  busy: 'Usually busy',
+  peak: 'Usually as busy as it gets'
+};
+
 // Default location (San Francisco) - Using test coordinates from test-venues-api.html
 const DEFAULT_LAT = 37.7749;
 const DEFAULT_LNG = -122.4194;
@@ -128,6 +148,9 @@ async function initMap(profile) {
     attribution: '© <a href="https://www.mapbox.com/about/maps/">Mapbox</a> © <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
   }).addTo(map);
   
+  // Only the visible part of the map is loaded, so reload it as the user pans and zooms
+  map.on('moveend', scheduleVisibleVenuesLoad);
+  
   // Reset map variables
   userMarker = null;
   venueMarkers = [];
@@ -284,20 +307,16 @@ async function loadNearbyVenues(lat, lng) {
     
     try {
       console.log('Calling getNearbyVenues with:', { lat, lng, radius });
-      const venues = await getNearbyVenues(lat, lng, radius);
+      // Closed venues are left out of the list; venues without hours stay
+      const venues = withoutClosedVenues(await getNearbyVenues(lat, lng, radius));
       console.log('📍 API returned venues:', venues);
       
+      // Map markers come from the visible viewport, clustered by the server
+      await loadVisibleVenues();
+      
       // Process venues only if we have valid data
       if (venues && Array.isArray(venues) && venues.length > 0) {
-        console.log(`🗺️ Adding ${venues.length} venue markers from API data`);
-        
-        // Add markers for each venue
-        venues.forEach(venue => {
-          console.log('➕ Adding venue marker for:', venue.name, venue);
-          addVenueMarker(venue);
-        });
-        
-        // Also update the venues list in the UI
+        // Update the venues list in the UI
         displayVenues(venues);
         
         // Hide loading indicator now that venues are loaded
@@ -356,13 +375,197 @@ async function loadNearbyVenues(lat, lng) {
   }
 }
 
+/**
+ * Reload the visible venues once the map stops moving
+ */
+function scheduleVisibleVenuesLoad() {
+  clearTimeout(viewportLoadTimer);
+  viewportLoadTimer = setTimeout(() => {
+    loadVisibleVenues();
+    loadHeatmap();
+  }, VIEWPORT_LOAD_DELAY_MS);
+}
+
+/**
+ * Load the venues inside the current map viewport and replace the venue markers.
+ * Dense areas come back as clusters; single venues get regular markers.
+ */
+async function loadVisibleVenues() {
+  if (!map) {
+    return;
+  }
+  
+  const requestId = ++viewportRequestId;
+  // Load a little past the edges so short pans don't show empty borders
+  const bounds = map.getBounds().pad(0.2);
+  
+  try {
+    const { clusters } = await getVenueClusters({
+      south: bounds.getSouth(),
+      west: bounds.getWest(),
+      north: bounds.getNorth(),
+      east: bounds.getEast()
+    }, map.getZoom());
+    
+    // The map has moved on since this request was made
+    if (requestId !== viewportRequestId) {
+      return;
+    }
+    
+    clearVenueMarkers();
+    
+    clusters.forEach(cluster => {
+      if (cluster.count > 1) {
+        addClusterMarker(cluster);
+      } else if (withoutClosedVenues([cluster.venue]).length > 0) {
+        // Closed venues are left off the map; venues without hours stay
+        addVenueMarker(cluster.venue);
+      }
+    });
+    
+    console.log(`🗺️ Showing ${clusters.length} venue clusters at zoom ${map.getZoom()}`);
+  } catch (error) {
+    console.error('❌ Error loading visible venues:', error);
+  }
+}
+
+/**
+ * Show or hide the live crowd heatmap
+ * @param {boolean} enabled - Whether the heatmap should be shown
+ */
+function setHeatmapEnabled(enabled) {
+  heatmapEnabled = enabled;
+  document.querySelector('.heatmap-btn')?.classList.toggle('active', enabled);
+  
+  if (enabled) {
+    loadHeatmap();
+  } else if (heatmapLayer) {
+    heatmapRequestId++;
+    heatmapLayer.clearLayers();
+  }
+}
+
+/**
+ * Draw where people are right now in the current viewport. Each cell is a
+ * soft circle sized and shaded by how many people are out and matching there.
+ */
+async function loadHeatmap() {
+  if (!map || !heatmapEnabled) {
+    return;
+  }
+  
+  const requestId = ++heatmapRequestId;
+  const bounds = map.getBounds().pad(0.2);
+  
+  try {
+    const { cells, max_weight: maxWeight } = await getVenueHeatmap({
+      south: bounds.getSouth(),
+      west: bounds.getWest(),
+      north: bounds.getNorth(),
+      east: bounds.getEast()
+    }, map.getZoom());
+    
+    if (requestId !== heatmapRequestId) {
+      return;
+    }
+    
+    if (!heatmapLayer) {
+      heatmapLayer = L.layerGroup().addTo(map);
+    }
+    heatmapLayer.clearLayers();
+    
+    cells.forEach(cell => {
+      const intensity = maxWeight > 0 ? Math.sqrt(cell.weight / maxWeight) : 0;
+      
+      L.circleMarker([cell.lat, cell.lng], {
+        radius: 12 + 28 * intensity,
+        stroke: false,
+        fillColor: '#F44B74',
+        fillOpacity: 0.15 + 0.45 * intensity,
+        interactive: false
+      }).addTo(heatmapLayer);
+    });
+    
+    console.log(`🔥 Heatmap showing ${cells.length} busy spots`);
+  } catch (error) {
+    console.error('❌ Error loading heatmap:', error);
+  }
+}
+
+/**
+ * Fill a popup's busy-hours chart with today's typical busyness at the venue
+ * @param {HTMLElement} container - Popup element
+ * @param {Object} venue - Venue shown in the popup
+ */
+async function loadBusyHours(container, venue) {
+  const chart = container && container.querySelector('.venue-busy-hours');
+  if (!chart || chart.dataset.loaded) return;
+  chart.dataset.loaded = 'true';
+  
+  try {
+    const { days, now } = await getVenueBusyHours(venue.id);
+    const today = days[now.weekday].hours;
+    
+    if (now.busyness === null) {
+      chart.remove();
+      return;
+    }
+    
+    chart.innerHTML = `
+      <div class="venue-busy-label">${BUSYNESS_LABELS[now.level] || ''} around now</div>
+      <div class="venue-busy-bars">
+        ${today.map(({ hour, busyness }) => `
+          <span class="venue-busy-bar${hour === now.hour ? ' now' : ''}" style="height: ${Math.max(busyness || 0, 4)}%" title="${hour}:00"></span>
+        `).join('')}
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading busy hours:', error);
+    chart.remove();
+  }
+}
+
+/**
+ * Add a marker for a group of venues. Clicking it zooms in on the group.
+ * @param {Object} cluster - Cluster with count, lat, lng, bounds and its representative venue
+ */
+function addClusterMarker(cluster) {
+  const size = cluster.count < 10 ? 36 : cluster.count < 100 ? 44 : 52;
+  const clusterIcon = L.divIcon({
+    className: 'venue-cluster-marker',
+    html: `<span>${cluster.count}</span>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+  
+  const marker = L.marker([cluster.lat, cluster.lng], {
+    icon: clusterIcon,
+    title: `${cluster.count} venues including ${cluster.venue.name}`
+  }).addTo(map);
+  
+  marker.on('click', () => {
+    const [[south, west], [north, east]] = cluster.bounds;
+    
+    // Venues at the same spot can't be split by zooming to their bounds
+    if (south === north && west === east) {
+      map.setView([cluster.lat, cluster.lng], map.getZoom() + 2);
+    } else {
+      map.fitBounds(cluster.bounds, { padding: [40, 40] });
+    }
+  });
+  
+  venueMarkers.push(marker);
+  
+  return marker;
+}
+
 /**
  * Add venue marker to the map
  */
 function addVenueMarker(venue) {
   // Get venue coordinates
-  const lat = venue.location_lat || (venue.location?.coordinates ? venue.location.coordinates[1] : 0);
-  const lng = venue.location_lng || (venue.location?.coordinates ? venue.location.coordinates[0] : 0);
+  const lat = venue.location_lat || (venue.location?.coordinates ? venue.location.coordinates[1] : venue.lat);
+  const lng = venue.location_lng || (venue.location?.coordinates ? venue.location.coordinates[0] : venue.lng);
   
   if (!lat || !lng) {
     console.warn(' Venue missing coordinates:', venue);
@@ -371,10 +574,11 @@ function addVenueMarker(venue) {
   
   console.log(` Adding venue marker: ${venue.name} at ${lat}, ${lng}`);
   
-  // Create simple div-based marker with emoji
+  // Create simple div-based marker with emoji; venues with an event coming up get a party icon
+  const hasEvent = venue.upcoming_events && venue.upcoming_events.length > 0;
   const venueIcon = L.divIcon({
     className: 'simple-venue-marker',
-    html: '🍸', // Cocktail emoji representing a venue
+    html: hasEvent ? '🎉' : '🍸',
     iconSize: [30, 30],
     iconAnchor: [15, 15],
   });
@@ -388,8 +592,17 @@ function addVenueMarker(venue) {
       <h3>${venue.name}</h3>
       <p>${venue.description || 'Visit this venue to meet new people!'}</p>
       <p><strong>Address:</strong> ${venue.address || 'Address not available'}</p>
+      ${renderReviewSummary(venue)}
+      ${renderUpcomingEvent(venue)}
+      <div class="venue-busy-hours"></div>
+      <button type="button" class="venue-review-open">Rate this venue</button>
     </div>
   `);
+  marker.on('popupopen', event => {
+    bindEventRsvpButtons(event.popup.getElement());
+    bindReviewForm(event.popup.getElement(), venue);
+    loadBusyHours(event.popup.getElement(), venue);
+  });
   
   // Store marker for later reference
   venueMarkers.push(marker);
@@ -485,7 +698,7 @@ async function loadRecommendedVenues() {
     
     // Get venues near the user
     console.log('🌎 Calling getNearbyVenues API...');
-    const venues = await getNearbyVenues(userLat, userLng, 20); // 20km radius
+    const venues = await getNearbyVenues(userLat, userLng, 20, { sort: 'rating' }); // 20km radius
     console.log(`📊 API returned ${venues ? venues.length : 0} venues`);
     
     // Hide loading indicator
@@ -693,7 +906,7 @@ function createVenueCard(venue) {
   const distance = calculateDistance(userLat, userLng, venueLat, venueLng);
   
   // Use actual number of active users from API data
-  const peopleCount = venue.active_users || 0;
+  const peopleCount = venue.people_count || venue.active_users || 0;
   
   // Generate map image URL for the venue location
   const mapImageUrl = generateMapImageUrl(venueLat, venueLng, venue.name);
@@ -726,12 +939,145 @@ function createVenueCard(venue) {
     <div class="venue-info">
       <h3 class="venue-name">${venue.name}</h3>
       <p class="venue-description">${venue.description || 'Visit this venue'}</p>
+      ${renderVenueHoursBadge(venue)}
+      ${renderReviewSummary(venue)}
+      ${renderUpcomingEvent(venue)}
     </div>
   `;
   
+  bindEventRsvpButtons(card);
+  
   return card;
 }
 
+/**
+ * Render the venue's review average and most used vibe tags
+ * @param {Object} venue - Venue with review_rating, review_count and top_vibe_tags from the server
+ * @returns {string} Review summary HTML, or an empty string if there's nothing to show
+ */
+function renderReviewSummary(venue) {
+  const tags = venue.top_vibe_tags || [];
+  if (!venue.review_rating && tags.length === 0) return '';
+  
+  const count = venue.review_count > 0 ? ` <span class="venue-review-count">(${venue.review_count})</span>` : '';
+  
+  return `
+    <div class="venue-reviews">
+      ${venue.review_rating ? `<span class="venue-rating">★ ${Number(venue.review_rating).toFixed(1)}${count}</span>` : ''}
+      ${tags.map(({ tag, label }) => `<span class="vibe-tag">${VIBE_TAG_LABELS[tag] || label}</span>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Open an inline rating form when "Rate this venue" is tapped in a popup
+ * @param {HTMLElement} container - Popup element
+ * @param {Object} venue - Venue being reviewed
+ */
+function bindReviewForm(container, venue) {
+  const openButton = container && container.querySelector('.venue-review-open');
+  if (!openButton) return;
+  
+  openButton.addEventListener('click', () => {
+    const form = document.createElement('form');
+    form.className = 'venue-review-form';
+    form.innerHTML = `
+      <select name="rating" required>
+        <option value="">Your rating</option>
+        ${[5, 4, 3, 2, 1].map(stars => `<option value="${stars}">${'★'.repeat(stars)}</option>`).join('')}
+      </select>
+      <div class="venue-review-tags">
+        ${Object.entries(VIBE_TAG_LABELS).map(([tag, label]) => `
+          <label><input type="checkbox" name="vibe_tags" value="${tag}"> ${label}</label>
+        `).join('')}
+      </div>
+      <textarea name="body" rows="2" maxlength="1000" placeholder="Anything else? (optional)"></textarea>
+      <button type="submit" class="venue-event-rsvp">Post review</button>
+    `;
+    
+    form.addEventListener('submit', async (submitEvent) => {
+      submitEvent.preventDefault();
+      const submitButton = form.querySelector('button[type="submit"]');
+      submitButton.disabled = true;
+      
+      try {
+        await createVenueReview(venue.id, {
+          rating: parseInt(form.rating.value, 10),
+          vibe_tags: Array.from(form.querySelectorAll('input[name="vibe_tags"]:checked'), input => input.value),
+          body: form.body.value.trim()
+        });
+        form.replaceWith(Object.assign(document.createElement('p'), { textContent: 'Thanks for your review!' }));
+      } catch (error) {
+        alert(error.status === 403 ? 'Check in here first to leave a review.' : (error.message || 'Could not post your review'));
+        submitButton.disabled = false;
+      }
+    });
+    
+    openButton.replaceWith(form);
+  });
+}
+
+/**
+ * Render the venue's next event with an RSVP button
+ * @param {Object} venue - Venue with upcoming_events from the server
+ * @returns {string} Event HTML, or an empty string if nothing is coming up
+ */
+function renderUpcomingEvent(venue) {
+  const event = venue.upcoming_events && venue.upcoming_events[0];
+  if (!event) return '';
+  
+  const startsAt = new Date(event.starts_at);
+  const when = startsAt <= new Date()
+    ? 'On now'
+    : startsAt.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  const going = event.going_count > 0 ? ` · ${event.going_count} going` : '';
+  const isGoing = event.my_rsvp === 'going';
+  
+  return `
+    <div class="venue-event">
+      <span class="venue-event-type">🎉 ${EVENT_TYPE_LABELS[event.event_type] || 'Event'}</span>
+      <strong class="venue-event-title">${event.title}</strong>
+      <span class="venue-event-time">${when}${going}</span>
+      <button type="button" class="venue-event-rsvp${isGoing ? ' going' : ''}"
+        data-event-id="${event.id}" data-going="${isGoing}">
+        ${isGoing ? "You're going ✓" : 'RSVP'}
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Wire up the RSVP buttons inside a venue card or popup
+ * @param {HTMLElement} container - Element containing RSVP buttons
+ */
+function bindEventRsvpButtons(container) {
+  if (!container) return;
+  
+  container.querySelectorAll('.venue-event-rsvp').forEach(button => {
+    button.addEventListener('click', async (clickEvent) => {
+      // Don't open the venue page when RSVPing from a card
+      clickEvent.stopPropagation();
+      button.disabled = true;
+      
+      const isGoing = button.dataset.going === 'true';
+      try {
+        if (isGoing) {
+          await cancelEventRsvp(button.dataset.eventId);
+        } else {
+          await rsvpToEvent(button.dataset.eventId, 'going');
+        }
+        button.dataset.going = String(!isGoing);
+        button.classList.toggle('going', !isGoing);
+        button.textContent = isGoing ? 'RSVP' : "You're going ✓";
+      } catch (error) {
+        alert(error.message || 'Could not update your RSVP');
+      } finally {
+        button.disabled = false;
+      }
+    });
+  });
+}
+
 /**
  * Calculate distance between two points in km
  */
@@ -783,6 +1129,11 @@ function setupEventListeners() {
     map.setZoom(map.getZoom() - 1);
   });
   
+  // "Where is everyone tonight?" heatmap toggle
+  document.querySelector('.heatmap-btn')?.addEventListener('click', () => {
+    setHeatmapEnabled(!heatmapEnabled);
+  });
+  
   // Filter button and modal functionality
   const filterBtn = document.querySelector('.filter-btn');
   const filterModal = document.getElementById('filter-modal');
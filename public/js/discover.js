@@ -4,6 +4,7 @@
  */
 
 import { getNearbyVenues } from './api/venues.js';
+import { renderVenueHoursBadge, withoutClosedVenues } from './utils/venue-hours.js';
 import { getCurrentUser } from './supabase-client.js';
 import { getUserFilters, saveUserFilters, applyLocationFilter, getCurrentLocation, reverseGeocode } from './api/filters.js';
 
@@ -624,12 +625,12 @@ async function refreshVenuesWithFilters(filterData) {
       console.log('🏠 Using default location:', { lat: searchLat, lng: searchLng });
     }
     
-    // Get venues from API
-    const venues = await getNearbyVenues(
+    // Get venues from API, leaving out those that are closed right now
+    const venues = withoutClosedVenues(await getNearbyVenues(
       searchLat, 
       searchLng, 
       filterData.distance || 40
-    );
+    ));
 
     // Apply location filter if we have coordinates
     let filteredVenues = venues;
@@ -695,6 +696,7 @@ function displayVenues(venues) {
         <div class="venue-header">
           <h3 class="venue-name" style="margin: 0 0 8px 0; font-size: 18px; font-weight: 600; color: var(--color-text); line-height: 1.3;">${venueName}</h3>
           <p class="venue-description" style="margin: 0; font-size: 14px; color: var(--color-text-secondary); line-height: 1.4; opacity: 0.8;">${venue.description || 'A great place to visit'}</p>
+          ${renderVenueHoursBadge(venue)}
         </div>
         <div class="venue-stats" style="display: flex; justify-content: space-between; align-items: center; margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--color-border, rgba(0,0,0,0.1));">
           <span class="people-count" style="font-size: 13px; color: #fff; font-weight: 500;">${peopleText}</span>
@@ -1377,7 +1379,8 @@ async function setupMapElements() {
     console.log('🍸 Found venues:', venues.length);
     
     // Filter venues to only include those with valid geolocation data
-    venues = venues.filter(venue => venue.lat && venue.lng);
+    // that aren't closed right now
+    venues = withoutClosedVenues(venues).filter(venue => venue.lat && venue.lng);
     console.log('🗺️ Valid venues with geolocation:', venues.length);
     
     // Hide loading indicator when done
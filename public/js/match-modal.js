@@ -11,6 +11,7 @@ export class MatchModal {
     this.rightProfileImg = this.matchScreen.querySelector('.right-profile .profile-image img');
     this.matchTitle = this.matchScreen.querySelector('.match-title');
     this.matchSubtitle = this.matchScreen.querySelector('.match-subtitle');
+    this.matchVenue = this.matchScreen.querySelector('.match-venue');
     this.sayHelloBtn = document.getElementById('say-hello-button');
     this.keepSwipingBtn = document.getElementById('keep-swiping-button');
     
@@ -45,8 +46,9 @@ export class MatchModal {
    * Show the match modal with user profiles
    * @param {Object} currentUser - Current user profile
    * @param {Object} matchedUser - Matched user profile
+   * @param {Object} venue - Venue the match happened at, { id, name } (optional)
    */
-  show(currentUser, matchedUser) {
+  show(currentUser, matchedUser, venue = null) {
     console.log('Showing match modal', { currentUser, matchedUser });
     
     // Set profile images
@@ -76,6 +78,12 @@ export class MatchModal {
     ];
     this.matchSubtitle.textContent = matchMessages[Math.floor(Math.random() * matchMessages.length)];
     
+    // Show where they matched
+    if (this.matchVenue) {
+      this.matchVenue.textContent = venue ? `📍 You matched at ${venue.name}` : '';
+      this.matchVenue.style.display = venue ? 'block' : 'none';
+    }
+    
     // Show the match screen with animation
     this.matchScreen.style.display = 'flex';
     this.matchScreen.style.opacity = '0';
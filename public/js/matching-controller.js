@@ -14,7 +14,15 @@ import {
   getPotentialMatches, 
   likeUser, 
   dislikeUser,
-  getUserMatches
+  superLikeUser,
+  getSuperLikeStatus,
+  getVenueMatchMode,
+  undoLastSwipe,
+  getSecondLookMatches,
+  getUserMatches,
+  getLikesReceived,
+  getLikesReceivedCount,
+  likeBack
 } from './api/matches.js';
 import { getCurrentUser } from './supabase-client.js';
 import { supabaseClientPromise } from './supabase-client.js';
@@ -22,6 +30,7 @@ import { supabaseClientPromise } from './supabase-client.js';
 import { createConversation } from './api/conversations.js';
 // PaymentModal will be imported dynamically when needed
 import MatchModal from './match-modal.js';
+import SuperLikeModal from './super-like-modal.js';
 
 // Store for matching data
 let currentUser = null;
@@ -31,6 +40,13 @@ let currentCardIndex = 0;
 let cardStack = null;
 let paymentModal = null;
 let matchesSubscription = null;
+let lastSwipe = null;
+let undoTimer = null;
+let secondLookLoaded = false;
+let superLikeStatus = null;
+let superLikeModal = null;
+let venueMode = { venue: null, presentCount: 0, enabled: false };
+let likesInbox = { nextCursor: null, loading: false };
 
 /**
  * Create a demo session for testing
@@ -101,6 +117,9 @@ async function initMatching() {
     return;
   }
   
+  // Find out whether the user can match at the venue they're checked in at
+  await loadVenueMode();
+  
   // Load potential matches
   await loadPotentialMatches();
   
@@ -141,10 +160,10 @@ async function loadPotentialMatches() {
     console.log('🔄 Loading potential matches...');
     
     // Get potential matches from the API
+    // Saved filters are applied and candidates ranked by the server
     const options = {
       limit: 20,
-      offset: 0,
-      distance: 50
+      venueId: venueMode.enabled ? venueMode.venue.id : undefined
     };
     
     const allMatches = await getPotentialMatches(options);
@@ -182,6 +201,13 @@ async function loadPotentialMatches() {
   } catch (error) {
     console.error('❌ Error loading potential matches:', error);
     
+    // Checked out since the page loaded - go back to the regular deck
+    if (error.status === 403 && venueMode.enabled) {
+      await loadVenueMode();
+      setVenueModeEnabled(false);
+      return;
+    }
+    
     // Hide loading spinner on error
     if (loadingSpinner) {
       loadingSpinner.style.display = 'none';
@@ -195,6 +221,119 @@ async function loadPotentialMatches() {
   }
 }
 
+/**
+ * Load the venue the user is checked in at, and show the venue mode toggle
+ * if there is one
+ */
+async function loadVenueMode() {
+  try {
+    const mode = await getVenueMatchMode();
+    venueMode.venue = mode.venue;
+    venueMode.presentCount = mode.present_count;
+  } catch (error) {
+    console.error('❌ Error loading venue match mode:', error);
+    venueMode.venue = null;
+  }
+  
+  // Stay in venue mode across reloads while checked in at the same venue
+  venueMode.enabled = Boolean(venueMode.venue) &&
+    sessionStorage.getItem('venue_match_mode') === venueMode.venue.id;
+  secondLookLoaded = venueMode.enabled;
+  
+  updateVenueModeToggle();
+}
+
+/**
+ * Switch between the regular deck and people at the user's venue
+ * @param {boolean} enabled - Whether to only show people at the venue
+ */
+function setVenueModeEnabled(enabled) {
+  venueMode.enabled = enabled && Boolean(venueMode.venue);
+  
+  if (venueMode.enabled) {
+    sessionStorage.setItem('venue_match_mode', venueMode.venue.id);
+  } else {
+    sessionStorage.removeItem('venue_match_mode');
+  }
+  
+  // Second looks aren't tied to a venue
+  secondLookLoaded = venueMode.enabled;
+  clearTimeout(undoTimer);
+  lastSwipe = null;
+  updateRewindButton();
+  updateVenueModeToggle();
+  
+  loadPotentialMatches();
+}
+
+/**
+ * Show the venue mode toggle when the user is checked in somewhere
+ */
+function updateVenueModeToggle() {
+  const toggle = document.getElementById('venue-mode-toggle');
+  if (!toggle) return;
+  
+  if (!venueMode.venue) {
+    toggle.style.display = 'none';
+    return;
+  }
+  
+  const label = toggle.querySelector('.venue-mode-label');
+  if (label) {
+    label.textContent = venueMode.enabled
+      ? `Only at ${venueMode.venue.name}`
+      : `Match at ${venueMode.venue.name}${venueMode.presentCount ? ` (${venueMode.presentCount} here)` : ''}`;
+  }
+  
+  toggle.style.display = 'inline-block';
+  toggle.classList.toggle('active', venueMode.enabled);
+  toggle.setAttribute('aria-pressed', String(venueMode.enabled));
+}
+
+/**
+ * Venue to record with a swipe: the venue in venue mode, or the user's venue
+ * when the other person is there too
+ */
+function swipeVenueId(profile) {
+  if (venueMode.enabled) {
+    return venueMode.venue.id;
+  }
+  
+  return profile.venue && profile.venue.here_now ? profile.venue.id : null;
+}
+
+/**
+ * Venue to show on the match screen
+ * @param {Object} profile - Matched profile
+ * @param {Object} match - Match from the swipe result, { venue_id }
+ */
+function matchVenue(profile, match) {
+  const venueId = match && match.venue_id;
+  if (!venueId) return null;
+  
+  if (venueMode.venue && venueMode.venue.id === venueId) return venueMode.venue;
+  if (profile.venue && profile.venue.id === venueId) return profile.venue;
+  return null;
+}
+
+/**
+ * Describe where the card's person is, e.g. "Here now at The Rooftop"
+ */
+function venueLabel(profile) {
+  if (!profile.venue) return '';
+  
+  if (profile.venue.here_now) {
+    return `Here now at ${profile.venue.name}`;
+  }
+  
+  if (profile.last_seen_at_venue) {
+    const hours = Math.floor((Date.now() - new Date(profile.last_seen_at_venue)) / (60 * 60 * 1000));
+    return `At ${profile.venue.name} ${hours < 1 ? 'within the hour' : `${hours}h ago`}`;
+  }
+  
+  return `Recently at ${profile.venue.name}`;
+}
+
 /**
  * Render the card stack with potential matches
  */
@@ -207,8 +346,12 @@ function renderCardStack() {
   // Clear the card stack
   cardStack.innerHTML = '';
   
-  // If no potential matches, show empty state
+  // If no potential matches, try a second look before showing the empty state
   if (potentialMatches.length === 0) {
+    if (!secondLookLoaded) {
+      loadSecondLook();
+      return;
+    }
     showEmptyState();
     return;
   }
@@ -249,8 +392,10 @@ function createProfileCard(profile, index) {
   
   console.log('Creating card for profile:', profile.full_name, 'Avatar URL:', profile.avatar_url);
   
-  // Calculate distance in miles
-  const distance = profile.distance ? `${Math.round(profile.distance)} miles away` : 'Unknown distance';
+  // Distance is worked out by the server from real locations
+  const distance = profile.distance_km !== null && profile.distance_km !== undefined
+    ? `${profile.distance_km < 1 ? 'Less than 1' : Math.round(profile.distance_km)} km away`
+    : 'Unknown distance';
   
   // Calculate age from birth_date
   const age = profile.age;
@@ -308,10 +453,13 @@ function createProfileCard(profile, index) {
     <div class="card-distance">
       <span class="distance-text">${distance}</span>
     </div>
+    ${profile.second_look ? '<div class="second-look-badge">Second look</div>' : ''}
+    ${profile.super_liked_you ? '<div class="super-liked-you-badge">★ Super liked you</div>' : ''}
     
     <!-- Card info section -->
     <div class="card-info">
       <h2 class="profile-name">${profile.full_name || 'Unknown'}${age ? `, ${age}` : ''}</h2>
+      ${profile.venue ? `<p class="card-venue">📍 ${venueLabel(profile)}</p>` : ''}
       <p class="venue-name">${profile.bio || 'Looking for connections'}</p>
     </div>
     
@@ -327,6 +475,11 @@ function createProfileCard(profile, index) {
         <path d="M6 6L18 18" stroke="#FF3B30" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
       </svg>
     </div>
+    <div class="super-like-badge" style="display: none;">
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="white">
+        <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+      </svg>
+    </div>
   `;
   
   return card;
@@ -357,11 +510,13 @@ function navigateToProfileDetail(profileId, profile) {
 function showEmptyState() {
   if (!cardStack) return;
   
+  const venueName = venueMode.enabled ? venueMode.venue.name : null;
+  
   cardStack.innerHTML = `
     <div class="empty-state">
       <div class="empty-icon">💔</div>
-      <h3>No more matches</h3>
-      <p>Check back later for new people!</p>
+      <h3>${venueName ? `No one new at ${venueName}` : 'No more matches'}</h3>
+      <p>${venueName ? 'More people may check in soon!' : 'Check back later for new people!'}</p>
       <button class="refresh-button" onclick="location.reload()">Refresh</button>
     </div>
   `;
@@ -395,6 +550,12 @@ function updateCurrentCard() {
   
   // Check if we have more cards
   if (currentCardIndex >= potentialMatches.length) {
+    // Offer people passed on a while ago before giving up
+    if (!secondLookLoaded) {
+      loadSecondLook();
+      return;
+    }
+    
     // No more cards, show empty state
     showEmptyState();
     return;
@@ -449,14 +610,15 @@ function updateCurrentCard() {
 async function handleLike() {
   if (currentCardIndex >= potentialMatches.length) return;
   
-  const currentProfile = potentialMatches[currentCardIndex];
-  const currentCard = document.querySelector(`.match-card[data-index="${currentCardIndex}"]`);
+  const swipedIndex = currentCardIndex;
+  const currentProfile = potentialMatches[swipedIndex];
+  const currentCard = document.querySelector(`.match-card[data-index="${swipedIndex}"]`);
   
   try {
     console.log('👍 Liking profile:', currentProfile.display_name || currentProfile.id);
     
-    // Show like badge
-    if (currentCard) {
+    // Show like badge, unless a swipe gesture is already animating the card out
+    if (currentCard && !currentCard.classList.contains('fade-out')) {
       const likeBadge = currentCard.querySelector('.like-badge');
       if (likeBadge) {
         likeBadge.style.display = 'flex';
@@ -472,19 +634,24 @@ async function handleLike() {
     }
     
     // Send like to API
-    const result = await likeUser(currentProfile.id);
+    const result = await likeUser(currentProfile.id, swipeVenueId(currentProfile));
+    rememberSwipe(currentProfile, swipedIndex, result);
     
     // Check if it's a match
     if (result && result.isMatch) {
       console.log('🎉 It\'s a match!', result);
       // It's a match! Show match screen
-      showMatchScreen(currentProfile);
+      showMatchScreen(currentProfile, result.conversationId, matchVenue(currentProfile, result.match));
     } else {
       console.log('👍 Like sent, no match yet');
       // Card transition is handled by animateCardExit in swipe gesture
     }
   } catch (error) {
     console.error('❌ Error handling like:', error);
+    if (error.status === 429) {
+      restoreSwipedCard(swipedIndex);
+      showSwipeLimitNotice(error.data);
+    }
     // Card transition is handled by animateCardExit in swipe gesture
   }
 }
@@ -495,14 +662,15 @@ async function handleLike() {
 async function handleDislike() {
   if (currentCardIndex >= potentialMatches.length) return;
   
-  const currentProfile = potentialMatches[currentCardIndex];
-  const currentCard = document.querySelector(`.match-card[data-index="${currentCardIndex}"]`);
+  const swipedIndex = currentCardIndex;
+  const currentProfile = potentialMatches[swipedIndex];
+  const currentCard = document.querySelector(`.match-card[data-index="${swipedIndex}"]`);
   
   try {
     console.log('👎 Disliking profile:', currentProfile.display_name || currentProfile.id);
     
-    // Show dislike badge
-    if (currentCard) {
+    // Show dislike badge, unless a swipe gesture is already animating the card out
+    if (currentCard && !currentCard.classList.contains('fade-out')) {
       const dislikeBadge = currentCard.querySelector('.dislike-badge');
       if (dislikeBadge) {
         dislikeBadge.style.display = 'flex';
@@ -518,24 +686,436 @@ async function handleDislike() {
     }
     
     // Send dislike to API
-    await dislikeUser(currentProfile.id);
+    const result = await dislikeUser(currentProfile.id, swipeVenueId(currentProfile));
+    rememberSwipe(currentProfile, swipedIndex, result);
     
     console.log('👎 Dislike sent');
     
     // Card transition is handled by animateCardExit in swipe gesture
   } catch (error) {
     console.error('❌ Error handling dislike:', error);
+    if (error.status === 429) {
+      restoreSwipedCard(swipedIndex);
+      showSwipeLimitNotice(error.data);
+    }
     // Card transition is handled by animateCardExit in swipe gesture
   }
 }
 
+/**
+ * Handle super like action for current profile. Opens the pack modal
+ * instead when the user has no super likes left.
+ * @returns {Promise<boolean>} Whether the super like was sent
+ */
+async function handleSuperLike() {
+  if (currentCardIndex >= potentialMatches.length) return false;
+  
+  if (!canSuperLike()) {
+    openSuperLikeModal();
+    return false;
+  }
+  
+  const swipedIndex = currentCardIndex;
+  const currentProfile = potentialMatches[swipedIndex];
+  const currentCard = document.querySelector(`.match-card[data-index="${swipedIndex}"]`);
+  
+  try {
+    console.log('⭐ Super liking profile:', currentProfile.display_name || currentProfile.id);
+    
+    // Show super like badge, unless a swipe gesture is already animating the card out
+    if (currentCard && !currentCard.classList.contains('fade-out')) {
+      const superLikeBadge = currentCard.querySelector('.super-like-badge');
+      if (superLikeBadge) {
+        superLikeBadge.style.display = 'flex';
+        superLikeBadge.style.opacity = '1';
+      }
+      currentCard.classList.add('fade-out');
+      setTimeout(() => {
+        if (currentCard.parentNode) currentCard.parentNode.removeChild(currentCard);
+        currentCardIndex++;
+        updateCurrentCard();
+      }, 400); // match CSS duration
+    }
+    
+    const result = await superLikeUser(currentProfile.id, swipeVenueId(currentProfile));
+    rememberSwipe(currentProfile, swipedIndex, result);
+    useSuperLike(result.super_like && result.super_like.used_from);
+    
+    if (result && result.isMatch) {
+      console.log('🎉 It\'s a match!', result);
+      showMatchScreen(currentProfile, result.conversationId, matchVenue(currentProfile, result.match));
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('❌ Error handling super like:', error);
+    
+    restoreSwipedCard(swipedIndex);
+    
+    if (error.status === 402) {
+      await loadSuperLikeStatus();
+      openSuperLikeModal();
+    } else if (error.status === 429) {
+      showSwipeLimitNotice(error.data);
+    }
+    
+    return false;
+  }
+}
+
+/**
+ * Nothing was sent, so put the profile back on top once the exit animation is done
+ * @param {number} index - Position of the profile in the deck
+ */
+function restoreSwipedCard(index) {
+  setTimeout(() => {
+    currentCardIndex = index;
+    renderCardStack();
+  }, 400);
+}
+
+/**
+ * Explain why a swipe was turned away with a 429
+ * @param {Object} limit - { code, resets_at } from the error response
+ */
+function showSwipeLimitNotice(limit = {}) {
+  const notice = document.getElementById('swipe-limit-notice');
+  if (!notice) return;
+  
+  const resetsAt = limit.resets_at ? new Date(limit.resets_at) : null;
+  const time = resetsAt ? resetsAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : null;
+  
+  if (limit.code === 'daily_swipe_limit') {
+    notice.querySelector('.swipe-limit-message').textContent = time
+      ? `You've used all your likes for today. You'll get more at ${time}.`
+      : 'You\'ve used all your likes for today.';
+    notice.querySelector('.swipe-limit-upgrade').hidden = limit.tier === 'yearly';
+  } else {
+    notice.querySelector('.swipe-limit-message').textContent = time
+      ? `You're swiping too fast. Take a break and try again at ${time}.`
+      : 'You\'re swiping too fast. Take a break and try again later.';
+    notice.querySelector('.swipe-limit-upgrade').hidden = true;
+  }
+  
+  notice.hidden = false;
+}
+
+/**
+ * Whether the user has a super like to send, as far as we know. The server
+ * makes the final call.
+ */
+function canSuperLike() {
+  return !superLikeStatus || superLikeStatus.remaining > 0;
+}
+
+/**
+ * Fetch how many super likes the user has left
+ */
+async function loadSuperLikeStatus() {
+  try {
+    superLikeStatus = await getSuperLikeStatus();
+    updateSuperLikeButton();
+  } catch (error) {
+    console.error('❌ Error loading super like status:', error);
+  }
+}
+
+/**
+ * Count a sent super like against the local status
+ * @param {string} usedFrom - 'daily' or 'credit'
+ */
+function useSuperLike(usedFrom) {
+  if (!superLikeStatus) return;
+  
+  if (usedFrom === 'credit') {
+    superLikeStatus.credits = Math.max(superLikeStatus.credits - 1, 0);
+  } else {
+    superLikeStatus.used_today++;
+    superLikeStatus.remaining_today = Math.max(superLikeStatus.remaining_today - 1, 0);
+  }
+  superLikeStatus.remaining = superLikeStatus.remaining_today + superLikeStatus.credits;
+  
+  updateSuperLikeButton();
+}
+
+/**
+ * Show how many super likes are left on the super like button
+ */
+function updateSuperLikeButton() {
+  const count = document.querySelector('#super-like-button .super-like-count');
+  if (count) {
+    const remaining = superLikeStatus ? superLikeStatus.remaining : 0;
+    count.textContent = remaining > 0 ? remaining : '+';
+  }
+}
+
+/**
+ * Offer packs of super likes
+ */
+function openSuperLikeModal() {
+  if (!superLikeModal) {
+    superLikeModal = new SuperLikeModal({
+      onPaymentSuccess: (result) => {
+        console.log('⭐ Bought super likes:', result.quantity);
+        if (superLikeStatus) {
+          superLikeStatus.credits = result.credits;
+          superLikeStatus.remaining = superLikeStatus.remaining_today + result.credits;
+        }
+        updateSuperLikeButton();
+      }
+    });
+  }
+  
+  superLikeModal.show(superLikeStatus || {});
+}
+
+/**
+ * Keep track of the last swipe so it can be undone while the server allows it
+ * @param {Object} profile - Profile swiped on
+ * @param {number} index - Position of the profile in the deck
+ * @param {Object} result - Swipe result from the API
+ */
+function rememberSwipe(profile, index, result) {
+  clearTimeout(undoTimer);
+  lastSwipe = null;
+  
+  const expiresAt = result && result.undo_expires_at ? new Date(result.undo_expires_at) : null;
+  if (expiresAt && expiresAt > new Date()) {
+    lastSwipe = { profile, index };
+    undoTimer = setTimeout(() => {
+      lastSwipe = null;
+      updateRewindButton();
+    }, expiresAt - new Date());
+  }
+  
+  updateRewindButton();
+}
+
+/**
+ * Enable the rewind button only while the last swipe can be undone
+ */
+function updateRewindButton() {
+  const rewindButton = document.getElementById('rewind-button');
+  if (rewindButton) {
+    rewindButton.disabled = !lastSwipe;
+  }
+}
+
+/**
+ * Undo the last swipe and put the profile back on top of the deck
+ */
+async function handleRewind() {
+  if (!lastSwipe) return;
+  
+  const swipe = lastSwipe;
+  clearTimeout(undoTimer);
+  lastSwipe = null;
+  updateRewindButton();
+  
+  try {
+    const result = await undoLastSwipe();
+    console.log('↩️ Swipe undone:', result.target_user_id);
+    
+    // The server has the final say on which swipe was undone
+    const index = potentialMatches.findIndex(profile => profile.id === result.target_user_id);
+    if (index !== -1) {
+      currentCardIndex = index;
+    } else if (result.profile) {
+      potentialMatches.splice(currentCardIndex, 0, result.profile);
+    } else {
+      currentCardIndex = swipe.index;
+    }
+    
+    renderCardStack();
+  } catch (error) {
+    console.error('❌ Error undoing swipe:', error);
+  }
+}
+
+/**
+ * Add people the user passed on a while ago to the end of the deck
+ */
+async function loadSecondLook() {
+  secondLookLoaded = true;
+  
+  try {
+    const profiles = await getSecondLookMatches({ limit: 20 });
+    const known = new Set(potentialMatches.map(profile => profile.id));
+    const fresh = profiles.filter(profile => profile.avatar_url && !known.has(profile.id));
+    
+    if (fresh.length === 0) {
+      showEmptyState();
+      return;
+    }
+    
+    console.log('👀 Second look at', fresh.length, 'profiles');
+    
+    // The stack may be showing the empty state
+    cardStack.querySelectorAll('.empty-state').forEach(element => element.remove());
+    
+    fresh.forEach(profile => {
+      potentialMatches.push(profile);
+      cardStack.appendChild(createProfileCard(profile, potentialMatches.length - 1));
+    });
+    
+    updateCurrentCard();
+  } catch (error) {
+    console.error('❌ Error loading second look profiles:', error);
+    showEmptyState();
+  }
+}
+
+/**
+ * Show how many people are waiting in the "Liked you" inbox
+ */
+async function updateLikesInboxCount() {
+  const count = document.querySelector('#likes-inbox-button .likes-inbox-count');
+  if (!count) return;
+  
+  try {
+    const total = await getLikesReceivedCount();
+    count.textContent = total > 0 ? `(${total > 99 ? '99+' : total})` : '';
+  } catch (error) {
+    console.error('❌ Error loading likes count:', error);
+    count.textContent = '';
+  }
+  
+  // Keep the nav badge in step
+  const bottomNav = document.querySelector('bottom-navigation');
+  if (bottomNav && typeof bottomNav.updateLikesBadge === 'function') {
+    bottomNav.updateLikesBadge();
+  }
+}
+
+/**
+ * Open the "Liked you" inbox
+ */
+function openLikesPanel() {
+  const panel = document.getElementById('likes-panel');
+  if (!panel) return;
+  
+  panel.hidden = false;
+  document.getElementById('likes-grid').innerHTML = '';
+  likesInbox.nextCursor = null;
+  loadLikes();
+}
+
+/**
+ * Load the next page of likes into the inbox. Free users get blurred tiles
+ * and a link to upgrade.
+ */
+async function loadLikes() {
+  if (likesInbox.loading) return;
+  likesInbox.loading = true;
+  
+  const grid = document.getElementById('likes-grid');
+  const loadMore = document.getElementById('likes-load-more');
+  const upgrade = document.getElementById('likes-upgrade');
+  
+  try {
+    const page = await getLikesReceived({ limit: 20, cursor: likesInbox.nextCursor });
+    
+    likesInbox.nextCursor = page.next_cursor;
+    loadMore.hidden = !page.next_cursor;
+    upgrade.hidden = page.revealed;
+    if (page.subscription_url) {
+      document.getElementById('likes-upgrade-link').href = page.subscription_url;
+    }
+    
+    page.results.forEach(like => grid.appendChild(createLikeTile(like)));
+    
+    if (grid.children.length === 0) {
+      grid.innerHTML = '<p class="likes-empty">No new likes yet. Keep swiping!</p>';
+    }
+  } catch (error) {
+    console.error('❌ Error loading likes:', error);
+    grid.innerHTML = '<p class="likes-empty">Couldn\'t load your likes. Please try again.</p>';
+  } finally {
+    likesInbox.loading = false;
+  }
+}
+
+/**
+ * Create a tile for someone who liked the user
+ * @param {Object} like - Entry from the likes inbox
+ */
+function createLikeTile(like) {
+  const tile = document.createElement('div');
+  tile.className = like.blurred ? 'like-tile blurred' : 'like-tile';
+  
+  if (like.super_like) {
+    const star = document.createElement('span');
+    star.className = 'like-tile-super';
+    star.textContent = '⭐';
+    tile.appendChild(star);
+  }
+  
+  // Blurred likes don't say who sent them
+  if (like.blurred) return tile;
+  
+  const photo = document.createElement('img');
+  photo.src = like.avatar_url || '/images/avatar.jpg';
+  photo.alt = like.display_name || '';
+  tile.appendChild(photo);
+  
+  const info = document.createElement('div');
+  info.className = 'like-tile-info';
+  info.textContent = like.age ? `${like.display_name || 'Someone'}, ${like.age}` : like.display_name || 'Someone';
+  
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = '♥ Like back';
+  button.addEventListener('click', () => handleLikeBack(like, tile, button));
+  info.appendChild(button);
+  
+  tile.appendChild(info);
+  return tile;
+}
+
+/**
+ * Like back someone from the inbox, which makes a match
+ * @param {Object} like - Entry from the likes inbox
+ * @param {HTMLElement} tile - Their tile
+ * @param {HTMLElement} button - The like back button
+ */
+async function handleLikeBack(like, tile, button) {
+  button.disabled = true;
+  
+  try {
+    const result = await likeBack(like.user_id);
+    
+    tile.remove();
+    updateLikesInboxCount();
+    
+    if (result.is_match) {
+      const profile = {
+        id: like.user_id,
+        full_name: like.display_name,
+        display_name: like.display_name,
+        avatar_url: like.avatar_url
+      };
+      document.getElementById('likes-panel').hidden = true;
+      showMatchScreen(profile, result.match ? result.match.conversation_id : null, matchVenue(profile, result.match));
+    }
+  } catch (error) {
+    console.error('❌ Error liking back:', error);
+    button.disabled = false;
+    
+    if (error.status === 402) {
+      document.getElementById('likes-upgrade').hidden = false;
+    } else {
+      alert(error.message || 'Could not like back. Please try again.');
+    }
+  }
+}
+
 /**
  * Show the match screen with profile data
  */
 /**
  * Show the beautiful match modal when users match
  */
-function showMatchScreen(matchedProfile) {
+function showMatchScreen(matchedProfile, conversationId = null, venue = null) {
   console.log('🎉 Showing match screen for:', matchedProfile.full_name);
   
   // Create match modal if it doesn't exist
@@ -546,7 +1126,7 @@ function showMatchScreen(matchedProfile) {
   // Set up event handlers
   matchModal.onSayHello = async () => {
     console.log('💬 Starting conversation with:', matchedProfile.full_name);
-    await startConversationWithMatch(matchedProfile);
+    await startConversationWithMatch(matchedProfile, conversationId);
   };
   
   matchModal.onKeepSwiping = () => {
@@ -556,14 +1136,15 @@ function showMatchScreen(matchedProfile) {
   };
   
   // Show the match modal with both user profiles
-  matchModal.show(currentUser, matchedProfile);
+  matchModal.show(currentUser, matchedProfile, venue);
 }
 
 /**
  * Start a conversation with a matched user
  * @param {Object} matchedProfile - The matched user's profile
+ * @param {string} conversationId - Conversation the server created for the match, if known
  */
-async function startConversationWithMatch(matchedProfile) {
+async function startConversationWithMatch(matchedProfile, conversationId = null) {
   try {
     console.log('💬 Creating conversation with:', matchedProfile.full_name);
     
@@ -572,34 +1153,36 @@ async function startConversationWithMatch(matchedProfile) {
     console.log(loadingMessage);
     
     // Create or get existing conversation
-    let conversation;
-    try {
-      // Try to create a new conversation
-      conversation = await createConversation(currentUser.id, matchedProfile.id);
-      console.log('✅ Conversation created:', conversation.id);
-    } catch (error) {
-      // If conversation already exists, that's fine
-      if (error.message.includes('unique_conversation') || error.code === '23505') {
-        console.log('💬 Conversation already exists, finding it...');
+    let conversation = conversationId ? { id: conversationId } : null;
+    if (!conversation) {
+      try {
+        // Try to create a new conversation
+        conversation = await createConversation(currentUser.id, matchedProfile.id);
+        console.log('✅ Conversation created:', conversation.id);
+      } catch (error) {
+        // If conversation already exists, that's fine
+        if (error.message.includes('unique_conversation') || error.code === '23505') {
+          console.log('💬 Conversation already exists, finding it...');
         
-        // Find the existing conversation
-        const { data: existingConversations, error: findError } = await supabase
-          .from('conversations')
-          .select('*')
-          .or(`and(user_id_1.eq.${currentUser.id},user_id_2.eq.${matchedProfile.id}),and(user_id_1.eq.${matchedProfile.id},user_id_2.eq.${currentUser.id})`)
-          .eq('is_active', true)
-          .single();
+          // Find the existing conversation
+          const { data: existingConversations, error: findError } = await supabase
+            .from('conversations')
+            .select('*')
+            .or(`and(user_id_1.eq.${currentUser.id},user_id_2.eq.${matchedProfile.id}),and(user_id_1.eq.${matchedProfile.id},user_id_2.eq.${currentUser.id})`)
+            .eq('is_active', true)
+            .single();
           
-        if (findError) {
-          console.error('❌ Error finding existing conversation:', findError);
-          throw findError;
-        }
+          if (findError) {
+            console.error('❌ Error finding existing conversation:', findError);
+            throw findError;
+          }
         
-        conversation = existingConversations;
-        console.log('✅ Found existing conversation:', conversation.id);
-      } else {
-        console.error('❌ Error creating conversation:', error);
-        throw error;
+          conversation = existingConversations;
+          console.log('✅ Found existing conversation:', conversation.id);
+        } else {
+          console.error('❌ Error creating conversation:', error);
+          throw error;
+        }
       }
     }
     
@@ -805,6 +1388,52 @@ function setupEventListeners() {
     dislikeButton.addEventListener('click', handleDislike);
   }
   
+  // Venue mode toggle
+  const venueModeToggle = document.getElementById('venue-mode-toggle');
+  if (venueModeToggle) {
+    venueModeToggle.addEventListener('click', () => setVenueModeEnabled(!venueMode.enabled));
+  }
+  
+  // Liked you inbox
+  const likesInboxButton = document.getElementById('likes-inbox-button');
+  if (likesInboxButton) {
+    likesInboxButton.addEventListener('click', openLikesPanel);
+    updateLikesInboxCount();
+  }
+  
+  const likesPanelClose = document.getElementById('likes-panel-close');
+  if (likesPanelClose) {
+    likesPanelClose.addEventListener('click', () => {
+      document.getElementById('likes-panel').hidden = true;
+    });
+  }
+  
+  const swipeLimitClose = document.getElementById('swipe-limit-close');
+  if (swipeLimitClose) {
+    swipeLimitClose.addEventListener('click', () => {
+      document.getElementById('swipe-limit-notice').hidden = true;
+    });
+  }
+  
+  const likesLoadMore = document.getElementById('likes-load-more');
+  if (likesLoadMore) {
+    likesLoadMore.addEventListener('click', loadLikes);
+  }
+  
+  // Super like button
+  const superLikeButton = document.getElementById('super-like-button');
+  if (superLikeButton) {
+    superLikeButton.addEventListener('click', handleSuperLike);
+    loadSuperLikeStatus();
+  }
+  
+  // Rewind button
+  const rewindButton = document.getElementById('rewind-button');
+  if (rewindButton) {
+    rewindButton.addEventListener('click', handleRewind);
+    updateRewindButton();
+  }
+  
   // Say hello button (on match screen)
   const sayHelloButton = document.getElementById('say-hello-button');
   if (sayHelloButton) {
@@ -941,6 +1570,20 @@ function setupSwipeGestures() {
     // Show like/dislike badges based on swipe direction
     const likeBadge = currentCard.querySelector('.like-badge');
     const dislikeBadge = currentCard.querySelector('.dislike-badge');
+    const superLikeBadge = currentCard.querySelector('.super-like-badge');
+    
+    // Swiping up (super like)
+    if (deltaY < -50 && Math.abs(deltaY) > Math.abs(deltaX)) {
+      if (superLikeBadge) {
+        superLikeBadge.style.display = 'flex';
+        superLikeBadge.style.opacity = Math.min(Math.abs(deltaY) / 150, 1);
+      }
+      if (likeBadge) likeBadge.style.display = 'none';
+      if (dislikeBadge) dislikeBadge.style.display = 'none';
+      return;
+    }
+    
+    if (superLikeBadge) superLikeBadge.style.display = 'none';
     
     if (Math.abs(deltaX) > 50) {
       if (deltaX > 0) {
@@ -973,12 +1616,21 @@ function setupSwipeGestures() {
     if (!currentCard) return;
     
     const deltaX = currentX - startX;
+    const deltaY = currentY - startY;
     const swipeThreshold = 100; // Minimum distance to trigger swipe
     
     // Reset card styling
     currentCard.style.cursor = 'grab';
     
-    if (Math.abs(deltaX) > swipeThreshold) {
+    if (deltaY < -swipeThreshold && Math.abs(deltaY) > Math.abs(deltaX) && canSuperLike()) {
+      // Swipe up (super like)
+      animateCardExit(currentCard, 'up');
+      handleSuperLike();
+    } else if (deltaY < -swipeThreshold && Math.abs(deltaY) > Math.abs(deltaX)) {
+      // Out of super likes - offer a pack instead
+      snapBack();
+      openSuperLikeModal();
+    } else if (Math.abs(deltaX) > swipeThreshold) {
       // Swipe detected
       if (deltaX > 0) {
         // Swipe right (like)
@@ -990,15 +1642,7 @@ function setupSwipeGestures() {
         handleDislike();
       }
     } else {
-      // Snap back to center
-      currentCard.style.transition = 'transform 0.3s ease';
-      currentCard.style.transform = 'translateX(0) translateY(0) rotate(0deg)';
-      
-      // Hide badges
-      const likeBadge = currentCard.querySelector('.like-badge');
-      const dislikeBadge = currentCard.querySelector('.dislike-badge');
-      if (likeBadge) likeBadge.style.display = 'none';
-      if (dislikeBadge) dislikeBadge.style.display = 'none';
+      snapBack();
     }
     
     // Reset dragging state
@@ -1006,6 +1650,20 @@ function setupSwipeGestures() {
     currentCard = null;
   }
   
+  function snapBack() {
+    // Snap back to center
+    currentCard.style.transition = 'transform 0.3s ease';
+    currentCard.style.transform = 'translateX(0) translateY(0) rotate(0deg)';
+    
+    // Hide badges
+    const likeBadge = currentCard.querySelector('.like-badge');
+    const dislikeBadge = currentCard.querySelector('.dislike-badge');
+    const superLikeBadge = currentCard.querySelector('.super-like-badge');
+    if (likeBadge) likeBadge.style.display = 'none';
+    if (dislikeBadge) dislikeBadge.style.display = 'none';
+    if (superLikeBadge) superLikeBadge.style.display = 'none';
+  }
+  
   function animateCardExit(card, direction) {
     if (!card) return;
     
@@ -1041,6 +1699,8 @@ export {
   initMatching, 
   handleLike, 
   handleDislike, 
+  handleSuperLike,
+  handleRewind,
   showMatchScreen, 
   hideMatchScreen 
 };
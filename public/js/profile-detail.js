@@ -3,7 +3,7 @@
  * Handle functionality for the profile detail view
  */
 import { getProfileById } from './api/profiles.js';
-import { supabaseClientPromise } from './supabase-client.js';
+import { likeProfile, dislikeProfile } from './api/matches.js';
 import authMiddleware from './auth-middleware.js';
 
 // Initialize the profile detail page
@@ -207,171 +207,6 @@ function animateDislike() {
   }
 }
 
-// API call to like a profile
-async function likeProfile(profileId) {
-  try {
-    const user = authMiddleware.getUser();
-    if (!user || !user.id) {
-      throw new Error('User not authenticated');
-    }
-    
-    console.log(`👍 Liking profile ${profileId} for user ${user.id}`);
-    
-    // Get Supabase client
-    const supabase = await supabaseClientPromise;
-    
-    // Insert the like into the database
-    const { data: likeData, error: likeError } = await supabase
-      .from('user_likes')
-      .insert({
-        user_id: user.id,
-        liked_user_id: profileId,
-        created_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-    
-    if (likeError) {
-      console.error('Error inserting like:', likeError);
-      throw likeError;
-    }
-    
-    console.log('✅ Like recorded in database:', likeData);
-    
-    // Check if it's a mutual like (match)
-    const isMatch = await checkForMutualLike(user.id, profileId);
-    
-    return { success: true, isMatch };
-  } catch (error) {
-    console.error('Error in likeProfile:', error);
-    throw error;
-  }
-}
-
-// Check if two users have liked each other (mutual like = match)
-async function checkForMutualLike(currentUserId, likedUserId) {
-  try {
-    const supabase = await supabaseClientPromise;
-    
-    // Check if the liked user has also liked the current user
-    const { data, error } = await supabase
-      .from('user_likes')
-      .select('*')
-      .eq('user_id', likedUserId)
-      .eq('liked_user_id', currentUserId)
-      .single();
-    
-    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
-      console.error('Error checking for mutual like:', error);
-      throw error;
-    }
-    
-    const isMatch = !!data; // Convert to boolean
-    
-    if (isMatch) {
-      console.log('🎉 Mutual like detected! Creating match record...');
-      
-      // Create a match record in the matches table
-      await createMatchRecord(currentUserId, likedUserId);
-    }
-    
-    console.log(`💕 Mutual like check: ${isMatch ? 'MATCH!' : 'No match yet'}`);
-    return isMatch;
-    
-  } catch (error) {
-    console.error('Error in checkForMutualLike:', error);
-    // Don't throw error here - we don't want to break the like flow
-    // Just return false if we can't check
-    return false;
-  }
-}
-
-// Create a match record when two users like each other
-async function createMatchRecord(user1Id, user2Id) {
-  try {
-    const supabase = await supabaseClientPromise;
-    
-    // Check if match already exists (to avoid duplicates)
-    const { data: existingMatch } = await supabase
-      .from('matches')
-      .select('*')
-      .or(`and(user1_id.eq.${user1Id},user2_id.eq.${user2Id}),and(user1_id.eq.${user2Id},user2_id.eq.${user1Id})`)
-      .single();
-    
-    if (existingMatch) {
-      console.log('Match record already exists');
-      return existingMatch;
-    }
-    
-    // Create new match record
-    const { data: matchData, error: matchError } = await supabase
-      .from('matches')
-      .insert({
-        user1_id: user1Id,
-        user2_id: user2Id,
-        matched_at: new Date().toISOString(),
-        status: 'active'
-      })
-      .select()
-      .single();
-    
-    if (matchError) {
-      console.error('Error creating match record:', matchError);
-      throw matchError;
-    }
-    
-    console.log('✅ Match record created:', matchData);
-    
-    // TODO: Create notifications for both users about the match
-    // await createMatchNotifications(user1Id, user2Id);
-    
-    return matchData;
-    
-  } catch (error) {
-    console.error('Error in createMatchRecord:', error);
-    // Don't throw - we don't want to break the match flow
-    return null;
-  }
-}
-
-// API call to dislike a profile
-async function dislikeProfile(profileId) {
-  try {
-    const user = authMiddleware.getUser();
-    if (!user || !user.id) {
-      throw new Error('User not authenticated');
-    }
-    
-    console.log(`👎 Disliking profile ${profileId} for user ${user.id}`);
-    
-    // Get Supabase client
-    const supabase = await supabaseClientPromise;
-    
-    // Insert the dislike into the database
-    const { data: dislikeData, error: dislikeError } = await supabase
-      .from('user_dislikes')
-      .insert({
-        user_id: user.id,
-        disliked_user_id: profileId,
-        created_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-    
-    if (dislikeError) {
-      console.error('Error inserting dislike:', dislikeError);
-      throw dislikeError;
-    }
-    
-    console.log('✅ Dislike recorded in database:', dislikeData);
-    
-    return { success: true };
-  } catch (error) {
-    console.error('Error in dislikeProfile:', error);
-    throw error;
-  }
-}
-
 // Show matched screen when users like each other back
 function showMatchedScreen(profileId) {
   // Get current profile data
@@ -27,6 +27,9 @@ import { getCurrentUser } from './supabase-client.js';
 import { initProfileInterestsPage } from './profile-interests.js';
 import { initProfileVerifyPage } from './profile-verify.js';
 import { initProfileCompletePage } from './profile-complete.js';
+import { initVenueCheckInPage } from './venue-check-in.js';
+import { initVenueOwnerPage } from './venue-owner.js';
+import { initAdminReportsPage } from './admin-reports.js';
 import { initDiscoverPage } from './discover.js';
 import { initProfileDetail } from './profile-detail.js';
 import { supabaseClientPromise } from './supabase-client.js';
@@ -46,6 +49,7 @@ function createLayoutFragment(content, pageUrl) {
     pageUrl === '/views/profile-interests.html' || pageUrl === '/profile-interests' ||
     pageUrl === '/views/profile-verify.html' || pageUrl === '/profile-verify' ||
     pageUrl === '/views/profile-complete.html' || pageUrl === '/profile-complete' ||
+    pageUrl === '/views/venue-check-in.html' || pageUrl === '/venue-check-in' ||
     pageUrl === '/views/feed.html' || pageUrl === '/feed' ||
     pageUrl === '/views/phone-reset.html' || pageUrl === '/phone-reset' ||
     pageUrl === '/views/discover.html' || pageUrl === '/discover' ||
@@ -453,6 +457,44 @@ export function createRouter(options = {}) {
   return router;
 }
 
+/**
+ * Only let admins into admin pages
+ */
+async function adminRouteGuard(to, from, next) {
+  try {
+    const supabase = await supabaseClientPromise;
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      alert('Please log in');
+      return next('/');
+    }
+
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('is_admin')
+      .eq('id', user.id)
+      .single();
+
+    // Handle case where profile doesn't exist yet
+    if (error && error.code === 'PGRST116') {
+      console.log('No profile found for admin check, denying access');
+      alert('Admin access required');
+      return next('/');
+    }
+
+    if (!profile || !profile.is_admin) {
+      alert('Admin access required');
+      return next('/');
+    }
+
+    next();
+  } catch (err) {
+    console.error('Admin route guard error:', err);
+    alert('Error validating admin access');
+    next('/');
+  }
+}
+
 /**
  * Define routes for the application
  * @param {Router} router - Router instance
@@ -522,39 +564,7 @@ export function defineRoutes(router) {
     '/admin/venues': {
       viewPath: '/views/admin-venues.html',
       requireAuth: true,
-      beforeEnter: async (to, from, next) => {
-        try {
-          const { data: { user } } = await supabase.auth.getUser();
-          if (!user) {
-            alert('Please log in');
-            return next('/');
-          }
-
-          const { data: profile, error } = await supabase
-            .from('profiles')
-            .select('is_admin')
-            .eq('id', user.id)
-            .single();
-
-          // Handle case where profile doesn't exist yet
-          if (error && error.code === 'PGRST116') {
-            console.log('No profile found for admin check, denying access');
-            alert('Admin access required');
-            return next('/');
-          }
-
-          if (!profile || !profile.is_admin) {
-            alert('Admin access required');
-            return next('/');
-          }
-
-          next();
-        } catch (err) {
-          console.error('Admin route guard error:', err);
-          alert('Error validating admin access');
-          next('/');
-        }
-      },
+      beforeEnter: adminRouteGuard,
       afterRender: () => {
         if (window.initAdminVenuesPage) {
           window.initAdminVenuesPage();
@@ -562,6 +572,13 @@ export function defineRoutes(router) {
       }
     },
 
+    '/admin/reports': {
+      viewPath: '/views/admin-reports.html',
+      requireAuth: true,
+      beforeEnter: adminRouteGuard,
+      afterRender: initAdminReportsPage
+    },
+
     '/chat': {
       viewPath: '/views/chat.html',
       afterRender: () => {
@@ -654,6 +671,17 @@ export function defineRoutes(router) {
       afterRender: initProfileCompletePage
     },
     
+    '/venue-check-in': {
+      viewPath: '/views/venue-check-in.html',
+      afterRender: initVenueCheckInPage
+    },
+    
+    '/owner/venues': {
+      viewPath: '/views/venue-owner.html',
+      requireAuth: true,
+      afterRender: initVenueOwnerPage
+    },
+    
     // Authentication routes
     '/login': {
       viewPath: '/views/auth.html',
@@ -0,0 +1,115 @@
+/**
+ * Super Like Modal for BarCrush Matching Page
+ *
+ * Sells packs of super likes through the same Square card form as the venue
+ * payment modal
+ */
+
+import VenuePaymentModal from './venue-payment-modal.js';
+import { purchaseSuperLikes } from './api/matches.js';
+
+export default class SuperLikeModal extends VenuePaymentModal {
+  constructor(options = {}) {
+    super({
+      ...options,
+      modalId: 'super-like-modal',
+      cardContainerId: 'super-like-card-container',
+      completeButtonId: 'complete-super-like-payment',
+      cancelButtonId: 'cancel-super-like-payment',
+      errorId: 'super-like-payment-error'
+    });
+
+    this.packs = [];
+    this.selectedPack = null;
+    // Kept until the purchase goes through or is declined, so a retry after
+    // a dropped connection or server error can't charge twice
+    this.purchaseId = null;
+  }
+
+  /**
+   * Show the modal with the packs on sale
+   * @param {Object} status - Super like status from getSuperLikeStatus()
+   */
+  async show(status = {}) {
+    this.packs = status.packs || [];
+    this.selectedPack = this.selectedPack || (this.packs[1] || this.packs[0] || {}).id || null;
+    this.renderStatus(status);
+    this.renderPacks();
+
+    await super.show();
+  }
+
+  /**
+   * Explain why the modal opened and when free super likes come back
+   */
+  renderStatus(status) {
+    const message = this.modalElement?.querySelector('.super-like-status');
+    if (!message) return;
+
+    if (status.daily_allowance > 0 && status.resets_at) {
+      const resetsAt = new Date(status.resets_at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      message.textContent = `You've used today's super likes. More arrive at ${resetsAt}, or get a pack now.`;
+    } else {
+      message.textContent = 'Stand out by letting them know you like them before they swipe.';
+    }
+  }
+
+  /**
+   * Render one button per pack
+   */
+  renderPacks() {
+    const container = this.modalElement?.querySelector('.super-like-packs');
+    if (!container) return;
+
+    container.innerHTML = this.packs.map(pack => `
+      <button type="button" class="super-like-pack ${pack.id === this.selectedPack ? 'selected' : ''}" data-pack="${pack.id}">
+        <span class="super-like-pack-quantity">${pack.quantity}</span>
+        <span class="super-like-pack-label">Super Like${pack.quantity === 1 ? '' : 's'}</span>
+        <span class="super-like-pack-price">${this.formatPrice(pack)}</span>
+      </button>
+    `).join('');
+
+    container.querySelectorAll('.super-like-pack').forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.dataset.pack !== this.selectedPack) {
+          this.selectedPack = button.dataset.pack;
+          this.purchaseId = null;
+        }
+        this.renderPacks();
+      });
+    });
+  }
+
+  /**
+   * Format a pack price for display
+   */
+  formatPrice(pack) {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: pack.currency })
+      .format(pack.amount / 100);
+  }
+
+  /**
+   * Buy the selected pack. The server charges the pack's own price.
+   * @param {string} token - Square card token
+   * @returns {Promise<Object>} { success, pack, quantity, credits }
+   */
+  async charge(token) {
+    if (!this.selectedPack) {
+      return { success: false, error: 'Choose a pack first' };
+    }
+
+    this.purchaseId = this.purchaseId || crypto.randomUUID();
+
+    try {
+      const result = await purchaseSuperLikes(this.selectedPack, token, this.purchaseId);
+      this.purchaseId = null;
+      return { success: true, ...result };
+    } catch (error) {
+      // Declined or refused purchases are over; anything else may be retried
+      if (error.status === 402 || error.status === 409) {
+        this.purchaseId = null;
+      }
+      throw error;
+    }
+  }
+}
@@ -4,17 +4,56 @@
  * Handles searching through messages in conversations
  */
 
-import { supabaseClientPromise } from '../supabase-client.js';
 import { getCurrentUser } from '../supabase-client.js';
+import { serverRequest } from '../api/server.js';
+
+/**
+ * Search the current user's messages on the server, best matches first
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {string} options.conversationId - Only search this conversation
+ * @param {number} options.limit - Results per page (1-50)
+ * @param {string} options.cursor - next_cursor from the previous page
+ * @returns {Promise<Object>} { results, next_cursor } where each result has
+ *   message, rank, highlights, snippet and conversation.partner
+ */
+export async function searchMessages(query, { conversationId = null, limit = 20, cursor = null } = {}) {
+  return await serverRequest('/api/messages/search', {
+    method: 'GET',
+    query: { q: query, conversation_id: conversationId, limit, cursor }
+  });
+}
+
+/**
+ * Turn a server search result into the message shape the chat views use
+ * @param {Object} result - Result from searchMessages
+ * @param {Object} user - Current user
+ * @returns {Object} Message with profiles, otherUser, fromCurrentUser and snippet
+ */
+function toSearchMessage(result, user) {
+  const { message, snippet, conversation } = result;
+  const fromCurrentUser = message.sender_id === user.id;
+
+  return {
+    ...message,
+    fromCurrentUser,
+    profiles: fromCurrentUser
+      ? { display_name: 'You', avatar_url: null }
+      : conversation.partner,
+    otherUser: conversation.partner,
+    snippet
+  };
+}
 
 /**
  * Search for messages in a specific conversation
  * @param {string} conversationId - ID of the conversation to search in
  * @param {string} query - Search query
  * @param {Object} options - Search options
- * @returns {Promise<Array>} Array of matching messages
+ * @returns {Promise<Array>} Array of matching messages, with next_cursor set
+ *   on the array when there are more
  */
-export async function searchConversationMessages(conversationId, query, options = { limit: 20, offset: 0 }) {
+export async function searchConversationMessages(conversationId, query, options = { limit: 20, cursor: null }) {
   try {
     if (!query || query.trim().length < 2) {
       return [];
@@ -23,37 +62,11 @@ export async function searchConversationMessages(conversationId, query, options
     const user = await getCurrentUser();
     if (!user) throw new Error('Not authenticated');
     
-    const supabase = await supabaseClientPromise;
-    
-    // Search for messages containing the query
-    const { data, error } = await supabase
-      .from('messages')
-      .select(`
-        id,
-        conversation_id,
-        sender_id,
-        message_type,
-        content,
-        attachment_url,
-        metadata,
-        created_at,
-        is_read,
-        read_at,
-        status,
-        profiles:sender_id (display_name, avatar_url)
-      `)
-      .eq('conversation_id', conversationId)
-      .ilike('content', `%${query}%`)
-      .order('created_at', { ascending: false })
-      .range(options.offset, options.offset + options.limit - 1);
+    const { results, next_cursor } = await searchMessages(query, { ...options, conversationId });
     
-    if (error) throw error;
-    
-    // Transform messages to add a "fromCurrentUser" flag
-    return data.map(message => ({
-      ...message,
-      fromCurrentUser: message.sender_id === user.id
-    }));
+    const messages = results.map(result => toSearchMessage(result, user));
+    messages.next_cursor = next_cursor;
+    return messages;
   } catch (error) {
     console.error('Error searching conversation messages:', error);
     return [];
@@ -64,9 +77,10 @@ export async function searchConversationMessages(conversationId, query, options
  * Search for messages across all user conversations
  * @param {string} query - Search query
  * @param {Object} options - Search options
- * @returns {Promise<Array>} Array of matching messages with conversation details
+ * @returns {Promise<Array>} Array of matching messages with conversation
+ *   details, with next_cursor set on the array when there are more
  */
-export async function searchAllMessages(query, options = { limit: 20, offset: 0 }) {
+export async function searchAllMessages(query, options = { limit: 20, cursor: null }) {
   try {
     if (!query || query.trim().length < 2) {
       return [];
@@ -75,66 +89,11 @@ export async function searchAllMessages(query, options = { limit: 20, offset: 0
     const user = await getCurrentUser();
     if (!user) throw new Error('Not authenticated');
     
-    const supabase = await supabaseClientPromise;
-    
-    // First get all conversations the user is part of
-    const { data: conversations, error: convoError } = await supabase
-      .from('conversations')
-      .select('id')
-      .or(`user_id_1.eq.${user.id},user_id_2.eq.${user.id}`)
-      .eq('is_active', true);
-    
-    if (convoError) throw convoError;
-    
-    if (!conversations || conversations.length === 0) {
-      return [];
-    }
-    
-    // Get conversation IDs
-    const conversationIds = conversations.map(c => c.id);
+    const { results, next_cursor } = await searchMessages(query, options);
     
-    // Search for messages in these conversations
-    const { data, error } = await supabase
-      .from('messages')
-      .select(`
-        id,
-        conversation_id,
-        sender_id,
-        message_type,
-        content,
-        attachment_url,
-        metadata,
-        created_at,
-        is_read,
-        read_at,
-        status,
-        profiles:sender_id (display_name, avatar_url),
-        conversations:conversation_id (
-          user_id_1, 
-          user_id_2,
-          profile1:user_id_1 (id, display_name, avatar_url),
-          profile2:user_id_2 (id, display_name, avatar_url)
-        )
-      `)
-      .in('conversation_id', conversationIds)
-      .ilike('content', `%${query}%`)
-      .order('created_at', { ascending: false })
-      .range(options.offset, options.offset + options.limit - 1);
-    
-    if (error) throw error;
-    
-    // Transform messages to add conversation details and fromCurrentUser flag
-    return data.map(message => {
-      const conversation = message.conversations;
-      const isUser1 = conversation.user_id_1 === user.id;
-      const otherUser = isUser1 ? conversation.profile2 : conversation.profile1;
-      
-      return {
-        ...message,
-        fromCurrentUser: message.sender_id === user.id,
-        otherUser
-      };
-    });
+    const messages = results.map(result => toSearchMessage(result, user));
+    messages.next_cursor = next_cursor;
+    return messages;
   } catch (error) {
     console.error('Error searching all messages:', error);
     return [];
@@ -142,18 +101,75 @@ export async function searchAllMessages(query, options = { limit: 20, offset: 0
 }
 
 /**
- * Highlight search terms in text
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap highlighted ranges of text in <mark>
+ * @param {string} text - Original text
+ * @param {Array} highlights - { start, end } offsets from the server
+ * @returns {string} Escaped HTML with highlighted text
+ */
+export function renderHighlights(text, highlights = []) {
+  let html = '';
+  let position = 0;
+  
+  highlights.forEach(({ start, end }) => {
+    html += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  });
+  
+  return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Highlight search terms in text, marking words that start with a term the
+ * way the server matches them
  * @param {string} text - Original text
  * @param {string} query - Search query to highlight
- * @returns {string} HTML with highlighted text
+ * @returns {string} Escaped HTML with highlighted text
  */
 export function highlightSearchTerms(text, query) {
-  if (!query || !text) return text;
+  if (!query || !text) return text ? escapeHtml(text) : text;
   
-  const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const regex = new RegExp(`(${escapedQuery})`, 'gi');
+  const terms = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const highlights = [];
   
-  return text.replace(regex, '<mark>$1</mark>');
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0].toLowerCase();
+    const term = terms
+      .filter(candidate => word.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    if (term) {
+      highlights.push({ start: match.index, end: match.index + term.length });
+    }
+  }
+  
+  return renderHighlights(text, highlights);
+}
+
+/**
+ * Render a snippet from the server, with an ellipsis where it was cut
+ * @param {Object} snippet - { text, offset, highlights }
+ * @param {string} content - Whole message text
+ * @returns {string} Escaped HTML with highlighted text
+ */
+function renderSnippet(snippet, content) {
+  const before = snippet.offset > 0 ? '…' : '';
+  const after = snippet.offset + snippet.text.length < content.length ? '…' : '';
+  
+  return `${before}${renderHighlights(snippet.text, snippet.highlights)}${after}`;
 }
 
 /**
@@ -169,23 +185,26 @@ export function createSearchResultElement(message, query, onClick) {
   element.dataset.messageId = message.id;
   element.dataset.conversationId = message.conversation_id;
   
-  // Highlight the search term in the message content
-  const highlightedContent = highlightSearchTerms(message.content, query);
+  // The server sends a snippet of long messages with the matches marked
+  const highlightedContent = message.snippet
+    ? renderSnippet(message.snippet, message.content)
+    : highlightSearchTerms(message.content, query);
+  const senderName = escapeHtml(message.profiles?.display_name || 'Unknown');
   
   // Create the HTML structure
   element.innerHTML = `
     <div class="search-result-avatar">
-      <img src="${message.profiles.avatar_url || '/images/default-avatar.png'}" alt="${message.profiles.display_name}">
+      <img src="${escapeHtml(message.profiles?.avatar_url || '/images/default-avatar.png')}" alt="${senderName}">
     </div>
     <div class="search-result-content">
       <div class="search-result-header">
-        <span class="search-result-name">${message.profiles.display_name}</span>
+        <span class="search-result-name">${senderName}</span>
         <span class="search-result-time">${formatMessageTime(message.created_at)}</span>
       </div>
       <div class="search-result-message">${highlightedContent}</div>
       ${message.otherUser ? `
         <div class="search-result-conversation">
-          <small>Conversation with ${message.otherUser.display_name}</small>
+          <small>Conversation with ${escapeHtml(message.otherUser.display_name || 'Unknown')}</small>
         </div>
       ` : ''}
     </div>
@@ -234,6 +253,28 @@ function formatMessageTime(timestamp) {
 export function initializeConversationSearch(conversationId, searchInput, resultsContainer, onResultClick) {
   let searchTimeout;
   
+  // Show a page of results, with a button for the next page when there is one
+  const appendSearchResults = (results, query) => {
+    results.forEach(message => {
+      const resultElement = createSearchResultElement(message, query, onResultClick);
+      resultsContainer.appendChild(resultElement);
+    });
+    
+    if (!results.next_cursor) return;
+    
+    const moreButton = document.createElement('button');
+    moreButton.type = 'button';
+    moreButton.className = 'search-more-results';
+    moreButton.textContent = 'More results';
+    moreButton.addEventListener('click', async () => {
+      moreButton.disabled = true;
+      const more = await searchConversationMessages(conversationId, query, { cursor: results.next_cursor });
+      moreButton.remove();
+      appendSearchResults(more, query);
+    });
+    resultsContainer.appendChild(moreButton);
+  };
+  
   searchInput.addEventListener('input', () => {
     const query = searchInput.value.trim();
     
@@ -258,16 +299,16 @@ export function initializeConversationSearch(conversationId, searchInput, result
       // Perform search
       const results = await searchConversationMessages(conversationId, query);
       
+      // Ignore results for a search the user has already changed
+      if (searchInput.value.trim() !== query) return;
+      
       // Display results
       resultsContainer.innerHTML = '';
       
       if (results.length === 0) {
         resultsContainer.innerHTML = '<div class="search-no-results">No messages found</div>';
       } else {
-        results.forEach(message => {
-          const resultElement = createSearchResultElement(message, query, onResultClick);
-          resultsContainer.appendChild(resultElement);
-        });
+        appendSearchResults(results, query);
       }
     }, 300);
   });
@@ -1,29 +1,284 @@
 /**
  * BarCrush Realtime Chat Utilities
- * 
- * Handles real-time message updates and typing indicators using Supabase subscriptions
+ *
+ * Handles real-time messages, typing indicators and read receipts over the
+ * app's chat WebSocket (see src/utils/chat-protocol.js for the frames).
+ * Messages sent from any of the user's devices show up on all of them.
  */
 
-import { supabaseClientPromise } from '../supabase-client.js';
-import { getCurrentUser } from '../supabase-client.js';
+import WebSocketClient from './websocket-client.js';
+import { serverRequest } from '../api/server.js';
 
-// Store active subscriptions by conversation ID
+// How long to wait for the server to acknowledge a message before sending it over HTTP instead
+const ACK_TIMEOUT_MS = 10000;
+
+// How long someone shows as typing without hearing from them again
+const TYPING_EXPIRY_MS = 6000;
+
+// How often to repeat "still typing" while the user keeps typing
+const TYPING_RESEND_MS = 2000;
+
+// Callbacks for the conversations this page has open, by conversation ID
 const activeSubscriptions = new Map();
 const typingStates = new Map();
+const typingExpiryTimers = new Map();
+// Messages waiting for an ack, by client_id
+const pendingAcks = new Map();
 let typingTimeout;
+let lastTypingSentAt = 0;
+
+let client = null;
+let connectPromise = null;
+let currentUserId = null;
+let isReady = false;
+let readyWaiters = [];
+
+/**
+ * Open the chat connection if it isn't open yet
+ * @returns {Promise<void>} Resolves once the server has accepted the handshake
+ */
+async function connect() {
+  if (isReady) return;
+
+  if (!connectPromise) {
+    connectPromise = (async () => {
+      const { ws_port } = await serverRequest('/api/chat/token');
+
+      client = new WebSocketClient({ port: ws_port });
+      client.on('open', authenticate);
+      client.on('message', handleFrame);
+      client.on('close', handleClose);
+      client.on('reconnectFailed', () => {
+        connectPromise = null;
+        client = null;
+      });
+
+      await client.connect();
+    })().catch(error => {
+      connectPromise = null;
+      throw error;
+    });
+  }
+
+  await connectPromise;
+  await waitUntilReady();
+}
+
+/**
+ * Wait for the server's ready frame
+ * @returns {Promise<void>}
+ */
+function waitUntilReady() {
+  if (isReady) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      readyWaiters = readyWaiters.filter(waiter => waiter.resolve !== resolve);
+      reject(new Error('Timed out connecting to chat'));
+    }, ACK_TIMEOUT_MS);
+
+    readyWaiters.push({
+      resolve: () => {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Send the handshake. Tokens are short-lived, so every connection
+ * (including reconnects) gets a fresh one.
+ */
+async function authenticate() {
+  try {
+    const { token } = await serverRequest('/api/chat/token');
+    client.send({ type: 'auth', token });
+  } catch (error) {
+    console.error('❌ Error authenticating chat connection:', error);
+  }
+}
+
+/**
+ * Handle a frame from the server
+ * @param {Object} frame - Parsed frame
+ */
+function handleFrame(frame) {
+  if (!frame || typeof frame !== 'object') return;
+
+  switch (frame.type) {
+    case 'ready':
+      isReady = true;
+      currentUserId = frame.user_id;
+
+      // Pick up where we left off after a reconnect
+      activeSubscriptions.forEach((callbacks, conversationId) => {
+        client.send({ type: 'subscribe', conversation_id: conversationId });
+      });
+
+      readyWaiters.forEach(waiter => waiter.resolve());
+      readyWaiters = [];
+      break;
+
+    case 'message':
+      handleMessage(frame.message);
+      break;
+
+    case 'message_updated':
+      handleMessageUpdated(frame.message);
+      break;
+
+    case 'message_deleted':
+      handleMessageDeleted(frame.message);
+      break;
+
+    case 'conversation_updated':
+      document.dispatchEvent(new CustomEvent('conversation-settings-updated', {
+        detail: {
+          conversationId: frame.conversation_id,
+          disappearingAfterSeconds: frame.disappearing_after_seconds
+        }
+      }));
+      break;
+
+    case 'read':
+      handleReadReceipt(frame);
+      break;
+
+    case 'typing':
+      updateTypingState(frame.conversation_id, frame.user_id, frame.is_typing);
+      break;
+
+    case 'ack':
+      settleAck(frame.client_id, null, frame.message);
+      break;
+
+    case 'error':
+      if (frame.ref && pendingAcks.has(frame.ref)) {
+        const error = new Error(frame.message);
+        error.code = frame.code;
+        settleAck(frame.ref, error);
+      } else {
+        console.error('❌ Chat error:', frame.code, frame.message);
+      }
+      break;
+  }
+}
+
+/**
+ * Forget the connection state when the socket closes. WebSocketClient
+ * reconnects by itself and we authenticate again on open.
+ */
+function handleClose() {
+  isReady = false;
+
+  // Let unacknowledged messages go over HTTP rather than wait for the timeout
+  pendingAcks.forEach((pending, clientId) => {
+    settleAck(clientId, new Error('Chat connection closed'));
+  });
+}
+
+/**
+ * Pass a new message to the conversation it belongs to
+ * @param {Object} message - Message from the server
+ */
+function handleMessage(message) {
+  const callbacks = activeSubscriptions.get(message.conversation_id);
+  if (!callbacks || !callbacks.onNewMessage) return;
+
+  console.log('📨 New message received:', message.id);
+
+  callbacks.onNewMessage({
+    ...message,
+    fromCurrentUser: message.sender_id === currentUserId
+  });
+}
+
+/**
+ * Pass an edited message to the conversation it belongs to
+ * @param {Object} message - Message from the server
+ */
+function handleMessageUpdated(message) {
+  const callbacks = activeSubscriptions.get(message.conversation_id);
+  if (!callbacks || !callbacks.onMessageUpdated) return;
+
+  callbacks.onMessageUpdated({
+    ...message,
+    fromCurrentUser: message.sender_id === currentUserId
+  });
+}
+
+/**
+ * Pass an unsent message to the conversation it belongs to
+ * @param {Object} tombstone - What is left of the message
+ */
+function handleMessageDeleted(tombstone) {
+  const callbacks = activeSubscriptions.get(tombstone.conversation_id);
+  if (!callbacks || !callbacks.onMessageDeleted) return;
+
+  callbacks.onMessageDeleted(tombstone.id, {
+    ...tombstone,
+    fromCurrentUser: tombstone.sender_id === currentUserId
+  });
+}
+
+/**
+ * Handle a read receipt
+ * @param {Object} receipt - { conversation_id, user_id, read_at }
+ */
+function handleReadReceipt(receipt) {
+  if (receipt.user_id === currentUserId) {
+    // Read on one of our other devices
+    document.dispatchEvent(new CustomEvent('unread-count-updated', {
+      detail: {
+        conversationId: receipt.conversation_id,
+        unreadCount: 0
+      }
+    }));
+    return;
+  }
+
+  document.dispatchEvent(new CustomEvent('messages-read', {
+    detail: {
+      conversationId: receipt.conversation_id,
+      userId: receipt.user_id,
+      readAt: receipt.read_at
+    }
+  }));
+}
+
+/**
+ * Resolve or reject a message waiting for an ack
+ * @param {string} clientId - client_id of the message
+ * @param {Error|null} error - Error, if the send failed
+ * @param {Object} message - Stored message, if it succeeded
+ */
+function settleAck(clientId, error, message = null) {
+  const pending = pendingAcks.get(clientId);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pendingAcks.delete(clientId);
+
+  if (error) {
+    pending.reject(error);
+  } else {
+    pending.resolve(message);
+  }
+}
 
 /**
  * Subscribe to real-time message updates for a conversation
  * @param {string} conversationId - The conversation ID to subscribe to
  * @param {Function} onNewMessage - Callback function when new message is received
  * @param {Function} onMessageUpdated - Callback function when message is updated
- * @param {Function} onMessageDeleted - Callback function when message is deleted
+ * @param {Function} onMessageDeleted - Callback function when message is unsent, with its ID and tombstone
  * @returns {Promise<Object>} Subscription object
  */
 export async function subscribeToMessages(
-  conversationId, 
-  onNewMessage, 
-  onMessageUpdated = null, 
+  conversationId,
+  onNewMessage,
+  onMessageUpdated = null,
   onMessageDeleted = null
 ) {
   try {
@@ -33,76 +288,14 @@ export async function subscribeToMessages(
       return activeSubscriptions.get(conversationId);
     }
 
-    const user = await getCurrentUser();
-    if (!user) throw new Error('User not authenticated');
-    
-    const supabase = await supabaseClientPromise;
-    
     console.log('🔔 Subscribing to messages for conversation:', conversationId);
-    
-    // Create subscription to messages table filtered by conversation_id
-    const subscription = supabase
-      .channel(`messages:conversation=${conversationId}`)
-      .on('postgres_changes', {
-        event: 'INSERT',
-        schema: 'public',
-        table: 'messages',
-        filter: `conversation_id=eq.${conversationId}`
-      }, (payload) => {
-        console.log('📨 New message received:', payload);
-        
-        // Only process messages from other users
-        if (payload.new.sender_id !== user.id) {
-          const message = {
-            ...payload.new,
-            fromCurrentUser: false
-          };
-          
-          // Call the callback function
-          if (onNewMessage) onNewMessage(message);
-          
-          // Update unread count in the conversation
-          updateUnreadCount(conversationId);
-        }
-      })
-      .on('postgres_changes', {
-        event: 'UPDATE',
-        schema: 'public',
-        table: 'messages',
-        filter: `conversation_id=eq.${conversationId}`
-      }, (payload) => {
-        console.log('✏️ Message updated:', payload);
-        
-        // Call the callback function if provided
-        if (onMessageUpdated) {
-          const message = {
-            ...payload.new,
-            fromCurrentUser: payload.new.sender_id === user.id
-          };
-          onMessageUpdated(message);
-        }
-      })
-      .on('postgres_changes', {
-        event: 'DELETE',
-        schema: 'public',
-        table: 'messages',
-        filter: `conversation_id=eq.${conversationId}`
-      }, (payload) => {
-        console.log('🗑️ Message deleted:', payload);
-        
-        // Call the callback function if provided
-        if (onMessageDeleted) {
-          onMessageDeleted(payload.old.id);
-        }
-      })
-      .subscribe();
-    
-    // Also subscribe to typing indicators
-    subscribeToTypingIndicators(conversationId);
-    
-    // Store the subscription
+
+    const subscription = { conversationId, onNewMessage, onMessageUpdated, onMessageDeleted };
     activeSubscriptions.set(conversationId, subscription);
-    
+
+    await connect();
+    client.send({ type: 'subscribe', conversation_id: conversationId });
+
     return subscription;
   } catch (error) {
     console.error('❌ Error subscribing to messages:', error);
@@ -111,76 +304,49 @@ export async function subscribeToMessages(
 }
 
 /**
- * Subscribe to typing indicators for a conversation
+ * Subscribe to typing indicators for a conversation. Typing events come with
+ * the message subscription; listen for 'typing-indicator-update' on document.
  * @param {string} conversationId - The conversation ID to subscribe to
- * @returns {Promise<Object>} Subscription object
+ * @param {Function} onTypingUpdate - Optional callback with the users typing
+ * @returns {Promise<Function|null>} Function that removes the callback
  */
-export async function subscribeToTypingIndicators(conversationId) {
-  try {
-    const user = await getCurrentUser();
-    if (!user) throw new Error('User not authenticated');
-    
-    const supabase = await supabaseClientPromise;
-    
-    // Create a presence channel for typing indicators
-    const channel = supabase.channel(`typing:${conversationId}`);
-    
-    // Track who is typing
-    channel
-      .on('presence', { event: 'sync' }, () => {
-        const newState = channel.presenceState();
-        console.log('Presence state synchronized:', newState);
-        
-        // Update typing states
-        updateTypingStates(conversationId, newState, user.id);
-      })
-      .on('presence', { event: 'join' }, ({ key, newPresences }) => {
-        console.log('User started typing:', newPresences);
-        
-        // Update typing states
-        const state = channel.presenceState();
-        updateTypingStates(conversationId, state, user.id);
-      })
-      .on('presence', { event: 'leave' }, ({ key, leftPresences }) => {
-        console.log('User stopped typing:', leftPresences);
-        
-        // Update typing states
-        const state = channel.presenceState();
-        updateTypingStates(conversationId, state, user.id);
-      })
-      .subscribe();
-    
-    return channel;
-  } catch (error) {
-    console.error('❌ Error subscribing to typing indicators:', error);
-    return null;
-  }
+export async function subscribeToTypingIndicators(conversationId, onTypingUpdate = null) {
+  if (!onTypingUpdate) return null;
+
+  const listener = (event) => {
+    if (event.detail.conversationId === conversationId) {
+      onTypingUpdate(event.detail.typingUsers);
+    }
+  };
+  document.addEventListener('typing-indicator-update', listener);
+
+  return () => document.removeEventListener('typing-indicator-update', listener);
 }
 
 /**
- * Update typing states and trigger UI updates
+ * Update who is typing and trigger UI updates
  * @param {string} conversationId - The conversation ID
- * @param {Object} state - The presence state
- * @param {string} currentUserId - The current user's ID
+ * @param {string} userId - Who started or stopped typing
+ * @param {boolean} isTyping - Whether they are typing
  */
-function updateTypingStates(conversationId, state, currentUserId) {
-  // Extract users who are typing (excluding current user)
-  const typingUsers = [];
-  
-  Object.keys(state).forEach(key => {
-    state[key].forEach(presence => {
-      if (presence.user_id !== currentUserId && presence.isTyping) {
-        typingUsers.push({
-          userId: presence.user_id,
-          displayName: presence.display_name
-        });
-      }
-    });
-  });
-  
-  // Update typing states
+function updateTypingState(conversationId, userId, isTyping) {
+  const key = `${conversationId}:${userId}`;
+  clearTimeout(typingExpiryTimers.get(key));
+  typingExpiryTimers.delete(key);
+
+  const typingUsers = (typingStates.get(conversationId) || []).filter(user => user.userId !== userId);
+
+  if (isTyping) {
+    typingUsers.push({ userId });
+
+    // Don't leave the indicator up if their "stopped typing" never arrives
+    typingExpiryTimers.set(key, setTimeout(() => {
+      updateTypingState(conversationId, userId, false);
+    }, TYPING_EXPIRY_MS));
+  }
+
   typingStates.set(conversationId, typingUsers);
-  
+
   // Trigger UI update
   const event = new CustomEvent('typing-indicator-update', {
     detail: {
@@ -197,88 +363,75 @@ function updateTypingStates(conversationId, state, currentUserId) {
  * @param {boolean} isTyping - Whether the user is typing
  */
 export async function sendTypingIndicator(conversationId, isTyping = true) {
-  try {
-    const user = await getCurrentUser();
-    if (!user) return;
-    
-    const supabase = await supabaseClientPromise;
-    const channel = supabase.channel(`typing:${conversationId}`);
-    
-    // Clear previous timeout
-    if (typingTimeout) {
-      clearTimeout(typingTimeout);
-    }
-    
-    if (isTyping) {
-      // Send typing status
-      await channel.track({
-        user_id: user.id,
-        display_name: user.user_metadata?.display_name || 'User',
-        isTyping: true
-      });
-      
-      // Automatically clear typing status after 3 seconds of inactivity
-      typingTimeout = setTimeout(() => {
-        sendTypingIndicator(conversationId, false);
-      }, 3000);
-    } else {
-      // Send not typing status
-      await channel.track({
-        user_id: user.id,
-        display_name: user.user_metadata?.display_name || 'User',
-        isTyping: false
-      });
-    }
-  } catch (error) {
-    console.error('❌ Error sending typing indicator:', error);
+  // Typing indicators aren't worth opening a connection for
+  if (!isReady) return;
+
+  // Clear previous timeout
+  if (typingTimeout) {
+    clearTimeout(typingTimeout);
+  }
+
+  // While typing, tell the other person every couple of seconds rather than every keystroke
+  const now = Date.now();
+  if (!isTyping || now - lastTypingSentAt > TYPING_RESEND_MS) {
+    client.send({ type: 'typing', conversation_id: conversationId, is_typing: isTyping });
+    lastTypingSentAt = isTyping ? now : 0;
+  }
+
+  if (isTyping) {
+    // Automatically clear typing status after 3 seconds of inactivity
+    typingTimeout = setTimeout(() => {
+      sendTypingIndicator(conversationId, false);
+    }, 3000);
   }
 }
 
 /**
- * Update unread count in the conversation
+ * Send a text message. It goes over the chat connection when it can and
+ * over HTTP when it can't; either way it carries the same client_id, so it
+ * is never stored twice.
  * @param {string} conversationId - The conversation ID
+ * @param {string} content - Message text
+ * @returns {Promise<Object>} Stored message
  */
-async function updateUnreadCount(conversationId) {
+export async function sendChatMessage(conversationId, content) {
+  const clientId = crypto.randomUUID();
+
   try {
-    const user = await getCurrentUser();
-    if (!user) return;
-    
-    const supabase = await supabaseClientPromise;
-    
-    // First get the conversation to determine which user we are
-    const { data: conversation, error: convoError } = await supabase
-      .from('conversations')
-      .select('user_id_1, user_id_2, user_1_unread_count, user_2_unread_count')
-      .eq('id', conversationId)
-      .single();
-    
-    if (convoError) throw convoError;
-    
-    // Determine which user we are and increment the appropriate unread count
-    const isUser1 = conversation.user_id_1 === user.id;
-    const updateField = isUser1 
-      ? { user_1_unread_count: conversation.user_1_unread_count + 1 } 
-      : { user_2_unread_count: conversation.user_2_unread_count + 1 };
-    
-    // Update the conversation
-    const { error } = await supabase
-      .from('conversations')
-      .update(updateField)
-      .eq('id', conversationId);
-    
-    if (error) throw error;
-    
-    // Dispatch event to update UI
-    const event = new CustomEvent('unread-count-updated', {
-      detail: {
-        conversationId,
-        unreadCount: isUser1 ? conversation.user_1_unread_count + 1 : conversation.user_2_unread_count + 1
+    await connect();
+
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        settleAck(clientId, new Error('Timed out waiting for the chat server'));
+      }, ACK_TIMEOUT_MS);
+
+      pendingAcks.set(clientId, { resolve, reject, timer });
+
+      if (!client.send({ type: 'send', conversation_id: conversationId, client_id: clientId, content })) {
+        settleAck(clientId, new Error('Chat connection closed'));
       }
     });
-    document.dispatchEvent(event);
-    
   } catch (error) {
-    console.error('❌ Error updating unread count:', error);
+    // The server turned the message down; sending it over HTTP won't help
+    if (error.code) throw error;
+
+    console.warn('Sending message over HTTP:', error.message);
+    return serverRequest(`/api/conversations/${conversationId}/messages`, {
+      body: { content, client_id: clientId }
+    });
+  }
+}
+
+/**
+ * Mark the other person's messages in a conversation as read, on every device
+ * @param {string} conversationId - The conversation ID
+ */
+export async function markConversationRead(conversationId) {
+  try {
+    await connect();
+    client.send({ type: 'read', conversation_id: conversationId });
+  } catch (error) {
+    console.error('❌ Error marking conversation as read:', error);
   }
 }
 
@@ -287,24 +440,18 @@ async function updateUnreadCount(conversationId) {
  * @param {string} conversationId - The conversation ID to unsubscribe from
  */
 export async function unsubscribeFromConversation(conversationId) {
-  try {
-    if (!activeSubscriptions.has(conversationId)) {
-      return;
-    }
-    
-    const subscription = activeSubscriptions.get(conversationId);
-    
-    // Remove subscription
-    const supabase = await supabaseClientPromise;
-    await supabase.removeChannel(subscription);
-    
-    // Remove from active subscriptions
-    activeSubscriptions.delete(conversationId);
-    
-    console.log('🔕 Unsubscribed from conversation:', conversationId);
-  } catch (error) {
-    console.error('❌ Error unsubscribing from conversation:', error);
+  if (!activeSubscriptions.has(conversationId)) {
+    return;
   }
+
+  // Remove from active subscriptions
+  activeSubscriptions.delete(conversationId);
+
+  if (isReady) {
+    client.send({ type: 'unsubscribe', conversation_id: conversationId });
+  }
+
+  console.log('🔕 Unsubscribed from conversation:', conversationId);
 }
 
 /**
@@ -0,0 +1,68 @@
+/**
+ * BarCrush Venue Hours Utilities
+ *
+ * Turns the open status the server attaches to venues
+ * (open_now, closing_soon, closes_at, opens_at) into badges
+ */
+
+/**
+ * Format an ISO timestamp as a short local time, e.g. "2 AM" or "5:30 PM"
+ * @param {string} isoTime - ISO timestamp
+ * @returns {string} Formatted time
+ */
+function formatTime(isoTime) {
+  const date = new Date(isoTime);
+  return date.toLocaleTimeString([], {
+    hour: 'numeric',
+    minute: date.getMinutes() === 0 ? undefined : '2-digit'
+  });
+}
+
+/**
+ * Get the hours badge for a venue
+ * @param {Object} venue - Venue with open status fields
+ * @returns {Object|null} { label, className }, or null when the hours are unknown
+ */
+export function getVenueHoursBadge(venue) {
+  if (!venue || venue.open_now === null || venue.open_now === undefined) {
+    return null;
+  }
+
+  if (venue.open_now && venue.closing_soon) {
+    return {
+      label: `Closing soon · ${formatTime(venue.closes_at)}`,
+      className: 'hours-badge closing-soon'
+    };
+  }
+
+  if (venue.open_now) {
+    return {
+      label: venue.closes_at ? `Open until ${formatTime(venue.closes_at)}` : 'Open now',
+      className: 'hours-badge open'
+    };
+  }
+
+  return {
+    label: venue.opens_at ? `Closed · opens ${formatTime(venue.opens_at)}` : 'Closed',
+    className: 'hours-badge closed'
+  };
+}
+
+/**
+ * Render the hours badge for a venue as HTML
+ * @param {Object} venue - Venue with open status fields
+ * @returns {string} Badge HTML, or an empty string when the hours are unknown
+ */
+export function renderVenueHoursBadge(venue) {
+  const badge = getVenueHoursBadge(venue);
+  return badge ? `<span class="${badge.className}">${badge.label}</span>` : '';
+}
+
+/**
+ * Drop venues the server reports as closed. Venues without hours are kept.
+ * @param {Array} venues - Venues with open status fields
+ * @returns {Array} Venues that are open or have unknown hours
+ */
+export function withoutClosedVenues(venues) {
+  return (venues || []).filter(venue => venue.open_now !== false);
+}
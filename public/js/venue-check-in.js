@@ -0,0 +1,64 @@
+/**
+ * Venue QR check-in page functionality
+ *
+ * Opened from the QR code displayed at a venue; the URL carries the venue ID
+ * and the signed token from the code.
+ */
+
+import { getCurrentUser } from './supabase-client.js';
+import { checkInWithQrCode } from './api/venues.js';
+
+/**
+ * Initialize the venue check-in page
+ */
+export async function initVenueCheckInPage() {
+  console.log('Initializing venue check-in page');
+
+  const params = new URLSearchParams(window.location.search);
+  const venueId = params.get('venue');
+  const token = params.get('token');
+
+  if (!venueId || !token) {
+    showResult('Invalid QR code', 'This link is missing its venue details. Try scanning again.');
+    return;
+  }
+
+  const user = await getCurrentUser();
+  if (!user) {
+    // Come back here once the user has logged in
+    localStorage.setItem(
+      'barcrush_redirect_after_login',
+      window.location.pathname + window.location.search
+    );
+    window.location.href = '/auth';
+    return;
+  }
+
+  try {
+    await checkInWithQrCode(venueId, token);
+    showResult(
+      "You're checked in!",
+      "You're verified at this venue. People here can now see you're around.",
+      true
+    );
+  } catch (error) {
+    console.error('QR check-in failed:', error);
+    showResult("Couldn't check you in", error.message || 'Please try scanning again.');
+  }
+}
+
+/**
+ * Show the outcome of the check-in
+ * @param {string} title - Heading text
+ * @param {string} message - Detail text
+ * @param {boolean} success - Whether to show the link onward
+ */
+function showResult(title, message, success = false) {
+  const titleElement = document.getElementById('check-in-title');
+  const messageElement = document.getElementById('check-in-message');
+  const actionElement = document.getElementById('check-in-action');
+
+  if (titleElement) titleElement.textContent = title;
+  if (messageElement) messageElement.textContent = message;
+  if (actionElement) actionElement.hidden = !success;
+}
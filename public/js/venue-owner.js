@@ -0,0 +1,388 @@
+/**
+ * Venue owner portal functionality
+ *
+ * Owners claim a venue with a code read out in a call to its listed phone
+ * number, then submit changes to its details and events. Nothing goes live
+ * until an admin approves it.
+ */
+
+import { searchVenues } from './api/venues.js';
+import { EVENT_TYPE_LABELS } from './api/events.js';
+import {
+  getOwnedVenues,
+  startVenueClaim,
+  submitEventChange,
+  submitVenueChanges,
+  uploadVenuePhoto,
+  verifyVenueClaim
+} from './api/venue-owners.js';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const MAX_PHOTOS = 10;
+
+/**
+ * Initialize the venue owner page
+ */
+export async function initVenueOwnerPage() {
+  console.log('Initializing venue owner page');
+
+  initClaimForms();
+  await loadOwnedVenues();
+}
+
+/**
+ * Load and render the venues the user manages
+ */
+async function loadOwnedVenues() {
+  const container = document.getElementById('owned-venues');
+  if (!container) return;
+
+  try {
+    const venues = await getOwnedVenues();
+
+    if (venues.length === 0) {
+      container.innerHTML = '<p class="owner-hint">You don\'t manage any venues yet. Claim yours below.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    venues.forEach(venue => container.appendChild(renderVenueCard(venue)));
+  } catch (error) {
+    console.error('Failed to load owned venues:', error);
+    container.innerHTML = `<p class="owner-hint">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Render the management card for one venue
+ * @param {Object} venue - Venue with upcoming_events and change_requests
+ * @returns {HTMLElement} Card element
+ */
+function renderVenueCard(venue) {
+  const card = document.createElement('section');
+  card.className = 'owner-card';
+  const photos = [...(venue.images || [])];
+
+  card.innerHTML = `
+    <h2>${escapeHtml(venue.name)}</h2>
+
+    <h3>Change requests</h3>
+    ${renderChangeRequests(venue.change_requests)}
+
+    <form data-form="details">
+      <h3>Details</h3>
+      <textarea name="description" rows="4" maxlength="2000" placeholder="Description">${escapeHtml(venue.description || '')}</textarea>
+      <input type="url" name="website" placeholder="Website" value="${escapeHtml(venue.website || '')}">
+
+      <h3>Photos</h3>
+      <div class="owner-photos" data-photos></div>
+      <input type="file" accept="image/*" data-photo-input>
+
+      <h3>Opening hours</h3>
+      <p class="owner-hint">Use 24-hour times, e.g. 17:00-02:00. Separate several openings with commas. Leave blank if closed.</p>
+      ${WEEKDAYS.map(day => `
+        <div class="hours-row">
+          <label for="hours-${venue.id}-${day}">${day}</label>
+          <input type="text" id="hours-${venue.id}-${day}" name="hours-${day}" value="${escapeHtml(formatDayHours(venue.opening_hours?.[day]))}">
+        </div>
+      `).join('')}
+
+      <button type="submit">Submit for review</button>
+    </form>
+
+    <h3>Upcoming events</h3>
+    ${renderEvents(venue.upcoming_events)}
+
+    <form data-form="event">
+      <h3>Add an event</h3>
+      <input type="text" name="title" maxlength="120" placeholder="Title" required>
+      <select name="event_type">
+        ${Object.entries(EVENT_TYPE_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <label class="owner-hint">Starts <input type="datetime-local" name="starts_at" required></label>
+      <label class="owner-hint">Ends <input type="datetime-local" name="ends_at" required></label>
+      <input type="number" name="capacity" min="1" placeholder="Capacity (optional)">
+      <textarea name="description" rows="2" placeholder="Description (optional)"></textarea>
+      <button type="submit">Submit for review</button>
+    </form>
+  `;
+
+  const photoList = card.querySelector('[data-photos]');
+  const renderPhotos = () => {
+    photoList.innerHTML = photos.map((url, index) => `
+      <div class="owner-photo">
+        <img src="${escapeHtml(url)}" alt="">
+        <button type="button" class="secondary" data-remove-photo="${index}">✕</button>
+      </div>
+    `).join('');
+    photoList.querySelectorAll('[data-remove-photo]').forEach(button => {
+      button.addEventListener('click', () => {
+        photos.splice(Number(button.dataset.removePhoto), 1);
+        renderPhotos();
+      });
+    });
+  };
+  renderPhotos();
+
+  card.querySelector('[data-photo-input]').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (photos.length >= MAX_PHOTOS) {
+      alert(`Venues can have up to ${MAX_PHOTOS} photos`);
+      e.target.value = '';
+      return;
+    }
+
+    try {
+      photos.push(await uploadVenuePhoto(venue.id, file));
+      renderPhotos();
+    } catch (error) {
+      alert(error.message || 'Failed to upload photo');
+    } finally {
+      e.target.value = '';
+    }
+  });
+
+  card.querySelector('[data-form="details"]').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+
+    let openingHours;
+    try {
+      openingHours = Object.fromEntries(
+        WEEKDAYS.map(day => [day, parseDayHours(form[`hours-${day}`].value)])
+      );
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    await submitAndReload(form, () => submitVenueChanges(venue.id, {
+      description: form.description.value.trim(),
+      website: form.website.value.trim() || null,
+      images: photos,
+      opening_hours: openingHours
+    }));
+  });
+
+  card.querySelector('[data-form="event"]').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+
+    await submitAndReload(form, () => submitEventChange(venue.id, {
+      title: form.title.value.trim(),
+      event_type: form.event_type.value,
+      starts_at: new Date(form.starts_at.value).toISOString(),
+      ends_at: new Date(form.ends_at.value).toISOString(),
+      capacity: form.capacity.value ? parseInt(form.capacity.value, 10) : null,
+      description: form.description.value.trim() || null
+    }));
+  });
+
+  card.querySelectorAll('[data-cancel-event]').forEach(button => {
+    button.addEventListener('click', async () => {
+      if (!confirm('Ask to cancel this event?')) return;
+
+      try {
+        await submitEventChange(venue.id, { event_id: button.dataset.cancelEvent, is_cancelled: true });
+        await loadOwnedVenues();
+      } catch (error) {
+        alert(error.message || 'Failed to submit cancellation');
+      }
+    });
+  });
+
+  return card;
+}
+
+/**
+ * Submit a form's change request and reload the venue list
+ * @param {HTMLFormElement} form - Form being submitted
+ * @param {Function} submit - Sends the change request
+ */
+async function submitAndReload(form, submit) {
+  const button = form.querySelector('button[type="submit"]');
+  button.disabled = true;
+
+  try {
+    await submit();
+    alert('Thanks! Your changes will go live once they\'re approved.');
+    await loadOwnedVenues();
+  } catch (error) {
+    console.error('Failed to submit venue change:', error);
+    alert(error.message || 'Failed to submit changes');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Render a venue's recent change requests
+ * @param {Array} requests - Change requests, newest first
+ * @returns {string} HTML
+ */
+function renderChangeRequests(requests = []) {
+  if (requests.length === 0) {
+    return '<p class="owner-hint">No changes submitted yet.</p>';
+  }
+
+  return `
+    <ul class="owner-list">
+      ${requests.slice(0, 10).map(request => `
+        <li>
+          <span>
+            ${request.change_type === 'event' ? `Event: ${escapeHtml(request.payload.title || 'cancellation')}` : 'Venue details'}
+            · ${new Date(request.created_at).toLocaleDateString()}
+            ${request.review_note ? `<br><small>${escapeHtml(request.review_note)}</small>` : ''}
+          </span>
+          <span class="request-status ${request.status}">${request.status}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Render a venue's upcoming events with cancel buttons
+ * @param {Array} events - Events, soonest first
+ * @returns {string} HTML
+ */
+function renderEvents(events = []) {
+  if (events.length === 0) {
+    return '<p class="owner-hint">No upcoming events.</p>';
+  }
+
+  return `
+    <ul class="owner-list">
+      ${events.map(event => `
+        <li>
+          <span>
+            ${escapeHtml(event.title)} · ${new Date(event.starts_at).toLocaleString()}
+            <br><small>${event.going_count} going · ${event.interested_count} interested</small>
+          </span>
+          <button type="button" class="secondary" data-cancel-event="${event.id}">Cancel</button>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Format one day's stored hours for editing, e.g. "17:00-02:00, 20:00-23:00"
+ * @param {Array|Object|string} day - Stored hours for the day
+ * @returns {string} Editable text, empty if closed
+ */
+function formatDayHours(day) {
+  if (!day || day.closed) return '';
+
+  return (Array.isArray(day) ? day : [day])
+    .map(span => (typeof span === 'string' ? span : `${span.open}-${span.close}`))
+    .join(', ');
+}
+
+/**
+ * Parse edited hours back into spans
+ * @param {string} text - e.g. "17:00-02:00, 20:00-23:00"
+ * @returns {Array|Object} Spans, or { closed: true } if blank
+ */
+function parseDayHours(text) {
+  const value = text.trim();
+  if (!value) return { closed: true };
+
+  return value.split(',').map(part => {
+    const match = /^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(part.trim());
+    if (!match) {
+      throw new Error(`"${part.trim()}" isn't a valid time range. Use e.g. 17:00-02:00.`);
+    }
+    return { open: match[1].padStart(5, '0'), close: match[2].padStart(5, '0') };
+  });
+}
+
+/**
+ * Set up venue search, claim and code verification
+ */
+function initClaimForms() {
+  const searchForm = document.getElementById('claim-search-form');
+  const results = document.getElementById('claim-results');
+  const verifyForm = document.getElementById('claim-verify-form');
+  const verifyHint = document.getElementById('claim-verify-hint');
+  let claimVenueId = null;
+
+  if (!searchForm || !verifyForm) return;
+
+  searchForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    results.innerHTML = 'Searching...';
+
+    try {
+      const { results: venues } = await searchVenues(searchForm.q.value.trim(), { limit: 10 });
+
+      if (venues.length === 0) {
+        results.innerHTML = '<p class="owner-hint">No venues found.</p>';
+        return;
+      }
+
+      results.innerHTML = `
+        <ul class="owner-list">
+          ${venues.map(venue => `
+            <li>
+              <span>${escapeHtml(venue.name)}<br><small>${escapeHtml(venue.address || venue.city || '')}</small></span>
+              <button type="button" data-claim-venue="${venue.id}">Claim</button>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+
+      results.querySelectorAll('[data-claim-venue]').forEach(button => {
+        button.addEventListener('click', async () => {
+          button.disabled = true;
+          try {
+            const claim = await startVenueClaim(button.dataset.claimVenue);
+            claimVenueId = button.dataset.claimVenue;
+            verifyHint.textContent = `We're calling ${claim.phone_hint}. Enter the code read out on the call.`;
+            verifyForm.hidden = false;
+            verifyForm.code.focus();
+          } catch (error) {
+            alert(error.message || 'Failed to call the venue');
+          } finally {
+            button.disabled = false;
+          }
+        });
+      });
+    } catch (error) {
+      results.innerHTML = `<p class="owner-hint">${escapeHtml(error.message)}</p>`;
+    }
+  });
+
+  verifyForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!claimVenueId) return;
+
+    try {
+      await verifyVenueClaim(claimVenueId, verifyForm.code.value.trim());
+      verifyForm.reset();
+      verifyForm.hidden = true;
+      results.innerHTML = '';
+      claimVenueId = null;
+      await loadOwnedVenues();
+    } catch (error) {
+      alert(error.message || 'Failed to verify code');
+    }
+  });
+}
+
+/**
+ * Escape HTML special characters, including quotes for attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -13,6 +13,15 @@ export default class VenuePaymentModal {
     this.onPaymentSuccess = options.onPaymentSuccess || (() => {});
     this.onPaymentCancel = options.onPaymentCancel || (() => {});
     
+    // Element IDs, so other purchases can reuse this modal with their own markup
+    this.ids = {
+      modal: options.modalId || 'payment-modal',
+      cardContainer: options.cardContainerId || 'card-container',
+      completeButton: options.completeButtonId || 'complete-payment',
+      cancelButton: options.cancelButtonId || 'cancel-payment',
+      error: options.errorId || 'payment-error'
+    };
+    
     this.modalElement = null;
     this.paymentForm = null;
     this.card = null;
@@ -30,7 +39,7 @@ export default class VenuePaymentModal {
    * Initialize the payment modal
    */
   init() {
-    this.modalElement = document.getElementById('payment-modal');
+    this.modalElement = document.getElementById(this.ids.modal);
     if (!this.modalElement) {
       console.error('❌ Payment modal element not found in DOM');
       return;
@@ -44,7 +53,7 @@ export default class VenuePaymentModal {
    */
   setupEventListeners() {
     // Cancel payment button
-    const cancelButton = document.getElementById('cancel-payment');
+    const cancelButton = document.getElementById(this.ids.cancelButton);
     if (cancelButton) {
       cancelButton.addEventListener('click', () => {
         this.hide();
@@ -53,7 +62,7 @@ export default class VenuePaymentModal {
     }
     
     // Complete payment button
-    const completeButton = document.getElementById('complete-payment');
+    const completeButton = document.getElementById(this.ids.completeButton);
     if (completeButton) {
       completeButton.addEventListener('click', () => {
         this.processPayment();
@@ -187,9 +196,9 @@ export default class VenuePaymentModal {
       });
       
       // Attach card to container
-      const cardContainer = document.getElementById('card-container');
+      const cardContainer = document.getElementById(this.ids.cardContainer);
       if (cardContainer) {
-        await this.card.attach('#card-container');
+        await this.card.attach(`#${this.ids.cardContainer}`);
         
         // Enable payment button when card is ready
         this.card.addEventListener('cardBrandChanged', () => {
@@ -226,11 +235,7 @@ export default class VenuePaymentModal {
       
       if (result.status === 'OK') {
         // Process payment with backend
-        const paymentResult = await processPayment(
-          result.token,
-          this.amount,
-          this.currency
-        );
+        const paymentResult = await this.charge(result.token);
         
         if (paymentResult.success) {
           console.log('✅ Payment successful!');
@@ -257,11 +262,21 @@ export default class VenuePaymentModal {
     }
   }
   
+  /**
+   * Charge the card on the server. Subclasses override this for other
+   * purchases.
+   * @param {string} token - Square card token
+   * @returns {Promise<Object>} { success, error }
+   */
+  async charge(token) {
+    return processPayment(token, this.amount, this.currency);
+  }
+  
   /**
    * Update payment button state
    */
   updatePaymentButton(enabled, loading = false) {
-    const button = document.getElementById('complete-payment');
+    const button = document.getElementById(this.ids.completeButton);
     const buttonText = button?.querySelector('.button-text');
     const buttonSpinner = button?.querySelector('.button-spinner');
     
@@ -285,11 +300,11 @@ export default class VenuePaymentModal {
    */
   showError(message) {
     // Create or update error element
-    let errorElement = document.getElementById('payment-error');
+    let errorElement = document.getElementById(this.ids.error);
     
     if (!errorElement) {
       errorElement = document.createElement('div');
-      errorElement.id = 'payment-error';
+      errorElement.id = this.ids.error;
       errorElement.style.cssText = `
         color: #EF4444;
         font-size: 14px;
@@ -300,7 +315,7 @@ export default class VenuePaymentModal {
         border: 1px solid rgba(239, 68, 68, 0.2);
       `;
       
-      const cardContainer = document.getElementById('card-container');
+      const cardContainer = document.getElementById(this.ids.cardContainer);
       if (cardContainer && cardContainer.parentNode) {
         cardContainer.parentNode.insertBefore(errorElement, cardContainer.nextSibling);
       }
@@ -321,7 +336,7 @@ export default class VenuePaymentModal {
    * Clear any error messages
    */
   clearError() {
-    const errorElement = document.getElementById('payment-error');
+    const errorElement = document.getElementById(this.ids.error);
     if (errorElement) {
       errorElement.style.display = 'none';
     }
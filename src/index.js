@@ -10,6 +10,7 @@ import { WebSocketServer } from 'ws';
 import { registerRoutes } from './routes/index.js';
 import { errorHandler } from './middleware/error-handler.js';
 import { enableSafeHttpDebugging } from './utils/safe-http-debug.js';
+import { chatSocketService } from './services/chat-socket-service.js';
 
 // Enable HTTP debugging for detailed request/response logging
 //console.log('Enabling HTTP debugging for detailed request/response logging');
@@ -42,7 +43,7 @@ app.use('*', async (c, next) => {
   // Add CORS headers to all responses
   c.header('Access-Control-Allow-Origin', '*');
   c.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  c.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+  c.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, X-User-Id, X-User-Phone');
   c.header('Access-Control-Max-Age', '86400'); // 24 hours
   
   // Handle OPTIONS requests (preflight)
@@ -320,28 +321,7 @@ serve({
 const wsPort = parseInt(port) + 1;
 const wss = new WebSocketServer({ port: wsPort });
 
-// Handle WebSocket connections
-wss.on('connection', (ws) => {
-  //console.log('WebSocket connection established');
-  
-  // Send a welcome message
-  ws.send('Connected to WebSocket server');
-  
-  // Handle messages
-  ws.on('message', (message) => {
-    //console.log(`Received message: ${message}`);
-    ws.send(`Echo: ${message}`);
-  });
-  
-  // Handle connection close
-  ws.on('close', () => {
-    //console.log('WebSocket connection closed');
-  });
-  
-  // Handle errors
-  ws.on('error', (error) => {
-    //console.error('WebSocket error:', error);
-  });
-});
+// Handle chat connections (see src/utils/chat-protocol.js)
+chatSocketService.attach(wss);
 
 //console.log(`WebSocket server running at ws://localhost:${wsPort}`);
\ No newline at end of file
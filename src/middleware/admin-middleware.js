@@ -0,0 +1,41 @@
+import { supabase } from '../utils/supabase.js';
+import { errorUtils } from '../utils/error-utils.js';
+
+/**
+ * Middleware to restrict a route to admin users.
+ * Must run after authMiddleware so the user is available in the context.
+ * @param {Object} c - Hono context
+ * @param {Function} next - Next middleware function
+ * @returns {Promise<Response>} - Response object
+ */
+export async function adminMiddleware(c, next) {
+  try {
+    const user = c.get('user');
+
+    if (!user) {
+      return c.json({ error: 'Authentication required' }, 401);
+    }
+
+    // Admin status lives on the profile, not on the users record used for auth
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('is_admin')
+      .eq('id', user.id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!profile || !profile.is_admin) {
+      return c.json({ error: 'Admin access required' }, 403);
+    }
+
+    c.set('user', { ...user, is_admin: true });
+
+    return next();
+  } catch (error) {
+    console.error('Error checking admin access:', error);
+    return errorUtils.handleError(error, c);
+  }
+}
@@ -33,9 +33,11 @@ export async function authMiddleware(c, next) {
       return next();
     }
     
-    // Get user data from request body (phone-based auth)
+    // Get user data from request body (phone-based auth), falling back to
+    // headers for GET requests, which have no body
     const body = await c.req.json().catch(() => ({}));
-    const { userId, phone } = body;
+    const userId = body.userId || c.req.header('X-User-Id');
+    const phone = body.phone || c.req.header('X-User-Phone');
     
     let user = null;
     
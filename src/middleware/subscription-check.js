@@ -60,4 +60,29 @@ export async function subscriptionCheck(c, next) {
     console.error('Error checking subscription:', error);
     return errorUtils.handleError(error, c);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Middleware that records whether the signed-in user has an active
+ * subscription without turning anyone away, for endpoints that give free
+ * users a reduced view. Must run after authMiddleware; the result is in
+ * c.get('hasSubscription').
+ * @param {Object} c - Hono context
+ * @param {Function} next - Next middleware function
+ * @returns {Promise<Response>} - Response object
+ */
+export async function subscriptionStatus(c, next) {
+  try {
+    const user = c.get('user');
+    
+    // Same rule as subscriptionCheck: admins, or an active subscription on the account's email
+    const hasSubscription = Boolean(user && (user.is_admin || (user.email && await apiKeyService.hasAccess(user.email))));
+    
+    c.set('hasSubscription', hasSubscription);
+    
+    return next();
+  } catch (error) {
+    console.error('Error checking subscription:', error);
+    return errorUtils.handleError(error, c);
+  }
+}
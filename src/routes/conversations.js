@@ -1,5 +1,19 @@
+import { bodyLimit } from 'hono/body-limit';
 import { supabase } from '../utils/supabase.js';
 import { authMiddleware } from '../middleware/auth-middleware.js';
+import { moderationService } from '../services/moderation-service.js';
+import { MEDIA_LIMITS, chatService } from '../services/chat-service.js';
+import { conversationExportService } from '../services/conversation-export-service.js';
+import { errorUtils } from '../utils/error-utils.js';
+
+/**
+ * Turn away uploads too big for any media type before reading them into
+ * memory; the exact limit for the type is checked once it is known
+ */
+const mediaBodyLimit = bodyLimit({
+  maxSize: Math.max(MEDIA_LIMITS.imageBytes, MEDIA_LIMITS.audioBytes) + 1024 * 1024,
+  onError: (c) => c.json({ error: 'The file is too large' }, 413)
+});
 
 /**
  * Get user conversations
@@ -21,14 +35,20 @@ export async function getUserConversations(c) {
       return c.json({ error: 'Failed to fetch conversations' }, 500);
     }
     
+    // Leave out anyone blocked either way
+    const blockedIds = await moderationService.getBlockedUserIds(user.id);
+    const conversations = (data || []).filter(conversation => (
+      !blockedIds.has(conversation.user_id_1 === user.id ? conversation.user_id_2 : conversation.user_id_1)
+    ));
+    
     // If no conversations found, return empty array
-    if (!data || data.length === 0) {
+    if (conversations.length === 0) {
       return c.json([]);
     }
     
     // Get all unique user IDs from the conversations
     const userIds = new Set();
-    data.forEach(conversation => {
+    conversations.forEach(conversation => {
       // Add the other user's ID (not the current user)
       if (conversation.user_id_1 === user.id) {
         userIds.add(conversation.user_id_2);
@@ -55,7 +75,7 @@ export async function getUserConversations(c) {
     });
     
     // Process data to format it for the client
-    const formattedConversations = data.map(conversation => {
+    const formattedConversations = conversations.map(conversation => {
       // Determine which user ID is the other user (not the current user)
       const otherUserId = conversation.user_id_1 === user.id ? conversation.user_id_2 : conversation.user_id_1;
       const otherUserProfile = profileMap[otherUserId] || { id: otherUserId };
@@ -108,6 +128,11 @@ export async function getConversationMessages(c) {
       return c.json({ error: 'Unauthorized access to conversation' }, 403);
     }
     
+    // Conversations with blocked users are gone for both people
+    if (await moderationService.isBlocked(conversation.user_id_1, conversation.user_id_2)) {
+      return c.json({ error: 'Conversation not found' }, 404);
+    }
+    
     // Get messages from database
     const { data: messages, error: messagesError } = await supabase
       .from('messages')
@@ -117,6 +142,9 @@ export async function getConversationMessages(c) {
         sender_id,
         content,
         read,
+        edited_at,
+        deleted_at,
+        expires_at,
         profile:sender_id (
           id,
           first_name,
@@ -125,6 +153,8 @@ export async function getConversationMessages(c) {
         )
       `)
       .eq('conversation_id', conversationId)
+      // Disappearing messages are gone once they expire, even before the purge
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
     
@@ -167,62 +197,79 @@ export async function sendMessage(c) {
   try {
     const user = c.get('user');
     const conversationId = c.req.param('id');
-    const { content } = await c.req.json();
+    const { content, client_id } = await c.req.json();
     
-    if (!content || content.trim() === '') {
-      return c.json({ error: 'Message content is required' }, 400);
-    }
+    // Shared with the chat WebSocket, which also passes the message on to connected devices
+    const { message } = await chatService.sendMessage(user.id, conversationId, { content, client_id });
     
-    // Check if the user is a participant in this conversation
-    const { data: conversation, error: conversationError } = await supabase
-      .from('conversations')
-      .select('user_id_1, user_id_2')
-      .eq('id', conversationId)
-      .single();
+    return c.json(message);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Send a photo or voice note in a conversation. Expects multipart form data
+ * with the file in `file` and optional `message_type`, `caption` and `client_id`.
+ */
+export async function sendMediaMessage(c) {
+  try {
+    const user = c.get('user');
+    const conversationId = c.req.param('id');
+    const body = await c.req.parseBody();
     
-    if (conversationError) {
-      console.error('Error fetching conversation:', conversationError);
-      return c.json({ error: 'Failed to fetch conversation' }, 500);
+    if (!(body.file instanceof File)) {
+      throw errorUtils.validationError('A file is required');
     }
     
-    if (!conversation) {
-      return c.json({ error: 'Conversation not found' }, 404);
-    }
+    const { message } = await chatService.sendMediaMessage(user.id, conversationId, {
+      buffer: Buffer.from(await body.file.arrayBuffer()),
+      message_type: body.message_type || null,
+      caption: body.caption || '',
+      client_id: body.client_id || null
+    });
     
-    // Security check: users can only send messages in conversations they are a part of
-    if (conversation.user_id_1 !== user.id && conversation.user_id_2 !== user.id) {
-      return c.json({ error: 'Unauthorized access to conversation' }, 403);
-    }
+    return c.json(message, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Turn disappearing messages on or off for a conversation
+ */
+export async function setDisappearingTimer(c) {
+  try {
+    const user = c.get('user');
+    const conversationId = c.req.param('id');
+    const { seconds } = await c.req.json();
     
-    // Insert the new message
-    const { data: message, error: messageError } = await supabase
-      .from('messages')
-      .insert({
-        conversation_id: conversationId,
-        sender_id: user.id,
-        content: content,
-        read: false
-      })
-      .select()
-      .single();
+    const result = await chatService.setDisappearingTimer(user.id, conversationId, seconds);
     
-    if (messageError) {
-      console.error('Error sending message:', messageError);
-      return c.json({ error: 'Failed to send message' }, 500);
-    }
+    return c.json(result);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Download a conversation transcript as PDF, EPUB, Markdown or JSON
+ */
+export async function exportConversation(c) {
+  try {
+    const user = c.get('user');
+    const conversationId = c.req.param('id');
+    const { format, tz } = c.req.query();
     
-    // Update the conversation's last message and timestamp
-    // This is handled by a database trigger, so we don't need to do it here
+    const { body, content_type, filename } = await conversationExportService.exportConversation(user.id, conversationId, { format, tz });
     
-    // Create a notification for the recipient
-    const recipientId = conversation.user_id_1 === user.id ? conversation.user_id_2 : conversation.user_id_1;
-    await createMessageNotification(user.id, recipientId, content);
+    c.header('Content-Type', content_type);
+    c.header('Content-Disposition', `attachment; filename="${filename}"`);
+    c.header('Cache-Control', 'no-store');
     
-    // Return the new message
-    return c.json(message);
+    return c.body(body);
   } catch (error) {
-    console.error('Error in sendMessage:', error);
-    return c.json({ error: 'Internal server error' }, 500);
+    return errorUtils.handleError(error, c);
   }
 }
 
@@ -238,6 +285,11 @@ export async function createConversation(c) {
       return c.json({ error: 'Participant ID is required' }, 400);
     }
     
+    // Blocked people can't start a conversation with each other
+    if (await moderationService.isBlocked(user.id, participant_id)) {
+      return c.json({ error: 'User not found' }, 404);
+    }
+    
     // Check if a conversation already exists between these users
     const { data: existingConversation, error: checkError } = await supabase
       .from('conversations')
@@ -278,33 +330,6 @@ export async function createConversation(c) {
   }
 }
 
-/**
- * Create a notification for a new message
- */
-async function createMessageNotification(senderId, recipientId, messageContent) {
-  try {
-    // Get the sender's name
-    const { data: sender } = await supabase
-      .from('users')
-      .select('first_name')
-      .eq('id', senderId)
-      .single();
-    
-    // Create the notification
-    await supabase
-      .from('notifications')
-      .insert({
-        user_id: recipientId,
-        type: 'message',
-        title: 'New Message',
-        message: `${sender?.first_name || 'Someone'} sent you a message: "${messageContent.substring(0, 30)}${messageContent.length > 30 ? '...' : ''}"`,
-        read: false
-      });
-  } catch (error) {
-    console.error('Error creating message notification:', error);
-  }
-}
-
 // Export conversation routes
 export const conversationRoutes = [
   {
@@ -325,6 +350,24 @@ export const conversationRoutes = [
     handler: sendMessage,
     middleware: [authMiddleware]
   },
+  {
+    method: 'PUT',
+    path: '/api/conversations/:id/disappearing',
+    handler: setDisappearingTimer,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/conversations/:id/media',
+    handler: sendMediaMessage,
+    middleware: [mediaBodyLimit, authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/conversations/:id/export',
+    handler: exportConversation,
+    middleware: [authMiddleware]
+  },
   {
     method: 'POST',
     path: '/api/conversations',
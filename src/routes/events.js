@@ -0,0 +1,131 @@
+import { authMiddleware } from '../middleware/auth-middleware.js';
+import { adminMiddleware } from '../middleware/admin-middleware.js';
+import { venueEventService } from '../services/venue-event-service.js';
+import { errorUtils } from '../utils/error-utils.js';
+
+/**
+ * List a venue's upcoming events
+ */
+export async function getVenueEvents(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    
+    const events = await venueEventService.listVenueEvents(venueId, user.id);
+    
+    return c.json(events);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Create an event at a venue
+ */
+export async function createVenueEvent(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    const { title, description, event_type, starts_at, ends_at, capacity, image_url } = await c.req.json();
+    
+    const event = await venueEventService.createEvent(user.id, venueId, {
+      title,
+      description,
+      event_type,
+      starts_at,
+      ends_at,
+      capacity,
+      image_url
+    });
+    
+    return c.json(event, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Cancel an event
+ */
+export async function cancelVenueEvent(c) {
+  try {
+    const eventId = c.req.param('id');
+    
+    const event = await venueEventService.cancelEvent(eventId);
+    
+    return c.json(event);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * RSVP the current user to an event
+ */
+export async function rsvpToEvent(c) {
+  try {
+    const user = c.get('user');
+    const eventId = c.req.param('id');
+    const { status = 'going' } = await c.req.json();
+    
+    const rsvp = await venueEventService.rsvp(user.id, eventId, status);
+    
+    return c.json(rsvp);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Remove the current user's RSVP to an event
+ */
+export async function cancelEventRsvp(c) {
+  try {
+    const user = c.get('user');
+    const eventId = c.req.param('id');
+    
+    const rsvp = await venueEventService.cancelRsvp(user.id, eventId);
+    
+    if (!rsvp) {
+      return c.json({ error: 'No RSVP for this event' }, 404);
+    }
+    
+    return c.json(rsvp);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+// Export event routes
+export const eventRoutes = [
+  {
+    method: 'GET',
+    path: '/api/venues/:id/events',
+    handler: getVenueEvents,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/venues/:id/events',
+    handler: createVenueEvent,
+    middleware: [authMiddleware, adminMiddleware]
+  },
+  {
+    method: 'DELETE',
+    path: '/api/events/:id',
+    handler: cancelVenueEvent,
+    middleware: [authMiddleware, adminMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/events/:id/rsvp',
+    handler: rsvpToEvent,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'DELETE',
+    path: '/api/events/:id/rsvp',
+    handler: cancelEventRsvp,
+    middleware: [authMiddleware]
+  }
+];
@@ -17,9 +17,15 @@ import { downloadDocumentRoute } from './download-document.js';
 import { userRoutes } from './users.js';
 import { notificationRoutes } from './notifications.js';
 import { venueRoutes } from './venues.js';
+import { eventRoutes } from './events.js';
+import { venueOwnerRoutes } from './venue-owners.js';
+import { reviewRoutes } from './reviews.js';
 import { squareRoutes } from './square.js';
 import { matchRoutes } from './matches.js';
+import { swipeRoutes } from './swipes.js';
 import { conversationRoutes } from './conversations.js';
+import { messageRoutes } from './messages.js';
+import { moderationRoutes } from './moderation.js';
 import {
   subscriptionRoute,
   subscriptionStatusRoute
@@ -45,7 +51,7 @@ import { phoneSignupRoutes } from './phone-signup.js';
 import { userRoutes as userApiRoutes } from './user-routes.js';
 import { authStatusRoute } from './auth-status.js';
 import { supabaseConfigRoute } from './config.js';
-import { websocketRoute } from './websocket.js';
+import { websocketRoutes } from './websocket.js';
 import { verificationRoutes } from './verification-routes.js';
 import { verifyRoutes } from './verify-routes.js';
 import { authMiddleware } from '../middleware/auth-middleware.js';
@@ -94,13 +100,19 @@ const publicRoutes = [
   ...userApiRoutes,
   authStatusRoute,
   supabaseConfigRoute,
-  websocketRoute,
+  ...websocketRoutes,
   ...verificationRoutes,
   ...userRoutes,
   ...notificationRoutes,
   ...venueRoutes,
+  ...eventRoutes,
+  ...venueOwnerRoutes,
+  ...reviewRoutes,
   ...matchRoutes,
+  ...swipeRoutes,
   ...conversationRoutes,
+  ...messageRoutes,
+  ...moderationRoutes,
   // Subscription management routes
   {
     method: 'GET',
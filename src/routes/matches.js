@@ -1,5 +1,12 @@
 import { supabase } from '../utils/supabase.js';
 import { authMiddleware } from '../middleware/auth-middleware.js';
+import { subscriptionStatus } from '../middleware/subscription-check.js';
+import { matchService } from '../services/match-service.js';
+import { swipeService } from '../services/swipe-service.js';
+import { matchExpiryService } from '../services/match-expiry-service.js';
+import { likesService } from '../services/likes-service.js';
+import { moderationService } from '../services/moderation-service.js';
+import { errorUtils } from '../utils/error-utils.js';
 
 /**
  * Get user matches
@@ -13,7 +20,7 @@ export async function getUserMatches(c) {
     // Using a simpler query without joins to avoid foreign key relationship issues
     const { data, error } = await supabase
       .from('matches')
-      .select('id, created_at, updated_at, user_id_1, user_id_2, venue_id, matched_at, status')
+      .select('id, created_at, updated_at, user_id_1, user_id_2, venue_id, matched_at, status, expires_at, extended_at')
       .or(`user_id_1.eq.${user.id},user_id_2.eq.${user.id}`)
       .eq('status', 'matched')
       .order('matched_at', { ascending: false });
@@ -23,8 +30,12 @@ export async function getUserMatches(c) {
       return c.json({ error: 'Failed to fetch matches' }, 500);
     }
     
+    // Leave out anyone blocked either way
+    const blockedIds = await moderationService.getBlockedUserIds(user.id);
+    const matches = (data || []).filter(match => !blockedIds.has(match.user_id_1 === user.id ? match.user_id_2 : match.user_id_1));
+    
     // If no matches found, return empty array
-    if (!data || data.length === 0) {
+    if (matches.length === 0) {
       return c.json([]);
     }
     
@@ -32,7 +43,7 @@ export async function getUserMatches(c) {
     const userIds = new Set();
     const venueIds = new Set();
     
-    data.forEach(match => {
+    matches.forEach(match => {
       // Add the other user's ID (not the current user)
       if (match.user_id_1 === user.id) {
         userIds.add(match.user_id_2);
@@ -83,7 +94,7 @@ export async function getUserMatches(c) {
     });
     
     // Process data to format it for the client
-    const formattedMatches = data.map(match => {
+    const formattedMatches = matches.map(match => {
       // Determine which user ID is the other user (not the current user)
       const otherUserId = match.user_id_1 === user.id ? match.user_id_2 : match.user_id_1;
       const otherUserProfile = profileMap[otherUserId] || { id: otherUserId };
@@ -95,6 +106,8 @@ export async function getUserMatches(c) {
         updated_at: match.updated_at,
         matched_at: match.matched_at,
         status: match.status,
+        expires_at: match.expires_at,
+        can_extend: Boolean(match.expires_at) && !match.extended_at,
         venue: venue,
         other_user: otherUserProfile
       };
@@ -109,138 +122,174 @@ export async function getUserMatches(c) {
 }
 
 /**
- * Create a new match (like or pass)
+ * Get a page of the current user's ranked matching deck
  */
-export async function createMatch(c) {
+export async function getMatchCandidates(c) {
   try {
     const user = c.get('user');
-    const { target_user_id, venue_id, status } = await c.req.json();
+    const { limit, cursor, venue_id } = c.req.query();
     
-    if (!target_user_id || !status) {
-      return c.json({ error: 'Target user ID and status are required' }, 400);
-    }
+    const deck = await matchService.getCandidateDeck(user.id, { limit, cursor, venue_id });
     
-    if (!['liked', 'passed'].includes(status)) {
-      return c.json({ error: 'Status must be either "liked" or "passed"' }, 400);
-    }
+    return c.json(deck);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get the venue the current user can match at right now, if any
+ */
+export async function getVenueMatchMode(c) {
+  try {
+    const user = c.get('user');
     
-    // Check if there's already a match from the target user to this user
-    const { data: existingMatch, error: fetchError } = await supabase
-      .from('matches')
-      .select('*')
-      .eq('user_id_1', target_user_id)
-      .eq('user_id_2', user.id)
-      .eq('status', 'liked')
-      .single();
-    
-    if (fetchError && fetchError.code !== 'PGRST116') { // PGRST116 is "no rows returned"
-      console.error('Error checking for existing match:', fetchError);
-      return c.json({ error: 'Failed to check for existing match' }, 500);
-    }
+    const mode = await matchService.getVenueMode(user.id);
     
-    // If the target user already liked this user and this user is liking them back,
-    // create a match
-    if (existingMatch && status === 'liked') {
-      // Update the existing match to 'matched'
-      const { error: updateError } = await supabase
-        .from('matches')
-        .update({
-          status: 'matched',
-          matched_at: new Date().toISOString()
-        })
-        .eq('id', existingMatch.id);
-      
-      if (updateError) {
-        console.error('Error updating match status:', updateError);
-        return c.json({ error: 'Failed to update match status' }, 500);
-      }
-      
-      // Create a new match entry for this user
-      const { data: newMatch, error: insertError } = await supabase
-        .from('matches')
-        .insert({
-          user_id_1: user.id,
-          user_id_2: target_user_id,
-          venue_id: venue_id,
-          status: 'matched',
-          matched_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-      
-      if (insertError) {
-        console.error('Error creating match:', insertError);
-        return c.json({ error: 'Failed to create match' }, 500);
-      }
-      
-      // Create a notification for both users
-      await createMatchNotification(user.id, target_user_id, venue_id);
-      await createMatchNotification(target_user_id, user.id, venue_id);
-      
-      return c.json({
-        ...newMatch,
-        is_mutual_match: true
-      });
-    } else {
-      // Create a new match entry
-      const { data: newMatch, error: insertError } = await supabase
-        .from('matches')
-        .insert({
-          user_id_1: user.id,
-          user_id_2: target_user_id,
-          venue_id: venue_id,
-          status: status
-        })
-        .select()
-        .single();
-      
-      if (insertError) {
-        console.error('Error creating match:', insertError);
-        return c.json({ error: 'Failed to create match' }, 500);
-      }
-      
+    return c.json(mode);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get people the current user passed on a while ago, for a second look
+ */
+export async function getSecondLookCandidates(c) {
+  try {
+    const user = c.get('user');
+    const { limit } = c.req.query();
+    
+    const deck = await matchService.getSecondLookDeck(user.id, { limit });
+    
+    return c.json(deck);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get people who liked the current user and are waiting for an answer.
+ * Only subscribers can see who they are.
+ */
+export async function getLikesReceived(c) {
+  try {
+    const user = c.get('user');
+    const { limit, cursor } = c.req.query();
+    
+    const likes = await likesService.getLikesReceived(user.id, {
+      limit,
+      cursor,
+      revealed: c.get('hasSubscription')
+    });
+    
+    return c.json({
+      ...likes,
+      subscription_url: likes.revealed ? null : '/subscription'
+    });
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Count likes waiting for an answer, for the nav badge
+ */
+export async function getLikesReceivedCount(c) {
+  try {
+    const user = c.get('user');
+    
+    const count = await likesService.countLikesReceived(user.id);
+    
+    return c.json({ count });
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Like back someone who liked the current user (subscribers only)
+ */
+export async function likeBack(c) {
+  try {
+    const user = c.get('user');
+    const targetUserId = c.req.param('id');
+    
+    if (!c.get('hasSubscription')) {
       return c.json({
-        ...newMatch,
-        is_mutual_match: false
-      });
+        error: 'Active subscription required',
+        subscription_required: true,
+        subscription_url: '/subscription'
+      }, 402);
     }
+    
+    const result = await likesService.likeBack(user.id, targetUserId);
+    
+    return c.json(result);
   } catch (error) {
-    console.error('Error in createMatch:', error);
-    return c.json({ error: 'Internal server error' }, 500);
+    return errorUtils.handleError(error, c);
   }
 }
 
 /**
- * Create a notification for a match
+ * Give a match waiting for a first message more time (paid users, once per match)
  */
-async function createMatchNotification(userId, matchedUserId, venueId) {
+export async function extendMatch(c) {
   try {
-    // Get the matched user's name
-    const { data: matchedUser } = await supabase
-      .from('users')
-      .select('first_name')
-      .eq('id', matchedUserId)
-      .single();
-    
-    // Get the venue name
-    const { data: venue } = await supabase
-      .from('venues')
-      .select('name')
-      .eq('id', venueId)
-      .single();
-    
-    // Create the notification
-    await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        type: 'match',
-        title: 'New Match!',
-        message: `You matched with ${matchedUser?.first_name || 'someone'} at ${venue?.name || 'a venue'}!`,
-        read: false
-      });
+    const user = c.get('user');
+    const matchId = c.req.param('id');
+    
+    const result = await matchExpiryService.extendMatch(user.id, matchId);
+    
+    return c.json(result);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Unmatch from someone
+ */
+export async function unmatch(c) {
+  try {
+    const user = c.get('user');
+    const matchId = c.req.param('id');
+    const { reason, details } = await c.req.json().catch(() => ({}));
+    
+    const result = await matchService.unmatch(user.id, matchId, { reason, details });
+    
+    return c.json(result);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Like or pass on someone. Kept for older clients; new code uses POST /api/swipes.
+ */
+export async function createMatch(c) {
+  try {
+    const user = c.get('user');
+    const { target_user_id, venue_id, status } = await c.req.json();
+    
+    if (!['liked', 'passed'].includes(status)) {
+      return c.json({ error: 'Status must be either "liked" or "passed"' }, 400);
+    }
+    
+    const result = await swipeService.swipe(user.id, {
+      target_user_id,
+      direction: status === 'liked' ? 'like' : 'dislike',
+      venue_id
+    });
+    
+    return c.json({
+      ...result,
+      id: result.match ? result.match.id : null,
+      status: result.is_match ? 'matched' : status,
+      is_mutual_match: result.is_match
+    });
   } catch (error) {
-    console.error('Error creating match notification:', error);
+    return errorUtils.handleError(error, c);
   }
 }
 
@@ -252,10 +301,58 @@ export const matchRoutes = [
     handler: getUserMatches,
     middleware: [authMiddleware]
   },
+  {
+    method: 'GET',
+    path: '/api/matches/candidates',
+    handler: getMatchCandidates,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/matches/venue-mode',
+    handler: getVenueMatchMode,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/matches/second-look',
+    handler: getSecondLookCandidates,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/matches/likes',
+    handler: getLikesReceived,
+    middleware: [authMiddleware, subscriptionStatus]
+  },
+  {
+    method: 'GET',
+    path: '/api/matches/likes/count',
+    handler: getLikesReceivedCount,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/matches/likes/:id/like-back',
+    handler: likeBack,
+    middleware: [authMiddleware, subscriptionStatus]
+  },
   {
     method: 'POST',
     path: '/api/matches',
     handler: createMatch,
     middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/matches/:id/extend',
+    handler: extendMatch,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'DELETE',
+    path: '/api/matches/:id',
+    handler: unmatch,
+    middleware: [authMiddleware]
   }
 ];
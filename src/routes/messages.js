@@ -0,0 +1,76 @@
+import { authMiddleware } from '../middleware/auth-middleware.js';
+import { chatService } from '../services/chat-service.js';
+import { errorUtils } from '../utils/error-utils.js';
+
+/**
+ * Search the current user's messages
+ */
+export async function searchMessages(c) {
+  try {
+    const user = c.get('user');
+    const { q, conversation_id, limit, cursor } = c.req.query();
+    
+    const results = await chatService.searchMessages(user.id, { q, conversation_id, limit, cursor });
+    
+    return c.json(results);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Edit one of the current user's messages
+ */
+export async function editMessage(c) {
+  try {
+    const user = c.get('user');
+    const messageId = c.req.param('id');
+    const { content } = await c.req.json();
+    
+    const message = await chatService.editMessage(user.id, messageId, { content });
+    
+    return c.json(message);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Unsend one of the current user's messages for everyone
+ */
+export async function unsendMessage(c) {
+  try {
+    const user = c.get('user');
+    const messageId = c.req.param('id');
+    
+    const message = await chatService.unsendMessage(user.id, messageId);
+    
+    return c.json(message);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Message routes
+ */
+export const messageRoutes = [
+  {
+    method: 'GET',
+    path: '/api/messages/search',
+    handler: searchMessages,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'PATCH',
+    path: '/api/messages/:id',
+    handler: editMessage,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'DELETE',
+    path: '/api/messages/:id',
+    handler: unsendMessage,
+    middleware: [authMiddleware]
+  }
+];
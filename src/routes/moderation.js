@@ -0,0 +1,166 @@
+import { authMiddleware } from '../middleware/auth-middleware.js';
+import { adminMiddleware } from '../middleware/admin-middleware.js';
+import { moderationService } from '../services/moderation-service.js';
+import { errorUtils } from '../utils/error-utils.js';
+
+/**
+ * List the people the current user has blocked
+ */
+export async function getBlockedUsers(c) {
+  try {
+    const user = c.get('user');
+    
+    const blocked = await moderationService.listBlockedUsers(user.id);
+    
+    return c.json(blocked);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Block a user
+ */
+export async function blockUser(c) {
+  try {
+    const user = c.get('user');
+    const targetUserId = c.req.param('id');
+    
+    const result = await moderationService.blockUser(user.id, targetUserId);
+    
+    return c.json(result, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Unblock a user
+ */
+export async function unblockUser(c) {
+  try {
+    const user = c.get('user');
+    const targetUserId = c.req.param('id');
+    
+    const result = await moderationService.unblockUser(user.id, targetUserId);
+    
+    return c.json(result);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Report a user to the moderators
+ */
+export async function reportUser(c) {
+  try {
+    const user = c.get('user');
+    const targetUserId = c.req.param('id');
+    const { reason, details, message_ids, block } = await c.req.json();
+    
+    const report = await moderationService.reportUser(user.id, targetUserId, {
+      reason,
+      details,
+      message_ids: message_ids || [],
+      block
+    });
+    
+    return c.json(report, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * List reports in the moderation queue
+ */
+export async function getReports(c) {
+  try {
+    const status = c.req.query('status') || 'open';
+    
+    const reports = await moderationService.listReports(status);
+    
+    return c.json(reports);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get a report with its evidence
+ */
+export async function getReport(c) {
+  try {
+    const reportId = c.req.param('id');
+    
+    const report = await moderationService.getReport(reportId);
+    
+    return c.json(report);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Update a report's status
+ */
+export async function reviewReport(c) {
+  try {
+    const user = c.get('user');
+    const reportId = c.req.param('id');
+    const { status, note } = await c.req.json();
+    
+    const report = await moderationService.reviewReport(user.id, reportId, { status, note: note || null });
+    
+    return c.json(report);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+// Export moderation routes
+export const moderationRoutes = [
+  {
+    method: 'GET',
+    path: '/api/blocks',
+    handler: getBlockedUsers,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/users/:id/block',
+    handler: blockUser,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'DELETE',
+    path: '/api/users/:id/block',
+    handler: unblockUser,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/users/:id/report',
+    handler: reportUser,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/reports',
+    handler: getReports,
+    middleware: [authMiddleware, adminMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/reports/:id',
+    handler: getReport,
+    middleware: [authMiddleware, adminMiddleware]
+  },
+  {
+    method: 'PUT',
+    path: '/api/admin/reports/:id',
+    handler: reviewReport,
+    middleware: [authMiddleware, adminMiddleware]
+  }
+];
@@ -0,0 +1,114 @@
+import { authMiddleware } from '../middleware/auth-middleware.js';
+import { reviewService } from '../services/review-service.js';
+import { errorUtils } from '../utils/error-utils.js';
+import { VIBE_TAGS } from '../utils/vibe-tags.js';
+
+/**
+ * List the vibe tags reviewers can choose from
+ */
+export async function getVibeTags(c) {
+  return c.json(Object.entries(VIBE_TAGS).map(([tag, label]) => ({ tag, label })));
+}
+
+/**
+ * List a venue's reviews, newest first
+ */
+export async function getVenueReviews(c) {
+  try {
+    const venueId = c.req.param('id');
+    const { limit, before } = c.req.query();
+    
+    const reviews = await reviewService.listVenueReviews(venueId, {
+      limit: limit ? parseInt(limit, 10) || 20 : 20,
+      before: before || null
+    });
+    
+    return c.json(reviews);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Rate and review a venue the current user has visited
+ */
+export async function createVenueReview(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    const { rating, vibe_tags, body } = await c.req.json();
+    
+    const review = await reviewService.createReview(user.id, venueId, { rating, vibe_tags, body });
+    
+    return c.json(review, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Edit one of the current user's reviews
+ */
+export async function updateVenueReview(c) {
+  try {
+    const user = c.get('user');
+    const reviewId = c.req.param('id');
+    const { rating, vibe_tags, body } = await c.req.json();
+    
+    const review = await reviewService.updateReview(user.id, reviewId, { rating, vibe_tags, body });
+    
+    return c.json(review);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Delete one of the current user's reviews
+ */
+export async function deleteVenueReview(c) {
+  try {
+    const user = c.get('user');
+    const reviewId = c.req.param('id');
+    
+    const review = await reviewService.deleteReview(user.id, reviewId);
+    
+    return c.json(review);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+// Export review routes
+export const reviewRoutes = [
+  {
+    method: 'GET',
+    path: '/api/reviews/vibe-tags',
+    handler: getVibeTags,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/venues/:id/reviews',
+    handler: getVenueReviews,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/venues/:id/reviews',
+    handler: createVenueReview,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'PUT',
+    path: '/api/reviews/:id',
+    handler: updateVenueReview,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'DELETE',
+    path: '/api/reviews/:id',
+    handler: deleteVenueReview,
+    middleware: [authMiddleware]
+  }
+];
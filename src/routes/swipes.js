@@ -0,0 +1,117 @@
+import { authMiddleware } from '../middleware/auth-middleware.js';
+import { swipeService } from '../services/swipe-service.js';
+import { superLikeService } from '../services/super-like-service.js';
+import { swipeLimitService } from '../services/swipe-limit-service.js';
+import { errorUtils } from '../utils/error-utils.js';
+
+/**
+ * Like or pass on someone in the matching deck
+ */
+export async function createSwipe(c) {
+  try {
+    const user = c.get('user');
+    const { target_user_id, direction, venue_id } = await c.req.json();
+    
+    const result = await swipeService.swipe(user.id, { target_user_id, direction, venue_id });
+    
+    return c.json(result, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Take back the current user's most recent swipe
+ */
+export async function undoSwipe(c) {
+  try {
+    const user = c.get('user');
+    
+    const result = await swipeService.undoLastSwipe(user.id);
+    
+    return c.json(result);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get how many super likes the current user has left and the packs on sale
+ */
+export async function getSuperLikeStatus(c) {
+  try {
+    const user = c.get('user');
+    const timezone = c.req.query('timezone');
+    
+    const status = await superLikeService.getStatus(user.id, { timezone });
+    
+    return c.json(status);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get how many likes the current user has left today
+ */
+export async function getSwipeLimits(c) {
+  try {
+    const user = c.get('user');
+    
+    const status = await swipeLimitService.getStatus(user.id);
+    
+    return c.json(status);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Buy a pack of super likes
+ */
+export async function purchaseSuperLikes(c) {
+  try {
+    const user = c.get('user');
+    const { pack, token, purchase_id } = await c.req.json();
+    
+    const result = await superLikeService.purchasePack(user.id, { pack, token, purchase_id });
+    
+    return c.json(result, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+// Export swipe routes
+export const swipeRoutes = [
+  {
+    method: 'POST',
+    path: '/api/swipes',
+    handler: createSwipe,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/swipes/undo',
+    handler: undoSwipe,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/swipes/limits',
+    handler: getSwipeLimits,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/swipes/super-likes',
+    handler: getSuperLikeStatus,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/swipes/super-likes/purchase',
+    handler: purchaseSuperLikes,
+    middleware: [authMiddleware]
+  }
+];
@@ -0,0 +1,198 @@
+import { authMiddleware } from '../middleware/auth-middleware.js';
+import { adminMiddleware } from '../middleware/admin-middleware.js';
+import { venueOwnerService } from '../services/venue-owner-service.js';
+import { errorUtils } from '../utils/error-utils.js';
+
+/**
+ * Call the venue's listed phone number with a claim code
+ */
+export async function startVenueClaim(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    
+    const claim = await venueOwnerService.startClaim(user.id, venueId);
+    
+    return c.json(claim, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Verify a claim code and grant ownership
+ */
+export async function verifyVenueClaim(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    const { code } = await c.req.json();
+    
+    if (!code) {
+      return c.json({ error: 'Missing required field: code' }, 400);
+    }
+    
+    const owner = await venueOwnerService.verifyClaim(user.id, venueId, String(code));
+    
+    return c.json(owner);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * List the venues the current user manages
+ */
+export async function getOwnedVenues(c) {
+  try {
+    const user = c.get('user');
+    
+    const venues = await venueOwnerService.getOwnedVenues(user.id);
+    
+    return c.json(venues);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Submit venue detail changes for review
+ */
+export async function submitVenueChanges(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    const { changes } = await c.req.json();
+    
+    const request = await venueOwnerService.submitVenueChanges(user.id, venueId, changes);
+    
+    return c.json(request, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Submit a new event, an event edit or a cancellation for review
+ */
+export async function submitEventChange(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    const { event_id, title, description, event_type, starts_at, ends_at, capacity, image_url, is_cancelled } =
+      await c.req.json();
+    
+    const details = { event_id, title, description, event_type, starts_at, ends_at, capacity, image_url, is_cancelled };
+    Object.keys(details).forEach(key => details[key] === undefined && delete details[key]);
+    
+    const request = await venueOwnerService.submitEventChange(user.id, venueId, details);
+    
+    return c.json(request, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * List change requests waiting for review
+ */
+export async function getVenueChangeRequests(c) {
+  try {
+    const status = c.req.query('status') || 'pending';
+    
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return c.json({ error: 'status must be one of: pending, approved, rejected' }, 400);
+    }
+    
+    const requests = await venueOwnerService.listChangeRequests(status);
+    
+    return c.json(requests);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Approve and apply a change request
+ */
+export async function approveVenueChangeRequest(c) {
+  try {
+    const user = c.get('user');
+    const requestId = c.req.param('id');
+    
+    const request = await venueOwnerService.approveChangeRequest(user.id, requestId);
+    
+    return c.json(request);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Reject a change request
+ */
+export async function rejectVenueChangeRequest(c) {
+  try {
+    const user = c.get('user');
+    const requestId = c.req.param('id');
+    const { note } = await c.req.json();
+    
+    const request = await venueOwnerService.rejectChangeRequest(user.id, requestId, note || null);
+    
+    return c.json(request);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+// Export venue owner routes
+export const venueOwnerRoutes = [
+  {
+    method: 'POST',
+    path: '/api/venues/:id/claim',
+    handler: startVenueClaim,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/venues/:id/claim/verify',
+    handler: verifyVenueClaim,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/owner/venues',
+    handler: getOwnedVenues,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/owner/venues/:id/changes',
+    handler: submitVenueChanges,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/owner/venues/:id/events',
+    handler: submitEventChange,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/venue-changes',
+    handler: getVenueChangeRequests,
+    middleware: [authMiddleware, adminMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/venue-changes/:id/approve',
+    handler: approveVenueChangeRequest,
+    middleware: [authMiddleware, adminMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/venue-changes/:id/reject',
+    handler: rejectVenueChangeRequest,
+    middleware: [authMiddleware, adminMiddleware]
+  }
+];
@@ -1,65 +1,88 @@
 import { supabase } from '../utils/supabase.js';
 import { authMiddleware } from '../middleware/auth-middleware.js';
+import { adminMiddleware } from '../middleware/admin-middleware.js';
+import { checkInService } from '../services/check-in-service.js';
+import { venueService } from '../services/venue-service.js';
+import { venueActivityService } from '../services/venue-activity-service.js';
+import { errorUtils } from '../utils/error-utils.js';
 
 /**
- * Get nearby venues based on user location
+ * Get nearby venues based on user location, with open status and review summary
  */
 export async function getNearbyVenues(c) {
   try {
-    const { lat, lng, radius = 10 } = await c.req.json();
+    const { lat, lng, radius = 10, open_now, sort, vibe } = await c.req.json();
     
     if (!lat || !lng) {
       return c.json({ error: 'Latitude and longitude are required' }, 400);
     }
     
-    // Use the get_nearby_venues function from the database
-    const { data, error } = await supabase.rpc('get_nearby_venues', {
-      user_lat: lat,
-      user_lng: lng,
-      radius_km: radius
+    const venues = await venueService.getNearby(lat, lng, radius, {
+      openNow: typeof open_now === 'boolean' ? open_now : null,
+      userId: c.get('user').id,
+      sort: sort || 'distance',
+      vibe: vibe || null
     });
     
-    if (error) {
-      console.error('Error fetching nearby venues:', error);
-      return c.json({ error: 'Failed to fetch nearby venues' }, 500);
-    }
+    return c.json(venues);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get the venues in a map viewport, clustered for the zoom level
+ */
+export async function getVenueClusters(c) {
+  try {
+    const clusters = await venueService.getClusters(c.req.query(), c.get('user').id);
     
-    // Return venues data
-    return c.json(data || []);
+    return c.json(clusters);
   } catch (error) {
-    console.error('Error in getNearbyVenues:', error);
-    return c.json({ error: 'Internal server error' }, 500);
+    return errorUtils.handleError(error, c);
   }
 }
 
 /**
- * Get venue by ID
+ * Get the live crowd heatmap for a map viewport
  */
-export async function getVenueById(c) {
+export async function getVenueHeatmap(c) {
+  try {
+    const heatmap = await venueActivityService.getHeatmap(c.req.query());
+    
+    return c.json(heatmap);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get a venue's typical busyness for each hour of the week
+ */
+export async function getVenueBusyHours(c) {
   try {
     const venueId = c.req.param('id');
     
-    // Get venue from database
-    const { data, error } = await supabase
-      .from('venues')
-      .select('*')
-      .eq('id', venueId)
-      .single();
+    const busyHours = await venueActivityService.getBusyHours(venueId);
     
-    if (error) {
-      console.error('Error fetching venue:', error);
-      return c.json({ error: 'Failed to fetch venue' }, 500);
-    }
+    return c.json(busyHours);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get venue by ID, with its open status, rating, review average, review count and top vibe tags
+ */
+export async function getVenueById(c) {
+  try {
+    const venueId = c.req.param('id');
     
-    if (!data) {
-      return c.json({ error: 'Venue not found' }, 404);
-    }
+    const venue = await venueService.getById(venueId, c.get('user').id);
     
-    // Return venue data
-    return c.json(data);
+    return c.json(venue);
   } catch (error) {
-    console.error('Error in getVenueById:', error);
-    return c.json({ error: 'Internal server error' }, 500);
+    return errorUtils.handleError(error, c);
   }
 }
 
@@ -101,6 +124,130 @@ export async function getAllVenues(c) {
   }
 }
 
+/**
+ * Search venues by text with facet counts and cursor pagination
+ */
+export async function searchVenues(c) {
+  try {
+    const results = await venueService.search(c.req.query());
+    
+    return c.json(results);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Check the current user in at a venue
+ */
+export async function checkInAtVenue(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    const { lat, lng } = await c.req.json();
+    
+    const checkIn = await checkInService.checkIn(user.id, venueId, { lat, lng });
+    
+    return c.json(checkIn, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Refresh the current user's check-in with their latest location
+ */
+export async function refreshVenueCheckIn(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    const { lat, lng } = await c.req.json();
+    
+    const result = await checkInService.refreshCheckIn(user.id, venueId, { lat, lng });
+    
+    return c.json(result);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Check the current user out of a venue
+ */
+export async function checkOutOfVenue(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    
+    const checkIn = await checkInService.checkOut(user.id, venueId, 'manual');
+    
+    if (!checkIn) {
+      return c.json({ error: 'No active check-in at this venue' }, 404);
+    }
+    
+    return c.json(checkIn);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Check the current user in at a venue by scanning its QR code
+ */
+export async function qrCheckInAtVenue(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    const { token } = await c.req.json();
+    
+    if (!token) {
+      return c.json({ error: 'QR token is required' }, 400);
+    }
+    
+    const checkIn = await checkInService.checkInWithQr(user.id, venueId, token);
+    
+    return c.json(checkIn, 201);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Mint a signed, short-lived QR check-in token for a venue (admin only)
+ */
+export async function createVenueQrCode(c) {
+  try {
+    const venueId = c.req.param('id');
+    const { mode = 'screen' } = await c.req.json();
+    
+    const qrToken = await checkInService.createQrToken(venueId, mode);
+    
+    return c.json(qrToken);
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * Get the people currently checked in at a venue
+ */
+export async function getVenuePresence(c) {
+  try {
+    const user = c.get('user');
+    const venueId = c.req.param('id');
+    
+    const people = await checkInService.getPresentUsers(venueId, user.id);
+    
+    return c.json({
+      venue_id: venueId,
+      count: people.length,
+      people
+    });
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
 // Export venue routes
 export const venueRoutes = [
   {
@@ -109,12 +256,72 @@ export const venueRoutes = [
     handler: getNearbyVenues,
     middleware: [authMiddleware]
   },
+  {
+    method: 'GET',
+    path: '/api/venues/search',
+    handler: searchVenues,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/venues/clusters',
+    handler: getVenueClusters,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/venues/heatmap',
+    handler: getVenueHeatmap,
+    middleware: [authMiddleware]
+  },
   {
     method: 'GET',
     path: '/api/venues/:id',
     handler: getVenueById,
     middleware: [authMiddleware]
   },
+  {
+    method: 'GET',
+    path: '/api/venues/:id/busy-hours',
+    handler: getVenueBusyHours,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/venues/:id/check-in',
+    handler: checkInAtVenue,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'PUT',
+    path: '/api/venues/:id/check-in',
+    handler: refreshVenueCheckIn,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'DELETE',
+    path: '/api/venues/:id/check-in',
+    handler: checkOutOfVenue,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/venues/:id/qr-check-in',
+    handler: qrCheckInAtVenue,
+    middleware: [authMiddleware]
+  },
+  {
+    method: 'POST',
+    path: '/api/venues/:id/qr-code',
+    handler: createVenueQrCode,
+    middleware: [authMiddleware, adminMiddleware]
+  },
+  {
+    method: 'GET',
+    path: '/api/venues/:id/present',
+    handler: getVenuePresence,
+    middleware: [authMiddleware]
+  },
   {
     method: 'GET',
     path: '/api/venues',
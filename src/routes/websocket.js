@@ -1,18 +1,65 @@
+import { authMiddleware } from '../middleware/auth-middleware.js';
+import { createChatToken } from '../utils/chat-token.js';
+import { CHAT_PROTOCOL_VERSION } from '../utils/chat-protocol.js';
+import { errorUtils } from '../utils/error-utils.js';
+
 /**
- * WebSocket route handler
- * This route provides information about the WebSocket server
+ * How long a chat token can be used to open a connection
  */
-export const websocketRoute = {
-  method: 'GET',
-  path: '/api/1/ws',
-  handler: async (c) => {
-    // This route is just for information purposes
-    // The actual WebSocket server is set up in src/index.js
-    return c.json({
-      status: 'ok',
-      message: 'WebSocket server is running',
-      endpoint: '/api/1/ws',
-      info: 'Connect to this endpoint using a WebSocket client'
+const CHAT_TOKEN_TTL_SECONDS = parseInt(process.env.CHAT_TOKEN_TTL_SECONDS || '300', 10);
+
+/**
+ * Port of the WebSocket server, which runs next to the HTTP server
+ */
+function getWebSocketPort() {
+  return parseInt(process.env.PORT || '3000', 10) + 1;
+}
+
+/**
+ * Information about the WebSocket server
+ */
+export async function getWebSocketInfo(c) {
+  // The actual WebSocket server is set up in src/index.js
+  return c.json({
+    status: 'ok',
+    message: 'WebSocket server is running',
+    endpoint: '/api/1/ws',
+    port: getWebSocketPort(),
+    protocol: CHAT_PROTOCOL_VERSION,
+    info: 'Get a token from POST /api/chat/token, connect to the port and send {"type":"auth","token":"..."}'
+  });
+}
+
+/**
+ * Issue a short-lived token for the chat WebSocket handshake
+ */
+export async function createChatSocketToken(c) {
+  try {
+    const user = c.get('user');
+    
+    const { token, expires_at } = createChatToken(user.id, process.env.CHAT_TOKEN_SECRET, {
+      ttlSeconds: CHAT_TOKEN_TTL_SECONDS
     });
+    
+    return c.json({ token, expires_at, ws_port: getWebSocketPort(), protocol: CHAT_PROTOCOL_VERSION });
+  } catch (error) {
+    return errorUtils.handleError(error, c);
+  }
+}
+
+/**
+ * WebSocket routes
+ */
+export const websocketRoutes = [
+  {
+    method: 'GET',
+    path: '/api/1/ws',
+    handler: getWebSocketInfo
+  },
+  {
+    method: 'POST',
+    path: '/api/chat/token',
+    handler: createChatSocketToken,
+    middleware: [authMiddleware]
   }
-};
\ No newline at end of file
+];
@@ -0,0 +1,713 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { MAX_MESSAGE_LENGTH } from '../utils/chat-protocol.js';
+import { DEFAULT_MEDIA_LIMITS, checkMediaUpload } from '../utils/media-upload.js';
+import {
+  DEFAULT_EDIT_WINDOW_MINUTES,
+  editBlockedReason,
+  parseDisappearingTimer,
+  unsendBlockedReason
+} from '../utils/message-edits.js';
+import { buildSearchQuery, buildSnippet, findHighlights, parseSearchTerms } from '../utils/message-search.js';
+import { moderationService } from './moderation-service.js';
+import { mediaService } from './media-service.js';
+import { storageService } from './storage-service.js';
+
+/**
+ * Chat events for the WebSocket server to pass on to connected devices.
+ * Each event has user_ids: both people in the conversation.
+ *
+ * - message: { message, user_ids }
+ * - message_updated: { message, user_ids } after an edit
+ * - message_deleted: { message, user_ids } with the unsent message's tombstone
+ * - read: { conversation_id, user_id, read_at, user_ids }
+ * - conversation_updated: { conversation_id, disappearing_after_seconds, user_ids }
+ */
+export const chatEvents = new EventEmitter();
+
+/**
+ * Columns sent to clients for a message
+ */
+const MESSAGE_COLUMNS = 'id, conversation_id, sender_id, message_type, content, attachment_url, metadata, client_id, is_read, read_at, edited_at, deleted_at, expires_at, created_at, updated_at';
+
+/**
+ * How long after sending a message can be edited
+ */
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || String(DEFAULT_EDIT_WINDOW_MINUTES), 10);
+
+/**
+ * Errors for each reason a message can't be edited or unsent
+ */
+const CHANGE_BLOCKED_ERRORS = {
+  not_sender: () => new ApiError('You can only change your own messages', 403),
+  unsent: () => new ApiError('This message was unsent', 409),
+  not_text: () => errorUtils.validationError('Only text messages can be edited'),
+  window_closed: () => new ApiError(`Messages can only be edited for ${MESSAGE_EDIT_WINDOW_MINUTES} minutes after sending`, 409)
+};
+
+/**
+ * Size and length limits for photos and voice notes
+ */
+export const MEDIA_LIMITS = {
+  imageBytes: parseInt(process.env.MEDIA_MAX_IMAGE_BYTES || String(DEFAULT_MEDIA_LIMITS.imageBytes), 10),
+  audioBytes: parseInt(process.env.MEDIA_MAX_AUDIO_BYTES || String(DEFAULT_MEDIA_LIMITS.audioBytes), 10),
+  audioSeconds: parseInt(process.env.MEDIA_MAX_AUDIO_SECONDS || String(DEFAULT_MEDIA_LIMITS.audioSeconds), 10)
+};
+
+/**
+ * Text shown for media messages in previews and notifications
+ */
+const MEDIA_CONTENT = {
+  image: 'Sent a photo',
+  audio: 'Sent a voice note'
+};
+
+/**
+ * Encode a search cursor from the last result of a page
+ * @param {Object} row - Row from search_messages
+ * @returns {string} - Opaque cursor
+ */
+function encodeSearchCursor(row) {
+  return Buffer.from(JSON.stringify({ r: row.rank, t: row.created_at, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a search cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} - { rank, created_at, id }, or null if the cursor is invalid
+ */
+function decodeSearchCursor(cursor) {
+  try {
+    const { r, t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!Number.isFinite(r) || !t || Number.isNaN(new Date(t).getTime()) || !id) {
+      return null;
+    }
+
+    return { rank: r, created_at: t, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Service for sending and reading messages. Both the HTTP API and the chat
+ * WebSocket go through here, so they check access the same way and every
+ * new message reaches connected devices whichever way it was sent.
+ */
+export const chatService = {
+  /**
+   * Get a conversation the user is part of
+   * @param {string} userId - User
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} - { id, user_id_1, user_id_2, is_active, disappearing_after_seconds }
+   */
+  async getConversation(userId, conversationId) {
+    const { data: conversation, error } = await supabase
+      .from('conversations')
+      .select('id, user_id_1, user_id_2, is_active, disappearing_after_seconds, last_message_at')
+      .eq('id', conversationId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!conversation) {
+      throw errorUtils.notFoundError('Conversation not found');
+    }
+
+    if (conversation.user_id_1 !== userId && conversation.user_id_2 !== userId) {
+      throw new ApiError('Unauthorized access to conversation', 403);
+    }
+
+    // Conversations with blocked users are gone for both people
+    if (await moderationService.isBlocked(conversation.user_id_1, conversation.user_id_2)) {
+      throw errorUtils.notFoundError('Conversation not found');
+    }
+
+    return conversation;
+  },
+
+  /**
+   * Send a text message. With a client_id, sending the same message again
+   * (say after a dropped connection) returns the stored one instead of
+   * creating another.
+   * @param {string} userId - Sender
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} message - { content, client_id }
+   * @returns {Promise<Object>} - { message, duplicate }
+   */
+  async sendMessage(userId, conversationId, { content, client_id = null } = {}) {
+    const text = typeof content === 'string' ? content.trim() : '';
+
+    if (!text) {
+      throw errorUtils.validationError('Message content is required');
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw errorUtils.validationError(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const conversation = await this.getConversation(userId, conversationId);
+
+    if (client_id) {
+      const existing = await this._findByClientId(userId, client_id);
+      if (existing) {
+        return this._duplicate(existing, conversationId);
+      }
+    }
+
+    if (conversation.is_active === false) {
+      throw new ApiError('This conversation has ended', 409);
+    }
+
+    return this._createMessage(userId, conversation, {
+      message_type: 'text',
+      content: text,
+      client_id
+    });
+  },
+
+  /**
+   * Send a photo or voice note. Photos are stored without their metadata
+   * (GPS position included) and with a thumbnail; voice notes are stored
+   * with their length. The stored files are listed in the message metadata.
+   * @param {string} userId - Sender
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} upload - { buffer, message_type, caption, client_id }
+   * @returns {Promise<Object>} - { message, duplicate }
+   */
+  async sendMediaMessage(userId, conversationId, { buffer, message_type = null, caption = '', client_id = null } = {}) {
+    const check = checkMediaUpload(buffer, { messageType: message_type, limits: MEDIA_LIMITS });
+
+    if (check.error) {
+      throw errorUtils.validationError(check.error);
+    }
+
+    const text = typeof caption === 'string' ? caption.trim() : '';
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw errorUtils.validationError(`Captions can be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const conversation = await this.getConversation(userId, conversationId);
+
+    // A retried upload shouldn't be processed and stored again
+    if (client_id) {
+      const existing = await this._findByClientId(userId, client_id);
+      if (existing) {
+        return this._duplicate(existing, conversationId);
+      }
+    }
+
+    if (conversation.is_active === false) {
+      throw new ApiError('This conversation has ended', 409);
+    }
+
+    const basePath = `messages/${conversationId}/${randomUUID()}`;
+    const storedPaths = [];
+    let attachmentUrl;
+    let metadata;
+
+    try {
+      if (check.message_type === 'image') {
+        const { image, thumbnail, metadata: imageMetadata } = await mediaService.processImage(buffer, check.mime_type);
+
+        const stored = await storageService.storeMessageMedia(image.buffer, `${basePath}.${check.extension}`, image.content_type);
+        storedPaths.push(stored.path);
+        const storedThumbnail = await storageService.storeMessageMedia(thumbnail.buffer, `${basePath}_thumb.webp`, thumbnail.content_type);
+        storedPaths.push(storedThumbnail.path);
+
+        attachmentUrl = stored.url;
+        metadata = { ...imageMetadata, thumbnail_url: storedThumbnail.url, storage_paths: storedPaths };
+      } else {
+        const { metadata: audioMetadata } = await mediaService.processAudio(buffer, check.mime_type, MEDIA_LIMITS.audioSeconds);
+
+        const stored = await storageService.storeMessageMedia(buffer, `${basePath}.${check.extension}`, check.mime_type);
+        storedPaths.push(stored.path);
+
+        attachmentUrl = stored.url;
+        metadata = { ...audioMetadata, storage_paths: storedPaths };
+      }
+
+      const result = await this._createMessage(userId, conversation, {
+        message_type: check.message_type,
+        content: text || MEDIA_CONTENT[check.message_type],
+        attachment_url: attachmentUrl,
+        metadata,
+        client_id
+      });
+
+      // Another upload with the same client_id got there first
+      if (result.duplicate) {
+        await storageService.removeMessageMedia(storedPaths);
+      }
+
+      return result;
+    } catch (error) {
+      if (storedPaths.length > 0) {
+        await storageService.removeMessageMedia(storedPaths);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Mark the other person's messages in a conversation as read
+   * @param {string} userId - Reader
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} - { conversation_id, user_id, read_at }
+   */
+  async markRead(userId, conversationId) {
+    const conversation = await this.getConversation(userId, conversationId);
+
+    const [{ error: readError }, { error: countError }] = await Promise.all([
+      supabase.rpc('mark_messages_as_read', { p_conversation_id: conversationId, p_user_id: userId }),
+      supabase.rpc('reset_conversation_unread_count', { p_conversation_id: conversationId, p_user_id: userId })
+    ]);
+
+    if (readError) {
+      throw readError;
+    }
+
+    if (countError) {
+      throw countError;
+    }
+
+    const receipt = { conversation_id: conversationId, user_id: userId, read_at: new Date().toISOString() };
+
+    chatEvents.emit('read', { ...receipt, user_ids: [conversation.user_id_1, conversation.user_id_2] });
+
+    return receipt;
+  },
+
+  /**
+   * Edit a text message. Only the sender can, and only for a while after
+   * sending; what it said before is kept for moderation.
+   * @param {string} userId - Sender
+   * @param {string} messageId - Message ID
+   * @param {Object} changes - { content }
+   * @returns {Promise<Object>} - Updated message
+   */
+  async editMessage(userId, messageId, { content } = {}) {
+    const text = typeof content === 'string' ? content.trim() : '';
+
+    if (!text) {
+      throw errorUtils.validationError('Message content is required');
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw errorUtils.validationError(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const { message, conversation } = await this._getMessage(userId, messageId);
+
+    const reason = editBlockedReason(message, userId, { editWindowMinutes: MESSAGE_EDIT_WINDOW_MINUTES });
+    if (reason) {
+      throw CHANGE_BLOCKED_ERRORS[reason]();
+    }
+
+    if (text === message.content) {
+      return message;
+    }
+
+    await this._recordHistory(userId, message, 'edit');
+
+    const { data: updated, error } = await supabase
+      .from('messages')
+      .update({ content: text, edited_at: new Date().toISOString() })
+      .eq('id', messageId)
+      .is('deleted_at', null)
+      .select(MESSAGE_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    // Unsent while we were editing it
+    if (!updated) {
+      throw CHANGE_BLOCKED_ERRORS.unsent();
+    }
+
+    await this._updatePreview(conversation, updated, text);
+
+    chatEvents.emit('message_updated', { message: updated, user_ids: [conversation.user_id_1, conversation.user_id_2] });
+
+    return updated;
+  },
+
+  /**
+   * Unsend a message for everyone. The message stays as a tombstone so the
+   * conversation shows where it was; its content and files are removed and
+   * the content is kept for moderation.
+   * @param {string} userId - Sender
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} - Tombstone
+   */
+  async unsendMessage(userId, messageId) {
+    const { message, conversation } = await this._getMessage(userId, messageId);
+
+    const reason = unsendBlockedReason(message, userId);
+    if (reason) {
+      throw CHANGE_BLOCKED_ERRORS[reason]();
+    }
+
+    await this._recordHistory(userId, message, 'unsend');
+
+    const { data: tombstone, error } = await supabase
+      .from('messages')
+      .update({
+        content: '',
+        attachment_url: null,
+        metadata: null,
+        deleted_at: new Date().toISOString()
+      })
+      .eq('id', messageId)
+      .is('deleted_at', null)
+      .select(MESSAGE_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!tombstone) {
+      throw CHANGE_BLOCKED_ERRORS.unsent();
+    }
+
+    if (message.metadata?.storage_paths?.length > 0) {
+      await storageService.removeMessageMedia(message.metadata.storage_paths);
+    }
+
+    await this._updatePreview(conversation, tombstone, null);
+
+    chatEvents.emit('message_deleted', { message: tombstone, user_ids: [conversation.user_id_1, conversation.user_id_2] });
+
+    return tombstone;
+  },
+
+  /**
+   * Turn disappearing messages on or off for a conversation. Either person
+   * can; the timer applies to messages sent from then on.
+   * @param {string} userId - User
+   * @param {string} conversationId - Conversation ID
+   * @param {*} seconds - One of DISAPPEARING_TIMER_OPTIONS, or null/0/'off'
+   * @returns {Promise<Object>} - { conversation_id, disappearing_after_seconds }
+   */
+  async setDisappearingTimer(userId, conversationId, seconds) {
+    const timer = parseDisappearingTimer(seconds);
+
+    if (timer.error) {
+      throw errorUtils.validationError(timer.error);
+    }
+
+    const conversation = await this.getConversation(userId, conversationId);
+
+    const { error } = await supabase
+      .from('conversations')
+      .update({ disappearing_after_seconds: timer.seconds })
+      .eq('id', conversationId);
+
+    if (error) {
+      throw error;
+    }
+
+    const result = { conversation_id: conversationId, disappearing_after_seconds: timer.seconds };
+
+    chatEvents.emit('conversation_updated', { ...result, user_ids: [conversation.user_id_1, conversation.user_id_2] });
+
+    return result;
+  },
+
+  /**
+   * Delete disappearing messages whose time is up, along with their files
+   * @returns {Promise<number>} - Number of messages purged
+   */
+  async purgeExpiredMessages() {
+    const { data: purged, error } = await supabase.rpc('purge_expired_messages');
+
+    if (error) {
+      console.error('Error purging expired messages:', error);
+      throw error;
+    }
+
+    const paths = (purged || []).flatMap(message => message.metadata?.storage_paths || []);
+
+    if (paths.length > 0) {
+      await storageService.removeMessageMedia(paths);
+    }
+
+    return (purged || []).length;
+  },
+
+  /**
+   * Search the user's messages, best matches first. Only conversations the
+   * user is part of are searched; unsent and expired messages and
+   * conversations with blocked people are left out.
+   * @param {string} userId - User searching
+   * @param {Object} options - { q, conversation_id, limit, cursor }
+   * @returns {Promise<Object>} - { results, next_cursor } where each result is
+   *   { message, rank, highlights, snippet, conversation }. highlights are
+   *   { start, end } offsets into message.content; snippet is { text, offset,
+   *   highlights } with its highlights relative to snippet.text.
+   */
+  async searchMessages(userId, { q, conversation_id = null, limit = 20, cursor = null } = {}) {
+    const terms = parseSearchTerms(q);
+    if (terms.length === 0) {
+      throw errorUtils.validationError('Search must be at least 2 characters');
+    }
+
+    const pageSize = parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 50) {
+      throw errorUtils.validationError('limit must be between 1 and 50');
+    }
+
+    const after = cursor ? decodeSearchCursor(cursor) : null;
+    if (cursor && !after) {
+      throw errorUtils.validationError('Invalid cursor');
+    }
+
+    // Searching one conversation needs the same access as reading it
+    if (conversation_id) {
+      await this.getConversation(userId, conversation_id);
+    }
+
+    // One extra row tells us whether there is another page
+    const { data, error } = await supabase.rpc('search_messages', {
+      viewer_id: userId,
+      search_query: buildSearchQuery(terms),
+      in_conversation: conversation_id,
+      before_rank: after ? after.rank : null,
+      before_at: after ? after.created_at : null,
+      before_id: after ? after.id : null,
+      max_results: pageSize + 1
+    });
+
+    if (error) {
+      console.error('Error searching messages:', error);
+      throw error;
+    }
+
+    const rows = (data || []).slice(0, pageSize);
+
+    return {
+      results: rows.map(row => {
+        const highlights = findHighlights(row.content, terms);
+
+        return {
+          message: {
+            id: row.id,
+            conversation_id: row.conversation_id,
+            sender_id: row.sender_id,
+            message_type: row.message_type,
+            content: row.content,
+            attachment_url: row.attachment_url,
+            created_at: row.created_at,
+            edited_at: row.edited_at
+          },
+          rank: Number(row.rank),
+          highlights,
+          snippet: buildSnippet(row.content, highlights),
+          conversation: {
+            id: row.conversation_id,
+            partner: {
+              id: row.partner_id,
+              display_name: row.display_name || row.full_name || null,
+              avatar_url: row.avatar_url
+            }
+          }
+        };
+      }),
+      next_cursor: (data || []).length > pageSize ? encodeSearchCursor(rows[rows.length - 1]) : null
+    };
+  },
+
+  /**
+   * Get a message from a conversation the user is part of
+   * @param {string} userId - User
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} - { message, conversation }
+   * @private
+   */
+  async _getMessage(userId, messageId) {
+    const { data: message, error } = await supabase
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    // Expired messages are gone even if the purge hasn't run yet
+    if (!message || (message.expires_at && new Date(message.expires_at) <= new Date())) {
+      throw errorUtils.notFoundError('Message not found');
+    }
+
+    const conversation = await this.getConversation(userId, message.conversation_id);
+
+    return { message, conversation };
+  },
+
+  /**
+   * Keep what a message said before it was edited or unsent
+   * @param {string} userId - Who changed it
+   * @param {Object} message - Message before the change
+   * @param {string} action - edit or unsend
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordHistory(userId, message, action) {
+    const { error } = await supabase
+      .from('message_edits')
+      .insert({
+        message_id: message.id,
+        conversation_id: message.conversation_id,
+        editor_id: userId,
+        action,
+        previous_content: message.content,
+        previous_attachment_url: message.attachment_url
+      });
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Update the conversation preview if it shows the message that changed
+   * @param {Object} conversation - Conversation from getConversation
+   * @param {Object} message - Changed message
+   * @param {string|null} text - New preview text
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updatePreview(conversation, message, text) {
+    if (!conversation.last_message_at || new Date(conversation.last_message_at).getTime() !== new Date(message.created_at).getTime()) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from('conversations')
+      .update({ last_message_text: text })
+      .eq('id', conversation.id);
+
+    if (error) {
+      console.error('Error updating conversation preview:', error);
+    }
+  },
+
+  /**
+   * Store a message, let the recipient know and pass it on to connected devices
+   * @param {string} userId - Sender
+   * @param {Object} conversation - Conversation from getConversation
+   * @param {Object} fields - Message columns: message_type, content, client_id and so on
+   * @returns {Promise<Object>} - { message, duplicate }
+   * @private
+   */
+  async _createMessage(userId, conversation, fields) {
+    const { data: message, error } = await supabase
+      .from('messages')
+      .insert({
+        ...fields,
+        conversation_id: conversation.id,
+        sender_id: userId
+      })
+      .select(MESSAGE_COLUMNS)
+      .single();
+
+    if (error) {
+      // Another request with the same client_id got there first
+      if (error.code === '23505' && fields.client_id) {
+        return this._duplicate(await this._findByClientId(userId, fields.client_id), conversation.id);
+      }
+      throw error;
+    }
+
+    const recipientId = conversation.user_id_1 === userId ? conversation.user_id_2 : conversation.user_id_1;
+    await this._notifyRecipient(message, recipientId);
+
+    chatEvents.emit('message', { message, user_ids: [conversation.user_id_1, conversation.user_id_2] });
+
+    return { message, duplicate: false };
+  },
+
+  /**
+   * Find a message by the ID its sender's device gave it
+   * @param {string} userId - Sender
+   * @param {string} clientId - Client-generated ID
+   * @returns {Promise<Object|null>} - Message, or null
+   * @private
+   */
+  async _findByClientId(userId, clientId) {
+    const { data, error } = await supabase
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('sender_id', userId)
+      .eq('client_id', clientId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Return a message that was already stored for a client_id
+   * @param {Object} message - Stored message
+   * @param {string} conversationId - Conversation the resend was for
+   * @returns {Object} - { message, duplicate: true }
+   * @private
+   */
+  _duplicate(message, conversationId) {
+    if (!message || message.conversation_id !== conversationId) {
+      throw new ApiError('client_id was already used for another message', 409);
+    }
+
+    return { message, duplicate: true };
+  },
+
+  /**
+   * Let the recipient know about a new message
+   * @param {Object} message - New message
+   * @param {string} recipientId - Recipient
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifyRecipient(message, recipientId) {
+    const { data: sender } = await supabase
+      .from('profiles')
+      .select('display_name, full_name')
+      .eq('id', message.sender_id)
+      .maybeSingle();
+
+    const name = sender?.display_name || sender?.full_name || 'Someone';
+    const preview = message.content.length > 30 ? `${message.content.substring(0, 30)}...` : message.content;
+
+    const { error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: recipientId,
+        type: 'message',
+        title: 'New Message',
+        message: `${name} sent you a message: "${preview}"`,
+        read: false,
+        data: {
+          conversation_id: message.conversation_id,
+          message_id: message.id,
+          user_id: message.sender_id
+        }
+      });
+
+    if (error) {
+      console.error('Error creating message notification:', error);
+    }
+  }
+};
@@ -0,0 +1,276 @@
+import { WebSocket } from 'ws';
+import { verifyChatToken } from '../utils/chat-token.js';
+import {
+  CHAT_PROTOCOL_VERSION,
+  errorCodeFor,
+  parseClientFrame,
+  serverFrame
+} from '../utils/chat-protocol.js';
+import { chatEvents, chatService } from './chat-service.js';
+
+/**
+ * How long a new connection has to authenticate before it is closed
+ */
+const CHAT_AUTH_TIMEOUT_SECONDS = parseInt(process.env.CHAT_AUTH_TIMEOUT_SECONDS || '10', 10);
+
+/**
+ * How often connections are pinged; ones that don't answer by the next
+ * round are dropped
+ */
+const CHAT_HEARTBEAT_SECONDS = parseInt(process.env.CHAT_HEARTBEAT_SECONDS || '30', 10);
+
+/**
+ * Close codes sent to clients
+ */
+const CLOSE_CODES = {
+  unauthorized: 4001,
+  authTimeout: 4008
+};
+
+// Connected, authenticated sockets by user ID
+const userSockets = new Map();
+
+/**
+ * Send a frame to one socket if it is still open
+ * @param {WebSocket} ws - Socket
+ * @param {string} type - Frame type
+ * @param {Object} payload - Other fields
+ */
+function send(ws, type, payload = {}) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(serverFrame(type, payload));
+  }
+}
+
+/**
+ * Send a frame to every device of some users
+ * @param {Array<string>} userIds - Users
+ * @param {string} type - Frame type
+ * @param {Object} payload - Other fields
+ * @param {Function} filter - Which of their sockets to include
+ */
+function sendToUsers(userIds, type, payload, filter = () => true) {
+  new Set(userIds).forEach(userId => {
+    (userSockets.get(userId) || new Set()).forEach(ws => {
+      if (filter(ws)) {
+        send(ws, type, payload);
+      }
+    });
+  });
+}
+
+/**
+ * Service for the chat WebSocket server: authenticates connections, tracks
+ * which conversations each device has open and passes chat events on to
+ * every connected device of the people involved.
+ * See src/utils/chat-protocol.js for the frames.
+ */
+export const chatSocketService = {
+  /**
+   * Start handling chat connections on a WebSocket server
+   * @param {WebSocketServer} wss - Server from the ws package
+   */
+  attach(wss) {
+    wss.on('connection', ws => this._onConnection(ws));
+
+    const heartbeat = setInterval(() => {
+      wss.clients.forEach(ws => {
+        if (ws.isAlive === false) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, CHAT_HEARTBEAT_SECONDS * 1000);
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    chatEvents.on('message', ({ message, user_ids }) => {
+      sendToUsers(user_ids, 'message', { message });
+    });
+
+    chatEvents.on('read', ({ user_ids, ...receipt }) => {
+      sendToUsers(user_ids, 'read', receipt);
+    });
+
+    chatEvents.on('message_updated', ({ message, user_ids }) => {
+      sendToUsers(user_ids, 'message_updated', { message });
+    });
+
+    chatEvents.on('message_deleted', ({ message, user_ids }) => {
+      sendToUsers(user_ids, 'message_deleted', { message });
+    });
+
+    chatEvents.on('conversation_updated', ({ user_ids, ...changes }) => {
+      sendToUsers(user_ids, 'conversation_updated', changes);
+    });
+  },
+
+  /**
+   * Number of devices a user has connected
+   * @param {string} userId - User
+   * @returns {number} - Open connections
+   */
+  connectionCount(userId) {
+    return (userSockets.get(userId) || new Set()).size;
+  },
+
+  /**
+   * Set up a new connection and wait for it to authenticate
+   * @param {WebSocket} ws - New socket
+   * @private
+   */
+  _onConnection(ws) {
+    ws.isAlive = true;
+    ws.userId = null;
+    ws.subscriptions = new Set();
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const authTimer = setTimeout(() => {
+      if (!ws.userId) {
+        ws.close(CLOSE_CODES.authTimeout, 'Authentication timed out');
+      }
+    }, CHAT_AUTH_TIMEOUT_SECONDS * 1000);
+
+    ws.on('message', raw => {
+      this._onFrame(ws, raw).catch(error => {
+        console.error('Error handling chat frame:', error);
+      });
+    });
+
+    ws.on('close', () => {
+      clearTimeout(authTimer);
+      this._forget(ws);
+    });
+
+    ws.on('error', error => {
+      console.error('Chat socket error:', error);
+    });
+
+    send(ws, 'hello', { protocol: CHAT_PROTOCOL_VERSION });
+  },
+
+  /**
+   * Handle one frame from a client
+   * @param {WebSocket} ws - Socket it came on
+   * @param {string|Buffer} raw - Frame as received
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _onFrame(ws, raw) {
+    const { frame, error } = parseClientFrame(raw);
+
+    if (error) {
+      send(ws, 'error', error);
+      return;
+    }
+
+    if (!ws.userId) {
+      this._authenticate(ws, frame);
+      return;
+    }
+
+    const ref = frame.client_id || null;
+
+    try {
+      switch (frame.type) {
+        case 'auth':
+          send(ws, 'ready', { user_id: ws.userId, protocol: CHAT_PROTOCOL_VERSION });
+          break;
+
+        case 'subscribe':
+          await chatService.getConversation(ws.userId, frame.conversation_id);
+          ws.subscriptions.add(frame.conversation_id);
+          send(ws, 'subscribed', { conversation_id: frame.conversation_id });
+          break;
+
+        case 'unsubscribe':
+          ws.subscriptions.delete(frame.conversation_id);
+          send(ws, 'unsubscribed', { conversation_id: frame.conversation_id });
+          break;
+
+        case 'send': {
+          const { message, duplicate } = await chatService.sendMessage(ws.userId, frame.conversation_id, {
+            content: frame.content,
+            client_id: frame.client_id
+          });
+          send(ws, 'ack', { client_id: frame.client_id, message, duplicate });
+          break;
+        }
+
+        case 'typing': {
+          const conversation = await chatService.getConversation(ws.userId, frame.conversation_id);
+          const otherUserId = conversation.user_id_1 === ws.userId ? conversation.user_id_2 : conversation.user_id_1;
+          sendToUsers([otherUserId], 'typing', {
+            conversation_id: frame.conversation_id,
+            user_id: ws.userId,
+            is_typing: frame.is_typing
+          }, other => other.subscriptions.has(frame.conversation_id));
+          break;
+        }
+
+        case 'read':
+          await chatService.markRead(ws.userId, frame.conversation_id);
+          break;
+
+        case 'ping':
+          send(ws, 'pong', { at: new Date().toISOString() });
+          break;
+      }
+    } catch (handlerError) {
+      if (!handlerError.statusCode) {
+        console.error(`Error handling chat ${frame.type} frame:`, handlerError);
+      }
+      send(ws, 'error', {
+        code: errorCodeFor(handlerError),
+        message: handlerError.statusCode ? handlerError.message : 'Something went wrong',
+        ref
+      });
+    }
+  },
+
+  /**
+   * Check the handshake. Anything but a valid auth frame closes the socket.
+   * @param {WebSocket} ws - Unauthenticated socket
+   * @param {Object} frame - Parsed frame
+   * @private
+   */
+  _authenticate(ws, frame) {
+    const result = frame.type === 'auth'
+      ? verifyChatToken(frame.token, process.env.CHAT_TOKEN_SECRET)
+      : { valid: false, reason: 'auth_required' };
+
+    if (!result.valid) {
+      send(ws, 'error', { code: 'unauthorized', message: `Authentication failed: ${result.reason}`, ref: null });
+      ws.close(CLOSE_CODES.unauthorized, 'Unauthorized');
+      return;
+    }
+
+    ws.userId = result.user_id;
+    if (!userSockets.has(ws.userId)) {
+      userSockets.set(ws.userId, new Set());
+    }
+    userSockets.get(ws.userId).add(ws);
+
+    send(ws, 'ready', { user_id: ws.userId, protocol: CHAT_PROTOCOL_VERSION });
+  },
+
+  /**
+   * Stop tracking a closed socket
+   * @param {WebSocket} ws - Closed socket
+   * @private
+   */
+  _forget(ws) {
+    const sockets = userSockets.get(ws.userId);
+    if (!sockets) return;
+
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      userSockets.delete(ws.userId);
+    }
+  }
+};
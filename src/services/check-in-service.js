@@ -0,0 +1,390 @@
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { isValidCoordinate, isWithinRadius } from '../utils/geo.js';
+import { createVenueQrToken, verifyVenueQrToken } from '../utils/venue-qr-token.js';
+import { moderationService } from './moderation-service.js';
+
+/**
+ * How long a check-in stays live without a location refresh
+ */
+const CHECK_IN_DURATION_MINUTES = parseInt(process.env.CHECK_IN_DURATION_MINUTES || '180', 10);
+
+/**
+ * How far from the venue a user can be and still count as present
+ */
+const CHECK_IN_GEOFENCE_RADIUS_METERS = parseInt(process.env.CHECK_IN_GEOFENCE_RADIUS_METERS || '150', 10);
+
+/**
+ * Lifetimes for venue QR codes: on-screen codes rotate quickly,
+ * printed codes have to last until the next print run
+ */
+const VENUE_QR_TTL_SECONDS = {
+  screen: parseInt(process.env.VENUE_QR_SCREEN_TTL_SECONDS || '300', 10),
+  print: parseInt(process.env.VENUE_QR_PRINT_TTL_SECONDS || '86400', 10)
+};
+
+/**
+ * Service for venue check-ins and live presence
+ */
+export const checkInService = {
+  /**
+   * Calculate when a check-in started or refreshed now should expire
+   * @param {Date} from - Start time
+   * @returns {string} - ISO timestamp
+   * @private
+   */
+  _expiresAt(from = new Date()) {
+    return new Date(from.getTime() + CHECK_IN_DURATION_MINUTES * 60 * 1000).toISOString();
+  },
+
+  /**
+   * Get an active venue or throw a 404
+   * @param {string} venueId - Venue ID
+   * @returns {Promise<Object>} - Venue record
+   * @private
+   */
+  async _getVenue(venueId) {
+    const { data: venue, error } = await supabase
+      .from('venues')
+      .select('id, name, lat, lng, is_active')
+      .eq('id', venueId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!venue || venue.is_active === false) {
+      throw errorUtils.notFoundError('Venue not found');
+    }
+
+    return venue;
+  },
+
+  /**
+   * Get the user's live check-in, if any
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Check-in record or null
+   */
+  async getActiveCheckIn(userId) {
+    const { data, error } = await supabase
+      .from('venue_check_ins')
+      .select('*')
+      .eq('user_id', userId)
+      .is('checked_out_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Check a user in at a venue by GPS location
+   * @param {string} userId - User ID
+   * @param {string} venueId - Venue ID
+   * @param {Object} location - Current location of the user
+   * @param {number} location.lat - Latitude
+   * @param {number} location.lng - Longitude
+   * @returns {Promise<Object>} - New check-in record
+   */
+  async checkIn(userId, venueId, { lat, lng } = {}) {
+    if (!isValidCoordinate(lat, lng)) {
+      throw errorUtils.validationError('Valid latitude and longitude are required to check in');
+    }
+
+    const venue = await this._getVenue(venueId);
+
+    if (!isWithinRadius(Number(lat), Number(lng), venue.lat, venue.lng, CHECK_IN_GEOFENCE_RADIUS_METERS)) {
+      throw new ApiError(`You need to be at ${venue.name} to check in`, 403);
+    }
+
+    return this._startCheckIn(userId, venueId, 'gps');
+  },
+
+  /**
+   * Check a user in by a scanned venue QR code.
+   * A valid code proves physical presence, so no geofence check is needed.
+   * @param {string} userId - User ID
+   * @param {string} venueId - Venue ID
+   * @param {string} token - Signed token from the QR code
+   * @returns {Promise<Object>} - New check-in record
+   */
+  async checkInWithQr(userId, venueId, token) {
+    const { valid, reason } = verifyVenueQrToken(token, venueId, process.env.VENUE_QR_SECRET);
+
+    if (!valid) {
+      const message = reason === 'expired'
+        ? 'This QR code has expired. Please scan the current code at the venue.'
+        : 'Invalid QR code';
+      throw new ApiError(message, 403);
+    }
+
+    await this._getVenue(venueId);
+
+    return this._startCheckIn(userId, venueId, 'qr');
+  },
+
+  /**
+   * Mint a signed check-in token for a venue's QR code
+   * @param {string} venueId - Venue ID
+   * @param {string} mode - 'screen' for rotating displays, 'print' for printed codes
+   * @returns {Promise<Object>} - { venue_id, token, expires_at, mode }
+   */
+  async createQrToken(venueId, mode = 'screen') {
+    if (!VENUE_QR_TTL_SECONDS[mode]) {
+      throw errorUtils.validationError('Mode must be either "screen" or "print"');
+    }
+
+    if (!process.env.VENUE_QR_SECRET) {
+      throw errorUtils.serverError('Venue QR codes are not configured');
+    }
+
+    await this._getVenue(venueId);
+
+    const { token, expires_at } = createVenueQrToken(venueId, process.env.VENUE_QR_SECRET, {
+      ttlSeconds: VENUE_QR_TTL_SECONDS[mode]
+    });
+
+    return { venue_id: venueId, token, expires_at, mode };
+  },
+
+  /**
+   * Start a new check-in, ending any check-in the user has elsewhere.
+   * Where the user was is not stored; it is only needed for the geofence
+   * check. When two check-ins race, the one that lost gets the winner back if
+   * it was for the same venue, or a 409.
+   * @param {string} userId - User ID
+   * @param {string} venueId - Venue ID
+   * @param {string} method - 'gps' or 'qr'
+   * @returns {Promise<Object>} - New check-in record
+   * @private
+   */
+  async _startCheckIn(userId, venueId, method) {
+    // End any existing check-in so the one-active-per-user index holds
+    const { error: closeError } = await supabase
+      .from('venue_check_ins')
+      .update({
+        checked_out_at: new Date().toISOString(),
+        check_out_reason: 'switched_venue'
+      })
+      .eq('user_id', userId)
+      .is('checked_out_at', null);
+
+    if (closeError) {
+      throw closeError;
+    }
+
+    const now = new Date();
+    const { data: checkIn, error } = await supabase
+      .from('venue_check_ins')
+      .insert({
+        user_id: userId,
+        venue_id: venueId,
+        checked_in_at: now.toISOString(),
+        last_seen_at: now.toISOString(),
+        expires_at: this._expiresAt(now),
+        method
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Another check-in for this user was started between the close and the insert
+      if (error.code === '23505') {
+        const active = await this.getActiveCheckIn(userId);
+
+        if (active && active.venue_id === venueId) {
+          return active;
+        }
+
+        throw new ApiError('You just checked in somewhere else. Please try again.', 409);
+      }
+      throw error;
+    }
+
+    return checkIn;
+  },
+
+  /**
+   * Refresh a live check-in with the user's latest location.
+   * The check-in is ended if the user has left the venue's geofence.
+   * @param {string} userId - User ID
+   * @param {string} venueId - Venue ID
+   * @param {Object} location - Current location of the user
+   * @param {number} location.lat - Latitude
+   * @param {number} location.lng - Longitude
+   * @returns {Promise<Object>} - { check_in, ended }
+   */
+  async refreshCheckIn(userId, venueId, { lat, lng } = {}) {
+    if (!isValidCoordinate(lat, lng)) {
+      throw errorUtils.validationError('Valid latitude and longitude are required');
+    }
+
+    const active = await this.getActiveCheckIn(userId);
+
+    if (!active || active.venue_id !== venueId) {
+      throw errorUtils.notFoundError('No active check-in at this venue');
+    }
+
+    const venue = await this._getVenue(venueId);
+
+    if (!isWithinRadius(Number(lat), Number(lng), venue.lat, venue.lng, CHECK_IN_GEOFENCE_RADIUS_METERS)) {
+      const ended = await this.checkOut(userId, venueId, 'left_geofence');
+      return { check_in: ended, ended: true };
+    }
+
+    const now = new Date();
+    const { data: checkIn, error } = await supabase
+      .from('venue_check_ins')
+      .update({
+        last_seen_at: now.toISOString(),
+        expires_at: this._expiresAt(now)
+      })
+      .eq('id', active.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return { check_in: checkIn, ended: false };
+  },
+
+  /**
+   * End a user's check-in at a venue
+   * @param {string} userId - User ID
+   * @param {string} venueId - Venue ID
+   * @param {string} reason - Check-out reason
+   * @returns {Promise<Object|null>} - Ended check-in, or null if none was active
+   */
+  async checkOut(userId, venueId, reason = 'manual') {
+    const { data, error } = await supabase
+      .from('venue_check_ins')
+      .update({
+        checked_out_at: new Date().toISOString(),
+        check_out_reason: reason
+      })
+      .eq('user_id', userId)
+      .eq('venue_id', venueId)
+      .is('checked_out_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the users currently checked in at a venue
+   * @param {string} venueId - Venue ID
+   * @param {string} excludeUserId - User ID to leave out (usually the requester),
+   *   along with anyone they have blocked or been blocked by
+   * @returns {Promise<Array>} - Present users with their check-in times
+   */
+  async getPresentUsers(venueId, excludeUserId = null) {
+    let query = supabase
+      .from('venue_check_ins')
+      .select('user_id, checked_in_at, last_seen_at, method')
+      .eq('venue_id', venueId)
+      .is('checked_out_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('checked_in_at', { ascending: false });
+
+    if (excludeUserId) {
+      query = query.neq('user_id', excludeUserId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const blockedIds = excludeUserId ? await moderationService.getBlockedUserIds(excludeUserId) : new Set();
+    const checkIns = (data || []).filter(checkIn => !blockedIds.has(checkIn.user_id));
+
+    if (checkIns.length === 0) {
+      return [];
+    }
+
+    // Fetch profiles in a separate query to avoid foreign key relationship issues
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, display_name, avatar_url, is_verified')
+      .in('id', checkIns.map(checkIn => checkIn.user_id));
+
+    if (profilesError) {
+      throw profilesError;
+    }
+
+    const profileMap = {};
+    (profiles || []).forEach(profile => {
+      profileMap[profile.id] = profile;
+    });
+
+    return checkIns.map(checkIn => ({
+      ...(profileMap[checkIn.user_id] || { id: checkIn.user_id }),
+      checked_in_at: checkIn.checked_in_at,
+      last_seen_at: checkIn.last_seen_at,
+      verified_here: checkIn.method === 'qr'
+    }));
+  },
+
+  /**
+   * Count the people currently checked in at each of a set of venues
+   * @param {Array<string>} venueIds - Venue IDs
+   * @returns {Promise<Object>} - Counts keyed by venue ID
+   */
+  async getPresenceCounts(venueIds) {
+    if (!venueIds || venueIds.length === 0) {
+      return {};
+    }
+
+    const { data, error } = await supabase
+      .from('venue_check_ins')
+      .select('venue_id')
+      .in('venue_id', venueIds)
+      .is('checked_out_at', null)
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).reduce((counts, checkIn) => {
+      counts[checkIn.venue_id] = (counts[checkIn.venue_id] || 0) + 1;
+      return counts;
+    }, {});
+  },
+
+  /**
+   * Close out check-ins whose expiry time has passed
+   * @returns {Promise<number>} - Number of check-ins expired
+   */
+  async expireCheckIns() {
+    const { data, error } = await supabase
+      .from('venue_check_ins')
+      .update({
+        checked_out_at: new Date().toISOString(),
+        check_out_reason: 'expired'
+      })
+      .is('checked_out_at', null)
+      .lte('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) {
+      console.error('Error expiring check-ins:', error);
+      throw error;
+    }
+
+    return data ? data.length : 0;
+  }
+};
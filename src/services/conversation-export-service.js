@@ -0,0 +1,209 @@
+import { supabase } from '../utils/supabase.js';
+import { errorUtils } from '../utils/error-utils.js';
+import {
+  EXPORT_FORMATS,
+  buildTranscriptMarkdown,
+  exportFilename,
+  toExportMessage
+} from '../utils/conversation-export.js';
+import { isValidTimeZone } from '../utils/opening-hours.js';
+import { chatService } from './chat-service.js';
+import { markdownService } from './markdown-service.js';
+import { pdfService } from './pdf-service.js';
+import { epubService } from './epub-service.js';
+import { storageService } from './storage-service.js';
+
+/**
+ * Most messages in one export; longer conversations keep the latest
+ */
+const CONVERSATION_EXPORT_MAX_MESSAGES = parseInt(process.env.CONVERSATION_EXPORT_MAX_MESSAGES || '5000', 10);
+
+/**
+ * Messages fetched per query; Supabase returns at most 1000 rows at a time
+ */
+const EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Service for exporting a conversation as a PDF, EPUB, Markdown or JSON
+ * transcript, for keeping or for attaching to a safety report
+ */
+export const conversationExportService = {
+  /**
+   * Export a conversation the user is part of
+   * @param {string} userId - User exporting
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - { format, tz }
+   * @returns {Promise<Object>} - { body, content_type, filename } where body
+   *   is a Buffer or string
+   */
+  async exportConversation(userId, conversationId, { format = 'pdf', tz = 'UTC' } = {}) {
+    if (!EXPORT_FORMATS[format]) {
+      throw errorUtils.validationError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    if (!isValidTimeZone(tz)) {
+      throw errorUtils.validationError('Invalid time zone');
+    }
+
+    // Same access as reading the conversation; ended ones can still be
+    // exported, conversations with blocked people can't
+    const conversation = await chatService.getConversation(userId, conversationId);
+    const partnerId = conversation.user_id_1 === userId ? conversation.user_id_2 : conversation.user_id_1;
+
+    const [names, { messages, truncated }] = await Promise.all([
+      this._getNames([userId, partnerId]),
+      this._getMessages(conversationId)
+    ]);
+
+    const exportedAt = new Date();
+    const partnerName = names[partnerId] || 'Unknown';
+    // Only links into our own media bucket make it into the transcript
+    const mediaUrlPrefix = storageService.messageMediaUrlPrefix();
+    const entries = messages.map(message => toExportMessage(message, names, { mediaUrlPrefix }));
+    const { content_type } = EXPORT_FORMATS[format];
+    const filename = exportFilename(partnerName, format, exportedAt);
+
+    if (format === 'json') {
+      const transcript = {
+        conversation: {
+          id: conversationId,
+          participants: [userId, partnerId].map(id => ({ id, name: names[id] || 'Unknown' }))
+        },
+        exported_at: exportedAt.toISOString(),
+        time_zone: tz,
+        truncated,
+        messages: entries
+      };
+
+      return { body: JSON.stringify(transcript, null, 2), content_type, filename };
+    }
+
+    const title = `Chat with ${partnerName}`;
+    const markdown = buildTranscriptMarkdown({ title, messages: entries, timeZone: tz, exportedAt, truncated });
+
+    if (format === 'md') {
+      return { body: markdown, content_type, filename };
+    }
+
+    const html = this._transcriptHtml(title, markdownService.markdownToHtml(markdown));
+
+    // The title comes from the HTML <title>; passing it as an option would
+    // put a user's name into the pandoc command line. The PDF is rendered
+    // without scripts and can only load images from the media bucket.
+    const body = format === 'pdf'
+      ? await pdfService.generatePdf(html, {}, {
+        javaScriptEnabled: false,
+        allowedOrigins: [new URL(mediaUrlPrefix).origin]
+      })
+      : await epubService.generateEpub(html);
+
+    return { body, content_type, filename };
+  },
+
+  /**
+   * Get display names for users
+   * @param {Array<string>} userIds - Users
+   * @returns {Promise<Object>} - Name for each user ID
+   * @private
+   */
+  async _getNames(userIds) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, display_name, full_name')
+      .in('id', userIds);
+
+    if (error) {
+      throw error;
+    }
+
+    return Object.fromEntries((data || []).map(profile => [
+      profile.id,
+      profile.display_name || profile.full_name || 'Unknown'
+    ]));
+  },
+
+  /**
+   * Get the messages to export, oldest first. Expired disappearing messages
+   * are left out; unsent ones stay as tombstones.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} - { messages, truncated }
+   * @private
+   */
+  async _getMessages(conversationId) {
+    const now = new Date().toISOString();
+    const messages = [];
+
+    // Newest first, so a conversation over the limit keeps its latest messages
+    while (messages.length <= CONVERSATION_EXPORT_MAX_MESSAGES) {
+      const from = messages.length;
+      const to = Math.min(from + EXPORT_PAGE_SIZE, CONVERSATION_EXPORT_MAX_MESSAGES + 1) - 1;
+
+      const { data, error } = await supabase
+        .from('messages')
+        .select('id, sender_id, message_type, content, attachment_url, metadata, created_at, edited_at, deleted_at')
+        .eq('conversation_id', conversationId)
+        .or(`expires_at.is.null,expires_at.gt.${now}`)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(from, to);
+
+      if (error) {
+        console.error('Error fetching messages to export:', error);
+        throw error;
+      }
+
+      messages.push(...(data || []));
+
+      if (!data || data.length < to - from + 1) {
+        break;
+      }
+    }
+
+    const truncated = messages.length > CONVERSATION_EXPORT_MAX_MESSAGES;
+
+    return {
+      messages: messages.slice(0, CONVERSATION_EXPORT_MAX_MESSAGES).reverse(),
+      truncated
+    };
+  },
+
+  /**
+   * Wrap a rendered transcript in a page for PDF and EPUB conversion
+   * @param {string} title - Page title
+   * @param {string} body - Transcript HTML
+   * @returns {string} - HTML document
+   * @private
+   */
+  _transcriptHtml(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 11pt; line-height: 1.4; color: #222; }
+    h1 { font-size: 18pt; margin-bottom: 4pt; }
+    p { margin: 0 0 10pt; page-break-inside: avoid; }
+    img { max-width: 240px; max-height: 240px; border-radius: 6px; }
+    a { color: #8e44ad; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+  }
+};
@@ -164,6 +164,29 @@ If you have any questions, please reply to this email.
 
 Thank you,
 The Profullstack, Inc. Team
+`;
+
+    return this.sendEmail(to, subject, text);
+  },
+
+  /**
+   * Send a reminder that a match expires soon
+   * @param {string} to - Recipient email address
+   * @param {Object} match - { other_name, expires_at, can_extend }
+   * @returns {Promise<Object>} - Mailgun response
+   */
+  async sendMatchExpiringReminder(to, match) {
+    const hoursLeft = Math.max(Math.round((new Date(match.expires_at) - new Date()) / (1000 * 60 * 60)), 1);
+    const subject = `Your match with ${match.other_name} expires in ${hoursLeft} hours`;
+    const text = `
+You matched with ${match.other_name}, but neither of you has said hello yet.
+
+Your match expires in ${hoursLeft} hours, on ${new Date(match.expires_at).toLocaleString()}. Send a message before then to keep it.
+${match.can_extend ? '\nNeed more time? You can extend this match once from the app.\n' : ''}
+Open BarCrush to start the conversation: ${process.env.API_BASE_URL || 'https://barcrush.app'}/chat
+
+Thank you,
+The BarCrush Team
 `;
 
     return this.sendEmail(to, subject, text);
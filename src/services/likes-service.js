@@ -0,0 +1,150 @@
+import { supabase } from '../utils/supabase.js';
+import { errorUtils } from '../utils/error-utils.js';
+import { swipeService } from './swipe-service.js';
+
+/**
+ * Encode the position after a like, for the next page
+ * @param {Object} like - Row from get_likes_received
+ * @returns {string} - Opaque cursor
+ */
+function encodeLikesCursor(like) {
+  return Buffer.from(JSON.stringify({ t: like.liked_at, id: like.swipe_id })).toString('base64url');
+}
+
+/**
+ * Decode a likes cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} - { liked_at, swipe_id }, or null if the cursor is invalid
+ */
+function decodeLikesCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!t || Number.isNaN(new Date(t).getTime()) || !id) {
+      return null;
+    }
+
+    return { liked_at: t, swipe_id: id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Service for the "who liked me" inbox: people who liked the user and are
+ * still waiting for them to swipe back
+ */
+export const likesService = {
+  /**
+   * Get a page of likes the user hasn't answered yet, newest first.
+   * Subscribers see who sent each like; everyone else gets blurred entries
+   * with no way to tell who they are.
+   * @param {string} userId - User whose likes to list
+   * @param {Object} options - { limit, cursor, revealed }
+   * @returns {Promise<Object>} - { results, next_cursor, total, revealed }
+   */
+  async getLikesReceived(userId, { limit = 20, cursor = null, revealed = false } = {}) {
+    const pageSize = parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 50) {
+      throw errorUtils.validationError('limit must be between 1 and 50');
+    }
+
+    const after = cursor ? decodeLikesCursor(cursor) : null;
+    if (cursor && !after) {
+      throw errorUtils.validationError('Invalid cursor');
+    }
+
+    // One extra row tells us whether there is another page
+    const [{ data, error }, total] = await Promise.all([
+      supabase.rpc('get_likes_received', {
+        viewer_id: userId,
+        before_at: after ? after.liked_at : null,
+        before_id: after ? after.swipe_id : null,
+        max_results: pageSize + 1
+      }),
+      this.countLikesReceived(userId)
+    ]);
+
+    if (error) {
+      throw error;
+    }
+
+    const likes = (data || []).slice(0, pageSize);
+    const hasMore = (data || []).length > pageSize;
+
+    return {
+      results: likes.map(like => this._formatLike(like, revealed)),
+      next_cursor: hasMore ? encodeLikesCursor(likes[likes.length - 1]) : null,
+      total,
+      revealed
+    };
+  },
+
+  /**
+   * Count likes the user hasn't answered yet
+   * @param {string} userId - User
+   * @returns {Promise<number>} - Number of likes waiting
+   */
+  async countLikesReceived(userId) {
+    const { data, error } = await supabase.rpc('count_likes_received', { viewer_id: userId });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || 0;
+  },
+
+  /**
+   * Like someone back from the inbox. Goes through the regular swipe, so a
+   * like back makes a match the same way it would from the deck.
+   * @param {string} userId - User liking back
+   * @param {string} targetUserId - Person who liked them
+   * @returns {Promise<Object>} - Swipe result with is_match and match
+   */
+  async likeBack(userId, targetUserId) {
+    const { data, error } = await supabase.rpc('likes_received', { viewer_id: userId })
+      .eq('swiper_id', targetUserId)
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw errorUtils.notFoundError('Like not found');
+    }
+
+    return swipeService.swipe(userId, { target_user_id: targetUserId, direction: 'like' });
+  },
+
+  /**
+   * Shape a like for the inbox
+   * @param {Object} like - Row from get_likes_received
+   * @param {boolean} revealed - Whether the viewer can see who it is
+   * @returns {Object} - Like for the API
+   * @private
+   */
+  _formatLike(like, revealed) {
+    const entry = {
+      liked_at: like.liked_at,
+      super_like: like.direction === 'super_like'
+    };
+
+    if (!revealed) {
+      return { ...entry, blurred: true };
+    }
+
+    return {
+      ...entry,
+      blurred: false,
+      user_id: like.user_id,
+      display_name: like.display_name || like.full_name,
+      avatar_url: like.avatar_url,
+      bio: like.bio,
+      age: like.age_years,
+      is_verified: like.is_verified,
+      venue_id: like.venue_id
+    };
+  }
+};
@@ -0,0 +1,308 @@
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { emailService } from './email-service.js';
+import { paymentService } from './payment-service.js';
+
+/**
+ * How long a new match has for someone to send the first message
+ */
+const MATCH_EXPIRY_HOURS = parseInt(process.env.MATCH_EXPIRY_HOURS || '72', 10);
+
+/**
+ * How long before expiry both people get a reminder
+ */
+const MATCH_EXPIRY_REMINDER_HOURS = parseInt(process.env.MATCH_EXPIRY_REMINDER_HOURS || '12', 10);
+
+/**
+ * How much time a paid user's one extension adds
+ */
+const MATCH_EXTENSION_HOURS = parseInt(process.env.MATCH_EXTENSION_HOURS || '24', 10);
+
+/**
+ * Service for matches that expire when nobody says hello
+ */
+export const matchExpiryService = {
+  /**
+   * Load names and emails for both people in a set of matches
+   * @param {Array} matches - Matches with user_id_1 and user_id_2
+   * @returns {Promise<Object>} - { name, email } keyed by user ID
+   * @private
+   */
+  async _getPeople(matches) {
+    const userIds = [...new Set(matches.flatMap(match => [match.user_id_1, match.user_id_2]))];
+
+    if (userIds.length === 0) {
+      return {};
+    }
+
+    const [{ data: profiles, error: profilesError }, { data: users, error: usersError }] = await Promise.all([
+      supabase.from('profiles').select('id, display_name, full_name').in('id', userIds),
+      supabase.from('users').select('id, email').in('id', userIds)
+    ]);
+
+    if (profilesError) {
+      throw profilesError;
+    }
+
+    if (usersError) {
+      throw usersError;
+    }
+
+    const people = {};
+    userIds.forEach(userId => {
+      const profile = (profiles || []).find(p => p.id === userId);
+      const user = (users || []).find(u => u.id === userId);
+      people[userId] = {
+        name: profile?.display_name || profile?.full_name || 'your match',
+        email: user?.email || null
+      };
+    });
+
+    return people;
+  },
+
+  /**
+   * Whether a user has paid, either once-off or with an active subscription
+   * @param {string} userId - User
+   * @returns {Promise<boolean>} - Whether they can use paid features
+   * @private
+   */
+  async _isPaidUser(userId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('email, has_paid')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!user) {
+      return false;
+    }
+
+    return Boolean(user.has_paid) || (user.email ? await paymentService.hasActiveSubscription(user.email) : false);
+  },
+
+  /**
+   * Start the clock on a new match
+   * @param {string} matchId - Match ID
+   * @returns {Promise<string|null>} - When it expires, or null if it already had a clock
+   */
+  async startExpiry(matchId) {
+    const expiresAt = new Date(Date.now() + MATCH_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('matches')
+      .update({ expires_at: expiresAt })
+      .eq('id', matchId)
+      .eq('status', 'matched')
+      .is('expires_at', null)
+      .select('expires_at')
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data ? data.expires_at : null;
+  },
+
+  /**
+   * Give a match more time. Only paid users can, and each match can only be
+   * extended once.
+   * @param {string} userId - User extending
+   * @param {string} matchId - Match ID
+   * @returns {Promise<Object>} - { id, expires_at, extended_at }
+   */
+  async extendMatch(userId, matchId) {
+    if (!(await this._isPaidUser(userId))) {
+      throw new ApiError('Extending a match needs a paid account', 402);
+    }
+
+    const { data, error } = await supabase.rpc('extend_match', {
+      match_id: matchId,
+      user_id: userId,
+      extra_hours: MATCH_EXTENSION_HOURS
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const extended = Array.isArray(data) ? data[0] : data;
+    if (extended) {
+      return {
+        id: extended.id,
+        expires_at: extended.expires_at,
+        extended_at: extended.extended_at
+      };
+    }
+
+    // Work out why it couldn't be extended
+    const { data: match, error: matchError } = await supabase
+      .from('matches')
+      .select('id, user_id_1, user_id_2, status, expires_at, extended_at')
+      .eq('id', matchId)
+      .maybeSingle();
+
+    if (matchError) {
+      throw matchError;
+    }
+
+    if (!match || (match.user_id_1 !== userId && match.user_id_2 !== userId)) {
+      throw errorUtils.notFoundError('Match not found');
+    }
+
+    if (match.extended_at) {
+      throw new ApiError('This match has already been extended', 409);
+    }
+
+    if (match.status !== 'matched' || !match.expires_at) {
+      throw new ApiError('Only matches waiting for a first message can be extended', 409);
+    }
+
+    throw new ApiError('This match has already expired', 409);
+  },
+
+  /**
+   * Remind both people when a match is about to expire, by notification and
+   * email. Each match is only reminded once per deadline.
+   * @returns {Promise<number>} - Number of matches reminded
+   */
+  async sendExpiryReminders() {
+    const now = new Date();
+    const remindBefore = new Date(now.getTime() + MATCH_EXPIRY_REMINDER_HOURS * 60 * 60 * 1000);
+
+    const { data: expiring, error } = await supabase
+      .from('matches')
+      .select('id, user_id_1, user_id_2, expires_at, extended_at')
+      .eq('status', 'matched')
+      .is('expiry_reminder_sent_at', null)
+      .gt('expires_at', now.toISOString())
+      .lte('expires_at', remindBefore.toISOString());
+
+    if (error) {
+      console.error('Error fetching expiring matches:', error);
+      throw error;
+    }
+
+    if (!expiring || expiring.length === 0) {
+      return 0;
+    }
+
+    const people = await this._getPeople(expiring);
+    let reminded = 0;
+
+    for (const match of expiring) {
+      try {
+        // Claim the reminder so overlapping runs don't send it twice
+        const { data: claimed, error: claimError } = await supabase
+          .from('matches')
+          .update({ expiry_reminder_sent_at: now.toISOString() })
+          .eq('id', match.id)
+          .is('expiry_reminder_sent_at', null)
+          .select('id')
+          .maybeSingle();
+
+        if (claimError) {
+          throw claimError;
+        }
+
+        if (!claimed) {
+          continue;
+        }
+
+        const pairs = [[match.user_id_1, match.user_id_2], [match.user_id_2, match.user_id_1]];
+
+        const { error: notifyError } = await supabase
+          .from('notifications')
+          .insert(pairs.map(([userId, otherUserId]) => ({
+            user_id: userId,
+            type: 'match',
+            title: 'Your match expires soon',
+            message: `Say hello to ${people[otherUserId].name} before your match expires!`,
+            read: false,
+            data: {
+              kind: 'match_expiring',
+              match_id: match.id,
+              user_id: otherUserId,
+              expires_at: match.expires_at
+            }
+          })));
+
+        if (notifyError) {
+          console.error(`Error creating expiry notifications for match ${match.id}:`, notifyError);
+        }
+
+        for (const [userId, otherUserId] of pairs) {
+          if (!people[userId].email) {
+            continue;
+          }
+
+          try {
+            await emailService.sendMatchExpiringReminder(people[userId].email, {
+              other_name: people[otherUserId].name,
+              expires_at: match.expires_at,
+              can_extend: !match.extended_at
+            });
+          } catch (emailError) {
+            console.error(`Error emailing expiry reminder for match ${match.id}:`, emailError);
+          }
+        }
+
+        reminded++;
+      } catch (matchError) {
+        console.error(`Error sending expiry reminder for match ${match.id}:`, matchError);
+      }
+    }
+
+    return reminded;
+  },
+
+  /**
+   * Expire matches whose time is up and let both people know
+   * @returns {Promise<number>} - Number of matches expired
+   */
+  async expireMatches() {
+    const { data: expired, error } = await supabase.rpc('expire_matches');
+
+    if (error) {
+      console.error('Error expiring matches:', error);
+      throw error;
+    }
+
+    if (!expired || expired.length === 0) {
+      return 0;
+    }
+
+    const people = await this._getPeople(expired);
+
+    const notifications = expired.flatMap(match => [
+      [match.user_id_1, match.user_id_2],
+      [match.user_id_2, match.user_id_1]
+    ].map(([userId, otherUserId]) => ({
+      user_id: userId,
+      type: 'match',
+      title: 'Match expired',
+      message: `Your match with ${people[otherUserId].name} expired before anyone said hello.`,
+      read: false,
+      data: {
+        kind: 'match_expired',
+        match_id: match.id,
+        user_id: otherUserId
+      }
+    })));
+
+    const { error: notifyError } = await supabase
+      .from('notifications')
+      .insert(notifications);
+
+    if (notifyError) {
+      console.error('Error creating match expired notifications:', notifyError);
+    }
+
+    return expired.length;
+  }
+};
@@ -0,0 +1,371 @@
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { checkInService } from './check-in-service.js';
+import {
+  CANDIDATE_SIGNALS,
+  DEFAULT_CANDIDATE_WEIGHTS,
+  DEFAULT_DECK_FILTERS,
+  decodeDeckCursor,
+  gendersForPreference,
+  paginateDeck,
+  parseCandidateWeights,
+  rankCandidates,
+  sharedInterests
+} from '../utils/candidate-ranking.js';
+
+/**
+ * Upper bound on candidates pulled from the database per deck
+ */
+const MATCH_DECK_MAX_CANDIDATES = parseInt(process.env.MATCH_DECK_MAX_CANDIDATES || '500', 10);
+
+/**
+ * People seen at the same venue within this many days rank higher
+ */
+const MATCH_RECENT_VENUE_DAYS = parseInt(process.env.MATCH_RECENT_VENUE_DAYS || '7', 10);
+
+/**
+ * In venue mode, people who left the venue within this many hours still show up
+ */
+const MATCH_VENUE_RECENT_HOURS = parseInt(process.env.MATCH_VENUE_RECENT_HOURS || '3', 10);
+
+/**
+ * Passed profiles come back for a second look after this many days
+ */
+const SECOND_LOOK_AFTER_DAYS = parseInt(process.env.SECOND_LOOK_AFTER_DAYS || '14', 10);
+
+/**
+ * How long after an unmatch the two people can't match again
+ */
+const MATCH_REMATCH_COOLDOWN_DAYS = parseInt(process.env.MATCH_REMATCH_COOLDOWN_DAYS || '30', 10);
+
+/**
+ * Reasons a user can give for unmatching
+ */
+export const UNMATCH_REASONS = ['no_chemistry', 'no_reply', 'met_someone', 'inappropriate', 'other'];
+
+/**
+ * Overrides for the ranking weights, e.g. "shared_venue=4,proximity=0"
+ */
+const MATCH_RANKING_WEIGHTS = {
+  ...DEFAULT_CANDIDATE_WEIGHTS,
+  ...parseCandidateWeights(process.env.MATCH_RANKING_WEIGHTS)
+};
+
+/**
+ * Age in whole years from a birth date
+ * @param {string} birthDate - Date of birth
+ * @param {Date} now - Current time
+ * @returns {number|null} - Age, or null if unknown
+ */
+function ageFromBirthDate(birthDate, now = new Date()) {
+  if (!birthDate) {
+    return null;
+  }
+
+  const birth = new Date(birthDate);
+  const age = now.getUTCFullYear() - birth.getUTCFullYear();
+  const beforeBirthday = now.getUTCMonth() < birth.getUTCMonth() ||
+    (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() < birth.getUTCDate());
+
+  return beforeBirthday ? age - 1 : age;
+}
+
+/**
+ * Service for the matching deck and ending matches
+ */
+export const matchService = {
+  /**
+   * Load the viewer's profile and saved filters
+   * @param {string} userId - Viewer
+   * @returns {Promise<Object>} - { profile, filters }
+   * @private
+   */
+  async _getViewer(userId) {
+    const [{ data: profile, error: profileError }, { data: savedFilters, error: filtersError }] = await Promise.all([
+      supabase
+        .from('profiles')
+        .select('id, gender, birth_date, interests, location_lat, location_lng')
+        .eq('id', userId)
+        .maybeSingle(),
+      supabase
+        .from('user_filters')
+        .select('interested_in, latitude, longitude, distance_km, min_age, max_age')
+        .eq('user_id', userId)
+        .maybeSingle()
+    ]);
+
+    if (profileError) {
+      throw profileError;
+    }
+
+    if (filtersError) {
+      throw filtersError;
+    }
+
+    if (!profile) {
+      throw errorUtils.notFoundError('Profile not found');
+    }
+
+    return {
+      profile,
+      filters: { ...DEFAULT_DECK_FILTERS, ...(savedFilters || {}) }
+    };
+  },
+
+  /**
+   * Look up venue names for the venues shown on a page of cards
+   * @param {Array} candidates - Candidates with present_venue_id / recent_venue_id
+   * @returns {Promise<Object>} - { id, name } keyed by venue ID
+   * @private
+   */
+  async _getCardVenues(candidates) {
+    const venueIds = [...new Set(
+      candidates.map(candidate => candidate.present_venue_id || candidate.recent_venue_id).filter(Boolean)
+    )];
+
+    if (venueIds.length === 0) {
+      return {};
+    }
+
+    const { data, error } = await supabase
+      .from('venues')
+      .select('id, name')
+      .in('id', venueIds);
+
+    if (error) {
+      throw error;
+    }
+
+    return Object.fromEntries((data || []).map(venue => [venue.id, venue]));
+  },
+
+  /**
+   * Turn a ranked candidate into a deck card
+   * @param {Object} candidate - Ranked candidate
+   * @param {Object} viewer - Viewer profile
+   * @param {Object} venues - Venue names keyed by ID, from _getCardVenues
+   * @returns {Object} - Card fields
+   * @private
+   */
+  _formatCandidate(candidate, viewer, venues = {}) {
+    const venueId = candidate.present_venue_id || candidate.recent_venue_id;
+
+    return {
+      id: candidate.id,
+      full_name: candidate.full_name || candidate.display_name || 'User',
+      display_name: candidate.display_name,
+      age: candidate.age_years,
+      gender: candidate.gender,
+      bio: candidate.bio,
+      avatar_url: candidate.avatar_url,
+      images: candidate.avatar_url ? [candidate.avatar_url] : [],
+      interests: candidate.interests || [],
+      shared_interests: sharedInterests(candidate.interests, viewer.interests),
+      is_verified: candidate.is_verified,
+      last_active: candidate.last_active,
+      distance_km: candidate.distance_km === null ? null : Math.round(candidate.distance_km * 10) / 10,
+      present_at_venue_id: candidate.present_venue_id,
+      recent_venue_id: candidate.recent_venue_id,
+      shared_event_id: candidate.shared_event_id,
+      venue: venues[venueId] ? { ...venues[venueId], here_now: Boolean(candidate.present_venue_id) } : null,
+      last_seen_at_venue: candidate.last_seen_at_venue || null,
+      super_liked_you: Boolean(candidate.super_liked_viewer),
+      score: candidate.score,
+      reasons: candidate.reasons
+    };
+  },
+
+  /**
+   * Get the venue the viewer can match at right now: the one they're checked
+   * in at, with how many others are there
+   * @param {string} userId - Viewer
+   * @returns {Promise<Object>} - { venue, present_count } where venue is { id, name } or null
+   */
+  async getVenueMode(userId) {
+    const checkIn = await checkInService.getActiveCheckIn(userId);
+
+    if (!checkIn) {
+      return { venue: null, present_count: 0 };
+    }
+
+    const [{ data: venue, error }, counts] = await Promise.all([
+      supabase.from('venues').select('id, name').eq('id', checkIn.venue_id).maybeSingle(),
+      checkInService.getPresenceCounts([checkIn.venue_id])
+    ]);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      venue,
+      // Not counting the viewer
+      present_count: Math.max((counts[checkIn.venue_id] || 0) - 1, 0)
+    };
+  },
+
+  /**
+   * Get a page of the viewer's matching deck, filtered by their saved
+   * filters and ranked best first. Pages stay in the same order as long as
+   * the cursor from the previous page is passed back.
+   *
+   * With venue_id, the deck only has people checked in at that venue or seen
+   * there in the last few hours, and the viewer has to be checked in there.
+   * @param {string} userId - Viewer
+   * @param {Object} options - { limit, cursor, venue_id }
+   * @returns {Promise<Object>} - { results, next_cursor, venue } where venue is
+   *   { id, name } in venue mode and null otherwise
+   */
+  async getCandidateDeck(userId, { limit = 20, cursor = null, venue_id = null } = {}) {
+    const pageSize = parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 50) {
+      throw errorUtils.validationError('limit must be between 1 and 50');
+    }
+
+    const after = cursor ? decodeDeckCursor(cursor) : null;
+    if (cursor && !after) {
+      throw errorUtils.validationError('Invalid cursor');
+    }
+
+    let venue = null;
+    if (venue_id) {
+      const mode = await this.getVenueMode(userId);
+      if (!mode.venue || mode.venue.id !== venue_id) {
+        throw new ApiError('Check in at this venue to match with people there', 403);
+      }
+      venue = mode.venue;
+    }
+
+    const asOf = after ? after.asOf : new Date();
+    const { profile, filters } = await this._getViewer(userId);
+
+    // Saved filter location wins over the last known profile location
+    const lat = filters.latitude ?? profile.location_lat;
+    const lng = filters.longitude ?? profile.location_lng;
+
+    const { data, error } = await supabase.rpc('get_match_candidates', {
+      viewer_id: userId,
+      viewer_lat: lat === null || lat === undefined ? null : Number(lat),
+      viewer_lng: lng === null || lng === undefined ? null : Number(lng),
+      viewer_gender: profile.gender,
+      viewer_age: ageFromBirthDate(profile.birth_date),
+      max_distance_km: filters.distance_km,
+      min_age: filters.min_age,
+      max_age: filters.max_age,
+      genders: gendersForPreference(filters.interested_in),
+      recent_venue_days: MATCH_RECENT_VENUE_DAYS,
+      max_candidates: MATCH_DECK_MAX_CANDIDATES,
+      at_venue_id: venue ? venue.id : null,
+      venue_recent_hours: MATCH_VENUE_RECENT_HOURS
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const ranked = rankCandidates(data || [], profile, {
+      signals: CANDIDATE_SIGNALS,
+      weights: MATCH_RANKING_WEIGHTS,
+      now: asOf,
+      maxDistanceKm: filters.distance_km
+    });
+
+    const page = paginateDeck(ranked, { after, limit: pageSize, asOf });
+    const venues = await this._getCardVenues(page.results);
+
+    return {
+      results: page.results.map(candidate => this._formatCandidate(candidate, profile, venues)),
+      next_cursor: page.next_cursor,
+      venue
+    };
+  },
+
+  /**
+   * Get people the viewer passed on a while ago, to show once more after
+   * the regular deck runs out
+   * @param {string} userId - Viewer
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { results } with the oldest passes first
+   */
+  async getSecondLookDeck(userId, { limit = 20 } = {}) {
+    const pageSize = parseInt(limit, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 50) {
+      throw errorUtils.validationError('limit must be between 1 and 50');
+    }
+
+    const { profile, filters } = await this._getViewer(userId);
+
+    const { data, error } = await supabase.rpc('get_second_look_candidates', {
+      viewer_id: userId,
+      after_days: SECOND_LOOK_AFTER_DAYS,
+      genders: gendersForPreference(filters.interested_in),
+      max_results: pageSize
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      results: (data || []).map(candidate => ({
+        ...this._formatCandidate({ ...candidate, distance_km: null, reasons: ['second_look'] }, profile),
+        second_look: true,
+        passed_at: candidate.passed_at
+      }))
+    };
+  },
+
+  /**
+   * End a match. The conversation closes, unread notifications about it go
+   * away, and the two can't match again until the cooling-off period is over.
+   * Who unmatched and why is kept for trust and safety review.
+   * @param {string} userId - User unmatching
+   * @param {string} matchId - Match ID
+   * @param {Object} options - { reason, details }
+   * @returns {Promise<Object>} - { id, status, unmatched_at, rematch_after }
+   */
+  async unmatch(userId, matchId, { reason = 'other', details = null } = {}) {
+    if (!UNMATCH_REASONS.includes(reason)) {
+      throw errorUtils.validationError(`reason must be one of: ${UNMATCH_REASONS.join(', ')}`);
+    }
+
+    const { data, error } = await supabase.rpc('unmatch', {
+      match_id: matchId,
+      user_id: userId,
+      reason,
+      details: details ? String(details).trim().slice(0, 1000) || null : null,
+      cooldown_days: MATCH_REMATCH_COOLDOWN_DAYS
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const ended = Array.isArray(data) ? data[0] : data;
+    if (ended) {
+      return {
+        id: ended.id,
+        status: ended.status,
+        unmatched_at: ended.unmatched_at,
+        rematch_after: ended.rematch_after
+      };
+    }
+
+    // Work out why it couldn't be ended
+    const { data: match, error: matchError } = await supabase
+      .from('matches')
+      .select('id, user_id_1, user_id_2, status')
+      .eq('id', matchId)
+      .maybeSingle();
+
+    if (matchError) {
+      throw matchError;
+    }
+
+    if (!match || (match.user_id_1 !== userId && match.user_id_2 !== userId)) {
+      throw errorUtils.notFoundError('Match not found');
+    }
+
+    throw new ApiError(`This match has already ${match.status === 'expired' ? 'expired' : 'ended'}`, 409);
+  }
+};
@@ -0,0 +1,107 @@
+import sharp from 'sharp';
+import { parseBuffer } from 'music-metadata';
+import { errorUtils } from '../utils/error-utils.js';
+
+/**
+ * Longest side of a stored photo, in pixels
+ */
+const MEDIA_MAX_IMAGE_DIMENSION = parseInt(process.env.MEDIA_MAX_IMAGE_DIMENSION || '2048', 10);
+
+/**
+ * Longest side of a photo thumbnail, in pixels
+ */
+const MEDIA_THUMBNAIL_DIMENSION = parseInt(process.env.MEDIA_THUMBNAIL_DIMENSION || '320', 10);
+
+/**
+ * sharp output format for each photo type
+ */
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+/**
+ * Service for preparing chat photos and voice notes for storage
+ */
+export const mediaService = {
+  /**
+   * Prepare a photo: turn it the right way up, scale it down if it is very
+   * large and re-encode it. Re-encoding drops all EXIF data, GPS position
+   * included, along with XMP and other embedded metadata.
+   * @param {Buffer} buffer - Uploaded photo
+   * @param {string} mimeType - Sniffed MIME type
+   * @returns {Promise<Object>} - { image, thumbnail, metadata } where image
+   *   and thumbnail are { buffer, content_type }
+   */
+  async processImage(buffer, mimeType) {
+    try {
+      // rotate() with no angle applies the EXIF orientation before it is dropped
+      const source = sharp(buffer, { failOn: 'error' }).rotate();
+
+      const { data: imageBuffer, info } = await source
+        .clone()
+        .resize(MEDIA_MAX_IMAGE_DIMENSION, MEDIA_MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .toFormat(IMAGE_FORMATS[mimeType])
+        .toBuffer({ resolveWithObject: true });
+
+      const { data: thumbnailBuffer, info: thumbnailInfo } = await source
+        .clone()
+        .resize(MEDIA_THUMBNAIL_DIMENSION, MEDIA_THUMBNAIL_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toBuffer({ resolveWithObject: true });
+
+      return {
+        image: { buffer: imageBuffer, content_type: mimeType },
+        thumbnail: { buffer: thumbnailBuffer, content_type: 'image/webp' },
+        metadata: {
+          mime_type: mimeType,
+          size_bytes: imageBuffer.length,
+          width: info.width,
+          height: info.height,
+          thumbnail_width: thumbnailInfo.width,
+          thumbnail_height: thumbnailInfo.height
+        }
+      };
+    } catch (error) {
+      console.error('Error processing photo:', error.message);
+      throw errorUtils.validationError('The photo could not be read');
+    }
+  },
+
+  /**
+   * Read how long a voice note is
+   * @param {Buffer} buffer - Uploaded audio
+   * @param {string} mimeType - Sniffed MIME type
+   * @param {number} maxSeconds - Longest allowed voice note
+   * @returns {Promise<Object>} - { metadata } with mime_type, size_bytes and
+   *   duration_seconds (null when the file doesn't say)
+   */
+  async processAudio(buffer, mimeType, maxSeconds) {
+    let duration;
+    try {
+      // Recordings from browsers often leave the duration out of the header,
+      // so let the parser work it out from the whole file
+      const { format } = await parseBuffer(buffer, { mimeType, size: buffer.length }, { duration: true, skipCovers: true });
+      duration = format.duration;
+    } catch (error) {
+      console.error('Error reading audio:', error.message);
+      throw errorUtils.validationError('The audio could not be read');
+    }
+
+    const durationSeconds = Number.isFinite(duration) ? Math.round(duration * 10) / 10 : null;
+
+    if (durationSeconds !== null && durationSeconds > maxSeconds) {
+      const limit = maxSeconds % 60 === 0 ? `${maxSeconds / 60} minutes` : `${maxSeconds} seconds`;
+      throw errorUtils.validationError(`Voice notes can be at most ${limit} long`);
+    }
+
+    return {
+      metadata: {
+        mime_type: mimeType,
+        size_bytes: buffer.length,
+        duration_seconds: durationSeconds
+      }
+    };
+  }
+};
@@ -0,0 +1,498 @@
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { isUuid } from '../utils/uuid.js';
+
+/**
+ * Reasons a user can be reported for
+ */
+export const REPORT_REASONS = ['spam', 'harassment', 'inappropriate_content', 'fake_profile', 'underage', 'scam', 'other'];
+
+/**
+ * Where a report is in the moderation queue
+ */
+export const REPORT_STATUSES = ['open', 'reviewing', 'actioned', 'dismissed'];
+
+/**
+ * Most messages that can be attached to one report
+ */
+const MAX_REPORT_MESSAGES = 50;
+
+/**
+ * Service for blocking and reporting users, and the moderation queue
+ */
+export const moderationService = {
+  /**
+   * Get everyone a user has blocked or been blocked by
+   * @param {string} userId - User
+   * @returns {Promise<Set<string>>} - User IDs hidden from them
+   */
+  async getBlockedUserIds(userId) {
+    const { data, error } = await supabase
+      .from('user_blocks')
+      .select('blocker_id, blocked_id')
+      .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`);
+
+    if (error) {
+      throw error;
+    }
+
+    return new Set((data || []).map(block => (block.blocker_id === userId ? block.blocked_id : block.blocker_id)));
+  },
+
+  /**
+   * Whether either of two users has blocked the other
+   * @param {string} userId - One user
+   * @param {string} otherUserId - The other user
+   * @returns {Promise<boolean>} - Whether they are hidden from each other
+   */
+  async isBlocked(userId, otherUserId) {
+    const { data, error } = await supabase.rpc('is_blocked_between', {
+      user_a: userId,
+      user_b: otherUserId
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return Boolean(data);
+  },
+
+  /**
+   * Check the other user exists
+   * @private
+   */
+  async _assertUser(userId, targetUserId) {
+    if (!targetUserId) {
+      throw errorUtils.validationError('User ID is required');
+    }
+
+    if (targetUserId === userId) {
+      throw errorUtils.validationError('You cannot block or report yourself');
+    }
+
+    const { data: target, error } = await supabase
+      .from('profiles')
+      .select('id')
+      .eq('id', targetUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!target) {
+      throw errorUtils.notFoundError('User not found');
+    }
+  },
+
+  /**
+   * Block someone. Any match between the two ends, their conversations close
+   * and they stop seeing each other anywhere.
+   * @param {string} userId - User blocking
+   * @param {string} targetUserId - User being blocked
+   * @returns {Promise<Object>} - { blocked_user_id, created_at }
+   */
+  async blockUser(userId, targetUserId) {
+    await this._assertUser(userId, targetUserId);
+
+    const { data, error } = await supabase.rpc('block_user', {
+      blocker_id: userId,
+      blocked_id: targetUserId
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const block = Array.isArray(data) ? data[0] : data;
+
+    return {
+      blocked_user_id: targetUserId,
+      created_at: block ? block.created_at : new Date().toISOString()
+    };
+  },
+
+  /**
+   * Unblock someone. Ended matches and conversations stay ended.
+   * @param {string} userId - User who blocked
+   * @param {string} targetUserId - User who was blocked
+   * @returns {Promise<Object>} - { unblocked_user_id }
+   */
+  async unblockUser(userId, targetUserId) {
+    const { data, error } = await supabase
+      .from('user_blocks')
+      .delete()
+      .eq('blocker_id', userId)
+      .eq('blocked_id', targetUserId)
+      .select('blocked_id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw errorUtils.notFoundError('You have not blocked this user');
+    }
+
+    return { unblocked_user_id: targetUserId };
+  },
+
+  /**
+   * List the people a user has blocked, most recent first
+   * @param {string} userId - User
+   * @returns {Promise<Array>} - { id, display_name, avatar_url, blocked_at }
+   */
+  async listBlockedUsers(userId) {
+    const { data: blocks, error } = await supabase
+      .from('user_blocks')
+      .select('blocked_id, created_at')
+      .eq('blocker_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    if (!blocks || blocks.length === 0) {
+      return [];
+    }
+
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, display_name, avatar_url')
+      .in('id', blocks.map(block => block.blocked_id));
+
+    if (profilesError) {
+      throw profilesError;
+    }
+
+    const profileMap = new Map((profiles || []).map(profile => [profile.id, profile]));
+
+    return blocks.map(block => ({
+      ...(profileMap.get(block.blocked_id) || { id: block.blocked_id }),
+      blocked_at: block.created_at
+    }));
+  },
+
+  /**
+   * Load messages attached to a report, making sure they are from a
+   * conversation between the two users
+   * @private
+   */
+  async _getEvidence(userId, targetUserId, messageIds) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+
+    const { data: messages, error } = await supabase
+      .from('messages')
+      .select('id, conversation_id, sender_id, content, created_at')
+      .in('id', messageIds);
+
+    if (error) {
+      throw error;
+    }
+
+    const conversationIds = [...new Set((messages || []).map(message => message.conversation_id))];
+    const { data: conversations, error: conversationsError } = conversationIds.length > 0
+      ? await supabase.from('conversations').select('id, user_id_1, user_id_2').in('id', conversationIds)
+      : { data: [], error: null };
+
+    if (conversationsError) {
+      throw conversationsError;
+    }
+
+    const between = new Set((conversations || [])
+      .filter(conversation => [conversation.user_id_1, conversation.user_id_2].sort().join() === [userId, targetUserId].sort().join())
+      .map(conversation => conversation.id));
+
+    const evidence = (messages || []).filter(message => between.has(message.conversation_id));
+
+    if (evidence.length !== messageIds.length) {
+      throw errorUtils.validationError('Messages must be from your conversation with this user');
+    }
+
+    return evidence.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  },
+
+  /**
+   * Report someone to the moderators. Reporting blocks them too unless the
+   * reporter asks not to.
+   * @param {string} userId - User reporting
+   * @param {string} targetUserId - User being reported
+   * @param {Object} report - { reason, details, message_ids, block }
+   * @returns {Promise<Object>} - { id, reason, status, created_at, blocked }
+   */
+  async reportUser(userId, targetUserId, { reason, details = null, message_ids = [], block = true } = {}) {
+    if (!REPORT_REASONS.includes(reason)) {
+      throw errorUtils.validationError(`reason must be one of: ${REPORT_REASONS.join(', ')}`);
+    }
+
+    if (!Array.isArray(message_ids)) {
+      throw errorUtils.validationError('message_ids must be an array');
+    }
+
+    if (!message_ids.every(isUuid)) {
+      throw errorUtils.validationError('message_ids must be message IDs');
+    }
+
+    const messageIds = [...new Set(message_ids)];
+
+    if (messageIds.length > MAX_REPORT_MESSAGES) {
+      throw errorUtils.validationError(`A report can include at most ${MAX_REPORT_MESSAGES} messages`);
+    }
+
+    await this._assertUser(userId, targetUserId);
+
+    const evidence = await this._getEvidence(userId, targetUserId, messageIds);
+
+    const { data: report, error } = await supabase
+      .from('user_reports')
+      .insert({
+        reporter_id: userId,
+        reported_id: targetUserId,
+        reason,
+        details: details ? String(details).trim().slice(0, 2000) || null : null,
+        message_ids: messageIds,
+        evidence
+      })
+      .select('id, reason, status, created_at')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    if (block !== false) {
+      await this.blockUser(userId, targetUserId);
+    }
+
+    return { ...report, blocked: block !== false };
+  },
+
+  /**
+   * List reports for the moderation queue, oldest first
+   * @param {string} status - open, reviewing, actioned or dismissed
+   * @returns {Promise<Array>} - Reports with reporter and reported profiles, and
+   *   how many times the reported user has been reported in total
+   */
+  async listReports(status = 'open') {
+    if (!REPORT_STATUSES.includes(status)) {
+      throw errorUtils.validationError(`status must be one of: ${REPORT_STATUSES.join(', ')}`);
+    }
+
+    const { data: reports, error } = await supabase
+      .from('user_reports')
+      .select('id, reporter_id, reported_id, reason, details, message_ids, status, reviewed_by, reviewed_at, resolution_note, created_at')
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!reports || reports.length === 0) {
+      return [];
+    }
+
+    const reportedIds = [...new Set(reports.map(report => report.reported_id))];
+
+    const [profiles, { data: history, error: historyError }] = await Promise.all([
+      this._getProfiles(reports),
+      supabase.from('user_reports').select('reported_id').in('reported_id', reportedIds)
+    ]);
+
+    if (historyError) {
+      throw historyError;
+    }
+
+    const reportCounts = {};
+    (history || []).forEach(report => {
+      reportCounts[report.reported_id] = (reportCounts[report.reported_id] || 0) + 1;
+    });
+
+    return reports.map(report => ({
+      ...report,
+      reporter: profiles.get(report.reporter_id) || null,
+      reported: profiles.get(report.reported_id) || null,
+      reported_count: reportCounts[report.reported_id] || 1
+    }));
+  },
+
+  /**
+   * Load profiles for the people in a set of reports
+   * @private
+   */
+  async _getProfiles(reports) {
+    const { data: profiles, error } = await supabase
+      .from('profiles')
+      .select('id, display_name, full_name, avatar_url, bio, is_verified, created_at')
+      .in('id', [...new Set(reports.flatMap(report => [report.reporter_id, report.reported_id]).filter(Boolean))]);
+
+    if (error) {
+      throw error;
+    }
+
+    return new Map((profiles || []).map(profile => [profile.id, profile]));
+  },
+
+  /**
+   * Get one report with its evidence, what the reported user edited or
+   * unsent in their conversation with the reporter, and their other reports
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object>} - Report with reporter, reported, evidence,
+   *   message_history and previous_reports
+   */
+  async getReport(reportId) {
+    const { data: report, error } = await supabase
+      .from('user_reports')
+      .select('*')
+      .eq('id', reportId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!report) {
+      throw errorUtils.notFoundError('Report not found');
+    }
+
+    const [profiles, messageHistory, { data: previous, error: previousError }] = await Promise.all([
+      this._getProfiles([report]),
+      this._getMessageHistory(report),
+      supabase
+        .from('user_reports')
+        .select('id, reporter_id, reason, status, created_at')
+        .eq('reported_id', report.reported_id)
+        .neq('id', report.id)
+        .order('created_at', { ascending: false })
+        .limit(20)
+    ]);
+
+    if (previousError) {
+      throw previousError;
+    }
+
+    return {
+      ...report,
+      reporter: profiles.get(report.reporter_id) || null,
+      reported: profiles.get(report.reported_id) || null,
+      message_history: messageHistory,
+      previous_reports: previous || []
+    };
+  },
+
+  /**
+   * Earlier versions of messages the reported user edited or unsent in
+   * their conversation with the reporter
+   * @param {Object} report - Report
+   * @returns {Promise<Array>} - Newest first
+   * @private
+   */
+  async _getMessageHistory(report) {
+    if (!report.reporter_id) {
+      return [];
+    }
+
+    const { data: conversations, error } = await supabase
+      .from('conversations')
+      .select('id')
+      .or(`and(user_id_1.eq.${report.reporter_id},user_id_2.eq.${report.reported_id}),and(user_id_1.eq.${report.reported_id},user_id_2.eq.${report.reporter_id})`);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!conversations || conversations.length === 0) {
+      return [];
+    }
+
+    const { data: history, error: historyError } = await supabase
+      .from('message_edits')
+      .select('message_id, action, previous_content, previous_attachment_url, created_at')
+      .in('conversation_id', conversations.map(conversation => conversation.id))
+      .eq('editor_id', report.reported_id)
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (historyError) {
+      throw historyError;
+    }
+
+    return history || [];
+  },
+
+  /**
+   * Move a report along the queue. Closing it lets the reporter know it was
+   * looked at; reports raised by automatic checks have nobody to tell.
+   * @param {string} adminId - Reviewing admin
+   * @param {string} reportId - Report ID
+   * @param {Object} review - { status, note }
+   * @returns {Promise<Object>} - Updated report
+   */
+  async reviewReport(adminId, reportId, { status, note = null } = {}) {
+    if (!REPORT_STATUSES.includes(status) || status === 'open') {
+      throw errorUtils.validationError('status must be one of: reviewing, actioned, dismissed');
+    }
+
+    const { data: report, error } = await supabase
+      .from('user_reports')
+      .select('id, reporter_id, status')
+      .eq('id', reportId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!report) {
+      throw errorUtils.notFoundError('Report not found');
+    }
+
+    if (['actioned', 'dismissed'].includes(report.status)) {
+      throw new ApiError(`This report was already ${report.status}`, 409);
+    }
+
+    const closing = status !== 'reviewing';
+
+    const { data, error: updateError } = await supabase
+      .from('user_reports')
+      .update({
+        status,
+        reviewed_by: adminId,
+        reviewed_at: new Date().toISOString(),
+        resolution_note: note
+      })
+      .eq('id', report.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (closing && report.reporter_id) {
+      const { error: notificationError } = await supabase
+        .from('notifications')
+        .insert({
+          user_id: report.reporter_id,
+          type: 'system',
+          title: 'Report reviewed',
+          message: status === 'actioned'
+            ? 'Thanks for your report. We have taken action on the account you reported.'
+            : 'Thanks for your report. We reviewed it and didn\'t find a breach of our guidelines.',
+          read: false,
+          data: { report_id: report.id }
+        });
+
+      if (notificationError) {
+        console.error('Error creating report review notification:', notificationError);
+      }
+    }
+
+    return data;
+  }
+};
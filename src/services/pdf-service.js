@@ -1,6 +1,24 @@
 import puppeteer from 'puppeteer';
 import { getPuppeteerConfig } from '../utils/puppeteer-config.js';
 
+/**
+ * Whether a page may load a URL
+ * @param {string} url - Requested URL
+ * @param {Array<string>} allowedOrigins - Origins the page may load from
+ * @returns {boolean} - Whether to let the request through
+ */
+function isAllowedRequest(url, allowedOrigins) {
+  if (url.startsWith('data:') || url === 'about:blank') {
+    return true;
+  }
+
+  try {
+    return allowedOrigins.includes(new URL(url).origin);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Service for generating PDF documents from HTML content
  */
@@ -9,9 +27,13 @@ export const pdfService = {
    * Generate a PDF from HTML content
    * @param {string} html - The HTML content to convert to PDF
    * @param {Object} options - PDF generation options
+   * @param {Object} pageOptions - How the HTML is rendered
+   * @param {boolean} pageOptions.javaScriptEnabled - Whether scripts in the HTML run
+   * @param {Array<string>} pageOptions.allowedOrigins - If given, the only origins
+   *   the page may load from; data: URLs are always allowed
    * @returns {Promise<Buffer>} - A buffer containing the PDF data
    */
-  async generatePdf(html, options = {}) {
+  async generatePdf(html, options = {}, { javaScriptEnabled = true, allowedOrigins = null } = {}) {
     // Default options
     const defaultOptions = {
       format: 'A4',
@@ -37,6 +59,20 @@ export const pdfService = {
       // Create a new page
       const page = await browser.newPage();
       
+      await page.setJavaScriptEnabled(javaScriptEnabled);
+      
+      // Block requests anywhere else, so untrusted HTML can't reach other hosts
+      if (allowedOrigins) {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+          if (isAllowedRequest(request.url(), allowedOrigins)) {
+            request.continue();
+          } else {
+            request.abort();
+          }
+        });
+      }
+      
       // Set the HTML content
       await page.setContent(html, { waitUntil: 'networkidle0' });
       
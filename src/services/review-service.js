@@ -0,0 +1,243 @@
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { MAX_VIBE_TAGS_PER_REVIEW, normalizeVibeTags } from '../utils/vibe-tags.js';
+
+/**
+ * A user can review each venue once per period; within it they edit their review instead
+ */
+const REVIEW_PERIOD_DAYS = parseInt(process.env.REVIEW_PERIOD_DAYS || '30', 10);
+
+/**
+ * How long after a check-in the visit can still be reviewed
+ */
+const REVIEW_VISIT_WINDOW_DAYS = parseInt(process.env.REVIEW_VISIT_WINDOW_DAYS || '14', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for venue ratings and reviews
+ */
+export const reviewService = {
+  /**
+   * Validate review fields
+   * @param {Object} fields - rating, vibe_tags and body from the request
+   * @param {boolean} partial - Only validate the fields that were given
+   * @returns {Object} - Fields ready to save
+   * @private
+   */
+  _validateReview({ rating, vibe_tags, body }, partial = false) {
+    const fields = {};
+
+    if (rating !== undefined || !partial) {
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw errorUtils.validationError('rating must be a whole number from 1 to 5');
+      }
+      fields.rating = rating;
+    }
+
+    if (vibe_tags !== undefined || !partial) {
+      const { tags, invalid } = normalizeVibeTags(vibe_tags || []);
+      if (invalid.length > 0) {
+        throw errorUtils.validationError(`Unknown vibe tags: ${invalid.join(', ')}`);
+      }
+      if (tags.length > MAX_VIBE_TAGS_PER_REVIEW) {
+        throw errorUtils.validationError(`Pick at most ${MAX_VIBE_TAGS_PER_REVIEW} vibe tags`);
+      }
+      fields.vibe_tags = tags;
+    }
+
+    if (body !== undefined || !partial) {
+      const text = body ? String(body).trim() : '';
+      if (text.length > 1000) {
+        throw errorUtils.validationError('Reviews must be 1000 characters or fewer');
+      }
+      fields.body = text || null;
+    }
+
+    return fields;
+  },
+
+  /**
+   * Rate and review a venue the user has visited
+   * @param {string} userId - Reviewer
+   * @param {string} venueId - Venue ID
+   * @param {Object} review - { rating, vibe_tags, body }
+   * @returns {Promise<Object>} - New review
+   */
+  async createReview(userId, venueId, review = {}) {
+    const fields = this._validateReview(review);
+    const now = Date.now();
+
+    // Reviews must come from a recorded visit
+    const { data: visit, error: visitError } = await supabase
+      .from('venue_check_ins')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('venue_id', venueId)
+      .gte('checked_in_at', new Date(now - REVIEW_VISIT_WINDOW_DAYS * DAY_MS).toISOString())
+      .order('checked_in_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (visitError) {
+      throw visitError;
+    }
+
+    if (!visit) {
+      throw new ApiError('You can only review venues you have checked in at recently', 403);
+    }
+
+    const { data, error } = await supabase
+      .from('venue_reviews')
+      .insert({
+        ...fields,
+        venue_id: venueId,
+        user_id: userId,
+        check_in_id: visit.id,
+        period_ends_at: new Date(now + REVIEW_PERIOD_DAYS * DAY_MS).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // venue_reviews_one_per_period: the last review's period isn't over yet
+      if (error.code === '23P01') {
+        throw new ApiError('You already reviewed this venue recently. You can edit that review instead.', 409);
+      }
+      if (error.code === '23505') {
+        throw new ApiError('You already reviewed this visit', 409);
+      }
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get one of the user's own reviews or throw
+   * @private
+   */
+  async _getOwnReview(userId, reviewId) {
+    const { data: review, error } = await supabase
+      .from('venue_reviews')
+      .select('*')
+      .eq('id', reviewId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!review) {
+      throw errorUtils.notFoundError('Review not found');
+    }
+
+    if (review.user_id !== userId) {
+      throw new ApiError('You can only change your own reviews', 403);
+    }
+
+    return review;
+  },
+
+  /**
+   * Edit one of the user's reviews
+   * @param {string} userId - Reviewer
+   * @param {string} reviewId - Review ID
+   * @param {Object} changes - Any of rating, vibe_tags and body
+   * @returns {Promise<Object>} - Updated review
+   */
+  async updateReview(userId, reviewId, changes = {}) {
+    const fields = this._validateReview(changes, true);
+
+    if (Object.keys(fields).length === 0) {
+      throw errorUtils.validationError('No changes submitted');
+    }
+
+    await this._getOwnReview(userId, reviewId);
+
+    const { data, error } = await supabase
+      .from('venue_reviews')
+      .update(fields)
+      .eq('id', reviewId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Delete one of the user's reviews
+   * @param {string} userId - Reviewer
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<Object>} - Deleted review
+   */
+  async deleteReview(userId, reviewId) {
+    await this._getOwnReview(userId, reviewId);
+
+    const { data, error } = await supabase
+      .from('venue_reviews')
+      .delete()
+      .eq('id', reviewId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * List a venue's reviews, newest first
+   * @param {string} venueId - Venue ID
+   * @param {Object} options - { limit, before } where before is a created_at timestamp
+   * @returns {Promise<Array>} - Reviews with reviewer profiles
+   */
+  async listVenueReviews(venueId, { limit = 20, before = null } = {}) {
+    let query = supabase
+      .from('venue_reviews')
+      .select('id, venue_id, user_id, rating, vibe_tags, body, created_at, updated_at')
+      .eq('venue_id', venueId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(limit, 1), 50));
+
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+
+    const { data: reviews, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    if (!reviews || reviews.length === 0) {
+      return [];
+    }
+
+    // Fetch profiles in a separate query to avoid foreign key relationship issues
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, display_name, avatar_url')
+      .in('id', [...new Set(reviews.map(review => review.user_id))]);
+
+    if (profilesError) {
+      throw profilesError;
+    }
+
+    const profileMap = {};
+    (profiles || []).forEach(profile => {
+      profileMap[profile.id] = profile;
+    });
+
+    return reviews.map(review => ({
+      ...review,
+      reviewer: profileMap[review.user_id] || { id: review.user_id }
+    }));
+  }
+};
@@ -1,4 +1,9 @@
-import { supabaseUtils } from '../utils/supabase.js';
+import { supabase, supabaseUtils } from '../utils/supabase.js';
+
+/**
+ * Storage bucket for photos and voice notes sent in chat
+ */
+const MESSAGE_MEDIA_BUCKET = 'message-content';
 
 /**
  * Service for storing and retrieving documents using Supabase
@@ -128,5 +133,59 @@ export const storageService = {
    */
   async getDocumentHistory(limit = 10, offset = 0, userEmail = null) {
     return await supabaseUtils.getDocumentGenerationHistory(limit, offset, userEmail);
+  },
+  
+  /**
+   * Store a photo or voice note sent in chat
+   * @param {Buffer} buffer - File contents
+   * @param {string} path - Path in the bucket, e.g. messages/<conversation>/<file>
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} - { path, url }
+   */
+  async storeMessageMedia(buffer, path, contentType) {
+    const { error } = await supabase.storage
+      .from(MESSAGE_MEDIA_BUCKET)
+      .upload(path, buffer, {
+        contentType,
+        upsert: false
+      });
+    
+    if (error) {
+      throw error;
+    }
+    
+    const { data: { publicUrl } } = supabase.storage
+      .from(MESSAGE_MEDIA_BUCKET)
+      .getPublicUrl(path);
+    
+    return { path, url: publicUrl };
+  },
+  
+  /**
+   * Public URL of the chat media bucket; every stored photo and voice note
+   * URL starts with it
+   * @returns {string} - URL ending in a slash
+   */
+  messageMediaUrlPrefix() {
+    const { data: { publicUrl } } = supabase.storage
+      .from(MESSAGE_MEDIA_BUCKET)
+      .getPublicUrl('');
+    
+    return publicUrl;
+  },
+  
+  /**
+   * Remove stored chat media, e.g. when sending the message failed
+   * @param {Array<string>} paths - Paths in the bucket
+   * @returns {Promise<void>}
+   */
+  async removeMessageMedia(paths) {
+    const { error } = await supabase.storage
+      .from(MESSAGE_MEDIA_BUCKET)
+      .remove(paths);
+    
+    if (error) {
+      console.error('Error removing message media:', error);
+    }
   }
 };
\ No newline at end of file
@@ -0,0 +1,399 @@
+import { createHash } from 'crypto';
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { isValidTimeZone } from '../utils/opening-hours.js';
+import {
+  DEFAULT_SUPER_LIKE_ALLOWANCES,
+  SUPER_LIKE_PACKS,
+  parseSuperLikeAllowances,
+  superLikeDay,
+  superLikeTier
+} from '../utils/super-likes.js';
+
+/**
+ * Super likes per day for each tier, e.g. "free=0,paid=1,monthly=3,yearly=5"
+ */
+const SUPER_LIKE_DAILY_ALLOWANCES = {
+  ...DEFAULT_SUPER_LIKE_ALLOWANCES,
+  ...parseSuperLikeAllowances(process.env.SUPER_LIKE_DAILY_ALLOWANCES)
+};
+
+/**
+ * Client-generated purchase IDs, e.g. from crypto.randomUUID()
+ */
+const PURCHASE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Square idempotency key for a purchase. Retrying the same purchase reuses
+ * the key, so Square never charges it twice. Keys are at most 45 characters.
+ * @param {string} userId - Buyer
+ * @param {string} purchaseId - Client-generated purchase ID
+ * @returns {string} - Idempotency key
+ */
+function purchaseIdempotencyKey(userId, purchaseId) {
+  return createHash('sha256').update(`super-likes:${userId}:${purchaseId}`).digest('hex').slice(0, 45);
+}
+
+/**
+ * Service for super like allowances and pack purchases
+ */
+export const superLikeService = {
+  /**
+   * Work out what a user is entitled to today. The tier and day are shared
+   * with the daily like quota.
+   * @param {string} userId - User
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { tier, daily_allowance, timezone, day } where
+   *   day is { date, resets_at } in the user's time zone
+   */
+  async getEntitlement(userId, now = new Date()) {
+    const [{ data: user, error: userError }, { data: profile, error: profileError }] = await Promise.all([
+      supabase.from('users').select('email, has_paid').eq('id', userId).maybeSingle(),
+      supabase.from('profiles').select('timezone').eq('id', userId).maybeSingle()
+    ]);
+
+    if (userError) {
+      throw userError;
+    }
+
+    if (profileError) {
+      throw profileError;
+    }
+
+    let subscription = null;
+    if (user?.email) {
+      const { data, error } = await supabase
+        .from('subscriptions')
+        .select('plan, status, expiration_date')
+        .eq('email', user.email)
+        .eq('status', 'active')
+        .order('expiration_date', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      subscription = data;
+    }
+
+    const tier = superLikeTier({ subscription, hasPaid: Boolean(user?.has_paid), now });
+    const timezone = profile?.timezone && isValidTimeZone(profile.timezone) ? profile.timezone : 'UTC';
+
+    return {
+      tier,
+      daily_allowance: SUPER_LIKE_DAILY_ALLOWANCES[tier] || 0,
+      timezone,
+      day: superLikeDay(now, timezone)
+    };
+  },
+
+  /**
+   * Get how many super likes a user has left
+   * @param {string} userId - User
+   * @param {Object} options - { timezone } the device's time zone, saved if
+   *   the profile doesn't have one yet
+   * @returns {Promise<Object>} - { tier, daily_allowance, used_today, remaining_today,
+   *   credits, remaining, resets_at, timezone, packs }
+   */
+  async getStatus(userId, { timezone = null } = {}) {
+    if (timezone && isValidTimeZone(timezone)) {
+      const { error } = await supabase
+        .from('profiles')
+        .update({ timezone })
+        .eq('id', userId)
+        .is('timezone', null);
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    const entitlement = await this.getEntitlement(userId);
+
+    const [{ data: usage, error: usageError }, { data: credits, error: creditsError }] = await Promise.all([
+      supabase
+        .from('super_like_usage')
+        .select('used')
+        .eq('user_id', userId)
+        .eq('local_date', entitlement.day.date)
+        .maybeSingle(),
+      supabase
+        .from('super_like_credits')
+        .select('balance')
+        .eq('user_id', userId)
+        .maybeSingle()
+    ]);
+
+    if (usageError) {
+      throw usageError;
+    }
+
+    if (creditsError) {
+      throw creditsError;
+    }
+
+    const usedToday = usage?.used || 0;
+    const remainingToday = Math.max(entitlement.daily_allowance - usedToday, 0);
+    const balance = credits?.balance || 0;
+
+    return {
+      tier: entitlement.tier,
+      daily_allowance: entitlement.daily_allowance,
+      used_today: usedToday,
+      remaining_today: remainingToday,
+      credits: balance,
+      remaining: remainingToday + balance,
+      resets_at: entitlement.day.resets_at.toISOString(),
+      timezone: entitlement.timezone,
+      packs: Object.entries(SUPER_LIKE_PACKS).map(([id, pack]) => ({ id, ...pack }))
+    };
+  },
+
+  /**
+   * Use one super like and record it as a swipe
+   * @param {string} userId - User sending the super like
+   * @param {string} targetUserId - User receiving it
+   * @param {string|null} venueId - Venue the swipe happened at
+   * @returns {Promise<Object>} - record_swipe result plus used_from ('daily' or 'credit')
+   */
+  async send(userId, targetUserId, venueId = null) {
+    const entitlement = await this.getEntitlement(userId);
+
+    const { data, error } = await supabase.rpc('record_super_like', {
+      swiper_id: userId,
+      swiped_id: targetUserId,
+      local_date: entitlement.day.date,
+      daily_allowance: entitlement.daily_allowance,
+      venue_id: venueId
+    });
+
+    if (error) {
+      // Raised by record_super_like when the allowance and credits are used up
+      if (error.code === 'P0402') {
+        throw new ApiError('No super likes left', 402);
+      }
+      throw error;
+    }
+
+    return Array.isArray(data) ? data[0] : data;
+  },
+
+  /**
+   * Buy a pack of super likes with a Square card token. The price comes from
+   * the pack, never from the client. The purchase is recorded as pending
+   * before the card is charged; sending the same purchase_id again finishes
+   * a purchase that was charged but not credited instead of charging again.
+   * @param {string} userId - Buyer
+   * @param {Object} purchase - { pack, token, purchase_id } where token is a
+   *   Square card nonce and purchase_id is generated by the client
+   * @returns {Promise<Object>} - { purchase_id, pack, quantity, credits, payment_id }
+   */
+  async purchasePack(userId, { pack, token, purchase_id } = {}) {
+    if (!Object.hasOwn(SUPER_LIKE_PACKS, pack || '')) {
+      throw errorUtils.validationError(`pack must be one of: ${Object.keys(SUPER_LIKE_PACKS).join(', ')}`);
+    }
+
+    const selected = SUPER_LIKE_PACKS[pack];
+
+    if (!token) {
+      throw errorUtils.validationError('Payment token is required');
+    }
+
+    if (typeof purchase_id !== 'string' || !PURCHASE_ID_PATTERN.test(purchase_id)) {
+      throw errorUtils.validationError('purchase_id must be 8 to 64 letters, digits, dashes or underscores');
+    }
+
+    const isProduction = process.env.SQUARE_ENV === 'production';
+    const accessToken = isProduction ? process.env.SQUARE_ACCESS_TOKEN : process.env.SQUARE_SANDBOX_ACCESS_TOKEN;
+    const locationId = isProduction ? process.env.SQUARE_LOCATION_ID : process.env.SQUARE_SANDBOX_LOCATION_ID;
+
+    if (!accessToken || !locationId) {
+      throw new ApiError('Payments are not configured', 503);
+    }
+
+    const purchase = await this._startPurchase(userId, purchase_id, pack, selected);
+
+    if (purchase.status === 'completed') {
+      const { data: credits, error } = await supabase
+        .from('super_like_credits')
+        .select('balance')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return this._purchaseResult(purchase, credits?.balance || 0);
+    }
+
+    // Charged on an earlier try but not credited; only the credit is retried
+    let paymentId = purchase.payment_id;
+
+    if (!paymentId) {
+      paymentId = await this._chargePurchase(userId, purchase, token, selected, { accessToken, locationId, isProduction });
+    }
+
+    const { data: balance, error } = await supabase.rpc('add_super_like_credits', {
+      target_purchase_id: purchase.id,
+      payment_id: paymentId
+    });
+
+    if (error) {
+      // The purchase stays pending with its payment ID, to be retried or refunded
+      console.error(`Super likes paid for but not credited (purchase ${purchase.id}, payment ${paymentId}):`, error);
+      throw error;
+    }
+
+    return this._purchaseResult({ ...purchase, payment_id: paymentId }, balance);
+  },
+
+  /**
+   * Record a purchase as pending, or find the one already made with this purchase ID
+   * @param {string} userId - Buyer
+   * @param {string} purchaseId - Client-generated purchase ID
+   * @param {string} pack - Pack ID
+   * @param {Object} selected - The pack
+   * @returns {Promise<Object>} - super_like_purchases row
+   * @private
+   */
+  async _startPurchase(userId, purchaseId, pack, selected) {
+    const columns = 'id, purchase_id, pack, quantity, status, payment_id';
+
+    const { data: created, error } = await supabase
+      .from('super_like_purchases')
+      .insert({
+        user_id: userId,
+        purchase_id: purchaseId,
+        pack,
+        quantity: selected.quantity,
+        amount_cents: selected.amount,
+        currency: selected.currency,
+        provider: 'square'
+      })
+      .select(columns)
+      .single();
+
+    if (!error) {
+      return created;
+    }
+
+    if (error.code !== '23505') {
+      throw error;
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('super_like_purchases')
+      .select(columns)
+      .eq('user_id', userId)
+      .eq('purchase_id', purchaseId)
+      .single();
+
+    if (existingError) {
+      throw existingError;
+    }
+
+    if (existing.pack !== pack) {
+      throw new ApiError('This purchase was for a different pack', 409);
+    }
+
+    if (existing.status === 'failed') {
+      throw new ApiError('This purchase failed. Start a new purchase.', 409);
+    }
+
+    return existing;
+  },
+
+  /**
+   * Charge the card for a pending purchase and keep the payment ID on it
+   * before anything is credited
+   * @param {string} userId - Buyer
+   * @param {Object} purchase - Pending super_like_purchases row
+   * @param {string} token - Square card nonce
+   * @param {Object} selected - The pack
+   * @param {Object} square - { accessToken, locationId, isProduction }
+   * @returns {Promise<string>} - Square payment ID
+   * @private
+   */
+  async _chargePurchase(userId, purchase, token, selected, { accessToken, locationId, isProduction }) {
+    const { Client, Environment } = await import('square');
+
+    const client = new Client({
+      accessToken,
+      environment: isProduction ? Environment.Production : Environment.Sandbox
+    });
+
+    let payment;
+    try {
+      const response = await client.paymentsApi.createPayment({
+        sourceId: token,
+        idempotencyKey: purchaseIdempotencyKey(userId, purchase.purchase_id),
+        locationId,
+        amountMoney: {
+          amount: BigInt(selected.amount),
+          currency: selected.currency
+        },
+        note: `Super likes (${selected.quantity})`,
+        referenceId: userId
+      });
+      payment = response.result.payment;
+    } catch (error) {
+      console.error('Error charging for super likes:', error);
+      await this._failPurchase(purchase.id);
+      throw new ApiError('Payment was declined', 402);
+    }
+
+    if (!payment || payment.status !== 'COMPLETED') {
+      await this._failPurchase(purchase.id);
+      throw new ApiError('Payment was not completed', 402);
+    }
+
+    const { error } = await supabase
+      .from('super_like_purchases')
+      .update({ payment_id: payment.id })
+      .eq('id', purchase.id);
+
+    if (error) {
+      console.error(`Super likes paid for but not recorded (purchase ${purchase.id}, payment ${payment.id}):`, error);
+      throw error;
+    }
+
+    return payment.id;
+  },
+
+  /**
+   * Mark a purchase whose charge didn't go through as failed
+   * @param {string} purchaseRowId - super_like_purchases ID
+   * @private
+   */
+  async _failPurchase(purchaseRowId) {
+    const { error } = await supabase
+      .from('super_like_purchases')
+      .update({ status: 'failed' })
+      .eq('id', purchaseRowId)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error(`Error marking super like purchase ${purchaseRowId} failed:`, error);
+    }
+  },
+
+  /**
+   * Shape a purchase for the API
+   * @param {Object} purchase - super_like_purchases row
+   * @param {number} credits - Buyer's credits afterwards
+   * @returns {Object} - { purchase_id, pack, quantity, credits, payment_id }
+   * @private
+   */
+  _purchaseResult(purchase, credits) {
+    return {
+      purchase_id: purchase.purchase_id,
+      pack: purchase.pack,
+      quantity: purchase.quantity,
+      credits,
+      payment_id: purchase.payment_id
+    };
+  }
+};
@@ -0,0 +1,283 @@
+import { supabase } from '../utils/supabase.js';
+import { errorUtils } from '../utils/error-utils.js';
+import {
+  DEFAULT_SWIPE_QUOTAS,
+  DEFAULT_VELOCITY_THRESHOLDS,
+  countsTowardsQuota,
+  detectSwipeVelocity,
+  parseSwipeQuotas
+} from '../utils/swipe-limits.js';
+import { superLikeService } from './super-like-service.js';
+
+/**
+ * Likes per day for each tier, e.g. "free=100,paid=300,monthly=500,yearly=1000"
+ */
+const SWIPE_DAILY_QUOTAS = {
+  ...DEFAULT_SWIPE_QUOTAS,
+  ...parseSwipeQuotas(process.env.SWIPE_DAILY_QUOTAS)
+};
+
+/**
+ * When recent swipes look automated
+ */
+const SWIPE_VELOCITY_THRESHOLDS = {
+  burstLikes: parseInt(process.env.SWIPE_BURST_LIKES || String(DEFAULT_VELOCITY_THRESHOLDS.burstLikes), 10),
+  burstWindowSeconds: parseInt(process.env.SWIPE_BURST_WINDOW_SECONDS || String(DEFAULT_VELOCITY_THRESHOLDS.burstWindowSeconds), 10),
+  uniformSwipes: parseInt(process.env.SWIPE_UNIFORM_SWIPES || String(DEFAULT_VELOCITY_THRESHOLDS.uniformSwipes), 10),
+  uniformMaxIntervalSeconds: parseInt(process.env.SWIPE_UNIFORM_MAX_INTERVAL_SECONDS || String(DEFAULT_VELOCITY_THRESHOLDS.uniformMaxIntervalSeconds), 10),
+  uniformMaxVariation: parseFloat(process.env.SWIPE_UNIFORM_MAX_VARIATION || String(DEFAULT_VELOCITY_THRESHOLDS.uniformMaxVariation))
+};
+
+/**
+ * How long swiping is paused after a velocity check flags an account
+ */
+const SWIPE_THROTTLE_MINUTES = parseInt(process.env.SWIPE_THROTTLE_MINUTES || '30', 10);
+
+/**
+ * What the moderation queue says about each velocity finding
+ */
+const VELOCITY_REPORT_DETAILS = {
+  burst: ({ likes, window_seconds }) => `Automatic check: ${likes} likes in ${window_seconds} seconds`,
+  uniform_timing: ({ swipes, mean_interval_ms }) =>
+    `Automatic check: ${swipes} swipes in a row about ${mean_interval_ms} ms apart with almost no variation`
+};
+
+/**
+ * Seconds from now until a time, rounded up
+ * @param {Date|string} until - Time in the future
+ * @returns {number} - Whole seconds, at least 1
+ */
+function secondsUntil(until) {
+  return Math.max(Math.ceil((new Date(until).getTime() - Date.now()) / 1000), 1);
+}
+
+/**
+ * Service for daily like quotas and checks that slow down automated swiping
+ */
+export const swipeLimitService = {
+  /**
+   * Get the user's quota for today and whether swiping is paused
+   * @param {string} userId - User
+   * @returns {Promise<Object>} - { tier, daily_quota, used_today, remaining_today,
+   *   resets_at, throttled_until } where throttled_until is null unless paused
+   */
+  async getStatus(userId) {
+    const entitlement = await superLikeService.getEntitlement(userId);
+    const dailyQuota = SWIPE_DAILY_QUOTAS[entitlement.tier] || 0;
+
+    const [{ data: usage, error: usageError }, throttle] = await Promise.all([
+      supabase
+        .from('swipe_usage')
+        .select('likes')
+        .eq('user_id', userId)
+        .eq('local_date', entitlement.day.date)
+        .maybeSingle(),
+      this._getActiveThrottle(userId)
+    ]);
+
+    if (usageError) {
+      throw usageError;
+    }
+
+    const usedToday = usage?.likes || 0;
+
+    return {
+      tier: entitlement.tier,
+      daily_quota: dailyQuota,
+      used_today: usedToday,
+      remaining_today: Math.max(dailyQuota - usedToday, 0),
+      resets_at: entitlement.day.resets_at.toISOString(),
+      throttled_until: throttle ? throttle.throttled_until : null
+    };
+  },
+
+  /**
+   * Check a swipe is allowed before it is recorded, and count likes against
+   * today's quota. A like that is counted here stays counted even if the
+   * swipe then fails.
+   * @param {string} userId - User swiping
+   * @param {string} direction - like, dislike or super_like
+   * @returns {Promise<void>}
+   * @throws {ApiError} 429 with code swipe_throttled or daily_swipe_limit
+   */
+  async beforeSwipe(userId, direction) {
+    const throttle = await this._getActiveThrottle(userId);
+
+    if (throttle) {
+      throw errorUtils.rateLimitError('You\'re swiping too fast. Take a break and try again later.', {
+        code: 'swipe_throttled',
+        retry_after: secondsUntil(throttle.throttled_until),
+        resets_at: throttle.throttled_until
+      });
+    }
+
+    if (!countsTowardsQuota(direction)) {
+      return;
+    }
+
+    const entitlement = await superLikeService.getEntitlement(userId);
+    const dailyQuota = SWIPE_DAILY_QUOTAS[entitlement.tier] || 0;
+
+    const { data: used, error } = await supabase.rpc('use_swipe_quota', {
+      user_id: userId,
+      local_date: entitlement.day.date,
+      daily_quota: dailyQuota
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    if (used === null) {
+      throw errorUtils.rateLimitError('You\'ve used all your likes for today', {
+        code: 'daily_swipe_limit',
+        retry_after: secondsUntil(entitlement.day.resets_at),
+        resets_at: entitlement.day.resets_at.toISOString(),
+        daily_quota: dailyQuota,
+        tier: entitlement.tier
+      });
+    }
+  },
+
+  /**
+   * Look at the user's latest swipes and pause swiping if they look
+   * automated. Never throws; a failed check shouldn't fail the swipe that
+   * triggered it.
+   * @param {string} userId - User who just swiped
+   * @returns {Promise<Object|null>} - The finding, if the account was flagged
+   */
+  async checkVelocity(userId) {
+    try {
+      const since = new Date(Date.now() - SWIPE_VELOCITY_THRESHOLDS.burstWindowSeconds * 1000);
+
+      const [{ data: recent, error: recentError }, { data: latest, error: latestError }] = await Promise.all([
+        supabase
+          .from('swipe_history')
+          .select('id, direction, created_at')
+          .eq('swiper_id', userId)
+          .eq('action', 'swipe')
+          .in('direction', ['like', 'super_like'])
+          .gt('created_at', since.toISOString())
+          .limit(SWIPE_VELOCITY_THRESHOLDS.burstLikes),
+        supabase
+          .from('swipe_history')
+          .select('id, direction, created_at')
+          .eq('swiper_id', userId)
+          .eq('action', 'swipe')
+          .order('created_at', { ascending: false })
+          .limit(SWIPE_VELOCITY_THRESHOLDS.uniformSwipes)
+      ]);
+
+      if (recentError) {
+        throw recentError;
+      }
+
+      if (latestError) {
+        throw latestError;
+      }
+
+      // The two lists overlap
+      const swipes = [...new Map([...(recent || []), ...(latest || [])].map(swipe => [swipe.id, swipe])).values()];
+
+      const finding = detectSwipeVelocity(swipes, { thresholds: SWIPE_VELOCITY_THRESHOLDS });
+
+      if (finding) {
+        await this._flag(userId, finding);
+      }
+
+      return finding;
+    } catch (error) {
+      console.error(`Error checking swipe velocity for user ${userId}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Get the user's throttle if it is still running
+   * @param {string} userId - User
+   * @returns {Promise<Object|null>} - swipe_throttles row, or null
+   * @private
+   */
+  async _getActiveThrottle(userId) {
+    const { data, error } = await supabase
+      .from('swipe_throttles')
+      .select('reason, throttled_until')
+      .eq('user_id', userId)
+      .gt('throttled_until', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Pause the user's swiping and put them in the moderation queue, unless
+   * an automatic report about them is already waiting there
+   * @param {string} userId - User to flag
+   * @param {Object} finding - { reason, details } from detectSwipeVelocity
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flag(userId, { reason, details }) {
+    const throttledUntil = new Date(Date.now() + SWIPE_THROTTLE_MINUTES * 60 * 1000).toISOString();
+
+    const { data: previous, error: previousError } = await supabase
+      .from('swipe_throttles')
+      .select('flagged_count')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (previousError) {
+      throw previousError;
+    }
+
+    const { error: throttleError } = await supabase
+      .from('swipe_throttles')
+      .upsert({
+        user_id: userId,
+        reason,
+        details,
+        throttled_until: throttledUntil,
+        flagged_count: (previous?.flagged_count || 0) + 1,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (throttleError) {
+      throw throttleError;
+    }
+
+    console.warn(`Swiping paused for user ${userId} until ${throttledUntil} (${reason})`);
+
+    const { data: waiting, error: waitingError } = await supabase
+      .from('user_reports')
+      .select('id')
+      .eq('reported_id', userId)
+      .is('reporter_id', null)
+      .in('status', ['open', 'reviewing'])
+      .limit(1);
+
+    if (waitingError) {
+      throw waitingError;
+    }
+
+    if (waiting && waiting.length > 0) {
+      return;
+    }
+
+    const { error: reportError } = await supabase
+      .from('user_reports')
+      .insert({
+        reporter_id: null,
+        reported_id: userId,
+        reason: 'spam',
+        details: VELOCITY_REPORT_DETAILS[reason](details)
+      });
+
+    if (reportError) {
+      throw reportError;
+    }
+  }
+};
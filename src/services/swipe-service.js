@@ -0,0 +1,323 @@
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { UNDO_REJECTIONS, checkUndo, undoDeadline } from '../utils/swipe-undo.js';
+import { isUuid } from '../utils/uuid.js';
+import { superLikeService } from './super-like-service.js';
+import { matchExpiryService } from './match-expiry-service.js';
+import { moderationService } from './moderation-service.js';
+import { swipeLimitService } from './swipe-limit-service.js';
+
+/**
+ * Swipe directions a user can send
+ */
+export const SWIPE_DIRECTIONS = ['like', 'dislike', 'super_like'];
+
+/**
+ * How long after a swipe it can still be undone
+ */
+const SWIPE_UNDO_WINDOW_SECONDS = parseInt(process.env.SWIPE_UNDO_WINDOW_SECONDS || '30', 10);
+
+/**
+ * Whether likes can be undone too, or only passes
+ */
+const SWIPE_UNDO_ALLOW_LIKES = process.env.SWIPE_UNDO_ALLOW_LIKES !== 'false';
+
+/**
+ * Service for likes, super likes and passes. Matches are only ever created here, when the
+ * database sees both people have liked each other.
+ */
+export const swipeService = {
+  /**
+   * Let both people know they matched
+   * @param {Object} match - { id, conversation_id, venue_id }
+   * @param {string} swiperId - User whose like completed the match
+   * @param {string} swipedId - User who liked first
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifyMatch(match, swiperId, swipedId) {
+    const [{ data: profiles }, { data: venue }] = await Promise.all([
+      supabase
+        .from('profiles')
+        .select('id, display_name, full_name')
+        .in('id', [swiperId, swipedId]),
+      match.venue_id
+        ? supabase.from('venues').select('name').eq('id', match.venue_id).maybeSingle()
+        : Promise.resolve({ data: null })
+    ]);
+
+    const nameOf = userId => {
+      const profile = (profiles || []).find(p => p.id === userId);
+      return profile?.display_name || profile?.full_name || 'someone';
+    };
+
+    const notification = (userId, otherUserId) => ({
+      user_id: userId,
+      type: 'match',
+      title: 'New Match!',
+      message: venue
+        ? `You matched with ${nameOf(otherUserId)} at ${venue.name}!`
+        : `You matched with ${nameOf(otherUserId)}!`,
+      read: false,
+      data: {
+        match_id: match.id,
+        conversation_id: match.conversation_id,
+        venue_id: match.venue_id,
+        user_id: otherUserId
+      }
+    });
+
+    const { error } = await supabase
+      .from('notifications')
+      .insert([notification(swiperId, swipedId), notification(swipedId, swiperId)]);
+
+    if (error) {
+      console.error('Error creating match notifications:', error);
+    }
+  },
+
+  /**
+   * Tell someone they were super liked, without waiting for them to like back
+   * @param {string} swiperId - User who sent the super like
+   * @param {string} swipedId - User who received it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifySuperLike(swiperId, swipedId) {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('display_name, full_name')
+      .eq('id', swiperId)
+      .maybeSingle();
+
+    const name = profile?.display_name || profile?.full_name || 'Someone';
+
+    const { error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: swipedId,
+        type: 'match',
+        title: 'You got a Super Like!',
+        message: `${name} super liked you`,
+        read: false,
+        data: {
+          kind: 'super_like',
+          user_id: swiperId
+        }
+      });
+
+    if (error) {
+      console.error('Error creating super like notification:', error);
+    }
+  },
+
+  /**
+   * Like, super like or pass on someone. A like back on someone who already
+   * liked the user creates the match and its conversation in the same
+   * transaction. A super like uses up one of the user's super likes and lets
+   * the other person know straight away. Likes count against the user's
+   * daily quota, and swiping that looks automated pauses the account.
+   * @param {string} userId - User swiping
+   * @param {Object} swipe - { target_user_id, direction, venue_id }
+   * @returns {Promise<Object>} - { swipe_id, target_user_id, direction, is_match, match,
+   *   undo_expires_at, super_like } where match is { id, conversation_id, venue_id, expires_at } or null,
+   *   and super_like is { used_from } for super likes
+   */
+  async swipe(userId, { target_user_id, direction, venue_id = null } = {}) {
+    if (!target_user_id) {
+      throw errorUtils.validationError('target_user_id is required');
+    }
+
+    // Checked up front: the ID goes into a filter string below
+    if (!isUuid(target_user_id)) {
+      throw errorUtils.validationError('target_user_id must be a user ID');
+    }
+
+    if (venue_id !== null && !isUuid(venue_id)) {
+      throw errorUtils.validationError('venue_id must be a venue ID');
+    }
+
+    if (!SWIPE_DIRECTIONS.includes(direction)) {
+      throw errorUtils.validationError(`direction must be one of: ${SWIPE_DIRECTIONS.join(', ')}`);
+    }
+
+    if (target_user_id === userId) {
+      throw errorUtils.validationError('You cannot swipe on yourself');
+    }
+
+    const { data: target, error: targetError } = await supabase
+      .from('profiles')
+      .select('id')
+      .eq('id', target_user_id)
+      .maybeSingle();
+
+    if (targetError) {
+      throw targetError;
+    }
+
+    // Blocked people are treated as if they don't exist
+    if (!target || await moderationService.isBlocked(userId, target_user_id)) {
+      throw errorUtils.notFoundError('User not found');
+    }
+
+    // After an unmatch, neither can swipe on the other until the cooling-off period is over
+    const { data: ended, error: endedError } = await supabase
+      .from('matches')
+      .select('rematch_after')
+      .or(`and(user_id_1.eq.${userId},user_id_2.eq.${target_user_id}),and(user_id_1.eq.${target_user_id},user_id_2.eq.${userId})`)
+      .eq('status', 'unmatched')
+      .gt('rematch_after', new Date().toISOString())
+      .maybeSingle();
+
+    if (endedError) {
+      throw endedError;
+    }
+
+    if (ended) {
+      throw new ApiError('You unmatched recently, so you can\'t match again yet', 409);
+    }
+
+    // Throttled accounts and likes over today's quota get a 429
+    await swipeLimitService.beforeSwipe(userId, direction);
+
+    const superLike = direction === 'super_like';
+    let result;
+
+    try {
+      if (superLike) {
+        const { data: existing, error: existingError } = await supabase
+          .from('swipes')
+          .select('id')
+          .eq('swiper_id', userId)
+          .eq('swiped_id', target_user_id)
+          .eq('direction', 'super_like')
+          .maybeSingle();
+
+        if (existingError) {
+          throw existingError;
+        }
+
+        if (existing) {
+          throw new ApiError('You already super liked this person', 409);
+        }
+
+        result = await superLikeService.send(userId, target_user_id, venue_id);
+      } else {
+        const { data, error } = await supabase.rpc('record_swipe', {
+          swiper_id: userId,
+          swiped_id: target_user_id,
+          direction,
+          venue_id
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        result = Array.isArray(data) ? data[0] : data;
+      }
+    } catch (error) {
+      // Unknown venue
+      if (error.code === '23503') {
+        throw errorUtils.validationError('Venue not found');
+      }
+      throw error;
+    }
+
+    const swipedAt = new Date();
+    await swipeLimitService.checkVelocity(userId);
+    const match = result.match_id
+      ? { id: result.match_id, conversation_id: result.conversation_id, venue_id: result.match_venue_id }
+      : null;
+
+    if (match && result.is_new_match) {
+      try {
+        match.expires_at = await matchExpiryService.startExpiry(match.id);
+      } catch (expiryError) {
+        console.error(`Error starting expiry for match ${match.id}:`, expiryError);
+      }
+      await this._notifyMatch(match, userId, target_user_id);
+    } else if (superLike && !match) {
+      await this._notifySuperLike(userId, target_user_id);
+    }
+
+    // A like that matched can't be taken back
+    const deadline = match ? null : undoDeadline({ direction, created_at: swipedAt }, {
+      windowSeconds: SWIPE_UNDO_WINDOW_SECONDS,
+      allowLikes: SWIPE_UNDO_ALLOW_LIKES
+    });
+
+    return {
+      swipe_id: result.swipe_id,
+      target_user_id,
+      direction,
+      is_match: Boolean(match),
+      match,
+      undo_expires_at: deadline ? deadline.toISOString() : null,
+      super_like: superLike ? { used_from: result.used_from } : null
+    };
+  },
+
+  /**
+   * Take back the user's most recent swipe, so the person shows up in their
+   * deck again
+   * @param {string} userId - User undoing
+   * @returns {Promise<Object>} - { target_user_id, direction, profile }
+   */
+  async undoLastSwipe(userId) {
+    const { data: last, error: lastError } = await supabase
+      .from('swipes')
+      .select('id, swiped_id, direction, created_at')
+      .eq('swiper_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (lastError) {
+      throw lastError;
+    }
+
+    const rejection = checkUndo(last, {
+      windowSeconds: SWIPE_UNDO_WINDOW_SECONDS,
+      allowLikes: SWIPE_UNDO_ALLOW_LIKES
+    });
+
+    if (rejection === 'none') {
+      throw errorUtils.notFoundError(UNDO_REJECTIONS.none);
+    }
+
+    if (rejection) {
+      throw new ApiError(UNDO_REJECTIONS[rejection], 409);
+    }
+
+    const { data: removed, error } = await supabase.rpc('undo_swipe', {
+      swiper_id: userId,
+      swipe_id: last.id
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    // Matched or swiped again in the meantime
+    if (!removed || removed.length === 0) {
+      throw new ApiError('That swipe can no longer be undone', 409);
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('id, display_name, full_name, avatar_url, bio, gender, interests, is_verified, last_active')
+      .eq('id', last.swiped_id)
+      .maybeSingle();
+
+    if (profileError) {
+      throw profileError;
+    }
+
+    return {
+      target_user_id: last.swiped_id,
+      direction: last.direction,
+      profile
+    };
+  }
+};
@@ -0,0 +1,148 @@
+import { supabase } from '../utils/supabase.js';
+import { errorUtils } from '../utils/error-utils.js';
+import { getLocalTime, isValidTimeZone } from '../utils/opening-hours.js';
+import { clusterCellSize } from '../utils/venue-clusters.js';
+import { buildBusyHours, buildHeatmapGrid } from '../utils/venue-activity.js';
+import { venueService } from './venue-service.js';
+
+/**
+ * Days of check-ins and matches the busy-hours histograms are built from
+ */
+const VENUE_BUSY_HOURS_LOOKBACK_DAYS = parseInt(process.env.VENUE_BUSY_HOURS_LOOKBACK_DAYS || '56', 10);
+
+/**
+ * How far back matches count toward the live heatmap
+ */
+const VENUE_HEATMAP_MATCH_WINDOW_MINUTES = parseInt(process.env.VENUE_HEATMAP_MATCH_WINDOW_MINUTES || '120', 10);
+
+/**
+ * Time zone the busy-hours histogram uses for venues that don't have one set
+ */
+const DEFAULT_VENUE_TIMEZONE = process.env.DEFAULT_VENUE_TIMEZONE || 'UTC';
+
+/**
+ * Width of a heatmap cell in screen pixels
+ */
+const HEATMAP_CELL_PX = 30;
+
+/**
+ * Service for venue crowd analytics. The refresh methods are run by the
+ * venue activity job; the read methods only read its precomputed tables.
+ */
+export const venueActivityService = {
+  /**
+   * Rebuild every venue's busy-hours histogram
+   * @returns {Promise<number>} - Number of venue hour slots written
+   */
+  async refreshBusyHours() {
+    const { data, error } = await supabase.rpc('refresh_venue_busy_hours', {
+      lookback_days: VENUE_BUSY_HOURS_LOOKBACK_DAYS,
+      default_timezone: DEFAULT_VENUE_TIMEZONE
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || 0;
+  },
+
+  /**
+   * Recompute live activity for the heatmap
+   * @returns {Promise<number>} - Number of venues with activity
+   */
+  async refreshLiveActivity() {
+    const { data, error } = await supabase.rpc('refresh_venue_live_activity', {
+      match_window_minutes: VENUE_HEATMAP_MATCH_WINDOW_MINUTES
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || 0;
+  },
+
+  /**
+   * Get a venue's typical busyness for each hour of the week, in its local time
+   * @param {string} venueId - Venue ID
+   * @param {Date} now - Time used for the current hour
+   * @returns {Promise<Object>} - { venue_id, timezone, updated_at, days, peak, now }
+   *   where now is the current local { weekday, hour, busyness, level }
+   */
+  async getBusyHours(venueId, now = new Date()) {
+    const { data: venue, error: venueError } = await supabase
+      .from('venues')
+      .select('id, timezone')
+      .eq('id', venueId)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (venueError) {
+      throw venueError;
+    }
+
+    if (!venue) {
+      throw errorUtils.notFoundError('Venue not found');
+    }
+
+    const { data: rows, error } = await supabase
+      .from('venue_busy_hours')
+      .select('weekday, hour, avg_check_ins, avg_matches, updated_at')
+      .eq('venue_id', venueId);
+
+    if (error) {
+      throw error;
+    }
+
+    // Same zone the refresh bucketed this venue's hours in
+    const timezone = isValidTimeZone(venue.timezone) ? venue.timezone : DEFAULT_VENUE_TIMEZONE;
+    const { days, peak } = buildBusyHours(rows || []);
+    const local = getLocalTime(now, timezone);
+    const current = days[local.weekday].hours[Math.floor(local.minutes / 60)];
+
+    return {
+      venue_id: venueId,
+      timezone,
+      updated_at: rows && rows.length > 0 ? rows[0].updated_at : null,
+      days,
+      peak,
+      now: {
+        weekday: local.weekday,
+        hour: current.hour,
+        busyness: current.busyness,
+        level: current.level
+      }
+    };
+  },
+
+  /**
+   * Get the live crowd heatmap for a map viewport
+   * @param {Object} params - Query parameters (min_lat, min_lng, max_lat, max_lng, zoom)
+   * @returns {Promise<Object>} - { zoom, computed_at, max_weight, cells }
+   */
+  async getHeatmap(params = {}) {
+    const { bounds, zoom } = venueService.parseViewport(params);
+
+    const { data, error } = await supabase
+      .from('venue_live_activity')
+      .select('venue_id, lat, lng, people_count, recent_matches, computed_at')
+      .gte('lat', bounds.min_lat)
+      .lte('lat', bounds.max_lat)
+      .gte('lng', bounds.min_lng)
+      .lte('lng', bounds.max_lng);
+
+    if (error) {
+      throw error;
+    }
+
+    const { cells, max_weight } = buildHeatmapGrid(data || [], clusterCellSize(zoom, HEATMAP_CELL_PX));
+
+    return {
+      zoom,
+      computed_at: data && data.length > 0 ? data[0].computed_at : null,
+      max_weight,
+      cells
+    };
+  }
+};
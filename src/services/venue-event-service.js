@@ -0,0 +1,335 @@
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+
+/**
+ * Kinds of event a venue can host
+ */
+export const VENUE_EVENT_TYPES = ['theme_night', 'singles_mixer', 'happy_hour', 'live_music', 'other'];
+
+/**
+ * RSVP statuses; only 'going' counts against capacity
+ */
+export const RSVP_STATUSES = ['going', 'interested'];
+
+/**
+ * Longest an event may run
+ */
+const MAX_EVENT_DURATION_HOURS = 24;
+
+/**
+ * Service for venue events and RSVPs
+ */
+export const venueEventService = {
+  /**
+   * Validate event fields for create or update
+   * @param {Object} details - Event fields from the request
+   * @returns {Object} - Fields ready to save
+   */
+  validateEvent({ title, description, event_type = 'other', starts_at, ends_at, capacity, image_url }) {
+    if (!title || !String(title).trim()) {
+      throw errorUtils.validationError('Event title is required');
+    }
+
+    if (String(title).trim().length > 120) {
+      throw errorUtils.validationError('Event title must be 120 characters or fewer');
+    }
+
+    if (!VENUE_EVENT_TYPES.includes(event_type)) {
+      throw errorUtils.validationError(`event_type must be one of: ${VENUE_EVENT_TYPES.join(', ')}`);
+    }
+
+    const startsAt = new Date(starts_at);
+    const endsAt = new Date(ends_at);
+
+    if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) {
+      throw errorUtils.validationError('starts_at and ends_at must be valid dates');
+    }
+
+    if (endsAt <= startsAt) {
+      throw errorUtils.validationError('ends_at must be after starts_at');
+    }
+
+    if (endsAt - startsAt > MAX_EVENT_DURATION_HOURS * 60 * 60 * 1000) {
+      throw errorUtils.validationError(`Events can run for at most ${MAX_EVENT_DURATION_HOURS} hours`);
+    }
+
+    if (endsAt <= new Date()) {
+      throw errorUtils.validationError('Event has already ended');
+    }
+
+    if (capacity !== undefined && capacity !== null && !(Number.isInteger(capacity) && capacity > 0)) {
+      throw errorUtils.validationError('capacity must be a positive whole number');
+    }
+
+    return {
+      title: String(title).trim(),
+      description: description || null,
+      event_type,
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString(),
+      capacity: capacity || null,
+      image_url: image_url || null
+    };
+  },
+
+  /**
+   * Get a live (not cancelled, not ended) event or throw a 404
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - Event record
+   * @private
+   */
+  async _getLiveEvent(eventId) {
+    const { data: event, error } = await supabase
+      .from('venue_events')
+      .select('*')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!event || event.is_cancelled || new Date(event.ends_at) <= new Date()) {
+      throw errorUtils.notFoundError('Event not found');
+    }
+
+    return event;
+  },
+
+  /**
+   * Create an event at a venue
+   * @param {string} userId - User creating the event
+   * @param {string} venueId - Venue ID
+   * @param {Object} details - Event fields
+   * @returns {Promise<Object>} - New event
+   */
+  async createEvent(userId, venueId, details = {}) {
+    const fields = this.validateEvent(details);
+
+    const { data: venue, error: venueError } = await supabase
+      .from('venues')
+      .select('id, is_active')
+      .eq('id', venueId)
+      .maybeSingle();
+
+    if (venueError) {
+      throw venueError;
+    }
+
+    if (!venue || venue.is_active === false) {
+      throw errorUtils.notFoundError('Venue not found');
+    }
+
+    const { data: event, error } = await supabase
+      .from('venue_events')
+      .insert({ ...fields, venue_id: venueId, created_by: userId })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return { ...event, going_count: 0, interested_count: 0, my_rsvp: null };
+  },
+
+  /**
+   * Update an upcoming event. The capacity can't be lowered below the
+   * number of people already going.
+   * @param {string} eventId - Event ID
+   * @param {Object} details - Fields to change
+   * @returns {Promise<Object>} - Updated event
+   */
+  async updateEvent(eventId, details = {}) {
+    const event = await this._getLiveEvent(eventId);
+    const fields = this.validateEvent({ ...event, ...details });
+
+    const { data, error } = await supabase
+      .from('venue_events')
+      .update(fields)
+      .eq('id', eventId)
+      .select()
+      .single();
+
+    if (error) {
+      // Raised by the capacity trigger when more people are already going
+      if (error.code === 'P0409') {
+        throw new ApiError(error.message, 409);
+      }
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Cancel an event
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - Cancelled event
+   */
+  async cancelEvent(eventId) {
+    await this._getLiveEvent(eventId);
+
+    const { data, error } = await supabase
+      .from('venue_events')
+      .update({ is_cancelled: true })
+      .eq('id', eventId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Add RSVP counts and the user's own RSVP to events
+   * @param {Array} events - Event records
+   * @param {string} userId - Current user ID
+   * @returns {Promise<Array>} - Events with going_count, interested_count and my_rsvp
+   * @private
+   */
+  async _withRsvps(events, userId = null) {
+    if (!events || events.length === 0) {
+      return [];
+    }
+
+    const { data: rsvps, error } = await supabase
+      .from('venue_event_rsvps')
+      .select('event_id, user_id, status')
+      .in('event_id', events.map(event => event.id));
+
+    if (error) {
+      throw error;
+    }
+
+    return events.map(event => {
+      const eventRsvps = (rsvps || []).filter(rsvp => rsvp.event_id === event.id);
+      const mine = eventRsvps.find(rsvp => rsvp.user_id === userId);
+
+      return {
+        ...event,
+        going_count: eventRsvps.filter(rsvp => rsvp.status === 'going').length,
+        interested_count: eventRsvps.filter(rsvp => rsvp.status === 'interested').length,
+        my_rsvp: mine ? mine.status : null
+      };
+    });
+  },
+
+  /**
+   * List a venue's upcoming and ongoing events, soonest first
+   * @param {string} venueId - Venue ID
+   * @param {string} userId - Current user ID
+   * @returns {Promise<Array>} - Events with RSVP counts
+   */
+  async listVenueEvents(venueId, userId = null) {
+    const { data: events, error } = await supabase
+      .from('venue_events')
+      .select('*')
+      .eq('venue_id', venueId)
+      .eq('is_cancelled', false)
+      .gt('ends_at', new Date().toISOString())
+      .order('starts_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return this._withRsvps(events, userId);
+  },
+
+  /**
+   * Get upcoming events for a set of venues, grouped by venue
+   * @param {Array<string>} venueIds - Venue IDs
+   * @param {Object} options - { userId, withinDays, perVenue }
+   * @returns {Promise<Object>} - Event lists keyed by venue ID
+   */
+  async getUpcomingByVenue(venueIds, { userId = null, withinDays = 7, perVenue = 3 } = {}) {
+    if (!venueIds || venueIds.length === 0) {
+      return {};
+    }
+
+    const now = new Date();
+    const horizon = new Date(now.getTime() + withinDays * 24 * 60 * 60 * 1000);
+
+    const { data: events, error } = await supabase
+      .from('venue_events')
+      .select('*')
+      .in('venue_id', venueIds)
+      .eq('is_cancelled', false)
+      .gt('ends_at', now.toISOString())
+      .lt('starts_at', horizon.toISOString())
+      .order('starts_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const withRsvps = await this._withRsvps(events, userId);
+
+    return withRsvps.reduce((byVenue, event) => {
+      byVenue[event.venue_id] = byVenue[event.venue_id] || [];
+      if (byVenue[event.venue_id].length < perVenue) {
+        byVenue[event.venue_id].push(event);
+      }
+      return byVenue;
+    }, {});
+  },
+
+  /**
+   * RSVP to an event, or change an existing RSVP
+   * @param {string} userId - User ID
+   * @param {string} eventId - Event ID
+   * @param {string} status - 'going' or 'interested'
+   * @returns {Promise<Object>} - RSVP record
+   */
+  async rsvp(userId, eventId, status = 'going') {
+    if (!RSVP_STATUSES.includes(status)) {
+      throw errorUtils.validationError(`status must be one of: ${RSVP_STATUSES.join(', ')}`);
+    }
+
+    // Checked and saved in one locked step so the event can't go over capacity
+    const { data, error } = await supabase.rpc('rsvp_to_event', {
+      target_event_id: eventId,
+      target_user_id: userId,
+      rsvp_status: status
+    });
+
+    if (error) {
+      // Raised by rsvp_to_event
+      if (error.code === 'P0404') {
+        throw errorUtils.notFoundError('Event not found');
+      }
+      if (error.code === 'P0409') {
+        throw new ApiError('This event is full', 409);
+      }
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Remove a user's RSVP
+   * @param {string} userId - User ID
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object|null>} - Removed RSVP, or null if there was none
+   */
+  async cancelRsvp(userId, eventId) {
+    const { data, error } = await supabase
+      .from('venue_event_rsvps')
+      .delete()
+      .eq('event_id', eventId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+};
@@ -0,0 +1,680 @@
+import crypto from 'crypto';
+import { supabase } from '../utils/supabase.js';
+import { ApiError, errorUtils } from '../utils/error-utils.js';
+import { sendVerificationCall } from '../utils/twilio-client.js';
+import { isValidTimeZone, parseDaySpans } from '../utils/opening-hours.js';
+import {
+  generateClaimCode,
+  hashClaimCode,
+  maskPhone,
+  parseVenuePhone,
+  verifyClaimCode
+} from '../utils/venue-claim.js';
+import { venueEventService } from './venue-event-service.js';
+
+/**
+ * How long a claim code stays valid
+ */
+const CLAIM_CODE_EXPIRY_MINUTES = 10;
+
+/**
+ * Wrong guesses allowed before a claim is locked
+ */
+const CLAIM_MAX_ATTEMPTS = 5;
+
+/**
+ * Minimum wait before sending another code for the same venue
+ */
+const CLAIM_RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Verification calls one user can have placed per hour, across all venues
+ */
+const CLAIM_MAX_CALLS_PER_HOUR = 5;
+
+/**
+ * Venue fields owners may change, all subject to admin review.
+ * Name and phone stay admin-only because claims are verified against them.
+ */
+const OWNER_EDITABLE_FIELDS = ['description', 'images', 'opening_hours', 'hours_exceptions', 'timezone', 'website'];
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Service for venue ownership claims and owner-submitted changes
+ */
+export const venueOwnerService = {
+  /**
+   * Check whether a user owns a venue
+   * @param {string} userId - User ID
+   * @param {string} venueId - Venue ID
+   * @returns {Promise<boolean>} - True if the user owns the venue
+   */
+  async isOwner(userId, venueId) {
+    const { data, error } = await supabase
+      .from('venue_owners')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('venue_id', venueId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return Boolean(data);
+  },
+
+  /**
+   * Throw a 403 unless the user owns the venue
+   * @param {string} userId - User ID
+   * @param {string} venueId - Venue ID
+   * @private
+   */
+  async _assertOwner(userId, venueId) {
+    if (!(await this.isOwner(userId, venueId))) {
+      throw new ApiError('You do not manage this venue', 403);
+    }
+  },
+
+  /**
+   * Call a venue's listed phone number and read out a claim code. Listed
+   * numbers are usually landlines, so the code is spoken rather than texted.
+   * @param {string} userId - User claiming the venue
+   * @param {string} venueId - Venue ID
+   * @returns {Promise<Object>} - { claim_id, phone_hint, expires_at }
+   */
+  async startClaim(userId, venueId) {
+    const { data: venue, error: venueError } = await supabase
+      .from('venues')
+      .select('id, name, phone, is_active')
+      .eq('id', venueId)
+      .maybeSingle();
+
+    if (venueError) {
+      throw venueError;
+    }
+
+    if (!venue || venue.is_active === false) {
+      throw errorUtils.notFoundError('Venue not found');
+    }
+
+    if (await this.isOwner(userId, venueId)) {
+      throw new ApiError('You already manage this venue', 409);
+    }
+
+    const phone = parseVenuePhone(venue.phone);
+    if (!phone) {
+      throw errorUtils.validationError(
+        'This venue has no phone number we can verify. Please contact support to claim it.'
+      );
+    }
+
+    const { data: lastClaim, error: lastClaimError } = await supabase
+      .from('venue_claims')
+      .select('created_at')
+      .eq('venue_id', venueId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (lastClaimError) {
+      throw lastClaimError;
+    }
+
+    if (lastClaim && Date.now() - new Date(lastClaim.created_at).getTime() < CLAIM_RESEND_COOLDOWN_SECONDS * 1000) {
+      throw new ApiError('Please wait a minute before requesting another code', 429);
+    }
+
+    // Only the newest code for a venue can be used
+    const { error: supersedeError } = await supabase
+      .from('venue_claims')
+      .update({ status: 'superseded' })
+      .eq('venue_id', venueId)
+      .eq('user_id', userId)
+      .eq('status', 'pending');
+
+    if (supersedeError) {
+      throw supersedeError;
+    }
+
+    const claimId = crypto.randomUUID();
+    const code = generateClaimCode();
+    const expiresAt = new Date(Date.now() + CLAIM_CODE_EXPIRY_MINUTES * 60 * 1000).toISOString();
+
+    const { error } = await supabase
+      .from('venue_claims')
+      .insert({
+        id: claimId,
+        venue_id: venueId,
+        user_id: userId,
+        phone,
+        code_hash: hashClaimCode(code, claimId),
+        code_expires_at: expiresAt
+      });
+
+    if (error) {
+      throw error;
+    }
+
+    // Counted after the insert, so parallel requests all see each other
+    const { count: recentCalls, error: countError } = await supabase
+      .from('venue_claims')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .gte('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString());
+
+    if (countError) {
+      throw countError;
+    }
+
+    if (recentCalls > CLAIM_MAX_CALLS_PER_HOUR) {
+      await supabase.from('venue_claims').update({ status: 'failed' }).eq('id', claimId);
+      throw new ApiError('Too many verification calls. Please try again later.', 429);
+    }
+
+    try {
+      await sendVerificationCall(phone, code);
+    } catch (callError) {
+      console.error('Error calling venue with claim code:', callError);
+      await supabase.from('venue_claims').update({ status: 'failed' }).eq('id', claimId);
+      throw errorUtils.serverError('Could not call the venue phone number');
+    }
+
+    return { claim_id: claimId, phone_hint: maskPhone(phone), expires_at: expiresAt };
+  },
+
+  /**
+   * Verify a claim code and make the user an owner of the venue
+   * @param {string} userId - User claiming the venue
+   * @param {string} venueId - Venue ID
+   * @param {string} code - Code read out in the call to the venue phone
+   * @returns {Promise<Object>} - Ownership record
+   */
+  async verifyClaim(userId, venueId, code) {
+    const { data: claim, error } = await supabase
+      .from('venue_claims')
+      .select('*')
+      .eq('venue_id', venueId)
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!claim) {
+      throw errorUtils.notFoundError('No pending claim for this venue. Request a new code.');
+    }
+
+    if (new Date(claim.code_expires_at) <= new Date()) {
+      await supabase.from('venue_claims').update({ status: 'expired' }).eq('id', claim.id);
+      throw errorUtils.validationError('This code has expired. Request a new code.');
+    }
+
+    // Every guess is counted before it's checked, so parallel guesses
+    // can't get past the limit
+    const { data: attempts, error: attemptError } = await supabase.rpc('use_venue_claim_attempt', {
+      target_claim_id: claim.id,
+      max_attempts: CLAIM_MAX_ATTEMPTS
+    });
+
+    if (attemptError) {
+      throw attemptError;
+    }
+
+    if (attempts === null) {
+      throw new ApiError('Too many incorrect codes. Request a new code.', 429);
+    }
+
+    if (!verifyClaimCode(code, claim.id, claim.code_hash)) {
+      if (attempts >= CLAIM_MAX_ATTEMPTS) {
+        await supabase
+          .from('venue_claims')
+          .update({ status: 'failed' })
+          .eq('id', claim.id)
+          .eq('status', 'pending');
+
+        throw new ApiError('Too many incorrect codes. Request a new code.', 429);
+      }
+
+      throw errorUtils.validationError(
+        `Incorrect code. ${CLAIM_MAX_ATTEMPTS - attempts} attempt(s) left.`
+      );
+    }
+
+    const { data: verified, error: claimError } = await supabase
+      .from('venue_claims')
+      .update({ status: 'verified', verified_at: new Date().toISOString() })
+      .eq('id', claim.id)
+      .eq('status', 'pending')
+      .select('id')
+      .maybeSingle();
+
+    if (claimError) {
+      throw claimError;
+    }
+
+    // Locked by a parallel wrong guess, or replaced by a new code
+    if (!verified) {
+      throw errorUtils.notFoundError('No pending claim for this venue. Request a new code.');
+    }
+
+    const { data: owner, error: ownerError } = await supabase
+      .from('venue_owners')
+      .upsert({ venue_id: venueId, user_id: userId, claim_id: claim.id }, { onConflict: 'venue_id,user_id' })
+      .select()
+      .single();
+
+    if (ownerError) {
+      throw ownerError;
+    }
+
+    return owner;
+  },
+
+  /**
+   * Get the venues a user manages, with their change requests
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Venues with change_requests and upcoming events
+   */
+  async getOwnedVenues(userId) {
+    const { data: owned, error } = await supabase
+      .from('venue_owners')
+      .select('venue_id')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    const venueIds = (owned || []).map(row => row.venue_id);
+    if (venueIds.length === 0) {
+      return [];
+    }
+
+    const [venuesResult, requestsResult, events] = await Promise.all([
+      supabase.from('venues').select('*').in('id', venueIds),
+      supabase
+        .from('venue_change_requests')
+        .select('*')
+        .in('venue_id', venueIds)
+        .order('created_at', { ascending: false })
+        .limit(100),
+      venueEventService.getUpcomingByVenue(venueIds, { withinDays: 60, perVenue: 20 })
+    ]);
+
+    if (venuesResult.error) {
+      throw venuesResult.error;
+    }
+
+    if (requestsResult.error) {
+      throw requestsResult.error;
+    }
+
+    return (venuesResult.data || []).map(venue => ({
+      ...venue,
+      upcoming_events: events[venue.id] || [],
+      change_requests: (requestsResult.data || []).filter(request => request.venue_id === venue.id)
+    }));
+  },
+
+  /**
+   * Validate owner edits to venue details
+   * @param {Object} changes - Proposed field values
+   * @returns {Object} - Only the editable fields
+   * @private
+   */
+  _validateVenueChanges(changes = {}) {
+    const fields = {};
+
+    Object.keys(changes).forEach(field => {
+      if (!OWNER_EDITABLE_FIELDS.includes(field)) {
+        throw errorUtils.validationError(`${field} can't be changed by venue owners`);
+      }
+      fields[field] = changes[field];
+    });
+
+    if (Object.keys(fields).length === 0) {
+      throw errorUtils.validationError('No changes submitted');
+    }
+
+    if (fields.description !== undefined && String(fields.description).length > 2000) {
+      throw errorUtils.validationError('Description must be 2000 characters or fewer');
+    }
+
+    if (fields.images !== undefined) {
+      const validImages = Array.isArray(fields.images) && fields.images.length <= 10 &&
+        fields.images.every(url => /^https:\/\//.test(url));
+      if (!validImages) {
+        throw errorUtils.validationError('images must be a list of up to 10 https URLs');
+      }
+    }
+
+    if (fields.website !== undefined && fields.website && !/^https?:\/\//.test(fields.website)) {
+      throw errorUtils.validationError('website must be a http(s) URL');
+    }
+
+    if (fields.timezone !== undefined && !isValidTimeZone(fields.timezone)) {
+      throw errorUtils.validationError('timezone must be an IANA time zone, e.g. America/Los_Angeles');
+    }
+
+    if (fields.opening_hours !== undefined) {
+      this._validateHours(fields.opening_hours, day => WEEKDAYS.includes(day), 'opening_hours');
+    }
+
+    if (fields.hours_exceptions !== undefined) {
+      this._validateHours(fields.hours_exceptions, day => /^\d{4}-\d{2}-\d{2}$/.test(day), 'hours_exceptions');
+    }
+
+    return fields;
+  },
+
+  /**
+   * Check an hours object: valid keys, and each day either closed or made of valid spans
+   * @param {Object} hours - Hours keyed by weekday or date
+   * @param {Function} isValidKey - Key check
+   * @param {string} field - Field name for error messages
+   * @private
+   */
+  _validateHours(hours, isValidKey, field) {
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+      throw errorUtils.validationError(`${field} must be an object`);
+    }
+
+    Object.entries(hours).forEach(([key, day]) => {
+      if (!isValidKey(key)) {
+        throw errorUtils.validationError(`${field} has an invalid day: ${key}`);
+      }
+
+      const spans = Array.isArray(day) ? day : [day];
+      if (!(day && day.closed) && parseDaySpans(day).length !== spans.length) {
+        throw errorUtils.validationError(`${field}.${key} must be closed or a list of HH:MM open/close times`);
+      }
+    });
+  },
+
+  /**
+   * Queue a change to a venue for admin review
+   * @param {string} userId - Owner submitting the change
+   * @param {string} venueId - Venue ID
+   * @param {Object} changes - Venue fields to change
+   * @returns {Promise<Object>} - Change request
+   */
+  async submitVenueChanges(userId, venueId, changes) {
+    await this._assertOwner(userId, venueId);
+    const payload = this._validateVenueChanges(changes);
+
+    return this._createChangeRequest(userId, venueId, 'venue_details', payload);
+  },
+
+  /**
+   * Queue a new event, an event edit or an event cancellation for admin review
+   * @param {string} userId - Owner submitting the change
+   * @param {string} venueId - Venue ID
+   * @param {Object} details - Event fields, with event_id to edit an existing event
+   *   and is_cancelled: true to cancel it
+   * @returns {Promise<Object>} - Change request
+   */
+  async submitEventChange(userId, venueId, { event_id: eventId, ...details } = {}) {
+    await this._assertOwner(userId, venueId);
+
+    if (!eventId) {
+      return this._createChangeRequest(userId, venueId, 'event', venueEventService.validateEvent(details));
+    }
+
+    const { data: event, error } = await supabase
+      .from('venue_events')
+      .select('*')
+      .eq('id', eventId)
+      .eq('venue_id', venueId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!event || event.is_cancelled) {
+      throw errorUtils.notFoundError('Event not found');
+    }
+
+    const payload = details.is_cancelled === true
+      ? { is_cancelled: true }
+      : venueEventService.validateEvent({ ...event, ...details });
+
+    return this._createChangeRequest(userId, venueId, 'event', payload, eventId);
+  },
+
+  /**
+   * Insert a pending change request
+   * @private
+   */
+  async _createChangeRequest(userId, venueId, changeType, payload, eventId = null) {
+    const { data, error } = await supabase
+      .from('venue_change_requests')
+      .insert({
+        venue_id: venueId,
+        submitted_by: userId,
+        change_type: changeType,
+        event_id: eventId,
+        payload
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * List change requests for admin review, oldest first
+   * @param {string} status - pending, approved or rejected
+   * @returns {Promise<Array>} - Requests with venue and submitter details
+   */
+  async listChangeRequests(status = 'pending') {
+    const { data: requests, error } = await supabase
+      .from('venue_change_requests')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!requests || requests.length === 0) {
+      return [];
+    }
+
+    // Fetch venues and profiles separately to avoid foreign key relationship issues
+    const [venuesResult, profilesResult] = await Promise.all([
+      supabase
+        .from('venues')
+        .select('id, name, description, images, opening_hours, hours_exceptions, timezone, website')
+        .in('id', [...new Set(requests.map(request => request.venue_id))]),
+      supabase
+        .from('profiles')
+        .select('id, display_name')
+        .in('id', [...new Set(requests.map(request => request.submitted_by))])
+    ]);
+
+    if (venuesResult.error) {
+      throw venuesResult.error;
+    }
+
+    const venues = new Map((venuesResult.data || []).map(venue => [venue.id, venue]));
+    const profiles = new Map((profilesResult.data || []).map(profile => [profile.id, profile]));
+
+    return requests.map(request => ({
+      ...request,
+      venue: venues.get(request.venue_id) || null,
+      submitter: profiles.get(request.submitted_by) || null
+    }));
+  },
+
+  /**
+   * Get a pending change request or throw
+   * @private
+   */
+  async _getPendingRequest(requestId) {
+    const { data: request, error } = await supabase
+      .from('venue_change_requests')
+      .select('*')
+      .eq('id', requestId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!request) {
+      throw errorUtils.notFoundError('Change request not found');
+    }
+
+    if (request.status !== 'pending') {
+      throw new ApiError(`This change request was already ${request.status}`, 409);
+    }
+
+    return request;
+  },
+
+  /**
+   * Apply a change request and mark it approved. Event changes that come
+   * too late are rejected instead, with a review note saying why.
+   * @param {string} adminId - Reviewing admin
+   * @param {string} requestId - Change request ID
+   * @returns {Promise<Object>} - Updated change request
+   */
+  async approveChangeRequest(adminId, requestId) {
+    const request = await this._getPendingRequest(requestId);
+
+    // Changes to events that have started can't be applied any more; reject
+    // them so they don't sit in the queue
+    if (request.change_type === 'event') {
+      const reason = await this._staleEventChangeReason(request);
+
+      if (reason) {
+        return this._reviewChangeRequest(adminId, request, 'rejected', reason);
+      }
+    }
+
+    if (request.change_type === 'venue_details') {
+      const { error } = await supabase
+        .from('venues')
+        .update(request.payload)
+        .eq('id', request.venue_id);
+
+      if (error) {
+        throw error;
+      }
+    } else if (!request.event_id) {
+      await venueEventService.createEvent(request.submitted_by, request.venue_id, request.payload);
+    } else if (request.payload.is_cancelled) {
+      await venueEventService.cancelEvent(request.event_id);
+    } else {
+      await venueEventService.updateEvent(request.event_id, request.payload);
+    }
+
+    return this._reviewChangeRequest(adminId, request, 'approved');
+  },
+
+  /**
+   * Work out whether an event change request is too late to apply
+   * @param {Object} request - Event change request
+   * @returns {Promise<string|null>} - Review note explaining why, or null if
+   *   it can still be applied
+   * @private
+   */
+  async _staleEventChangeReason(request) {
+    const now = new Date();
+    const started = 'The event had already started when this change was reviewed.';
+    const cancelling = request.payload.is_cancelled === true;
+
+    if (!cancelling && new Date(request.payload.starts_at) <= now) {
+      return started;
+    }
+
+    if (!request.event_id) {
+      return null;
+    }
+
+    const { data: event, error } = await supabase
+      .from('venue_events')
+      .select('starts_at, ends_at, is_cancelled')
+      .eq('id', request.event_id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!event || event.is_cancelled || new Date(event.ends_at) <= now) {
+      return 'The event had already ended or been cancelled when this change was reviewed.';
+    }
+
+    // A running event can still be cancelled, but not edited
+    return !cancelling && new Date(event.starts_at) <= now ? started : null;
+  },
+
+  /**
+   * Reject a change request
+   * @param {string} adminId - Reviewing admin
+   * @param {string} requestId - Change request ID
+   * @param {string} note - Reason shown to the owner
+   * @returns {Promise<Object>} - Updated change request
+   */
+  async rejectChangeRequest(adminId, requestId, note = null) {
+    const request = await this._getPendingRequest(requestId);
+    return this._reviewChangeRequest(adminId, request, 'rejected', note);
+  },
+
+  /**
+   * Record the review outcome and let the owner know
+   * @private
+   */
+  async _reviewChangeRequest(adminId, request, status, note = null) {
+    const { data, error } = await supabase
+      .from('venue_change_requests')
+      .update({
+        status,
+        reviewed_by: adminId,
+        reviewed_at: new Date().toISOString(),
+        review_note: note
+      })
+      .eq('id', request.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const what = request.change_type === 'event' ? 'event change' : 'venue update';
+    const { error: notificationError } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: request.submitted_by,
+        type: 'venue',
+        title: status === 'approved' ? 'Venue update approved' : 'Venue update rejected',
+        message: status === 'approved'
+          ? `Your ${what} is now live.`
+          : `Your ${what} was not approved${note ? `: ${note}` : '.'}`,
+        read: false,
+        data: { venue_id: request.venue_id, change_request_id: request.id }
+      });
+
+    if (notificationError) {
+      console.error('Error creating venue review notification:', notificationError);
+    }
+
+    return data;
+  }
+};
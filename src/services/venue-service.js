@@ -0,0 +1,362 @@
+import { supabase } from '../utils/supabase.js';
+import { errorUtils } from '../utils/error-utils.js';
+import { isValidCoordinate } from '../utils/geo.js';
+import { getOpenStatus } from '../utils/opening-hours.js';
+import { checkInService } from './check-in-service.js';
+import { venueEventService } from './venue-event-service.js';
+import { getTopVibeTags, isVibeTag } from '../utils/vibe-tags.js';
+import { MAX_ZOOM, clampBounds, clusterCellSize, formatClusters } from '../utils/venue-clusters.js';
+import {
+  NEARBY_SORTS,
+  VENUE_SORTS,
+  decodeCursor,
+  encodeCursor,
+  readFacetCounts,
+  sortVenues
+} from '../utils/venue-search.js';
+
+/**
+ * Time zone used for venues that don't have one set. Unset by default, so
+ * those venues' open status is unknown rather than read in the wrong zone.
+ */
+const DEFAULT_VENUE_TIMEZONE = process.env.DEFAULT_VENUE_TIMEZONE || null;
+
+/**
+ * Upper bound on clusters returned for one map viewport
+ */
+const VENUE_MAP_MAX_CLUSTERS = parseInt(process.env.VENUE_MAP_MAX_CLUSTERS || '300', 10);
+
+/**
+ * Split a comma-separated query parameter into values
+ * @param {string} value - Raw parameter
+ * @param {Function} parse - Converts each value
+ * @returns {Array|null} - Values, or null if none were given
+ */
+function parseList(value, parse = v => v) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  return String(value)
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean)
+    .map(parse);
+}
+
+/**
+ * Service for venue discovery
+ */
+export const venueService = {
+  /**
+   * Add open_now, closing_soon, closes_at and opens_at to a venue.
+   * The raw hours fields are kept so clients can show full hours. open_now
+   * is null when the venue's time zone is missing or invalid.
+   * @param {Object} venue - Venue with opening_hours, hours_exceptions and timezone
+   * @param {Date} now - Time to evaluate the hours at
+   * @returns {Object} - Venue with its open status
+   */
+  withOpenStatus(venue, now = new Date()) {
+    return {
+      ...venue,
+      ...getOpenStatus(venue.opening_hours, {
+        exceptions: venue.hours_exceptions,
+        timeZone: venue.timezone || DEFAULT_VENUE_TIMEZONE,
+        now
+      })
+    };
+  },
+
+  /**
+   * Add the venue's most used vibe tags from its review aggregates
+   * @param {Object} venue - Venue with vibe_tag_counts
+   * @returns {Object} - Venue with top_vibe_tags
+   */
+  withReviewSummary(venue) {
+    return {
+      ...venue,
+      review_count: venue.review_count || 0,
+      top_vibe_tags: getTopVibeTags(venue.vibe_tag_counts)
+    };
+  },
+
+  /**
+   * Get an active venue with its open status, review summary,
+   * people checked in and upcoming events
+   * @param {string} venueId - Venue ID
+   * @param {string} userId - Current user, for their own event RSVPs
+   * @returns {Promise<Object>} - Venue
+   */
+  async getById(venueId, userId = null) {
+    const { data: venue, error } = await supabase
+      .from('venues')
+      .select('*')
+      .eq('id', venueId)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!venue) {
+      throw errorUtils.notFoundError('Venue not found');
+    }
+
+    const [counts, events] = await Promise.all([
+      checkInService.getPresenceCounts([venueId]),
+      venueEventService.getUpcomingByVenue([venueId], { userId })
+    ]);
+
+    return {
+      ...this.withReviewSummary(this.withOpenStatus(venue)),
+      people_count: counts[venueId] || 0,
+      upcoming_events: events[venueId] || []
+    };
+  },
+
+  /**
+   * Get active venues within a radius with their open status, review summary,
+   * the number of people checked in and their upcoming events
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radiusKm - Radius in kilometers
+   * @param {Object} options - Options
+   * @param {boolean} options.openNow - Only return open (true) or closed (false) venues
+   * @param {string} options.userId - Current user, for their own event RSVPs
+   * @param {string} options.sort - distance (default), rating, reviews or vibe
+   * @param {string} options.vibe - Vibe tag to rank by when sorting by vibe
+   * @returns {Promise<Array>} - Venues
+   */
+  async getNearby(lat, lng, radiusKm = 10, { openNow = null, userId = null, sort = 'distance', vibe = null } = {}) {
+    if (!NEARBY_SORTS.includes(sort)) {
+      throw errorUtils.validationError(`sort must be one of: ${NEARBY_SORTS.join(', ')}`);
+    }
+
+    if (sort === 'vibe' && !isVibeTag(vibe)) {
+      throw errorUtils.validationError('A valid vibe tag is required to sort by vibe');
+    }
+
+    const { data, error } = await supabase.rpc('get_nearby_venues', {
+      user_lat: lat,
+      user_lng: lng,
+      radius_km: radiusKm
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const now = new Date();
+    const venues = sortVenues(
+      (data || [])
+        .map(venue => this.withReviewSummary(this.withOpenStatus(venue, now)))
+        .filter(venue => openNow === null || venue.open_now === openNow),
+      sort,
+      { vibe }
+    );
+
+    const venueIds = venues.map(venue => venue.id);
+    const [counts, events] = await Promise.all([
+      checkInService.getPresenceCounts(venueIds),
+      venueEventService.getUpcomingByVenue(venueIds, { userId })
+    ]);
+
+    return venues.map(venue => ({
+      ...venue,
+      people_count: counts[venue.id] || 0,
+      upcoming_events: events[venue.id] || []
+    }));
+  },
+
+  /**
+   * Validate map viewport parameters from the query string
+   * @param {Object} params - Query parameters (min_lat, min_lng, max_lat, max_lng, zoom)
+   * @returns {Object} - { bounds, zoom } with bounds clamped to the mappable world
+   */
+  parseViewport(params = {}) {
+    const boundKeys = ['min_lat', 'min_lng', 'max_lat', 'max_lng'];
+
+    // Out of range values are clamped rather than rejected: maps panned
+    // across the antimeridian report longitudes past 180
+    if (boundKeys.some(key => params[key] === undefined || params[key] === '' || !Number.isFinite(Number(params[key])))) {
+      throw errorUtils.validationError('min_lat, min_lng, max_lat and max_lng are required');
+    }
+
+    const [minLat, minLng, maxLat, maxLng] = boundKeys.map(key => Number(params[key]));
+
+    if (minLat > maxLat || minLng > maxLng) {
+      throw errorUtils.validationError('min_lat and min_lng must be below max_lat and max_lng');
+    }
+
+    const zoom = Number(params.zoom);
+    if (!Number.isFinite(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      throw errorUtils.validationError(`zoom must be between 0 and ${MAX_ZOOM}`);
+    }
+
+    return {
+      bounds: clampBounds({ min_lat: minLat, min_lng: minLng, max_lat: maxLat, max_lng: maxLng }),
+      zoom
+    };
+  },
+
+  /**
+   * Get the active venues in a map viewport, clustered for the zoom level.
+   * Each cluster's representative venue comes with its open status, review
+   * summary, people checked in and upcoming events, so single-venue clusters
+   * can be shown as regular venue markers.
+   * @param {Object} params - Query parameters (min_lat, min_lng, max_lat, max_lng, zoom)
+   * @param {string} userId - Current user, for their own event RSVPs
+   * @returns {Promise<Object>} - { zoom, clustered, clusters }
+   */
+  async getClusters(params = {}, userId = null) {
+    const { bounds, zoom } = this.parseViewport(params);
+    const cellSize = clusterCellSize(zoom);
+
+    const { data, error } = await supabase.rpc('get_venue_clusters', {
+      ...bounds,
+      cell_size_m: cellSize,
+      max_clusters: VENUE_MAP_MAX_CLUSTERS
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const clusters = formatClusters(data || []);
+    const venueIds = clusters.map(cluster => cluster.venue.id);
+    const [counts, events] = await Promise.all([
+      checkInService.getPresenceCounts(venueIds),
+      venueEventService.getUpcomingByVenue(venueIds, { userId })
+    ]);
+
+    const now = new Date();
+    return {
+      zoom,
+      clustered: cellSize > 0,
+      clusters: clusters.map(cluster => ({
+        ...cluster,
+        venue: {
+          ...this.withReviewSummary(this.withOpenStatus(cluster.venue, now)),
+          people_count: counts[cluster.venue.id] || 0,
+          upcoming_events: events[cluster.venue.id] || []
+        }
+      }))
+    };
+  },
+
+  /**
+   * Validate and normalize search parameters from the query string
+   * @param {Object} params - Raw query parameters
+   * @returns {Object} - Normalized search options
+   * @private
+   */
+  _parseSearchParams(params = {}) {
+    const hasLocation = params.lat !== undefined || params.lng !== undefined;
+    const lat = hasLocation ? Number(params.lat) : null;
+    const lng = hasLocation ? Number(params.lng) : null;
+
+    if (hasLocation && !isValidCoordinate(lat, lng)) {
+      throw errorUtils.validationError('lat and lng must be valid coordinates');
+    }
+
+    const sort = params.sort || (params.q ? 'relevance' : hasLocation ? 'distance' : 'rating');
+    if (!VENUE_SORTS.includes(sort)) {
+      throw errorUtils.validationError(`sort must be one of: ${VENUE_SORTS.join(', ')}`);
+    }
+
+    if (sort === 'distance' && !hasLocation) {
+      throw errorUtils.validationError('lat and lng are required to sort by distance');
+    }
+
+    const limit = params.limit === undefined ? 20 : parseInt(params.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      throw errorUtils.validationError('limit must be between 1 and 50');
+    }
+
+    const radius = params.radius === undefined ? null : Number(params.radius);
+    if (radius !== null && !(radius > 0)) {
+      throw errorUtils.validationError('radius must be a positive number of kilometers');
+    }
+
+    if (params.cursor && !decodeCursor(params.cursor, sort)) {
+      throw errorUtils.validationError('Invalid cursor');
+    }
+
+    const priceLevels = parseList(params.price_level, Number);
+    if (priceLevels && priceLevels.some(level => !Number.isInteger(level) || level < 1 || level > 4)) {
+      throw errorUtils.validationError('price_level must be between 1 and 4');
+    }
+
+    return {
+      q: params.q ? String(params.q).trim() : null,
+      lat,
+      lng,
+      radius,
+      sort,
+      limit,
+      cursor: params.cursor || null,
+      filters: {
+        category: parseList(params.category),
+        city: parseList(params.city),
+        price_level: priceLevels,
+        open_now: params.open_now === undefined ? null : params.open_now === 'true'
+      }
+    };
+  },
+
+  /**
+   * Search venues by text with facet counts, sorting and cursor pagination
+   * @param {Object} params - Query parameters (q, category, city, price_level, open_now,
+   *   lat, lng, radius, sort, limit, cursor)
+   * @param {Date} now - Time used for open_now
+   * @returns {Promise<Object>} - { results, facets, total, next_cursor }
+   */
+  async search(params = {}, now = new Date()) {
+    const { q, lat, lng, radius, sort, limit, cursor, filters } = this._parseSearchParams(params);
+    const after = cursor ? decodeCursor(cursor, sort) : null;
+
+    const query = {
+      search_query: q,
+      user_lat: lat,
+      user_lng: lng,
+      radius_km: radius,
+      categories: filters.category,
+      cities: filters.city,
+      price_levels: filters.price_level,
+      only_open: filters.open_now,
+      default_timezone: DEFAULT_VENUE_TIMEZONE,
+      as_of: now.toISOString()
+    };
+
+    // One extra row tells us whether there is another page
+    const [page, counts] = await Promise.all([
+      supabase.rpc('search_venues', {
+        ...query,
+        sort_by: sort,
+        after_key: after ? after.key : null,
+        after_id: after ? after.id : null,
+        max_results: limit + 1
+      }),
+      supabase.rpc('search_venue_facets', query)
+    ]);
+
+    if (page.error) {
+      throw page.error;
+    }
+
+    if (counts.error) {
+      throw counts.error;
+    }
+
+    const rows = page.data || [];
+    const { facets, total } = readFacetCounts(counts.data || []);
+
+    return {
+      results: rows.slice(0, limit).map(({ sort_key, ...venue }) => this.withOpenStatus(venue, now)),
+      facets,
+      total,
+      next_cursor: rows.length > limit ? encodeCursor(rows[limit - 1], sort) : null
+    };
+  }
+};
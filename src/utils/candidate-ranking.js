@@ -0,0 +1,235 @@
+/**
+ * Ranking for the matching deck.
+ *
+ * Candidates come from the get_match_candidates database function, which
+ * applies the viewer's saved filters. Each candidate is then scored by a set
+ * of signals, each returning a value from 0 to 1, combined with weights.
+ * Signals and weights can be swapped per call so new signals can be added
+ * or tuned without touching the deck code. People who super liked the viewer
+ * are pinned above everyone else, whatever their score.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Filters used when the viewer has not saved any
+ */
+export const DEFAULT_DECK_FILTERS = {
+  interested_in: 'both',
+  distance_km: 40,
+  min_age: 18,
+  max_age: 65
+};
+
+/**
+ * Profile genders shown for each user_filters.interested_in value
+ */
+const INTERESTED_IN_GENDERS = {
+  girls: ['female'],
+  boys: ['male'],
+  both: null
+};
+
+/**
+ * Activity older than this many hours counts for half as much
+ */
+export const ACTIVITY_HALF_LIFE_HOURS = 24;
+
+/**
+ * Ranking signals. Each takes (candidate, viewer, context) and returns 0 to 1.
+ * context is { now, maxDistanceKm }.
+ */
+export const CANDIDATE_SIGNALS = {
+  // Checked in at the viewer's venue right now, or seen there recently
+  shared_venue: candidate => (candidate.present_venue_id ? 1 : candidate.recent_venue_id ? 0.5 : 0),
+
+  // Going to the same upcoming event
+  shared_event: candidate => (candidate.shared_event_id ? 1 : 0),
+
+  // Overlap between interests, relative to the shorter list
+  shared_interests: (candidate, viewer) => {
+    const shared = sharedInterests(candidate.interests, viewer.interests);
+    const shorter = Math.min((candidate.interests || []).length, (viewer.interests || []).length);
+    return shorter > 0 ? shared.length / shorter : 0;
+  },
+
+  // Recently active people are more likely to see a like and answer it
+  recent_activity: (candidate, viewer, { now }) => {
+    if (!candidate.last_active) return 0;
+    const hours = Math.max(0, (now.getTime() - new Date(candidate.last_active).getTime()) / HOUR_MS);
+    return 0.5 ** (hours / ACTIVITY_HALF_LIFE_HOURS);
+  },
+
+  // Already liked the viewer, or at least has filters the viewer fits
+  mutual_like: candidate => (candidate.liked_viewer ? 1 : candidate.accepts_viewer ? 0.4 : 0),
+
+  // Closer is better; unknown distance scores nothing
+  proximity: (candidate, viewer, { maxDistanceKm }) => {
+    if (candidate.distance_km === null || candidate.distance_km === undefined || !(maxDistanceKm > 0)) return 0;
+    return Math.max(0, 1 - candidate.distance_km / maxDistanceKm);
+  }
+};
+
+/**
+ * How much each signal counts toward a candidate's score
+ */
+export const DEFAULT_CANDIDATE_WEIGHTS = {
+  shared_venue: 3,
+  shared_event: 1.5,
+  shared_interests: 1,
+  recent_activity: 1,
+  mutual_like: 2,
+  proximity: 0.5
+};
+
+/**
+ * Parse weight overrides such as "shared_venue=4,proximity=0"
+ * @param {string} value - Comma-separated name=weight pairs
+ * @returns {Object} - Weights, with unknown names and bad numbers dropped
+ */
+export function parseCandidateWeights(value) {
+  const weights = {};
+
+  String(value || '').split(',').forEach(pair => {
+    const [name, weight] = pair.split('=').map(part => part && part.trim());
+    if (Object.hasOwn(CANDIDATE_SIGNALS, name) && weight !== '' && Number.isFinite(Number(weight))) {
+      weights[name] = Number(weight);
+    }
+  });
+
+  return weights;
+}
+
+/**
+ * Map a user_filters.interested_in value to the genders it shows
+ * @param {string} interestedIn - girls, boys or both
+ * @returns {Array|null} - Profile genders, or null for everyone
+ */
+export function gendersForPreference(interestedIn) {
+  return INTERESTED_IN_GENDERS[interestedIn] || null;
+}
+
+/**
+ * Interests two people have in common, ignoring case
+ * @param {Array} a - Interests
+ * @param {Array} b - Interests
+ * @returns {Array} - Shared interests as written in a
+ */
+export function sharedInterests(a = [], b = []) {
+  const other = new Set((b || []).map(interest => String(interest).toLowerCase()));
+  return (a || []).filter(interest => other.has(String(interest).toLowerCase()));
+}
+
+/**
+ * Score one candidate
+ * @param {Object} candidate - Candidate row
+ * @param {Object} viewer - { interests }
+ * @param {Object} options - { signals, weights, now, maxDistanceKm }
+ * @returns {Object} - { score, reasons } where reasons lists the signals that
+ *   contributed, strongest first
+ */
+export function scoreCandidate(candidate, viewer, {
+  signals = CANDIDATE_SIGNALS,
+  weights = DEFAULT_CANDIDATE_WEIGHTS,
+  now = new Date(),
+  maxDistanceKm = DEFAULT_DECK_FILTERS.distance_km
+} = {}) {
+  const contributions = Object.entries(signals)
+    .map(([name, signal]) => ({
+      name,
+      value: (weights[name] || 0) * Math.min(Math.max(signal(candidate, viewer, { now, maxDistanceKm }) || 0, 0), 1)
+    }))
+    .filter(({ value }) => value > 0);
+
+  const score = contributions.reduce((total, { value }) => total + value, 0);
+
+  return {
+    // Rounded so the same candidate scores identically across pages
+    score: Math.round(score * 1e6) / 1e6,
+    reasons: contributions.sort((a, b) => b.value - a.value).map(({ name }) => name)
+  };
+}
+
+/**
+ * Compare two deck positions: pinned first, then higher score, then candidate ID
+ * @param {Object} a - { priority, score, id }
+ * @param {Object} b - { priority, score, id }
+ * @returns {number} - Negative, zero or positive
+ */
+function comparePositions(a, b) {
+  if ((a.priority || 0) !== (b.priority || 0)) {
+    return (b.priority || 0) - (a.priority || 0);
+  }
+
+  if (a.score !== b.score) {
+    return b.score - a.score;
+  }
+
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Score and sort candidates
+ * @param {Array} candidates - Candidate rows
+ * @param {Object} viewer - { interests }
+ * @param {Object} options - Options for scoreCandidate
+ * @returns {Array} - Candidates with priority, score and reasons, best first
+ */
+export function rankCandidates(candidates, viewer, options = {}) {
+  return candidates
+    .map(candidate => {
+      const { score, reasons } = scoreCandidate(candidate, viewer, options);
+      return candidate.super_liked_viewer
+        ? { ...candidate, priority: 1, score, reasons: ['super_like', ...reasons] }
+        : { ...candidate, priority: 0, score, reasons };
+    })
+    .sort(comparePositions);
+}
+
+/**
+ * Encode the position after a candidate as an opaque cursor. The deck's
+ * ranking time goes with it so later pages score candidates the same way.
+ * @param {Object} candidate - Last ranked candidate on the page
+ * @param {Date} asOf - Time the deck was ranked at
+ * @returns {string} - Base64url cursor
+ */
+export function encodeDeckCursor(candidate, asOf) {
+  return Buffer.from(JSON.stringify({ t: asOf.getTime(), p: candidate.priority || 0, s: candidate.score, id: candidate.id }))
+    .toString('base64url');
+}
+
+/**
+ * Decode a deck cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} - { asOf, priority, score, id }, or null if the cursor is invalid
+ */
+export function decodeDeckCursor(cursor) {
+  try {
+    const { t, p = 0, s, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!Number.isFinite(t) || !Number.isFinite(p) || !Number.isFinite(s) || !id) {
+      return null;
+    }
+
+    return { asOf: new Date(t), priority: p, score: s, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take one page of ranked candidates after a cursor position
+ * @param {Array} ranked - Candidates from rankCandidates
+ * @param {Object} options - { after, limit, asOf } where after is a decoded cursor
+ * @returns {Object} - { results, next_cursor }
+ */
+export function paginateDeck(ranked, { after = null, limit = 20, asOf = new Date() } = {}) {
+  const start = after ? ranked.findIndex(candidate => comparePositions(candidate, after) > 0) : 0;
+  const results = start === -1 ? [] : ranked.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < ranked.length;
+
+  return {
+    results,
+    next_cursor: hasMore ? encodeDeckCursor(results[results.length - 1], asOf) : null
+  };
+}
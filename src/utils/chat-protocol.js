@@ -0,0 +1,140 @@
+/**
+ * Chat WebSocket protocol.
+ *
+ * Every frame is a JSON object with a `type`. After connecting, a client
+ * sends `auth` with a chat token and waits for `ready`; any other frame
+ * before that closes the connection. Then it can:
+ *
+ * - `subscribe` / `unsubscribe` to a conversation, to get its typing and
+ *   read events
+ * - `send` a message with a client-generated `client_id`; the server answers
+ *   with `ack` carrying the same client_id, and sending the same client_id
+ *   again never creates a second message
+ * - send `typing` and `read` events for a conversation
+ * - `ping` to check the connection
+ *
+ * New messages, edits (`message_updated`), unsent messages
+ * (`message_deleted`, with the tombstone), read receipts and conversation
+ * settings (`conversation_updated`) go to every connected device of both
+ * people in the conversation, subscribed or not. Errors come back as
+ * `error` frames with a code and, when a frame had one, its client_id
+ * as `ref`.
+ */
+
+export const CHAT_PROTOCOL_VERSION = 1;
+
+/**
+ * Longest text message, in characters
+ */
+export const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Frames a client can send, and the fields each one needs
+ */
+const CLIENT_FRAMES = {
+  auth: ['token'],
+  subscribe: ['conversation_id'],
+  unsubscribe: ['conversation_id'],
+  send: ['conversation_id', 'client_id', 'content'],
+  typing: ['conversation_id', 'is_typing'],
+  read: ['conversation_id'],
+  ping: []
+};
+
+export const CLIENT_FRAME_TYPES = Object.keys(CLIENT_FRAMES);
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * A bad_request result
+ * @param {string} message - What was wrong
+ * @param {string|null} ref - client_id of the frame, if it had one
+ * @returns {Object} - { error: { code, message, ref } }
+ */
+function badRequest(message, ref = null) {
+  return { error: { code: 'bad_request', message, ref } };
+}
+
+/**
+ * Parse and check a frame from a client
+ * @param {string|Buffer} raw - Frame as received
+ * @returns {Object} - { frame } with only the fields the type uses, or
+ *   { error: { code, message, ref } }
+ */
+export function parseClientFrame(raw) {
+  let data;
+  try {
+    data = JSON.parse(String(raw));
+  } catch {
+    return badRequest('Frames must be JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return badRequest('Frames must be JSON objects');
+  }
+
+  const ref = typeof data.client_id === 'string' ? data.client_id : null;
+
+  if (!Object.hasOwn(CLIENT_FRAMES, data.type)) {
+    return badRequest(`type must be one of: ${CLIENT_FRAME_TYPES.join(', ')}`, ref);
+  }
+
+  const frame = { type: data.type };
+
+  for (const field of CLIENT_FRAMES[data.type]) {
+    const value = data[field];
+
+    if (field === 'is_typing') {
+      if (typeof value !== 'boolean') {
+        return badRequest('is_typing must be true or false', ref);
+      }
+    } else if (typeof value !== 'string' || value.trim() === '') {
+      return badRequest(`${field} is required`, ref);
+    }
+
+    frame[field] = value;
+  }
+
+  if (frame.client_id !== undefined && !CLIENT_ID_PATTERN.test(frame.client_id)) {
+    return badRequest('client_id must be 1-64 letters, digits, dashes or underscores', ref);
+  }
+
+  if (frame.content !== undefined && frame.content.length > MAX_MESSAGE_LENGTH) {
+    return badRequest(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`, ref);
+  }
+
+  return { frame };
+}
+
+/**
+ * Build a frame to send to a client
+ * @param {string} type - Frame type
+ * @param {Object} payload - Other fields
+ * @returns {string} - JSON frame
+ */
+export function serverFrame(type, payload = {}) {
+  return JSON.stringify({ type, ...payload });
+}
+
+/**
+ * Error code to send for an error thrown while handling a frame
+ * @param {Error} error - Error, usually an ApiError
+ * @returns {string} - bad_request, forbidden, not_found, conflict, rate_limited or server_error
+ */
+export function errorCodeFor(error) {
+  switch (error && error.statusCode) {
+    case 400:
+      return 'bad_request';
+    case 401:
+    case 403:
+      return 'forbidden';
+    case 404:
+      return 'not_found';
+    case 409:
+      return 'conflict';
+    case 429:
+      return 'rate_limited';
+    default:
+      return 'server_error';
+  }
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+
+/**
+ * Short-lived tokens for the chat WebSocket handshake.
+ *
+ * Tokens are HS256 JWTs whose subject is the user ID and whose audience is
+ * "chat". The app's HTTP API hands one out to a signed-in user; the socket
+ * server only has to check the signature and expiry, without a database
+ * round trip per connection.
+ */
+
+const CHAT_TOKEN_AUDIENCE = 'chat';
+
+/**
+ * Base64url encode a JSON value
+ * @param {Object} value - Value to encode
+ * @returns {string} - Encoded JSON
+ */
+function encodeJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign the header and payload of a token
+ * @param {string} unsigned - `<header>.<payload>`
+ * @param {string} secret - Signing secret
+ * @returns {string} - Base64url encoded signature
+ */
+function sign(unsigned, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(unsigned)
+    .digest('base64url');
+}
+
+/**
+ * Create a chat token for a user
+ * @param {string} userId - User ID
+ * @param {string} secret - Signing secret
+ * @param {Object} options - Token options
+ * @param {number} options.ttlSeconds - How long the token stays valid
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Object} - { token, expires_at }
+ */
+export function createChatToken(userId, secret, { ttlSeconds = 300, now = new Date() } = {}) {
+  if (!userId) {
+    throw new Error('User ID is required');
+  }
+
+  if (!secret) {
+    throw new Error('Chat token signing secret is not configured');
+  }
+
+  const issuedAt = Math.floor(now.getTime() / 1000);
+  const expiresAt = issuedAt + ttlSeconds;
+  const unsigned = `${encodeJson({ alg: 'HS256', typ: 'JWT' })}.${encodeJson({
+    sub: userId,
+    aud: CHAT_TOKEN_AUDIENCE,
+    iat: issuedAt,
+    exp: expiresAt
+  })}`;
+
+  return {
+    token: `${unsigned}.${sign(unsigned, secret)}`,
+    expires_at: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a chat token
+ * @param {string} token - Token sent in the handshake
+ * @param {string} secret - Signing secret
+ * @param {Object} options - Verification options
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Object} - { valid, reason, user_id } where reason is set when
+ *   the token is not valid
+ */
+export function verifyChatToken(token, secret, { now = new Date() } = {}) {
+  if (!token || typeof token !== 'string' || !secret) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+    if (alg !== 'HS256') {
+      return { valid: false, reason: 'malformed' };
+    }
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (!claims.sub || claims.aud !== CHAT_TOKEN_AUDIENCE || !Number.isInteger(claims.exp)) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (claims.exp <= Math.floor(now.getTime() / 1000)) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, reason: null, user_id: claims.sub };
+}
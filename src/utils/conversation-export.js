@@ -0,0 +1,235 @@
+/**
+ * Turning a conversation into a transcript people can keep or attach to a
+ * safety report. The Markdown transcript is also the source for the PDF and
+ * EPUB versions.
+ */
+
+/**
+ * Export formats, with the content type and file extension of each
+ */
+export const EXPORT_FORMATS = {
+  pdf: { content_type: 'application/pdf', extension: 'pdf' },
+  epub: { content_type: 'application/epub+zip', extension: 'epub' },
+  md: { content_type: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { content_type: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Link to a shared location on a map
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} - OpenStreetMap URL
+ */
+export function locationUrl(lat, lng) {
+  return `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=17/${lat}/${lng}`;
+}
+
+/**
+ * Keep a media URL only if it points into the app's chat media bucket.
+ * Anything else stored with a message is dropped rather than rendered.
+ * @param {string} url - URL stored with a message
+ * @param {string} mediaUrlPrefix - Public URL of the bucket, ending in a slash
+ * @returns {string|null} - Normalized URL, or null
+ */
+export function storedMediaUrl(url, mediaUrlPrefix) {
+  if (!url || !mediaUrlPrefix) {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(url);
+    const prefix = new URL(mediaUrlPrefix);
+
+    if (parsed.origin !== prefix.origin || parsed.username || parsed.password || !parsed.pathname.startsWith(prefix.pathname)) {
+      return null;
+    }
+
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Format a time for a transcript
+ * @param {string|Date} date - Time to format
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - e.g. "2026-10-18 21:04"
+ */
+export function formatExportTime(date, timeZone = 'UTC') {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Turn a stored message into a transcript entry
+ * @param {Object} message - Message row
+ * @param {Object} names - Display name for each sender ID
+ * @param {Object} options - { mediaUrlPrefix } of the chat media bucket;
+ *   attachment URLs outside it come out as null
+ * @returns {Object} - { id, sender_id, sender_name, type, text, sent_at,
+ *   edited_at, unsent } plus attachment_url and thumbnail_url for photos,
+ *   attachment_url and duration_seconds for voice notes, and location for
+ *   shared locations
+ */
+export function toExportMessage(message, names, { mediaUrlPrefix = null } = {}) {
+  const metadata = message.metadata || {};
+  const entry = {
+    id: message.id,
+    sender_id: message.sender_id,
+    sender_name: names[message.sender_id] || 'Unknown',
+    type: message.message_type,
+    text: message.deleted_at ? '' : message.content,
+    sent_at: message.created_at,
+    edited_at: message.edited_at || null,
+    unsent: Boolean(message.deleted_at)
+  };
+
+  if (entry.unsent) {
+    return entry;
+  }
+
+  if (message.message_type === 'image') {
+    entry.attachment_url = storedMediaUrl(message.attachment_url, mediaUrlPrefix);
+    entry.thumbnail_url = storedMediaUrl(metadata.thumbnail_url, mediaUrlPrefix) || entry.attachment_url;
+  } else if (message.message_type === 'audio') {
+    entry.attachment_url = storedMediaUrl(message.attachment_url, mediaUrlPrefix);
+    entry.duration_seconds = metadata.duration_seconds ?? null;
+  } else if (message.message_type === 'location' && Number.isFinite(metadata.lat) && Number.isFinite(metadata.lng)) {
+    entry.location = {
+      lat: metadata.lat,
+      lng: metadata.lng,
+      name: metadata.name || null,
+      url: locationUrl(metadata.lat, metadata.lng)
+    };
+  }
+
+  return entry;
+}
+
+/**
+ * Escape message text so it shows as written rather than as Markdown or
+ * HTML
+ * @param {string} text - Message text
+ * @returns {string} - Escaped text
+ */
+export function escapeMarkdown(text) {
+  return String(text)
+    .replace(/[\\`*_{}[\]<>#|~!&]/g, '\\$&')
+    // List markers, and lines that would underline the one above as a heading
+    .replace(/^(\s*)([-+=]+|\d+[.)])(?=\s|$)/gm, (match, space, marker) => (
+      `${space}${/^\d/.test(marker) ? marker.replace(/[.)]$/, '\\$&') : `\\${marker}`}`
+    ));
+}
+
+/**
+ * Format a voice note's length
+ * @param {number|null} seconds - Length in seconds
+ * @returns {string} - e.g. "1:05", or '' when unknown
+ */
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return '';
+  }
+
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Percent-encode the characters that would end a Markdown link target early
+ * @param {string} url - URL
+ * @returns {string} - URL safe to put between the parentheses of a link
+ */
+function linkTarget(url) {
+  return String(url).replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+/**
+ * Markdown for the body of one transcript entry
+ * @param {Object} entry - From toExportMessage
+ * @returns {string} - Markdown
+ */
+function entryBody(entry) {
+  if (entry.unsent) {
+    return '_Message unsent_';
+  }
+
+  const text = escapeMarkdown(entry.text).replace(/\n/g, '  \n');
+
+  if (entry.type === 'image' && entry.attachment_url) {
+    return `[![Photo](${linkTarget(entry.thumbnail_url)})](${linkTarget(entry.attachment_url)})  \n${text}`;
+  }
+
+  if (entry.type === 'audio' && entry.attachment_url) {
+    const duration = formatDuration(entry.duration_seconds);
+    return `[Voice note${duration ? ` (${duration})` : ''}](${linkTarget(entry.attachment_url)})`;
+  }
+
+  if (entry.location) {
+    return `[${entry.location.name ? escapeMarkdown(entry.location.name) : 'Shared a location'}](${linkTarget(entry.location.url)})`;
+  }
+
+  return text;
+}
+
+/**
+ * Build a Markdown transcript
+ * @param {Object} transcript - What to include
+ * @param {string} transcript.title - Heading, e.g. "Chat with Alex"
+ * @param {Array<Object>} transcript.messages - Entries from toExportMessage, oldest first
+ * @param {string} transcript.timeZone - IANA time zone for the times shown
+ * @param {Date} transcript.exportedAt - When the export was made
+ * @param {boolean} transcript.truncated - Whether older messages were left out
+ * @returns {string} - Markdown
+ */
+export function buildTranscriptMarkdown({ title, messages, timeZone = 'UTC', exportedAt = new Date(), truncated = false }) {
+  const count = `${messages.length} message${messages.length === 1 ? '' : 's'}`;
+  const lines = [
+    `# ${escapeMarkdown(title)}`,
+    '',
+    `Exported ${formatExportTime(exportedAt, timeZone)}, ${count}. Times are in ${timeZone}.`,
+    ''
+  ];
+
+  if (truncated) {
+    lines.push('Older messages were left out to keep the export a manageable size.', '');
+  }
+
+  for (const entry of messages) {
+    const edited = entry.edited_at ? ' (edited)' : '';
+    lines.push(`**${escapeMarkdown(entry.sender_name)}**, ${formatExportTime(entry.sent_at, timeZone)}${edited}  `);
+    lines.push(entryBody(entry), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * File name for an export
+ * @param {string} name - The other person's name
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Date} date - Export date
+ * @returns {string} - e.g. "chat-with-alex-2026-10-18.pdf"
+ */
+export function exportFilename(name, format, date = new Date()) {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+
+  const day = date.toISOString().slice(0, 10);
+  return `chat${slug ? `-with-${slug}` : ''}-${day}.${EXPORT_FORMATS[format].extension}`;
+}
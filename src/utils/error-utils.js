@@ -6,11 +6,13 @@ export class ApiError extends Error {
    * Create a new API error
    * @param {string} message - Error message
    * @param {number} statusCode - HTTP status code
+   * @param {Object} data - Extra fields for the response body
    */
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, data = null) {
     super(message);
     this.name = 'ApiError';
     this.statusCode = statusCode;
+    this.data = data;
   }
 }
 
@@ -36,6 +38,17 @@ export const errorUtils = {
     return new ApiError(message, 404);
   },
 
+  /**
+   * Create a rate limit error
+   * @param {string} message - Error message
+   * @param {Object} data - Extra fields for the response body; retry_after
+   *   (seconds) is also sent as the Retry-After header
+   * @returns {ApiError} - API error with 429 status code
+   */
+  rateLimitError(message, data = {}) {
+    return new ApiError(message, 429, data);
+  },
+
   /**
    * Create a server error
    * @param {string} message - Error message
@@ -62,7 +75,10 @@ export const errorUtils = {
     
     if (error instanceof ApiError) {
       console.error(`Returning ${error.statusCode} response with message: ${error.message}`);
-      return c.json({ error: error.message }, error.statusCode);
+      if (error.data && error.data.retry_after) {
+        c.header('Retry-After', String(error.data.retry_after));
+      }
+      return c.json({ error: error.message, ...error.data }, error.statusCode);
     }
     
     // For database errors (likely from Supabase)
@@ -0,0 +1,65 @@
+/**
+ * Geospatial helpers for venue and matching logic
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Convert degrees to radians
+ * @param {number} deg - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function deg2rad(deg) {
+  return deg * (Math.PI / 180);
+}
+
+/**
+ * Calculate distance between two points using Haversine formula
+ * @param {number} lat1 - First point latitude
+ * @param {number} lng1 - First point longitude
+ * @param {number} lat2 - Second point latitude
+ * @param {number} lng2 - Second point longitude
+ * @returns {number} Distance in kilometers
+ */
+export function calculateDistance(lat1, lng1, lat2, lng2) {
+  const dLat = deg2rad(lat2 - lat1);
+  const dLng = deg2rad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+/**
+ * Check whether a point lies within a radius of a center point
+ * @param {number} lat - Point latitude
+ * @param {number} lng - Point longitude
+ * @param {number} centerLat - Center latitude
+ * @param {number} centerLng - Center longitude
+ * @param {number} radiusMeters - Radius in meters
+ * @returns {boolean} True if the point is inside the radius
+ */
+export function isWithinRadius(lat, lng, centerLat, centerLng, radiusMeters) {
+  return calculateDistance(lat, lng, centerLat, centerLng) * 1000 <= radiusMeters;
+}
+
+/**
+ * Validate a latitude/longitude pair
+ * @param {*} lat - Latitude
+ * @param {*} lng - Longitude
+ * @returns {boolean} True if both values are finite and in range
+ */
+export function isValidCoordinate(lat, lng) {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (lat === null || lat === undefined || lat === '' || lng === null || lng === undefined || lng === '') {
+    return false;
+  }
+
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+}
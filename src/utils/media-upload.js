@@ -0,0 +1,119 @@
+/**
+ * Checks for photos and voice notes sent in chat.
+ *
+ * The type of an upload is worked out from its first bytes, not from the
+ * file name or the Content-Type the browser sent, so a renamed file can't
+ * get past the list of allowed types.
+ */
+
+/**
+ * Allowed MIME types for each media message type, with the file extension
+ * they are stored under
+ */
+export const MEDIA_TYPES = {
+  image: {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+  },
+  audio: {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/wav': 'wav'
+  }
+};
+
+/**
+ * Default size and length limits
+ */
+export const DEFAULT_MEDIA_LIMITS = {
+  imageBytes: 10 * 1024 * 1024,
+  audioBytes: 10 * 1024 * 1024,
+  audioSeconds: 300
+};
+
+/**
+ * Whether a buffer has the given bytes at an offset
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Where to look
+ * @param {Array<number>|string} bytes - Bytes, or an ASCII string
+ * @returns {boolean} - True if they match
+ */
+function hasBytes(buffer, offset, bytes) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'ascii') : Buffer.from(bytes);
+  return buffer.length >= offset + expected.length &&
+    buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Work out the MIME type of a file from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - One of the MIME types in MEDIA_TYPES, or null
+ */
+export function sniffMediaType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  if (hasBytes(buffer, 0, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (hasBytes(buffer, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (hasBytes(buffer, 0, 'RIFF') && hasBytes(buffer, 8, 'WEBP')) return 'image/webp';
+  if (hasBytes(buffer, 0, 'RIFF') && hasBytes(buffer, 8, 'WAVE')) return 'audio/wav';
+  if (hasBytes(buffer, 0, [0x1a, 0x45, 0xdf, 0xa3])) return 'audio/webm';
+  if (hasBytes(buffer, 0, 'OggS')) return 'audio/ogg';
+  if (hasBytes(buffer, 0, 'ID3')) return 'audio/mpeg';
+  // MPEG audio frame sync: 11 set bits
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+
+  if (hasBytes(buffer, 4, 'ftyp')) {
+    const brand = buffer.subarray(8, 12).toString('ascii');
+    // HEIC and AVIF photos use the same container as M4A
+    if (['M4A ', 'M4B ', 'mp42', 'isom', 'iso5', 'dash'].includes(brand)) {
+      return 'audio/mp4';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check an upload before it is processed
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Check options
+ * @param {string} options.messageType - image or audio, if the client said which
+ * @param {Object} options.limits - Size limits, see DEFAULT_MEDIA_LIMITS
+ * @returns {Object} - { message_type, mime_type, extension } or { error }
+ */
+export function checkMediaUpload(buffer, { messageType = null, limits = DEFAULT_MEDIA_LIMITS } = {}) {
+  if (messageType && !Object.hasOwn(MEDIA_TYPES, messageType)) {
+    return { error: `message_type must be one of: ${Object.keys(MEDIA_TYPES).join(', ')}` };
+  }
+
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: 'A file is required' };
+  }
+
+  const mimeType = sniffMediaType(buffer);
+  const detectedType = Object.keys(MEDIA_TYPES).find(type => Object.hasOwn(MEDIA_TYPES[type], mimeType || ''));
+
+  if (!detectedType) {
+    return { error: 'Only JPEG, PNG or WebP photos and WebM, Ogg, MP3, M4A or WAV audio can be sent' };
+  }
+
+  if (messageType && messageType !== detectedType) {
+    return { error: `The file is not ${messageType === 'image' ? 'a photo' : 'audio'}` };
+  }
+
+  const maxBytes = detectedType === 'image' ? limits.imageBytes : limits.audioBytes;
+  if (buffer.length > maxBytes) {
+    return { error: `Files can be at most ${Math.floor(maxBytes / (1024 * 1024))} MB` };
+  }
+
+  return {
+    message_type: detectedType,
+    mime_type: mimeType,
+    extension: MEDIA_TYPES[detectedType][mimeType]
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Rules for editing and unsending messages, and for disappearing-message
+ * timers.
+ */
+
+/**
+ * How long after sending a message can still be edited, by default
+ */
+export const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+
+/**
+ * Disappearing-message timers people can pick, in seconds: an hour, a day
+ * or a week
+ */
+export const DISAPPEARING_TIMER_OPTIONS = [60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60];
+
+/**
+ * Why a message can't be edited, or null if it can
+ * @param {Object} message - { sender_id, message_type, created_at, deleted_at }
+ * @param {string} userId - Who wants to edit it
+ * @param {Object} options - Check options
+ * @param {number} options.editWindowMinutes - How long edits are allowed for
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {string|null} - not_sender, unsent, not_text, window_closed or null
+ */
+export function editBlockedReason(message, userId, { editWindowMinutes = DEFAULT_EDIT_WINDOW_MINUTES, now = new Date() } = {}) {
+  if (message.sender_id !== userId) {
+    return 'not_sender';
+  }
+
+  if (message.deleted_at) {
+    return 'unsent';
+  }
+
+  if (message.message_type !== 'text') {
+    return 'not_text';
+  }
+
+  const sentAt = new Date(message.created_at).getTime();
+  if (now.getTime() - sentAt > editWindowMinutes * 60 * 1000) {
+    return 'window_closed';
+  }
+
+  return null;
+}
+
+/**
+ * Why a message can't be unsent, or null if it can. Unsending has no time
+ * limit.
+ * @param {Object} message - { sender_id, deleted_at }
+ * @param {string} userId - Who wants to unsend it
+ * @returns {string|null} - not_sender, unsent or null
+ */
+export function unsendBlockedReason(message, userId) {
+  if (message.sender_id !== userId) {
+    return 'not_sender';
+  }
+
+  if (message.deleted_at) {
+    return 'unsent';
+  }
+
+  return null;
+}
+
+/**
+ * Parse a disappearing-message timer from a request
+ * @param {*} value - Seconds, or null, 0 or 'off' to turn the timer off
+ * @returns {Object} - { seconds } where seconds is null when off, or { error }
+ */
+export function parseDisappearingTimer(value) {
+  if (value === null || value === undefined || value === 0 || value === 'off') {
+    return { seconds: null };
+  }
+
+  const seconds = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : value;
+
+  if (!DISAPPEARING_TIMER_OPTIONS.includes(seconds)) {
+    return { error: `Timer must be off or one of: ${DISAPPEARING_TIMER_OPTIONS.join(', ')} seconds` };
+  }
+
+  return { seconds };
+}
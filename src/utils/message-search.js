@@ -0,0 +1,119 @@
+/**
+ * Message search helpers: turning what someone typed into a full-text
+ * query, and finding where the matches are in a message for highlighting.
+ *
+ * Search uses Postgres's "simple" text search configuration, which only
+ * lowercases words, so searches work the same in any language. Each term
+ * matches words that start with it.
+ */
+
+/**
+ * Most terms used from one search
+ */
+export const MAX_SEARCH_TERMS = 8;
+
+/**
+ * Shortest search, in characters, across all terms
+ */
+export const MIN_SEARCH_LENGTH = 2;
+
+/**
+ * Longest snippet returned with a hit, in characters
+ */
+export const DEFAULT_SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split a search into terms
+ * @param {string} query - What the user typed
+ * @returns {Array<string>} - Lowercase terms, without duplicates; empty if
+ *   the search is too short
+ */
+export function parseSearchTerms(query) {
+  if (typeof query !== 'string') {
+    return [];
+  }
+
+  const terms = [...new Set((query.toLowerCase().match(WORD_PATTERN) || []))].slice(0, MAX_SEARCH_TERMS);
+
+  if (terms.join('').length < MIN_SEARCH_LENGTH) {
+    return [];
+  }
+
+  return terms;
+}
+
+/**
+ * Build a to_tsquery expression that needs every term, each as a prefix
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {string} - e.g. "drink:* & tonight:*"
+ */
+export function buildSearchQuery(terms) {
+  return terms.map(term => `${term}:*`).join(' & ');
+}
+
+/**
+ * Find the words in a text that match the search terms
+ * @param {string} text - Message text
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {Array<Object>} - { start, end } character offsets, in order
+ */
+export function findHighlights(text, terms) {
+  if (!text || terms.length === 0) {
+    return [];
+  }
+
+  const highlights = [];
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+    const term = terms
+      .filter(candidate => word.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (term) {
+      highlights.push({ start: match.index, end: match.index + term.length });
+    }
+  }
+
+  return highlights;
+}
+
+/**
+ * Cut a snippet of a long message around its first match
+ * @param {string} text - Message text
+ * @param {Array<Object>} highlights - From findHighlights
+ * @param {number} maxLength - Longest snippet
+ * @returns {Object} - { text, offset, highlights } where offset is where the
+ *   snippet starts in the message and highlights are relative to the snippet
+ */
+export function buildSnippet(text, highlights, maxLength = DEFAULT_SNIPPET_LENGTH) {
+  const content = text || '';
+
+  if (content.length <= maxLength) {
+    return { text: content, offset: 0, highlights };
+  }
+
+  // Start a little before the first match so it has some context
+  const first = highlights[0] ? highlights[0].start : 0;
+  let offset = Math.max(0, Math.min(first - Math.floor(maxLength / 4), content.length - maxLength));
+
+  // Don't start halfway through a word
+  if (offset > 0) {
+    const space = content.lastIndexOf(' ', offset);
+    if (space !== -1 && offset - space < 20) {
+      offset = space + 1;
+    }
+  }
+
+  const end = offset + maxLength;
+
+  return {
+    text: content.slice(offset, end),
+    offset,
+    highlights: highlights
+      .filter(highlight => highlight.start >= offset && highlight.end <= end)
+      .map(highlight => ({ start: highlight.start - offset, end: highlight.end - offset }))
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Opening hours helpers.
+ *
+ * Weekly hours are stored in `venues.opening_hours`, keyed by lowercase
+ * weekday, each day holding a list of spans:
+ *
+ *   { "friday": [{ "open": "17:00", "close": "02:00" }], "monday": { "closed": true } }
+ *
+ * A closing time at or before the opening time means the span runs past
+ * midnight into the next day. Older rows hold a single span object or a
+ * "17:00-02:00" string per day; both are still read.
+ *
+ * `venues.hours_exceptions` overrides specific local dates using the same
+ * day format, e.g. { "2026-12-31": [{ "open": "20:00", "close": "04:00" }] }.
+ * All times are local to the venue's IANA time zone.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * How close to closing time a venue counts as "closing soon"
+ */
+export const CLOSING_SOON_MINUTES = 60;
+
+/**
+ * Convert an "HH:MM" time to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} - Minutes after midnight, or null if invalid
+ */
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= MINUTES_PER_DAY ? minutes : null;
+}
+
+/**
+ * Normalize one day's hours to spans in minutes after that day's midnight
+ * @param {Array|Object|string} day - Hours for a single day
+ * @returns {Array<Object>} - [{ open, close }], empty if closed or unknown
+ */
+export function parseDaySpans(day) {
+  if (!day || day.closed) {
+    return [];
+  }
+
+  return (Array.isArray(day) ? day : [day])
+    .map(span => (typeof span === 'string'
+      ? span.split('-').map(toMinutes)
+      : [toMinutes(span.open), toMinutes(span.close)]))
+    .filter(([open, close]) => open !== null && close !== null)
+    // Overnight spans (and "24:00"/"00:00" closes) run past midnight
+    .map(([open, close]) => ({ open, close: close <= open ? close + MINUTES_PER_DAY : close }));
+}
+
+/**
+ * Check that a string is a time zone Intl knows about
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} - Whether it is usable
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the local date, weekday and minutes after midnight of a moment
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { date: 'YYYY-MM-DD', weekday, minutes }
+ */
+export function getLocalTime(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    weekday: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+/**
+ * Shift a local 'YYYY-MM-DD' date by whole days
+ * @param {string} date - Local date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Object} - { date, weekday }
+ */
+function shiftDate(date, days) {
+  const shifted = new Date(Date.parse(`${date}T00:00:00Z`) + days * MINUTES_PER_DAY * 60000);
+  return { date: shifted.toISOString().slice(0, 10), weekday: shifted.getUTCDay() };
+}
+
+/**
+ * Get the spans for a local date, with date exceptions taking precedence
+ * @param {Object} openingHours - Weekly hours
+ * @param {Object} exceptions - Hours for specific dates
+ * @param {string} date - Local date
+ * @param {number} weekday - Day of the week (0 = Sunday)
+ * @returns {Array<Object>} - [{ open, close }]
+ */
+function getSpansForDate(openingHours, exceptions, date, weekday) {
+  if (exceptions && Object.prototype.hasOwnProperty.call(exceptions, date)) {
+    return parseDaySpans(exceptions[date]);
+  }
+
+  return parseDaySpans(openingHours ? openingHours[WEEKDAYS[weekday]] : null);
+}
+
+/**
+ * Work out whether a venue is open and when that changes
+ * @param {Object} openingHours - Weekly hours keyed by lowercase weekday
+ * @param {Object} options - Status options
+ * @param {Object} options.exceptions - Hours for specific local dates
+ * @param {string} options.timeZone - Venue's IANA time zone
+ * @param {Date} options.now - Moment to check
+ * @param {number} options.closingSoonMinutes - Window for closing_soon
+ * @returns {Object} - { open_now, closing_soon, closes_at, opens_at }; open_now is null
+ *   when the venue has no hours, or no valid time zone to read them in
+ */
+export function getOpenStatus(openingHours, {
+  exceptions = null,
+  timeZone = 'UTC',
+  now = new Date(),
+  closingSoonMinutes = CLOSING_SOON_MINUTES
+} = {}) {
+  const hasHours = openingHours && typeof openingHours === 'object' &&
+    Object.keys(openingHours).length > 0;
+  const hasExceptions = exceptions && typeof exceptions === 'object' &&
+    Object.keys(exceptions).length > 0;
+
+  // Guessing a zone would show the venue open or closed hours off from its
+  // real state, so an unknown zone gives an unknown status
+  if ((!hasHours && !hasExceptions) || !isValidTimeZone(timeZone)) {
+    return { open_now: null, closing_soon: false, closes_at: null, opens_at: null };
+  }
+
+  const local = getLocalTime(now, timeZone);
+
+  // Lay yesterday, today and tomorrow on one timeline measured from today's
+  // midnight, so spans crossing midnight and back-to-back spans join up
+  const spans = [-1, 0, 1]
+    .flatMap(offset => {
+      const day = shiftDate(local.date, offset);
+      return getSpansForDate(openingHours, exceptions, day.date, day.weekday)
+        .map(({ open, close }) => ({
+          open: open + offset * MINUTES_PER_DAY,
+          close: close + offset * MINUTES_PER_DAY
+        }));
+    })
+    .sort((a, b) => a.open - b.open)
+    .reduce((merged, span) => {
+      const last = merged[merged.length - 1];
+      if (last && span.open <= last.close) {
+        last.close = Math.max(last.close, span.close);
+      } else {
+        merged.push({ ...span });
+      }
+      return merged;
+    }, []);
+
+  const at = minutes => new Date(now.getTime() + (minutes - local.minutes) * 60000).toISOString();
+
+  const current = spans.find(span => local.minutes >= span.open && local.minutes < span.close);
+
+  if (current) {
+    return {
+      open_now: true,
+      closing_soon: current.close - local.minutes <= closingSoonMinutes,
+      closes_at: at(current.close),
+      opens_at: null
+    };
+  }
+
+  const next = spans.find(span => span.open > local.minutes);
+
+  return {
+    open_now: false,
+    closing_soon: false,
+    closes_at: null,
+    opens_at: next ? at(next.open) : null
+  };
+}
+
+/**
+ * Check whether a venue is open at a given moment
+ * @param {Object} openingHours - Weekly hours keyed by lowercase weekday
+ * @param {Date} date - Moment to check
+ * @param {string} timeZone - Venue's IANA time zone
+ * @param {Object} exceptions - Hours for specific local dates
+ * @returns {boolean|null} - Whether the venue is open, or null if it has no hours
+ *   or no valid time zone
+ */
+export function isOpenAt(openingHours, date = new Date(), timeZone = 'UTC', exceptions = null) {
+  return getOpenStatus(openingHours, { exceptions, timeZone, now: date }).open_now;
+}
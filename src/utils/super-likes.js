@@ -0,0 +1,90 @@
+/**
+ * Super like allowances.
+ *
+ * Every user gets a daily allowance of super likes based on their tier, which
+ * resets at midnight in their own time zone. Purchased packs add credits that
+ * don't expire and are only used once the daily allowance is gone.
+ */
+
+import { getLocalTime } from './opening-hours.js';
+
+const MINUTE_MS = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Super likes per day for each tier
+ */
+export const DEFAULT_SUPER_LIKE_ALLOWANCES = {
+  free: 0,
+  paid: 1,
+  monthly: 3,
+  yearly: 5
+};
+
+/**
+ * One-off packs. Amounts are in cents.
+ */
+export const SUPER_LIKE_PACKS = {
+  single: { quantity: 1, amount: 199, currency: 'USD' },
+  five: { quantity: 5, amount: 799, currency: 'USD' },
+  fifteen: { quantity: 15, amount: 1999, currency: 'USD' }
+};
+
+/**
+ * Parse allowance overrides such as "free=1,yearly=10"
+ * @param {string} value - Comma-separated tier=count pairs
+ * @returns {Object} - Allowances, with unknown tiers and bad counts dropped
+ */
+export function parseSuperLikeAllowances(value) {
+  const allowances = {};
+
+  String(value || '').split(',').forEach(pair => {
+    const [tier, count] = pair.split('=').map(part => part && part.trim());
+    if (Object.hasOwn(DEFAULT_SUPER_LIKE_ALLOWANCES, tier) && /^\d+$/.test(count || '')) {
+      allowances[tier] = Number(count);
+    }
+  });
+
+  return allowances;
+}
+
+/**
+ * Work out a user's tier
+ * @param {Object} options - { subscription, hasPaid, now } where subscription
+ *   is the user's latest subscriptions row, if any
+ * @returns {string} - yearly, monthly, paid or free
+ */
+export function superLikeTier({ subscription = null, hasPaid = false, now = new Date() } = {}) {
+  const active = subscription &&
+    subscription.status === 'active' &&
+    new Date(subscription.expiration_date).getTime() >= now.getTime();
+
+  if (active && Object.hasOwn(DEFAULT_SUPER_LIKE_ALLOWANCES, subscription.plan)) {
+    return subscription.plan;
+  }
+
+  return active || hasPaid ? 'paid' : 'free';
+}
+
+/**
+ * The user's current allowance day and when it resets
+ * @param {Date} now - Current time
+ * @param {string} timeZone - User's IANA time zone
+ * @returns {Object} - { date: 'YYYY-MM-DD', resets_at: Date } where resets_at
+ *   is the next local midnight
+ */
+export function superLikeDay(now = new Date(), timeZone = 'UTC') {
+  const local = getLocalTime(now, timeZone);
+  const minute = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+  let resetsAt = minute + (MINUTES_PER_DAY - local.minutes) * MINUTE_MS;
+
+  // Daylight saving changes make some days shorter or longer than 24 hours
+  const atReset = getLocalTime(new Date(resetsAt), timeZone);
+  if (atReset.minutes !== 0) {
+    resetsAt += atReset.minutes > MINUTES_PER_DAY / 2
+      ? (MINUTES_PER_DAY - atReset.minutes) * MINUTE_MS
+      : -atReset.minutes * MINUTE_MS;
+  }
+
+  return { date: local.date, resets_at: new Date(resetsAt) };
+}
@@ -0,0 +1,114 @@
+/**
+ * Swipe limits.
+ *
+ * Likes are capped per day by tier, counted against the same local day as
+ * super likes. On top of that, velocity checks look at a user's recent
+ * swipes for patterns people don't produce by hand: a burst of likes in a
+ * short window, or a long run of swipes spaced almost exactly evenly.
+ */
+
+/**
+ * Likes per day for each tier
+ */
+export const DEFAULT_SWIPE_QUOTAS = {
+  free: 100,
+  paid: 300,
+  monthly: 500,
+  yearly: 1000
+};
+
+/**
+ * When recent swipes look automated
+ */
+export const DEFAULT_VELOCITY_THRESHOLDS = {
+  // This many likes inside burstWindowSeconds
+  burstLikes: 100,
+  burstWindowSeconds: 60,
+  // This many swipes in a row...
+  uniformSwipes: 20,
+  // ...with gaps no longer than this on average...
+  uniformMaxIntervalSeconds: 30,
+  // ...that vary by less than this fraction of the average gap
+  uniformMaxVariation: 0.05
+};
+
+/**
+ * Parse quota overrides such as "free=50,yearly=2000"
+ * @param {string} value - Comma-separated tier=count pairs
+ * @returns {Object} - Quotas, with unknown tiers and bad counts dropped
+ */
+export function parseSwipeQuotas(value) {
+  const quotas = {};
+
+  String(value || '').split(',').forEach(pair => {
+    const [tier, count] = pair.split('=').map(part => part && part.trim());
+    if (Object.hasOwn(DEFAULT_SWIPE_QUOTAS, tier) && /^\d+$/.test(count || '')) {
+      quotas[tier] = Number(count);
+    }
+  });
+
+  return quotas;
+}
+
+/**
+ * Whether a swipe direction counts against the daily quota
+ * @param {string} direction - like, dislike or super_like
+ * @returns {boolean} - True for likes; super likes have their own allowance
+ */
+export function countsTowardsQuota(direction) {
+  return direction === 'like';
+}
+
+/**
+ * Look for automated swiping in a user's recent swipes
+ * @param {Array} swipes - Recent swipes, { direction, created_at }, in any order
+ * @param {Object} options - { now, thresholds } where thresholds overrides
+ *   DEFAULT_VELOCITY_THRESHOLDS
+ * @returns {Object|null} - { reason, details } where reason is burst or
+ *   uniform_timing, or null if nothing looks wrong
+ */
+export function detectSwipeVelocity(swipes = [], { now = new Date(), thresholds = {} } = {}) {
+  const limits = { ...DEFAULT_VELOCITY_THRESHOLDS, ...thresholds };
+  const times = swipes
+    .map(swipe => ({ direction: swipe.direction, at: new Date(swipe.created_at).getTime() }))
+    .filter(swipe => Number.isFinite(swipe.at))
+    .sort((a, b) => b.at - a.at);
+
+  const windowStart = now.getTime() - limits.burstWindowSeconds * 1000;
+  const recentLikes = times.filter(swipe => swipe.at > windowStart && swipe.direction !== 'dislike').length;
+
+  if (recentLikes >= limits.burstLikes) {
+    return {
+      reason: 'burst',
+      details: { likes: recentLikes, window_seconds: limits.burstWindowSeconds }
+    };
+  }
+
+  if (limits.uniformSwipes < 3 || times.length < limits.uniformSwipes) {
+    return null;
+  }
+
+  const run = times.slice(0, limits.uniformSwipes);
+  const gaps = run.slice(1).map((swipe, index) => run[index].at - swipe.at);
+  const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+
+  if (mean > limits.uniformMaxIntervalSeconds * 1000) {
+    return null;
+  }
+
+  const deviation = Math.sqrt(gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length);
+  const variation = mean > 0 ? deviation / mean : 0;
+
+  if (variation >= limits.uniformMaxVariation) {
+    return null;
+  }
+
+  return {
+    reason: 'uniform_timing',
+    details: {
+      swipes: run.length,
+      mean_interval_ms: Math.round(mean),
+      variation: Math.round(variation * 1000) / 1000
+    }
+  };
+}
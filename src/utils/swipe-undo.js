@@ -0,0 +1,61 @@
+/**
+ * Rules for taking back a swipe.
+ *
+ * Only a user's most recent swipe can be undone, and only for a short time
+ * after it was made. Passes can always be undone in that window; likes only
+ * when allowed, and never once they have turned into a match (the database
+ * checks that part when the swipe is removed). Super likes have already
+ * notified the other person, so they can't be taken back.
+ */
+
+/**
+ * Why a swipe can't be undone
+ */
+export const UNDO_REJECTIONS = {
+  none: 'There is no swipe to undo',
+  likes_disabled: 'Likes cannot be undone',
+  super_like: 'Super likes cannot be undone',
+  expired: 'It is too late to undo that swipe'
+};
+
+/**
+ * When a swipe stops being undoable
+ * @param {Object} swipe - { direction, created_at }
+ * @param {Object} options - { windowSeconds, allowLikes }
+ * @returns {Date|null} - Deadline, or null if the swipe can never be undone
+ */
+export function undoDeadline(swipe, { windowSeconds, allowLikes }) {
+  if (!swipe || !(windowSeconds > 0) || swipe.direction === 'super_like') {
+    return null;
+  }
+
+  if (swipe.direction === 'like' && !allowLikes) {
+    return null;
+  }
+
+  return new Date(new Date(swipe.created_at).getTime() + windowSeconds * 1000);
+}
+
+/**
+ * Check whether a swipe can be undone now
+ * @param {Object|null} swipe - The user's most recent swipe
+ * @param {Object} options - { windowSeconds, allowLikes, now }
+ * @returns {string|null} - Key of UNDO_REJECTIONS, or null if it can be undone
+ */
+export function checkUndo(swipe, { windowSeconds, allowLikes, now = new Date() }) {
+  if (!swipe) {
+    return 'none';
+  }
+
+  if (swipe.direction === 'super_like') {
+    return 'super_like';
+  }
+
+  const deadline = undoDeadline(swipe, { windowSeconds, allowLikes });
+
+  if (!deadline) {
+    return swipe.direction === 'like' && !allowLikes ? 'likes_disabled' : 'expired';
+  }
+
+  return now.getTime() <= deadline.getTime() ? null : 'expired';
+}
@@ -86,6 +86,47 @@ export async function sendVerificationSMS(phoneNumber, code) {
   }
 }
 
+/**
+ * Call a phone number and read out a verification code. Used for numbers
+ * that may be landlines, such as a venue's listed number. Unlike SMS there
+ * is no development fallback: reporting success without placing the call
+ * would leave the user waiting for a code that never comes.
+ * @param {string} phoneNumber - E.164 formatted phone number
+ * @param {string} code - Numeric verification code
+ * @returns {Promise<Object>} - { success, sid }
+ */
+export async function sendVerificationCall(phoneNumber, code) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const twilioPhone = process.env.TWILIO_PHONE_NUMBER;
+
+  if (!accountSid || !authToken || !twilioPhone) {
+    throw new Error('Twilio configuration is missing');
+  }
+
+  if (!/^\d+$/.test(String(code))) {
+    throw new Error('Verification codes read out by phone must be numeric');
+  }
+
+  const twilio = await import('twilio');
+  const client = twilio.default(accountSid, authToken);
+
+  // Digits are read one at a time, and the code is repeated in case the
+  // person answering missed it
+  const digits = String(code).split('').join(', ');
+  const say = `<Say>Your BarCrush venue verification code is: ${digits}.</Say>`;
+
+  const call = await client.calls.create({
+    twiml: `<Response><Pause length="1"/>${say}<Pause length="1"/>${say}</Response>`,
+    from: twilioPhone,
+    to: phoneNumber
+  });
+
+  console.log(`[TWILIO] Verification call placed to ${phoneNumber}, SID: ${call.sid}`);
+
+  return { success: true, sid: call.sid };
+}
+
 /**
  * Check if a phone number is a test number that should bypass verification
  * @param {string} phoneNumber - E.164 formatted phone number
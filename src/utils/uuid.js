@@ -0,0 +1,16 @@
+/**
+ * Checks for IDs that come from clients. Postgres rejects a malformed UUID
+ * with an error instead of finding nothing, and IDs are sometimes written
+ * into PostgREST filter strings, so they are checked before any query.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check that a value is a UUID
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is a UUID string
+ */
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
@@ -0,0 +1,156 @@
+/**
+ * Helpers for venue crowd analytics: weekly busy-hours histograms and the
+ * live heatmap on the discover map. The numbers themselves are aggregated by
+ * the venue activity job; these helpers only shape them for clients.
+ */
+
+/**
+ * A match at a venue counts as this many check-ins when scoring activity
+ */
+export const MATCH_ACTIVITY_WEIGHT = 2;
+
+/**
+ * Busyness levels, checked in order against a 0-100 busyness score
+ */
+export const BUSYNESS_LEVELS = [
+  { level: 'quiet', below: 25 },
+  { level: 'moderate', below: 60 },
+  { level: 'busy', below: 85 },
+  { level: 'peak', below: Infinity }
+];
+
+const EARTH_RADIUS_M = 6378137;
+
+/**
+ * Activity score for check-in and match numbers
+ * @param {number} checkIns - Check-ins (or people present)
+ * @param {number} matches - Matches made
+ * @returns {number} - Activity score
+ */
+export function activityScore(checkIns = 0, matches = 0) {
+  return (Number(checkIns) || 0) + MATCH_ACTIVITY_WEIGHT * (Number(matches) || 0);
+}
+
+/**
+ * Name the level of a busyness score
+ * @param {number} busyness - Score from 0 to 100
+ * @returns {string|null} - quiet, moderate, busy or peak, or null without data
+ */
+export function describeBusyness(busyness) {
+  if (busyness === null || busyness === undefined) {
+    return null;
+  }
+
+  return BUSYNESS_LEVELS.find(({ below }) => busyness < below).level;
+}
+
+/**
+ * Build a full week of hourly busyness from aggregated rows.
+ * Busyness is scaled so the venue's busiest hour of the week is 100.
+ * @param {Array} rows - venue_busy_hours rows ({ weekday, hour, avg_check_ins, avg_matches })
+ * @returns {Object} - { days, peak } where days has one entry per weekday (0 = Sunday)
+ *   with 24 hours of { hour, check_ins, matches, busyness, level }, and peak is
+ *   the busiest { weekday, hour }, or null without data
+ */
+export function buildBusyHours(rows = []) {
+  const slots = {};
+  let peakScore = 0;
+  let peak = null;
+
+  rows.forEach(row => {
+    const score = activityScore(row.avg_check_ins, row.avg_matches);
+    slots[`${row.weekday}:${row.hour}`] = { row, score };
+
+    if (score > peakScore) {
+      peakScore = score;
+      peak = { weekday: Number(row.weekday), hour: Number(row.hour) };
+    }
+  });
+
+  const days = Array.from({ length: 7 }, (_, weekday) => ({
+    weekday,
+    hours: Array.from({ length: 24 }, (_, hour) => {
+      const slot = slots[`${weekday}:${hour}`];
+      const busyness = peakScore > 0 ? Math.round(100 * (slot?.score || 0) / peakScore) : null;
+
+      return {
+        hour,
+        check_ins: Number(slot?.row.avg_check_ins) || 0,
+        matches: Number(slot?.row.avg_matches) || 0,
+        busyness,
+        level: describeBusyness(busyness)
+      };
+    })
+  }));
+
+  return { days, peak };
+}
+
+/**
+ * Project a point to Web Mercator meters
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Array} - [x, y]
+ */
+function toMercator(lat, lng) {
+  const rad = Math.PI / 180;
+  return [
+    EARTH_RADIUS_M * lng * rad,
+    EARTH_RADIUS_M * Math.log(Math.tan(Math.PI / 4 + (lat * rad) / 2))
+  ];
+}
+
+/**
+ * Group live venue activity into heatmap cells
+ * @param {Array} venues - venue_live_activity rows ({ venue_id, lat, lng, people_count, recent_matches })
+ * @param {number} cellSizeM - Cell width in Web Mercator meters; 0 gives one point per venue
+ * @returns {Object} - { cells, max_weight } where each cell is
+ *   { lat, lng, weight, people_count, recent_matches, venue_count } centered on
+ *   its venues weighted by activity
+ */
+export function buildHeatmapGrid(venues = [], cellSizeM = 0) {
+  const cells = new Map();
+
+  venues.forEach(venue => {
+    const weight = activityScore(venue.people_count, venue.recent_matches);
+    if (weight <= 0) {
+      return;
+    }
+
+    let key = venue.venue_id;
+    if (cellSizeM > 0) {
+      const [x, y] = toMercator(venue.lat, venue.lng);
+      key = `${Math.floor(x / cellSizeM)}:${Math.floor(y / cellSizeM)}`;
+    }
+
+    const cell = cells.get(key) || {
+      latSum: 0,
+      lngSum: 0,
+      weight: 0,
+      people_count: 0,
+      recent_matches: 0,
+      venue_count: 0
+    };
+
+    cell.latSum += venue.lat * weight;
+    cell.lngSum += venue.lng * weight;
+    cell.weight += weight;
+    cell.people_count += Number(venue.people_count) || 0;
+    cell.recent_matches += Number(venue.recent_matches) || 0;
+    cell.venue_count++;
+    cells.set(key, cell);
+  });
+
+  const result = [...cells.values()]
+    .map(({ latSum, lngSum, ...cell }) => ({
+      lat: latSum / cell.weight,
+      lng: lngSum / cell.weight,
+      ...cell
+    }))
+    .sort((a, b) => b.weight - a.weight);
+
+  return {
+    cells: result,
+    max_weight: result.length > 0 ? result[0].weight : 0
+  };
+}
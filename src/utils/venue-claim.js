@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import { formatE164PhoneNumber } from './twilio-client.js';
+
+/**
+ * Helpers for venue ownership claims: verification codes and the venue
+ * phone numbers that are called with them.
+ */
+
+/**
+ * Generate a numeric verification code
+ * @param {number} length - Number of digits
+ * @returns {string} - Zero-padded code
+ */
+export function generateClaimCode(length = 6) {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+}
+
+/**
+ * Hash a verification code for storage
+ * @param {string} code - Verification code
+ * @param {string} claimId - Claim the code belongs to, used as a salt
+ * @returns {string} - Hex encoded hash
+ */
+export function hashClaimCode(code, claimId) {
+  return crypto.createHash('sha256').update(`${claimId}:${String(code).trim()}`).digest('hex');
+}
+
+/**
+ * Check a submitted code against a stored hash
+ * @param {string} code - Code entered by the user
+ * @param {string} claimId - Claim ID
+ * @param {string} codeHash - Stored hash
+ * @returns {boolean} - True if the code matches
+ */
+export function verifyClaimCode(code, claimId, codeHash) {
+  if (!code || !codeHash) {
+    return false;
+  }
+
+  const expected = Buffer.from(codeHash, 'hex');
+  const actual = Buffer.from(hashClaimCode(code, claimId), 'hex');
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read a venue's listed phone number as an E.164 number to call
+ * @param {string} phone - Phone number as listed, e.g. "(415) 731-6447"
+ * @param {string} defaultCountryCode - Country code for numbers without one
+ * @returns {string|null} - E.164 number, or null if it can't be dialled
+ */
+export function parseVenuePhone(phone, defaultCountryCode = '1') {
+  if (!phone) {
+    return null;
+  }
+
+  const listed = String(phone).trim();
+  const digits = listed.replace(/\D/g, '');
+  const northAmerican = defaultCountryCode === '1';
+
+  // Listed with its country code, or as a North American number with the leading 1
+  const hasCountryCode = listed.startsWith('+') ||
+    (northAmerican && digits.length === 11 && digits.startsWith('1'));
+
+  if (!hasCountryCode && northAmerican && digits.length !== 10) {
+    return null;
+  }
+
+  const e164 = formatE164PhoneNumber(hasCountryCode ? '' : defaultCountryCode, digits);
+  return /^\+\d{8,15}$/.test(e164) ? e164 : null;
+}
+
+/**
+ * Mask a phone number so only the last digits are shown
+ * @param {string} phone - E.164 phone number
+ * @returns {string} - Masked number, e.g. "•••• 6447"
+ */
+export function maskPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return `•••• ${digits.slice(-4)}`;
+}
@@ -0,0 +1,92 @@
+/**
+ * Helpers for clustering venues on the discover map.
+ *
+ * Venues are grouped on a square grid in Web Mercator meters whose cells are
+ * CLUSTER_RADIUS_PX screen pixels wide at the requested zoom, so clusters stay
+ * the same size on screen as the user zooms. The grid itself is applied by the
+ * get_venue_clusters database function.
+ */
+
+/**
+ * Width of a cluster cell in screen pixels
+ */
+export const CLUSTER_RADIUS_PX = 60;
+
+/**
+ * From this zoom level on every venue gets its own marker
+ */
+export const CLUSTER_MAX_ZOOM = 17;
+
+/**
+ * Highest zoom level the map can request
+ */
+export const MAX_ZOOM = 22;
+
+/**
+ * Web Mercator can't show latitudes past this
+ */
+export const MAX_MERCATOR_LAT = 85.05112878;
+
+const EARTH_CIRCUMFERENCE_M = 2 * Math.PI * 6378137;
+const TILE_SIZE_PX = 256;
+
+/**
+ * Clamp viewport bounds to the area Web Mercator can show.
+ * Maps that have been panned around the world can report longitudes past 180.
+ * @param {Object} bounds - { min_lat, min_lng, max_lat, max_lng }
+ * @returns {Object} - Clamped bounds
+ */
+export function clampBounds({ min_lat, min_lng, max_lat, max_lng }) {
+  const clamp = (value, limit) => Math.min(Math.max(value, -limit), limit);
+
+  return {
+    min_lat: clamp(min_lat, MAX_MERCATOR_LAT),
+    min_lng: clamp(min_lng, 180),
+    max_lat: clamp(max_lat, MAX_MERCATOR_LAT),
+    max_lng: clamp(max_lng, 180)
+  };
+}
+
+/**
+ * Size of a cluster cell at a zoom level
+ * @param {number} zoom - Map zoom level
+ * @param {number} radiusPx - Cell width in screen pixels
+ * @returns {number} - Cell width in Web Mercator meters, or 0 when venues are not clustered
+ */
+export function clusterCellSize(zoom, radiusPx = CLUSTER_RADIUS_PX) {
+  const level = Math.round(zoom);
+
+  if (level >= CLUSTER_MAX_ZOOM) {
+    return 0;
+  }
+
+  return (EARTH_CIRCUMFERENCE_M / (TILE_SIZE_PX * 2 ** level)) * radiusPx;
+}
+
+/**
+ * Turn get_venue_clusters rows into map clusters
+ * @param {Array} rows - Rows with cluster_key, venue_count, center and extent
+ *   columns, plus the cluster's representative venue
+ * @returns {Array} - Clusters as { id, count, lat, lng, bounds, venue } where
+ *   bounds is [[south, west], [north, east]] and venue is the representative venue
+ */
+export function formatClusters(rows = []) {
+  return rows.map(({
+    cluster_key,
+    venue_count,
+    center_lat,
+    center_lng,
+    extent_south,
+    extent_west,
+    extent_north,
+    extent_east,
+    ...venue
+  }) => ({
+    id: cluster_key,
+    count: Number(venue_count),
+    lat: center_lat,
+    lng: center_lng,
+    bounds: [[extent_south, extent_west], [extent_north, extent_east]],
+    venue
+  }));
+}
@@ -0,0 +1,570 @@
+import { calculateDistance, isValidCoordinate } from './geo.js';
+
+/**
+ * Pure helpers for importing venues from local files: parsing JSON, CSV and
+ * GeoJSON, normalizing records, fuzzy de-duplication and building the
+ * insert/update plan that `bin/import-venues.js` reports and applies.
+ */
+
+/**
+ * File formats the importer understands
+ */
+export const IMPORT_FORMATS = ['json', 'csv', 'geojson'];
+
+/**
+ * Two venues closer than this with similar names are treated as the same place
+ */
+export const DUPLICATE_DISTANCE_METERS = 100;
+
+/**
+ * Minimum name similarity (0-1) for two nearby venues to be merged
+ */
+export const DUPLICATE_NAME_SIMILARITY = 0.75;
+
+/**
+ * Venue columns an import can set
+ */
+export const IMPORT_FIELDS = [
+  'name', 'description', 'address', 'city', 'state', 'postal_code', 'country',
+  'lat', 'lng', 'phone', 'website', 'category', 'rating', 'price_level', 'source', 'source_id'
+];
+
+const STREET_ABBREVIATIONS = {
+  street: 'St',
+  st: 'St',
+  avenue: 'Ave',
+  ave: 'Ave',
+  av: 'Ave',
+  boulevard: 'Blvd',
+  blvd: 'Blvd',
+  road: 'Rd',
+  rd: 'Rd',
+  drive: 'Dr',
+  dr: 'Dr',
+  lane: 'Ln',
+  ln: 'Ln',
+  place: 'Pl',
+  pl: 'Pl',
+  court: 'Ct',
+  ct: 'Ct',
+  terrace: 'Ter',
+  highway: 'Hwy',
+  parkway: 'Pkwy',
+  square: 'Sq',
+  suite: 'Ste',
+  ste: 'Ste',
+  north: 'N',
+  south: 'S',
+  east: 'E',
+  west: 'W'
+};
+
+const COUNTRY_ALIASES = {
+  us: 'USA',
+  usa: 'USA',
+  'united states': 'USA',
+  'united states of america': 'USA',
+  ng: 'Nigeria',
+  nigeria: 'Nigeria',
+  uk: 'United Kingdom',
+  gb: 'United Kingdom',
+  'united kingdom': 'United Kingdom'
+};
+
+/**
+ * Detect a file's format from its name
+ * @param {string} fileName - File name or path
+ * @returns {string|null} - json, csv or geojson, or null if unknown
+ */
+export function detectFormat(fileName) {
+  const extension = String(fileName).toLowerCase().split('.').pop();
+
+  if (extension === 'geojson') return 'geojson';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'json') return 'json';
+  return null;
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row.
+ * Handles quoted fields, escaped quotes and newlines inside quotes.
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} - Rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim().replace(/^\uFEFF/, ''));
+  return body.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? '').trim()])));
+}
+
+/**
+ * Parse an import file into raw records
+ * @param {string} content - File content
+ * @param {string} format - json, csv or geojson
+ * @returns {Array<Object>} - Raw records
+ */
+export function parseVenueFile(content, format) {
+  if (format === 'csv') {
+    return parseCsv(content);
+  }
+
+  const data = JSON.parse(content);
+
+  if (format === 'geojson' || data.type === 'FeatureCollection') {
+    return (data.features || []).map(feature => {
+      const [lng, lat] = feature.geometry && feature.geometry.type === 'Point'
+        ? feature.geometry.coordinates
+        : [];
+      return { ...feature.properties, id: feature.id ?? feature.properties?.id, lat, lng };
+    });
+  }
+
+  if (Array.isArray(data)) return data;
+  return data.venues || data.places || [];
+}
+
+/**
+ * Normalize whitespace, casing and street abbreviations in an address
+ * @param {string} address - Raw address
+ * @returns {string|null} - Normalized address, e.g. "777 Valencia St"
+ */
+export function normalizeAddress(address) {
+  if (!address) return null;
+
+  const normalized = String(address)
+    .replace(/\s+/g, ' ')
+    .replace(/\s*,\s*/g, ', ')
+    .trim()
+    .split(' ')
+    .map(word => {
+      const bare = word.replace(/[.,]/g, '');
+      const trailingComma = word.endsWith(',') ? ',' : '';
+      const abbreviation = STREET_ABBREVIATIONS[bare.toLowerCase()];
+      if (abbreviation) return abbreviation + trailingComma;
+      // Title-case all-caps or all-lowercase words, leave mixed case alone
+      if (/^[A-Za-z]+$/.test(bare) && (bare === bare.toUpperCase() || bare === bare.toLowerCase()) && bare.length > 2) {
+        return bare[0].toUpperCase() + bare.slice(1).toLowerCase() + trailingComma;
+      }
+      return word;
+    })
+    .join(' ');
+
+  return normalized || null;
+}
+
+/**
+ * Normalize a country name to the form used in the venues table
+ * @param {string} country - Raw country
+ * @returns {string|null} - Country
+ */
+export function normalizeCountry(country) {
+  if (!country) return null;
+  const value = String(country).trim();
+  return COUNTRY_ALIASES[value.toLowerCase()] || value;
+}
+
+/**
+ * Reduce a venue name to a comparable form: lowercase, no accents,
+ * punctuation or leading "the"
+ * @param {string} name - Venue name
+ * @returns {string} - Comparable name
+ */
+export function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/^the /, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Score how alike two venue names are, using bigram overlap (Dice coefficient)
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} - 1 for identical names, 0 for nothing in common
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a).replace(/ /g, '');
+  const right = normalizeName(b).replace(/ /g, '');
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  let overlap = 0;
+
+  leftBigrams.forEach((count, bigram) => {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+  });
+
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+}
+
+/**
+ * Pick the first present value among several possible keys
+ * @param {Object} record - Raw record
+ * @param {Array<string>} keys - Candidate keys
+ * @returns {*} - Value, or undefined
+ */
+function pick(record, keys) {
+  for (const key of keys) {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), record);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+/**
+ * Turn a raw record from any supported source into a venue row.
+ * Accepts venue rows, `places` rows and ScaleSerp results.
+ * @param {Object} record - Raw record
+ * @param {Object} options - { source } used when the record doesn't name one
+ * @returns {Object} - { venue, errors }
+ */
+export function normalizeVenueRecord(record, { source = 'import' } = {}) {
+  const errors = [];
+  const name = pick(record, ['name', 'title', 'Name']);
+  const lat = Number(pick(record, ['lat', 'latitude', 'gps_coordinates.latitude', 'Latitude']));
+  const lng = Number(pick(record, ['lng', 'lon', 'longitude', 'gps_coordinates.longitude', 'Longitude']));
+
+  if (!name || !String(name).trim()) {
+    errors.push('missing name');
+  }
+
+  if (!isValidCoordinate(lat, lng)) {
+    errors.push('missing or invalid coordinates');
+  }
+
+  const rating = Number(pick(record, ['rating']));
+  const priceLevel = pick(record, ['price_level', 'price_parsed', 'price']);
+  const parsedPrice = typeof priceLevel === 'string' && /^\$+$/.test(priceLevel)
+    ? priceLevel.length
+    : Number(priceLevel);
+  const text = keys => {
+    const value = pick(record, keys);
+    return value === undefined ? null : String(value).replace(/\s+/g, ' ').trim() || null;
+  };
+  const state = text(['state', 'region']);
+  const website = text(['website', 'url', 'link']);
+  const sourceId = text(['source_id', 'data_cid', 'place_id', 'id']);
+  const hasCoordinates = isValidCoordinate(lat, lng);
+
+  const venue = {
+    name: text(['name', 'title', 'Name']),
+    description: text(['description']),
+    address: normalizeAddress(pick(record, ['address', 'street', 'Address'])),
+    city: text(['city', 'City']),
+    state: state && state.length === 2 ? state.toUpperCase() : state,
+    postal_code: text(['postal_code', 'zip', 'postcode']),
+    country: normalizeCountry(pick(record, ['country', 'Country'])),
+    lat: hasCoordinates ? lat : null,
+    lng: hasCoordinates ? lng : null,
+    phone: text(['phone', 'phone_number']),
+    website: website && /^https?:\/\//.test(website) ? website : null,
+    category: text(['category', 'type']),
+    rating: rating >= 0 && rating <= 5 ? rating : null,
+    price_level: Number.isInteger(parsedPrice) && parsedPrice >= 1 && parsedPrice <= 4 ? parsedPrice : null,
+    source: text(['source']) || source,
+    source_id: sourceId
+  };
+
+  return { venue, errors };
+}
+
+/**
+ * Spatial index that buckets venues into roughly 1km grid cells
+ */
+class VenueGrid {
+  constructor(venues = []) {
+    this.cells = new Map();
+    venues.forEach(venue => this.add(venue));
+  }
+
+  _key(lat, lng) {
+    return `${Math.floor(lat * 100)}:${Math.floor(lng * 100)}`;
+  }
+
+  add(venue) {
+    const key = this._key(venue.lat, venue.lng);
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(venue);
+  }
+
+  near(lat, lng) {
+    const row = Math.floor(lat * 100);
+    const col = Math.floor(lng * 100);
+    const found = [];
+
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        found.push(...(this.cells.get(`${row + dRow}:${col + dCol}`) || []));
+      }
+    }
+
+    return found;
+  }
+}
+
+/**
+ * Find the venue an incoming record duplicates: same source ID, or a
+ * similar name within the duplicate distance
+ * @param {Object} venue - Normalized incoming venue
+ * @param {VenueGrid} grid - Venues to compare against
+ * @param {Map} bySourceId - Venues keyed by "source:source_id"
+ * @param {Object} options - { maxDistanceMeters, minSimilarity }
+ * @returns {Object|null} - { match, distance_m, similarity }, or null
+ */
+function findDuplicate(venue, grid, bySourceId, { maxDistanceMeters, minSimilarity }) {
+  if (venue.source_id) {
+    const match = bySourceId.get(`${venue.source}:${venue.source_id}`);
+    if (match) {
+      return { match, distance_m: Math.round(calculateDistance(venue.lat, venue.lng, match.lat, match.lng) * 1000), similarity: 1 };
+    }
+  }
+
+  let best = null;
+
+  grid.near(venue.lat, venue.lng).forEach(candidate => {
+    const distance = calculateDistance(venue.lat, venue.lng, candidate.lat, candidate.lng) * 1000;
+    if (distance > maxDistanceMeters) return;
+
+    const similarity = nameSimilarity(venue.name, candidate.name);
+    if (similarity < minSimilarity) return;
+
+    // Prefer the closest name match, then the nearest venue
+    if (!best || similarity > best.similarity || (similarity === best.similarity && distance < best.distance_m)) {
+      best = { match: candidate, distance_m: Math.round(distance), similarity: Math.round(similarity * 100) / 100 };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Work out which fields an incoming record would fill in on an existing venue.
+ * Existing values win; imports only fill blanks so hand-edited data is kept.
+ * @param {Object} existing - Current venue row
+ * @param {Object} incoming - Normalized incoming venue
+ * @returns {Object} - Changed fields
+ */
+export function mergeVenue(existing, incoming) {
+  const changes = {};
+
+  IMPORT_FIELDS.forEach(field => {
+    if (['name', 'lat', 'lng', 'source', 'source_id'].includes(field)) return;
+
+    const current = existing[field];
+    const value = incoming[field];
+    const isBlank = current === null || current === undefined || current === '';
+
+    if (isBlank && value !== null && value !== undefined && value !== '') {
+      changes[field] = value;
+    }
+  });
+
+  // Link the venue to its upstream ID so the next import matches it directly
+  if (!existing.source_id && incoming.source_id) {
+    changes.source = incoming.source;
+    changes.source_id = incoming.source_id;
+  }
+
+  return changes;
+}
+
+/**
+ * Build the import plan: which records become new venues, which fill in
+ * existing ones, and which are skipped as invalid or duplicates
+ * @param {Array<Object>} records - Raw records from the file
+ * @param {Array<Object>} existingVenues - Current venues (id, name, lat, lng and import fields)
+ * @param {Object} options - { source, maxDistanceMeters, minSimilarity }
+ * @returns {Object} - { inserts, updates, unchanged, skipped }
+ */
+export function planVenueImport(records, existingVenues = [], {
+  source = 'import',
+  maxDistanceMeters = DUPLICATE_DISTANCE_METERS,
+  minSimilarity = DUPLICATE_NAME_SIMILARITY
+} = {}) {
+  const plan = { inserts: [], updates: [], unchanged: [], skipped: [] };
+  const grid = new VenueGrid(existingVenues.filter(venue => isValidCoordinate(venue.lat, venue.lng)));
+  const bySourceId = new Map(
+    existingVenues
+      .filter(venue => venue.source && venue.source_id)
+      .map(venue => [`${venue.source}:${venue.source_id}`, venue])
+  );
+  const updatesById = new Map();
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const { venue, errors } = normalizeVenueRecord(record, { source });
+
+    if (errors.length > 0) {
+      plan.skipped.push({ row, name: venue.name, reason: errors.join(', ') });
+      return;
+    }
+
+    const duplicate = findDuplicate(venue, grid, bySourceId, { maxDistanceMeters, minSimilarity });
+
+    if (!duplicate) {
+      // Later rows in the same file are checked against this one too
+      const pending = { ...venue, _row: row };
+      plan.inserts.push(pending);
+      grid.add(pending);
+      if (venue.source_id) bySourceId.set(`${venue.source}:${venue.source_id}`, pending);
+      return;
+    }
+
+    const { match } = duplicate;
+
+    if (match._row) {
+      // Same place listed twice in the file: fill gaps in the first listing
+      Object.assign(match, mergeVenue(match, venue));
+      plan.skipped.push({ row, name: venue.name, reason: `duplicate of row ${match._row} (${match.name}), merged` });
+      return;
+    }
+
+    const previous = updatesById.get(match.id);
+    const changes = mergeVenue({ ...match, ...(previous ? previous.changes : {}) }, venue);
+
+    if (Object.keys(changes).length === 0) {
+      if (previous) {
+        previous.merged_rows.push(row);
+      } else {
+        plan.unchanged.push({
+          row,
+          id: match.id,
+          name: match.name,
+          matched_as: venue.name,
+          distance_m: duplicate.distance_m,
+          similarity: duplicate.similarity
+        });
+      }
+      return;
+    }
+
+    if (previous) {
+      Object.assign(previous.changes, changes);
+      previous.merged_rows.push(row);
+      return;
+    }
+
+    const update = {
+      row,
+      id: match.id,
+      name: match.name,
+      matched_as: venue.name,
+      distance_m: duplicate.distance_m,
+      similarity: duplicate.similarity,
+      merged_rows: [],
+      changes
+    };
+    updatesById.set(match.id, update);
+    plan.updates.push(update);
+  });
+
+  plan.inserts = plan.inserts.map(({ _row, ...venue }) => ({ row: _row, venue }));
+
+  return plan;
+}
+
+/**
+ * Render an import plan as a readable diff report
+ * @param {Object} plan - Plan from planVenueImport
+ * @param {Object} meta - { file, dryRun }
+ * @returns {string} - Markdown report
+ */
+export function formatImportReport(plan, { file = '', dryRun = true } = {}) {
+  const lines = [
+    `# Venue import ${dryRun ? 'dry run' : 'report'}${file ? `: ${file}` : ''}`,
+    '',
+    `- New venues: ${plan.inserts.length}`,
+    `- Venues updated: ${plan.updates.length}`,
+    `- Already up to date: ${plan.unchanged.length}`,
+    `- Skipped: ${plan.skipped.length}`,
+    ''
+  ];
+
+  if (plan.inserts.length > 0) {
+    lines.push('## New venues', '');
+    plan.inserts.forEach(({ row, venue }) => {
+      lines.push(`+ [row ${row}] ${venue.name} — ${[venue.address, venue.city].filter(Boolean).join(', ')} (${venue.lat}, ${venue.lng})`);
+    });
+    lines.push('');
+  }
+
+  if (plan.updates.length > 0) {
+    lines.push('## Updated venues', '');
+    plan.updates.forEach(update => {
+      const rows = [update.row, ...update.merged_rows];
+      lines.push(`~ [row${rows.length > 1 ? 's' : ''} ${rows.join(', ')}] ${update.name} (${update.id}) matched "${update.matched_as}" at ${update.distance_m}m, similarity ${update.similarity}`);
+      Object.entries(update.changes).forEach(([field, value]) => {
+        lines.push(`    ${field}: (empty) -> ${JSON.stringify(value)}`);
+      });
+    });
+    lines.push('');
+  }
+
+  if (plan.skipped.length > 0) {
+    lines.push('## Skipped', '');
+    plan.skipped.forEach(({ row, name, reason }) => {
+      lines.push(`- [row ${row}] ${name || '(no name)'}: ${reason}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+
+/**
+ * Signed, short-lived venue check-in tokens.
+ *
+ * A token is `<expiresAtSeconds>.<signature>` where the signature is an
+ * HMAC-SHA256 over the venue ID and expiry. Tokens are bound to a single venue
+ * and stop verifying once they expire, so codes rotate simply by minting again.
+ */
+
+/**
+ * Sign a venue ID and expiry time
+ * @param {string} venueId - Venue ID
+ * @param {number} expiresAt - Expiry as a Unix timestamp in seconds
+ * @param {string} secret - Signing secret
+ * @returns {string} - Base64url encoded signature
+ */
+function sign(venueId, expiresAt, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${venueId}:${expiresAt}`)
+    .digest('base64url');
+}
+
+/**
+ * Create a check-in token for a venue
+ * @param {string} venueId - Venue ID
+ * @param {string} secret - Signing secret
+ * @param {Object} options - Token options
+ * @param {number} options.ttlSeconds - How long the token stays valid
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Object} - { token, expires_at }
+ */
+export function createVenueQrToken(venueId, secret, { ttlSeconds = 300, now = new Date() } = {}) {
+  if (!venueId) {
+    throw new Error('Venue ID is required');
+  }
+
+  if (!secret) {
+    throw new Error('Venue QR signing secret is not configured');
+  }
+
+  const expiresAt = Math.floor(now.getTime() / 1000) + ttlSeconds;
+
+  return {
+    token: `${expiresAt}.${sign(venueId, expiresAt, secret)}`,
+    expires_at: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a check-in token against a venue
+ * @param {string} token - Token from the scanned QR code
+ * @param {string} venueId - Venue ID the user is checking in to
+ * @param {string} secret - Signing secret
+ * @param {Object} options - Verification options
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Object} - { valid, reason }
+ */
+export function verifyVenueQrToken(token, venueId, secret, { now = new Date() } = {}) {
+  if (!token || typeof token !== 'string' || !venueId || !secret) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [expiresPart, signature] = token.split('.');
+  const expiresAt = Number(expiresPart);
+
+  if (!signature || !Number.isInteger(expiresAt)) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(sign(venueId, expiresAt, secret));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  if (expiresAt <= Math.floor(now.getTime() / 1000)) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, reason: null };
+}
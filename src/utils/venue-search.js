@@ -0,0 +1,133 @@
+/**
+ * Pure helpers for venue search and nearby venues. Search filters, counts,
+ * sorts and pages in SQL (`search_venues` and `search_venue_facets`); these
+ * turn its rows into the API response and sort nearby venue lists.
+ */
+
+import { isUuid } from './uuid.js';
+
+/**
+ * Facets the search can be filtered and counted by
+ */
+export const VENUE_FACETS = ['category', 'city', 'price_level', 'open_now'];
+
+/**
+ * Supported sort orders
+ */
+export const VENUE_SORTS = ['relevance', 'distance', 'rating'];
+
+/**
+ * Sort orders for nearby venues; 'vibe' ranks by how often reviewers used a given vibe tag
+ */
+export const NEARBY_SORTS = ['distance', 'rating', 'reviews', 'vibe'];
+
+/**
+ * Group the rows from `search_venue_facets` into facet counts
+ * @param {Array<Object>} rows - { facet, value, venue_count }
+ * @returns {Object} - { facets: { facet: [{ value, count }] } sorted by count, total }
+ */
+export function readFacetCounts(rows = []) {
+  const facets = Object.fromEntries(VENUE_FACETS.map(facet => [facet, []]));
+  let total = 0;
+
+  rows.forEach(({ facet, value, venue_count }) => {
+    const count = Number(venue_count);
+
+    if (facet === 'total') {
+      total = count;
+    } else if (facets[facet]) {
+      const parsed = facet === 'price_level' ? Number(value) : facet === 'open_now' ? value === 'true' : value;
+      facets[facet].push({ value: parsed, count });
+    }
+  });
+
+  Object.values(facets).forEach(counts => counts
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))));
+
+  return { facets, total };
+}
+
+/**
+ * Build the sort key for a venue
+ * @param {Object} venue - Venue candidate
+ * @param {string} sort - Sort order
+ * @param {Object} options - { vibe } tag used by the 'vibe' sort
+ * @returns {Array<number>} - Key compared element by element, ascending
+ */
+function sortKey(venue, sort, { vibe = null } = {}) {
+  const distance = venue.distance_km ?? Number.MAX_SAFE_INTEGER;
+
+  switch (sort) {
+    case 'distance':
+      return [distance];
+    case 'rating':
+      return [-(venue.rating || 0), distance];
+    case 'reviews':
+      return [-(venue.review_count || 0), -(venue.review_rating || 0), distance];
+    case 'vibe':
+      return [-((venue.vibe_tag_counts || {})[vibe] || 0), -(venue.review_rating || 0), distance];
+    default:
+      return [-(venue.rank || 0), distance];
+  }
+}
+
+/**
+ * Compare two sort positions, falling back to the venue ID for a stable order
+ * @param {Object} a - { key, id }
+ * @param {Object} b - { key, id }
+ * @returns {number} - Negative, zero or positive
+ */
+function comparePositions(a, b) {
+  for (let i = 0; i < a.key.length; i++) {
+    if (a.key[i] !== b.key[i]) {
+      return a.key[i] - b.key[i];
+    }
+  }
+
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Sort venues for the requested order
+ * @param {Array} venues - Venue candidates
+ * @param {string} sort - Sort order
+ * @param {Object} options - { vibe } tag used by the 'vibe' sort
+ * @returns {Array} - New sorted array
+ */
+export function sortVenues(venues, sort = 'relevance', options = {}) {
+  return venues
+    .map(venue => ({ venue, position: { key: sortKey(venue, sort, options), id: venue.id } }))
+    .sort((a, b) => comparePositions(a.position, b.position))
+    .map(({ venue }) => venue);
+}
+
+/**
+ * Encode the position after a venue as an opaque cursor
+ * @param {Object} venue - Last venue on the page, with the sort_key from `search_venues`
+ * @param {string} sort - Sort order
+ * @returns {string} - Base64url cursor
+ */
+export function encodeCursor(venue, sort) {
+  return Buffer.from(JSON.stringify({ s: sort, k: venue.sort_key.map(Number), id: venue.id }))
+    .toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort order of the current request
+ * @returns {Object|null} - { key, id }, or null if the cursor is invalid for this sort
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const { s, k, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (s !== sort || !Array.isArray(k) || !k.every(Number.isFinite) || !isUuid(id)) {
+      return null;
+    }
+
+    return { key: k, id };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Vibe tags users can attach to venue reviews.
+ *
+ * Tag counts are kept per venue in `venues.vibe_tag_counts`, e.g.
+ * { "loud": 4, "good_for_meeting_people": 9 }, so the top tags can be
+ * picked without reading every review.
+ */
+
+/**
+ * Tag keys and their display labels
+ */
+export const VIBE_TAGS = {
+  good_for_meeting_people: 'Good for meeting people',
+  loud: 'Loud',
+  lgbtq_friendly: 'LGBTQ+ friendly',
+  dress_code: 'Dress code',
+  chill: 'Chill',
+  dancing: 'Dancing',
+  date_spot: 'Date spot',
+  outdoor_space: 'Outdoor space'
+};
+
+/**
+ * Most tags a single review may carry
+ */
+export const MAX_VIBE_TAGS_PER_REVIEW = 4;
+
+/**
+ * Check whether a value is a known vibe tag
+ * @param {string} tag - Tag key
+ * @returns {boolean} - True if the tag is known
+ */
+export function isVibeTag(tag) {
+  return Object.prototype.hasOwnProperty.call(VIBE_TAGS, tag);
+}
+
+/**
+ * Clean up the tags submitted with a review
+ * @param {Array<string>} tags - Submitted tag keys
+ * @returns {Object} - { tags: unique known tags in submitted order, invalid: unknown tags }
+ */
+export function normalizeVibeTags(tags = []) {
+  const list = Array.isArray(tags) ? tags : [];
+  const unique = [...new Set(list.map(tag => String(tag).trim().toLowerCase()))];
+
+  return {
+    tags: unique.filter(isVibeTag),
+    invalid: unique.filter(tag => !isVibeTag(tag))
+  };
+}
+
+/**
+ * Pick a venue's most used vibe tags
+ * @param {Object} counts - Review counts keyed by tag
+ * @param {Object} options - { limit, minCount }
+ * @returns {Array<Object>} - [{ tag, label, count }], most used first
+ */
+export function getTopVibeTags(counts, { limit = 3, minCount = 1 } = {}) {
+  if (!counts || typeof counts !== 'object') {
+    return [];
+  }
+
+  return Object.entries(counts)
+    .filter(([tag, count]) => isVibeTag(tag) && count >= minCount)
+    .sort(([tagA, countA], [tagB, countB]) => countB - countA || tagA.localeCompare(tagB))
+    .slice(0, limit)
+    .map(([tag, count]) => ({ tag, label: VIBE_TAGS[tag], count }));
+}
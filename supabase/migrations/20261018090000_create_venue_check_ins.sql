@@ -0,0 +1,59 @@
+-- Migration: create_venue_check_ins
+-- Created at: 2026-10-18T09:00:00.000Z
+
+-- Create venue_check_ins table to record who is physically present at a venue
+CREATE TABLE IF NOT EXISTS public.venue_check_ins (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  venue_id UUID NOT NULL REFERENCES public.venues(id) ON DELETE CASCADE,
+  checked_in_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  checked_out_at TIMESTAMPTZ,
+  check_out_reason TEXT CHECK (check_out_reason IN ('manual', 'expired', 'left_geofence', 'switched_venue')),
+  method TEXT NOT NULL DEFAULT 'gps' CHECK (method IN ('gps')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A user can only be checked in at one venue at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_venue_check_ins_one_active_per_user
+  ON public.venue_check_ins(user_id)
+  WHERE checked_out_at IS NULL;
+
+-- Create indexes for presence lookups and the expiry job
+CREATE INDEX IF NOT EXISTS idx_venue_check_ins_venue_active
+  ON public.venue_check_ins(venue_id, expires_at)
+  WHERE checked_out_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_venue_check_ins_expires_at
+  ON public.venue_check_ins(expires_at)
+  WHERE checked_out_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_venue_check_ins_user_id ON public.venue_check_ins(user_id);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE public.venue_check_ins ENABLE ROW LEVEL SECURITY;
+
+-- Users only see their own check-ins. Who is at a venue is served by the
+-- server, which leaves out blocked users and shares no more than the venue
+-- and the people there.
+CREATE POLICY "Users can view their own check-in history" ON public.venue_check_ins
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Inserts and updates go through the server so expiry and geofence rules are enforced
+
+-- Create trigger for updated_at
+CREATE OR REPLACE FUNCTION update_venue_check_ins_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER venue_check_ins_updated_at
+  BEFORE UPDATE ON public.venue_check_ins
+  FOR EACH ROW
+  EXECUTE FUNCTION update_venue_check_ins_updated_at();
+
+COMMENT ON TABLE public.venue_check_ins IS 'Records when users check in at venues; a check-in is live until checked_out_at is set or expires_at passes. Locations are only used for the geofence check and are never stored';
+COMMENT ON COLUMN public.venue_check_ins.check_out_reason IS 'Why the check-in ended: manual, expired, left_geofence, switched_venue';
@@ -0,0 +1,11 @@
+-- Migration: add_qr_check_in_method
+-- Created at: 2026-10-18T10:00:00.000Z
+
+-- Allow check-ins verified by scanning a signed venue QR code
+ALTER TABLE public.venue_check_ins DROP CONSTRAINT IF EXISTS venue_check_ins_method_check;
+
+ALTER TABLE public.venue_check_ins
+ADD CONSTRAINT venue_check_ins_method_check
+CHECK (method IN ('gps', 'qr'));
+
+COMMENT ON COLUMN public.venue_check_ins.method IS 'How presence was established: gps (inside the geofence) or qr (scanned the venue code, shown as verified here)';
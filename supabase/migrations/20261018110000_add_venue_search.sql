@@ -0,0 +1,114 @@
+-- Migration: add_venue_search
+-- Created at: 2026-10-18T11:00:00.000Z
+
+-- Free-form tags (e.g. 'rooftop', 'live music', 'dance floor') used by search
+ALTER TABLE public.venues ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- Weighted full-text document: name first, then tags, then address, then description
+ALTER TABLE public.venues ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION public.update_venue_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('simple', COALESCE(NEW.name, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(array_to_string(NEW.tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('simple', COALESCE(NEW.category, '')), 'B') ||
+    setweight(to_tsvector('simple',
+      concat_ws(' ', NEW.address, NEW.city, NEW.state, NEW.postal_code)), 'C') ||
+    setweight(to_tsvector('simple', COALESCE(NEW.description, '')), 'D');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_venues_search_vector ON public.venues;
+CREATE TRIGGER set_venues_search_vector
+  BEFORE INSERT OR UPDATE OF name, tags, category, address, city, state, postal_code, description
+  ON public.venues
+  FOR EACH ROW
+  EXECUTE PROCEDURE public.update_venue_search_vector();
+
+-- Backfill existing venues
+UPDATE public.venues SET name = name;
+
+CREATE INDEX IF NOT EXISTS idx_venues_search_vector ON public.venues USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_venues_tags ON public.venues USING GIN (tags);
+
+-- Return ranked search candidates with their distance from the user.
+-- Words are matched as prefixes so partial input ("smug cov") still finds results.
+-- Facet filtering, sorting and pagination happen in the API on top of this set.
+CREATE OR REPLACE FUNCTION public.search_venues(
+  search_query TEXT DEFAULT NULL,
+  user_lat FLOAT DEFAULT NULL,
+  user_lng FLOAT DEFAULT NULL,
+  radius_km FLOAT DEFAULT NULL,
+  max_results INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  description TEXT,
+  address TEXT,
+  city TEXT,
+  category TEXT,
+  tags TEXT[],
+  price_level INTEGER,
+  rating FLOAT,
+  images TEXT[],
+  opening_hours JSONB,
+  lat FLOAT,
+  lng FLOAT,
+  is_verified BOOLEAN,
+  rank REAL,
+  distance_km FLOAT
+) AS $$
+DECLARE
+  prefix_query TSQUERY;
+  user_point GEOGRAPHY;
+BEGIN
+  IF search_query IS NOT NULL AND btrim(search_query) <> '' THEN
+    SELECT to_tsquery('simple', string_agg(word || ':*', ' & '))
+    INTO prefix_query
+    FROM (
+      SELECT regexp_replace(lower(token), '[^[:alnum:]]', '', 'g') AS word
+      FROM regexp_split_to_table(btrim(search_query), '\s+') AS token
+    ) words
+    WHERE word <> '';
+  END IF;
+
+  IF user_lat IS NOT NULL AND user_lng IS NOT NULL THEN
+    user_point := ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    v.id,
+    v.name,
+    v.description,
+    v.address,
+    v.city,
+    v.category,
+    v.tags,
+    v.price_level,
+    v.rating,
+    v.images,
+    v.opening_hours,
+    v.lat,
+    v.lng,
+    v.is_verified,
+    CASE WHEN prefix_query IS NULL THEN 0::REAL
+         ELSE ts_rank_cd(v.search_vector, prefix_query) END AS rank,
+    CASE WHEN user_point IS NULL THEN NULL
+         ELSE ST_Distance(user_point, v.location) / 1000 END AS distance_km
+  FROM public.venues v
+  WHERE v.is_active = true
+    AND (prefix_query IS NULL OR v.search_vector @@ prefix_query)
+    AND (
+      user_point IS NULL OR radius_km IS NULL
+      OR ST_DWithin(user_point, v.location, radius_km * 1000)
+    )
+  -- Order by position: rank and distance_km are also output parameter names
+  ORDER BY 15 DESC, 16 ASC NULLS LAST, v.id
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
@@ -0,0 +1,187 @@
+-- Migration: add_venue_hours_model
+-- Created at: 2026-10-18T12:00:00.000Z
+
+-- Venue hours are evaluated in the venue's own time zone (IANA name)
+ALTER TABLE public.venues ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- Per-date overrides of the weekly hours, keyed by local date ('YYYY-MM-DD')
+ALTER TABLE public.venues ADD COLUMN IF NOT EXISTS hours_exceptions JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN public.venues.opening_hours IS
+  'Weekly hours keyed by lowercase weekday: [{"open":"17:00","close":"02:00"}] or {"closed":true}. '
+  'A close at or before the open runs past midnight.';
+COMMENT ON COLUMN public.venues.hours_exceptions IS
+  'Hours for specific local dates, same format as a weekday in opening_hours';
+
+-- Existing venues start without a time zone. Their open status is read in
+-- DEFAULT_VENUE_TIMEZONE, or reported as unknown when that isn't set, until
+-- the owner sets a zone; it is never guessed from the address here.
+
+-- Convert the older "17:00-02:00" string days to the span list format
+UPDATE public.venues v
+SET opening_hours = (
+  SELECT jsonb_object_agg(
+    h.day,
+    CASE
+      WHEN jsonb_typeof(h.hours) = 'string' THEN jsonb_build_array(jsonb_build_object(
+        'open', split_part(h.hours #>> '{}', '-', 1),
+        'close', split_part(h.hours #>> '{}', '-', 2)
+      ))
+      WHEN jsonb_typeof(h.hours) = 'object' AND h.hours ? 'open' THEN jsonb_build_array(h.hours)
+      ELSE h.hours
+    END
+  )
+  FROM jsonb_each(v.opening_hours) AS h(day, hours)
+)
+WHERE jsonb_typeof(v.opening_hours) = 'object'
+  AND v.opening_hours <> '{}'::jsonb;
+
+-- Return everything the discover page needs, including the fields used to
+-- work out whether each venue is open. Earlier versions of this function were
+-- deployed with both INTEGER and FLOAT radius arguments.
+DROP FUNCTION IF EXISTS public.get_nearby_venues(FLOAT, FLOAT, INTEGER);
+DROP FUNCTION IF EXISTS public.get_nearby_venues(FLOAT, FLOAT, FLOAT);
+
+CREATE OR REPLACE FUNCTION public.get_nearby_venues(
+  user_lat FLOAT,
+  user_lng FLOAT,
+  radius_km FLOAT DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  description TEXT,
+  address TEXT,
+  city TEXT,
+  category TEXT,
+  tags TEXT[],
+  price_level INTEGER,
+  rating FLOAT,
+  images TEXT[],
+  lat FLOAT,
+  lng FLOAT,
+  is_verified BOOLEAN,
+  opening_hours JSONB,
+  hours_exceptions JSONB,
+  timezone TEXT,
+  distance_km FLOAT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    v.id,
+    v.name,
+    v.description,
+    v.address,
+    v.city,
+    v.category,
+    v.tags,
+    v.price_level,
+    v.rating,
+    v.images,
+    v.lat,
+    v.lng,
+    v.is_verified,
+    v.opening_hours,
+    v.hours_exceptions,
+    v.timezone,
+    ST_Distance(
+      ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography,
+      v.location
+    ) / 1000 AS distance_km
+  FROM
+    public.venues v
+  WHERE
+    ST_DWithin(
+      ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography,
+      v.location,
+      radius_km * 1000
+    )
+    AND v.is_active = true
+  -- Order by position: distance_km is also an output parameter name
+  ORDER BY 17 ASC;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Search also needs the hours fields to compute open_now
+DROP FUNCTION IF EXISTS public.search_venues(TEXT, FLOAT, FLOAT, FLOAT, INTEGER);
+
+CREATE OR REPLACE FUNCTION public.search_venues(
+  search_query TEXT DEFAULT NULL,
+  user_lat FLOAT DEFAULT NULL,
+  user_lng FLOAT DEFAULT NULL,
+  radius_km FLOAT DEFAULT NULL,
+  max_results INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  description TEXT,
+  address TEXT,
+  city TEXT,
+  category TEXT,
+  tags TEXT[],
+  price_level INTEGER,
+  rating FLOAT,
+  images TEXT[],
+  opening_hours JSONB,
+  hours_exceptions JSONB,
+  timezone TEXT,
+  lat FLOAT,
+  lng FLOAT,
+  is_verified BOOLEAN,
+  rank REAL,
+  distance_km FLOAT
+) AS $$
+DECLARE
+  prefix_query TSQUERY;
+  user_point GEOGRAPHY;
+BEGIN
+  IF search_query IS NOT NULL AND btrim(search_query) <> '' THEN
+    SELECT to_tsquery('simple', string_agg(word || ':*', ' & '))
+    INTO prefix_query
+    FROM (
+      SELECT regexp_replace(lower(token), '[^[:alnum:]]', '', 'g') AS word
+      FROM regexp_split_to_table(btrim(search_query), '\s+') AS token
+    ) words
+    WHERE word <> '';
+  END IF;
+
+  IF user_lat IS NOT NULL AND user_lng IS NOT NULL THEN
+    user_point := ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    v.id,
+    v.name,
+    v.description,
+    v.address,
+    v.city,
+    v.category,
+    v.tags,
+    v.price_level,
+    v.rating,
+    v.images,
+    v.opening_hours,
+    v.hours_exceptions,
+    v.timezone,
+    v.lat,
+    v.lng,
+    v.is_verified,
+    CASE WHEN prefix_query IS NULL THEN 0::REAL
+         ELSE ts_rank_cd(v.search_vector, prefix_query) END AS rank,
+    CASE WHEN user_point IS NULL THEN NULL
+         ELSE ST_Distance(user_point, v.location) / 1000 END AS distance_km
+  FROM public.venues v
+  WHERE v.is_active = true
+    AND (prefix_query IS NULL OR v.search_vector @@ prefix_query)
+    AND (
+      user_point IS NULL OR radius_km IS NULL
+      OR ST_DWithin(user_point, v.location, radius_km * 1000)
+    )
+  -- Order by position: rank and distance_km are also output parameter names
+  ORDER BY 17 DESC, 18 ASC NULLS LAST, v.id
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
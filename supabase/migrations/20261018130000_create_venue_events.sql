@@ -0,0 +1,93 @@
+-- Migration: create_venue_events
+-- Created at: 2026-10-18T13:00:00.000Z
+
+-- Events hosted at venues (theme nights, singles mixers, happy hours)
+CREATE TABLE IF NOT EXISTS public.venue_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  venue_id UUID NOT NULL REFERENCES public.venues(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  description TEXT,
+  event_type TEXT NOT NULL DEFAULT 'other'
+    CHECK (event_type IN ('theme_night', 'singles_mixer', 'happy_hour', 'live_music', 'other')),
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+  image_url TEXT,
+  is_cancelled BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT venue_events_ends_after_start CHECK (ends_at > starts_at)
+);
+
+-- RSVPs to venue events
+CREATE TABLE IF NOT EXISTS public.venue_event_rsvps (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  event_id UUID NOT NULL REFERENCES public.venue_events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'going' CHECK (status IN ('going', 'interested')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(event_id, user_id)
+);
+
+-- Create indexes for listing upcoming events and looking up RSVPs
+CREATE INDEX IF NOT EXISTS idx_venue_events_venue_upcoming
+  ON public.venue_events(venue_id, ends_at)
+  WHERE is_cancelled = false;
+CREATE INDEX IF NOT EXISTS idx_venue_events_starts_at ON public.venue_events(starts_at);
+CREATE INDEX IF NOT EXISTS idx_venue_event_rsvps_event_id ON public.venue_event_rsvps(event_id, status);
+CREATE INDEX IF NOT EXISTS idx_venue_event_rsvps_user_id ON public.venue_event_rsvps(user_id);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE public.venue_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.venue_event_rsvps ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Venue events are viewable by authenticated users" ON public.venue_events
+  FOR SELECT TO authenticated
+  USING (is_cancelled = false);
+
+CREATE POLICY "Users can view their own RSVPs" ON public.venue_event_rsvps
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Events and RSVPs are written through the server so capacity and permissions are enforced
+
+-- People who RSVP'd to the same upcoming events as the current user.
+-- Runs as definer so users can see co-attendees without reading all RSVPs.
+CREATE OR REPLACE FUNCTION public.get_event_co_attendees()
+RETURNS TABLE (user_id UUID, event_id UUID, starts_at TIMESTAMPTZ) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT DISTINCT ON (other.user_id) other.user_id, e.id, e.starts_at
+  FROM public.venue_event_rsvps mine
+  JOIN public.venue_events e ON e.id = mine.event_id
+  JOIN public.venue_event_rsvps other
+    ON other.event_id = mine.event_id AND other.user_id <> mine.user_id
+  WHERE mine.user_id = auth.uid()
+    AND e.is_cancelled = false
+    AND e.ends_at > NOW()
+  ORDER BY other.user_id, e.starts_at;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Create triggers for updated_at
+CREATE OR REPLACE FUNCTION update_venue_events_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER venue_events_updated_at
+  BEFORE UPDATE ON public.venue_events
+  FOR EACH ROW
+  EXECUTE FUNCTION update_venue_events_updated_at();
+
+CREATE TRIGGER venue_event_rsvps_updated_at
+  BEFORE UPDATE ON public.venue_event_rsvps
+  FOR EACH ROW
+  EXECUTE FUNCTION update_venue_events_updated_at();
+
+COMMENT ON TABLE public.venue_events IS 'Events hosted at venues, shown on the discover map and venue cards';
+COMMENT ON TABLE public.venue_event_rsvps IS 'User RSVPs to venue events; people going to the same event are promoted to each other when matching';
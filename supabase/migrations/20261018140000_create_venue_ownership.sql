@@ -0,0 +1,120 @@
+-- Migration: create_venue_ownership
+-- Created at: 2026-10-18T14:00:00.000Z
+
+-- Users who manage a venue. Ownership is granted once a claim is verified by
+-- a code sent to the venue's listed phone number.
+CREATE TABLE IF NOT EXISTS public.venue_owners (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  venue_id UUID NOT NULL REFERENCES public.venues(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  claim_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(venue_id, user_id)
+);
+
+-- Claim attempts, with the hashed verification code sent to the venue
+CREATE TABLE IF NOT EXISTS public.venue_claims (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  venue_id UUID NOT NULL REFERENCES public.venues(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  phone TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  code_expires_at TIMESTAMPTZ NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'verified', 'expired', 'failed', 'superseded')),
+  verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Owner edits waiting for an admin. `payload` holds the venue fields or event
+-- fields to apply; `event_id` is set when editing or cancelling an existing event.
+CREATE TABLE IF NOT EXISTS public.venue_change_requests (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  venue_id UUID NOT NULL REFERENCES public.venues(id) ON DELETE CASCADE,
+  submitted_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  change_type TEXT NOT NULL CHECK (change_type IN ('venue_details', 'event')),
+  event_id UUID REFERENCES public.venue_events(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_venue_owners_user_id ON public.venue_owners(user_id);
+CREATE INDEX IF NOT EXISTS idx_venue_claims_venue_user ON public.venue_claims(venue_id, user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_venue_claims_user_created ON public.venue_claims(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_venue_change_requests_pending
+  ON public.venue_change_requests(created_at)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_venue_change_requests_venue_id ON public.venue_change_requests(venue_id);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE public.venue_owners ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.venue_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.venue_change_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view the venues they own" ON public.venue_owners
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own change requests" ON public.venue_change_requests
+  FOR SELECT USING (auth.uid() = submitted_by);
+
+-- Claims hold code hashes and are only read by the server.
+-- All writes go through the server so ownership and review rules are enforced.
+
+-- Create triggers for updated_at
+CREATE OR REPLACE FUNCTION update_venue_ownership_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER venue_claims_updated_at
+  BEFORE UPDATE ON public.venue_claims
+  FOR EACH ROW
+  EXECUTE FUNCTION update_venue_ownership_updated_at();
+
+CREATE TRIGGER venue_change_requests_updated_at
+  BEFORE UPDATE ON public.venue_change_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_venue_ownership_updated_at();
+
+-- Use up one guess at a claim code before it is checked. Counting and
+-- checking the limit in one update means parallel guesses can't share a
+-- count. Returns the guesses used so far, or NULL when the claim is no
+-- longer pending, has expired or has no guesses left.
+CREATE OR REPLACE FUNCTION public.use_venue_claim_attempt(
+  target_claim_id UUID,
+  max_attempts INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+  used INTEGER;
+BEGIN
+  UPDATE public.venue_claims c
+  SET attempts = c.attempts + 1
+  WHERE c.id = target_claim_id
+    AND c.status = 'pending'
+    AND c.code_expires_at > NOW()
+    AND c.attempts < max_attempts
+  RETURNING c.attempts INTO used;
+
+  RETURN used;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.use_venue_claim_attempt IS 'Counts a guess at a claim code; NULL when none are left. Called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.use_venue_claim_attempt FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE public.venue_owners IS 'Users allowed to submit changes for a venue';
+COMMENT ON TABLE public.venue_claims IS 'Venue ownership claims verified by a code sent to the venue phone';
+COMMENT ON TABLE public.venue_change_requests IS 'Owner edits to venue details and events, applied once an admin approves them';
@@ -0,0 +1,185 @@
+-- Migration: create_venue_reviews
+-- Created at: 2026-10-18T15:00:00.000Z
+
+-- Ratings and vibe tags left by users after a visit. Each review is tied to
+-- the check-in that proves the visit, so a visit can only be reviewed once.
+-- btree_gist lets the once-per-period rule below compare IDs in a GiST index.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS public.venue_reviews (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  venue_id UUID NOT NULL REFERENCES public.venues(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  check_in_id UUID NOT NULL REFERENCES public.venue_check_ins(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  vibe_tags TEXT[] NOT NULL DEFAULT '{}',
+  body TEXT CHECK (char_length(body) <= 1000),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  period_ends_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '30 days',
+  UNIQUE (check_in_id),
+  CHECK (period_ends_at > created_at),
+  -- A user's review periods for a venue can't overlap, so they can write
+  -- another review only once the last one's period is over
+  CONSTRAINT venue_reviews_one_per_period EXCLUDE USING gist (
+    user_id WITH =,
+    venue_id WITH =,
+    tstzrange(created_at, period_ends_at) WITH &&
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_venue_reviews_venue_created
+  ON public.venue_reviews(venue_id, created_at DESC);
+
+-- Aggregates kept on the venue so discovery queries don't scan reviews.
+-- The review average has its own column; rating stays the imported rating.
+ALTER TABLE public.venues
+  ADD COLUMN IF NOT EXISTS review_rating FLOAT,
+  ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS vibe_tag_counts JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE public.venue_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Venue reviews are viewable by authenticated users" ON public.venue_reviews
+  FOR SELECT TO authenticated
+  USING (true);
+
+-- Inserts, edits and deletes go through the server so the visit and
+-- once-per-period rules are enforced
+
+-- Recompute a venue's review average, review count and tag counts
+CREATE OR REPLACE FUNCTION public.refresh_venue_review_stats(target_venue_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE public.venues v
+  SET
+    review_count = stats.review_count,
+    review_rating = stats.avg_rating,
+    vibe_tag_counts = COALESCE((
+      SELECT jsonb_object_agg(tag, tag_count)
+      FROM (
+        SELECT tag, COUNT(*) AS tag_count
+        FROM public.venue_reviews r, unnest(r.vibe_tags) AS tag
+        WHERE r.venue_id = target_venue_id
+        GROUP BY tag
+      ) tags
+    ), '{}'::jsonb)
+  FROM (
+    SELECT COUNT(*)::INTEGER AS review_count, ROUND(AVG(rating)::NUMERIC, 2)::FLOAT AS avg_rating
+    FROM public.venue_reviews
+    WHERE venue_id = target_venue_id
+  ) stats
+  WHERE v.id = target_venue_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.refresh_venue_review_stats IS 'Recomputes a venue''s review aggregates; called by the venue_reviews trigger only';
+
+REVOKE EXECUTE ON FUNCTION public.refresh_venue_review_stats FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.venue_reviews_refresh_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM public.refresh_venue_review_stats(OLD.venue_id);
+    RETURN OLD;
+  END IF;
+
+  PERFORM public.refresh_venue_review_stats(NEW.venue_id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER venue_reviews_refresh_stats
+  AFTER INSERT OR UPDATE OR DELETE ON public.venue_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION public.venue_reviews_refresh_stats();
+
+-- Create trigger for updated_at
+CREATE OR REPLACE FUNCTION update_venue_reviews_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER venue_reviews_updated_at
+  BEFORE UPDATE ON public.venue_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_venue_reviews_updated_at();
+
+-- Nearby venues can now be sorted by reviews and vibe tags
+DROP FUNCTION IF EXISTS public.get_nearby_venues(FLOAT, FLOAT, FLOAT);
+
+CREATE OR REPLACE FUNCTION public.get_nearby_venues(
+  user_lat FLOAT,
+  user_lng FLOAT,
+  radius_km FLOAT DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  description TEXT,
+  address TEXT,
+  city TEXT,
+  category TEXT,
+  tags TEXT[],
+  price_level INTEGER,
+  rating FLOAT,
+  review_rating FLOAT,
+  review_count INTEGER,
+  vibe_tag_counts JSONB,
+  images TEXT[],
+  lat FLOAT,
+  lng FLOAT,
+  is_verified BOOLEAN,
+  opening_hours JSONB,
+  hours_exceptions JSONB,
+  timezone TEXT,
+  distance_km FLOAT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    v.id,
+    v.name,
+    v.description,
+    v.address,
+    v.city,
+    v.category,
+    v.tags,
+    v.price_level,
+    v.rating,
+    v.review_rating,
+    v.review_count,
+    v.vibe_tag_counts,
+    v.images,
+    v.lat,
+    v.lng,
+    v.is_verified,
+    v.opening_hours,
+    v.hours_exceptions,
+    v.timezone,
+    ST_Distance(
+      ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography,
+      v.location
+    ) / 1000 AS distance_km
+  FROM
+    public.venues v
+  WHERE
+    ST_DWithin(
+      ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography,
+      v.location,
+      radius_km * 1000
+    )
+    AND v.is_active = true
+  -- Order by position: distance_km is also an output parameter name
+  ORDER BY 20 ASC;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON TABLE public.venue_reviews IS 'Venue ratings and vibe tags, one per check-in and at most one per user per venue per review period';
+COMMENT ON COLUMN public.venues.review_rating IS 'Average review rating, or NULL without reviews; kept up to date by venue_reviews_refresh_stats';
+COMMENT ON COLUMN public.venues.vibe_tag_counts IS 'Number of reviews using each vibe tag, kept up to date by venue_reviews_refresh_stats';
@@ -0,0 +1,15 @@
+-- Migration: add_venue_import_source
+-- Created at: 2026-10-18T16:00:00.000Z
+
+-- Record where imported venues came from so re-running an import matches
+-- rows by their upstream ID before falling back to fuzzy name + distance
+ALTER TABLE public.venues
+  ADD COLUMN IF NOT EXISTS source TEXT,
+  ADD COLUMN IF NOT EXISTS source_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_venues_source_id
+  ON public.venues(source, source_id)
+  WHERE source IS NOT NULL AND source_id IS NOT NULL;
+
+COMMENT ON COLUMN public.venues.source IS 'Where the venue was imported from, e.g. scaleserp, places, osm or manual';
+COMMENT ON COLUMN public.venues.source_id IS 'ID of the venue in its source, used to match rows on re-import';
@@ -0,0 +1,112 @@
+-- Migration: create_get_venue_clusters
+-- Created at: 2026-10-18T17:00:00.000Z
+
+-- Active venues inside a map viewport, grouped into grid cells of
+-- cell_size_m Web Mercator meters. Each cell comes back as one row with its
+-- venue count, center, extent and a representative venue (the best rated,
+-- then most reviewed). A cell_size_m of 0 returns every venue on its own.
+CREATE OR REPLACE FUNCTION public.get_venue_clusters(
+  min_lat FLOAT,
+  min_lng FLOAT,
+  max_lat FLOAT,
+  max_lng FLOAT,
+  cell_size_m FLOAT DEFAULT 0,
+  max_clusters INTEGER DEFAULT 300
+)
+RETURNS TABLE (
+  cluster_key TEXT,
+  venue_count INTEGER,
+  center_lat FLOAT,
+  center_lng FLOAT,
+  extent_south FLOAT,
+  extent_west FLOAT,
+  extent_north FLOAT,
+  extent_east FLOAT,
+  id UUID,
+  name TEXT,
+  description TEXT,
+  address TEXT,
+  city TEXT,
+  category TEXT,
+  tags TEXT[],
+  price_level INTEGER,
+  rating FLOAT,
+  review_count INTEGER,
+  vibe_tag_counts JSONB,
+  images TEXT[],
+  lat FLOAT,
+  lng FLOAT,
+  is_verified BOOLEAN,
+  opening_hours JSONB,
+  hours_exceptions JSONB,
+  timezone TEXT
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH visible AS (
+    SELECT
+      v.*,
+      CASE
+        WHEN cell_size_m > 0 THEN
+          floor(ST_X(ST_Transform(v.location::geometry, 3857)) / cell_size_m)::BIGINT || ':' ||
+          floor(ST_Y(ST_Transform(v.location::geometry, 3857)) / cell_size_m)::BIGINT
+        ELSE v.id::TEXT
+      END AS cell
+    FROM public.venues v
+    WHERE
+      v.location && ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326)::geography
+      AND v.is_active = true
+  ),
+  ranked AS (
+    SELECT
+      visible.*,
+      COUNT(*) OVER cells AS cell_count,
+      AVG(visible.lat) OVER cells AS cell_lat,
+      AVG(visible.lng) OVER cells AS cell_lng,
+      MIN(visible.lat) OVER cells AS cell_south,
+      MIN(visible.lng) OVER cells AS cell_west,
+      MAX(visible.lat) OVER cells AS cell_north,
+      MAX(visible.lng) OVER cells AS cell_east,
+      ROW_NUMBER() OVER (
+        PARTITION BY visible.cell
+        ORDER BY visible.rating DESC NULLS LAST, visible.review_count DESC, visible.id
+      ) AS cell_rank
+    FROM visible
+    WINDOW cells AS (PARTITION BY visible.cell)
+  )
+  SELECT
+    r.cell,
+    r.cell_count::INTEGER,
+    r.cell_lat,
+    r.cell_lng,
+    r.cell_south,
+    r.cell_west,
+    r.cell_north,
+    r.cell_east,
+    r.id,
+    r.name,
+    r.description,
+    r.address,
+    r.city,
+    r.category,
+    r.tags,
+    r.price_level,
+    r.rating,
+    r.review_count,
+    r.vibe_tag_counts,
+    r.images,
+    r.lat,
+    r.lng,
+    r.is_verified,
+    r.opening_hours,
+    r.hours_exceptions,
+    r.timezone
+  FROM ranked r
+  WHERE r.cell_rank = 1
+  -- Order by position: venue_count is also an output parameter name
+  ORDER BY 2 DESC, 9
+  LIMIT max_clusters;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.get_venue_clusters IS 'Active venues in a map viewport grouped into Web Mercator grid cells, one row per cell with its count, extent and best rated venue';
@@ -0,0 +1,155 @@
+-- Migration: create_venue_activity_stats
+-- Created at: 2026-10-18T18:00:00.000Z
+
+-- Typical activity per venue for each hour of the week, in the venue's local
+-- time. Rebuilt by the venue activity job from recent check-ins and matches.
+CREATE TABLE IF NOT EXISTS public.venue_busy_hours (
+  venue_id UUID NOT NULL REFERENCES public.venues(id) ON DELETE CASCADE,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  hour SMALLINT NOT NULL CHECK (hour BETWEEN 0 AND 23),
+  avg_check_ins FLOAT NOT NULL DEFAULT 0,
+  avg_matches FLOAT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (venue_id, weekday, hour)
+);
+
+-- Current activity at venues with anyone checked in or matching right now.
+-- Replaced every run of the venue activity job; read by the heatmap endpoint.
+CREATE TABLE IF NOT EXISTS public.venue_live_activity (
+  venue_id UUID PRIMARY KEY REFERENCES public.venues(id) ON DELETE CASCADE,
+  lat FLOAT NOT NULL,
+  lng FLOAT NOT NULL,
+  people_count INTEGER NOT NULL DEFAULT 0,
+  recent_matches INTEGER NOT NULL DEFAULT 0,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_venue_live_activity_lat_lng
+  ON public.venue_live_activity(lat, lng);
+
+-- Busy-hours aggregation reads matches by venue and time
+CREATE INDEX IF NOT EXISTS idx_matches_venue_matched_at
+  ON public.matches(venue_id, matched_at)
+  WHERE venue_id IS NOT NULL;
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE public.venue_busy_hours ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.venue_live_activity ENABLE ROW LEVEL SECURITY;
+
+-- Both tables only hold per-venue totals
+CREATE POLICY "Venue busy hours are viewable by authenticated users" ON public.venue_busy_hours
+  FOR SELECT TO authenticated
+  USING (true);
+
+CREATE POLICY "Venue live activity is viewable by authenticated users" ON public.venue_live_activity
+  FOR SELECT TO authenticated
+  USING (true);
+
+-- Rebuild venue_busy_hours from the last lookback_days of activity. A check-in
+-- counts toward every hour it spans; a match counts toward the hour it was
+-- made. Totals are averaged over the weeks in the lookback window. Venues
+-- without a time zone Postgres knows use default_timezone, so one bad value
+-- can't fail the whole refresh.
+CREATE OR REPLACE FUNCTION public.refresh_venue_busy_hours(
+  lookback_days INTEGER DEFAULT 56,
+  default_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS INTEGER AS $$
+DECLARE
+  since TIMESTAMPTZ := NOW() - make_interval(days => lookback_days);
+  weeks FLOAT := GREATEST(lookback_days / 7.0, 1);
+  slot_count INTEGER;
+BEGIN
+  DELETE FROM public.venue_busy_hours WHERE true;
+
+  INSERT INTO public.venue_busy_hours (venue_id, weekday, hour, avg_check_ins, avg_matches, updated_at)
+  SELECT
+    activity.venue_id,
+    EXTRACT(DOW FROM activity.local_time)::SMALLINT,
+    EXTRACT(HOUR FROM activity.local_time)::SMALLINT,
+    SUM(activity.check_ins) / weeks,
+    SUM(activity.matches) / weeks,
+    NOW()
+  FROM (
+    SELECT
+      c.venue_id,
+      slot AT TIME ZONE CASE WHEN v.timezone IN (SELECT name FROM pg_timezone_names) THEN v.timezone ELSE default_timezone END AS local_time,
+      1 AS check_ins,
+      0 AS matches
+    FROM public.venue_check_ins c
+    JOIN public.venues v ON v.id = c.venue_id
+    CROSS JOIN LATERAL generate_series(
+      date_trunc('hour', c.checked_in_at),
+      COALESCE(c.checked_out_at, LEAST(c.expires_at, NOW())),
+      INTERVAL '1 hour'
+    ) AS slot
+    WHERE c.checked_in_at >= since
+
+    UNION ALL
+
+    SELECT
+      m.venue_id,
+      m.matched_at AT TIME ZONE CASE WHEN v.timezone IN (SELECT name FROM pg_timezone_names) THEN v.timezone ELSE default_timezone END,
+      0,
+      1
+    FROM public.matches m
+    JOIN public.venues v ON v.id = m.venue_id
+    WHERE m.matched_at >= since
+      AND m.status = 'matched'
+  ) activity
+  GROUP BY 1, 2, 3;
+
+  GET DIAGNOSTICS slot_count = ROW_COUNT;
+  RETURN slot_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Replace venue_live_activity with the people checked in right now and the
+-- matches made in the last match_window_minutes
+CREATE OR REPLACE FUNCTION public.refresh_venue_live_activity(
+  match_window_minutes INTEGER DEFAULT 120
+)
+RETURNS INTEGER AS $$
+DECLARE
+  venue_count INTEGER;
+BEGIN
+  DELETE FROM public.venue_live_activity WHERE true;
+
+  INSERT INTO public.venue_live_activity (venue_id, lat, lng, people_count, recent_matches, computed_at)
+  SELECT
+    v.id,
+    v.lat,
+    v.lng,
+    COALESCE(present.people_count, 0),
+    COALESCE(recent.match_count, 0),
+    NOW()
+  FROM public.venues v
+  LEFT JOIN (
+    SELECT c.venue_id, COUNT(*)::INTEGER AS people_count
+    FROM public.venue_check_ins c
+    WHERE c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+    GROUP BY c.venue_id
+  ) present ON present.venue_id = v.id
+  LEFT JOIN (
+    SELECT m.venue_id, COUNT(*)::INTEGER AS match_count
+    FROM public.matches m
+    WHERE m.status = 'matched'
+      AND m.matched_at > NOW() - make_interval(mins => match_window_minutes)
+    GROUP BY m.venue_id
+  ) recent ON recent.venue_id = v.id
+  WHERE v.is_active = true
+    AND (present.people_count > 0 OR recent.match_count > 0);
+
+  GET DIAGNOSTICS venue_count = ROW_COUNT;
+  RETURN venue_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE public.venue_busy_hours IS 'Average check-ins and matches per venue for each local hour of the week, rebuilt by refresh_venue_busy_hours';
+COMMENT ON TABLE public.venue_live_activity IS 'People checked in and recent matches per venue, replaced by refresh_venue_live_activity for the discover heatmap';
+COMMENT ON FUNCTION public.refresh_venue_busy_hours IS 'Rebuilds venue_busy_hours; called by the server only';
+COMMENT ON FUNCTION public.refresh_venue_live_activity IS 'Replaces venue_live_activity; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.refresh_venue_busy_hours FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refresh_venue_live_activity FROM PUBLIC, anon, authenticated;
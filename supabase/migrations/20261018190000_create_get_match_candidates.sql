@@ -0,0 +1,146 @@
+-- Migration: create_get_match_candidates
+-- Created at: 2026-10-18T19:00:00.000Z
+
+-- Interests shown on profile cards and used to rank the matching deck
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS interests TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_profiles_gender_birth_date
+  ON public.profiles(gender, birth_date);
+
+-- People the viewer can be shown in the matching deck, after their filters,
+-- with the signals the server ranks them by. People checked in at the
+-- viewer's venue are always eligible for distance, and come first when the
+-- pool is larger than max_candidates.
+CREATE OR REPLACE FUNCTION public.get_match_candidates(
+  viewer_id UUID,
+  viewer_lat FLOAT DEFAULT NULL,
+  viewer_lng FLOAT DEFAULT NULL,
+  viewer_gender TEXT DEFAULT NULL,
+  viewer_age INTEGER DEFAULT NULL,
+  max_distance_km FLOAT DEFAULT 40,
+  min_age INTEGER DEFAULT 18,
+  max_age INTEGER DEFAULT 65,
+  genders TEXT[] DEFAULT NULL,
+  recent_venue_days INTEGER DEFAULT 7,
+  max_candidates INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+  id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  gender TEXT,
+  interests TEXT[],
+  is_verified BOOLEAN,
+  last_active TIMESTAMPTZ,
+  distance_km FLOAT,
+  present_venue_id UUID,
+  recent_venue_id UUID,
+  shared_event_id UUID,
+  liked_viewer BOOLEAN,
+  accepts_viewer BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH my_check_in AS (
+    SELECT c.venue_id
+    FROM public.venue_check_ins c
+    WHERE c.user_id = viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  present AS (
+    SELECT c.user_id, c.venue_id
+    FROM public.venue_check_ins c
+    JOIN my_check_in mine ON mine.venue_id = c.venue_id
+    WHERE c.user_id <> viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  recent AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, other.venue_id
+    FROM public.venue_check_ins mine
+    JOIN public.venue_check_ins other
+      ON other.venue_id = mine.venue_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND mine.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+      AND other.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+    ORDER BY other.user_id, other.checked_in_at DESC
+  ),
+  events AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, e.id AS event_id
+    FROM public.venue_event_rsvps mine
+    JOIN public.venue_events e ON e.id = mine.event_id
+    JOIN public.venue_event_rsvps other
+      ON other.event_id = mine.event_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND e.is_cancelled = false
+      AND e.ends_at > NOW()
+    ORDER BY other.user_id, e.starts_at
+  ),
+  -- Everyone the viewer has already swiped on or matched with
+  swiped AS (
+    SELECT m.user_id_2 AS user_id FROM public.matches m WHERE m.user_id_1 = viewer_id
+    UNION
+    SELECT m.user_id_1 FROM public.matches m WHERE m.user_id_2 = viewer_id AND m.status = 'matched'
+  )
+  SELECT
+    p.id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    p.gender,
+    p.interests,
+    COALESCE(p.is_verified, false),
+    p.last_active,
+    d.km,
+    present.venue_id,
+    recent.venue_id,
+    events.event_id,
+    EXISTS (
+      SELECT 1 FROM public.matches l
+      WHERE l.user_id_1 = p.id AND l.user_id_2 = viewer_id AND l.status = 'liked'
+    ),
+    (
+      uf.user_id IS NULL
+      OR (
+        (uf.interested_in = 'both'
+          OR (uf.interested_in = 'girls' AND viewer_gender = 'female')
+          OR (uf.interested_in = 'boys' AND viewer_gender = 'male'))
+        AND (viewer_age IS NULL OR viewer_age BETWEEN uf.min_age AND uf.max_age)
+      )
+    )
+  FROM public.profiles p
+  LEFT JOIN present ON present.user_id = p.id
+  LEFT JOIN recent ON recent.user_id = p.id
+  LEFT JOIN events ON events.user_id = p.id
+  LEFT JOIN public.user_filters uf ON uf.user_id = p.id
+  CROSS JOIN LATERAL (
+    SELECT CASE
+      WHEN viewer_lat IS NULL OR viewer_lng IS NULL OR p.location_lat IS NULL OR p.location_lng IS NULL THEN NULL
+      ELSE ST_Distance(
+        ST_SetSRID(ST_MakePoint(viewer_lng, viewer_lat), 4326)::geography,
+        ST_SetSRID(ST_MakePoint(p.location_lng, p.location_lat), 4326)::geography
+      ) / 1000
+    END AS km
+  ) d
+  WHERE p.id <> viewer_id
+    AND NOT EXISTS (SELECT 1 FROM swiped s WHERE s.user_id = p.id)
+    AND (genders IS NULL OR p.gender = ANY(genders))
+    AND EXTRACT(YEAR FROM AGE(p.birth_date)) BETWEEN get_match_candidates.min_age AND get_match_candidates.max_age
+    AND (present.user_id IS NOT NULL OR viewer_lat IS NULL OR d.km <= max_distance_km)
+  ORDER BY (present.user_id IS NOT NULL) DESC, p.last_active DESC NULLS LAST, p.id
+  LIMIT max_candidates;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.get_match_candidates IS 'Matching deck candidates for a viewer after their saved filters, with ranking signals; called by the server only';
+
+-- Candidates are ranked on the server with the viewer's filters, so the
+-- function is not callable from the browser
+REVOKE EXECUTE ON FUNCTION public.get_match_candidates FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,312 @@
+-- Migration: create_swipes
+-- Created at: 2026-10-18T20:00:00.000Z
+
+-- One row per person a user has swiped on. Likes and passes used to be
+-- written to matches (and to user_likes / user_dislikes) from the browser;
+-- they are now recorded by the server, which also creates the match.
+CREATE TABLE IF NOT EXISTS public.swipes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  swiper_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  swiped_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  direction TEXT NOT NULL CHECK (direction IN ('like', 'dislike')),
+  venue_id UUID REFERENCES public.venues(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_swipe UNIQUE (swiper_id, swiped_id),
+  CONSTRAINT no_self_swipe CHECK (swiper_id <> swiped_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_swipes_swiper_created ON public.swipes(swiper_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_swipes_swiped_direction ON public.swipes(swiped_id, direction);
+
+CREATE TRIGGER set_swipes_updated_at
+  BEFORE UPDATE ON public.swipes
+  FOR EACH ROW
+  EXECUTE PROCEDURE public.handle_updated_at();
+
+ALTER TABLE public.swipes ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own swipes; swipes are written by the server only
+CREATE POLICY "Users can view their own swipes"
+  ON public.swipes
+  FOR SELECT
+  USING (auth.uid() = swiper_id);
+
+COMMENT ON TABLE public.swipes IS 'Likes and passes, one per swiper and person; written by record_swipe only';
+
+-- Carry over likes and passes stored in matches. Both people in a match
+-- liked each other.
+INSERT INTO public.swipes (swiper_id, swiped_id, direction, venue_id, created_at)
+SELECT m.user_id_1, m.user_id_2,
+  CASE WHEN m.status = 'passed' THEN 'dislike' ELSE 'like' END,
+  m.venue_id, m.created_at
+FROM public.matches m
+WHERE m.user_id_1 <> m.user_id_2
+  AND m.status IN ('liked', 'passed', 'matched')
+ON CONFLICT (swiper_id, swiped_id) DO NOTHING;
+
+INSERT INTO public.swipes (swiper_id, swiped_id, direction, venue_id, created_at)
+SELECT m.user_id_2, m.user_id_1, 'like', m.venue_id, COALESCE(m.matched_at, m.created_at)
+FROM public.matches m
+WHERE m.user_id_1 <> m.user_id_2
+  AND m.status = 'matched'
+ON CONFLICT (swiper_id, swiped_id) DO NOTHING;
+
+INSERT INTO public.swipes (swiper_id, swiped_id, direction, created_at)
+SELECT l.user_id, l.liked_user_id, 'like', COALESCE(l.created_at, NOW())
+FROM public.user_likes l
+WHERE l.user_id <> l.liked_user_id
+ON CONFLICT (swiper_id, swiped_id) DO NOTHING;
+
+INSERT INTO public.swipes (swiper_id, swiped_id, direction, created_at)
+SELECT d.user_id, d.disliked_user_id, 'dislike', COALESCE(d.created_at, NOW())
+FROM public.user_dislikes d
+WHERE d.user_id <> d.disliked_user_id
+ON CONFLICT (swiper_id, swiped_id) DO NOTHING;
+
+-- matches now only holds actual matches, one row per pair
+DELETE FROM public.matches WHERE status IN ('liked', 'passed');
+
+-- Keep one row per pair: the active match if there is one, else the oldest
+DELETE FROM public.matches m
+USING public.matches other
+WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(other.user_id_1, other.user_id_2)
+  AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(other.user_id_1, other.user_id_2)
+  AND m.id <> other.id
+  AND (other.status <> 'matched', other.created_at, other.id) < (m.status <> 'matched', m.created_at, m.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_unique_pair
+  ON public.matches (LEAST(user_id_1, user_id_2), GREATEST(user_id_1, user_id_2));
+
+-- Likes, passes and matches can no longer be written from the browser
+DROP POLICY IF EXISTS "Users can create their own matches" ON public.matches;
+DROP POLICY IF EXISTS "Users can update their own matches" ON public.matches;
+DROP POLICY IF EXISTS "System can insert matches" ON public.matches;
+DROP POLICY IF EXISTS "matches_insert_policy" ON public.matches;
+DROP POLICY IF EXISTS "matches_update_policy" ON public.matches;
+DROP POLICY IF EXISTS "Users can insert their own likes" ON public.user_likes;
+DROP POLICY IF EXISTS "Users can delete their own likes" ON public.user_likes;
+DROP POLICY IF EXISTS "Users can insert their own dislikes" ON public.user_dislikes;
+DROP POLICY IF EXISTS "Users can delete their own dislikes" ON public.user_dislikes;
+
+-- Record a swipe and, when both people have liked each other, create the
+-- match and its conversation. Swipes between the same two people are
+-- serialized, so a mutual like creates exactly one match.
+CREATE OR REPLACE FUNCTION public.record_swipe(
+  swiper_id UUID,
+  swiped_id UUID,
+  direction TEXT,
+  venue_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  swipe_id UUID,
+  match_id UUID,
+  conversation_id UUID,
+  match_venue_id UUID,
+  is_new_match BOOLEAN
+) AS $$
+#variable_conflict use_variable
+DECLARE
+  v_swipe_id UUID;
+  v_match_id UUID;
+  v_match_status TEXT;
+  v_match_venue_id UUID;
+  v_conversation_id UUID;
+  v_is_new_match BOOLEAN := false;
+BEGIN
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(LEAST(swiper_id, swiped_id)::TEXT || GREATEST(swiper_id, swiped_id)::TEXT, 0)
+  );
+
+  INSERT INTO public.swipes AS s (swiper_id, swiped_id, direction, venue_id)
+  VALUES (swiper_id, swiped_id, direction, venue_id)
+  ON CONFLICT ON CONSTRAINT unique_swipe DO UPDATE
+    SET direction = EXCLUDED.direction,
+        venue_id = COALESCE(EXCLUDED.venue_id, s.venue_id),
+        created_at = NOW()
+  RETURNING s.id INTO v_swipe_id;
+
+  IF direction = 'like' AND EXISTS (
+    SELECT 1 FROM public.swipes back
+    WHERE back.swiper_id = swiped_id
+      AND back.swiped_id = swiper_id
+      AND back.direction = 'like'
+  ) THEN
+    SELECT m.id, m.status, m.venue_id INTO v_match_id, v_match_status, v_match_venue_id
+    FROM public.matches m
+    WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(swiper_id, swiped_id)
+      AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(swiper_id, swiped_id);
+
+    IF v_match_id IS NULL THEN
+      -- The venue where either of them liked the other
+      v_match_venue_id := COALESCE(venue_id, (
+        SELECT back.venue_id FROM public.swipes back
+        WHERE back.swiper_id = swiped_id AND back.swiped_id = swiper_id
+      ));
+
+      INSERT INTO public.matches (user_id_1, user_id_2, venue_id, status, matched_at)
+      VALUES (swiped_id, swiper_id, v_match_venue_id, 'matched', NOW())
+      RETURNING id INTO v_match_id;
+
+      v_is_new_match := true;
+    ELSIF v_match_status <> 'matched' THEN
+      -- Only active matches are returned; ended ones are not revived by a swipe
+      v_match_id := NULL;
+      v_match_venue_id := NULL;
+    END IF;
+
+    IF v_match_id IS NOT NULL THEN
+      SELECT c.id INTO v_conversation_id
+      FROM public.conversations c
+      WHERE (c.user_id_1 = swiper_id AND c.user_id_2 = swiped_id)
+         OR (c.user_id_1 = swiped_id AND c.user_id_2 = swiper_id);
+
+      IF v_conversation_id IS NULL THEN
+        INSERT INTO public.conversations (user_id_1, user_id_2, match_id, is_active)
+        VALUES (swiped_id, swiper_id, v_match_id, true)
+        RETURNING id INTO v_conversation_id;
+      ELSIF v_is_new_match THEN
+        UPDATE public.conversations
+        SET match_id = v_match_id, is_active = true
+        WHERE id = v_conversation_id;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN QUERY SELECT v_swipe_id, v_match_id, v_conversation_id, v_match_venue_id, v_is_new_match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.record_swipe IS 'Records a like or pass and creates the match and conversation on a mutual like; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.record_swipe FROM PUBLIC, anon, authenticated;
+
+-- Matching deck candidates now read likes and passes from swipes
+CREATE OR REPLACE FUNCTION public.get_match_candidates(
+  viewer_id UUID,
+  viewer_lat FLOAT DEFAULT NULL,
+  viewer_lng FLOAT DEFAULT NULL,
+  viewer_gender TEXT DEFAULT NULL,
+  viewer_age INTEGER DEFAULT NULL,
+  max_distance_km FLOAT DEFAULT 40,
+  min_age INTEGER DEFAULT 18,
+  max_age INTEGER DEFAULT 65,
+  genders TEXT[] DEFAULT NULL,
+  recent_venue_days INTEGER DEFAULT 7,
+  max_candidates INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+  id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  gender TEXT,
+  interests TEXT[],
+  is_verified BOOLEAN,
+  last_active TIMESTAMPTZ,
+  distance_km FLOAT,
+  present_venue_id UUID,
+  recent_venue_id UUID,
+  shared_event_id UUID,
+  liked_viewer BOOLEAN,
+  accepts_viewer BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH my_check_in AS (
+    SELECT c.venue_id
+    FROM public.venue_check_ins c
+    WHERE c.user_id = viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  present AS (
+    SELECT c.user_id, c.venue_id
+    FROM public.venue_check_ins c
+    JOIN my_check_in mine ON mine.venue_id = c.venue_id
+    WHERE c.user_id <> viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  recent AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, other.venue_id
+    FROM public.venue_check_ins mine
+    JOIN public.venue_check_ins other
+      ON other.venue_id = mine.venue_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND mine.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+      AND other.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+    ORDER BY other.user_id, other.checked_in_at DESC
+  ),
+  events AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, e.id AS event_id
+    FROM public.venue_event_rsvps mine
+    JOIN public.venue_events e ON e.id = mine.event_id
+    JOIN public.venue_event_rsvps other
+      ON other.event_id = mine.event_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND e.is_cancelled = false
+      AND e.ends_at > NOW()
+    ORDER BY other.user_id, e.starts_at
+  ),
+  -- Everyone the viewer has already swiped on or matched with
+  swiped AS (
+    SELECT s.swiped_id AS user_id FROM public.swipes s WHERE s.swiper_id = viewer_id
+    UNION
+    SELECT m.user_id_2 FROM public.matches m WHERE m.user_id_1 = viewer_id
+    UNION
+    SELECT m.user_id_1 FROM public.matches m WHERE m.user_id_2 = viewer_id
+  )
+  SELECT
+    p.id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    p.gender,
+    p.interests,
+    COALESCE(p.is_verified, false),
+    p.last_active,
+    d.km,
+    present.venue_id,
+    recent.venue_id,
+    events.event_id,
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction = 'like'
+    ),
+    (
+      uf.user_id IS NULL
+      OR (
+        (uf.interested_in = 'both'
+          OR (uf.interested_in = 'girls' AND viewer_gender = 'female')
+          OR (uf.interested_in = 'boys' AND viewer_gender = 'male'))
+        AND (viewer_age IS NULL OR viewer_age BETWEEN uf.min_age AND uf.max_age)
+      )
+    )
+  FROM public.profiles p
+  LEFT JOIN present ON present.user_id = p.id
+  LEFT JOIN recent ON recent.user_id = p.id
+  LEFT JOIN events ON events.user_id = p.id
+  LEFT JOIN public.user_filters uf ON uf.user_id = p.id
+  CROSS JOIN LATERAL (
+    SELECT CASE
+      WHEN viewer_lat IS NULL OR viewer_lng IS NULL OR p.location_lat IS NULL OR p.location_lng IS NULL THEN NULL
+      ELSE ST_Distance(
+        ST_SetSRID(ST_MakePoint(viewer_lng, viewer_lat), 4326)::geography,
+        ST_SetSRID(ST_MakePoint(p.location_lng, p.location_lat), 4326)::geography
+      ) / 1000
+    END AS km
+  ) d
+  WHERE p.id <> viewer_id
+    AND NOT EXISTS (SELECT 1 FROM swiped s WHERE s.user_id = p.id)
+    AND (genders IS NULL OR p.gender = ANY(genders))
+    AND EXTRACT(YEAR FROM AGE(p.birth_date)) BETWEEN get_match_candidates.min_age AND get_match_candidates.max_age
+    AND (present.user_id IS NOT NULL OR viewer_lat IS NULL OR d.km <= max_distance_km)
+  ORDER BY (present.user_id IS NOT NULL) DESC, p.last_active DESC NULLS LAST, p.id
+  LIMIT max_candidates;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
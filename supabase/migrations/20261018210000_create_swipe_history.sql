@@ -0,0 +1,162 @@
+-- Migration: create_swipe_history
+-- Created at: 2026-10-18T21:00:00.000Z
+
+-- Every swipe and undo, in order. swipes only holds each person's current
+-- answer; the history is what undo and the second-look queue go by, so they
+-- behave the same on every device.
+CREATE TABLE IF NOT EXISTS public.swipe_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  swiper_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  swiped_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  direction TEXT NOT NULL CHECK (direction IN ('like', 'dislike')),
+  action TEXT NOT NULL CHECK (action IN ('swipe', 'undo')),
+  venue_id UUID REFERENCES public.venues(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_swipe_history_swiper_created ON public.swipe_history(swiper_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_swipe_history_pair ON public.swipe_history(swiper_id, swiped_id);
+
+ALTER TABLE public.swipe_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own swipe history"
+  ON public.swipe_history
+  FOR SELECT
+  USING (auth.uid() = swiper_id);
+
+COMMENT ON TABLE public.swipe_history IS 'Log of swipes and undos; written by triggers on swipes and by undo_swipe';
+
+-- Swipes made so far start the history
+INSERT INTO public.swipe_history (swiper_id, swiped_id, direction, action, venue_id, created_at)
+SELECT s.swiper_id, s.swiped_id, s.direction, 'swipe', s.venue_id, s.created_at
+FROM public.swipes s;
+
+-- Log each new swipe, including a changed answer on someone seen again
+CREATE OR REPLACE FUNCTION public.log_swipe_history()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.swipe_history (swiper_id, swiped_id, direction, action, venue_id, created_at)
+  VALUES (NEW.swiper_id, NEW.swiped_id, NEW.direction, 'swipe', NEW.venue_id, NEW.created_at);
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER log_swipe_history
+  AFTER INSERT OR UPDATE OF direction, created_at ON public.swipes
+  FOR EACH ROW
+  EXECUTE PROCEDURE public.log_swipe_history();
+
+-- Take back a swipe. Uses the same per-pair lock as record_swipe, so a like
+-- can't be removed while the other person's like back is turning it into a
+-- match. Returns the removed swipe, or nothing if it had already changed or
+-- matched.
+CREATE OR REPLACE FUNCTION public.undo_swipe(
+  swiper_id UUID,
+  swipe_id UUID
+)
+RETURNS SETOF public.swipes AS $$
+#variable_conflict use_variable
+DECLARE
+  v_swipe public.swipes%ROWTYPE;
+BEGIN
+  SELECT s.* INTO v_swipe
+  FROM public.swipes s
+  WHERE s.id = swipe_id AND s.swiper_id = swiper_id;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(LEAST(v_swipe.swiper_id, v_swipe.swiped_id)::TEXT || GREATEST(v_swipe.swiper_id, v_swipe.swiped_id)::TEXT, 0)
+  );
+
+  IF v_swipe.direction = 'like' AND EXISTS (
+    SELECT 1 FROM public.matches m
+    WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(v_swipe.swiper_id, v_swipe.swiped_id)
+      AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(v_swipe.swiper_id, v_swipe.swiped_id)
+  ) THEN
+    RETURN;
+  END IF;
+
+  -- Only if it is still the same swipe; a newer one on this person wins
+  DELETE FROM public.swipes s
+  WHERE s.id = v_swipe.id AND s.created_at = v_swipe.created_at;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.swipe_history (swiper_id, swiped_id, direction, action, venue_id)
+  VALUES (v_swipe.swiper_id, v_swipe.swiped_id, v_swipe.direction, 'undo', v_swipe.venue_id);
+
+  RETURN NEXT v_swipe;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.undo_swipe IS 'Removes a swipe unless it has matched or been replaced, and logs the undo; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.undo_swipe FROM PUBLIC, anon, authenticated;
+
+-- People the viewer passed on at least after_days ago, offered once more.
+-- Someone passed on twice doesn't come back again.
+CREATE OR REPLACE FUNCTION public.get_second_look_candidates(
+  viewer_id UUID,
+  after_days INTEGER DEFAULT 14,
+  genders TEXT[] DEFAULT NULL,
+  max_results INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  gender TEXT,
+  interests TEXT[],
+  is_verified BOOLEAN,
+  last_active TIMESTAMPTZ,
+  passed_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    p.id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    p.gender,
+    p.interests,
+    COALESCE(p.is_verified, false),
+    p.last_active,
+    s.created_at
+  FROM public.swipes s
+  JOIN public.profiles p ON p.id = s.swiped_id
+  WHERE s.swiper_id = viewer_id
+    AND s.direction = 'dislike'
+    AND s.created_at < NOW() - make_interval(days => after_days)
+    AND (genders IS NULL OR p.gender = ANY(genders))
+    AND (
+      SELECT COUNT(*) FROM public.swipe_history h
+      WHERE h.swiper_id = viewer_id
+        AND h.swiped_id = s.swiped_id
+        AND h.direction = 'dislike'
+        AND h.action = 'swipe'
+    ) <= 1
+    AND NOT EXISTS (
+      SELECT 1 FROM public.matches m
+      WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(viewer_id, s.swiped_id)
+        AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(viewer_id, s.swiped_id)
+    )
+  ORDER BY s.created_at, p.id
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.get_second_look_candidates IS 'Profiles passed on long enough ago to be shown once more; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.get_second_look_candidates FROM PUBLIC, anon, authenticated;
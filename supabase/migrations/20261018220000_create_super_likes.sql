@@ -0,0 +1,406 @@
+-- Migration: create_super_likes
+-- Created at: 2026-10-18T22:00:00.000Z
+
+-- Daily super like allowances reset at midnight in the user's time zone
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+COMMENT ON COLUMN public.profiles.timezone IS 'IANA time zone, used for daily allowances';
+
+-- Super likes are a third kind of swipe
+ALTER TABLE public.swipes DROP CONSTRAINT IF EXISTS swipes_direction_check;
+ALTER TABLE public.swipes
+  ADD CONSTRAINT swipes_direction_check CHECK (direction IN ('like', 'dislike', 'super_like'));
+
+ALTER TABLE public.swipe_history DROP CONSTRAINT IF EXISTS swipe_history_direction_check;
+ALTER TABLE public.swipe_history
+  ADD CONSTRAINT swipe_history_direction_check CHECK (direction IN ('like', 'dislike', 'super_like'));
+
+-- Super likes used from the daily allowance, per user and local day
+CREATE TABLE IF NOT EXISTS public.super_like_usage (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  local_date DATE NOT NULL,
+  used INTEGER NOT NULL DEFAULT 0 CHECK (used >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, local_date)
+);
+
+-- Purchased super likes that haven't been used yet
+CREATE TABLE IF NOT EXISTS public.super_like_credits (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per pack bought. The row is written before the card is charged,
+-- so a charge that went through but wasn't credited is never lost
+CREATE TABLE IF NOT EXISTS public.super_like_purchases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  purchase_id TEXT NOT NULL,
+  pack TEXT NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  amount_cents INTEGER NOT NULL,
+  currency TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+  payment_id TEXT UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  CONSTRAINT super_like_purchases_user_purchase UNIQUE (user_id, purchase_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_super_like_purchases_user ON public.super_like_purchases(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_super_like_purchases_pending
+  ON public.super_like_purchases(created_at)
+  WHERE status = 'pending';
+
+ALTER TABLE public.super_like_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.super_like_credits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.super_like_purchases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own super like usage"
+  ON public.super_like_usage
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own super like credits"
+  ON public.super_like_credits
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own super like purchases"
+  ON public.super_like_purchases
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE public.super_like_usage IS 'Daily super like allowance used, per local day';
+COMMENT ON TABLE public.super_like_credits IS 'Purchased super likes left; used after the daily allowance';
+COMMENT ON TABLE public.super_like_purchases IS 'Super like packs bought';
+COMMENT ON COLUMN public.super_like_purchases.purchase_id IS 'ID the buying device gave the purchase; unique per user and used to derive the payment idempotency key';
+COMMENT ON COLUMN public.super_like_purchases.status IS 'pending until credited; pending with a payment_id means charged but not credited yet';
+
+-- Mark a paid purchase completed and add its super likes to the buyer's
+-- credits. Only a pending purchase is credited, so crediting the same
+-- purchase twice adds nothing. Returns the buyer's balance.
+CREATE OR REPLACE FUNCTION public.add_super_like_credits(
+  target_purchase_id UUID,
+  payment_id TEXT
+)
+RETURNS INTEGER AS $$
+#variable_conflict use_variable
+DECLARE
+  v_user_id UUID;
+  v_quantity INTEGER;
+  v_balance INTEGER;
+BEGIN
+  UPDATE public.super_like_purchases p
+  SET status = 'completed',
+      payment_id = payment_id,
+      completed_at = NOW()
+  WHERE p.id = target_purchase_id
+    AND p.status = 'pending'
+  RETURNING p.user_id, p.quantity INTO v_user_id, v_quantity;
+
+  IF v_user_id IS NULL THEN
+    SELECT c.balance INTO v_balance
+    FROM public.super_like_purchases p
+    JOIN public.super_like_credits c ON c.user_id = p.user_id
+    WHERE p.id = target_purchase_id;
+
+    RETURN COALESCE(v_balance, 0);
+  END IF;
+
+  INSERT INTO public.super_like_credits AS c (user_id, balance)
+  VALUES (v_user_id, v_quantity)
+  ON CONFLICT ON CONSTRAINT super_like_credits_pkey DO UPDATE
+    SET balance = c.balance + EXCLUDED.balance,
+        updated_at = NOW()
+  RETURNING c.balance INTO v_balance;
+
+  RETURN v_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Send a super like: take one from today's allowance, or else from purchased
+-- credits, and record the swipe, all in one transaction. Raises when the
+-- user has none left.
+CREATE OR REPLACE FUNCTION public.record_super_like(
+  swiper_id UUID,
+  swiped_id UUID,
+  local_date DATE,
+  daily_allowance INTEGER,
+  venue_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  swipe_id UUID,
+  match_id UUID,
+  conversation_id UUID,
+  match_venue_id UUID,
+  is_new_match BOOLEAN,
+  used_from TEXT
+) AS $$
+#variable_conflict use_variable
+DECLARE
+  v_used_from TEXT;
+BEGIN
+  IF daily_allowance > 0 THEN
+    INSERT INTO public.super_like_usage AS u (user_id, local_date, used)
+    VALUES (swiper_id, local_date, 1)
+    ON CONFLICT ON CONSTRAINT super_like_usage_pkey DO UPDATE
+      SET used = u.used + 1,
+          updated_at = NOW()
+      WHERE u.used < daily_allowance
+    RETURNING 'daily' INTO v_used_from;
+  END IF;
+
+  IF v_used_from IS NULL THEN
+    UPDATE public.super_like_credits c
+    SET balance = c.balance - 1, updated_at = NOW()
+    WHERE c.user_id = swiper_id AND c.balance > 0
+    RETURNING 'credit' INTO v_used_from;
+  END IF;
+
+  IF v_used_from IS NULL THEN
+    RAISE EXCEPTION 'No super likes left' USING ERRCODE = 'P0402';
+  END IF;
+
+  RETURN QUERY
+  SELECT r.swipe_id, r.match_id, r.conversation_id, r.match_venue_id, r.is_new_match, v_used_from
+  FROM public.record_swipe(swiper_id, swiped_id, 'super_like', venue_id) r;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.add_super_like_credits IS 'Completes a paid super like purchase and adds its credits; called by the server only';
+COMMENT ON FUNCTION public.record_super_like IS 'Uses one super like from the daily allowance or credits and records the swipe; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.add_super_like_credits FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.record_super_like FROM PUBLIC, anon, authenticated;
+
+-- A super like counts as a like when looking for a mutual match
+CREATE OR REPLACE FUNCTION public.record_swipe(
+  swiper_id UUID,
+  swiped_id UUID,
+  direction TEXT,
+  venue_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  swipe_id UUID,
+  match_id UUID,
+  conversation_id UUID,
+  match_venue_id UUID,
+  is_new_match BOOLEAN
+) AS $$
+#variable_conflict use_variable
+DECLARE
+  v_swipe_id UUID;
+  v_match_id UUID;
+  v_match_status TEXT;
+  v_match_venue_id UUID;
+  v_conversation_id UUID;
+  v_is_new_match BOOLEAN := false;
+BEGIN
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(LEAST(swiper_id, swiped_id)::TEXT || GREATEST(swiper_id, swiped_id)::TEXT, 0)
+  );
+
+  INSERT INTO public.swipes AS s (swiper_id, swiped_id, direction, venue_id)
+  VALUES (swiper_id, swiped_id, direction, venue_id)
+  ON CONFLICT ON CONSTRAINT unique_swipe DO UPDATE
+    SET direction = EXCLUDED.direction,
+        venue_id = COALESCE(EXCLUDED.venue_id, s.venue_id),
+        created_at = NOW()
+  RETURNING s.id INTO v_swipe_id;
+
+  IF direction IN ('like', 'super_like') AND EXISTS (
+    SELECT 1 FROM public.swipes back
+    WHERE back.swiper_id = swiped_id
+      AND back.swiped_id = swiper_id
+      AND back.direction IN ('like', 'super_like')
+  ) THEN
+    SELECT m.id, m.status, m.venue_id INTO v_match_id, v_match_status, v_match_venue_id
+    FROM public.matches m
+    WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(swiper_id, swiped_id)
+      AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(swiper_id, swiped_id);
+
+    IF v_match_id IS NULL THEN
+      -- The venue where either of them liked the other
+      v_match_venue_id := COALESCE(venue_id, (
+        SELECT back.venue_id FROM public.swipes back
+        WHERE back.swiper_id = swiped_id AND back.swiped_id = swiper_id
+      ));
+
+      INSERT INTO public.matches (user_id_1, user_id_2, venue_id, status, matched_at)
+      VALUES (swiped_id, swiper_id, v_match_venue_id, 'matched', NOW())
+      RETURNING id INTO v_match_id;
+
+      v_is_new_match := true;
+    ELSIF v_match_status <> 'matched' THEN
+      -- Only active matches are returned; ended ones are not revived by a swipe
+      v_match_id := NULL;
+      v_match_venue_id := NULL;
+    END IF;
+
+    IF v_match_id IS NOT NULL THEN
+      SELECT c.id INTO v_conversation_id
+      FROM public.conversations c
+      WHERE (c.user_id_1 = swiper_id AND c.user_id_2 = swiped_id)
+         OR (c.user_id_1 = swiped_id AND c.user_id_2 = swiper_id);
+
+      IF v_conversation_id IS NULL THEN
+        INSERT INTO public.conversations (user_id_1, user_id_2, match_id, is_active)
+        VALUES (swiped_id, swiper_id, v_match_id, true)
+        RETURNING id INTO v_conversation_id;
+      ELSIF v_is_new_match THEN
+        UPDATE public.conversations
+        SET match_id = v_match_id, is_active = true
+        WHERE id = v_conversation_id;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN QUERY SELECT v_swipe_id, v_match_id, v_conversation_id, v_match_venue_id, v_is_new_match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The deck pins people who super liked the viewer; the return type changes,
+-- so the function is dropped and created again
+DROP FUNCTION IF EXISTS public.get_match_candidates(UUID, FLOAT, FLOAT, TEXT, INTEGER, FLOAT, INTEGER, INTEGER, TEXT[], INTEGER, INTEGER);
+
+CREATE FUNCTION public.get_match_candidates(
+  viewer_id UUID,
+  viewer_lat FLOAT DEFAULT NULL,
+  viewer_lng FLOAT DEFAULT NULL,
+  viewer_gender TEXT DEFAULT NULL,
+  viewer_age INTEGER DEFAULT NULL,
+  max_distance_km FLOAT DEFAULT 40,
+  min_age INTEGER DEFAULT 18,
+  max_age INTEGER DEFAULT 65,
+  genders TEXT[] DEFAULT NULL,
+  recent_venue_days INTEGER DEFAULT 7,
+  max_candidates INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+  id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  gender TEXT,
+  interests TEXT[],
+  is_verified BOOLEAN,
+  last_active TIMESTAMPTZ,
+  distance_km FLOAT,
+  present_venue_id UUID,
+  recent_venue_id UUID,
+  shared_event_id UUID,
+  liked_viewer BOOLEAN,
+  super_liked_viewer BOOLEAN,
+  accepts_viewer BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH my_check_in AS (
+    SELECT c.venue_id
+    FROM public.venue_check_ins c
+    WHERE c.user_id = viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  present AS (
+    SELECT c.user_id, c.venue_id
+    FROM public.venue_check_ins c
+    JOIN my_check_in mine ON mine.venue_id = c.venue_id
+    WHERE c.user_id <> viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  recent AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, other.venue_id
+    FROM public.venue_check_ins mine
+    JOIN public.venue_check_ins other
+      ON other.venue_id = mine.venue_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND mine.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+      AND other.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+    ORDER BY other.user_id, other.checked_in_at DESC
+  ),
+  events AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, e.id AS event_id
+    FROM public.venue_event_rsvps mine
+    JOIN public.venue_events e ON e.id = mine.event_id
+    JOIN public.venue_event_rsvps other
+      ON other.event_id = mine.event_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND e.is_cancelled = false
+      AND e.ends_at > NOW()
+    ORDER BY other.user_id, e.starts_at
+  ),
+  -- Everyone the viewer has already swiped on or matched with
+  swiped AS (
+    SELECT s.swiped_id AS user_id FROM public.swipes s WHERE s.swiper_id = viewer_id
+    UNION
+    SELECT m.user_id_2 FROM public.matches m WHERE m.user_id_1 = viewer_id
+    UNION
+    SELECT m.user_id_1 FROM public.matches m WHERE m.user_id_2 = viewer_id
+  )
+  SELECT
+    p.id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    p.gender,
+    p.interests,
+    COALESCE(p.is_verified, false),
+    p.last_active,
+    d.km,
+    present.venue_id,
+    recent.venue_id,
+    events.event_id,
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction IN ('like', 'super_like')
+    ),
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction = 'super_like'
+    ),
+    (
+      uf.user_id IS NULL
+      OR (
+        (uf.interested_in = 'both'
+          OR (uf.interested_in = 'girls' AND viewer_gender = 'female')
+          OR (uf.interested_in = 'boys' AND viewer_gender = 'male'))
+        AND (viewer_age IS NULL OR viewer_age BETWEEN uf.min_age AND uf.max_age)
+      )
+    )
+  FROM public.profiles p
+  LEFT JOIN present ON present.user_id = p.id
+  LEFT JOIN recent ON recent.user_id = p.id
+  LEFT JOIN events ON events.user_id = p.id
+  LEFT JOIN public.user_filters uf ON uf.user_id = p.id
+  CROSS JOIN LATERAL (
+    SELECT CASE
+      WHEN viewer_lat IS NULL OR viewer_lng IS NULL OR p.location_lat IS NULL OR p.location_lng IS NULL THEN NULL
+      ELSE ST_Distance(
+        ST_SetSRID(ST_MakePoint(viewer_lng, viewer_lat), 4326)::geography,
+        ST_SetSRID(ST_MakePoint(p.location_lng, p.location_lat), 4326)::geography
+      ) / 1000
+    END AS km
+  ) d
+  WHERE p.id <> viewer_id
+    AND NOT EXISTS (SELECT 1 FROM swiped s WHERE s.user_id = p.id)
+    AND (genders IS NULL OR p.gender = ANY(genders))
+    AND EXTRACT(YEAR FROM AGE(p.birth_date)) BETWEEN get_match_candidates.min_age AND get_match_candidates.max_age
+    AND (present.user_id IS NOT NULL OR viewer_lat IS NULL OR d.km <= max_distance_km)
+  ORDER BY (present.user_id IS NOT NULL) DESC, p.last_active DESC NULLS LAST, p.id
+  LIMIT max_candidates;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.get_match_candidates IS 'Matching deck candidates for a viewer after their saved filters, with ranking signals; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.get_match_candidates FROM PUBLIC, anon, authenticated;
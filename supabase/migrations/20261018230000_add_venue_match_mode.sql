@@ -0,0 +1,164 @@
+-- Migration: add_venue_match_mode
+-- Created at: 2026-10-18T23:00:00.000Z
+
+-- "Match at this venue": get_match_candidates can be limited to people who are
+-- checked in at a venue, or were there in the last few hours. The viewer's
+-- own check-in there is checked by the server. The signature and return type
+-- change, so the function is dropped and created again.
+DROP FUNCTION IF EXISTS public.get_match_candidates(UUID, FLOAT, FLOAT, TEXT, INTEGER, FLOAT, INTEGER, INTEGER, TEXT[], INTEGER, INTEGER);
+
+CREATE FUNCTION public.get_match_candidates(
+  viewer_id UUID,
+  viewer_lat FLOAT DEFAULT NULL,
+  viewer_lng FLOAT DEFAULT NULL,
+  viewer_gender TEXT DEFAULT NULL,
+  viewer_age INTEGER DEFAULT NULL,
+  max_distance_km FLOAT DEFAULT 40,
+  min_age INTEGER DEFAULT 18,
+  max_age INTEGER DEFAULT 65,
+  genders TEXT[] DEFAULT NULL,
+  recent_venue_days INTEGER DEFAULT 7,
+  max_candidates INTEGER DEFAULT 500,
+  at_venue_id UUID DEFAULT NULL,
+  venue_recent_hours INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+  id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  gender TEXT,
+  interests TEXT[],
+  is_verified BOOLEAN,
+  last_active TIMESTAMPTZ,
+  distance_km FLOAT,
+  present_venue_id UUID,
+  recent_venue_id UUID,
+  shared_event_id UUID,
+  last_seen_at_venue TIMESTAMPTZ,
+  liked_viewer BOOLEAN,
+  super_liked_viewer BOOLEAN,
+  accepts_viewer BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH my_check_in AS (
+    SELECT c.venue_id
+    FROM public.venue_check_ins c
+    WHERE c.user_id = viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  present AS (
+    SELECT c.user_id, c.venue_id
+    FROM public.venue_check_ins c
+    JOIN my_check_in mine ON mine.venue_id = c.venue_id
+    WHERE c.user_id <> viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  -- In venue mode: everyone at at_venue_id now or within venue_recent_hours,
+  -- with when they were last there
+  seen_here AS (
+    SELECT c.user_id, MAX(LEAST(COALESCE(c.checked_out_at, c.expires_at), NOW())) AS seen_at
+    FROM public.venue_check_ins c
+    WHERE at_venue_id IS NOT NULL
+      AND c.venue_id = at_venue_id
+      AND c.user_id <> viewer_id
+      AND COALESCE(c.checked_out_at, c.expires_at) > NOW() - make_interval(hours => venue_recent_hours)
+    GROUP BY c.user_id
+  ),
+  recent AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, other.venue_id
+    FROM public.venue_check_ins mine
+    JOIN public.venue_check_ins other
+      ON other.venue_id = mine.venue_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND mine.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+      AND other.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+    ORDER BY other.user_id, other.checked_in_at DESC
+  ),
+  events AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, e.id AS event_id
+    FROM public.venue_event_rsvps mine
+    JOIN public.venue_events e ON e.id = mine.event_id
+    JOIN public.venue_event_rsvps other
+      ON other.event_id = mine.event_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND e.is_cancelled = false
+      AND e.ends_at > NOW()
+    ORDER BY other.user_id, e.starts_at
+  ),
+  -- Everyone the viewer has already swiped on or matched with
+  swiped AS (
+    SELECT s.swiped_id AS user_id FROM public.swipes s WHERE s.swiper_id = viewer_id
+    UNION
+    SELECT m.user_id_2 FROM public.matches m WHERE m.user_id_1 = viewer_id
+    UNION
+    SELECT m.user_id_1 FROM public.matches m WHERE m.user_id_2 = viewer_id
+  )
+  SELECT
+    p.id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    p.gender,
+    p.interests,
+    COALESCE(p.is_verified, false),
+    p.last_active,
+    d.km,
+    present.venue_id,
+    recent.venue_id,
+    events.event_id,
+    seen_here.seen_at,
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction IN ('like', 'super_like')
+    ),
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction = 'super_like'
+    ),
+    (
+      uf.user_id IS NULL
+      OR (
+        (uf.interested_in = 'both'
+          OR (uf.interested_in = 'girls' AND viewer_gender = 'female')
+          OR (uf.interested_in = 'boys' AND viewer_gender = 'male'))
+        AND (viewer_age IS NULL OR viewer_age BETWEEN uf.min_age AND uf.max_age)
+      )
+    )
+  FROM public.profiles p
+  LEFT JOIN present ON present.user_id = p.id
+  LEFT JOIN recent ON recent.user_id = p.id
+  LEFT JOIN events ON events.user_id = p.id
+  LEFT JOIN seen_here ON seen_here.user_id = p.id
+  LEFT JOIN public.user_filters uf ON uf.user_id = p.id
+  CROSS JOIN LATERAL (
+    SELECT CASE
+      WHEN viewer_lat IS NULL OR viewer_lng IS NULL OR p.location_lat IS NULL OR p.location_lng IS NULL THEN NULL
+      ELSE ST_Distance(
+        ST_SetSRID(ST_MakePoint(viewer_lng, viewer_lat), 4326)::geography,
+        ST_SetSRID(ST_MakePoint(p.location_lng, p.location_lat), 4326)::geography
+      ) / 1000
+    END AS km
+  ) d
+  WHERE p.id <> viewer_id
+    AND NOT EXISTS (SELECT 1 FROM swiped s WHERE s.user_id = p.id)
+    AND (genders IS NULL OR p.gender = ANY(genders))
+    AND EXTRACT(YEAR FROM AGE(p.birth_date)) BETWEEN get_match_candidates.min_age AND get_match_candidates.max_age
+    AND (at_venue_id IS NULL OR seen_here.user_id IS NOT NULL)
+    -- Distance doesn't matter for people at the same venue
+    AND (present.user_id IS NOT NULL OR at_venue_id IS NOT NULL OR viewer_lat IS NULL OR d.km <= max_distance_km)
+  ORDER BY (present.user_id IS NOT NULL) DESC, p.last_active DESC NULLS LAST, p.id
+  LIMIT max_candidates;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.get_match_candidates IS 'Matching deck candidates for a viewer after their saved filters, with ranking signals, optionally limited to one venue; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.get_match_candidates FROM PUBLIC, anon, authenticated;
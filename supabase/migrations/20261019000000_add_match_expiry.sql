@@ -0,0 +1,179 @@
+-- Migration: add_match_expiry
+-- Created at: 2026-10-19T00:00:00.000Z
+
+-- Matches expire if nobody sends a message in time
+ALTER TABLE public.matches DROP CONSTRAINT IF EXISTS matches_status_check;
+ALTER TABLE public.matches
+  ADD CONSTRAINT matches_status_check
+  CHECK (status IN ('pending', 'matched', 'disliked', 'unmatched', 'expired'));
+
+COMMENT ON CONSTRAINT matches_status_check ON public.matches IS 'Ensures status is one of: pending, matched, disliked, unmatched, expired';
+
+-- expires_at is cleared by the first message; a paid user can push it back once
+ALTER TABLE public.matches
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS extended_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS extended_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS expiry_reminder_sent_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_matches_expires_at
+  ON public.matches(expires_at)
+  WHERE status = 'matched' AND expires_at IS NOT NULL;
+
+COMMENT ON COLUMN public.matches.expires_at IS 'When the match expires unless someone sends a message; NULL once the conversation has started';
+COMMENT ON COLUMN public.matches.extended_by IS 'User who used their one extension on this match';
+
+-- Every status a match has been in, and who moved it there
+CREATE TABLE IF NOT EXISTS public.match_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  match_id UUID NOT NULL REFERENCES public.matches(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_status_history_match ON public.match_status_history(match_id, created_at);
+
+ALTER TABLE public.match_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view the history of their own matches"
+  ON public.match_status_history
+  FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.matches m
+      WHERE m.id = match_id
+        AND (m.user_id_1 = auth.uid() OR m.user_id_2 = auth.uid())
+    )
+  );
+
+COMMENT ON TABLE public.match_status_history IS 'Status changes on matches; written by a trigger on matches';
+
+-- Matches so far start the history
+INSERT INTO public.match_status_history (match_id, from_status, to_status, created_at)
+SELECT m.id, NULL, m.status, COALESCE(m.matched_at, m.created_at)
+FROM public.matches m;
+
+-- Log status changes. Server functions say who made the change and why with
+-- set_config('app.match_actor_id', ...) and set_config('app.match_status_reason', ...).
+CREATE OR REPLACE FUNCTION public.log_match_status_history()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.match_status_history (match_id, from_status, to_status, changed_by, reason)
+  VALUES (
+    NEW.id,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+    NEW.status,
+    NULLIF(current_setting('app.match_actor_id', true), '')::UUID,
+    NULLIF(current_setting('app.match_status_reason', true), '')
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER log_match_status_history
+  AFTER INSERT OR UPDATE OF status ON public.matches
+  FOR EACH ROW
+  EXECUTE PROCEDURE public.log_match_status_history();
+
+-- Matches that haven't started talking get a fresh window from now
+UPDATE public.matches m
+SET expires_at = NOW() + INTERVAL '72 hours'
+WHERE m.status = 'matched'
+  AND m.expires_at IS NULL
+  AND NOT EXISTS (
+    SELECT 1
+    FROM public.conversations c
+    JOIN public.messages msg ON msg.conversation_id = c.id
+    WHERE LEAST(c.user_id_1, c.user_id_2) = LEAST(m.user_id_1, m.user_id_2)
+      AND GREATEST(c.user_id_1, c.user_id_2) = GREATEST(m.user_id_1, m.user_id_2)
+  );
+
+-- The first message in a conversation stops its match from expiring
+CREATE OR REPLACE FUNCTION public.clear_match_expiry_on_message()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE public.matches m
+  SET expires_at = NULL
+  FROM public.conversations c
+  WHERE c.id = NEW.conversation_id
+    AND LEAST(m.user_id_1, m.user_id_2) = LEAST(c.user_id_1, c.user_id_2)
+    AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(c.user_id_1, c.user_id_2)
+    AND m.status = 'matched'
+    AND m.expires_at IS NOT NULL;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER clear_match_expiry_on_message
+  AFTER INSERT ON public.messages
+  FOR EACH ROW
+  EXECUTE PROCEDURE public.clear_match_expiry_on_message();
+
+-- Expire matches whose time is up and close their conversations. Returns the
+-- expired matches.
+CREATE OR REPLACE FUNCTION public.expire_matches()
+RETURNS SETOF public.matches AS $$
+BEGIN
+  PERFORM set_config('app.match_status_reason', 'expired', true);
+
+  RETURN QUERY
+  WITH expired AS (
+    UPDATE public.matches m
+    SET status = 'expired', expired_at = NOW()
+    WHERE m.status = 'matched'
+      AND m.expires_at IS NOT NULL
+      AND m.expires_at <= NOW()
+    RETURNING m.*
+  ),
+  closed AS (
+    UPDATE public.conversations c
+    SET is_active = false
+    FROM expired e
+    WHERE LEAST(c.user_id_1, c.user_id_2) = LEAST(e.user_id_1, e.user_id_2)
+      AND GREATEST(c.user_id_1, c.user_id_2) = GREATEST(e.user_id_1, e.user_id_2)
+    RETURNING c.id
+  )
+  SELECT e.* FROM expired e;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Give a match more time. Each match can only be extended once, and only
+-- while it is still waiting for a first message.
+CREATE OR REPLACE FUNCTION public.extend_match(
+  match_id UUID,
+  user_id UUID,
+  extra_hours INTEGER
+)
+RETURNS SETOF public.matches AS $$
+#variable_conflict use_variable
+BEGIN
+  RETURN QUERY
+  UPDATE public.matches m
+  SET expires_at = m.expires_at + make_interval(hours => extra_hours),
+      extended_at = NOW(),
+      extended_by = user_id,
+      expiry_reminder_sent_at = NULL
+  WHERE m.id = match_id
+    AND (m.user_id_1 = user_id OR m.user_id_2 = user_id)
+    AND m.status = 'matched'
+    AND m.expires_at > NOW()
+    AND m.extended_at IS NULL
+  RETURNING m.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.expire_matches IS 'Expires matches past expires_at and closes their conversations; called by the scheduled match job';
+COMMENT ON FUNCTION public.extend_match IS 'Extends a waiting match once; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.expire_matches FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.extend_match FROM PUBLIC, anon, authenticated;
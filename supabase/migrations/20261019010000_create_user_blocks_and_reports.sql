@@ -0,0 +1,390 @@
+-- Migration: create_user_blocks_and_reports
+-- Created at: 2026-10-19T01:00:00.000Z
+
+-- A block hides both people from each other everywhere: the deck, matches,
+-- conversations and venue presence
+CREATE TABLE IF NOT EXISTS public.user_blocks (
+  blocker_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON public.user_blocks(blocked_id);
+
+-- Reports waiting for a moderator. `evidence` keeps a copy of the reported
+-- messages so they can still be reviewed if they are later removed.
+CREATE TABLE IF NOT EXISTS public.user_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  reported_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL
+    CHECK (reason IN ('spam', 'harassment', 'inappropriate_content', 'fake_profile', 'underage', 'scam', 'other')),
+  details TEXT,
+  message_ids UUID[] NOT NULL DEFAULT '{}',
+  evidence JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'reviewing', 'actioned', 'dismissed')),
+  reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  resolution_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (reporter_id <> reported_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_reports_queue
+  ON public.user_reports(created_at)
+  WHERE status IN ('open', 'reviewing');
+CREATE INDEX IF NOT EXISTS idx_user_reports_reported ON public.user_reports(reported_id, created_at DESC);
+
+ALTER TABLE public.user_blocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view the people they have blocked"
+  ON public.user_blocks
+  FOR SELECT
+  USING (auth.uid() = blocker_id);
+
+CREATE POLICY "Users can view their own reports"
+  ON public.user_reports
+  FOR SELECT
+  USING (auth.uid() = reporter_id);
+
+-- Blocks and reports are written by the server only
+
+CREATE OR REPLACE FUNCTION update_user_reports_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER user_reports_updated_at
+  BEFORE UPDATE ON public.user_reports
+  FOR EACH ROW
+  EXECUTE FUNCTION update_user_reports_updated_at();
+
+COMMENT ON TABLE public.user_blocks IS 'Blocks between users; either direction hides both people from each other';
+COMMENT ON TABLE public.user_reports IS 'User reports for the moderation queue';
+
+-- Whether either of two users has blocked the other
+CREATE OR REPLACE FUNCTION public.is_blocked_between(user_a UUID, user_b UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.user_blocks b
+    WHERE (b.blocker_id = user_a AND b.blocked_id = user_b)
+       OR (b.blocker_id = user_b AND b.blocked_id = user_a)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- The same check against the signed-in user, for row level security. Users
+-- can only ask about themselves, so nobody can probe who blocked whom.
+CREATE OR REPLACE FUNCTION public.is_blocked_with_current_user(other_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT auth.uid() IS NOT NULL AND public.is_blocked_between(auth.uid(), other_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Blocks apply to direct client queries too. These policies are restrictive,
+-- so they narrow whatever the existing policies allow.
+CREATE POLICY "Blocked users are hidden from each other"
+  ON public.profiles
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (NOT public.is_blocked_with_current_user(id));
+
+CREATE POLICY "Blocked users can't see each other's matches"
+  ON public.matches
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (NOT public.is_blocked_with_current_user(user_id_1) AND NOT public.is_blocked_with_current_user(user_id_2));
+
+CREATE POLICY "Blocked users can't see each other's conversations"
+  ON public.conversations
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (NOT public.is_blocked_with_current_user(user_id_1) AND NOT public.is_blocked_with_current_user(user_id_2));
+
+CREATE POLICY "Blocked users can't message each other"
+  ON public.messages
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.conversations c
+      WHERE c.id = conversation_id
+        AND NOT public.is_blocked_with_current_user(c.user_id_1)
+        AND NOT public.is_blocked_with_current_user(c.user_id_2)
+    )
+  );
+
+CREATE POLICY "Blocked users can't see each other's check-ins"
+  ON public.venue_check_ins
+  AS RESTRICTIVE
+  FOR ALL
+  TO authenticated
+  USING (NOT public.is_blocked_with_current_user(user_id));
+
+-- Block someone: end any match between the two, close their conversations and
+-- clear notifications about each other. Returns the block.
+CREATE OR REPLACE FUNCTION public.block_user(blocker_id UUID, blocked_id UUID)
+RETURNS SETOF public.user_blocks AS $$
+#variable_conflict use_variable
+BEGIN
+  INSERT INTO public.user_blocks (blocker_id, blocked_id)
+  VALUES (blocker_id, blocked_id)
+  ON CONFLICT DO NOTHING;
+
+  PERFORM set_config('app.match_actor_id', blocker_id::TEXT, true);
+  PERFORM set_config('app.match_status_reason', 'blocked', true);
+
+  UPDATE public.matches m
+  SET status = 'unmatched', expires_at = NULL
+  WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(blocker_id, blocked_id)
+    AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(blocker_id, blocked_id)
+    AND m.status IN ('pending', 'matched');
+
+  UPDATE public.conversations c
+  SET is_active = false
+  WHERE LEAST(c.user_id_1, c.user_id_2) = LEAST(blocker_id, blocked_id)
+    AND GREATEST(c.user_id_1, c.user_id_2) = GREATEST(blocker_id, blocked_id);
+
+  DELETE FROM public.notifications n
+  WHERE (n.user_id = blocker_id AND n.data->>'user_id' = blocked_id::TEXT)
+     OR (n.user_id = blocked_id AND n.data->>'user_id' = blocker_id::TEXT);
+
+  RETURN QUERY
+  SELECT b.* FROM public.user_blocks b
+  WHERE b.blocker_id = blocker_id AND b.blocked_id = blocked_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.is_blocked_between IS 'Whether either user has blocked the other; called by the server and other functions';
+COMMENT ON FUNCTION public.is_blocked_with_current_user IS 'Whether the signed-in user and another user are blocked either way; used by row level security';
+COMMENT ON FUNCTION public.block_user IS 'Blocks a user and ends everything between the two; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.is_blocked_between FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.block_user FROM PUBLIC, anon, authenticated;
+
+-- Blocked people never appear in the deck
+CREATE OR REPLACE FUNCTION public.get_match_candidates(
+  viewer_id UUID,
+  viewer_lat FLOAT DEFAULT NULL,
+  viewer_lng FLOAT DEFAULT NULL,
+  viewer_gender TEXT DEFAULT NULL,
+  viewer_age INTEGER DEFAULT NULL,
+  max_distance_km FLOAT DEFAULT 40,
+  min_age INTEGER DEFAULT 18,
+  max_age INTEGER DEFAULT 65,
+  genders TEXT[] DEFAULT NULL,
+  recent_venue_days INTEGER DEFAULT 7,
+  max_candidates INTEGER DEFAULT 500,
+  at_venue_id UUID DEFAULT NULL,
+  venue_recent_hours INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+  id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  gender TEXT,
+  interests TEXT[],
+  is_verified BOOLEAN,
+  last_active TIMESTAMPTZ,
+  distance_km FLOAT,
+  present_venue_id UUID,
+  recent_venue_id UUID,
+  shared_event_id UUID,
+  last_seen_at_venue TIMESTAMPTZ,
+  liked_viewer BOOLEAN,
+  super_liked_viewer BOOLEAN,
+  accepts_viewer BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH my_check_in AS (
+    SELECT c.venue_id
+    FROM public.venue_check_ins c
+    WHERE c.user_id = viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  present AS (
+    SELECT c.user_id, c.venue_id
+    FROM public.venue_check_ins c
+    JOIN my_check_in mine ON mine.venue_id = c.venue_id
+    WHERE c.user_id <> viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  -- In venue mode: everyone at at_venue_id now or within venue_recent_hours,
+  -- with when they were last there
+  seen_here AS (
+    SELECT c.user_id, MAX(LEAST(COALESCE(c.checked_out_at, c.expires_at), NOW())) AS seen_at
+    FROM public.venue_check_ins c
+    WHERE at_venue_id IS NOT NULL
+      AND c.venue_id = at_venue_id
+      AND c.user_id <> viewer_id
+      AND COALESCE(c.checked_out_at, c.expires_at) > NOW() - make_interval(hours => venue_recent_hours)
+    GROUP BY c.user_id
+  ),
+  recent AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, other.venue_id
+    FROM public.venue_check_ins mine
+    JOIN public.venue_check_ins other
+      ON other.venue_id = mine.venue_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND mine.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+      AND other.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+    ORDER BY other.user_id, other.checked_in_at DESC
+  ),
+  events AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, e.id AS event_id
+    FROM public.venue_event_rsvps mine
+    JOIN public.venue_events e ON e.id = mine.event_id
+    JOIN public.venue_event_rsvps other
+      ON other.event_id = mine.event_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND e.is_cancelled = false
+      AND e.ends_at > NOW()
+    ORDER BY other.user_id, e.starts_at
+  ),
+  -- Everyone the viewer has already swiped on or matched with
+  swiped AS (
+    SELECT s.swiped_id AS user_id FROM public.swipes s WHERE s.swiper_id = viewer_id
+    UNION
+    SELECT m.user_id_2 FROM public.matches m WHERE m.user_id_1 = viewer_id
+    UNION
+    SELECT m.user_id_1 FROM public.matches m WHERE m.user_id_2 = viewer_id
+  ),
+  -- Everyone the viewer has blocked or been blocked by
+  blocked AS (
+    SELECT b.blocked_id AS user_id FROM public.user_blocks b WHERE b.blocker_id = viewer_id
+    UNION
+    SELECT b.blocker_id FROM public.user_blocks b WHERE b.blocked_id = viewer_id
+  )
+  SELECT
+    p.id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    p.gender,
+    p.interests,
+    COALESCE(p.is_verified, false),
+    p.last_active,
+    d.km,
+    present.venue_id,
+    recent.venue_id,
+    events.event_id,
+    seen_here.seen_at,
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction IN ('like', 'super_like')
+    ),
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction = 'super_like'
+    ),
+    (
+      uf.user_id IS NULL
+      OR (
+        (uf.interested_in = 'both'
+          OR (uf.interested_in = 'girls' AND viewer_gender = 'female')
+          OR (uf.interested_in = 'boys' AND viewer_gender = 'male'))
+        AND (viewer_age IS NULL OR viewer_age BETWEEN uf.min_age AND uf.max_age)
+      )
+    )
+  FROM public.profiles p
+  LEFT JOIN present ON present.user_id = p.id
+  LEFT JOIN recent ON recent.user_id = p.id
+  LEFT JOIN events ON events.user_id = p.id
+  LEFT JOIN seen_here ON seen_here.user_id = p.id
+  LEFT JOIN public.user_filters uf ON uf.user_id = p.id
+  CROSS JOIN LATERAL (
+    SELECT CASE
+      WHEN viewer_lat IS NULL OR viewer_lng IS NULL OR p.location_lat IS NULL OR p.location_lng IS NULL THEN NULL
+      ELSE ST_Distance(
+        ST_SetSRID(ST_MakePoint(viewer_lng, viewer_lat), 4326)::geography,
+        ST_SetSRID(ST_MakePoint(p.location_lng, p.location_lat), 4326)::geography
+      ) / 1000
+    END AS km
+  ) d
+  WHERE p.id <> viewer_id
+    AND NOT EXISTS (SELECT 1 FROM swiped s WHERE s.user_id = p.id)
+    AND NOT EXISTS (SELECT 1 FROM blocked b WHERE b.user_id = p.id)
+    AND (genders IS NULL OR p.gender = ANY(genders))
+    AND EXTRACT(YEAR FROM AGE(p.birth_date)) BETWEEN get_match_candidates.min_age AND get_match_candidates.max_age
+    AND (at_venue_id IS NULL OR seen_here.user_id IS NOT NULL)
+    -- Distance doesn't matter for people at the same venue
+    AND (present.user_id IS NOT NULL OR at_venue_id IS NOT NULL OR viewer_lat IS NULL OR d.km <= max_distance_km)
+  ORDER BY (present.user_id IS NOT NULL) DESC, p.last_active DESC NULLS LAST, p.id
+  LIMIT max_candidates;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Or in the second-look queue
+CREATE OR REPLACE FUNCTION public.get_second_look_candidates(
+  viewer_id UUID,
+  after_days INTEGER DEFAULT 14,
+  genders TEXT[] DEFAULT NULL,
+  max_results INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  gender TEXT,
+  interests TEXT[],
+  is_verified BOOLEAN,
+  last_active TIMESTAMPTZ,
+  passed_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    p.id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    p.gender,
+    p.interests,
+    COALESCE(p.is_verified, false),
+    p.last_active,
+    s.created_at
+  FROM public.swipes s
+  JOIN public.profiles p ON p.id = s.swiped_id
+  WHERE s.swiper_id = viewer_id
+    AND s.direction = 'dislike'
+    AND s.created_at < NOW() - make_interval(days => after_days)
+    AND (genders IS NULL OR p.gender = ANY(genders))
+    AND (
+      SELECT COUNT(*) FROM public.swipe_history h
+      WHERE h.swiper_id = viewer_id
+        AND h.swiped_id = s.swiped_id
+        AND h.direction = 'dislike'
+        AND h.action = 'swipe'
+    ) <= 1
+    AND NOT EXISTS (
+      SELECT 1 FROM public.matches m
+      WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(viewer_id, s.swiped_id)
+        AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(viewer_id, s.swiped_id)
+    )
+    AND NOT public.is_blocked_between(viewer_id, s.swiped_id)
+  ORDER BY s.created_at, p.id
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
@@ -0,0 +1,368 @@
+-- Migration: add_unmatch_cooldown
+-- Created at: 2026-10-19T02:00:00.000Z
+
+-- Who ended a match, why, and when the two can match again. The status
+-- change itself is logged in match_status_history with the same reason.
+ALTER TABLE public.matches
+  ADD COLUMN IF NOT EXISTS unmatched_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS unmatched_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS unmatch_reason TEXT,
+  ADD COLUMN IF NOT EXISTS unmatch_details TEXT,
+  ADD COLUMN IF NOT EXISTS rematch_after TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.matches.unmatch_reason IS 'Reason given by the user who unmatched, for trust and safety review';
+COMMENT ON COLUMN public.matches.rematch_after IS 'End of the cooling-off period after an unmatch; the two can match again after this';
+
+-- End a match: close the conversation, clear unread notifications about it
+-- and forget both swipes, so the two only see each other again once the
+-- cooling-off period is over. Returns the ended match.
+CREATE OR REPLACE FUNCTION public.unmatch(
+  match_id UUID,
+  user_id UUID,
+  reason TEXT,
+  details TEXT DEFAULT NULL,
+  cooldown_days INTEGER DEFAULT 30
+)
+RETURNS SETOF public.matches AS $$
+#variable_conflict use_variable
+DECLARE
+  v_match public.matches%ROWTYPE;
+BEGIN
+  PERFORM set_config('app.match_actor_id', user_id::TEXT, true);
+  PERFORM set_config('app.match_status_reason', reason, true);
+
+  UPDATE public.matches m
+  SET status = 'unmatched',
+      unmatched_at = NOW(),
+      unmatched_by = user_id,
+      unmatch_reason = reason,
+      unmatch_details = details,
+      rematch_after = NOW() + make_interval(days => cooldown_days),
+      expires_at = NULL
+  WHERE m.id = match_id
+    AND (m.user_id_1 = user_id OR m.user_id_2 = user_id)
+    AND m.status = 'matched'
+  RETURNING m.* INTO v_match;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE public.conversations c
+  SET is_active = false
+  WHERE LEAST(c.user_id_1, c.user_id_2) = LEAST(v_match.user_id_1, v_match.user_id_2)
+    AND GREATEST(c.user_id_1, c.user_id_2) = GREATEST(v_match.user_id_1, v_match.user_id_2);
+
+  DELETE FROM public.notifications n
+  WHERE n.read = false
+    AND (
+      n.data->>'match_id' = v_match.id::TEXT
+      OR (n.user_id = v_match.user_id_1 AND n.data->>'user_id' = v_match.user_id_2::TEXT)
+      OR (n.user_id = v_match.user_id_2 AND n.data->>'user_id' = v_match.user_id_1::TEXT)
+    );
+
+  DELETE FROM public.swipes s
+  WHERE (s.swiper_id = v_match.user_id_1 AND s.swiped_id = v_match.user_id_2)
+     OR (s.swiper_id = v_match.user_id_2 AND s.swiped_id = v_match.user_id_1);
+
+  RETURN NEXT v_match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.unmatch IS 'Ends a match and cleans up after it; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.unmatch FROM PUBLIC, anon, authenticated;
+
+-- Closed conversations take no new messages, whichever policy let the
+-- sender in. Restrictive, so it applies on top of the existing insert policy.
+DROP POLICY IF EXISTS "Users can only send messages to active conversations" ON public.messages;
+
+CREATE POLICY "Users can only send messages to active conversations"
+  ON public.messages
+  AS RESTRICTIVE
+  FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.conversations c
+      WHERE c.id = conversation_id
+      AND c.is_active IS NOT FALSE
+    )
+  );
+
+-- A mutual like after the cooling-off period revives the old match
+CREATE OR REPLACE FUNCTION public.record_swipe(
+  swiper_id UUID,
+  swiped_id UUID,
+  direction TEXT,
+  venue_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  swipe_id UUID,
+  match_id UUID,
+  conversation_id UUID,
+  match_venue_id UUID,
+  is_new_match BOOLEAN
+) AS $$
+#variable_conflict use_variable
+DECLARE
+  v_swipe_id UUID;
+  v_match_id UUID;
+  v_match_status TEXT;
+  v_match_venue_id UUID;
+  v_conversation_id UUID;
+  v_is_new_match BOOLEAN := false;
+BEGIN
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(LEAST(swiper_id, swiped_id)::TEXT || GREATEST(swiper_id, swiped_id)::TEXT, 0)
+  );
+
+  INSERT INTO public.swipes AS s (swiper_id, swiped_id, direction, venue_id)
+  VALUES (swiper_id, swiped_id, direction, venue_id)
+  ON CONFLICT ON CONSTRAINT unique_swipe DO UPDATE
+    SET direction = EXCLUDED.direction,
+        venue_id = COALESCE(EXCLUDED.venue_id, s.venue_id),
+        created_at = NOW()
+  RETURNING s.id INTO v_swipe_id;
+
+  IF direction IN ('like', 'super_like') AND EXISTS (
+    SELECT 1 FROM public.swipes back
+    WHERE back.swiper_id = swiped_id
+      AND back.swiped_id = swiper_id
+      AND back.direction IN ('like', 'super_like')
+  ) THEN
+    SELECT m.id, m.status, m.venue_id INTO v_match_id, v_match_status, v_match_venue_id
+    FROM public.matches m
+    WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(swiper_id, swiped_id)
+      AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(swiper_id, swiped_id);
+
+    IF v_match_id IS NULL THEN
+      -- The venue where either of them liked the other
+      v_match_venue_id := COALESCE(venue_id, (
+        SELECT back.venue_id FROM public.swipes back
+        WHERE back.swiper_id = swiped_id AND back.swiped_id = swiper_id
+      ));
+
+      INSERT INTO public.matches (user_id_1, user_id_2, venue_id, status, matched_at)
+      VALUES (swiped_id, swiper_id, v_match_venue_id, 'matched', NOW())
+      RETURNING id INTO v_match_id;
+
+      v_is_new_match := true;
+    ELSIF v_match_status = 'unmatched' AND EXISTS (
+      SELECT 1 FROM public.matches m
+      WHERE m.id = v_match_id AND m.rematch_after IS NOT NULL AND m.rematch_after <= NOW()
+    ) THEN
+      -- Liking each other again after the cooling-off period starts over
+      v_match_venue_id := COALESCE(venue_id, (
+        SELECT back.venue_id FROM public.swipes back
+        WHERE back.swiper_id = swiped_id AND back.swiped_id = swiper_id
+      ));
+
+      PERFORM set_config('app.match_actor_id', swiper_id::TEXT, true);
+      PERFORM set_config('app.match_status_reason', 'rematched', true);
+
+      UPDATE public.matches m
+      SET status = 'matched',
+          venue_id = v_match_venue_id,
+          matched_at = NOW(),
+          unmatched_at = NULL,
+          unmatched_by = NULL,
+          unmatch_reason = NULL,
+          unmatch_details = NULL,
+          rematch_after = NULL,
+          expires_at = NULL,
+          expired_at = NULL,
+          extended_at = NULL,
+          extended_by = NULL,
+          expiry_reminder_sent_at = NULL
+      WHERE m.id = v_match_id;
+
+      v_is_new_match := true;
+    ELSIF v_match_status <> 'matched' THEN
+      -- Only active matches are returned; other ended ones are not revived by a swipe
+      v_match_id := NULL;
+      v_match_venue_id := NULL;
+    END IF;
+
+    IF v_match_id IS NOT NULL THEN
+      SELECT c.id INTO v_conversation_id
+      FROM public.conversations c
+      WHERE (c.user_id_1 = swiper_id AND c.user_id_2 = swiped_id)
+         OR (c.user_id_1 = swiped_id AND c.user_id_2 = swiper_id);
+
+      IF v_conversation_id IS NULL THEN
+        INSERT INTO public.conversations (user_id_1, user_id_2, match_id, is_active)
+        VALUES (swiped_id, swiper_id, v_match_id, true)
+        RETURNING id INTO v_conversation_id;
+      ELSIF v_is_new_match THEN
+        UPDATE public.conversations
+        SET match_id = v_match_id, is_active = true
+        WHERE id = v_conversation_id;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN QUERY SELECT v_swipe_id, v_match_id, v_conversation_id, v_match_venue_id, v_is_new_match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- People come back to the deck once the cooling-off period is over
+CREATE OR REPLACE FUNCTION public.get_match_candidates(
+  viewer_id UUID,
+  viewer_lat FLOAT DEFAULT NULL,
+  viewer_lng FLOAT DEFAULT NULL,
+  viewer_gender TEXT DEFAULT NULL,
+  viewer_age INTEGER DEFAULT NULL,
+  max_distance_km FLOAT DEFAULT 40,
+  min_age INTEGER DEFAULT 18,
+  max_age INTEGER DEFAULT 65,
+  genders TEXT[] DEFAULT NULL,
+  recent_venue_days INTEGER DEFAULT 7,
+  max_candidates INTEGER DEFAULT 500,
+  at_venue_id UUID DEFAULT NULL,
+  venue_recent_hours INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+  id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  gender TEXT,
+  interests TEXT[],
+  is_verified BOOLEAN,
+  last_active TIMESTAMPTZ,
+  distance_km FLOAT,
+  present_venue_id UUID,
+  recent_venue_id UUID,
+  shared_event_id UUID,
+  last_seen_at_venue TIMESTAMPTZ,
+  liked_viewer BOOLEAN,
+  super_liked_viewer BOOLEAN,
+  accepts_viewer BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH my_check_in AS (
+    SELECT c.venue_id
+    FROM public.venue_check_ins c
+    WHERE c.user_id = viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  present AS (
+    SELECT c.user_id, c.venue_id
+    FROM public.venue_check_ins c
+    JOIN my_check_in mine ON mine.venue_id = c.venue_id
+    WHERE c.user_id <> viewer_id
+      AND c.checked_out_at IS NULL
+      AND c.expires_at > NOW()
+  ),
+  -- In venue mode: everyone at at_venue_id now or within venue_recent_hours,
+  -- with when they were last there
+  seen_here AS (
+    SELECT c.user_id, MAX(LEAST(COALESCE(c.checked_out_at, c.expires_at), NOW())) AS seen_at
+    FROM public.venue_check_ins c
+    WHERE at_venue_id IS NOT NULL
+      AND c.venue_id = at_venue_id
+      AND c.user_id <> viewer_id
+      AND COALESCE(c.checked_out_at, c.expires_at) > NOW() - make_interval(hours => venue_recent_hours)
+    GROUP BY c.user_id
+  ),
+  recent AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, other.venue_id
+    FROM public.venue_check_ins mine
+    JOIN public.venue_check_ins other
+      ON other.venue_id = mine.venue_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND mine.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+      AND other.checked_in_at > NOW() - make_interval(days => recent_venue_days)
+    ORDER BY other.user_id, other.checked_in_at DESC
+  ),
+  events AS (
+    SELECT DISTINCT ON (other.user_id) other.user_id, e.id AS event_id
+    FROM public.venue_event_rsvps mine
+    JOIN public.venue_events e ON e.id = mine.event_id
+    JOIN public.venue_event_rsvps other
+      ON other.event_id = mine.event_id AND other.user_id <> mine.user_id
+    WHERE mine.user_id = viewer_id
+      AND e.is_cancelled = false
+      AND e.ends_at > NOW()
+    ORDER BY other.user_id, e.starts_at
+  ),
+  -- Everyone the viewer has already swiped on or matched with, except people
+  -- they unmatched whose cooling-off period is over
+  swiped AS (
+    SELECT s.swiped_id AS user_id FROM public.swipes s WHERE s.swiper_id = viewer_id
+    UNION
+    SELECT CASE WHEN m.user_id_1 = viewer_id THEN m.user_id_2 ELSE m.user_id_1 END
+    FROM public.matches m
+    WHERE (m.user_id_1 = viewer_id OR m.user_id_2 = viewer_id)
+      AND NOT (m.status = 'unmatched' AND m.rematch_after IS NOT NULL AND m.rematch_after <= NOW())
+  ),
+  -- Everyone the viewer has blocked or been blocked by
+  blocked AS (
+    SELECT b.blocked_id AS user_id FROM public.user_blocks b WHERE b.blocker_id = viewer_id
+    UNION
+    SELECT b.blocker_id FROM public.user_blocks b WHERE b.blocked_id = viewer_id
+  )
+  SELECT
+    p.id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    p.gender,
+    p.interests,
+    COALESCE(p.is_verified, false),
+    p.last_active,
+    d.km,
+    present.venue_id,
+    recent.venue_id,
+    events.event_id,
+    seen_here.seen_at,
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction IN ('like', 'super_like')
+    ),
+    EXISTS (
+      SELECT 1 FROM public.swipes l
+      WHERE l.swiper_id = p.id AND l.swiped_id = viewer_id AND l.direction = 'super_like'
+    ),
+    (
+      uf.user_id IS NULL
+      OR (
+        (uf.interested_in = 'both'
+          OR (uf.interested_in = 'girls' AND viewer_gender = 'female')
+          OR (uf.interested_in = 'boys' AND viewer_gender = 'male'))
+        AND (viewer_age IS NULL OR viewer_age BETWEEN uf.min_age AND uf.max_age)
+      )
+    )
+  FROM public.profiles p
+  LEFT JOIN present ON present.user_id = p.id
+  LEFT JOIN recent ON recent.user_id = p.id
+  LEFT JOIN events ON events.user_id = p.id
+  LEFT JOIN seen_here ON seen_here.user_id = p.id
+  LEFT JOIN public.user_filters uf ON uf.user_id = p.id
+  CROSS JOIN LATERAL (
+    SELECT CASE
+      WHEN viewer_lat IS NULL OR viewer_lng IS NULL OR p.location_lat IS NULL OR p.location_lng IS NULL THEN NULL
+      ELSE ST_Distance(
+        ST_SetSRID(ST_MakePoint(viewer_lng, viewer_lat), 4326)::geography,
+        ST_SetSRID(ST_MakePoint(p.location_lng, p.location_lat), 4326)::geography
+      ) / 1000
+    END AS km
+  ) d
+  WHERE p.id <> viewer_id
+    AND NOT EXISTS (SELECT 1 FROM swiped s WHERE s.user_id = p.id)
+    AND NOT EXISTS (SELECT 1 FROM blocked b WHERE b.user_id = p.id)
+    AND (genders IS NULL OR p.gender = ANY(genders))
+    AND EXTRACT(YEAR FROM AGE(p.birth_date)) BETWEEN get_match_candidates.min_age AND get_match_candidates.max_age
+    AND (at_venue_id IS NULL OR seen_here.user_id IS NOT NULL)
+    -- Distance doesn't matter for people at the same venue
+    AND (present.user_id IS NOT NULL OR at_venue_id IS NOT NULL OR viewer_lat IS NULL OR d.km <= max_distance_km)
+  ORDER BY (present.user_id IS NOT NULL) DESC, p.last_active DESC NULLS LAST, p.id
+  LIMIT max_candidates;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
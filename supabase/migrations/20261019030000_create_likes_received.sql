@@ -0,0 +1,83 @@
+-- Migration: create_likes_received
+-- Created at: 2026-10-19T03:00:00.000Z
+
+-- Likes and super likes a user has received but not answered yet: they
+-- haven't swiped on the person, aren't matched with them and haven't blocked
+-- each other
+CREATE OR REPLACE FUNCTION public.likes_received(viewer_id UUID)
+RETURNS SETOF public.swipes AS $$
+  SELECT s.*
+  FROM public.swipes s
+  WHERE s.swiped_id = viewer_id
+    AND s.direction IN ('like', 'super_like')
+    AND NOT EXISTS (
+      SELECT 1 FROM public.swipes mine
+      WHERE mine.swiper_id = viewer_id AND mine.swiped_id = s.swiper_id
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM public.matches m
+      WHERE LEAST(m.user_id_1, m.user_id_2) = LEAST(viewer_id, s.swiper_id)
+        AND GREATEST(m.user_id_1, m.user_id_2) = GREATEST(viewer_id, s.swiper_id)
+        AND m.status = 'matched'
+    )
+    AND NOT public.is_blocked_between(viewer_id, s.swiper_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- A page of likes received, newest first, with who sent them. Pages continue
+-- after (before_at, before_id) from the last row of the previous page.
+CREATE OR REPLACE FUNCTION public.get_likes_received(
+  viewer_id UUID,
+  before_at TIMESTAMPTZ DEFAULT NULL,
+  before_id UUID DEFAULT NULL,
+  max_results INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  swipe_id UUID,
+  user_id UUID,
+  direction TEXT,
+  liked_at TIMESTAMPTZ,
+  venue_id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT,
+  bio TEXT,
+  age_years INTEGER,
+  is_verified BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    l.id,
+    l.swiper_id,
+    l.direction,
+    l.created_at,
+    l.venue_id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url,
+    p.bio,
+    EXTRACT(YEAR FROM AGE(p.birth_date))::INTEGER,
+    COALESCE(p.is_verified, false)
+  FROM public.likes_received(viewer_id) l
+  JOIN public.profiles p ON p.id = l.swiper_id
+  WHERE before_at IS NULL
+    OR l.created_at < before_at
+    OR (l.created_at = before_at AND l.id < before_id)
+  ORDER BY l.created_at DESC, l.id DESC
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- How many likes are waiting, for the badge
+CREATE OR REPLACE FUNCTION public.count_likes_received(viewer_id UUID)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER FROM public.likes_received(viewer_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.likes_received IS 'Likes a user has received and not answered; used by get_likes_received and count_likes_received';
+COMMENT ON FUNCTION public.get_likes_received IS 'A page of likes received with the senders'' profiles; called by the server only';
+COMMENT ON FUNCTION public.count_likes_received IS 'Number of likes waiting for an answer; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.likes_received FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_likes_received FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.count_likes_received FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,77 @@
+-- Migration: create_swipe_limits
+-- Created at: 2026-10-19T04:00:00.000Z
+
+-- Likes used from the daily quota, per user and local day. Undoing a like
+-- doesn't give it back.
+CREATE TABLE IF NOT EXISTS public.swipe_usage (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  local_date DATE NOT NULL,
+  likes INTEGER NOT NULL DEFAULT 0 CHECK (likes >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, local_date)
+);
+
+-- Accounts held back after their swiping looked automated
+CREATE TABLE IF NOT EXISTS public.swipe_throttles (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL CHECK (reason IN ('burst', 'uniform_timing')),
+  details JSONB NOT NULL DEFAULT '{}',
+  throttled_until TIMESTAMPTZ NOT NULL,
+  flagged_count INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.swipe_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.swipe_throttles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own swipe usage"
+  ON public.swipe_usage
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own swipe throttle"
+  ON public.swipe_throttles
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE public.swipe_usage IS 'Daily like quota used, per local day';
+COMMENT ON TABLE public.swipe_throttles IS 'Swiping paused after velocity checks flagged the account; written by the server only';
+
+-- Automatic checks file reports too, with no reporter
+ALTER TABLE public.user_reports ALTER COLUMN reporter_id DROP NOT NULL;
+
+COMMENT ON COLUMN public.user_reports.reporter_id IS 'User who filed the report; NULL when an automatic check raised it';
+
+-- Use one like from today's quota. Returns the number used so far today, or
+-- NULL when the quota is already used up. The row lock keeps parallel
+-- requests from going over.
+CREATE OR REPLACE FUNCTION public.use_swipe_quota(
+  user_id UUID,
+  local_date DATE,
+  daily_quota INTEGER
+)
+RETURNS INTEGER AS $$
+#variable_conflict use_variable
+DECLARE
+  used INTEGER;
+BEGIN
+  IF daily_quota <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.swipe_usage AS u (user_id, local_date, likes)
+  VALUES (user_id, local_date, 1)
+  ON CONFLICT ON CONSTRAINT swipe_usage_pkey DO UPDATE
+    SET likes = u.likes + 1,
+        updated_at = NOW()
+    WHERE u.likes < daily_quota
+  RETURNING u.likes INTO used;
+
+  RETURN used;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.use_swipe_quota IS 'Count a like against the daily quota; NULL when none are left. Called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.use_swipe_quota FROM PUBLIC, anon, authenticated;
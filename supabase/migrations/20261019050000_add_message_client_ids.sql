@@ -0,0 +1,13 @@
+-- Migration: add_message_client_ids
+-- Created at: 2026-10-19T05:00:00.000Z
+
+-- Clients give each message they send an ID of their own, so a message
+-- retried after a dropped connection is only stored once
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS client_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sender_client_id
+  ON public.messages(sender_id, client_id)
+  WHERE client_id IS NOT NULL;
+
+COMMENT ON COLUMN public.messages.client_id IS 'ID the sending device gave the message; unique per sender';
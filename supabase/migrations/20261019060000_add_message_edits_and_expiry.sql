@@ -0,0 +1,129 @@
+-- Migration: add_message_edits_and_expiry
+-- Created at: 2026-10-19T06:00:00.000Z
+
+-- Edited, unsent and disappearing messages
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.messages.edited_at IS 'When the sender last edited the message';
+COMMENT ON COLUMN public.messages.deleted_at IS 'When the sender unsent the message; the row stays as a tombstone with its content cleared';
+COMMENT ON COLUMN public.messages.expires_at IS 'When a disappearing message is purged';
+
+CREATE INDEX IF NOT EXISTS idx_messages_expires_at
+  ON public.messages(expires_at)
+  WHERE expires_at IS NOT NULL;
+
+-- Disappearing message timer, in seconds. NULL means messages stay.
+ALTER TABLE public.conversations
+  ADD COLUMN IF NOT EXISTS disappearing_after_seconds INTEGER
+    CHECK (disappearing_after_seconds IS NULL OR disappearing_after_seconds > 0);
+
+COMMENT ON COLUMN public.conversations.disappearing_after_seconds IS 'Messages sent while set are purged this many seconds after sending';
+
+-- What a message said before each edit, and what it said when it was
+-- unsent, kept for moderation
+CREATE TABLE IF NOT EXISTS public.message_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES public.messages(id) ON DELETE CASCADE,
+  conversation_id UUID NOT NULL REFERENCES public.conversations(id) ON DELETE CASCADE,
+  editor_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  action TEXT NOT NULL CHECK (action IN ('edit', 'unsend')),
+  previous_content TEXT NOT NULL,
+  previous_attachment_url TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON public.message_edits(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_edits_conversation_id ON public.message_edits(conversation_id);
+
+-- Only moderators see edit history, through the server
+ALTER TABLE public.message_edits ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.message_edits IS 'Earlier versions of edited and unsent messages, for moderation; written and read by the server only';
+
+-- Disappearing messages are hidden as soon as they expire, even before the
+-- purge gets to them
+DROP POLICY IF EXISTS "Users can view messages in their conversations" ON public.messages;
+
+CREATE POLICY "Users can view messages in their conversations"
+  ON public.messages
+  FOR SELECT
+  USING (
+    (expires_at IS NULL OR expires_at > NOW()) AND
+    EXISTS (
+      SELECT 1 FROM public.conversations c
+      WHERE c.id = conversation_id
+      AND (c.user_id_1 = auth.uid() OR c.user_id_2 = auth.uid())
+    )
+  );
+
+-- Stamp new messages with their expiry when the conversation has a timer
+CREATE OR REPLACE FUNCTION public.set_message_expiry()
+RETURNS TRIGGER AS $$
+DECLARE
+  timer INTEGER;
+BEGIN
+  SELECT c.disappearing_after_seconds INTO timer
+  FROM public.conversations c
+  WHERE c.id = NEW.conversation_id;
+
+  IF timer IS NOT NULL THEN
+    NEW.expires_at := NEW.created_at + make_interval(secs => timer);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_message_expiry ON public.messages;
+
+CREATE TRIGGER set_message_expiry
+  BEFORE INSERT ON public.messages
+  FOR EACH ROW
+  EXECUTE PROCEDURE public.set_message_expiry();
+
+-- Delete expired messages and clear the conversation preview when it showed
+-- one of them. Returns the deleted messages so their files can be removed.
+CREATE OR REPLACE FUNCTION public.purge_expired_messages(max_messages INTEGER DEFAULT 1000)
+RETURNS TABLE (
+  id UUID,
+  conversation_id UUID,
+  created_at TIMESTAMPTZ,
+  metadata JSONB
+) AS $$
+#variable_conflict use_variable
+BEGIN
+  RETURN QUERY
+  WITH expired AS (
+    SELECT m.id
+    FROM public.messages m
+    WHERE m.expires_at <= NOW()
+    ORDER BY m.expires_at
+    LIMIT max_messages
+  ),
+  deleted AS (
+    DELETE FROM public.messages m
+    USING expired
+    WHERE m.id = expired.id
+    RETURNING m.id, m.conversation_id, m.created_at, m.metadata
+  ),
+  cleared AS (
+    UPDATE public.conversations c
+    SET last_message_text = NULL
+    FROM (
+      SELECT d.conversation_id, MAX(d.created_at) AS newest
+      FROM deleted d
+      GROUP BY d.conversation_id
+    ) purged
+    WHERE c.id = purged.conversation_id
+      AND c.last_message_at <= purged.newest
+  )
+  SELECT d.id, d.conversation_id, d.created_at, d.metadata FROM deleted d;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.purge_expired_messages IS 'Delete disappearing messages whose time is up. Called by the scheduled message tasks only';
+
+REVOKE EXECUTE ON FUNCTION public.purge_expired_messages FROM PUBLIC, anon, authenticated;
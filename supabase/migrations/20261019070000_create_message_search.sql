@@ -0,0 +1,102 @@
+-- Migration: create_message_search
+-- Created at: 2026-10-19T07:00:00.000Z
+
+-- Full-text index over message text. The "simple" configuration only
+-- lowercases words, without stemming or stop words, so search behaves the
+-- same whatever language people write in.
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('simple', coalesce(content, ''))) STORED;
+
+COMMENT ON COLUMN public.messages.search_vector IS 'Words in the message, for search';
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector
+  ON public.messages USING GIN (search_vector);
+
+-- A page of messages matching a search, best matches first, from the
+-- viewer's active conversations. Unsent and expired messages, and
+-- conversations with someone either person has blocked, are left out.
+-- Pages continue after (before_rank, before_at, before_id) from the last row
+-- of the previous page.
+CREATE OR REPLACE FUNCTION public.search_messages(
+  viewer_id UUID,
+  search_query TEXT,
+  in_conversation UUID DEFAULT NULL,
+  before_rank NUMERIC DEFAULT NULL,
+  before_at TIMESTAMPTZ DEFAULT NULL,
+  before_id UUID DEFAULT NULL,
+  max_results INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  id UUID,
+  conversation_id UUID,
+  sender_id UUID,
+  message_type TEXT,
+  content TEXT,
+  attachment_url TEXT,
+  created_at TIMESTAMPTZ,
+  edited_at TIMESTAMPTZ,
+  rank NUMERIC,
+  partner_id UUID,
+  display_name TEXT,
+  full_name TEXT,
+  avatar_url TEXT
+) AS $$
+#variable_conflict use_variable
+DECLARE
+  query TSQUERY := to_tsquery('simple', search_query);
+BEGIN
+  RETURN QUERY
+  WITH hits AS (
+    SELECT
+      m.id,
+      m.conversation_id,
+      m.sender_id,
+      m.message_type,
+      m.content,
+      m.attachment_url,
+      m.created_at,
+      m.edited_at,
+      -- Rounded so the cursor can repeat it exactly
+      ROUND(ts_rank_cd(m.search_vector, query)::NUMERIC, 6) AS rank,
+      CASE WHEN c.user_id_1 = viewer_id THEN c.user_id_2 ELSE c.user_id_1 END AS partner_id
+    FROM public.messages m
+    JOIN public.conversations c ON c.id = m.conversation_id
+    WHERE (c.user_id_1 = viewer_id OR c.user_id_2 = viewer_id)
+      AND c.is_active
+      AND (in_conversation IS NULL OR c.id = in_conversation)
+      AND m.search_vector @@ query
+      AND m.deleted_at IS NULL
+      AND (m.expires_at IS NULL OR m.expires_at > NOW())
+  )
+  SELECT
+    h.id,
+    h.conversation_id,
+    h.sender_id,
+    h.message_type,
+    h.content,
+    h.attachment_url,
+    h.created_at,
+    h.edited_at,
+    h.rank,
+    h.partner_id,
+    p.display_name,
+    p.full_name,
+    p.avatar_url
+  FROM hits h
+  LEFT JOIN public.profiles p ON p.id = h.partner_id
+  WHERE NOT public.is_blocked_between(viewer_id, h.partner_id)
+    AND (
+      before_rank IS NULL
+      OR h.rank < before_rank
+      OR (h.rank = before_rank AND h.created_at < before_at)
+      OR (h.rank = before_rank AND h.created_at = before_at AND h.id < before_id)
+    )
+  ORDER BY h.rank DESC, h.created_at DESC, h.id DESC
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.search_messages IS 'A page of ranked message search results with the other person''s profile; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.search_messages FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,346 @@
+-- Migration: move_venue_search_filters_into_sql
+-- Created at: 2026-10-19T08:00:00.000Z
+
+-- Venue search used to pull a capped candidate set and filter, count, sort
+-- and page it in the API, so totals, facets and cursors stopped at the cap.
+-- Everything now happens here over the full set of matching venues.
+
+-- Minutes after midnight for an "HH:MM" time, or NULL if it isn't one
+CREATE OR REPLACE FUNCTION public.venue_hours_minutes(time_of_day TEXT)
+RETURNS INTEGER AS $$
+  SELECT CASE
+    WHEN btrim(time_of_day) ~ '^\d{1,2}:\d{2}$'
+      AND split_part(btrim(time_of_day), ':', 1)::INTEGER * 60
+        + split_part(btrim(time_of_day), ':', 2)::INTEGER <= 1440
+    THEN split_part(btrim(time_of_day), ':', 1)::INTEGER * 60
+      + split_part(btrim(time_of_day), ':', 2)::INTEGER
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether a venue is open at a moment, read the same way as getOpenStatus in
+-- src/utils/opening-hours.js: date exceptions win over the weekly hours, and
+-- spans from the day before can run past midnight. NULL when the venue has no
+-- hours or no time zone Postgres knows.
+CREATE OR REPLACE FUNCTION public.venue_is_open(
+  opening_hours JSONB,
+  hours_exceptions JSONB,
+  venue_timezone TEXT,
+  as_of TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  weekly JSONB := CASE WHEN jsonb_typeof(opening_hours) = 'object' THEN opening_hours ELSE '{}'::jsonb END;
+  exceptions JSONB := CASE WHEN jsonb_typeof(hours_exceptions) = 'object' THEN hours_exceptions ELSE '{}'::jsonb END;
+  local_at TIMESTAMP;
+  local_minute INTEGER;
+  day_offset INTEGER;
+  day_date DATE;
+  day_key TEXT;
+  day_hours JSONB;
+  span JSONB;
+  open_minute INTEGER;
+  close_minute INTEGER;
+BEGIN
+  IF weekly = '{}'::jsonb AND exceptions = '{}'::jsonb THEN
+    RETURN NULL;
+  END IF;
+
+  IF venue_timezone IS NULL OR btrim(venue_timezone) = '' THEN
+    RETURN NULL;
+  END IF;
+
+  BEGIN
+    local_at := as_of AT TIME ZONE venue_timezone;
+  EXCEPTION WHEN invalid_parameter_value THEN
+    RETURN NULL;
+  END;
+
+  local_minute := EXTRACT(HOUR FROM local_at)::INTEGER * 60 + EXTRACT(MINUTE FROM local_at)::INTEGER;
+
+  FOR day_offset IN -1..1 LOOP
+    day_date := local_at::DATE + day_offset;
+    day_key := to_char(day_date, 'YYYY-MM-DD');
+    day_hours := CASE
+      WHEN exceptions ? day_key THEN exceptions -> day_key
+      ELSE weekly -> to_char(day_date, 'FMday')
+    END;
+
+    CONTINUE WHEN day_hours IS NULL
+      OR jsonb_typeof(day_hours) = 'null'
+      OR day_hours @> '{"closed": true}'::jsonb;
+
+    FOR span IN
+      SELECT value FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(day_hours) = 'array' THEN day_hours ELSE jsonb_build_array(day_hours) END
+      )
+    LOOP
+      IF jsonb_typeof(span) = 'string' THEN
+        open_minute := public.venue_hours_minutes(split_part(span #>> '{}', '-', 1));
+        close_minute := public.venue_hours_minutes(split_part(span #>> '{}', '-', 2));
+      ELSIF jsonb_typeof(span) = 'object' THEN
+        open_minute := public.venue_hours_minutes(span ->> 'open');
+        close_minute := public.venue_hours_minutes(span ->> 'close');
+      ELSE
+        CONTINUE;
+      END IF;
+
+      CONTINUE WHEN open_minute IS NULL OR close_minute IS NULL;
+
+      IF close_minute <= open_minute THEN
+        close_minute := close_minute + 1440;
+      END IF;
+
+      IF local_minute >= open_minute + day_offset * 1440
+        AND local_minute < close_minute + day_offset * 1440 THEN
+        RETURN TRUE;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Active venues matching the text query and radius, before facet filters.
+-- Words are matched as prefixes so partial input ("smug cov") still finds
+-- results. default_timezone is used for open_now at venues without a zone.
+CREATE OR REPLACE FUNCTION public.venue_search_candidates(
+  search_query TEXT DEFAULT NULL,
+  user_lat FLOAT DEFAULT NULL,
+  user_lng FLOAT DEFAULT NULL,
+  radius_km FLOAT DEFAULT NULL,
+  default_timezone TEXT DEFAULT NULL,
+  as_of TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  description TEXT,
+  address TEXT,
+  city TEXT,
+  category TEXT,
+  tags TEXT[],
+  price_level INTEGER,
+  rating FLOAT,
+  images TEXT[],
+  opening_hours JSONB,
+  hours_exceptions JSONB,
+  timezone TEXT,
+  lat FLOAT,
+  lng FLOAT,
+  is_verified BOOLEAN,
+  rank REAL,
+  distance_km FLOAT,
+  open_now BOOLEAN
+) AS $$
+DECLARE
+  prefix_query TSQUERY;
+  user_point GEOGRAPHY;
+BEGIN
+  IF search_query IS NOT NULL AND btrim(search_query) <> '' THEN
+    SELECT to_tsquery('simple', string_agg(word || ':*', ' & '))
+    INTO prefix_query
+    FROM (
+      SELECT regexp_replace(lower(token), '[^[:alnum:]]', '', 'g') AS word
+      FROM regexp_split_to_table(btrim(search_query), '\s+') AS token
+    ) words
+    WHERE word <> '';
+  END IF;
+
+  IF user_lat IS NOT NULL AND user_lng IS NOT NULL THEN
+    user_point := ST_SetSRID(ST_MakePoint(user_lng, user_lat), 4326)::geography;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    v.id,
+    v.name,
+    v.description,
+    v.address,
+    v.city,
+    v.category,
+    v.tags,
+    v.price_level,
+    v.rating,
+    v.images,
+    v.opening_hours,
+    v.hours_exceptions,
+    v.timezone,
+    v.lat,
+    v.lng,
+    v.is_verified,
+    CASE WHEN prefix_query IS NULL THEN 0::REAL
+         ELSE ts_rank_cd(v.search_vector, prefix_query) END,
+    CASE WHEN user_point IS NULL THEN NULL
+         ELSE ST_Distance(user_point, v.location) / 1000 END,
+    public.venue_is_open(v.opening_hours, v.hours_exceptions, COALESCE(v.timezone, default_timezone), as_of)
+  FROM public.venues v
+  WHERE v.is_active = true
+    AND (prefix_query IS NULL OR v.search_vector @@ prefix_query)
+    AND (
+      user_point IS NULL OR radius_km IS NULL
+      OR ST_DWithin(user_point, v.location, radius_km * 1000)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- One page of search results. Each facet filter is a list of accepted values
+-- (NULL or empty for any). Rows are ordered by sort_key then id, and pages
+-- continue after (after_key, after_id) from the last row of the previous
+-- page. Keys are rounded so the cursor can repeat them exactly; venues
+-- without a distance sort last.
+DROP FUNCTION IF EXISTS public.search_venues(TEXT, FLOAT, FLOAT, FLOAT, INTEGER);
+
+CREATE OR REPLACE FUNCTION public.search_venues(
+  search_query TEXT DEFAULT NULL,
+  user_lat FLOAT DEFAULT NULL,
+  user_lng FLOAT DEFAULT NULL,
+  radius_km FLOAT DEFAULT NULL,
+  categories TEXT[] DEFAULT NULL,
+  cities TEXT[] DEFAULT NULL,
+  price_levels INTEGER[] DEFAULT NULL,
+  only_open BOOLEAN DEFAULT NULL,
+  sort_by TEXT DEFAULT 'relevance',
+  after_key NUMERIC[] DEFAULT NULL,
+  after_id UUID DEFAULT NULL,
+  max_results INTEGER DEFAULT 20,
+  default_timezone TEXT DEFAULT NULL,
+  as_of TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  description TEXT,
+  address TEXT,
+  city TEXT,
+  category TEXT,
+  tags TEXT[],
+  price_level INTEGER,
+  rating FLOAT,
+  images TEXT[],
+  opening_hours JSONB,
+  hours_exceptions JSONB,
+  timezone TEXT,
+  lat FLOAT,
+  lng FLOAT,
+  is_verified BOOLEAN,
+  rank REAL,
+  distance_km FLOAT,
+  sort_key NUMERIC[]
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH matches AS (
+    SELECT
+      c.*,
+      CASE sort_by
+        WHEN 'distance' THEN ARRAY[COALESCE(ROUND(c.distance_km::NUMERIC, 6), 1e9)]
+        WHEN 'rating' THEN ARRAY[
+          -COALESCE(ROUND(c.rating::NUMERIC, 6), 0),
+          COALESCE(ROUND(c.distance_km::NUMERIC, 6), 1e9)
+        ]
+        ELSE ARRAY[
+          -ROUND(c.rank::NUMERIC, 6),
+          COALESCE(ROUND(c.distance_km::NUMERIC, 6), 1e9)
+        ]
+      END AS sort_position
+    FROM public.venue_search_candidates(search_query, user_lat, user_lng, radius_km, default_timezone, as_of) c
+    WHERE (COALESCE(cardinality(categories), 0) = 0 OR c.category = ANY(categories))
+      AND (COALESCE(cardinality(cities), 0) = 0 OR c.city = ANY(cities))
+      AND (COALESCE(cardinality(price_levels), 0) = 0 OR c.price_level = ANY(price_levels))
+      AND (only_open IS NULL OR c.open_now IS NOT DISTINCT FROM only_open)
+  )
+  SELECT
+    m.id,
+    m.name,
+    m.description,
+    m.address,
+    m.city,
+    m.category,
+    m.tags,
+    m.price_level,
+    m.rating,
+    m.images,
+    m.opening_hours,
+    m.hours_exceptions,
+    m.timezone,
+    m.lat,
+    m.lng,
+    m.is_verified,
+    m.rank,
+    m.distance_km,
+    m.sort_position
+  FROM matches m
+  WHERE after_key IS NULL OR (m.sort_position, m.id) > (after_key, after_id)
+  ORDER BY m.sort_position, m.id
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Facet counts for a search. Each facet is counted with every other filter
+-- applied but not its own, so users can see what switching a value would give
+-- them. A row with facet 'total' counts the venues matching every filter.
+CREATE OR REPLACE FUNCTION public.search_venue_facets(
+  search_query TEXT DEFAULT NULL,
+  user_lat FLOAT DEFAULT NULL,
+  user_lng FLOAT DEFAULT NULL,
+  radius_km FLOAT DEFAULT NULL,
+  categories TEXT[] DEFAULT NULL,
+  cities TEXT[] DEFAULT NULL,
+  price_levels INTEGER[] DEFAULT NULL,
+  only_open BOOLEAN DEFAULT NULL,
+  default_timezone TEXT DEFAULT NULL,
+  as_of TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS TABLE (
+  facet TEXT,
+  value TEXT,
+  venue_count BIGINT
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH matches AS (
+    SELECT
+      c.category,
+      c.city,
+      c.price_level,
+      c.open_now,
+      COALESCE(cardinality(categories), 0) = 0 OR c.category = ANY(categories) AS category_ok,
+      COALESCE(cardinality(cities), 0) = 0 OR c.city = ANY(cities) AS city_ok,
+      COALESCE(cardinality(price_levels), 0) = 0 OR c.price_level = ANY(price_levels) AS price_ok,
+      only_open IS NULL OR c.open_now IS NOT DISTINCT FROM only_open AS open_ok
+    FROM public.venue_search_candidates(search_query, user_lat, user_lng, radius_km, default_timezone, as_of) c
+  )
+  SELECT 'category', m.category, COUNT(*)
+  FROM matches m
+  WHERE m.city_ok AND m.price_ok AND m.open_ok AND COALESCE(m.category, '') <> ''
+  GROUP BY m.category
+
+  UNION ALL
+
+  SELECT 'city', m.city, COUNT(*)
+  FROM matches m
+  WHERE m.category_ok AND m.price_ok AND m.open_ok AND COALESCE(m.city, '') <> ''
+  GROUP BY m.city
+
+  UNION ALL
+
+  SELECT 'price_level', m.price_level::TEXT, COUNT(*)
+  FROM matches m
+  WHERE m.category_ok AND m.city_ok AND m.open_ok AND m.price_level IS NOT NULL
+  GROUP BY m.price_level
+
+  UNION ALL
+
+  SELECT 'open_now', m.open_now::TEXT, COUNT(*)
+  FROM matches m
+  WHERE m.category_ok AND m.city_ok AND m.price_ok AND m.open_now IS NOT NULL
+  GROUP BY m.open_now
+
+  UNION ALL
+
+  SELECT 'total', NULL, COUNT(*)
+  FROM matches m
+  WHERE m.category_ok AND m.city_ok AND m.price_ok AND m.open_ok;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
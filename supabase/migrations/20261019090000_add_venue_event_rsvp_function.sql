@@ -0,0 +1,81 @@
+-- Migration: add_venue_event_rsvp_function
+-- Created at: 2026-10-19T09:00:00.000Z
+
+-- RSVP to an event, or change an existing RSVP, in one step. The event row
+-- is locked while the places are counted, so RSVPs to the same event take
+-- turns and two people can't both take the last place.
+CREATE OR REPLACE FUNCTION public.rsvp_to_event(
+  target_event_id UUID,
+  target_user_id UUID,
+  rsvp_status TEXT DEFAULT 'going'
+)
+RETURNS public.venue_event_rsvps AS $$
+DECLARE
+  event public.venue_events%ROWTYPE;
+  going_count INTEGER;
+  rsvp public.venue_event_rsvps%ROWTYPE;
+BEGIN
+  SELECT * INTO event
+  FROM public.venue_events e
+  WHERE e.id = target_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR event.is_cancelled OR event.ends_at <= NOW() THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0404';
+  END IF;
+
+  IF rsvp_status = 'going' AND event.capacity IS NOT NULL THEN
+    SELECT COUNT(*) INTO going_count
+    FROM public.venue_event_rsvps r
+    WHERE r.event_id = target_event_id
+      AND r.status = 'going'
+      AND r.user_id <> target_user_id;
+
+    IF going_count >= event.capacity THEN
+      RAISE EXCEPTION 'This event is full' USING ERRCODE = 'P0409';
+    END IF;
+  END IF;
+
+  INSERT INTO public.venue_event_rsvps AS r (event_id, user_id, status)
+  VALUES (target_event_id, target_user_id, rsvp_status)
+  ON CONFLICT (event_id, user_id) DO UPDATE
+    SET status = EXCLUDED.status
+  RETURNING r.* INTO rsvp;
+
+  RETURN rsvp;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION public.rsvp_to_event IS 'RSVPs to an event while holding its capacity; called by the server only';
+
+REVOKE EXECUTE ON FUNCTION public.rsvp_to_event FROM PUBLIC, anon, authenticated;
+
+-- An event's capacity can't be lowered below the people already going. The
+-- update holds the event row, as rsvp_to_event does, so no RSVP can slip in
+-- between the count and the change.
+CREATE OR REPLACE FUNCTION public.check_venue_event_capacity()
+RETURNS TRIGGER AS $$
+DECLARE
+  going_count INTEGER;
+BEGIN
+  IF NEW.capacity IS NOT NULL AND NEW.capacity IS DISTINCT FROM OLD.capacity THEN
+    SELECT COUNT(*) INTO going_count
+    FROM public.venue_event_rsvps r
+    WHERE r.event_id = NEW.id
+      AND r.status = 'going';
+
+    IF going_count > NEW.capacity THEN
+      RAISE EXCEPTION 'capacity can''t be lower than the % people already going', going_count
+        USING ERRCODE = 'P0409';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS venue_events_check_capacity ON public.venue_events;
+CREATE TRIGGER venue_events_check_capacity
+  BEFORE UPDATE OF capacity ON public.venue_events
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_venue_event_capacity();
@@ -19,6 +19,34 @@ const testSuites = {
     'test/exchange-rate-routes.test.js',
     'test/exchange-rate-service.test.js',
     'test/data-id-converter.test.js',
+    'test/geo-utils.test.js',
+    'test/check-ins.test.js',
+    'test/venue-qr-token.test.js',
+    'test/opening-hours.test.js',
+    'test/venue-search.test.js',
+    'test/venue-events.test.js',
+    'test/venue-claim.test.js',
+    'test/venue-owners.test.js',
+    'test/vibe-tags.test.js',
+    'test/venue-reviews.test.js',
+    'test/venue-import.test.js',
+    'test/venue-clusters.test.js',
+    'test/venue-activity.test.js',
+    'test/candidate-ranking.test.js',
+    'test/match-candidates-sql.test.js',
+    'test/matches.test.js',
+    'test/match-expiry.test.js',
+    'test/moderation.test.js',
+    'test/swipe-undo.test.js',
+    'test/swipes.test.js',
+    'test/super-likes.test.js',
+    'test/swipe-limits.test.js',
+    'test/chat-token.test.js',
+    'test/chat-protocol.test.js',
+    'test/media-upload.test.js',
+    'test/message-edits.test.js',
+    'test/message-search.test.js',
+    'test/conversation-export.test.js',
     'test/photo-fetching.test.js'
   ],
   ui: [
@@ -0,0 +1,121 @@
+import { expect } from 'chai';
+import {
+  DEFAULT_CANDIDATE_WEIGHTS,
+  decodeDeckCursor,
+  gendersForPreference,
+  paginateDeck,
+  parseCandidateWeights,
+  rankCandidates,
+  scoreCandidate,
+  sharedInterests
+} from '../src/utils/candidate-ranking.js';
+
+describe('Candidate Ranking Utils', () => {
+  const now = new Date('2026-10-17T22:00:00Z');
+  const viewer = { interests: ['Jazz', 'Hiking', 'Tacos'] };
+
+  describe('filters', () => {
+    it('should map interested_in to genders', () => {
+      expect(gendersForPreference('girls')).to.deep.equal(['female']);
+      expect(gendersForPreference('boys')).to.deep.equal(['male']);
+      expect(gendersForPreference('both')).to.equal(null);
+    });
+
+    it('should parse weight overrides and drop unknown signals', () => {
+      expect(parseCandidateWeights('shared_venue=4, proximity=0,karma=9,recent_activity=x'))
+        .to.deep.equal({ shared_venue: 4, proximity: 0 });
+    });
+  });
+
+  describe('scoreCandidate', () => {
+    it('should find shared interests ignoring case', () => {
+      expect(sharedInterests(['jazz', 'Running', 'tacos'], viewer.interests)).to.deep.equal(['jazz', 'tacos']);
+    });
+
+    it('should combine weighted signals and list the strongest reasons first', () => {
+      const { score, reasons } = scoreCandidate({
+        present_venue_id: 'venue-1',
+        interests: ['jazz'],
+        last_active: now.toISOString(),
+        liked_viewer: true,
+        distance_km: 0
+      }, viewer, { now, maxDistanceKm: 10 });
+
+      const weights = DEFAULT_CANDIDATE_WEIGHTS;
+      expect(score).to.be.closeTo(
+        weights.shared_venue + weights.shared_interests + weights.recent_activity + weights.mutual_like + weights.proximity,
+        1e-6
+      );
+      expect(reasons).to.deep.equal(['shared_venue', 'mutual_like', 'shared_interests', 'recent_activity', 'proximity']);
+    });
+
+    it('should halve recent activity every half-life', () => {
+      const { score } = scoreCandidate(
+        { last_active: new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString() },
+        viewer,
+        { now, weights: { recent_activity: 1 } }
+      );
+
+      expect(score).to.equal(0.5);
+    });
+
+    it('should accept custom signals', () => {
+      const { score, reasons } = scoreCandidate({ is_verified: true }, viewer, {
+        signals: { verified: candidate => (candidate.is_verified ? 1 : 0) },
+        weights: { verified: 2 }
+      });
+
+      expect(score).to.equal(2);
+      expect(reasons).to.deep.equal(['verified']);
+    });
+  });
+
+  describe('rankCandidates and paginateDeck', () => {
+    const candidates = [
+      { id: 'c', distance_km: 9 },
+      { id: 'a', present_venue_id: 'venue-1' },
+      { id: 'b', distance_km: 1 },
+      { id: 'd', distance_km: 9 }
+    ];
+
+    it('should rank by score, then ID', () => {
+      const ranked = rankCandidates(candidates, viewer, { now, maxDistanceKm: 10 });
+      expect(ranked.map(candidate => candidate.id)).to.deep.equal(['a', 'b', 'c', 'd']);
+    });
+
+    it('should page through the deck with cursors', () => {
+      const ranked = rankCandidates(candidates, viewer, { now, maxDistanceKm: 10 });
+      const first = paginateDeck(ranked, { limit: 2, asOf: now });
+
+      expect(first.results.map(candidate => candidate.id)).to.deep.equal(['a', 'b']);
+
+      const after = decodeDeckCursor(first.next_cursor);
+      expect(after.asOf.getTime()).to.equal(now.getTime());
+
+      // Swiped candidates drop out of the pool without shifting later pages
+      const remaining = ranked.filter(candidate => candidate.id !== 'a');
+      const second = paginateDeck(remaining, { after, limit: 2, asOf: now });
+
+      expect(second.results.map(candidate => candidate.id)).to.deep.equal(['c', 'd']);
+      expect(second.next_cursor).to.equal(null);
+    });
+
+    it('should pin people who super liked the viewer above higher scores', () => {
+      const ranked = rankCandidates([...candidates, { id: 'e', distance_km: 9, super_liked_viewer: true }], viewer, {
+        now,
+        maxDistanceKm: 10
+      });
+
+      expect(ranked.map(candidate => candidate.id)).to.deep.equal(['e', 'a', 'b', 'c', 'd']);
+      expect(ranked[0].reasons[0]).to.equal('super_like');
+
+      const first = paginateDeck(ranked, { limit: 1, asOf: now });
+      const second = paginateDeck(ranked, { after: decodeDeckCursor(first.next_cursor), limit: 2, asOf: now });
+      expect(second.results.map(candidate => candidate.id)).to.deep.equal(['a', 'b']);
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeDeckCursor('not-a-cursor')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import {
+  MAX_MESSAGE_LENGTH,
+  errorCodeFor,
+  parseClientFrame,
+  serverFrame
+} from '../src/utils/chat-protocol.js';
+
+describe('Chat Protocol', () => {
+  const conversationId = '5b0a7f4e-8a61-4b5e-9d0a-3f3f7c1c2d11';
+
+  describe('parseClientFrame', () => {
+    it('should parse a send frame and keep only its fields', () => {
+      const raw = JSON.stringify({ type: 'send', conversation_id: conversationId, client_id: 'abc-1', content: 'Hi!', extra: 1 });
+
+      expect(parseClientFrame(raw)).to.deep.equal({
+        frame: { type: 'send', conversation_id: conversationId, client_id: 'abc-1', content: 'Hi!' }
+      });
+    });
+
+    it('should accept frames as buffers', () => {
+      expect(parseClientFrame(Buffer.from('{"type":"ping"}'))).to.deep.equal({ frame: { type: 'ping' } });
+    });
+
+    it('should reject frames that are not JSON objects', () => {
+      expect(parseClientFrame('hello').error.code).to.equal('bad_request');
+      expect(parseClientFrame('[1,2]').error.message).to.equal('Frames must be JSON objects');
+    });
+
+    it('should reject unknown types', () => {
+      expect(parseClientFrame('{"type":"shout"}').error.message).to.match(/^type must be one of/);
+    });
+
+    it('should require each field the type uses', () => {
+      expect(parseClientFrame('{"type":"subscribe"}').error.message).to.equal('conversation_id is required');
+      expect(parseClientFrame(JSON.stringify({ type: 'typing', conversation_id: conversationId, is_typing: 'yes' })).error.message)
+        .to.equal('is_typing must be true or false');
+    });
+
+    it('should return the client_id of a bad send as ref', () => {
+      const raw = JSON.stringify({ type: 'send', conversation_id: conversationId, client_id: 'abc-2', content: '  ' });
+
+      expect(parseClientFrame(raw).error).to.deep.equal({ code: 'bad_request', message: 'content is required', ref: 'abc-2' });
+    });
+
+    it('should reject bad client IDs and overlong messages', () => {
+      const send = { type: 'send', conversation_id: conversationId, client_id: 'abc-3', content: 'x' };
+
+      expect(parseClientFrame(JSON.stringify({ ...send, client_id: 'no spaces' })).error.message).to.match(/^client_id must be/);
+      expect(parseClientFrame(JSON.stringify({ ...send, content: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) })).error.message)
+        .to.match(/at most/);
+    });
+  });
+
+  describe('serverFrame', () => {
+    it('should build a JSON frame', () => {
+      expect(JSON.parse(serverFrame('ack', { client_id: 'abc-1' }))).to.deep.equal({ type: 'ack', client_id: 'abc-1' });
+    });
+  });
+
+  describe('errorCodeFor', () => {
+    it('should map HTTP statuses to error codes', () => {
+      expect(errorCodeFor({ statusCode: 404 })).to.equal('not_found');
+      expect(errorCodeFor({ statusCode: 403 })).to.equal('forbidden');
+      expect(errorCodeFor({ statusCode: 409 })).to.equal('conflict');
+      expect(errorCodeFor(new Error('boom'))).to.equal('server_error');
+    });
+  });
+});
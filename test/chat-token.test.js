@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+import { createChatToken, verifyChatToken } from '../src/utils/chat-token.js';
+
+describe('Chat Tokens', () => {
+  const secret = 'test-secret';
+  const userId = 'user-123';
+  const now = new Date('2026-10-19T05:00:00Z');
+
+  it('should verify a token and return its user', () => {
+    const { token } = createChatToken(userId, secret, { ttlSeconds: 300, now });
+    expect(verifyChatToken(token, secret, { now })).to.deep.equal({ valid: true, reason: null, user_id: userId });
+  });
+
+  it('should be a three-part JWT with an expiry', () => {
+    const { token, expires_at } = createChatToken(userId, secret, { ttlSeconds: 300, now });
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+
+    expect(token.split('.')).to.have.length(3);
+    expect(payload).to.include({ sub: userId, aud: 'chat' });
+    expect(expires_at).to.equal('2026-10-19T05:05:00.000Z');
+  });
+
+  it('should reject a token once it has expired', () => {
+    const { token } = createChatToken(userId, secret, { ttlSeconds: 300, now });
+    const later = new Date(now.getTime() + 300 * 1000);
+    expect(verifyChatToken(token, secret, { now: later }).reason).to.equal('expired');
+  });
+
+  it('should reject a token signed with another secret', () => {
+    const { token } = createChatToken(userId, 'other-secret', { now });
+    expect(verifyChatToken(token, secret, { now }).reason).to.equal('invalid_signature');
+  });
+
+  it('should reject a token whose user was swapped', () => {
+    const { token } = createChatToken(userId, secret, { now });
+    const [header, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const tampered = Buffer.from(JSON.stringify({ ...claims, sub: 'user-456' })).toString('base64url');
+
+    expect(verifyChatToken(`${header}.${tampered}.${signature}`, secret, { now }).reason).to.equal('invalid_signature');
+  });
+
+  it('should reject malformed tokens', () => {
+    expect(verifyChatToken('not-a-token', secret, { now }).reason).to.equal('malformed');
+    expect(verifyChatToken(null, secret, { now }).reason).to.equal('malformed');
+  });
+
+  it('should refuse to create a token without a secret', () => {
+    expect(() => createChatToken(userId, '')).to.throw('not configured');
+  });
+});
@@ -0,0 +1,124 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { supabase } from '../src/utils/supabase.js';
+import { checkInService } from '../src/services/check-in-service.js';
+
+describe('Check-in Service', () => {
+  const VENUE = { id: 'venue-1', name: 'The Local', lat: 37.7749, lng: -122.4194, is_active: true };
+  const AT_VENUE = { lat: 37.7749, lng: -122.4194 };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('checkIn', () => {
+    let writes;
+
+    /**
+     * Stub the venue and the check-ins table
+     * @param {Object} insertResult - Result of inserting the new check-in
+     * @param {Object} active - Check-in found when the active one is read back
+     */
+    function stubTables(insertResult, active = null) {
+      writes = [];
+
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery(calls => {
+        if (table === 'venues') {
+          return { data: VENUE };
+        }
+
+        const write = calls.find(([method]) => method === 'update' || method === 'insert');
+        if (!write) {
+          return { data: active };
+        }
+
+        writes.push(write.slice(0, 2));
+        return write[0] === 'insert' ? insertResult : {};
+      }));
+    }
+
+    it('should need a location at the venue', async () => {
+      stubTables({ data: null });
+
+      const missing = await rejectionOf(checkInService.checkIn('user-1', VENUE.id, {}));
+      const away = await rejectionOf(checkInService.checkIn('user-1', VENUE.id, { lat: 37.8044, lng: -122.2712 }));
+
+      expect(missing.statusCode).to.equal(400);
+      expect(away.statusCode).to.equal(403);
+      expect(away.message).to.equal('You need to be at The Local to check in');
+      expect(writes).to.deep.equal([]);
+    });
+
+    it('should end the check-in elsewhere before starting the new one', async () => {
+      const created = { id: 'check-in-2', venue_id: VENUE.id, method: 'gps' };
+      stubTables({ data: created });
+
+      const checkIn = await checkInService.checkIn('user-1', VENUE.id, AT_VENUE);
+
+      expect(checkIn).to.equal(created);
+      expect(writes.map(([method]) => method)).to.deep.equal(['update', 'insert']);
+      expect(writes[0][1].check_out_reason).to.equal('switched_venue');
+      expect(writes[1][1]).to.include({ user_id: 'user-1', venue_id: VENUE.id, method: 'gps' });
+    });
+
+    it('should return the check-in that won a race to the same venue', async () => {
+      const winner = { id: 'check-in-2', venue_id: VENUE.id, method: 'gps' };
+      stubTables({ error: { code: '23505', message: 'duplicate key value' } }, winner);
+
+      expect(await checkInService.checkIn('user-1', VENUE.id, AT_VENUE)).to.equal(winner);
+    });
+
+    it('should refuse a check-in that lost a race to another venue', async () => {
+      stubTables({ error: { code: '23505', message: 'duplicate key value' } }, { id: 'check-in-2', venue_id: 'venue-2' });
+
+      const error = await rejectionOf(checkInService.checkIn('user-1', VENUE.id, AT_VENUE));
+
+      expect(error.statusCode).to.equal(409);
+    });
+  });
+
+  describe('checkOut', () => {
+    it('should end only the live check-in at that venue', async () => {
+      const query = stubQuery({ data: { id: 'check-in-1', check_out_reason: 'manual' } });
+      sinon.stub(supabase, 'from').returns(query);
+
+      const ended = await checkInService.checkOut('user-1', VENUE.id);
+      const update = query.calls.find(([method]) => method === 'update')[1];
+
+      expect(ended.id).to.equal('check-in-1');
+      expect(update.check_out_reason).to.equal('manual');
+      expect(query.calls).to.deep.include(['eq', 'venue_id', VENUE.id]);
+      expect(query.calls).to.deep.include(['is', 'checked_out_at', null]);
+    });
+
+    it('should end the check-in when a refresh comes from outside the venue', async () => {
+      sinon.stub(checkInService, 'getActiveCheckIn').resolves({ id: 'check-in-1', venue_id: VENUE.id });
+      sinon.stub(supabase, 'from').returns(stubQuery({ data: VENUE }));
+      const checkOut = sinon.stub(checkInService, 'checkOut').resolves({ id: 'check-in-1' });
+
+      const result = await checkInService.refreshCheckIn('user-1', VENUE.id, { lat: 37.8044, lng: -122.2712 });
+
+      expect(result).to.deep.equal({ check_in: { id: 'check-in-1' }, ended: true });
+      expect(checkOut.calledOnceWith('user-1', VENUE.id, 'left_geofence')).to.be.true;
+    });
+  });
+
+  describe('expireCheckIns', () => {
+    it('should close live check-ins past their expiry and count them', async () => {
+      const query = stubQuery({ data: [{ id: 'check-in-1' }, { id: 'check-in-2' }] });
+      sinon.stub(supabase, 'from').returns(query);
+
+      expect(await checkInService.expireCheckIns()).to.equal(2);
+      expect(query.calls.find(([method]) => method === 'update')[1].check_out_reason).to.equal('expired');
+      expect(query.calls.some(([method, column]) => method === 'lte' && column === 'expires_at')).to.be.true;
+      expect(query.calls).to.deep.include(['is', 'checked_out_at', null]);
+    });
+
+    it('should pass on database errors', async () => {
+      sinon.stub(supabase, 'from').returns(stubQuery({ error: { message: 'timeout' } }));
+
+      expect((await rejectionOf(checkInService.expireCheckIns())).message).to.equal('timeout');
+    });
+  });
+});
@@ -0,0 +1,255 @@
+import { stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import puppeteer from 'puppeteer';
+import { supabase } from '../src/utils/supabase.js';
+import {
+  buildTranscriptMarkdown,
+  escapeMarkdown,
+  exportFilename,
+  formatExportTime,
+  locationUrl,
+  storedMediaUrl,
+  toExportMessage
+} from '../src/utils/conversation-export.js';
+import { conversationExportService } from '../src/services/conversation-export-service.js';
+import { chatService } from '../src/services/chat-service.js';
+import { pdfService } from '../src/services/pdf-service.js';
+
+const names = { alex: 'Alex', sam: 'Sam' };
+const mediaUrlPrefix = 'https://abc.supabase.co/storage/v1/object/public/message-content/';
+const media = file => `${mediaUrlPrefix}messages/c1/${file}`;
+
+describe('Conversation Export', () => {
+  describe('formatExportTime', () => {
+    it('should format times in the given time zone', () => {
+      expect(formatExportTime('2026-10-18T21:04:00Z')).to.equal('2026-10-18 21:04');
+      expect(formatExportTime('2026-10-18T21:04:00Z', 'America/Los_Angeles')).to.equal('2026-10-18 14:04');
+    });
+
+    it('should use 00 for midnight', () => {
+      expect(formatExportTime('2026-10-18T00:30:00Z')).to.equal('2026-10-18 00:30');
+    });
+  });
+
+  describe('toExportMessage', () => {
+    it('should name the sender and keep the text', () => {
+      const entry = toExportMessage({
+        id: '1', sender_id: 'alex', message_type: 'text', content: 'Hi', created_at: '2026-10-18T21:04:00Z'
+      }, names);
+
+      expect(entry).to.deep.equal({
+        id: '1',
+        sender_id: 'alex',
+        sender_name: 'Alex',
+        type: 'text',
+        text: 'Hi',
+        sent_at: '2026-10-18T21:04:00Z',
+        edited_at: null,
+        unsent: false
+      });
+    });
+
+    it('should include photo thumbnails and voice note lengths', () => {
+      const photo = toExportMessage({
+        sender_id: 'sam', message_type: 'image', content: 'Sent a photo', attachment_url: media('p.jpg'),
+        metadata: { thumbnail_url: media('p_thumb.webp') }
+      }, names, { mediaUrlPrefix });
+      const voice = toExportMessage({
+        sender_id: 'sam', message_type: 'audio', content: 'Sent a voice note', attachment_url: media('v.webm'),
+        metadata: { duration_seconds: 65.2 }
+      }, names, { mediaUrlPrefix });
+
+      expect(photo.thumbnail_url).to.equal(media('p_thumb.webp'));
+      expect(photo.attachment_url).to.equal(media('p.jpg'));
+      expect(voice.duration_seconds).to.equal(65.2);
+    });
+
+    it('should drop attachment URLs from outside the media bucket', () => {
+      const photo = toExportMessage({
+        sender_id: 'sam', message_type: 'image', content: 'Sent a photo', attachment_url: media('p.jpg'),
+        metadata: { thumbnail_url: 'http://169.254.169.254/latest/meta-data' }
+      }, names, { mediaUrlPrefix });
+      const voice = toExportMessage({
+        sender_id: 'sam', message_type: 'audio', content: 'Sent a voice note', attachment_url: 'javascript:alert(1)'
+      }, names, { mediaUrlPrefix });
+
+      expect(photo.thumbnail_url).to.equal(media('p.jpg'));
+      expect(voice.attachment_url).to.equal(null);
+    });
+
+    it('should link shared locations', () => {
+      const entry = toExportMessage({
+        sender_id: 'alex', message_type: 'location', content: 'Shared my location',
+        metadata: { lat: 41.88, lng: -87.63, name: 'The Bar' }
+      }, names);
+
+      expect(entry.location).to.deep.equal({ lat: 41.88, lng: -87.63, name: 'The Bar', url: locationUrl(41.88, -87.63) });
+    });
+
+    it('should leave nothing of unsent messages', () => {
+      const entry = toExportMessage({
+        sender_id: 'alex', message_type: 'image', content: '', attachment_url: media('p.jpg'), deleted_at: '2026-10-18T22:00:00Z'
+      }, names, { mediaUrlPrefix });
+
+      expect(entry.unsent).to.equal(true);
+      expect(entry.text).to.equal('');
+      expect(entry).to.not.have.property('attachment_url');
+    });
+
+    it('should fall back when the sender is unknown', () => {
+      expect(toExportMessage({ sender_id: 'gone', message_type: 'text', content: 'Hi' }, names).sender_name).to.equal('Unknown');
+    });
+  });
+
+  describe('storedMediaUrl', () => {
+    it('should keep URLs in the media bucket', () => {
+      expect(storedMediaUrl(media('p.jpg'), mediaUrlPrefix)).to.equal(media('p.jpg'));
+    });
+
+    it('should drop other hosts, other buckets and paths that climb out of the bucket', () => {
+      expect(storedMediaUrl('https://evil.example/message-content/p.jpg', mediaUrlPrefix)).to.equal(null);
+      expect(storedMediaUrl('https://abc.supabase.co/storage/v1/object/public/avatars/p.jpg', mediaUrlPrefix)).to.equal(null);
+      expect(storedMediaUrl(`${mediaUrlPrefix}../avatars/p.jpg`, mediaUrlPrefix)).to.equal(null);
+      expect(storedMediaUrl(`https://user@abc.supabase.co/storage/v1/object/public/message-content/p.jpg`, mediaUrlPrefix)).to.equal(null);
+    });
+
+    it('should drop anything that is not a URL', () => {
+      expect(storedMediaUrl('not a url', mediaUrlPrefix)).to.equal(null);
+      expect(storedMediaUrl(null, mediaUrlPrefix)).to.equal(null);
+      expect(storedMediaUrl(media('p.jpg'), null)).to.equal(null);
+    });
+  });
+
+  describe('escapeMarkdown', () => {
+    it('should escape HTML and inline Markdown', () => {
+      expect(escapeMarkdown('<b>*hi*</b> [x](y)')).to.equal('\\<b\\>\\*hi\\*\\</b\\> \\[x\\](y)');
+    });
+
+    it('should escape list markers and heading underlines at the start of lines', () => {
+      expect(escapeMarkdown('- one\n2. two\n---')).to.equal('\\- one\n2\\. two\n\\---');
+    });
+
+    it('should leave ordinary text alone', () => {
+      expect(escapeMarkdown('See you at 9. Bring a friend - or two')).to.equal('See you at 9. Bring a friend - or two');
+    });
+  });
+
+  describe('buildTranscriptMarkdown', () => {
+    const messages = [
+      { sender_name: 'Alex', type: 'text', text: 'Drinks?', sent_at: '2026-10-18T21:04:00Z', edited_at: null, unsent: false },
+      { sender_name: 'Sam', type: 'text', text: 'Sure', sent_at: '2026-10-18T21:05:00Z', edited_at: '2026-10-18T21:06:00Z', unsent: false },
+      { sender_name: 'Alex', type: 'text', text: '', sent_at: '2026-10-18T21:07:00Z', edited_at: null, unsent: true },
+      { sender_name: 'Sam', type: 'audio', text: 'Sent a voice note', sent_at: '2026-10-18T21:08:00Z', unsent: false, attachment_url: media('v.webm'), duration_seconds: 65 }
+    ];
+
+    it('should list each message with its sender and time', () => {
+      const markdown = buildTranscriptMarkdown({
+        title: 'Chat with Alex',
+        messages,
+        exportedAt: new Date('2026-10-19T08:00:00Z')
+      });
+
+      expect(markdown).to.contain('# Chat with Alex');
+      expect(markdown).to.contain('Exported 2026-10-19 08:00, 4 messages. Times are in UTC.');
+      expect(markdown).to.contain('**Alex**, 2026-10-18 21:04  \nDrinks?');
+      expect(markdown).to.contain('**Sam**, 2026-10-18 21:05 (edited)  \nSure');
+      expect(markdown).to.contain('_Message unsent_');
+      expect(markdown).to.contain(`[Voice note (1:05)](${media('v.webm')})`);
+    });
+
+    it('should not let a link target close early', () => {
+      const markdown = buildTranscriptMarkdown({
+        title: 'Chat',
+        messages: [{
+          sender_name: 'Sam',
+          type: 'image',
+          text: '',
+          sent_at: '2026-10-18T21:08:00Z',
+          unsent: false,
+          attachment_url: media('p).jpg?x=<b> c'),
+          thumbnail_url: media('t(1).jpg')
+        }]
+      });
+
+      expect(markdown).to.contain(`[![Photo](${media('t%281%29.jpg')})](${media('p%29.jpg?x=%3Cb%3E%20c')})`);
+    });
+
+    it('should say when older messages were left out', () => {
+      const markdown = buildTranscriptMarkdown({ title: 'Chat', messages: messages.slice(0, 1), truncated: true });
+
+      expect(markdown).to.contain('Older messages were left out');
+    });
+  });
+
+  describe('exportFilename', () => {
+    const date = new Date('2026-10-18T12:00:00Z');
+
+    it('should name the file after the other person', () => {
+      expect(exportFilename('Zoë Smith', 'pdf', date)).to.equal('chat-with-zoe-smith-2026-10-18.pdf');
+    });
+
+    it('should cope with names that have no usable characters', () => {
+      expect(exportFilename('💃', 'md', date)).to.equal('chat-2026-10-18.md');
+      expect(exportFilename(null, 'json', date)).to.equal('chat-2026-10-18.json');
+    });
+  });
+
+  describe('PDF rendering', () => {
+    let page;
+    let requestHandler;
+
+    beforeEach(() => {
+      requestHandler = null;
+      page = {
+        setJavaScriptEnabled: sinon.stub().resolves(),
+        setRequestInterception: sinon.stub().resolves(),
+        on: (event, handler) => { requestHandler = handler; },
+        setContent: sinon.stub().resolves(),
+        pdf: sinon.stub().resolves(Buffer.from('%PDF'))
+      };
+      sinon.stub(puppeteer, 'launch').resolves({ newPage: async () => page, close: async () => {} });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    /**
+     * Send a fake request through the page's request handler
+     * @param {string} url - Requested URL
+     * @returns {string} - 'continue' or 'abort'
+     */
+    function request(url) {
+      let outcome = null;
+      requestHandler({ url: () => url, continue: () => { outcome = 'continue'; }, abort: () => { outcome = 'abort'; } });
+      return outcome;
+    }
+
+    it('should only let the page load from the allowed origins', async () => {
+      await pdfService.generatePdf('<p>Hi</p>', {}, { javaScriptEnabled: false, allowedOrigins: ['https://abc.supabase.co'] });
+
+      expect(page.setJavaScriptEnabled.calledOnceWith(false)).to.be.true;
+      expect(page.setRequestInterception.calledOnceWith(true)).to.be.true;
+      expect(request(media('p.jpg'))).to.equal('continue');
+      expect(request('data:image/png;base64,AAAA')).to.equal('continue');
+      expect(request('http://169.254.169.254/latest/meta-data')).to.equal('abort');
+      expect(request('file:///etc/passwd')).to.equal('abort');
+    });
+
+    it('should render transcripts without scripts and with only the media bucket reachable', async () => {
+      sinon.stub(chatService, 'getConversation').resolves({ id: 'c1', user_id_1: 'alex', user_id_2: 'sam' });
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery({
+        data: table === 'profiles' ? [{ id: 'alex', display_name: 'Alex' }, { id: 'sam', display_name: 'Sam' }] : []
+      }));
+      const generatePdf = sinon.stub(pdfService, 'generatePdf').resolves(Buffer.from('%PDF'));
+
+      await conversationExportService.exportConversation('alex', 'c1', { format: 'pdf' });
+
+      expect(generatePdf.firstCall.args[2]).to.deep.equal({
+        javaScriptEnabled: false,
+        allowedOrigins: [new URL(process.env.SUPABASE_URL).origin]
+      });
+    });
+  });
+});
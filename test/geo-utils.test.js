@@ -0,0 +1,45 @@
+import { expect } from 'chai';
+import { calculateDistance, isWithinRadius, isValidCoordinate } from '../src/utils/geo.js';
+
+describe('Geo Utils', () => {
+  describe('calculateDistance', () => {
+    it('should return zero for the same point', () => {
+      expect(calculateDistance(37.7749, -122.4194, 37.7749, -122.4194)).to.equal(0);
+    });
+
+    it('should calculate the distance between two cities in kilometers', () => {
+      // San Francisco to Los Angeles is roughly 559 km
+      const distance = calculateDistance(37.7749, -122.4194, 34.0522, -118.2437);
+      expect(distance).to.be.closeTo(559, 5);
+    });
+  });
+
+  describe('isWithinRadius', () => {
+    it('should accept a point inside the radius', () => {
+      // ~111 meters north of the center
+      expect(isWithinRadius(37.7759, -122.4194, 37.7749, -122.4194, 150)).to.be.true;
+    });
+
+    it('should reject a point outside the radius', () => {
+      // ~1.1 km north of the center
+      expect(isWithinRadius(37.7849, -122.4194, 37.7749, -122.4194, 150)).to.be.false;
+    });
+  });
+
+  describe('isValidCoordinate', () => {
+    it('should accept numeric and numeric string coordinates', () => {
+      expect(isValidCoordinate(37.7749, -122.4194)).to.be.true;
+      expect(isValidCoordinate('37.7749', '-122.4194')).to.be.true;
+      expect(isValidCoordinate(0, 0)).to.be.true;
+    });
+
+    it('should reject missing or out of range coordinates', () => {
+      expect(isValidCoordinate(null, -122.4194)).to.be.false;
+      expect(isValidCoordinate(37.7749, undefined)).to.be.false;
+      expect(isValidCoordinate('', '')).to.be.false;
+      expect(isValidCoordinate(91, 0)).to.be.false;
+      expect(isValidCoordinate(0, 181)).to.be.false;
+      expect(isValidCoordinate('abc', 0)).to.be.false;
+    });
+  });
+});
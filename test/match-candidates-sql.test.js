@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import { createTestDb, migrationFunction } from './sql-test-db.js';
+
+const SCHEMA = `
+  CREATE TABLE public.profiles (
+    id UUID PRIMARY KEY,
+    display_name TEXT,
+    full_name TEXT,
+    avatar_url TEXT,
+    bio TEXT,
+    birth_date DATE,
+    gender TEXT,
+    interests TEXT[],
+    is_verified BOOLEAN,
+    last_active TIMESTAMPTZ,
+    location_lat FLOAT,
+    location_lng FLOAT
+  );
+
+  CREATE TABLE public.user_filters (
+    user_id UUID PRIMARY KEY,
+    interested_in TEXT,
+    min_age INTEGER,
+    max_age INTEGER
+  );
+
+  CREATE TABLE public.venue_check_ins (
+    user_id UUID,
+    venue_id UUID,
+    checked_in_at TIMESTAMPTZ DEFAULT NOW(),
+    checked_out_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '3 hours'
+  );
+
+  CREATE TABLE public.venue_events (
+    id UUID PRIMARY KEY,
+    is_cancelled BOOLEAN DEFAULT false,
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ
+  );
+
+  CREATE TABLE public.venue_event_rsvps (event_id UUID, user_id UUID);
+
+  CREATE TABLE public.swipes (swiper_id UUID, swiped_id UUID, direction TEXT);
+
+  CREATE TABLE public.matches (
+    user_id_1 UUID,
+    user_id_2 UUID,
+    status TEXT DEFAULT 'matched',
+    rematch_after TIMESTAMPTZ
+  );
+
+  CREATE TABLE public.user_blocks (blocker_id UUID, blocked_id UUID);
+`;
+
+// Every version of the function, oldest first
+const VERSIONS = [
+  '20261018190000_create_get_match_candidates.sql',
+  '20261018200000_create_swipes.sql',
+  '20261018220000_create_super_likes.sql',
+  '20261018230000_add_venue_match_mode.sql',
+  '20261019010000_create_user_blocks_and_reports.sql',
+  '20261019020000_add_unmatch_cooldown.sql'
+];
+
+const VIEWER = '00000000-0000-0000-0000-000000000001';
+const IN_RANGE = '00000000-0000-0000-0000-000000000002';
+const TOO_OLD = '00000000-0000-0000-0000-000000000003';
+const PICKY = '00000000-0000-0000-0000-000000000004';
+
+describe('get_match_candidates SQL', function () {
+  this.timeout(30000);
+
+  let db;
+
+  before(async () => {
+    db = await createTestDb(SCHEMA);
+
+    await db.query(`
+      INSERT INTO public.profiles (id, display_name, birth_date, gender, location_lat, location_lng, last_active)
+      VALUES
+        ($1, 'Viewer', NOW() - INTERVAL '30 years', 'male', 37.77, -122.42, NOW()),
+        ($2, 'In range', NOW() - INTERVAL '28 years', 'female', 37.78, -122.41, NOW()),
+        ($3, 'Too old', NOW() - INTERVAL '50 years', 'female', 37.78, -122.41, NOW()),
+        ($4, 'Picky', NOW() - INTERVAL '29 years', 'female', 37.78, -122.41, NOW() - INTERVAL '1 day')
+    `, [VIEWER, IN_RANGE, TOO_OLD, PICKY]);
+
+    // Picky only wants people aged 35 to 45, so doesn't accept the viewer
+    await db.query(`
+      INSERT INTO public.user_filters (user_id, interested_in, min_age, max_age)
+      VALUES ($1, 'girls', 21, 40), ($2, 'boys', 35, 45)
+    `, [VIEWER, PICKY]);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  VERSIONS.forEach(file => {
+    it(`should filter candidates by age as defined in ${file}`, async () => {
+      await db.exec('DROP FUNCTION IF EXISTS public.get_match_candidates');
+      await db.exec(migrationFunction(file, 'get_match_candidates'));
+
+      const { rows } = await db.query(`
+        SELECT id, accepts_viewer
+        FROM public.get_match_candidates(
+          viewer_id => $1,
+          viewer_lat => 37.77,
+          viewer_lng => -122.42,
+          viewer_gender => 'male',
+          viewer_age => 30,
+          min_age => 21,
+          max_age => 40
+        )
+      `, [VIEWER]);
+
+      expect(rows).to.deep.equal([
+        { id: IN_RANGE, accepts_viewer: true },
+        { id: PICKY, accepts_viewer: false }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { supabase } from '../src/utils/supabase.js';
+import { matchExpiryService } from '../src/services/match-expiry-service.js';
+import { emailService } from '../src/services/email-service.js';
+
+describe('Match Expiry Service', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('extendMatch', () => {
+    const match = {
+      id: 'match-1',
+      user_id_1: 'user-1',
+      user_id_2: 'user-2',
+      status: 'matched',
+      expires_at: new Date(Date.now() - 60 * 1000).toISOString(),
+      extended_at: null
+    };
+
+    /**
+     * Stub a paid user and the match as it is after extend_match changed nothing
+     * @param {Object} current - Match, or null
+     */
+    function stubFailedExtension(current) {
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery({
+        data: table === 'users' ? { email: null, has_paid: true } : current
+      }));
+      sinon.stub(supabase, 'rpc').resolves({ data: [], error: null });
+    }
+
+    it('should only let paid users extend a match', async () => {
+      sinon.stub(supabase, 'from').returns(stubQuery({ data: { email: null, has_paid: false } }));
+      const rpc = sinon.stub(supabase, 'rpc');
+
+      const error = await rejectionOf(matchExpiryService.extendMatch('user-1', 'match-1'));
+
+      expect(error.statusCode).to.equal(402);
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should return the new deadline', async () => {
+      const extended = { ...match, expires_at: '2026-10-20T12:00:00.000Z', extended_at: '2026-10-19T12:00:00.000Z' };
+      sinon.stub(supabase, 'from').returns(stubQuery({ data: { email: null, has_paid: true } }));
+      const rpc = sinon.stub(supabase, 'rpc').resolves({ data: [extended], error: null });
+
+      expect(await matchExpiryService.extendMatch('user-1', 'match-1')).to.deep.equal({
+        id: 'match-1',
+        expires_at: extended.expires_at,
+        extended_at: extended.extended_at
+      });
+      expect(rpc.calledOnceWith('extend_match', { match_id: 'match-1', user_id: 'user-1', extra_hours: 24 })).to.be.true;
+    });
+
+    it('should hide matches the user is not part of', async () => {
+      stubFailedExtension({ ...match, user_id_2: 'user-3' });
+
+      expect((await rejectionOf(matchExpiryService.extendMatch('user-2', 'match-1'))).statusCode).to.equal(404);
+    });
+
+    it('should explain why a match could not be extended', async () => {
+      const reasons = [];
+
+      for (const current of [
+        { ...match, extended_at: '2026-10-18T12:00:00.000Z' },
+        { ...match, status: 'unmatched' },
+        { ...match, expires_at: null },
+        match
+      ]) {
+        stubFailedExtension(current);
+        const error = await rejectionOf(matchExpiryService.extendMatch('user-1', 'match-1'));
+        reasons.push([error.statusCode, error.message]);
+        sinon.restore();
+      }
+
+      expect(reasons).to.deep.equal([
+        [409, 'This match has already been extended'],
+        [409, 'Only matches waiting for a first message can be extended'],
+        [409, 'Only matches waiting for a first message can be extended'],
+        [409, 'This match has already expired']
+      ]);
+    });
+  });
+
+  describe('sendExpiryReminders', () => {
+    const expiresAt = new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString();
+    const expiring = [
+      { id: 'match-1', user_id_1: 'user-1', user_id_2: 'user-2', expires_at: expiresAt, extended_at: null },
+      { id: 'match-2', user_id_1: 'user-1', user_id_2: 'user-3', expires_at: expiresAt, extended_at: expiresAt }
+    ];
+    let notifications;
+    let sendReminder;
+
+    /**
+     * Stub the expiring matches, the people in them and the reminder claims
+     * @param {Array<string>} claimable - IDs of matches no other run has reminded yet
+     */
+    function stubTables(claimable) {
+      notifications = [];
+      sendReminder = sinon.stub(emailService, 'sendMatchExpiringReminder').resolves();
+
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery(calls => {
+        switch (table) {
+          case 'profiles':
+            return { data: [{ id: 'user-1', display_name: 'Alex' }, { id: 'user-2', display_name: 'Sam' }, { id: 'user-3', full_name: 'Jo' }] };
+          case 'users':
+            return { data: [{ id: 'user-1', email: 'alex@example.com' }, { id: 'user-3', email: 'jo@example.com' }] };
+          case 'notifications':
+            notifications.push(...calls.find(([method]) => method === 'insert')[1]);
+            return {};
+          default: {
+            if (!calls.some(([method]) => method === 'update')) {
+              return { data: expiring };
+            }
+            const [, , matchId] = calls.find(([method, column]) => method === 'eq' && column === 'id');
+            return { data: claimable.includes(matchId) ? { id: matchId } : null };
+          }
+        }
+      }));
+    }
+
+    it('should remind both people by notification and email', async () => {
+      stubTables(['match-1', 'match-2']);
+
+      expect(await matchExpiryService.sendExpiryReminders()).to.equal(2);
+
+      expect(notifications.map(n => [n.user_id, n.message])).to.deep.equal([
+        ['user-1', 'Say hello to Sam before your match expires!'],
+        ['user-2', 'Say hello to Alex before your match expires!'],
+        ['user-1', 'Say hello to Jo before your match expires!'],
+        ['user-3', 'Say hello to Alex before your match expires!']
+      ]);
+      // user-2 has no email address
+      expect(sendReminder.args).to.deep.equal([
+        ['alex@example.com', { other_name: 'Sam', expires_at: expiresAt, can_extend: true }],
+        ['alex@example.com', { other_name: 'Jo', expires_at: expiresAt, can_extend: false }],
+        ['jo@example.com', { other_name: 'Alex', expires_at: expiresAt, can_extend: false }]
+      ]);
+    });
+
+    it('should skip matches another run already reminded', async () => {
+      stubTables(['match-2']);
+
+      expect(await matchExpiryService.sendExpiryReminders()).to.equal(1);
+      expect(notifications.every(n => n.data.match_id === 'match-2')).to.be.true;
+      expect(sendReminder.args.map(([email]) => email)).to.deep.equal(['alex@example.com', 'jo@example.com']);
+    });
+
+    it('should keep going when an email fails', async () => {
+      stubTables(['match-1', 'match-2']);
+      sendReminder.onFirstCall().rejects(new Error('SMTP down'));
+
+      expect(await matchExpiryService.sendExpiryReminders()).to.equal(2);
+      expect(sendReminder.callCount).to.equal(3);
+    });
+  });
+});
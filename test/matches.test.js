@@ -0,0 +1,200 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { supabase } from '../src/utils/supabase.js';
+import { matchService } from '../src/services/match-service.js';
+import { checkInService } from '../src/services/check-in-service.js';
+import { createTestDb, migrationPolicy } from './sql-test-db.js';
+
+describe('Match Service', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getCandidateDeck', () => {
+    const VENUE = { id: 'venue-1', name: 'The Local' };
+    let rpc;
+
+    /**
+     * Stub the viewer, their check-in and an empty candidate list
+     * @param {Object} checkIn - Viewer's active check-in, or null
+     */
+    function stubViewer(checkIn) {
+      sinon.stub(checkInService, 'getActiveCheckIn').resolves(checkIn);
+      sinon.stub(checkInService, 'getPresenceCounts').resolves(checkIn ? { [checkIn.venue_id]: 3 } : {});
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery({
+        data: {
+          profiles: { id: 'user-1', gender: 'female', birth_date: '1996-05-01', interests: [] },
+          venues: checkIn ? { id: checkIn.venue_id, name: VENUE.name } : null
+        }[table] || null
+      }));
+      rpc = sinon.stub(supabase, 'rpc').resolves({ data: [], error: null });
+    }
+
+    it('should only open a venue deck to people checked in there', async () => {
+      stubViewer(null);
+      const notCheckedIn = await rejectionOf(matchService.getCandidateDeck('user-1', { venue_id: VENUE.id }));
+      expect(rpc.called).to.be.false;
+      sinon.restore();
+
+      stubViewer({ venue_id: 'venue-2' });
+      const elsewhere = await rejectionOf(matchService.getCandidateDeck('user-1', { venue_id: VENUE.id }));
+
+      expect(notCheckedIn.statusCode).to.equal(403);
+      expect(elsewhere.statusCode).to.equal(403);
+      expect(elsewhere.message).to.equal('Check in at this venue to match with people there');
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should limit the deck to the venue the viewer is checked in at', async () => {
+      stubViewer({ venue_id: VENUE.id });
+
+      const deck = await matchService.getCandidateDeck('user-1', { venue_id: VENUE.id });
+
+      expect(deck.venue).to.deep.equal(VENUE);
+      expect(rpc.calledOnce).to.be.true;
+      expect(rpc.firstCall.args[1].at_venue_id).to.equal(VENUE.id);
+    });
+
+    it('should not look at check-ins for the regular deck', async () => {
+      stubViewer({ venue_id: VENUE.id });
+
+      const deck = await matchService.getCandidateDeck('user-1');
+
+      expect(deck.venue).to.equal(null);
+      expect(checkInService.getActiveCheckIn.called).to.be.false;
+      expect(rpc.firstCall.args[1].at_venue_id).to.equal(null);
+    });
+  });
+
+  describe('unmatch', () => {
+    it('should reject unknown reasons without ending anything', async () => {
+      const rpc = sinon.stub(supabase, 'rpc');
+
+      const error = await rejectionOf(matchService.unmatch('user-1', 'match-1', { reason: 'bored' }));
+
+      expect(error.statusCode).to.equal(400);
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should end the match with the reason and a cooling-off period', async () => {
+      const ended = {
+        id: 'match-1',
+        status: 'unmatched',
+        unmatched_at: '2026-10-18T20:00:00.000Z',
+        rematch_after: '2026-11-17T20:00:00.000Z',
+        unmatch_details: 'Moved away'
+      };
+      const rpc = sinon.stub(supabase, 'rpc').resolves({ data: [ended], error: null });
+
+      const result = await matchService.unmatch('user-1', 'match-1', { reason: 'met_someone', details: '  Moved away ' });
+
+      expect(result).to.deep.equal({
+        id: 'match-1',
+        status: 'unmatched',
+        unmatched_at: ended.unmatched_at,
+        rematch_after: ended.rematch_after
+      });
+      expect(rpc.calledOnceWith('unmatch', {
+        match_id: 'match-1',
+        user_id: 'user-1',
+        reason: 'met_someone',
+        details: 'Moved away',
+        cooldown_days: 30
+      })).to.be.true;
+    });
+
+    it('should hide other people\'s matches and say when a match is already over', async () => {
+      const match = { id: 'match-1', user_id_1: 'user-1', user_id_2: 'user-2' };
+      sinon.stub(supabase, 'rpc').resolves({ data: [], error: null });
+      const from = sinon.stub(supabase, 'from');
+
+      from.returns(stubQuery({ data: { ...match, status: 'unmatched' } }));
+      const stranger = await rejectionOf(matchService.unmatch('user-3', 'match-1'));
+      const ended = await rejectionOf(matchService.unmatch('user-1', 'match-1'));
+
+      from.returns(stubQuery({ data: { ...match, status: 'expired' } }));
+      const expired = await rejectionOf(matchService.unmatch('user-2', 'match-1'));
+
+      expect(stranger.statusCode).to.equal(404);
+      expect([ended.statusCode, ended.message]).to.deep.equal([409, 'This match has already ended']);
+      expect([expired.statusCode, expired.message]).to.deep.equal([409, 'This match has already expired']);
+    });
+  });
+
+  describe('messages insert policies SQL', function () {
+    this.timeout(30000);
+
+    const SENDER = '00000000-0000-0000-0000-000000000001';
+    const ACTIVE = '00000000-0000-0000-0000-0000000000a1';
+    const CLOSED = '00000000-0000-0000-0000-0000000000a2';
+    let db;
+
+    /**
+     * Send a message as the signed in user, with row level security applied
+     * @param {string} conversationId - Conversation
+     * @returns {Promise<Object>} - Query result
+     */
+    async function send(conversationId) {
+      await db.exec(`SET request.jwt.claim.sub = '${SENDER}'; SET ROLE authenticated;`);
+
+      try {
+        return await db.query(
+          'INSERT INTO public.messages (conversation_id, sender_id, content) VALUES ($1, $2, $3)',
+          [conversationId, SENDER, 'Hey']
+        );
+      } finally {
+        await db.exec('RESET ROLE;');
+      }
+    }
+
+    before(async () => {
+      db = await createTestDb(`
+        CREATE ROLE authenticated;
+        CREATE SCHEMA auth;
+        CREATE FUNCTION auth.uid() RETURNS UUID AS $$
+          SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID
+        $$ LANGUAGE sql STABLE;
+        GRANT USAGE ON SCHEMA auth TO authenticated;
+
+        CREATE TABLE public.conversations (
+          id UUID PRIMARY KEY,
+          user_id_1 UUID,
+          user_id_2 UUID,
+          is_active BOOLEAN DEFAULT true
+        );
+
+        CREATE TABLE public.messages (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          conversation_id UUID NOT NULL REFERENCES public.conversations(id),
+          sender_id UUID NOT NULL,
+          content TEXT NOT NULL
+        );
+
+        ALTER TABLE public.messages ENABLE ROW LEVEL SECURITY;
+        GRANT SELECT ON public.conversations TO authenticated;
+        GRANT INSERT ON public.messages TO authenticated;
+      `);
+      await db.exec(migrationPolicy('20250702143040_create_messages.sql', 'Users can send messages to their conversations'));
+      await db.exec(migrationPolicy('20261019020000_add_unmatch_cooldown.sql', 'Users can only send messages to active conversations'));
+      await db.query(`
+        INSERT INTO public.conversations (id, user_id_1, user_id_2, is_active)
+        VALUES ($1, $3, gen_random_uuid(), true), ($2, $3, gen_random_uuid(), false)
+      `, [ACTIVE, CLOSED, SENDER]);
+    });
+
+    after(async () => {
+      await db.close();
+    });
+
+    it('should let people message in an open conversation', async () => {
+      expect((await send(ACTIVE)).affectedRows).to.equal(1);
+    });
+
+    it('should not let people message into a conversation closed by an unmatch', async () => {
+      const error = await rejectionOf(send(CLOSED));
+
+      expect(error.message).to.match(/row-level security/);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import { checkMediaUpload, sniffMediaType } from '../src/utils/media-upload.js';
+
+/**
+ * A file starting with the given bytes, padded out with zeros
+ */
+function file(start, length = 64) {
+  const head = typeof start === 'string' ? Buffer.from(start, 'ascii') : Buffer.from(start);
+  return Buffer.concat([head, Buffer.alloc(Math.max(0, length - head.length))]);
+}
+
+const jpeg = () => file([0xff, 0xd8, 0xff, 0xe1]);
+const webm = () => file([0x1a, 0x45, 0xdf, 0xa3]);
+
+describe('Media Upload', () => {
+  describe('sniffMediaType', () => {
+    it('should recognise photos by their first bytes', () => {
+      expect(sniffMediaType(jpeg())).to.equal('image/jpeg');
+      expect(sniffMediaType(file([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).to.equal('image/png');
+      expect(sniffMediaType(file('RIFF\0\0\0\0WEBPVP8 '))).to.equal('image/webp');
+    });
+
+    it('should recognise voice note formats', () => {
+      expect(sniffMediaType(webm())).to.equal('audio/webm');
+      expect(sniffMediaType(file('OggS'))).to.equal('audio/ogg');
+      expect(sniffMediaType(file('ID3'))).to.equal('audio/mpeg');
+      expect(sniffMediaType(file('RIFF\0\0\0\0WAVEfmt '))).to.equal('audio/wav');
+      expect(sniffMediaType(file('\0\0\0\x20ftypM4A '))).to.equal('audio/mp4');
+    });
+
+    it('should not mistake HEIC photos for M4A audio', () => {
+      expect(sniffMediaType(file('\0\0\0\x18ftypheic'))).to.equal(null);
+    });
+
+    it('should return null for anything else', () => {
+      expect(sniffMediaType(file('%PDF-1.7'))).to.equal(null);
+      expect(sniffMediaType(Buffer.from([0xff, 0xd8]))).to.equal(null);
+      expect(sniffMediaType('not a buffer')).to.equal(null);
+    });
+  });
+
+  describe('checkMediaUpload', () => {
+    it('should work out the message type from the contents', () => {
+      expect(checkMediaUpload(jpeg())).to.deep.equal({ message_type: 'image', mime_type: 'image/jpeg', extension: 'jpg' });
+      expect(checkMediaUpload(webm(), { messageType: 'audio' })).to.deep.equal({ message_type: 'audio', mime_type: 'audio/webm', extension: 'webm' });
+    });
+
+    it('should reject a file that does not match the message type', () => {
+      expect(checkMediaUpload(webm(), { messageType: 'image' }).error).to.equal('The file is not a photo');
+    });
+
+    it('should reject unknown message types, empty files and other formats', () => {
+      expect(checkMediaUpload(jpeg(), { messageType: 'video' }).error).to.match(/message_type must be one of/);
+      expect(checkMediaUpload(Buffer.alloc(0)).error).to.equal('A file is required');
+      expect(checkMediaUpload(file('GIF89a')).error).to.match(/^Only JPEG/);
+    });
+
+    it('should enforce the size limit for the type', () => {
+      const limits = { imageBytes: 1024 * 1024, audioBytes: 2 * 1024 * 1024, audioSeconds: 60 };
+
+      expect(checkMediaUpload(file([0xff, 0xd8, 0xff], 1024 * 1024 + 1), { limits }).error).to.equal('Files can be at most 1 MB');
+      expect(checkMediaUpload(file([0x1a, 0x45, 0xdf, 0xa3], 1024 * 1024 + 1), { limits }).error).to.equal(undefined);
+    });
+  });
+});
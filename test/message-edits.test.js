@@ -0,0 +1,63 @@
+import { expect } from 'chai';
+import {
+  DISAPPEARING_TIMER_OPTIONS,
+  editBlockedReason,
+  parseDisappearingTimer,
+  unsendBlockedReason
+} from '../src/utils/message-edits.js';
+
+describe('Message Edits', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const message = {
+    sender_id: 'user-a',
+    message_type: 'text',
+    created_at: '2026-10-19T11:50:00Z',
+    deleted_at: null
+  };
+
+  describe('editBlockedReason', () => {
+    it('should let the sender edit a text message inside the window', () => {
+      expect(editBlockedReason(message, 'user-a', { now })).to.equal(null);
+    });
+
+    it('should only let the sender edit', () => {
+      expect(editBlockedReason(message, 'user-b', { now })).to.equal('not_sender');
+    });
+
+    it('should not allow editing unsent or media messages', () => {
+      expect(editBlockedReason({ ...message, deleted_at: '2026-10-19T11:55:00Z' }, 'user-a', { now })).to.equal('unsent');
+      expect(editBlockedReason({ ...message, message_type: 'image' }, 'user-a', { now })).to.equal('not_text');
+    });
+
+    it('should close the window after the configured time', () => {
+      expect(editBlockedReason(message, 'user-a', { now, editWindowMinutes: 5 })).to.equal('window_closed');
+      expect(editBlockedReason(message, 'user-a', { now, editWindowMinutes: 10 })).to.equal(null);
+    });
+  });
+
+  describe('unsendBlockedReason', () => {
+    it('should let the sender unsend at any time, once', () => {
+      expect(unsendBlockedReason({ ...message, created_at: '2025-01-01T00:00:00Z' }, 'user-a')).to.equal(null);
+      expect(unsendBlockedReason({ ...message, deleted_at: '2026-10-19T11:55:00Z' }, 'user-a')).to.equal('unsent');
+      expect(unsendBlockedReason(message, 'user-b')).to.equal('not_sender');
+    });
+  });
+
+  describe('parseDisappearingTimer', () => {
+    it('should turn the timer off', () => {
+      [null, undefined, 0, 'off'].forEach(value => {
+        expect(parseDisappearingTimer(value)).to.deep.equal({ seconds: null });
+      });
+    });
+
+    it('should accept the listed options as numbers or strings', () => {
+      expect(parseDisappearingTimer(DISAPPEARING_TIMER_OPTIONS[0])).to.deep.equal({ seconds: 3600 });
+      expect(parseDisappearingTimer('86400')).to.deep.equal({ seconds: 86400 });
+    });
+
+    it('should reject other values', () => {
+      expect(parseDisappearingTimer(5).error).to.match(/^Timer must be off/);
+      expect(parseDisappearingTimer('1h').error).to.match(/^Timer must be off/);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { expect } from 'chai';
+import {
+  MAX_SEARCH_TERMS,
+  buildSearchQuery,
+  buildSnippet,
+  findHighlights,
+  parseSearchTerms
+} from '../src/utils/message-search.js';
+
+describe('Message Search', () => {
+  describe('parseSearchTerms', () => {
+    it('should lowercase, split on punctuation and drop duplicates', () => {
+      expect(parseSearchTerms('Drinks tonight? DRINKS!')).to.deep.equal(['drinks', 'tonight']);
+    });
+
+    it('should keep letters from any language', () => {
+      expect(parseSearchTerms('Café Zürich')).to.deep.equal(['café', 'zürich']);
+    });
+
+    it('should drop tsquery operators', () => {
+      expect(parseSearchTerms("bar & !(club) | 'x':*")).to.deep.equal(['bar', 'club', 'x']);
+    });
+
+    it('should return nothing for searches that are too short', () => {
+      expect(parseSearchTerms('a')).to.deep.equal([]);
+      expect(parseSearchTerms('!?')).to.deep.equal([]);
+      expect(parseSearchTerms(null)).to.deep.equal([]);
+    });
+
+    it('should cap the number of terms', () => {
+      expect(parseSearchTerms('a b c d e f g h i j k')).to.have.length(MAX_SEARCH_TERMS);
+    });
+  });
+
+  describe('buildSearchQuery', () => {
+    it('should require every term as a prefix', () => {
+      expect(buildSearchQuery(['drink', 'tonight'])).to.equal('drink:* & tonight:*');
+    });
+  });
+
+  describe('findHighlights', () => {
+    it('should mark the matching start of each word', () => {
+      const text = 'Drinks at the bar? Barely awake';
+
+      expect(findHighlights(text, ['drink', 'bar'])).to.deep.equal([
+        { start: 0, end: 5 },
+        { start: 14, end: 17 },
+        { start: 19, end: 22 }
+      ]);
+    });
+
+    it('should not match in the middle of a word', () => {
+      expect(findHighlights('crowbar', ['bar'])).to.deep.equal([]);
+    });
+
+    it('should prefer the longest term that matches', () => {
+      expect(findHighlights('tonight', ['to', 'tonig'])).to.deep.equal([{ start: 0, end: 5 }]);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should return short messages whole', () => {
+      const highlights = [{ start: 0, end: 3 }];
+
+      expect(buildSnippet('Hey there', highlights)).to.deep.equal({ text: 'Hey there', offset: 0, highlights });
+    });
+
+    it('should cut long messages around the first match', () => {
+      const text = `${'word '.repeat(40)}meet at the pub ${'more '.repeat(40)}`;
+      const start = text.indexOf('pub');
+      const snippet = buildSnippet(text, [{ start, end: start + 3 }], 60);
+
+      expect(snippet.text.length).to.be.at.most(60);
+      expect(snippet.text.startsWith('word')).to.equal(true);
+      expect(snippet.text.slice(snippet.highlights[0].start, snippet.highlights[0].end)).to.equal('pub');
+      expect(text.slice(snippet.offset, snippet.offset + snippet.text.length)).to.equal(snippet.text);
+    });
+
+    it('should leave out matches that fall outside the snippet', () => {
+      const text = `pub ${'x'.repeat(200)} pub`;
+      const snippet = buildSnippet(text, [{ start: 0, end: 3 }, { start: text.length - 3, end: text.length }], 50);
+
+      expect(snippet.offset).to.equal(0);
+      expect(snippet.highlights).to.deep.equal([{ start: 0, end: 3 }]);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { supabase } from '../src/utils/supabase.js';
+import { moderationService } from '../src/services/moderation-service.js';
+
+describe('Moderation Service', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('blockUser', () => {
+    it('should not block yourself or people who do not exist', async () => {
+      sinon.stub(supabase, 'from').returns(stubQuery({ data: null }));
+      const rpc = sinon.stub(supabase, 'rpc');
+
+      const self = await rejectionOf(moderationService.blockUser('user-1', 'user-1'));
+      const unknown = await rejectionOf(moderationService.blockUser('user-1', 'user-2'));
+
+      expect(self.statusCode).to.equal(400);
+      expect(unknown.statusCode).to.equal(404);
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should block through block_user so the match ends with it', async () => {
+      sinon.stub(supabase, 'from').returns(stubQuery({ data: { id: 'user-2' } }));
+      const rpc = sinon.stub(supabase, 'rpc').resolves({ data: [{ created_at: '2026-10-18T20:00:00.000Z' }], error: null });
+
+      expect(await moderationService.blockUser('user-1', 'user-2')).to.deep.equal({
+        blocked_user_id: 'user-2',
+        created_at: '2026-10-18T20:00:00.000Z'
+      });
+      expect(rpc.calledOnceWith('block_user', { blocker_id: 'user-1', blocked_id: 'user-2' })).to.be.true;
+    });
+  });
+
+  describe('unblockUser', () => {
+    it('should say so when there was no block to remove', async () => {
+      sinon.stub(supabase, 'from').returns(stubQuery({ data: [] }));
+
+      expect((await rejectionOf(moderationService.unblockUser('user-1', 'user-2'))).statusCode).to.equal(404);
+    });
+  });
+
+  describe('reportUser', () => {
+    const [MESSAGE_1, MESSAGE_2, MESSAGE_3] = [1, 2, 3].map(n => `00000000-0000-0000-0000-00000000000${n}`);
+
+    const messages = [
+      { id: MESSAGE_2, conversation_id: 'conversation-1', sender_id: 'user-2', content: 'Second', created_at: '2026-10-18T20:05:00.000Z' },
+      { id: MESSAGE_1, conversation_id: 'conversation-1', sender_id: 'user-2', content: 'First', created_at: '2026-10-18T20:00:00.000Z' },
+      { id: MESSAGE_3, conversation_id: 'conversation-2', sender_id: 'user-3', content: 'Elsewhere', created_at: '2026-10-18T20:10:00.000Z' }
+    ];
+    let inserted;
+    let rpc;
+
+    /**
+     * Stub the reported user, their messages and the report insert
+     */
+    function stubTables() {
+      inserted = null;
+      rpc = sinon.stub(supabase, 'rpc').resolves({ data: [], error: null });
+
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery(calls => {
+        switch (table) {
+          case 'profiles':
+            return { data: { id: 'user-2' } };
+          case 'messages': {
+            const [, , ids] = calls.find(([method]) => method === 'in');
+            return { data: messages.filter(message => ids.includes(message.id)) };
+          }
+          case 'conversations':
+            return {
+              data: [
+                { id: 'conversation-1', user_id_1: 'user-2', user_id_2: 'user-1' },
+                { id: 'conversation-2', user_id_1: 'user-1', user_id_2: 'user-3' }
+              ]
+            };
+          default:
+            inserted = calls.find(([method]) => method === 'insert')[1];
+            return { data: { id: 'report-1', reason: inserted.reason, status: 'open', created_at: '2026-10-18T21:00:00.000Z' } };
+        }
+      }));
+    }
+
+    it('should reject unknown reasons and too many messages before looking anything up', async () => {
+      const from = sinon.stub(supabase, 'from');
+
+      const reason = await rejectionOf(moderationService.reportUser('user-1', 'user-2', { reason: 'rude' }));
+      const tooMany = await rejectionOf(moderationService.reportUser('user-1', 'user-2', {
+        reason: 'spam',
+        message_ids: Array.from({ length: 51 }, (_, i) => `00000000-0000-0000-0000-${String(i).padStart(12, '0')}`)
+      }));
+
+      const malformed = await rejectionOf(moderationService.reportUser('user-1', 'user-2', {
+        reason: 'spam',
+        message_ids: [MESSAGE_1, 'message-2']
+      }));
+
+      expect(reason.statusCode).to.equal(400);
+      expect(tooMany.statusCode).to.equal(400);
+      expect(malformed.statusCode).to.equal(400);
+      expect(from.called).to.be.false;
+    });
+
+    it('should only attach messages from the conversation with the reported user', async () => {
+      stubTables();
+
+      const error = await rejectionOf(moderationService.reportUser('user-1', 'user-2', {
+        reason: 'harassment',
+        message_ids: [MESSAGE_1, MESSAGE_3]
+      }));
+
+      expect(error.statusCode).to.equal(400);
+      expect(inserted).to.equal(null);
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should keep the messages in order as evidence and block the user', async () => {
+      stubTables();
+
+      const report = await moderationService.reportUser('user-1', 'user-2', {
+        reason: 'harassment',
+        details: '  Kept messaging after I said no  ',
+        message_ids: [MESSAGE_2, MESSAGE_1, MESSAGE_2]
+      });
+
+      expect(report).to.deep.include({ id: 'report-1', blocked: true });
+      expect(inserted).to.deep.include({
+        reporter_id: 'user-1',
+        reported_id: 'user-2',
+        details: 'Kept messaging after I said no',
+        message_ids: [MESSAGE_2, MESSAGE_1]
+      });
+      expect(inserted.evidence.map(message => message.id)).to.deep.equal([MESSAGE_1, MESSAGE_2]);
+      expect(rpc.calledOnceWith('block_user', { blocker_id: 'user-1', blocked_id: 'user-2' })).to.be.true;
+    });
+
+    it('should leave the user unblocked when the reporter asks', async () => {
+      stubTables();
+
+      const report = await moderationService.reportUser('user-1', 'user-2', { reason: 'spam', block: false });
+
+      expect(report.blocked).to.be.false;
+      expect(inserted.evidence).to.deep.equal([]);
+      expect(rpc.called).to.be.false;
+    });
+  });
+});
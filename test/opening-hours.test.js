@@ -0,0 +1,108 @@
+import { expect } from 'chai';
+import { getOpenStatus, isOpenAt, isValidTimeZone, parseDaySpans } from '../src/utils/opening-hours.js';
+
+describe('Opening Hours Utils', () => {
+  const lateBar = {
+    friday: { open: '17:00', close: '02:00' },
+    saturday: { closed: true },
+    sunday: '16:00-00:00'
+  };
+
+  describe('parseDaySpans', () => {
+    it('should treat a close before the open as past midnight', () => {
+      expect(parseDaySpans([{ open: '17:00', close: '02:00' }])).to.deep.equal([{ open: 1020, close: 1560 }]);
+    });
+
+    it('should read the older single span and string formats', () => {
+      expect(parseDaySpans({ open: '12:00', close: '15:00' })).to.deep.equal([{ open: 720, close: 900 }]);
+      expect(parseDaySpans('16:00-00:00')).to.deep.equal([{ open: 960, close: 1440 }]);
+    });
+
+    it('should return no spans for closed days', () => {
+      expect(parseDaySpans({ closed: true })).to.deep.equal([]);
+    });
+  });
+
+  describe('isOpenAt', () => {
+    it('should be open during the evening', () => {
+      // Friday 2026-01-02 22:00 UTC
+      expect(isOpenAt(lateBar, new Date('2026-01-02T22:00:00Z'))).to.be.true;
+    });
+
+    it('should stay open after midnight on an overnight span', () => {
+      // Saturday 01:30, still inside Friday's hours even though Saturday is closed
+      expect(isOpenAt(lateBar, new Date('2026-01-03T01:30:00Z'))).to.be.true;
+    });
+
+    it('should be closed once an overnight span ends', () => {
+      expect(isOpenAt(lateBar, new Date('2026-01-03T02:00:00Z'))).to.be.false;
+    });
+
+    it('should evaluate hours in the venue time zone', () => {
+      // 2026-01-03 06:00 UTC is Friday 22:00 in Los Angeles
+      expect(isOpenAt(lateBar, new Date('2026-01-03T06:00:00Z'), 'America/Los_Angeles')).to.be.true;
+    });
+
+    it('should return null when a venue has no hours', () => {
+      expect(isOpenAt(null)).to.be.null;
+      expect(isOpenAt({})).to.be.null;
+    });
+  });
+
+  describe('getOpenStatus', () => {
+    const hours = {
+      friday: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '02:00' }],
+      saturday: [{ open: '18:00', close: '24:00' }],
+      sunday: [{ open: '00:00', close: '03:00' }]
+    };
+
+    it('should flag closing soon in the last hour of a span', () => {
+      const status = getOpenStatus(hours, { now: new Date('2026-01-03T01:15:00Z') });
+      expect(status.open_now).to.be.true;
+      expect(status.closing_soon).to.be.true;
+      expect(status.closes_at).to.equal('2026-01-03T02:00:00.000Z');
+    });
+
+    it('should report when a closed venue opens next', () => {
+      const status = getOpenStatus(hours, { now: new Date('2026-01-02T16:00:00Z') });
+      expect(status.open_now).to.be.false;
+      expect(status.opens_at).to.equal('2026-01-02T18:00:00.000Z');
+    });
+
+    it('should join spans that meet at midnight', () => {
+      // Saturday 23:30, with Sunday carrying on from midnight until 03:00
+      const status = getOpenStatus(hours, { now: new Date('2026-01-03T23:30:00Z') });
+      expect(status.closing_soon).to.be.false;
+      expect(status.closes_at).to.equal('2026-01-04T03:00:00.000Z');
+    });
+
+    it('should let date exceptions override the weekly hours', () => {
+      const exceptions = {
+        '2026-01-02': { closed: true },
+        '2026-01-03': [{ open: '20:00', close: '04:00' }]
+      };
+
+      expect(getOpenStatus(hours, { exceptions, now: new Date('2026-01-02T19:00:00Z') }).open_now)
+        .to.be.false;
+      expect(getOpenStatus(hours, { exceptions, now: new Date('2026-01-04T03:30:00Z') }).open_now)
+        .to.be.true;
+    });
+
+    it('should leave the status unknown without a valid time zone', () => {
+      const now = new Date('2026-01-03T01:15:00Z');
+      const unknown = { open_now: null, closing_soon: false, closes_at: null, opens_at: null };
+
+      expect(getOpenStatus(hours, { timeZone: null, now })).to.deep.equal(unknown);
+      expect(getOpenStatus(hours, { timeZone: 'Mars/Olympus_Mons', now })).to.deep.equal(unknown);
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('should accept IANA zones and reject anything else', () => {
+      expect(isValidTimeZone('Africa/Lagos')).to.be.true;
+      expect(isValidTimeZone('Mars/Olympus_Mons')).to.be.false;
+      expect(isValidTimeZone('')).to.be.false;
+      expect(isValidTimeZone(null)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Service Test Setup
+ * Import before any service so the shared Supabase client can be created
+ * offline and stubbed. Its startup logging is silenced because the test
+ * runner reads mocha's JSON report from stdout.
+ */
+
+import { WebSocket } from 'ws';
+
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL = 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+
+// Supabase realtime needs a WebSocket, which Node only has built in from 22
+if (!globalThis.WebSocket) {
+  globalThis.WebSocket = WebSocket;
+}
+
+console.log = () => {};
+console.error = () => {};
+console.warn = () => {};
+
+/**
+ * A stand-in for a Supabase query builder: every filter or modifier returns
+ * the builder, and awaiting it gives the result
+ * @param {Object|Function} result - { data, error, count }, or a function
+ *   building it from the recorded calls when the query is awaited
+ * @returns {Object} - Query builder; calls are recorded on builder.calls
+ */
+export function stubQuery(result = {}) {
+  const calls = [];
+
+  const builder = new Proxy({}, {
+    get(target, prop) {
+      if (prop === 'calls') {
+        return calls;
+      }
+
+      if (prop === 'then') {
+        const settled = { data: null, error: null, ...(typeof result === 'function' ? result(calls) : result) };
+        return (resolve, reject) => Promise.resolve(settled).then(resolve, reject);
+      }
+
+      return (...args) => {
+        calls.push([prop, ...args]);
+        return builder;
+      };
+    }
+  });
+
+  return builder;
+}
+
+/**
+ * Run a promise that should fail and return its error
+ * @param {Promise} promise - Promise expected to reject
+ * @returns {Promise<Error>} - Rejection reason
+ */
+export async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
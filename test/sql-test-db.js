@@ -0,0 +1,92 @@
+/**
+ * SQL Test Database
+ * Runs functions from the migrations against an in-memory Postgres (PGlite).
+ * PostGIS isn't available there, so geography is stood in for by a
+ * [lng, lat] array with great-circle distances.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PGlite } from '@electric-sql/pglite';
+
+const MIGRATIONS_DIR = path.resolve('supabase/migrations');
+
+const POSTGIS_SHIMS = `
+  CREATE DOMAIN geography AS FLOAT8[];
+
+  CREATE FUNCTION ST_MakePoint(x FLOAT8, y FLOAT8) RETURNS FLOAT8[] AS $$
+    SELECT ARRAY[x, y]
+  $$ LANGUAGE sql IMMUTABLE;
+
+  CREATE FUNCTION ST_SetSRID(point FLOAT8[], srid INTEGER) RETURNS FLOAT8[] AS $$
+    SELECT point
+  $$ LANGUAGE sql IMMUTABLE;
+
+  CREATE FUNCTION ST_Distance(a FLOAT8[], b FLOAT8[]) RETURNS FLOAT8 AS $$
+    SELECT 2 * 6371008.8 * asin(sqrt(
+      sin(radians(b[2] - a[2]) / 2) ^ 2
+      + cos(radians(a[2])) * cos(radians(b[2])) * sin(radians(b[1] - a[1]) / 2) ^ 2
+    ))
+  $$ LANGUAGE sql IMMUTABLE;
+
+  CREATE FUNCTION ST_DWithin(a FLOAT8[], b FLOAT8[], meters FLOAT8) RETURNS BOOLEAN AS $$
+    SELECT ST_Distance(a, b) <= meters
+  $$ LANGUAGE sql IMMUTABLE;
+`;
+
+/**
+ * Create an empty database with the PostGIS stand-ins
+ * @param {string} schema - SQL creating the tables the test needs
+ * @param {Object} extensions - PGlite contrib extensions to load, by name
+ * @returns {Promise<PGlite>} - Database
+ */
+export async function createTestDb(schema = '', extensions = {}) {
+  const db = new PGlite({ extensions });
+  await db.exec(POSTGIS_SHIMS);
+  await db.exec(schema);
+  return db;
+}
+
+/**
+ * Read a migration file
+ * @param {string} file - File name in supabase/migrations
+ * @returns {string} - SQL
+ */
+export function readMigration(file) {
+  return fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+}
+
+/**
+ * Pull one function definition out of a migration
+ * @param {string} file - File name in supabase/migrations
+ * @param {string} name - Function name without the schema
+ * @returns {string} - CREATE FUNCTION statement
+ */
+export function migrationFunction(file, name) {
+  const sql = readMigration(file);
+  const start = sql.search(new RegExp(`CREATE (OR REPLACE )?FUNCTION public\\.${name}\\(`));
+
+  if (start === -1) {
+    throw new Error(`${name} is not defined in ${file}`);
+  }
+
+  const end = sql.indexOf(';', sql.indexOf('$$ LANGUAGE', sql.indexOf('$$', start) + 2));
+  return sql.slice(start, end + 1);
+}
+
+/**
+ * Pull one row level security policy out of a migration
+ * @param {string} file - File name in supabase/migrations
+ * @param {string} name - Policy name
+ * @returns {string} - CREATE POLICY statement
+ */
+export function migrationPolicy(file, name) {
+  const sql = readMigration(file);
+  const start = sql.indexOf(`CREATE POLICY "${name}"`);
+
+  if (start === -1) {
+    throw new Error(`Policy "${name}" is not defined in ${file}`);
+  }
+
+  return sql.slice(start, sql.indexOf(';', start) + 1);
+}
@@ -0,0 +1,251 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { PaymentsApi } from 'square';
+import { supabase } from '../src/utils/supabase.js';
+import { superLikeService } from '../src/services/super-like-service.js';
+import { createTestDb, migrationFunction } from './sql-test-db.js';
+import {
+  DEFAULT_SUPER_LIKE_ALLOWANCES,
+  parseSuperLikeAllowances,
+  superLikeDay,
+  superLikeTier
+} from '../src/utils/super-likes.js';
+
+describe('Super Like Utils', () => {
+  const now = new Date('2026-10-18T20:15:30.000Z');
+
+  describe('parseSuperLikeAllowances', () => {
+    it('should parse overrides and drop unknown tiers and bad counts', () => {
+      expect(parseSuperLikeAllowances('free=1, yearly=10,gold=9,monthly=-2,paid=x'))
+        .to.deep.equal({ free: 1, yearly: 10 });
+      expect(parseSuperLikeAllowances(undefined)).to.deep.equal({});
+    });
+  });
+
+  describe('superLikeTier', () => {
+    const subscription = { plan: 'yearly', status: 'active', expiration_date: '2027-01-01T00:00:00.000Z' };
+
+    it('should use the plan of an active subscription', () => {
+      expect(superLikeTier({ subscription, now })).to.equal('yearly');
+      expect(superLikeTier({ subscription: { ...subscription, plan: 'monthly' }, now })).to.equal('monthly');
+      expect(DEFAULT_SUPER_LIKE_ALLOWANCES.yearly).to.be.above(DEFAULT_SUPER_LIKE_ALLOWANCES.monthly);
+    });
+
+    it('should ignore expired subscriptions', () => {
+      const expired = { ...subscription, expiration_date: '2026-10-01T00:00:00.000Z' };
+
+      expect(superLikeTier({ subscription: expired, now })).to.equal('free');
+      expect(superLikeTier({ subscription: expired, hasPaid: true, now })).to.equal('paid');
+    });
+  });
+
+  describe('superLikeDay', () => {
+    it('should reset at midnight in the user\'s time zone', () => {
+      const day = superLikeDay(now, 'America/Los_Angeles');
+
+      expect(day.date).to.equal('2026-10-18');
+      expect(day.resets_at.toISOString()).to.equal('2026-10-19T07:00:00.000Z');
+    });
+
+    it('should use the local date, not the UTC date', () => {
+      expect(superLikeDay(now, 'Asia/Tokyo').date).to.equal('2026-10-19');
+    });
+
+    it('should handle days made shorter or longer by daylight saving', () => {
+      expect(superLikeDay(new Date('2026-03-07T20:00:00.000Z'), 'America/New_York').resets_at.toISOString())
+        .to.equal('2026-03-08T05:00:00.000Z');
+      expect(superLikeDay(new Date('2026-03-08T12:00:00.000Z'), 'America/New_York').resets_at.toISOString())
+        .to.equal('2026-03-09T04:00:00.000Z');
+    });
+  });
+});
+
+describe('Super Like Service', () => {
+  describe('purchasePack', () => {
+    const PURCHASE_ID = '6f1c2b9e-3d4a-4f5b-8c7d-2e1f0a9b8c7d';
+    const square = {
+      SQUARE_SANDBOX_ACCESS_TOKEN: 'sandbox-token',
+      SQUARE_SANDBOX_LOCATION_ID: 'location-1'
+    };
+    let saved;
+    let updates;
+    let createPayment;
+    let rpc;
+
+    /**
+     * Stub the purchases table; an existing row makes the insert hit the unique purchase ID
+     * @param {Object} existing - super_like_purchases row already stored, or null
+     */
+    function stubPurchase(existing = null) {
+      updates = [];
+      createPayment = sinon.stub(PaymentsApi.prototype, 'createPayment')
+        .resolves({ result: { payment: { id: 'payment-1', status: 'COMPLETED' } } });
+      rpc = sinon.stub(supabase, 'rpc').resolves({ data: 7, error: null });
+
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery(calls => {
+        const methods = calls.map(([method]) => method);
+
+        if (table === 'super_like_credits') {
+          return { data: { balance: 9 } };
+        }
+
+        if (methods.includes('update')) {
+          updates.push(calls.find(([method]) => method === 'update')[1]);
+          return {};
+        }
+
+        if (methods.includes('insert')) {
+          return existing
+            ? { error: { code: '23505', message: 'duplicate key value' } }
+            : { data: { id: 'purchase-1', purchase_id: PURCHASE_ID, pack: 'five', quantity: 5, status: 'pending', payment_id: null } };
+        }
+
+        return { data: existing };
+      }));
+    }
+
+    before(() => {
+      saved = Object.fromEntries(Object.keys(square).map(key => [key, process.env[key]]));
+      Object.assign(process.env, square);
+    });
+
+    after(() => {
+      Object.entries(saved).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should need a purchase ID from the client', async () => {
+      stubPurchase();
+
+      const error = await rejectionOf(superLikeService.purchasePack('user-1', { pack: 'five', token: 'nonce' }));
+
+      expect(error.statusCode).to.equal(400);
+      expect(createPayment.called).to.be.false;
+    });
+
+    it('should record the purchase, charge with a key from the purchase ID and then credit it', async () => {
+      stubPurchase();
+
+      const result = await superLikeService.purchasePack('user-1', { pack: 'five', token: 'nonce', purchase_id: PURCHASE_ID });
+      const [{ idempotencyKey, sourceId }] = createPayment.firstCall.args;
+
+      expect(result).to.deep.equal({ purchase_id: PURCHASE_ID, pack: 'five', quantity: 5, credits: 7, payment_id: 'payment-1' });
+      expect(sourceId).to.equal('nonce');
+      expect(idempotencyKey).to.have.length(45);
+      expect(updates).to.deep.equal([{ payment_id: 'payment-1' }]);
+      expect(rpc.calledOnceWith('add_super_like_credits', { target_purchase_id: 'purchase-1', payment_id: 'payment-1' })).to.be.true;
+
+      sinon.restore();
+      stubPurchase();
+      await superLikeService.purchasePack('user-1', { pack: 'five', token: 'other-nonce', purchase_id: PURCHASE_ID });
+
+      expect(createPayment.firstCall.args[0].idempotencyKey).to.equal(idempotencyKey);
+    });
+
+    it('should mark a declined purchase failed', async () => {
+      stubPurchase();
+      createPayment.rejects(new Error('CARD_DECLINED'));
+
+      const error = await rejectionOf(superLikeService.purchasePack('user-1', { pack: 'five', token: 'nonce', purchase_id: PURCHASE_ID }));
+
+      expect(error.statusCode).to.equal(402);
+      expect(updates).to.deep.equal([{ status: 'failed' }]);
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should keep a charged purchase pending when crediting fails', async () => {
+      stubPurchase();
+      rpc.resolves({ data: null, error: { message: 'connection reset' } });
+
+      await rejectionOf(superLikeService.purchasePack('user-1', { pack: 'five', token: 'nonce', purchase_id: PURCHASE_ID }));
+
+      expect(updates).to.deep.equal([{ payment_id: 'payment-1' }]);
+    });
+
+    it('should credit a retried purchase that was charged before without charging again', async () => {
+      stubPurchase({ id: 'purchase-1', purchase_id: PURCHASE_ID, pack: 'five', quantity: 5, status: 'pending', payment_id: 'payment-1' });
+
+      const result = await superLikeService.purchasePack('user-1', { pack: 'five', token: 'nonce', purchase_id: PURCHASE_ID });
+
+      expect(createPayment.called).to.be.false;
+      expect(rpc.calledOnceWith('add_super_like_credits', { target_purchase_id: 'purchase-1', payment_id: 'payment-1' })).to.be.true;
+      expect(result.credits).to.equal(7);
+    });
+
+    it('should return a completed purchase again and refuse reused or failed purchase IDs', async () => {
+      const purchase = { id: 'purchase-1', purchase_id: PURCHASE_ID, pack: 'five', quantity: 5, payment_id: 'payment-1' };
+
+      stubPurchase({ ...purchase, status: 'completed' });
+      const completed = await superLikeService.purchasePack('user-1', { pack: 'five', token: 'nonce', purchase_id: PURCHASE_ID });
+      const otherPack = await rejectionOf(superLikeService.purchasePack('user-1', { pack: 'fifteen', token: 'nonce', purchase_id: PURCHASE_ID }));
+      expect(createPayment.called || rpc.called).to.be.false;
+      sinon.restore();
+
+      stubPurchase({ ...purchase, status: 'failed', payment_id: null });
+      const failed = await rejectionOf(superLikeService.purchasePack('user-1', { pack: 'five', token: 'nonce', purchase_id: PURCHASE_ID }));
+
+      expect(completed).to.deep.equal({ purchase_id: PURCHASE_ID, pack: 'five', quantity: 5, credits: 9, payment_id: 'payment-1' });
+      expect(otherPack.statusCode).to.equal(409);
+      expect(failed.statusCode).to.equal(409);
+      expect(createPayment.called).to.be.false;
+    });
+  });
+
+  describe('add_super_like_credits SQL', function () {
+    this.timeout(30000);
+
+    const BUYER = '00000000-0000-0000-0000-000000000001';
+    const PURCHASE = '00000000-0000-0000-0000-0000000000b1';
+    let db;
+
+    before(async () => {
+      db = await createTestDb(`
+        CREATE TABLE public.super_like_credits (
+          user_id UUID CONSTRAINT super_like_credits_pkey PRIMARY KEY,
+          balance INTEGER NOT NULL DEFAULT 0,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE TABLE public.super_like_purchases (
+          id UUID PRIMARY KEY,
+          user_id UUID NOT NULL,
+          quantity INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          payment_id TEXT UNIQUE,
+          completed_at TIMESTAMPTZ
+        );
+      `);
+      await db.exec(migrationFunction('20261018220000_create_super_likes.sql', 'add_super_like_credits'));
+      await db.query('INSERT INTO public.super_like_credits (user_id, balance) VALUES ($1, 2)', [BUYER]);
+      await db.query('INSERT INTO public.super_like_purchases (id, user_id, quantity) VALUES ($1, $2, 5)', [PURCHASE, BUYER]);
+    });
+
+    after(async () => {
+      await db.close();
+    });
+
+    it('should credit a purchase once however often it is retried', async () => {
+      const credit = () => db.query('SELECT public.add_super_like_credits($1, $2) AS balance', [PURCHASE, 'payment-1']);
+
+      const balances = [];
+      for (let i = 0; i < 3; i++) {
+        balances.push((await credit()).rows[0].balance);
+      }
+
+      const { rows: [purchase] } = await db.query('SELECT status, payment_id FROM public.super_like_purchases');
+
+      expect(balances).to.deep.equal([7, 7, 7]);
+      expect(purchase).to.deep.equal({ status: 'completed', payment_id: 'payment-1' });
+    });
+  });
+});
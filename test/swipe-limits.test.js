@@ -0,0 +1,78 @@
+import { expect } from 'chai';
+import {
+  countsTowardsQuota,
+  detectSwipeVelocity,
+  parseSwipeQuotas
+} from '../src/utils/swipe-limits.js';
+
+describe('Swipe Limit Utils', () => {
+  const now = new Date('2026-10-19T04:00:00.000Z');
+
+  /**
+   * Swipes going back from now, one per gap
+   */
+  const swipesEvery = (gapsMs, direction = 'like') => {
+    let at = now.getTime();
+    return gapsMs.map(gap => {
+      at -= gap;
+      return { direction, created_at: new Date(at).toISOString() };
+    });
+  };
+
+  describe('parseSwipeQuotas', () => {
+    it('should parse overrides and drop unknown tiers and bad counts', () => {
+      expect(parseSwipeQuotas('free=50, yearly=2000,gold=9,paid=-1,monthly=x'))
+        .to.deep.equal({ free: 50, yearly: 2000 });
+      expect(parseSwipeQuotas('')).to.deep.equal({});
+    });
+  });
+
+  describe('countsTowardsQuota', () => {
+    it('should only count likes', () => {
+      expect(countsTowardsQuota('like')).to.equal(true);
+      expect(countsTowardsQuota('dislike')).to.equal(false);
+      expect(countsTowardsQuota('super_like')).to.equal(false);
+    });
+  });
+
+  describe('detectSwipeVelocity', () => {
+    it('should flag a burst of likes inside the window', () => {
+      const burst = swipesEvery(Array.from({ length: 100 }, (_, i) => 300 + (i % 7) * 90));
+      const finding = detectSwipeVelocity(burst, { now });
+
+      expect(finding.reason).to.equal('burst');
+      expect(finding.details).to.deep.equal({ likes: 100, window_seconds: 60 });
+    });
+
+    it('should not count passes towards a burst', () => {
+      const passes = swipesEvery(Array.from({ length: 100 }, (_, i) => 300 + (i % 7) * 90), 'dislike');
+
+      expect(detectSwipeVelocity(passes, { now })).to.equal(null);
+    });
+
+    it('should flag swipes spaced almost exactly evenly', () => {
+      const finding = detectSwipeVelocity(swipesEvery(Array(20).fill(2000)), { now });
+
+      expect(finding.reason).to.equal('uniform_timing');
+      expect(finding.details).to.deep.equal({ swipes: 20, mean_interval_ms: 2000, variation: 0 });
+    });
+
+    it('should leave irregular, human-paced swiping alone', () => {
+      const gaps = [1800, 4200, 2500, 900, 6100, 3000, 2200, 5400, 1300, 2800,
+        3900, 1600, 7200, 2100, 3300, 1100, 4500, 2600, 1900, 3700];
+
+      expect(detectSwipeVelocity(swipesEvery(gaps), { now })).to.equal(null);
+    });
+
+    it('should ignore even spacing when the gaps are long', () => {
+      expect(detectSwipeVelocity(swipesEvery(Array(20).fill(60000)), { now })).to.equal(null);
+    });
+
+    it('should use threshold overrides', () => {
+      const swipes = swipesEvery(Array(10).fill(1000).map((gap, i) => gap + i * 150));
+
+      expect(detectSwipeVelocity(swipes, { now })).to.equal(null);
+      expect(detectSwipeVelocity(swipes, { now, thresholds: { burstLikes: 10 } }).reason).to.equal('burst');
+    });
+  });
+});
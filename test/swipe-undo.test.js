@@ -0,0 +1,50 @@
+import { expect } from 'chai';
+import { UNDO_REJECTIONS, checkUndo, undoDeadline } from '../src/utils/swipe-undo.js';
+
+describe('Swipe Undo Utils', () => {
+  const swipedAt = '2026-10-18T20:00:00.000Z';
+  const options = { windowSeconds: 30, allowLikes: true };
+
+  describe('undoDeadline', () => {
+    it('should end the undo window the configured time after the swipe', () => {
+      const deadline = undoDeadline({ direction: 'dislike', created_at: swipedAt }, options);
+
+      expect(deadline.toISOString()).to.equal('2026-10-18T20:00:30.000Z');
+    });
+
+    it('should not give likes a window when likes cannot be undone', () => {
+      const swipe = { direction: 'like', created_at: swipedAt };
+
+      expect(undoDeadline(swipe, { ...options, allowLikes: false })).to.equal(null);
+      expect(undoDeadline(swipe, options)).to.be.an.instanceOf(Date);
+    });
+
+    it('should not give any window when undo is turned off', () => {
+      expect(undoDeadline({ direction: 'dislike', created_at: swipedAt }, { ...options, windowSeconds: 0 })).to.equal(null);
+    });
+  });
+
+  describe('checkUndo', () => {
+    it('should allow undoing a recent pass', () => {
+      const now = new Date('2026-10-18T20:00:20.000Z');
+
+      expect(checkUndo({ direction: 'dislike', created_at: swipedAt }, { ...options, now })).to.equal(null);
+    });
+
+    it('should reject swipes past the window', () => {
+      const now = new Date('2026-10-18T20:00:31.000Z');
+
+      expect(checkUndo({ direction: 'dislike', created_at: swipedAt }, { ...options, now })).to.equal('expired');
+    });
+
+    it('should explain why a like or a missing swipe cannot be undone', () => {
+      const now = new Date('2026-10-18T20:00:05.000Z');
+
+      expect(checkUndo(null, { ...options, now })).to.equal('none');
+      expect(checkUndo({ direction: 'like', created_at: swipedAt }, { ...options, allowLikes: false, now }))
+        .to.equal('likes_disabled');
+      expect(checkUndo({ direction: 'super_like', created_at: swipedAt }, { ...options, now })).to.equal('super_like');
+      expect(Object.keys(UNDO_REJECTIONS)).to.include.members(['none', 'likes_disabled', 'super_like', 'expired']);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { supabase } from '../src/utils/supabase.js';
+import { swipeService } from '../src/services/swipe-service.js';
+import { likesService } from '../src/services/likes-service.js';
+import { moderationService } from '../src/services/moderation-service.js';
+import { swipeLimitService } from '../src/services/swipe-limit-service.js';
+import { UNDO_REJECTIONS } from '../src/utils/swipe-undo.js';
+
+describe('Swipes', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('swipe', () => {
+    const SWIPER = '00000000-0000-0000-0000-000000000001';
+    const TARGET = '00000000-0000-0000-0000-000000000002';
+    const VENUE = '00000000-0000-0000-0000-0000000000a1';
+
+    /**
+     * Stub the tables a swipe reads before it's recorded
+     * @param {Object} tables - Results by table name; profiles defaults to an existing target
+     */
+    function stubTables(tables = {}) {
+      return sinon.stub(supabase, 'from').callsFake(table => stubQuery(
+        table in tables ? tables[table] : { data: table === 'profiles' ? { id: TARGET } : null }
+      ));
+    }
+
+    it('should reject missing targets, unknown directions and swiping on yourself', async () => {
+      const from = stubTables();
+
+      const missing = await rejectionOf(swipeService.swipe(SWIPER, { direction: 'like' }));
+      const direction = await rejectionOf(swipeService.swipe(SWIPER, { target_user_id: TARGET, direction: 'love' }));
+      const self = await rejectionOf(swipeService.swipe(SWIPER, { target_user_id: SWIPER, direction: 'like' }));
+
+      expect([missing, direction, self].map(error => error.statusCode)).to.deep.equal([400, 400, 400]);
+      expect(missing.message).to.equal('target_user_id is required');
+      expect(direction.message).to.match(/direction must be one of/);
+      expect(self.message).to.equal('You cannot swipe on yourself');
+      expect(from.called).to.be.false;
+    });
+
+    it('should reject malformed IDs before they reach a query', async () => {
+      const from = stubTables();
+
+      const target = await rejectionOf(swipeService.swipe(SWIPER, { target_user_id: 'x),or(id.neq.0', direction: 'like' }));
+      const venue = await rejectionOf(swipeService.swipe(SWIPER, { target_user_id: TARGET, direction: 'like', venue_id: 'venue-1' }));
+
+      expect(target.statusCode).to.equal(400);
+      expect(target.message).to.equal('target_user_id must be a user ID');
+      expect(venue.statusCode).to.equal(400);
+      expect(from.called).to.be.false;
+    });
+
+    it('should treat unknown and blocked people alike', async () => {
+      stubTables({ profiles: { data: null } });
+      const unknown = await rejectionOf(swipeService.swipe(SWIPER, { target_user_id: TARGET, direction: 'like' }));
+      sinon.restore();
+
+      stubTables();
+      sinon.stub(moderationService, 'isBlocked').resolves(true);
+      const blocked = await rejectionOf(swipeService.swipe(SWIPER, { target_user_id: TARGET, direction: 'like' }));
+
+      expect(unknown.statusCode).to.equal(404);
+      expect(blocked.statusCode).to.equal(404);
+      expect(blocked.message).to.equal(unknown.message);
+    });
+
+    it('should not let people swipe on each other during the unmatch cooling-off period', async () => {
+      stubTables({ matches: { data: { rematch_after: new Date(Date.now() + 60 * 60 * 1000).toISOString() } } });
+      sinon.stub(moderationService, 'isBlocked').resolves(false);
+      const beforeSwipe = sinon.stub(swipeLimitService, 'beforeSwipe');
+
+      const error = await rejectionOf(swipeService.swipe(SWIPER, { target_user_id: TARGET, direction: 'like' }));
+
+      expect(error.statusCode).to.equal(409);
+      expect(beforeSwipe.called).to.be.false;
+    });
+
+    it('should only take one super like per person', async () => {
+      stubTables({ swipes: { data: { id: 'swipe-1' } } });
+      sinon.stub(moderationService, 'isBlocked').resolves(false);
+      sinon.stub(swipeLimitService, 'beforeSwipe').resolves();
+
+      const error = await rejectionOf(swipeService.swipe(SWIPER, { target_user_id: TARGET, direction: 'super_like' }));
+
+      expect(error.statusCode).to.equal(409);
+      expect(error.message).to.equal('You already super liked this person');
+    });
+
+    it('should report an unknown venue as a validation error', async () => {
+      stubTables();
+      sinon.stub(moderationService, 'isBlocked').resolves(false);
+      sinon.stub(swipeLimitService, 'beforeSwipe').resolves();
+      sinon.stub(supabase, 'rpc').resolves({ data: null, error: { code: '23503', message: 'violates foreign key constraint' } });
+
+      const error = await rejectionOf(swipeService.swipe(SWIPER, {
+        target_user_id: TARGET,
+        direction: 'like',
+        venue_id: VENUE
+      }));
+
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal('Venue not found');
+    });
+  });
+
+  describe('undoLastSwipe', () => {
+    const secondsAgo = seconds => new Date(Date.now() - seconds * 1000).toISOString();
+
+    /**
+     * Stub the user's last swipe and the swiped person's profile
+     * @param {Object} last - Last swipe, or null
+     */
+    function stubLastSwipe(last) {
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery({
+        data: table === 'swipes' ? last : { id: last.swiped_id, display_name: 'Sam' }
+      }));
+    }
+
+    it('should say there is nothing to undo when the user has not swiped', async () => {
+      stubLastSwipe(null);
+      const rpc = sinon.stub(supabase, 'rpc');
+
+      const error = await rejectionOf(swipeService.undoLastSwipe('user-1'));
+
+      expect(error.statusCode).to.equal(404);
+      expect(error.message).to.equal(UNDO_REJECTIONS.none);
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should refuse super likes and swipes past the undo window', async () => {
+      const rpc = sinon.stub(supabase, 'rpc');
+
+      stubLastSwipe({ id: 'swipe-1', swiped_id: 'user-2', direction: 'super_like', created_at: secondsAgo(5) });
+      const superLike = await rejectionOf(swipeService.undoLastSwipe('user-1'));
+      supabase.from.restore();
+
+      stubLastSwipe({ id: 'swipe-2', swiped_id: 'user-2', direction: 'dislike', created_at: secondsAgo(120) });
+      const expired = await rejectionOf(swipeService.undoLastSwipe('user-1'));
+
+      expect(superLike.statusCode).to.equal(409);
+      expect(superLike.message).to.equal(UNDO_REJECTIONS.super_like);
+      expect(expired.statusCode).to.equal(409);
+      expect(expired.message).to.equal(UNDO_REJECTIONS.expired);
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should refuse a swipe that matched or was replaced before the undo went through', async () => {
+      stubLastSwipe({ id: 'swipe-1', swiped_id: 'user-2', direction: 'like', created_at: secondsAgo(5) });
+      sinon.stub(supabase, 'rpc').resolves({ data: [], error: null });
+
+      const error = await rejectionOf(swipeService.undoLastSwipe('user-1'));
+
+      expect(error.statusCode).to.equal(409);
+      expect(error.message).to.equal('That swipe can no longer be undone');
+    });
+
+    it('should give back the person so they can be shown again', async () => {
+      stubLastSwipe({ id: 'swipe-1', swiped_id: 'user-2', direction: 'dislike', created_at: secondsAgo(5) });
+      const rpc = sinon.stub(supabase, 'rpc').resolves({ data: [{ id: 'swipe-1' }], error: null });
+
+      const undone = await swipeService.undoLastSwipe('user-1');
+
+      expect(rpc.calledOnceWith('undo_swipe', { swiper_id: 'user-1', swipe_id: 'swipe-1' })).to.be.true;
+      expect(undone).to.deep.equal({
+        target_user_id: 'user-2',
+        direction: 'dislike',
+        profile: { id: 'user-2', display_name: 'Sam' }
+      });
+    });
+  });
+
+  describe('getLikesReceived', () => {
+    const likes = [3, 2, 1].map(n => ({
+      swipe_id: `swipe-${n}`,
+      user_id: `user-${n + 1}`,
+      display_name: null,
+      full_name: `Person ${n}`,
+      avatar_url: `https://example.com/${n}.jpg`,
+      age_years: 30 + n,
+      direction: n === 2 ? 'super_like' : 'like',
+      liked_at: `2026-10-18T2${n}:00:00.000Z`
+    }));
+
+    /**
+     * Stub a page of likes and the total waiting
+     * @param {Array} page - Rows from get_likes_received
+     */
+    function stubLikes(page) {
+      return sinon.stub(supabase, 'rpc').callsFake(async name => ({
+        data: name === 'count_likes_received' ? likes.length : page,
+        error: null
+      }));
+    }
+
+    it('should blur likes for people without a subscription', async () => {
+      stubLikes(likes);
+
+      const inbox = await likesService.getLikesReceived('user-1');
+
+      expect(inbox.revealed).to.be.false;
+      expect(inbox.total).to.equal(3);
+      expect(inbox.results).to.deep.equal([
+        { liked_at: likes[0].liked_at, super_like: false, blurred: true },
+        { liked_at: likes[1].liked_at, super_like: true, blurred: true },
+        { liked_at: likes[2].liked_at, super_like: false, blurred: true }
+      ]);
+    });
+
+    it('should show subscribers who liked them', async () => {
+      stubLikes(likes.slice(0, 1));
+
+      const [like] = (await likesService.getLikesReceived('user-1', { revealed: true })).results;
+
+      expect(like).to.include({ blurred: false, user_id: 'user-4', display_name: 'Person 3', age: 33 });
+    });
+
+    it('should page through likes with a cursor', async () => {
+      const rpc = stubLikes(likes);
+
+      const first = await likesService.getLikesReceived('user-1', { limit: 2 });
+      rpc.resetHistory();
+      await likesService.getLikesReceived('user-1', { limit: 2, cursor: first.next_cursor });
+
+      expect(first.results).to.have.length(2);
+      expect(rpc.calledWith('get_likes_received', {
+        viewer_id: 'user-1',
+        before_at: likes[1].liked_at,
+        before_id: 'swipe-2',
+        max_results: 3
+      })).to.be.true;
+    });
+
+    it('should reject bad page sizes and cursors', async () => {
+      const rpc = stubLikes(likes);
+
+      expect((await rejectionOf(likesService.getLikesReceived('user-1', { limit: 51 }))).statusCode).to.equal(400);
+      expect((await rejectionOf(likesService.getLikesReceived('user-1', { cursor: 'nope' }))).statusCode).to.equal(400);
+      expect(rpc.called).to.be.false;
+    });
+  });
+
+  describe('likeBack', () => {
+    it('should only like back people who are waiting for an answer', async () => {
+      const pending = stubQuery({ data: [] });
+      sinon.stub(supabase, 'rpc').returns(pending);
+      const swipe = sinon.stub(swipeService, 'swipe');
+
+      const error = await rejectionOf(likesService.likeBack('user-1', 'user-2'));
+
+      expect(error.statusCode).to.equal(404);
+      expect(pending.calls).to.deep.include(['eq', 'swiper_id', 'user-2']);
+      expect(swipe.called).to.be.false;
+    });
+
+    it('should like back through a regular swipe', async () => {
+      sinon.stub(supabase, 'rpc').returns(stubQuery({ data: [{ swiper_id: 'user-2' }] }));
+      const swipe = sinon.stub(swipeService, 'swipe').resolves({ is_match: true });
+
+      expect(await likesService.likeBack('user-1', 'user-2')).to.deep.equal({ is_match: true });
+      expect(swipe.calledOnceWith('user-1', { target_user_id: 'user-2', direction: 'like' })).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import {
+  MATCH_ACTIVITY_WEIGHT,
+  buildBusyHours,
+  buildHeatmapGrid,
+  describeBusyness
+} from '../src/utils/venue-activity.js';
+
+describe('Venue Activity Utils', () => {
+  describe('buildBusyHours', () => {
+    it('should fill a full week and scale busyness to the peak hour', () => {
+      const { days, peak } = buildBusyHours([
+        { weekday: 5, hour: 23, avg_check_ins: 8, avg_matches: 1 },
+        { weekday: 5, hour: 21, avg_check_ins: 5, avg_matches: 0 }
+      ]);
+
+      expect(days).to.have.length(7);
+      expect(days.every(day => day.hours.length === 24)).to.equal(true);
+      expect(peak).to.deep.equal({ weekday: 5, hour: 23 });
+
+      expect(days[5].hours[23]).to.include({ check_ins: 8, matches: 1, busyness: 100, level: 'peak' });
+      expect(days[5].hours[21].busyness).to.equal(Math.round(100 * 5 / (8 + MATCH_ACTIVITY_WEIGHT)));
+      expect(days[1].hours[12]).to.include({ check_ins: 0, busyness: 0, level: 'quiet' });
+    });
+
+    it('should report no busyness without any activity', () => {
+      const { days, peak } = buildBusyHours([]);
+
+      expect(peak).to.equal(null);
+      expect(days[0].hours[0]).to.include({ busyness: null, level: null });
+    });
+  });
+
+  describe('describeBusyness', () => {
+    it('should map scores to levels', () => {
+      expect(describeBusyness(0)).to.equal('quiet');
+      expect(describeBusyness(40)).to.equal('moderate');
+      expect(describeBusyness(70)).to.equal('busy');
+      expect(describeBusyness(100)).to.equal('peak');
+    });
+  });
+
+  describe('buildHeatmapGrid', () => {
+    const venues = [
+      { venue_id: 'a', lat: 37.7600, lng: -122.4200, people_count: 6, recent_matches: 0 },
+      { venue_id: 'b', lat: 37.7601, lng: -122.4201, people_count: 2, recent_matches: 1 },
+      { venue_id: 'c', lat: 37.8000, lng: -122.4000, people_count: 1, recent_matches: 0 },
+      { venue_id: 'd', lat: 37.8100, lng: -122.4100, people_count: 0, recent_matches: 0 }
+    ];
+
+    it('should merge nearby venues into one weighted cell', () => {
+      const { cells, max_weight } = buildHeatmapGrid(venues, 1000);
+
+      expect(cells).to.have.length(2);
+      expect(cells[0]).to.include({ weight: 6 + 2 + MATCH_ACTIVITY_WEIGHT, people_count: 8, recent_matches: 1, venue_count: 2 });
+      expect(cells[0].lat).to.be.within(37.7600, 37.7601);
+      expect(max_weight).to.equal(cells[0].weight);
+    });
+
+    it('should keep one point per venue without a cell size', () => {
+      expect(buildHeatmapGrid(venues).cells).to.have.length(3);
+    });
+  });
+});
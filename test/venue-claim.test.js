@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import {
+  generateClaimCode,
+  hashClaimCode,
+  maskPhone,
+  parseVenuePhone,
+  verifyClaimCode
+} from '../src/utils/venue-claim.js';
+
+describe('Venue Claim Utils', () => {
+  describe('claim codes', () => {
+    it('should generate zero-padded numeric codes', () => {
+      const code = generateClaimCode(6);
+      expect(code).to.match(/^\d{6}$/);
+    });
+
+    it('should verify the code that was hashed for the claim', () => {
+      const codeHash = hashClaimCode('012345', 'claim-1');
+      expect(verifyClaimCode('012345', 'claim-1', codeHash)).to.be.true;
+      expect(verifyClaimCode(' 012345 ', 'claim-1', codeHash)).to.be.true;
+    });
+
+    it('should reject a wrong code or a code from another claim', () => {
+      const codeHash = hashClaimCode('012345', 'claim-1');
+      expect(verifyClaimCode('012346', 'claim-1', codeHash)).to.be.false;
+      expect(verifyClaimCode('012345', 'claim-2', codeHash)).to.be.false;
+      expect(verifyClaimCode('', 'claim-1', codeHash)).to.be.false;
+    });
+  });
+
+  describe('parseVenuePhone', () => {
+    it('should normalize North American numbers', () => {
+      expect(parseVenuePhone('(415) 731-6447')).to.equal('+14157316447');
+      expect(parseVenuePhone('1-415-731-6447')).to.equal('+14157316447');
+    });
+
+    it('should keep numbers that already have a country code', () => {
+      expect(parseVenuePhone('+234 803 123 4567')).to.equal('+2348031234567');
+    });
+
+    it('should return null for numbers that cannot be dialled', () => {
+      expect(parseVenuePhone('731-6447')).to.be.null;
+      expect(parseVenuePhone(null)).to.be.null;
+    });
+  });
+
+  describe('maskPhone', () => {
+    it('should only show the last four digits', () => {
+      expect(maskPhone('+14157316447')).to.equal('•••• 6447');
+    });
+  });
+});
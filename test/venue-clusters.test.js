@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import {
+  CLUSTER_MAX_ZOOM,
+  MAX_MERCATOR_LAT,
+  clampBounds,
+  clusterCellSize,
+  formatClusters
+} from '../src/utils/venue-clusters.js';
+
+describe('Venue Cluster Utils', () => {
+  describe('clampBounds', () => {
+    it('should keep bounds inside the Web Mercator world', () => {
+      expect(clampBounds({ min_lat: -90, min_lng: -200, max_lat: 37.8, max_lng: 181 })).to.deep.equal({
+        min_lat: -MAX_MERCATOR_LAT,
+        min_lng: -180,
+        max_lat: 37.8,
+        max_lng: 180
+      });
+    });
+  });
+
+  describe('clusterCellSize', () => {
+    it('should halve the cell size with each zoom level', () => {
+      expect(clusterCellSize(10)).to.be.closeTo(clusterCellSize(11) * 2, 1e-6);
+      expect(clusterCellSize(12)).to.be.closeTo(2 * Math.PI * 6378137 / (256 * 4096) * 60, 1e-6);
+    });
+
+    it('should round fractional zoom levels', () => {
+      expect(clusterCellSize(12.4)).to.equal(clusterCellSize(12));
+    });
+
+    it('should stop clustering at the max cluster zoom', () => {
+      expect(clusterCellSize(CLUSTER_MAX_ZOOM - 1)).to.be.above(0);
+      expect(clusterCellSize(CLUSTER_MAX_ZOOM)).to.equal(0);
+    });
+  });
+
+  describe('formatClusters', () => {
+    it('should split cluster fields from the representative venue', () => {
+      const [cluster] = formatClusters([{
+        cluster_key: '12:-40',
+        venue_count: '3',
+        center_lat: 37.76,
+        center_lng: -122.42,
+        extent_south: 37.75,
+        extent_west: -122.43,
+        extent_north: 37.77,
+        extent_east: -122.41,
+        id: 'v1',
+        name: 'The Chapel',
+        lat: 37.7599,
+        lng: -122.4204
+      }]);
+
+      expect(cluster).to.deep.equal({
+        id: '12:-40',
+        count: 3,
+        lat: 37.76,
+        lng: -122.42,
+        bounds: [[37.75, -122.43], [37.77, -122.41]],
+        venue: { id: 'v1', name: 'The Chapel', lat: 37.7599, lng: -122.4204 }
+      });
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { supabase } from '../src/utils/supabase.js';
+import { venueEventService } from '../src/services/venue-event-service.js';
+import { createTestDb, migrationFunction } from './sql-test-db.js';
+
+describe('Venue Events', () => {
+  describe('validateEvent', () => {
+    const inAnHour = new Date(Date.now() + 60 * 60 * 1000);
+    const event = {
+      title: '  Singles mixer ',
+      event_type: 'singles_mixer',
+      starts_at: inAnHour.toISOString(),
+      ends_at: new Date(inAnHour.getTime() + 3 * 60 * 60 * 1000).toISOString(),
+      capacity: 40
+    };
+
+    it('should trim the title and fill in optional fields', () => {
+      expect(venueEventService.validateEvent(event)).to.include({
+        title: 'Singles mixer',
+        capacity: 40,
+        description: null,
+        image_url: null
+      });
+    });
+
+    it('should reject events that end before they start or run too long', () => {
+      expect(() => venueEventService.validateEvent({ ...event, ends_at: event.starts_at }))
+        .to.throw('ends_at must be after starts_at');
+      expect(() => venueEventService.validateEvent({
+        ...event,
+        ends_at: new Date(inAnHour.getTime() + 25 * 60 * 60 * 1000).toISOString()
+      })).to.throw('at most 24 hours');
+    });
+
+    it('should reject events that have already ended', () => {
+      expect(() => venueEventService.validateEvent({
+        ...event,
+        starts_at: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString(),
+        ends_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+      })).to.throw('Event has already ended');
+    });
+
+    it('should only accept a positive whole number capacity', () => {
+      expect(() => venueEventService.validateEvent({ ...event, capacity: 0 })).to.throw('capacity');
+      expect(() => venueEventService.validateEvent({ ...event, capacity: 2.5 })).to.throw('capacity');
+    });
+
+    it('should reject unknown event types', () => {
+      expect(() => venueEventService.validateEvent({ ...event, event_type: 'rave' })).to.throw('event_type');
+    });
+  });
+
+  describe('rsvp', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should reject an unknown status without saving anything', async () => {
+      const rpc = sinon.stub(supabase, 'rpc');
+
+      const error = await rejectionOf(venueEventService.rsvp('user-1', 'event-1', 'maybe'));
+
+      expect(error.statusCode).to.equal(400);
+      expect(rpc.called).to.be.false;
+    });
+
+    it('should save the RSVP through rsvp_to_event', async () => {
+      const rpc = sinon.stub(supabase, 'rpc').resolves({ data: { status: 'going' }, error: null });
+
+      expect(await venueEventService.rsvp('user-1', 'event-1')).to.deep.equal({ status: 'going' });
+      expect(rpc.calledOnceWith('rsvp_to_event', {
+        target_event_id: 'event-1',
+        target_user_id: 'user-1',
+        rsvp_status: 'going'
+      })).to.be.true;
+    });
+
+    it('should report a full event as a conflict', async () => {
+      sinon.stub(supabase, 'rpc').resolves({ data: null, error: { code: 'P0409', message: 'This event is full' } });
+
+      const error = await rejectionOf(venueEventService.rsvp('user-1', 'event-1'));
+
+      expect(error.statusCode).to.equal(409);
+      expect(error.message).to.equal('This event is full');
+    });
+
+    it('should report a cancelled or finished event as not found', async () => {
+      sinon.stub(supabase, 'rpc').resolves({ data: null, error: { code: 'P0404', message: 'Event not found' } });
+
+      expect((await rejectionOf(venueEventService.rsvp('user-1', 'event-1'))).statusCode).to.equal(404);
+    });
+  });
+
+  describe('updateEvent', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should not lower the capacity below the people already going', async () => {
+      const event = {
+        id: 'event-1',
+        title: 'Singles mixer',
+        event_type: 'singles_mixer',
+        starts_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        ends_at: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString(),
+        capacity: 40,
+        is_cancelled: false
+      };
+      sinon.stub(supabase, 'from').callsFake(() => stubQuery(calls => calls.some(([method]) => method === 'update')
+        ? { error: { code: 'P0409', message: 'capacity can\'t be lower than the 12 people already going' } }
+        : { data: event }));
+
+      const error = await rejectionOf(venueEventService.updateEvent('event-1', { capacity: 10 }));
+
+      expect(error.statusCode).to.equal(409);
+      expect(error.message).to.equal('capacity can\'t be lower than the 12 people already going');
+    });
+  });
+
+  describe('rsvp_to_event SQL', function () {
+    this.timeout(30000);
+
+    const EVENT = '00000000-0000-0000-0000-0000000000e1';
+    const users = [1, 2, 3].map(n => `00000000-0000-0000-0000-00000000000${n}`);
+    let db;
+
+    const rsvp = (userId, status = 'going', eventId = EVENT) =>
+      db.query('SELECT status FROM public.rsvp_to_event($1, $2, $3)', [eventId, userId, status]);
+
+    before(async () => {
+      db = await createTestDb(`
+        CREATE TABLE public.venue_events (
+          id UUID PRIMARY KEY,
+          ends_at TIMESTAMPTZ NOT NULL,
+          capacity INTEGER,
+          is_cancelled BOOLEAN NOT NULL DEFAULT false
+        );
+
+        CREATE TABLE public.venue_event_rsvps (
+          id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+          event_id UUID NOT NULL REFERENCES public.venue_events(id),
+          user_id UUID NOT NULL,
+          status TEXT NOT NULL,
+          UNIQUE(event_id, user_id)
+        );
+      `);
+      await db.exec(migrationFunction('20261019090000_add_venue_event_rsvp_function.sql', 'rsvp_to_event'));
+      await db.exec(migrationFunction('20261019090000_add_venue_event_rsvp_function.sql', 'check_venue_event_capacity'));
+      await db.exec(`
+        CREATE TRIGGER venue_events_check_capacity
+          BEFORE UPDATE OF capacity ON public.venue_events
+          FOR EACH ROW
+          EXECUTE FUNCTION public.check_venue_event_capacity();
+      `);
+      await db.query(`INSERT INTO public.venue_events (id, ends_at, capacity) VALUES ($1, NOW() + INTERVAL '1 day', 2)`, [EVENT]);
+    });
+
+    after(async () => {
+      await db.close();
+    });
+
+    it('should turn people away once the event is full', async () => {
+      await rsvp(users[0]);
+      await rsvp(users[1]);
+
+      const error = await rejectionOf(rsvp(users[2]));
+
+      expect(error.code).to.equal('P0409');
+      const { rows } = await db.query("SELECT COUNT(*)::INTEGER AS going FROM public.venue_event_rsvps WHERE status = 'going'");
+      expect(rows[0].going).to.equal(2);
+    });
+
+    it('should still let people say they are interested, or repeat their RSVP', async () => {
+      expect((await rsvp(users[2], 'interested')).rows).to.deep.equal([{ status: 'interested' }]);
+      expect((await rsvp(users[0])).rows).to.deep.equal([{ status: 'going' }]);
+    });
+
+    it('should give a place to the next person when someone steps down', async () => {
+      await rsvp(users[0], 'interested');
+      expect((await rsvp(users[2])).rows).to.deep.equal([{ status: 'going' }]);
+    });
+
+    it('should not let the capacity drop below the people already going', async () => {
+      const setCapacity = capacity => db.query('UPDATE public.venue_events SET capacity = $1 WHERE id = $2', [capacity, EVENT]);
+
+      const error = await rejectionOf(setCapacity(1));
+
+      expect(error.code).to.equal('P0409');
+      expect(error.message).to.equal('capacity can\'t be lower than the 2 people already going');
+      expect((await setCapacity(2)).affectedRows).to.equal(1);
+      expect((await setCapacity(null)).affectedRows).to.equal(1);
+    });
+
+    it('should not take RSVPs for cancelled events', async () => {
+      await db.query('UPDATE public.venue_events SET is_cancelled = true WHERE id = $1', [EVENT]);
+
+      expect((await rejectionOf(rsvp(users[0]))).code).to.equal('P0404');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+import {
+  formatImportReport,
+  mergeVenue,
+  nameSimilarity,
+  normalizeAddress,
+  normalizeVenueRecord,
+  parseCsv,
+  parseVenueFile,
+  planVenueImport
+} from '../src/utils/venue-import.js';
+
+describe('Venue Import Utils', () => {
+  describe('parsing', () => {
+    it('should parse CSV with quoted commas, quotes and newlines', () => {
+      const rows = parseCsv('name,address\r\n"Bar, The","1 ""A"" St\nFloor 2"\nPub,2 B St\n');
+
+      expect(rows).to.deep.equal([
+        { name: 'Bar, The', address: '1 "A" St\nFloor 2' },
+        { name: 'Pub', address: '2 B St' }
+      ]);
+    });
+
+    it('should read GeoJSON points as lat/lng', () => {
+      const records = parseVenueFile(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [{ id: 'n1', geometry: { type: 'Point', coordinates: [3.42, 6.43] }, properties: { name: 'Quilox' } }]
+      }), 'geojson');
+
+      expect(records).to.deep.equal([{ name: 'Quilox', id: 'n1', lat: 6.43, lng: 3.42 }]);
+    });
+  });
+
+  describe('normalization', () => {
+    it('should normalize street suffixes and casing in addresses', () => {
+      expect(normalizeAddress('777  VALENCIA STREET')).to.equal('777 Valencia St');
+      expect(normalizeAddress('12 mission st., suite 4')).to.equal('12 Mission St, Ste 4');
+    });
+
+    it('should map ScaleSerp places to venue rows', () => {
+      const { venue, errors } = normalizeVenueRecord({
+        title: 'Club Deluxe',
+        gps_coordinates: { latitude: 37.77, longitude: -122.44 },
+        data_cid: '123',
+        price: '$$',
+        country: 'United States'
+      }, { source: 'scaleserp' });
+
+      expect(errors).to.be.empty;
+      expect(venue).to.include({
+        name: 'Club Deluxe',
+        lat: 37.77,
+        lng: -122.44,
+        price_level: 2,
+        country: 'USA',
+        source: 'scaleserp',
+        source_id: '123'
+      });
+    });
+
+    it('should report records without a name or coordinates', () => {
+      expect(normalizeVenueRecord({ name: 'Nowhere' }).errors).to.deep.equal(['missing or invalid coordinates']);
+    });
+  });
+
+  describe('nameSimilarity', () => {
+    it('should ignore case, punctuation and a leading "the"', () => {
+      expect(nameSimilarity('The Chapel', 'chapel')).to.equal(1);
+      expect(nameSimilarity("Zeitgeist", "Zeitgeist Bar")).to.be.above(0.75);
+      expect(nameSimilarity('El Rio', 'Monarch')).to.be.below(0.2);
+    });
+  });
+
+  describe('mergeVenue', () => {
+    it('should only fill blank fields', () => {
+      expect(mergeVenue(
+        { name: 'Chapel', phone: null, website: 'https://a.example', source_id: null },
+        { name: 'The Chapel', phone: '555', website: 'https://b.example', source: 'osm', source_id: 'n1' }
+      )).to.deep.equal({ phone: '555', source: 'osm', source_id: 'n1' });
+    });
+  });
+
+  describe('planVenueImport', () => {
+    const existing = [
+      { id: 'v1', name: 'The Chapel', lat: 37.7599, lng: -122.4204, phone: null },
+      { id: 'v2', name: 'Zeitgeist', lat: 37.7695, lng: -122.4210, phone: '555', source: 'osm', source_id: 'n9' }
+    ];
+
+    it('should merge near duplicates and insert new venues', () => {
+      const plan = planVenueImport([
+        { name: 'Chapel', lat: 37.7600, lng: -122.4205, phone: '(415) 551-5157' },
+        { name: 'Zeitgeist Beer Garden', lat: 37.7800, lng: -122.4210, id: 'n9', source: 'osm' },
+        { name: 'New Bar', lat: 37.75, lng: -122.41 },
+        { name: 'new bar', lat: 37.7501, lng: -122.4101, phone: '123' },
+        { name: 'No Coordinates' }
+      ], existing);
+
+      expect(plan.updates).to.have.length(1);
+      expect(plan.updates[0]).to.include({ id: 'v1', row: 1 });
+      expect(plan.updates[0].changes).to.deep.equal({ phone: '(415) 551-5157' });
+
+      // Matched by source ID even though it is over a kilometer away
+      expect(plan.unchanged.map(entry => entry.id)).to.deep.equal(['v2']);
+
+      expect(plan.inserts).to.have.length(1);
+      expect(plan.inserts[0].venue).to.include({ name: 'New Bar', phone: '123' });
+
+      expect(plan.skipped.map(entry => entry.row)).to.deep.equal([4, 5]);
+    });
+
+    it('should not merge similar names that are far apart', () => {
+      const plan = planVenueImport([{ name: 'The Chapel', lat: 37.80, lng: -122.42 }], existing);
+      expect(plan.inserts).to.have.length(1);
+    });
+
+    it('should describe the plan in the report', () => {
+      const plan = planVenueImport([{ name: 'Chapel', lat: 37.7600, lng: -122.4205, phone: '555-0100' }], existing);
+      const report = formatImportReport(plan, { file: 'bars.csv' });
+
+      expect(report).to.include('# Venue import dry run: bars.csv');
+      expect(report).to.include('phone: (empty) -> "555-0100"');
+    });
+  });
+});
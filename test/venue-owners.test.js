@@ -0,0 +1,250 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { supabase } from '../src/utils/supabase.js';
+import { venueOwnerService } from '../src/services/venue-owner-service.js';
+import { venueEventService } from '../src/services/venue-event-service.js';
+import { hashClaimCode } from '../src/utils/venue-claim.js';
+import { createTestDb, migrationFunction } from './sql-test-db.js';
+
+describe('Venue Owner Service', () => {
+  describe('startClaim', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should stop one user from having the server call venue after venue', async () => {
+      const updates = [];
+      sinon.stub(supabase, 'from').callsFake(table => {
+        if (table === 'venues') {
+          return stubQuery({ data: { id: 'venue-1', name: 'The Local', phone: '(415) 555-0134', is_active: true } });
+        }
+
+        return stubQuery(calls => {
+          const update = calls.find(([method]) => method === 'update');
+          if (update) {
+            updates.push(update[1]);
+          }
+          return calls.some(([method, , options]) => method === 'select' && options?.head) ? { count: 6 } : {};
+        });
+      });
+
+      const error = await rejectionOf(venueOwnerService.startClaim('user-1', 'venue-1'));
+
+      expect(error.statusCode).to.equal(429);
+      expect(error.message).to.match(/Too many verification calls/);
+      expect(updates).to.deep.include({ status: 'failed' });
+    });
+  });
+
+  describe('verifyClaim', () => {
+    const claim = {
+      id: 'claim-1',
+      status: 'pending',
+      attempts: 0,
+      code_hash: hashClaimCode('123456', 'claim-1'),
+      code_expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString()
+    };
+    let updates;
+    let rpc;
+
+    /**
+     * Stub the pending claim and the guesses used after this one
+     * @param {number|null} attempts - What use_venue_claim_attempt returns
+     */
+    function stubClaim(attempts) {
+      updates = [];
+      rpc = sinon.stub(supabase, 'rpc').resolves({ data: attempts, error: null });
+      sinon.stub(supabase, 'from').callsFake(table => stubQuery(calls => {
+        const update = calls.find(([method]) => method === 'update');
+
+        if (table === 'venue_owners') {
+          return { data: { venue_id: 'venue-1', user_id: 'user-1' } };
+        }
+
+        if (update) {
+          updates.push(update[1]);
+          return { data: { id: claim.id } };
+        }
+
+        return { data: claim };
+      }));
+    }
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should count the guess before checking it', async () => {
+      stubClaim(2);
+
+      const error = await rejectionOf(venueOwnerService.verifyClaim('user-1', 'venue-1', '000000'));
+
+      expect(rpc.calledOnceWith('use_venue_claim_attempt', { target_claim_id: 'claim-1', max_attempts: 5 })).to.be.true;
+      expect(error.statusCode).to.equal(400);
+      expect(error.message).to.equal('Incorrect code. 3 attempt(s) left.');
+      expect(updates).to.deep.equal([]);
+    });
+
+    it('should lock the claim on the last wrong guess', async () => {
+      stubClaim(5);
+
+      const error = await rejectionOf(venueOwnerService.verifyClaim('user-1', 'venue-1', '000000'));
+
+      expect(error.statusCode).to.equal(429);
+      expect(updates).to.deep.equal([{ status: 'failed' }]);
+    });
+
+    it('should not check the code once the guesses are used up, even if it is right', async () => {
+      stubClaim(null);
+
+      const error = await rejectionOf(venueOwnerService.verifyClaim('user-1', 'venue-1', '123456'));
+
+      expect(error.statusCode).to.equal(429);
+      expect(updates).to.deep.equal([]);
+    });
+
+    it('should make the user an owner when the code is right', async () => {
+      stubClaim(1);
+
+      const owner = await venueOwnerService.verifyClaim('user-1', 'venue-1', '123456');
+
+      expect(owner).to.deep.equal({ venue_id: 'venue-1', user_id: 'user-1' });
+      expect(updates[0].status).to.equal('verified');
+    });
+  });
+
+  describe('use_venue_claim_attempt SQL', function () {
+    this.timeout(30000);
+
+    const CLAIM = '00000000-0000-0000-0000-0000000000c1';
+    let db;
+
+    before(async () => {
+      db = await createTestDb(`
+        CREATE TABLE public.venue_claims (
+          id UUID PRIMARY KEY,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          code_expires_at TIMESTAMPTZ NOT NULL
+        );
+      `);
+      await db.exec(migrationFunction('20261018140000_create_venue_ownership.sql', 'use_venue_claim_attempt'));
+      await db.query(`INSERT INTO public.venue_claims (id, code_expires_at) VALUES ($1, NOW() + INTERVAL '10 minutes')`, [CLAIM]);
+    });
+
+    after(async () => {
+      await db.close();
+    });
+
+    it('should hand out at most the allowed number of guesses', async () => {
+      const used = [];
+
+      for (let i = 0; i < 7; i++) {
+        const { rows } = await db.query('SELECT public.use_venue_claim_attempt($1, 5) AS used', [CLAIM]);
+        used.push(rows[0].used);
+      }
+
+      expect(used).to.deep.equal([1, 2, 3, 4, 5, null, null]);
+    });
+
+    it('should not count guesses at an expired claim', async () => {
+      await db.query(`UPDATE public.venue_claims SET attempts = 0, code_expires_at = NOW() - INTERVAL '1 minute'`);
+
+      const { rows } = await db.query('SELECT public.use_venue_claim_attempt($1, 5) AS used', [CLAIM]);
+
+      expect(rows[0].used).to.equal(null);
+    });
+  });
+
+  describe('approveChangeRequest', () => {
+    const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    let updates;
+
+    /**
+     * Stub the tables an approval touches
+     * @param {Object} request - Pending change request
+     * @param {Object} event - Current event, for edits
+     */
+    function stubTables(request, event = null) {
+      updates = [];
+      sinon.stub(supabase, 'from').callsFake(table => {
+        if (table === 'venue_events') {
+          return stubQuery({ data: event });
+        }
+
+        if (table === 'notifications') {
+          return stubQuery();
+        }
+
+        return stubQuery(calls => {
+          const update = calls.find(([method]) => method === 'update');
+
+          if (!update) {
+            return { data: request };
+          }
+
+          updates.push(update[1]);
+          return { data: { ...request, ...update[1] } };
+        });
+      });
+    }
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should reject a new event that has already started instead of leaving it pending', async () => {
+      const createEvent = sinon.stub(venueEventService, 'createEvent');
+      stubTables({
+        id: 'request-1',
+        status: 'pending',
+        change_type: 'event',
+        event_id: null,
+        submitted_by: 'owner-1',
+        payload: { title: 'Quiz night', starts_at: hoursFromNow(-1), ends_at: hoursFromNow(2) }
+      });
+
+      const reviewed = await venueOwnerService.approveChangeRequest('admin-1', 'request-1');
+
+      expect(reviewed.status).to.equal('rejected');
+      expect(reviewed.review_note).to.match(/already started/);
+      expect(createEvent.called).to.be.false;
+    });
+
+    it('should reject edits to an event that is under way', async () => {
+      const updateEvent = sinon.stub(venueEventService, 'updateEvent');
+      stubTables({
+        id: 'request-2',
+        status: 'pending',
+        change_type: 'event',
+        event_id: 'event-1',
+        submitted_by: 'owner-1',
+        payload: { title: 'Quiz night', starts_at: hoursFromNow(1), ends_at: hoursFromNow(3) }
+      }, { starts_at: hoursFromNow(-1), ends_at: hoursFromNow(1), is_cancelled: false });
+
+      const reviewed = await venueOwnerService.approveChangeRequest('admin-1', 'request-2');
+
+      expect(updates).to.have.length(1);
+      expect(reviewed.status).to.equal('rejected');
+      expect(updateEvent.called).to.be.false;
+    });
+
+    it('should still let an owner cancel an event that is under way', async () => {
+      const cancelEvent = sinon.stub(venueEventService, 'cancelEvent').resolves({});
+      stubTables({
+        id: 'request-3',
+        status: 'pending',
+        change_type: 'event',
+        event_id: 'event-1',
+        submitted_by: 'owner-1',
+        payload: { is_cancelled: true }
+      }, { starts_at: hoursFromNow(-1), ends_at: hoursFromNow(1), is_cancelled: false });
+
+      const reviewed = await venueOwnerService.approveChangeRequest('admin-1', 'request-3');
+
+      expect(reviewed.status).to.equal('approved');
+      expect(cancelEvent.calledOnceWith('event-1')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { expect } from 'chai';
+import { createVenueQrToken, verifyVenueQrToken } from '../src/utils/venue-qr-token.js';
+
+describe('Venue QR Tokens', () => {
+  const secret = 'test-secret';
+  const venueId = 'venue-123';
+  const now = new Date('2026-01-01T20:00:00Z');
+
+  it('should verify a token for the venue it was created for', () => {
+    const { token } = createVenueQrToken(venueId, secret, { ttlSeconds: 300, now });
+    expect(verifyVenueQrToken(token, venueId, secret, { now })).to.deep.equal({ valid: true, reason: null });
+  });
+
+  it('should report the expiry time of a token', () => {
+    const { expires_at } = createVenueQrToken(venueId, secret, { ttlSeconds: 300, now });
+    expect(expires_at).to.equal('2026-01-01T20:05:00.000Z');
+  });
+
+  it('should reject a token once it has expired', () => {
+    const { token } = createVenueQrToken(venueId, secret, { ttlSeconds: 300, now });
+    const later = new Date(now.getTime() + 301 * 1000);
+    expect(verifyVenueQrToken(token, venueId, secret, { now: later }).reason).to.equal('expired');
+  });
+
+  it('should reject a token for a different venue', () => {
+    const { token } = createVenueQrToken(venueId, secret, { now });
+    expect(verifyVenueQrToken(token, 'venue-456', secret, { now }).reason).to.equal('invalid_signature');
+  });
+
+  it('should reject a token with a tampered expiry', () => {
+    const { token } = createVenueQrToken(venueId, secret, { now });
+    const [expiresAt, signature] = token.split('.');
+    const tampered = `${Number(expiresAt) + 86400}.${signature}`;
+    expect(verifyVenueQrToken(tampered, venueId, secret, { now }).reason).to.equal('invalid_signature');
+  });
+
+  it('should reject malformed tokens', () => {
+    expect(verifyVenueQrToken('not-a-token', venueId, secret, { now }).reason).to.equal('malformed');
+    expect(verifyVenueQrToken(null, venueId, secret, { now }).reason).to.equal('malformed');
+  });
+});
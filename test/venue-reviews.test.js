@@ -0,0 +1,147 @@
+import { rejectionOf, stubQuery } from './service-test-setup.js';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { btree_gist } from '@electric-sql/pglite/contrib/btree_gist';
+import { supabase } from '../src/utils/supabase.js';
+import { reviewService } from '../src/services/review-service.js';
+import { createTestDb, readMigration } from './sql-test-db.js';
+
+describe('Venue Reviews', () => {
+  describe('createReview', () => {
+    let inserted;
+
+    /**
+     * Stub a recent check-in and the review insert
+     * @param {Object} insertError - Error the insert fails with, if any
+     */
+    function stubTables(insertError = null) {
+      inserted = null;
+      sinon.stub(supabase, 'from').callsFake(table => {
+        if (table === 'venue_check_ins') {
+          return stubQuery({ data: { id: 'check-in-1' } });
+        }
+
+        return stubQuery(calls => {
+          inserted = calls.find(([method]) => method === 'insert')[1];
+          return insertError ? { error: insertError } : { data: { id: 'review-1', ...inserted } };
+        });
+      });
+    }
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should start a review period when the review is saved', async () => {
+      stubTables();
+
+      await reviewService.createReview('user-1', 'venue-1', { rating: 4 });
+
+      const periodDays = (new Date(inserted.period_ends_at) - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(inserted).to.include({ check_in_id: 'check-in-1', rating: 4 });
+      expect(periodDays).to.be.closeTo(30, 0.01);
+    });
+
+    it('should report a second review within the period as a conflict', async () => {
+      stubTables({ code: '23P01', message: 'conflicting key value violates exclusion constraint' });
+
+      const error = await rejectionOf(reviewService.createReview('user-1', 'venue-1', { rating: 4 }));
+
+      expect(error.statusCode).to.equal(409);
+      expect(error.message).to.match(/already reviewed this venue recently/);
+    });
+  });
+
+  describe('venue_reviews SQL', function () {
+    this.timeout(30000);
+
+    const VENUE = '00000000-0000-0000-0000-0000000000a1';
+    const USER = '00000000-0000-0000-0000-000000000001';
+    const CHECK_INS = [1, 2, 3].map(n => `00000000-0000-0000-0000-0000000000c${n}`);
+    let db;
+
+    const review = (checkInId, rating, createdAt = 'NOW()') => db.query(`
+      INSERT INTO public.venue_reviews (venue_id, user_id, check_in_id, rating, created_at, period_ends_at)
+      VALUES ($1, $2, $3, $4, ${createdAt}, ${createdAt} + INTERVAL '30 days')
+      RETURNING id
+    `, [VENUE, USER, checkInId, rating]);
+
+    const venueStats = async () => (await db.query(
+      'SELECT rating, review_rating, review_count FROM public.venues WHERE id = $1',
+      [VENUE]
+    )).rows[0];
+
+    before(async () => {
+      db = await createTestDb(`
+        CREATE ROLE anon;
+        CREATE ROLE authenticated;
+        CREATE SCHEMA auth;
+        CREATE TABLE auth.users (id UUID PRIMARY KEY);
+
+        CREATE TABLE public.venues (
+          id UUID PRIMARY KEY,
+          name TEXT,
+          description TEXT,
+          address TEXT,
+          city TEXT,
+          category TEXT,
+          tags TEXT[],
+          price_level INTEGER,
+          rating FLOAT,
+          images TEXT[],
+          lat FLOAT,
+          lng FLOAT,
+          location geography,
+          is_verified BOOLEAN,
+          is_active BOOLEAN DEFAULT true,
+          opening_hours JSONB,
+          hours_exceptions JSONB,
+          timezone TEXT
+        );
+
+        CREATE TABLE public.venue_check_ins (id UUID PRIMARY KEY);
+      `, { btree_gist });
+      await db.exec(readMigration('20261018150000_create_venue_reviews.sql'));
+
+      await db.query('INSERT INTO auth.users (id) VALUES ($1)', [USER]);
+      await db.query('INSERT INTO public.venue_check_ins (id) VALUES ($1), ($2), ($3)', CHECK_INS);
+      await db.query('INSERT INTO public.venues (id, name, rating) VALUES ($1, $2, 4.4)', [VENUE, 'The Local']);
+    });
+
+    after(async () => {
+      await db.close();
+    });
+
+    it('should keep the review average apart from the imported rating', async () => {
+      await review(CHECK_INS[0], 2, "NOW() - INTERVAL '40 days'");
+
+      expect(await venueStats()).to.deep.equal({ rating: 4.4, review_rating: 2, review_count: 1 });
+    });
+
+    it('should allow a new review each period but turn away a second one within it', async () => {
+      await review(CHECK_INS[1], 5, "NOW() - INTERVAL '5 days'");
+
+      const error = await rejectionOf(review(CHECK_INS[2], 3));
+
+      expect(error.code).to.equal('23P01');
+      expect((await venueStats()).review_count).to.equal(2);
+    });
+
+    it('should not let clients recompute the review stats themselves', async () => {
+      await db.exec('SET ROLE authenticated;');
+
+      try {
+        const error = await rejectionOf(db.query('SELECT public.refresh_venue_review_stats($1)', [VENUE]));
+        expect(error.message).to.match(/permission denied/);
+      } finally {
+        await db.exec('RESET ROLE;');
+      }
+    });
+
+    it('should clear the review average once the reviews are gone', async () => {
+      await db.query('DELETE FROM public.venue_reviews');
+
+      expect(await venueStats()).to.deep.equal({ rating: 4.4, review_rating: null, review_count: 0 });
+    });
+  });
+});
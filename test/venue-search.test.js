@@ -0,0 +1,275 @@
+import { expect } from 'chai';
+import {
+  decodeCursor,
+  encodeCursor,
+  readFacetCounts,
+  sortVenues
+} from '../src/utils/venue-search.js';
+import { createTestDb, migrationFunction } from './sql-test-db.js';
+
+const SEARCH_MIGRATION = '20261019080000_move_venue_search_filters_into_sql.sql';
+
+describe('Venue Search Utils', () => {
+  const venues = [
+    { id: 'a', category: 'pub', city: 'San Francisco', price_level: 2, open_now: true, rank: 0.2, rating: 4.1, distance_km: 3 },
+    { id: 'b', category: 'pub', city: 'Oakland', price_level: 1, open_now: false, rank: 0.9, rating: 4.8, distance_km: 8 },
+    { id: 'c', category: 'club', city: 'San Francisco', price_level: 3, open_now: true, rank: 0.5, rating: 3.9, distance_km: 1 },
+    { id: 'd', category: 'lounge', city: 'San Francisco', price_level: 2, open_now: null, rank: 0.5, rating: 4.5, distance_km: 1 }
+  ];
+
+  describe('readFacetCounts', () => {
+    it('should group facet rows and sort each facet by count', () => {
+      const { facets, total } = readFacetCounts([
+        { facet: 'category', value: 'pub', venue_count: 1 },
+        { facet: 'category', value: 'club', venue_count: 1 },
+        { facet: 'category', value: 'lounge', venue_count: 4 },
+        { facet: 'city', value: 'Oakland', venue_count: 2 },
+        { facet: 'total', value: null, venue_count: 6 }
+      ]);
+
+      expect(facets.category).to.deep.equal([
+        { value: 'lounge', count: 4 },
+        { value: 'club', count: 1 },
+        { value: 'pub', count: 1 }
+      ]);
+      expect(facets.city).to.deep.equal([{ value: 'Oakland', count: 2 }]);
+      expect(facets.price_level).to.deep.equal([]);
+      expect(total).to.equal(6);
+    });
+
+    it('should turn price levels and open status back into numbers and booleans', () => {
+      const { facets } = readFacetCounts([
+        { facet: 'price_level', value: '2', venue_count: '3' },
+        { facet: 'open_now', value: 'true', venue_count: 2 },
+        { facet: 'open_now', value: 'false', venue_count: 1 }
+      ]);
+
+      expect(facets.price_level).to.deep.equal([{ value: 2, count: 3 }]);
+      expect(facets.open_now).to.deep.equal([
+        { value: true, count: 2 },
+        { value: false, count: 1 }
+      ]);
+    });
+  });
+
+  describe('sortVenues', () => {
+    it('should sort by relevance, then distance, then ID', () => {
+      expect(sortVenues(venues, 'relevance').map(v => v.id)).to.deep.equal(['b', 'c', 'd', 'a']);
+    });
+
+    it('should sort by distance', () => {
+      expect(sortVenues(venues, 'distance').map(v => v.id)).to.deep.equal(['c', 'd', 'a', 'b']);
+    });
+
+    it('should sort by review count, then review average', () => {
+      const reviewed = venues.map((v, i) => ({ ...v, review_count: [5, 2, 5, 0][i], review_rating: [4.6, 5, 3.8, null][i] }));
+      expect(sortVenues(reviewed, 'reviews').map(v => v.id)).to.deep.equal(['a', 'c', 'b', 'd']);
+    });
+
+    it('should sort by how often a vibe tag was used', () => {
+      const tagged = venues.map((v, i) => ({
+        ...v,
+        vibe_tag_counts: [{ loud: 3 }, { loud: 1, chill: 4 }, {}, { loud: 3 }][i],
+        review_rating: [3.5, 4, null, 4.2][i]
+      }));
+      expect(sortVenues(tagged, 'vibe', { vibe: 'loud' }).map(v => v.id)).to.deep.equal(['d', 'a', 'b', 'c']);
+    });
+  });
+
+  describe('cursors', () => {
+    const last = { id: '6f1c2a4e-8b1d-4c3e-9a57-2d0f5b7e9c11', sort_key: ['-4.5', '1.25'] };
+
+    it('should carry the sort key of the last venue on the page', () => {
+      expect(decodeCursor(encodeCursor(last, 'rating'), 'rating')).to.deep.equal({
+        key: [-4.5, 1.25],
+        id: last.id
+      });
+    });
+
+    it('should not accept a cursor from a different sort order', () => {
+      expect(decodeCursor(encodeCursor(last, 'rating'), 'distance')).to.be.null;
+      expect(decodeCursor('garbage', 'rating')).to.be.null;
+    });
+
+    it('should not accept a cursor with a malformed key or ID', () => {
+      const forged = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+      expect(decodeCursor(forged({ s: 'rating', k: ['x'], id: last.id }), 'rating')).to.be.null;
+      expect(decodeCursor(forged({ s: 'rating', k: [1], id: 'not-a-uuid' }), 'rating')).to.be.null;
+    });
+  });
+
+  describe('search SQL', function () {
+    this.timeout(30000);
+
+    // Thursday 19:00 in Los Angeles
+    const AS_OF = '2026-10-23T02:00:00.000Z';
+    const LATE_NIGHT = { thursday: { open: '17:00', close: '02:00' } };
+    const IDS = {
+      cove: '00000000-0000-0000-0000-000000000005',
+      lounge: '00000000-0000-0000-0000-000000000003',
+      club: '00000000-0000-0000-0000-000000000001',
+      clock: '00000000-0000-0000-0000-000000000004',
+      cafe: '00000000-0000-0000-0000-000000000002',
+      closed: '00000000-0000-0000-0000-000000000006'
+    };
+    let db;
+
+    /**
+     * Call a search function with named arguments, as the service does
+     * @param {string} name - search_venues or search_venue_facets
+     * @param {Object} args - Arguments by name
+     * @returns {Promise<Array<Object>>} - Rows
+     */
+    async function call(name, args = {}) {
+      const all = { default_timezone: 'America/Los_Angeles', as_of: AS_OF, ...args };
+      const names = Object.keys(all);
+      const { rows } = await db.query(
+        `SELECT * FROM public.${name}(${names.map((arg, i) => `${arg} => $${i + 1}`).join(', ')})`,
+        Object.values(all)
+      );
+      return rows;
+    }
+
+    /**
+     * Whether a venue is open, as venue_is_open reads it
+     * @returns {Promise<boolean|null>} - Open status
+     */
+    async function isOpen(hours, exceptions, timezone, asOf = AS_OF) {
+      const { rows } = await db.query('SELECT public.venue_is_open($1, $2, $3, $4) AS open', [hours, exceptions, timezone, asOf]);
+      return rows[0].open;
+    }
+
+    before(async () => {
+      db = await createTestDb(`
+        CREATE TABLE public.venues (
+          id UUID PRIMARY KEY,
+          name TEXT,
+          description TEXT,
+          address TEXT,
+          city TEXT,
+          category TEXT,
+          tags TEXT[],
+          price_level INTEGER,
+          rating FLOAT,
+          images TEXT[],
+          opening_hours JSONB,
+          hours_exceptions JSONB,
+          timezone TEXT,
+          lat FLOAT,
+          lng FLOAT,
+          location geography,
+          is_verified BOOLEAN DEFAULT false,
+          is_active BOOLEAN DEFAULT true,
+          search_vector TSVECTOR GENERATED ALWAYS AS (
+            to_tsvector('simple', COALESCE(name, '') || ' ' || COALESCE(description, ''))
+          ) STORED
+        );
+      `);
+      for (const name of ['venue_hours_minutes', 'venue_is_open', 'venue_search_candidates', 'search_venues', 'search_venue_facets']) {
+        await db.exec(migrationFunction(SEARCH_MIGRATION, name));
+      }
+
+      const venues = [
+        [IDS.cove, 'Smuggler Cove', 'bar', 'San Francisco', 2, 4.5, LATE_NIGHT, null],
+        [IDS.lounge, 'Cove Lounge', 'bar', 'San Francisco', 3, 4.5, { thursday: { closed: true } }, null],
+        [IDS.club, 'Harbor Club', 'club', 'Oakland', 2, 4.5, LATE_NIGHT, null],
+        [IDS.clock, 'Broken Clock', 'bar', 'San Francisco', 2, 4.0, LATE_NIGHT, 'Mars/Olympus_Mons'],
+        [IDS.cafe, 'Quiet Cafe', 'cafe', 'San Francisco', 1, 4.5, null, null]
+      ];
+      for (const [id, name, category, city, price, rating, hours, timezone] of venues) {
+        await db.query(`
+          INSERT INTO public.venues (id, name, category, city, price_level, rating, opening_hours, timezone, lat, lng, location)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 37.77, -122.42, ARRAY[-122.42, 37.77])
+        `, [id, name, category, city, price, rating, hours, timezone]);
+      }
+      await db.query(`
+        INSERT INTO public.venues (id, name, category, city, price_level, rating, is_active)
+        VALUES ($1, 'Closed Down Bar', 'bar', 'San Francisco', 2, 5, false)
+      `, [IDS.closed]);
+    });
+
+    after(async () => {
+      await db.close();
+    });
+
+    it('should read weekly hours, spans past midnight and date exceptions', async () => {
+      const tz = 'America/Los_Angeles';
+
+      expect(await isOpen(LATE_NIGHT, null, tz)).to.be.true;
+      // Friday 01:00 and 03:00, after Thursday's late opening
+      expect(await isOpen(LATE_NIGHT, null, tz, '2026-10-23T08:00:00.000Z')).to.be.true;
+      expect(await isOpen(LATE_NIGHT, null, tz, '2026-10-23T10:00:00.000Z')).to.be.false;
+      expect(await isOpen(LATE_NIGHT, { '2026-10-22': { closed: true } }, tz)).to.be.false;
+      expect(await isOpen({ thursday: '20:00-23:00' }, null, tz)).to.be.false;
+    });
+
+    it('should not know whether a venue is open without hours or a real time zone', async () => {
+      expect(await isOpen(null, null, 'America/Los_Angeles')).to.be.null;
+      expect(await isOpen(LATE_NIGHT, null, 'Mars/Olympus_Mons')).to.be.null;
+      expect(await isOpen(LATE_NIGHT, null, null)).to.be.null;
+    });
+
+    it('should match words as prefixes and leave out inactive venues', async () => {
+      const candidates = await call('venue_search_candidates', { search_query: 'cov' });
+
+      expect(candidates.map(venue => venue.id).sort()).to.deep.equal([IDS.lounge, IDS.cove].sort());
+      expect((await call('venue_search_candidates')).map(venue => venue.id)).not.to.include(IDS.closed);
+    });
+
+    it('should apply every filter together', async () => {
+      const open = await call('search_venues', { categories: ['bar'], price_levels: [2], only_open: true });
+      const closed = await call('search_venues', { categories: ['bar'], only_open: false });
+      const cities = await call('search_venues', { cities: ['Oakland'] });
+
+      expect(open.map(venue => venue.id)).to.deep.equal([IDS.cove]);
+      expect(closed.map(venue => venue.id)).to.deep.equal([IDS.lounge]);
+      expect(cities.map(venue => venue.id)).to.deep.equal([IDS.club]);
+    });
+
+    it('should leave a venue with an unknown time zone out of open and closed filters but not the search', async () => {
+      const all = await call('venue_search_candidates');
+      const clock = all.find(venue => venue.id === IDS.clock);
+
+      expect(clock.open_now).to.be.null;
+      expect((await call('search_venues', { only_open: true })).map(venue => venue.id)).not.to.include(IDS.clock);
+      expect((await call('search_venues', { only_open: false })).map(venue => venue.id)).not.to.include(IDS.clock);
+      expect((await call('search_venues')).map(venue => venue.id)).to.include(IDS.clock);
+    });
+
+    it('should count each facet with the other filters but not its own', async () => {
+      const { facets, total } = readFacetCounts(await call('search_venue_facets', { categories: ['bar'], price_levels: [2] }));
+
+      expect(total).to.equal(2);
+      expect(facets.category).to.deep.equal([{ value: 'bar', count: 2 }, { value: 'club', count: 1 }]);
+      expect(facets.city).to.deep.equal([{ value: 'San Francisco', count: 2 }]);
+      expect(facets.price_level).to.deep.equal([{ value: 2, count: 2 }, { value: 3, count: 1 }]);
+      // The venue with an unknown time zone counts as neither open nor closed
+      expect(facets.open_now).to.deep.equal([{ value: true, count: 1 }]);
+    });
+
+    it('should page through ties without skipping or repeating venues', async () => {
+      const seen = [];
+      let cursor = null;
+
+      for (let page = 0; page < 5; page++) {
+        const rows = await call('search_venues', {
+          sort_by: 'rating',
+          max_results: 2,
+          after_key: cursor?.key || null,
+          after_id: cursor?.id || null
+        });
+
+        seen.push(...rows.map(venue => venue.id));
+
+        if (rows.length < 2) {
+          break;
+        }
+
+        cursor = decodeCursor(encodeCursor(rows[rows.length - 1], 'rating'), 'rating');
+      }
+
+      expect(seen).to.deep.equal([IDS.club, IDS.cafe, IDS.lounge, IDS.cove, IDS.clock]);
+    });
+  });
+});
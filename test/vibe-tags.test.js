@@ -0,0 +1,47 @@
+import { expect } from 'chai';
+import {
+  getTopVibeTags,
+  isVibeTag,
+  normalizeVibeTags
+} from '../src/utils/vibe-tags.js';
+
+describe('Vibe Tag Utils', () => {
+  describe('isVibeTag', () => {
+    it('should only accept known tags', () => {
+      expect(isVibeTag('lgbtq_friendly')).to.be.true;
+      expect(isVibeTag('toString')).to.be.false;
+      expect(isVibeTag('rowdy')).to.be.false;
+    });
+  });
+
+  describe('normalizeVibeTags', () => {
+    it('should dedupe and lowercase tags and report unknown ones', () => {
+      expect(normalizeVibeTags(['Loud', 'loud', ' dress_code ', 'rowdy'])).to.deep.equal({
+        tags: ['loud', 'dress_code'],
+        invalid: ['rowdy']
+      });
+    });
+
+    it('should treat a missing list as no tags', () => {
+      expect(normalizeVibeTags(undefined)).to.deep.equal({ tags: [], invalid: [] });
+      expect(normalizeVibeTags('loud')).to.deep.equal({ tags: [], invalid: [] });
+    });
+  });
+
+  describe('getTopVibeTags', () => {
+    it('should return the most used tags with labels', () => {
+      const top = getTopVibeTags({ loud: 2, good_for_meeting_people: 7, chill: 2, dancing: 1 }, { limit: 3 });
+
+      expect(top).to.deep.equal([
+        { tag: 'good_for_meeting_people', label: 'Good for meeting people', count: 7 },
+        { tag: 'chill', label: 'Chill', count: 2 },
+        { tag: 'loud', label: 'Loud', count: 2 }
+      ]);
+    });
+
+    it('should skip rarely used and unknown tags', () => {
+      expect(getTopVibeTags({ loud: 1, rowdy: 9 }, { minCount: 2 })).to.deep.equal([]);
+      expect(getTopVibeTags(null)).to.deep.equal([]);
+    });
+  });
+});